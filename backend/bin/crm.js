@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * crm - command line administration tool
+ *
+ * Usage:
+ *   crm <command> <subcommand> [arguments] [options]
+ *   crm help                      List all commands
+ *
+ * Run with `npm run crm -- <command> ...` or `node bin/crm.js <command> ...` from backend/.
+ * Uses the same database as the server: DB_PATH from the environment or .env,
+ * otherwise backend/database.sqlite.
+ */
+
+import { access } from 'fs/promises';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { initDatabase, closeDatabase, getDatabasePath } from '../src/database/sqlite.js';
+import { waitForBackgroundTasks } from '../src/utils/backgroundTasks.js';
+import adminCommands from '../src/cli/admin.js';
+import clientCommands from '../src/cli/client.js';
+import dbCommands from '../src/cli/db.js';
+import emailCommands from '../src/cli/email.js';
+
+dotenv.config();
+
+const COMMANDS = {
+  admin: adminCommands,
+  client: clientCommands,
+  db: dbCommands,
+  email: emailCommands,
+};
+
+/**
+ * Print usage of all commands, or of one command group
+ * @param {string} [commandName] - Command group to describe
+ */
+function printUsage(commandName) {
+  const names = commandName ? [commandName] : Object.keys(COMMANDS);
+  console.log('Usage: crm <command> <subcommand> [arguments] [options]\n');
+  for (const name of names) {
+    const command = COMMANDS[name];
+    console.log(`${name} - ${command.description}`);
+    for (const subcommand of Object.values(command.subcommands)) {
+      console.log(`  crm ${name} ${subcommand.usage}`);
+      console.log(`      ${subcommand.description}`);
+    }
+    console.log('');
+  }
+  console.log(`Database: ${getDatabasePath()} (set DB_PATH to use another one)`);
+}
+
+/**
+ * Open the database the way a subcommand needs it
+ * - 'migrate' (default): the file must exist; pending migrations are applied, as on server start
+ * - 'existing': the file must exist; opened as it is
+ * - 'create': opened as it is, created if missing
+ * @param {string} mode - Open mode
+ */
+async function openDatabase(mode = 'migrate') {
+  const dbPath = getDatabasePath();
+  if (mode !== 'create') {
+    try {
+      await access(dbPath);
+    } catch {
+      throw new Error(`Database not found: ${dbPath}. Start the server once or run \`crm db migrate up\` to create it, or set DB_PATH.`);
+    }
+  }
+
+  // Keep stdout for command output: migration and seeding messages go to stderr
+  const log = console.log;
+  console.log = console.error;
+  try {
+    await initDatabase(dbPath, { migrate: mode === 'migrate' });
+  } finally {
+    console.log = log;
+  }
+}
+
+async function main(argv) {
+  const [commandName, subcommandName, ...rest] = argv;
+
+  if (!commandName || commandName === 'help' || commandName === '--help') {
+    printUsage();
+    return;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`Unknown command: ${commandName}\n`);
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  const subcommand = command.subcommands[subcommandName];
+  if (!subcommand) {
+    if (subcommandName && subcommandName !== 'help' && subcommandName !== '--help') {
+      console.error(`Unknown subcommand: ${commandName} ${subcommandName}\n`);
+      process.exitCode = 1;
+    }
+    printUsage(commandName);
+    return;
+  }
+
+  let args;
+  try {
+    args = parseArgs({ args: rest, options: subcommand.options || {}, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\nUsage: crm ${commandName} ${subcommand.usage}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await openDatabase(subcommand.database);
+  try {
+    await subcommand.run(args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error.message.startsWith('Missing argument') || error.message.startsWith('Expected ')) {
+      console.error(`Usage: crm ${commandName} ${subcommand.usage}`);
+    }
+    process.exitCode = 1;
+  } finally {
+    // Commands that create tickets or messages start assignment and notifications in the background
+    await waitForBackgroundTasks();
+    await closeDatabase();
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -1,5 +0,0 @@
-@echo off
-echo Promoting administrators to master accounts...
-node scripts\promote-masters.js
-pause
-
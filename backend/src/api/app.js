@@ -0,0 +1,83 @@
+/**
+ * Express application: middleware and API routes
+ * Built by server.js (after the environment is loaded) and by the tests.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import authRoutes from './routes/auth.js';
+import clientRoutes from './routes/clients.js';
+import ticketRoutes from './routes/tickets.js';
+import chatRoutes from './routes/chat.js';
+import adminRoutes from './routes/admins.js';
+import notificationRoutes from './routes/notifications.js';
+import contactRoutes from './routes/contact.js';
+import recoveryRoutes from './routes/recovery.js';
+import twoFactorRoutes from './routes/twoFactor.js';
+import accountRoutes from './routes/account.js';
+import configRoutes from './routes/config.js';
+import eventRoutes from './routes/events.js';
+import slaRoutes from './routes/sla.js';
+import skillRoutes from './routes/skills.js';
+import equipmentRoutes from './routes/equipment.js';
+import contractRoutes from './routes/contracts.js';
+import attachmentRoutes from './routes/attachments.js';
+import auditRoutes from './routes/audit.js';
+import roleRoutes from './routes/roles.js';
+import searchRoutes from './routes/search.js';
+import analyticsRoutes from './routes/analytics.js';
+import reportRoutes from './routes/reports.js';
+
+/**
+ * Create the Express application
+ * The database must be initialized before requests are handled.
+ * @returns {import('express').Express} Express application
+ */
+export function createApp() {
+  const app = express();
+
+  // Client IP addresses (sign-in throttling, session list) come from X-Forwarded-For
+  // when the request passes through nginx on a local or private network.
+  // TRUST_PROXY takes an Express "trust proxy" value; 'false' uses the socket address only.
+  const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+  app.set('trust proxy', TRUST_PROXY === 'false' ? false : TRUST_PROXY);
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json());
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  app.get('/api', (req, res) => {
+    res.json({ message: 'Server Support CRM API' });
+  });
+
+  // Mount route handlers
+  app.use('/api/auth', authRoutes);
+  app.use('/api/auth/recovery', recoveryRoutes);
+  app.use('/api/auth/2fa', twoFactorRoutes);
+  app.use('/api/auth/account', accountRoutes);
+  app.use('/api/clients', clientRoutes);
+  app.use('/api/tickets', ticketRoutes);
+  app.use('/api/chat', chatRoutes);
+  app.use('/api/admins', adminRoutes);
+  app.use('/api/notifications', notificationRoutes);
+  app.use('/api/contact', contactRoutes);
+  app.use('/api/config', configRoutes);
+  app.use('/api/events', eventRoutes);
+  app.use('/api/sla', slaRoutes);
+  app.use('/api/skills', skillRoutes);
+  app.use('/api/equipment', equipmentRoutes);
+  app.use('/api/contracts', contractRoutes);
+  app.use('/api/attachments', attachmentRoutes);
+  app.use('/api/audit', auditRoutes);
+  app.use('/api/roles', roleRoutes);
+  app.use('/api/search', searchRoutes);
+  app.use('/api/analytics', analyticsRoutes);
+  app.use('/api/reports', reportRoutes);
+
+  return app;
+}
@@ -1,5 +1,41 @@
 import { verifyToken, getUserById } from '../../services/auth.js';
 import { isMasterAccount } from '../../models/Administrator.js';
+import { isSessionActive } from '../../services/sessions.js';
+import { hasPermission } from '../../services/permissions.js';
+
+/**
+ * Resolve the authenticated user for a JWT token
+ * The token must belong to a session that has not been revoked or expired.
+ * @param {string} token - JWT token
+ * @returns {Promise<object|null>} User info for req.user or null if token is invalid
+ */
+async function resolveTokenUser(token) {
+  const decoded = verifyToken(token);
+
+  if (!decoded || !decoded.id || !decoded.role) {
+    return null;
+  }
+
+  if (!(await isSessionActive(decoded.sid, decoded.id))) {
+    return null;
+  }
+
+  // Get full user info including is_master for admins
+  const fullUser = await getUserById(decoded.id, decoded.role);
+  
+  if (!fullUser) {
+    return null;
+  }
+
+  return {
+    id: fullUser.id,
+    login: fullUser.login,
+    role: fullUser.role,
+    is_master: fullUser.is_master, // Include is_master for admins
+    contact_id: fullUser.contact_id, // Set when a contact person acts for their company
+    session_id: decoded.sid,
+  };
+}
 
 /**
  * Middleware to authenticate requests using JWT token
@@ -13,26 +49,40 @@ export async function authMiddleware(req, res, next) {
   }
 
   const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-  const decoded = verifyToken(token);
+  const user = await resolveTokenUser(token);
 
-  if (!decoded || !decoded.id || !decoded.role) {
+  if (!user) {
     return res.status(401).json({ error: 'unauthorized' });
   }
 
-  // Get full user info including is_master for admins
-  const fullUser = await getUserById(decoded.id, decoded.role);
-  
-  if (!fullUser) {
+  // Attach user info to request
+  req.user = user;
+
+  next();
+}
+
+/**
+ * Middleware to authenticate event stream requests
+ * Browsers cannot set headers on EventSource connections, so the same JWT
+ * is also accepted from the ?token= query parameter.
+ */
+export async function authStreamMiddleware(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.substring(7)
+    : req.query.token;
+
+  if (!token || typeof token !== 'string') {
     return res.status(401).json({ error: 'unauthorized' });
   }
 
-  // Attach user info to request
-  req.user = {
-    id: fullUser.id,
-    login: fullUser.login,
-    role: fullUser.role,
-    is_master: fullUser.is_master, // Include is_master for admins
-  };
+  const user = await resolveTokenUser(token);
+
+  if (!user) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+
+  req.user = user;
 
   next();
 }
@@ -98,3 +148,32 @@ export async function requireMaster(req, res, next) {
   next();
 }
 
+/**
+ * Middleware factory to require an administrator permission
+ * Must be used after authMiddleware. Master accounts hold every permission;
+ * other administrators need a role that grants it.
+ * @param {string} permission - Permission key, e.g. 'tickets.assign'
+ * @returns {Function} Express middleware
+ */
+export function requirePermission(permission) {
+  return async function permissionMiddleware(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+
+    try {
+      if (!(await hasPermission(req.user, permission))) {
+        return res.status(403).json({ error: 'forbidden', message: `Permission required: ${permission}`, permission });
+      }
+    } catch (error) {
+      console.error('Error checking permission:', error);
+      return res.status(500).json({ error: 'internal_error', message: 'Error verifying permission' });
+    }
+
+    next();
+  };
+}
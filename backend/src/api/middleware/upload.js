@@ -0,0 +1,57 @@
+import multer from 'multer';
+import { ATTACHMENT_LIMITS, getAttachmentContentType } from '../../services/attachments.js';
+
+/**
+ * Multer instance for attachment uploads
+ * Files are buffered in memory and handed to the attachment storage by the service.
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Browsers send UTF-8 file names (e.g. Cyrillic) without a charset parameter
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: ATTACHMENT_LIMITS.maxFileBytes,
+    files: ATTACHMENT_LIMITS.maxFiles,
+  },
+  fileFilter: (req, file, callback) => {
+    if (!getAttachmentContentType(file.originalname)) {
+      return callback(new Error(`File type is not allowed: ${file.originalname}`));
+    }
+    callback(null, true);
+  },
+});
+
+/**
+ * Get a user-facing message for an upload error
+ * @param {Error} error - Multer or file filter error
+ * @returns {string} Validation message
+ */
+function getUploadErrorMessage(error) {
+  if (error instanceof multer.MulterError) {
+    switch (error.code) {
+      case 'LIMIT_FILE_SIZE':
+        return `Each file must be ${Math.floor(ATTACHMENT_LIMITS.maxFileBytes / (1024 * 1024))} MB or less`;
+      case 'LIMIT_FILE_COUNT':
+        return `At most ${ATTACHMENT_LIMITS.maxFiles} files can be attached`;
+      case 'LIMIT_UNEXPECTED_FILE':
+        return 'Files must be sent in the "attachments" field';
+      default:
+        return error.message;
+    }
+  }
+  return error.message;
+}
+
+/**
+ * Middleware to accept up to ATTACHMENT_LIMITS.maxFiles files in the multipart field "attachments"
+ * JSON requests pass through unchanged (req.files is left undefined).
+ * Limit and file type violations are answered with 400 validation_error.
+ */
+export function uploadAttachments(req, res, next) {
+  upload.array('attachments', ATTACHMENT_LIMITS.maxFiles)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: 'validation_error', message: getUploadErrorMessage(error) });
+    }
+    next();
+  });
+}
@@ -0,0 +1,118 @@
+import express from 'express';
+import { authMiddleware, requireClient } from '../middleware/auth.js';
+import { getCredentialStatus, changeOwnPassword, regenerateOwnCodephrase } from '../../services/clientAccount.js';
+import { getLoginThrottleKeys, reserveAttempt, releaseAttempt, recordFailedAttempt, clearLoginFailures } from '../../services/loginThrottle.js';
+import { recordAuditEvent, getAuditContext } from '../../services/audit.js';
+
+const router = express.Router();
+
+/**
+ * Send the response for an error thrown by the client account service
+ * @param {import('express').Response} res - Express response
+ * @param {Error} error - Error thrown by the service
+ */
+function sendAccountError(res, error) {
+  if (error.message === 'Client not found') {
+    return res.status(404).json({ error: 'not_found' });
+  }
+  if (error.message === 'Current password is incorrect') {
+    return res.status(400).json({ error: 'invalid_current_password', message: error.message });
+  }
+  if (error.message.startsWith('Only the company login')) {
+    return res.status(403).json({ error: 'forbidden', message: error.message });
+  }
+  if (/required|must/.test(error.message)) {
+    return res.status(400).json({ error: 'validation_error', message: error.message });
+  }
+  res.status(500).json({ error: 'internal_error', message: error.message });
+}
+
+/**
+ * Audit target for the signed-in client account
+ * @param {object} user - Authenticated client (req.user)
+ * @returns {{type: string, id: string, label: string}} Audit target
+ */
+function accountAuditTarget(user) {
+  return user.contact_id
+    ? { type: 'contact', id: user.contact_id, label: user.login }
+    : { type: 'company', id: user.id, label: user.login };
+}
+
+/**
+ * GET /api/auth/account
+ * Credential status of the current client
+ * Returns: { login, created_at, password_changed_at, codephrase_changed_at, can_regenerate_codephrase }
+ */
+router.get('/', authMiddleware, requireClient, async (req, res) => {
+  try {
+    res.json(await getCredentialStatus(req.user));
+  } catch (error) {
+    console.error('Get credential status error:', error);
+    sendAccountError(res, error);
+  }
+});
+
+/**
+ * PUT /api/auth/account/password
+ * Change the password of the current client; other sessions are signed out
+ * Body: { current_password: string, new_password: string }
+ * Wrong current passwords count as failed sign-ins of the login.
+ */
+router.put('/password', authMiddleware, requireClient, async (req, res) => {
+  try {
+    const throttleKeys = getLoginThrottleKeys(req.user.login, req.ip);
+    const throttle = await reserveAttempt(throttleKeys);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ error: 'too_many_attempts', locked: throttle.locked, retry_after: throttle.retryAfter });
+    }
+
+    const { current_password: currentPassword, new_password: newPassword } = req.body || {};
+    let endedSessions;
+    try {
+      endedSessions = await changeOwnPassword(req.user, currentPassword, newPassword);
+    } catch (error) {
+      if (error.message === 'Current password is incorrect') {
+        await recordFailedAttempt(throttle, req.ip);
+      } else {
+        await releaseAttempt(throttle);
+      }
+      throw error;
+    }
+    await releaseAttempt(throttle);
+    await clearLoginFailures(req.user.login);
+
+    await recordAuditEvent(
+      getAuditContext(req),
+      req.user.contact_id ? 'contact.password_changed' : 'company.password_changed',
+      accountAuditTarget(req.user),
+      { self_service: true, ended_sessions: endedSessions }
+    );
+
+    res.json({ success: true, ended_sessions: endedSessions });
+  } catch (error) {
+    console.error('Change own password error:', error);
+    sendAccountError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/account/codephrase
+ * Replace the recovery codephrase of the current company (company login only)
+ * Returns: { codephrase } (shown once)
+ */
+router.post('/codephrase', authMiddleware, requireClient, async (req, res) => {
+  try {
+    const codephrase = await regenerateOwnCodephrase(req.user);
+    await recordAuditEvent(getAuditContext(req), 'company.codephrase_regenerated', accountAuditTarget(req.user), {
+      self_service: true,
+    });
+
+    res.json({ codephrase });
+  } catch (error) {
+    console.error('Regenerate own codephrase error:', error);
+    sendAccountError(res, error);
+  }
+});
+
+export default router;
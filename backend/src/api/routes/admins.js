@@ -1,39 +1,68 @@
 import express from 'express';
-import { authMiddleware, requireAdmin, requireMaster } from '../middleware/auth.js';
-import { hashPassword } from '../../services/auth.js';
+import { authMiddleware, requireAdmin, requireMaster, requirePermission } from '../middleware/auth.js';
+import { createAdministratorAccount, resetAdministratorPassword } from '../../services/administrators.js';
 import {
-  createAdministrator,
   getAllAdministrators,
   getAdministratorById,
   loginExists,
   deleteAdministrator,
-  getAdministratorCount,
   updateAdministratorLogin,
   updateAdministratorDisplayName,
   getMasterAccountCount,
-  isMasterAccount,
 } from '../../models/Administrator.js';
+import { hasPermission } from '../../services/permissions.js';
+import { assignAdminRole } from '../../services/roles.js';
+import { DEFAULT_ROLE_ID } from '../../models/Role.js';
 import { getAllTicketsForAdmin, updateTicketStatus, getOpenTicketCountForAdmin } from '../../services/tickets.js';
 import { createNotificationEvent } from '../../services/notifications.js';
-import { getDatabase } from '../../database/sqlite.js';
+import { getAdminSkills, setAdminSkills } from '../../services/skills.js';
+import { revokeAllUserSessions } from '../../services/sessions.js';
+import { resetTwoFactor } from '../../services/twoFactor.js';
+import { listActiveLockouts, unlockThrottle } from '../../services/loginThrottle.js';
+import { recordAuditEvent, getAuditContext } from '../../services/audit.js';
+import { getAllAdministratorSkillIds } from '../../models/Skill.js';
 
 const router = express.Router();
 
+/**
+ * Check whether the signed-in administrator may change another account
+ * Master accounts can only be changed by master accounts, so a role permission
+ * is not enough to take one over.
+ * @param {import('express').Request} req - Express request
+ * @param {object} admin - Target administrator
+ * @returns {boolean} True if allowed
+ */
+function canManageAccount(req, admin) {
+  return !admin.is_master || req.user.is_master === true;
+}
+
+/**
+ * Send the 403 response for a master account changed by a non-master
+ * @param {import('express').Response} res - Express response
+ */
+function sendMasterTargetForbidden(res) {
+  res.status(403).json({ error: 'forbidden', message: 'Only master accounts can change master accounts' });
+}
+
 /**
  * GET /api/admins
  * Get all administrators (admin only)
- * Returns administrators with display_name and is_master fields
+ * Returns administrators with display_name, is_master, role_id, two_factor_enabled and skills (skill IDs) fields
  */
 router.get('/', authMiddleware, requireAdmin, async (req, res) => {
   try {
     const administrators = await getAllAdministrators();
+    const skillsByAdmin = await getAllAdministratorSkillIds();
     
-    // Format response with display_name and is_master
+    // Format response with display_name, is_master and skills
     const formattedAdmins = administrators.map(admin => ({
       id: admin.id,
       login: admin.login,
       display_name: admin.display_name || admin.login,
       is_master: admin.is_master ? 1 : 0,
+      role_id: admin.role_id,
+      two_factor_enabled: admin.two_factor_enabled,
+      skills: skillsByAdmin.get(admin.id) || [],
       created_at: admin.created_at,
     }));
     
@@ -44,6 +73,55 @@ router.get('/', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admins/lockouts
+ * List logins and IP addresses locked after repeated failed sign-in or recovery attempts
+ * Permission: admins.unlock
+ */
+router.get('/lockouts', authMiddleware, requireAdmin, requirePermission('admins.unlock'), async (req, res) => {
+  try {
+    const lockouts = await listActiveLockouts();
+    res.json({ lockouts });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/admins/lockouts/unlock
+ * Lift a lockout before it expires (permission: admins.unlock)
+ * Body: { scope: 'login' | 'ip' | 'recovery', identifier: string }
+ */
+router.post('/lockouts/unlock', authMiddleware, requireAdmin, requirePermission('admins.unlock'), async (req, res) => {
+  try {
+    const { scope, identifier } = req.body || {};
+
+    if (!scope || !identifier || typeof identifier !== 'string') {
+      return res.status(400).json({ error: 'validation_error', message: 'Scope and identifier are required' });
+    }
+
+    const unlocked = await unlockThrottle(scope, identifier, req.user.id);
+    if (!unlocked) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    await recordAuditEvent(getAuditContext(req), 'auth.unlocked', {
+      type: scope === 'login' ? 'login' : 'ip',
+      id: identifier,
+      label: identifier,
+    }, { scope });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Unlock error:', error);
+    if (error.message === 'Invalid lockout scope') {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
 /**
  * GET /api/admins/:id
  * Get a single administrator by ID (admin only)
@@ -63,6 +141,8 @@ router.get('/:id', authMiddleware, requireAdmin, async (req, res) => {
         login: admin.login,
         display_name: admin.display_name || admin.login,
         is_master: admin.is_master ? 1 : 0,
+        role_id: admin.role_id,
+        skills: await getAdminSkills(admin.id),
         created_at: admin.created_at,
       },
     });
@@ -74,12 +154,14 @@ router.get('/:id', authMiddleware, requireAdmin, async (req, res) => {
 
 /**
  * POST /api/admins
- * Create a new administrator account (master accounts only)
- * Body: { login: string, password: string }
+ * Create a new administrator account (permission: admins.create)
+ * Body: { login: string, password: string, is_master?: boolean, role_id?: string }
+ * Only master accounts can create master accounts or give the new account a role
+ * other than the default one.
  */
-router.post('/', authMiddleware, requireAdmin, requireMaster, async (req, res) => {
+router.post('/', authMiddleware, requireAdmin, requirePermission('admins.create'), async (req, res) => {
   try {
-    const { login, password, is_master } = req.body;
+    const { login, password, is_master, role_id: roleId } = req.body;
 
     // Validate input
     if (!login || typeof login !== 'string' || login.trim().length === 0) {
@@ -110,25 +192,42 @@ router.post('/', authMiddleware, requireAdmin, requireMaster, async (req, res) =
       }
     }
 
+    if (!req.user.is_master && (isMaster || (roleId && roleId !== DEFAULT_ROLE_ID))) {
+      return res.status(403).json({
+        error: 'forbidden',
+        message: 'Only master accounts can create master accounts or assign roles',
+      });
+    }
+
     // Check if login already exists
     if (await loginExists(login.trim())) {
       return res.status(400).json({ error: 'validation_error', fields: ['login'], message: 'Login already exists' });
     }
 
-    // Generate admin ID
-    const adminCount = await getAdministratorCount();
-    const adminId = `admin-${String(adminCount + 1).padStart(3, '0')}`;
-
-    // Hash password
-    const passwordHash = await hashPassword(password.trim());
-
     // Create administrator with is_master field
-    const administrator = await createAdministrator({
-      id: adminId,
-      login: login.trim(),
-      passwordHash,
-      isMaster,
+    let administrator;
+    try {
+      administrator = await createAdministratorAccount({
+        login,
+        password,
+        isMaster,
+        roleId,
+      });
+    } catch (validationError) {
+      if (validationError.message === 'Role not found') {
+        return res.status(400).json({ error: 'validation_error', fields: ['role_id'], message: validationError.message });
+      }
+      throw validationError;
+    }
+
+    const auditTarget = { type: 'administrator', id: administrator.id, label: administrator.login };
+    await recordAuditEvent(getAuditContext(req), 'admin.created', auditTarget, {
+      is_master: !!administrator.is_master,
+      role_id: administrator.role_id,
     });
+    if (administrator.is_master) {
+      await recordAuditEvent(getAuditContext(req), 'admin.promoted', auditTarget);
+    }
 
     res.status(201).json({
       administrator: {
@@ -136,6 +235,7 @@ router.post('/', authMiddleware, requireAdmin, requireMaster, async (req, res) =
         login: administrator.login,
         display_name: administrator.display_name || administrator.login,
         is_master: administrator.is_master ? 1 : 0,
+        role_id: administrator.role_id,
         created_at: administrator.created_at,
       },
     });
@@ -191,7 +291,8 @@ router.patch('/:id', authMiddleware, requireAdmin, async (req, res) => {
  * PATCH /api/admins/:id/display-name
  * Update administrator display name
  * Body: { display_name: string }
- * Access: Administrators can update their own display name, master accounts can update any admin's display name
+ * Access: Administrators can update their own display name; admins.manage allows updating others'
+ * (master accounts' only by master accounts)
  */
 router.patch('/:id/display-name', authMiddleware, requireAdmin, async (req, res) => {
   try {
@@ -214,14 +315,16 @@ router.patch('/:id/display-name', authMiddleware, requireAdmin, async (req, res)
       return res.status(404).json({ error: 'not_found' });
     }
 
-    // Check permissions: admins can update their own display name, masters can update any
-    const isMaster = await isMasterAccount(currentUserId);
-    if (id !== currentUserId && !isMaster) {
+    // Check permissions: admins can update their own display name, admins.manage can update others
+    if (id !== currentUserId && !(await hasPermission(req.user, 'admins.manage'))) {
       return res.status(403).json({
         error: 'forbidden',
         message: 'You can only update your own display name',
       });
     }
+    if (id !== currentUserId && !canManageAccount(req, admin)) {
+      return sendMasterTargetForbidden(res);
+    }
 
     // Update display name
     try {
@@ -259,9 +362,9 @@ router.patch('/:id/display-name', authMiddleware, requireAdmin, async (req, res)
 /**
  * POST /api/admins/:id/change-password
  * Change password for an administrator account (Feature 9: Archive Account Management)
- * Master accounts only
+ * Permission: admins.manage (master accounts' passwords only by master accounts)
  */
-router.post('/:id/change-password', authMiddleware, requireAdmin, requireMaster, async (req, res) => {
+router.post('/:id/change-password', authMiddleware, requireAdmin, requirePermission('admins.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { password } = req.body;
@@ -279,16 +382,12 @@ router.post('/:id/change-password', authMiddleware, requireAdmin, requireMaster,
     if (!admin) {
       return res.status(404).json({ error: 'not_found' });
     }
+    if (!canManageAccount(req, admin)) {
+      return sendMasterTargetForbidden(res);
+    }
 
-    // Hash new password
-    const passwordHash = await hashPassword(password.trim());
-
-    // Update password in database
-    const db = getDatabase();
-    await db.run(
-      'UPDATE administrators SET password_hash = ? WHERE id = ?',
-      [passwordHash, id]
-    );
+    await resetAdministratorPassword(id, password, id === req.user.id ? req.user.session_id : null);
+    await recordAuditEvent(getAuditContext(req), 'admin.password_changed', { type: 'administrator', id, label: admin.login });
 
     res.json({ success: true, message: 'Password changed successfully' });
   } catch (error) {
@@ -297,12 +396,98 @@ router.post('/:id/change-password', authMiddleware, requireAdmin, requireMaster,
   }
 });
 
+/**
+ * POST /api/admins/:id/2fa/reset
+ * Turn off two-factor authentication for an administrator who lost their authenticator app
+ * Permission: admins.manage. The administrator can enroll again after the next sign-in.
+ */
+router.post('/:id/2fa/reset', authMiddleware, requireAdmin, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const admin = await getAdministratorById(id);
+    if (!admin) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    if (!canManageAccount(req, admin)) {
+      return sendMasterTargetForbidden(res);
+    }
+
+    await resetTwoFactor(id);
+    await recordAuditEvent(getAuditContext(req), 'admin.two_factor_reset', { type: 'administrator', id, label: admin.login });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/admins/:id/skills
+ * Replace the skills of an administrator (permission: admins.manage)
+ * Body: { skills: string[] } - skill IDs from GET /api/skills
+ */
+router.put('/:id/skills', authMiddleware, requireAdmin, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const skills = await setAdminSkills(req.params.id, req.body?.skills);
+    if (!skills) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    res.json({ skills });
+  } catch (error) {
+    console.error('Update administrator skills error:', error);
+    if (error.message.includes('must be') || error.message.includes('Unknown skill')) {
+      return res.status(400).json({ error: 'validation_error', fields: ['skills'], message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/admins/:id/role
+ * Give an administrator a role (master accounts only)
+ * Body: { role_id: string } - role ID from GET /api/roles
+ */
+router.put('/:id/role', authMiddleware, requireAdmin, requireMaster, async (req, res) => {
+  try {
+    const { admin, role, previousRoleId } = await assignAdminRole(req.params.id, req.body?.role_id);
+    if (previousRoleId !== role.id) {
+      await recordAuditEvent(getAuditContext(req), 'admin.role_changed', {
+        type: 'administrator',
+        id: admin.id,
+        label: admin.login,
+      }, { from: previousRoleId, to: role.id });
+    }
+
+    res.json({
+      administrator: {
+        id: admin.id,
+        login: admin.login,
+        display_name: admin.display_name || admin.login,
+        is_master: admin.is_master ? 1 : 0,
+        role_id: admin.role_id,
+        created_at: admin.created_at,
+      },
+    });
+  } catch (error) {
+    if (error.message === 'Administrator not found') {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    if (error.message === 'Role not found') {
+      return res.status(400).json({ error: 'validation_error', fields: ['role_id'], message: error.message });
+    }
+    console.error('Set administrator role error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
 /**
  * DELETE /api/admins/:id
- * Delete an administrator account (master accounts only)
+ * Delete an administrator account (permission: admins.delete; master accounts only by master accounts)
  * Reassigns tickets from deleted admin to least-loaded available admin
  */
-router.delete('/:id', authMiddleware, requireAdmin, requireMaster, async (req, res) => {
+router.delete('/:id', authMiddleware, requireAdmin, requirePermission('admins.delete'), async (req, res) => {
   try {
     const { id } = req.params;
     const currentUserId = req.user.id;
@@ -312,6 +497,9 @@ router.delete('/:id', authMiddleware, requireAdmin, requireMaster, async (req, r
     if (!admin) {
       return res.status(404).json({ error: 'not_found' });
     }
+    if (!canManageAccount(req, admin)) {
+      return sendMasterTargetForbidden(res);
+    }
 
     // Check if trying to delete last master account
     const masterCount = await getMasterAccountCount();
@@ -329,8 +517,9 @@ router.delete('/:id', authMiddleware, requireAdmin, requireMaster, async (req, r
       });
     }
 
-    // Get all tickets assigned to this admin
-    const assignedTickets = await getAllTicketsForAdmin({ assigned_to: id });
+    // Get all tickets assigned to this admin, including those of deleted companies:
+    // they must still have an engineer if the company is restored
+    const assignedTickets = await getAllTicketsForAdmin({ assigned_to: id }, { includeDeletedCompanies: true });
     
     // Reassign tickets to least-loaded available admin
     if (assignedTickets.length > 0) {
@@ -365,7 +554,7 @@ router.delete('/:id', authMiddleware, requireAdmin, requireMaster, async (req, r
         for (const ticket of assignedTickets) {
           await updateTicketStatus(ticket.id, {
             assigned_engineer_id: targetAdmin.id,
-          });
+          }, req.user);
           
           // Create notifications
           await createNotificationEvent(
@@ -401,6 +590,11 @@ router.delete('/:id', authMiddleware, requireAdmin, requireMaster, async (req, r
     if (!deleted) {
       return res.status(500).json({ error: 'internal_error', message: 'Failed to delete administrator' });
     }
+    await revokeAllUserSessions(id, 'admin', 'account_deleted');
+    await recordAuditEvent(getAuditContext(req), 'admin.deleted', { type: 'administrator', id, label: admin.login }, {
+      was_master: !!admin.is_master,
+      reassigned_tickets: assignedTickets.length,
+    });
 
     res.json({ success: true });
   } catch (error) {
@@ -0,0 +1,36 @@
+import express from 'express';
+import { authMiddleware, requireAdmin, requirePermission } from '../middleware/auth.js';
+import { parseAnalyticsFilters, getAnalytics, exportAnalyticsCsv } from '../../services/analytics.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/analytics
+ * Support statistics for a date range (permission: analytics.view)
+ * Query: date_from, date_to (Unix seconds; default the last 30 days), company (exact name),
+ *        interval (day, week or month; chosen from the range if omitted),
+ *        format=csv (download the statistics)
+ */
+router.get('/', authMiddleware, requireAdmin, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const filters = parseAnalyticsFilters(req.query);
+
+    if (req.query.format === 'csv') {
+      const csv = await exportAnalyticsCsv(filters);
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="support-statistics-${date}.csv"`);
+      return res.send(csv);
+    }
+
+    res.json(await getAnalytics(filters));
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    if (error.message.includes('must be') || error.message.includes('Date range')) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,88 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { checkTicketAccess } from '../../services/chat.js';
+import {
+  listTicketAttachments,
+  getAttachmentContent,
+  isInlineAttachment,
+  ATTACHMENT_LIMITS,
+  getAllowedExtensions,
+} from '../../services/attachments.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/attachments/limits
+ * Get upload limits (max file size, max files per upload, allowed extensions)
+ */
+router.get('/limits', authMiddleware, (req, res) => {
+  res.json({
+    max_file_bytes: ATTACHMENT_LIMITS.maxFileBytes,
+    max_files: ATTACHMENT_LIMITS.maxFiles,
+    allowed_extensions: getAllowedExtensions(),
+  });
+});
+
+/**
+ * GET /api/attachments/ticket/:ticketId
+ * Get all attachments of a ticket (ticket and chat message files)
+ * Clients only for their own tickets, without files of internal notes
+ */
+router.get('/ticket/:ticketId', authMiddleware, async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    if (!(await checkTicketAccess(ticketId, req.user.id, req.user.role))) {
+      return res.status(403).json({ error: 'forbidden', message: 'Access denied to this ticket' });
+    }
+
+    const attachments = await listTicketAttachments(ticketId, req.user.role !== 'client');
+    res.json({ attachments });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * GET /api/attachments/:id
+ * Download an attachment
+ * Query params: ?inline=1 - Show images inline (thumbnails); other files are always downloads
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const content = await getAttachmentContent(req.params.id);
+    // Don't reveal whether an attachment exists on tickets (or internal notes) the user cannot see
+    const isHidden = content && req.user.role === 'client' && content.attachment.message_type === 'internal';
+    if (!content || isHidden || !(await checkTicketAccess(content.attachment.ticket_id, req.user.id, req.user.role))) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    const { attachment, openStream } = content;
+    const disposition = req.query.inline === '1' && isInlineAttachment(attachment) ? 'inline' : 'attachment';
+
+    res.setHeader('Content-Type', attachment.mime_type);
+    res.setHeader('Content-Length', attachment.size_bytes);
+    res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+
+    const stream = openStream();
+    stream.on('error', (streamError) => {
+      console.error('Read attachment error:', streamError);
+      if (!res.headersSent) {
+        // File missing from storage: drop the file headers and answer with JSON
+        res.removeHeader('Content-Length');
+        res.removeHeader('Content-Disposition');
+        res.status(404).json({ error: 'not_found' });
+      } else {
+        res.destroy(streamError);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import { authMiddleware, requireAdmin, requirePermission } from '../middleware/auth.js';
+import { parseAuditFilters, listAuditEntries, exportAuditCsv } from '../../services/audit.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/audit
+ * List audit log entries, newest first (permission: audit.view)
+ * Query: action (exact, or a prefix such as 'admin.'), actor (ID or login),
+ *        target (ID, login or company name), date_from, date_to (Unix seconds),
+ *        limit (default 50, max 500), offset, format=csv (download all matching entries)
+ */
+router.get('/', authMiddleware, requireAdmin, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const filters = parseAuditFilters(req.query);
+
+    if (req.query.format === 'csv') {
+      const csv = await exportAuditCsv(filters);
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+      return res.send(csv);
+    }
+
+    res.json(await listAuditEntries(filters, { limit: req.query.limit, offset: req.query.offset }));
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    if (error.message === 'Unknown audit action' || error.message.includes('must be a Unix timestamp')) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+export default router;
@@ -1,13 +1,97 @@
 import express from 'express';
-import { authenticateUser, generateToken } from '../../services/auth.js';
+import { authenticateUser } from '../../services/auth.js';
 import { authMiddleware } from '../middleware/auth.js';
-import { getUserById } from '../../services/auth.js';
+import { getUserById, getAccountId } from '../../services/auth.js';
+import {
+  startSession,
+  refreshSession,
+  listUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+} from '../../services/sessions.js';
+import {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  verifySecondFactor,
+  beginEnrollment,
+  confirmEnrollment,
+} from '../../services/twoFactor.js';
+import {
+  getLoginThrottleKeys,
+  reserveAttempt,
+  releaseAttempt,
+  recordFailedAttempt,
+  clearLoginFailures,
+} from '../../services/loginThrottle.js';
+import { recordAuditEvent } from '../../services/audit.js';
+import { getAdminAccess } from '../../services/permissions.js';
 
 const router = express.Router();
 
+/**
+ * Reject an attempt that is throttled
+ * @param {import('express').Response} res - Express response
+ * @param {{locked: boolean, retryAfter: number}} throttle - Result of reserveAttempt
+ */
+function sendTooManyAttempts(res, throttle) {
+  res.set('Retry-After', String(throttle.retryAfter));
+  res.status(429).json({
+    error: 'too_many_attempts',
+    locked: throttle.locked,
+    retry_after: throttle.retryAfter,
+  });
+}
+
+/**
+ * Role fields of the user info returned to administrators
+ * @param {object} user - User (id, role)
+ * @returns {Promise<object>} { role_id, role_name, permissions } for administrators, empty for clients
+ */
+async function getRoleFields(user) {
+  if (user.role !== 'admin') {
+    return {};
+  }
+  const access = await getAdminAccess(user.id);
+  return access
+    ? { role_id: access.role_id, role_name: access.role_name, permissions: access.permissions }
+    : {};
+}
+
+/**
+ * Start a session and build the login response
+ * @param {import('express').Request} req - Express request
+ * @param {object} user - Authenticated user (id, login, role, is_master, company_name)
+ * @returns {Promise<object>} Response body with tokens and user info
+ */
+async function createLoginResponse(req, user) {
+  const session = await startSession(user, {
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+  });
+
+  return {
+    token: session.token,
+    refresh_token: session.refreshToken,
+    expires_in: session.expiresIn,
+    user: {
+      id: user.id,
+      login: user.login,
+      role: user.role,
+      // Include is_master field only for administrator accounts (not for clients)
+      ...(user.role === 'admin' && { is_master: user.is_master }),
+      ...(await getRoleFields(user)),
+      ...(user.company_name && { company_name: user.company_name }),
+      ...(user.contact_id && { contact_id: user.contact_id, full_name: user.full_name, job_title: user.job_title }),
+    },
+  };
+}
+
 /**
  * POST /api/auth/login
- * Authenticate user and return JWT token
+ * Authenticate user and start a session
+ * Returns a short-lived access token (JWT) and a refresh token for POST /api/auth/refresh.
+ * Administrators with two-factor authentication get a challenge instead:
+ * { two_factor: 'verify' | 'setup', challenge_token, expires_in }
  */
 router.post('/login', async (req, res) => {
   try {
@@ -24,33 +108,227 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'invalid_credentials' });
     }
 
+    const throttleKeys = getLoginThrottleKeys(trimmedLogin, req.ip);
+    const throttle = await reserveAttempt(throttleKeys);
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle);
+    }
+
     const user = await authenticateUser(trimmedLogin, password);
 
     if (!user) {
       // Log failed login attempt for debugging (without sensitive info)
       console.log(`Failed login attempt for: ${trimmedLogin}`);
+      await recordFailedAttempt(throttle, req.ip);
       return res.status(400).json({ error: 'invalid_credentials' });
     }
+    await releaseAttempt(throttle);
 
-    const token = generateToken({
-      id: user.id,
-      login: user.login,
-      role: user.role,
+    // Failures are cleared only once the sign-in is complete, so a known password
+    // cannot be used to reset the counter while guessing two-factor codes
+    const challenge = await createLoginChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
+    await clearLoginFailures(trimmedLogin);
+    res.json(await createLoginResponse(req, user));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: exchange a 'verify' challenge and a TOTP or backup code for a session
+ * Body: { challenge_token: string, code: string }
+ * Wrong codes count towards the lockout of the administrator's login.
+ */
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challenge_token: challengeToken, code } = req.body;
+    const adminId = verifyLoginChallenge(challengeToken, 'verify');
+
+    if (!adminId) {
+      return res.status(400).json({ error: 'invalid_challenge' });
+    }
+
+    const user = await getUserById(adminId, 'admin');
+    if (!user) {
+      return res.status(400).json({ error: 'invalid_challenge' });
+    }
+
+    const throttleKeys = getLoginThrottleKeys(user.login, req.ip);
+    const throttle = await reserveAttempt(throttleKeys);
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle);
+    }
+
+    if (!(await verifySecondFactor(adminId, code))) {
+      console.log(`Failed two-factor code for: ${adminId}`);
+      await recordFailedAttempt(throttle, req.ip);
+      return res.status(400).json({ error: 'invalid_code' });
+    }
+
+    await releaseAttempt(throttle);
+    await clearLoginFailures(user.login);
+
+    res.json(await createLoginResponse(req, user));
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa/setup
+ * Start the enrollment a master account must complete before signing in
+ * Body: { challenge_token: string }
+ * Returns: { secret, otpauth_uri }
+ */
+router.post('/login/2fa/setup', async (req, res) => {
+  try {
+    const adminId = verifyLoginChallenge(req.body.challenge_token, 'setup');
+
+    if (!adminId) {
+      return res.status(400).json({ error: 'invalid_challenge' });
+    }
+
+    res.json(await beginEnrollment(adminId));
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    if (error.message === 'Two-factor authentication is already enabled') {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa/confirm
+ * Finish the required enrollment and sign in
+ * Body: { challenge_token: string, code: string }
+ * Returns the login response plus backup_codes (shown once)
+ */
+router.post('/login/2fa/confirm', async (req, res) => {
+  try {
+    const { challenge_token: challengeToken, code } = req.body;
+    const adminId = verifyLoginChallenge(challengeToken, 'setup');
+
+    if (!adminId) {
+      return res.status(400).json({ error: 'invalid_challenge' });
+    }
+
+    const backupCodes = await confirmEnrollment(adminId, code);
+    const user = await getUserById(adminId, 'admin');
+    await clearLoginFailures(user.login);
+    await recordAuditEvent(
+      { actor: user, ipAddress: req.ip },
+      'two_factor.enabled',
+      { type: 'administrator', id: user.id, label: user.login },
+      { during_sign_in: true }
+    );
+
+    res.json({
+      ...(await createLoginResponse(req, user)),
+      backup_codes: backupCodes,
     });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    if (error.message === 'Invalid verification code') {
+      return res.status(400).json({ error: 'invalid_code' });
+    }
+    if (error.message === 'Two-factor setup has not been started'
+      || error.message === 'Two-factor authentication is already enabled') {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token
+ * The refresh token is single-use: the response contains its replacement.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token: refreshToken } = req.body;
+    const session = await refreshSession(refreshToken);
+
+    if (!session) {
+      return res.status(401).json({ error: 'invalid_refresh_token' });
+    }
 
     res.json({
-      token,
-      user: {
-        id: user.id,
-        login: user.login,
-        role: user.role,
-        // Include is_master field only for administrator accounts (not for clients)
-        ...(user.role === 'admin' && { is_master: user.is_master }),
-        ...(user.company_name && { company_name: user.company_name }),
-      },
+      token: session.token,
+      refresh_token: session.refreshToken,
+      expires_in: session.expiresIn,
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session
+ */
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await revokeUserSession(getAccountId(req.user), req.user.role, req.user.session_id, 'logout');
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the active sessions of the current user
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(getAccountId(req.user), req.user.role, req.user.session_id);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Revoke all sessions of the current user except the current one
+ */
+router.delete('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeAllUserSessions(getAccountId(req.user), req.user.role, 'revoked', req.user.session_id);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one session of the current user
+ */
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeUserSession(getAccountId(req.user), req.user.role, req.params.id, 'revoked');
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
     res.status(500).json({ error: 'internal_error', message: error.message });
   }
 });
@@ -58,10 +336,11 @@ router.post('/login', async (req, res) => {
 /**
  * GET /api/auth/me
  * Get current authenticated user information
+ * Administrators also get role_id, role_name and their effective permissions.
  */
 router.get('/me', authMiddleware, async (req, res) => {
   try {
-    const user = await getUserById(req.user.id, req.user.role);
+    const user = await getUserById(getAccountId(req.user), req.user.role);
 
     if (!user) {
       return res.status(404).json({ error: 'not_found' });
@@ -74,7 +353,9 @@ router.get('/me', authMiddleware, async (req, res) => {
         role: user.role,
         // Include is_master field only for administrator accounts (not for clients)
         ...(user.role === 'admin' && { is_master: user.is_master }),
+        ...(await getRoleFields(user)),
         ...(user.company_name && { company_name: user.company_name }),
+        ...(user.contact_id && { contact_id: user.contact_id, full_name: user.full_name, job_title: user.job_title }),
       },
     });
   } catch (error) {
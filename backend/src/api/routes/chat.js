@@ -1,6 +1,7 @@
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
 import { createMessage, getMessages } from '../../services/chat.js';
+import { uploadAttachments } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -36,16 +37,20 @@ router.get('/:ticketId/messages', authMiddleware, async (req, res) => {
 /**
  * POST /api/chat/:ticketId/messages
  * Create a new chat message for a ticket
- * Body: { content: string }
+ * Body: { content: string, message_type?: 'public' | 'internal' }
+ * JSON, or multipart/form-data with "content" and files in "attachments"
+ * (content may be empty when files are attached)
+ * Internal notes (message_type 'internal') are administrators only and hidden from the client
  */
-router.post('/:ticketId/messages', authMiddleware, async (req, res) => {
+router.post('/:ticketId/messages', authMiddleware, uploadAttachments, async (req, res) => {
   try {
     const { ticketId } = req.params;
-    const { content } = req.body;
+    const { content, message_type: messageType } = req.body || {};
     const { id: senderId, role: userRole } = req.user;
+    const files = req.files || [];
 
     // Validate input
-    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+    if (files.length === 0 && (!content || typeof content !== 'string' || content.trim().length === 0)) {
       return res.status(400).json({ error: 'content is required' });
     }
 
@@ -57,14 +62,19 @@ router.post('/:ticketId/messages', authMiddleware, async (req, res) => {
       senderId,
       senderRole,
       content,
+      files,
+      messageType: messageType || 'public',
     });
 
     res.status(201).json({ message });
   } catch (error) {
     console.error('Create chat message error:', error);
-    if (error.message === 'Access denied to this ticket') {
+    if (error.message === 'Access denied to this ticket' || error.message === 'Only administrators can post internal notes') {
       return res.status(403).json({ error: 'forbidden', message: error.message });
     }
+    if (error.message.includes('must be') || error.message.includes('is required') || error.message.includes('not allowed')) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
     res.status(500).json({ error: 'internal_error', message: error.message });
   }
 });
@@ -1,18 +1,73 @@
 import express from 'express';
-import { authMiddleware, requireAdmin, requireMaster } from '../middleware/auth.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
 import { generateClientAccount, listAllClients } from '../../services/clients.js';
-import { getCompaniesWithFilters, changeCompanyPassword, generateCompanyPassword, deleteCompany } from '../../services/companies.js';
+import {
+  getCompaniesWithFilters,
+  changeCompanyPassword,
+  generateCompanyPassword,
+  deleteCompany,
+  listDeletedCompanies,
+  restoreCompany,
+  purgeCompany,
+  COMPANY_RETENTION_DAYS,
+} from '../../services/companies.js';
+import {
+  createCompanyContact,
+  listCompanyContacts,
+  updateContact,
+  generateContactPassword,
+  removeContact,
+} from '../../services/contactPersons.js';
+import { listRecoveryRequests, decideRecovery } from '../../services/recovery.js';
+import { getClientById } from '../../models/Client.js';
+import { recordAuditEvent, getAuditContext } from '../../services/audit.js';
 
 const router = express.Router();
 
+/**
+ * Audit target for a company account
+ * @param {object} client - Client object
+ * @returns {{type: string, id: string, label: string}} Audit target
+ */
+function companyAuditTarget(client) {
+  return { type: 'company', id: client.id, label: client.company_name };
+}
+
+/**
+ * Audit target for a contact person
+ * @param {object} contact - Contact person
+ * @returns {{type: string, id: string, label: string}} Audit target
+ */
+function contactAuditTarget(contact) {
+  return { type: 'contact', id: contact.id, label: contact.full_name };
+}
+
+/**
+ * Send the response for a failed contact person request
+ * @param {import('express').Response} res - Express response
+ * @param {Error} error - Error thrown by the contact person service
+ * @param {string} action - What was being done (for the log)
+ */
+function sendContactError(res, error, action) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: 'not_found', message: error.message });
+  }
+  if (/required|must|Invalid/.test(error.message)) {
+    return res.status(400).json({ error: 'validation_error', message: error.message });
+  }
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: 'internal_error', message: error.message });
+}
+
 /**
  * POST /api/clients
- * Generate a new client account (admin only)
- * Body: { company_name: string }
+ * Generate a new client account (permission: companies.create)
+ * Body: { company_name: string, email?: string }
+ * email is the contact address whose inbound emails become tickets
  */
-router.post('/', authMiddleware, requireAdmin, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('companies.create'), async (req, res) => {
   try {
-    const { company_name } = req.body;
+    const { company_name, email } = req.body;
 
     if (!company_name || typeof company_name !== 'string') {
       return res.status(400).json({ error: 'company_name is required' });
@@ -21,14 +76,18 @@ router.post('/', authMiddleware, requireAdmin, async (req, res) => {
     // Generate client account with credentials
     const client = await generateClientAccount(company_name, {
       allowDuplicateCompanyName: true, // Allow multiple clients from same company
+      email,
     });
 
+    await recordAuditEvent(getAuditContext(req), 'company.created', companyAuditTarget(client), { login: client.login });
+
     // Return client with generated password and codephrase (for display in popup)
     res.json({
       client: {
         id: client.id,
         login: client.login,
         company_name: client.company_name,
+        email: client.email,
         created_at: client.created_at,
       },
       credentials: {
@@ -42,15 +101,18 @@ router.post('/', authMiddleware, requireAdmin, async (req, res) => {
     if (error.message.includes('already exists')) {
       return res.status(409).json({ error: error.message });
     }
+    if (error.message.startsWith('Email') || error.message === 'Invalid email format') {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
     res.status(500).json({ error: 'internal_error', message: error.message });
   }
 });
 
 /**
  * GET /api/clients
- * Get all clients (admin only)
+ * Get all clients (permission: companies.view)
  */
-router.get('/', authMiddleware, requireAdmin, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('companies.view'), async (req, res) => {
   try {
     const clients = await listAllClients();
     res.json({ clients });
@@ -62,9 +124,9 @@ router.get('/', authMiddleware, requireAdmin, async (req, res) => {
 
 /**
  * GET /api/companies
- * List all companies with optional filters (master only)
+ * List all companies with optional filters (permission: companies.view)
  */
-router.get('/companies', authMiddleware, requireMaster, async (req, res) => {
+router.get('/companies', authMiddleware, requirePermission('companies.view'), async (req, res) => {
   try {
     const filters = {
       company_name: req.query.company_name,
@@ -85,11 +147,29 @@ router.get('/companies', authMiddleware, requireMaster, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/clients/companies/deleted
+ * List deleted companies that can be restored or purged (permission: companies.view)
+ */
+router.get('/companies/deleted', authMiddleware, requirePermission('companies.view'), async (req, res) => {
+  try {
+    const companies = await listDeletedCompanies();
+    res.json({
+      companies,
+      total_count: companies.length,
+      retention_days: COMPANY_RETENTION_DAYS,
+    });
+  } catch (error) {
+    console.error('Get deleted companies error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
 /**
  * PUT /api/companies/:id/password
- * Change password for a company account (master only)
+ * Change password for a company account (permission: companies.credentials)
  */
-router.put('/companies/:id/password', authMiddleware, requireMaster, async (req, res) => {
+router.put('/companies/:id/password', authMiddleware, requirePermission('companies.credentials'), async (req, res) => {
   try {
     const { id } = req.params;
     const { password } = req.body;
@@ -103,6 +183,8 @@ router.put('/companies/:id/password', authMiddleware, requireMaster, async (req,
     }
     
     const plainPassword = await changeCompanyPassword(id, password);
+    const client = await getClientById(id);
+    await recordAuditEvent(getAuditContext(req), 'company.password_changed', companyAuditTarget(client), { login: client.login });
     
     res.json({
       success: true,
@@ -130,13 +212,15 @@ router.put('/companies/:id/password', authMiddleware, requireMaster, async (req,
 
 /**
  * POST /api/companies/:id/generate-password
- * Generate new password for a company account (master only)
+ * Generate new password for a company account (permission: companies.credentials)
  */
-router.post('/companies/:id/generate-password', authMiddleware, requireMaster, async (req, res) => {
+router.post('/companies/:id/generate-password', authMiddleware, requirePermission('companies.credentials'), async (req, res) => {
   try {
     const { id } = req.params;
     
     const password = await generateCompanyPassword(id);
+    const client = await getClientById(id);
+    await recordAuditEvent(getAuditContext(req), 'company.password_generated', companyAuditTarget(client), { login: client.login });
     
     res.json({
       success: true,
@@ -157,25 +241,48 @@ router.post('/companies/:id/generate-password', authMiddleware, requireMaster, a
 
 /**
  * DELETE /api/clients/companies/:id
- * Delete a company account (master only)
- * This will cascade delete all related tickets and chat messages
+ * Delete a company account (permission: companies.delete)
+ * The company is moved to deleted companies: its users are signed out, while tickets
+ * and chat messages are kept until the company is purged
  */
-router.delete('/companies/:id', authMiddleware, requireMaster, async (req, res) => {
+router.delete('/companies/:id', authMiddleware, requirePermission('companies.delete'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    const deleted = await deleteCompany(id);
+    const { purge_available_at } = await deleteCompany(id, req.user.id);
+    const client = await getClientById(id);
+
+    await recordAuditEvent(getAuditContext(req), 'company.deleted', companyAuditTarget(client), { login: client.login });
     
-    if (!deleted) {
+    res.json({
+      success: true,
+      message: 'Company account deleted successfully',
+      purge_available_at,
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
       return res.status(404).json({
         error: 'not_found',
         message: 'Company account not found',
       });
     }
-    
+    console.error('Delete company error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/clients/companies/:id/restore
+ * Restore a deleted company account (permission: companies.delete)
+ */
+router.post('/companies/:id/restore', authMiddleware, requirePermission('companies.delete'), async (req, res) => {
+  try {
+    const client = await restoreCompany(req.params.id);
+    await recordAuditEvent(getAuditContext(req), 'company.restored', companyAuditTarget(client), { login: client.login });
+
     res.json({
       success: true,
-      message: 'Company account deleted successfully',
+      message: 'Company account restored successfully',
     });
   } catch (error) {
     if (error.message.includes('not found')) {
@@ -184,10 +291,195 @@ router.delete('/companies/:id', authMiddleware, requireMaster, async (req, res)
         message: 'Company account not found',
       });
     }
-    console.error('Delete company error:', error);
+    if (error.message === 'Company is not deleted') {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    console.error('Restore company error:', error);
     res.status(500).json({ error: 'internal_error', message: error.message });
   }
 });
 
-export default router;
+/**
+ * POST /api/clients/companies/:id/purge
+ * Permanently delete a deleted company account with all its tickets and chat messages (permission: companies.purge)
+ * Body: { confirm: string } - the company login, typed again
+ */
+router.post('/companies/:id/purge', authMiddleware, requirePermission('companies.purge'), async (req, res) => {
+  try {
+    const client = await purgeCompany(req.params.id, req.body?.confirm);
+    await recordAuditEvent(getAuditContext(req), 'company.purged', companyAuditTarget(client), {
+      login: client.login,
+      deleted_at: client.deleted_at,
+    });
+
+    res.json({
+      success: true,
+      message: 'Company account purged',
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'Company account not found',
+      });
+    }
+    if (error.message.startsWith('Only deleted') || error.message.startsWith('Confirmation') || error.message.startsWith('Company can be purged')) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    console.error('Purge company error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
 
+/**
+ * GET /api/clients/recovery-requests
+ * List codephrase recovery requests (permission: companies.recovery)
+ * Query: status - 'pending', 'approved', 'denied', 'expired' or 'completed'
+ */
+router.get('/recovery-requests', authMiddleware, requirePermission('companies.recovery'), async (req, res) => {
+  try {
+    const requests = await listRecoveryRequests({ status: req.query.status });
+    res.json({ requests, total_count: requests.length });
+  } catch (error) {
+    if (error.message.startsWith('Status must be')) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    console.error('Get recovery requests error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * Approve or deny a recovery request and audit the decision
+ * @param {import('express').Request} req - Express request (params.id is the request ID)
+ * @param {import('express').Response} res - Express response
+ * @param {boolean} approve - True to approve, false to deny
+ */
+async function handleRecoveryDecision(req, res, approve) {
+  try {
+    const request = await decideRecovery(req.params.id, approve, req.user.id);
+    await recordAuditEvent(
+      getAuditContext(req),
+      approve ? 'recovery.approved' : 'recovery.denied',
+      { type: 'company', id: request.client_id, label: request.company_name },
+      { request_id: request.id, requested_at: request.created_at, ip_address: request.ip_address }
+    );
+
+    res.json({ success: true, request });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'not_found', message: error.message });
+    }
+    if (error.message.startsWith('Recovery request is')) {
+      return res.status(409).json({ error: 'conflict', message: error.message });
+    }
+    console.error('Decide recovery request error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+}
+
+/**
+ * POST /api/clients/recovery-requests/:id/approve
+ * Approve a pending recovery request; the client can then set a new password (permission: companies.recovery)
+ */
+router.post('/recovery-requests/:id/approve', authMiddleware, requirePermission('companies.recovery'), (req, res) => handleRecoveryDecision(req, res, true));
+
+/**
+ * POST /api/clients/recovery-requests/:id/deny
+ * Deny a pending recovery request (permission: companies.recovery)
+ */
+router.post('/recovery-requests/:id/deny', authMiddleware, requirePermission('companies.recovery'), (req, res) => handleRecoveryDecision(req, res, false));
+
+/**
+ * GET /api/clients/companies/:id/contacts
+ * List the named user accounts (contact persons) of a company (permission: companies.view)
+ */
+router.get('/companies/:id/contacts', authMiddleware, requirePermission('companies.view'), async (req, res) => {
+  try {
+    const contacts = await listCompanyContacts(req.params.id);
+    res.json({ contacts, total_count: contacts.length });
+  } catch (error) {
+    sendContactError(res, error, 'List contact persons');
+  }
+});
+
+/**
+ * POST /api/clients/companies/:id/contacts
+ * Add a contact person with a generated login and password (permission: companies.users)
+ * Body: { full_name: string, job_title?: string, email?: string, phone?: string }
+ */
+router.post('/companies/:id/contacts', authMiddleware, requirePermission('companies.users'), async (req, res) => {
+  try {
+    const { password, ...contact } = await createCompanyContact(req.params.id, req.body || {});
+    await recordAuditEvent(getAuditContext(req), 'contact.created', contactAuditTarget(contact), {
+      login: contact.login,
+      company: contact.company_name,
+    });
+
+    // The password is shown once, like the credentials of a new company
+    res.status(201).json({
+      contact,
+      credentials: {
+        username: contact.login,
+        password,
+      },
+    });
+  } catch (error) {
+    sendContactError(res, error, 'Create contact person');
+  }
+});
+
+/**
+ * PATCH /api/clients/companies/:id/contacts/:contactId
+ * Update the name, job title, email or phone of a contact person (permission: companies.users)
+ * Body: { full_name?, job_title?, email?, phone? } - empty optional fields are cleared
+ */
+router.patch('/companies/:id/contacts/:contactId', authMiddleware, requirePermission('companies.users'), async (req, res) => {
+  try {
+    const contact = await updateContact(req.params.id, req.params.contactId, req.body || {});
+    await recordAuditEvent(getAuditContext(req), 'contact.updated', contactAuditTarget(contact), { login: contact.login });
+
+    res.json({ contact });
+  } catch (error) {
+    sendContactError(res, error, 'Update contact person');
+  }
+});
+
+/**
+ * POST /api/clients/companies/:id/contacts/:contactId/generate-password
+ * Generate a new password for a contact person; their sessions end (permission: companies.credentials)
+ */
+router.post('/companies/:id/contacts/:contactId/generate-password', authMiddleware, requirePermission('companies.credentials'), async (req, res) => {
+  try {
+    const { contact, password } = await generateContactPassword(req.params.id, req.params.contactId);
+    await recordAuditEvent(getAuditContext(req), 'contact.password_generated', contactAuditTarget(contact), { login: contact.login });
+
+    res.json({
+      success: true,
+      password,
+      message: 'New password generated successfully',
+    });
+  } catch (error) {
+    sendContactError(res, error, 'Generate contact password');
+  }
+});
+
+/**
+ * DELETE /api/clients/companies/:id/contacts/:contactId
+ * Delete a contact person; their tickets stay with the company (permission: companies.users)
+ */
+router.delete('/companies/:id/contacts/:contactId', authMiddleware, requirePermission('companies.users'), async (req, res) => {
+  try {
+    const contact = await removeContact(req.params.id, req.params.contactId);
+    await recordAuditEvent(getAuditContext(req), 'contact.deleted', contactAuditTarget(contact), { login: contact.login });
+
+    res.json({
+      success: true,
+      message: 'Contact person deleted successfully',
+    });
+  } catch (error) {
+    sendContactError(res, error, 'Delete contact person');
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+import { authMiddleware, requireAdmin, requirePermission } from '../middleware/auth.js';
+import {
+  listContracts,
+  getContract,
+  createContract,
+  updateContract,
+  removeContract,
+  COVERAGE_LEVELS,
+  CONTRACT_EXPIRY_ALERT_DAYS,
+} from '../../services/contracts.js';
+
+const router = express.Router();
+
+/**
+ * Messages thrown by the contract service for invalid input
+ * @type {string[]}
+ */
+const VALIDATION_MESSAGES = ['is required', 'must be', 'must belong', 'cannot be', 'not found'];
+
+/**
+ * Check whether a service error is a validation error
+ * @param {Error} error - Error thrown by the contract service
+ * @returns {boolean} True if the error should be returned as 400
+ */
+function isValidationError(error) {
+  return VALIDATION_MESSAGES.some(fragment => error.message.includes(fragment));
+}
+
+/**
+ * GET /api/contracts
+ * Get service contracts (admin only), optional ?client_id= filter
+ * Response also includes the coverage levels and expiry alert thresholds
+ */
+router.get('/', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const contracts = await listContracts({ client_id: req.query.client_id });
+    res.json({
+      contracts,
+      coverage_levels: COVERAGE_LEVELS,
+      expiry_alert_days: CONTRACT_EXPIRY_ALERT_DAYS,
+    });
+  } catch (error) {
+    console.error('Get contracts error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * GET /api/contracts/:id
+ * Get a service contract (admin only)
+ */
+router.get('/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const contract = await getContract(req.params.id);
+    if (!contract) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    res.json({ contract });
+  } catch (error) {
+    console.error('Get contract error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/contracts
+ * Create a service contract (permission: contracts.manage)
+ * Body: { client_id, contract_number, coverage_level?, response_minutes?, resolution_minutes?,
+ *         start_date, end_date, notes?, equipment_ids? }
+ */
+router.post('/', authMiddleware, requireAdmin, requirePermission('contracts.manage'), async (req, res) => {
+  try {
+    const contract = await createContract(req.body || {});
+    res.status(201).json({ contract });
+  } catch (error) {
+    console.error('Create contract error:', error);
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * PATCH /api/contracts/:id
+ * Update a service contract (permission: contracts.manage)
+ * Body: any field accepted by POST
+ */
+router.patch('/:id', authMiddleware, requireAdmin, requirePermission('contracts.manage'), async (req, res) => {
+  try {
+    const contract = await updateContract(req.params.id, req.body || {});
+    if (!contract) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    res.json({ contract });
+  } catch (error) {
+    console.error('Update contract error:', error);
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/contracts/:id
+ * Delete a service contract (permission: contracts.manage)
+ * Tickets created under the contract keep their coverage flag
+ */
+router.delete('/:id', authMiddleware, requireAdmin, requirePermission('contracts.manage'), async (req, res) => {
+  try {
+    const deleted = await removeContract(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete contract error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+export default router;
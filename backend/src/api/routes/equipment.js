@@ -0,0 +1,157 @@
+import express from 'express';
+import { authMiddleware, requireAdmin, requirePermission } from '../middleware/auth.js';
+import {
+  listEquipment,
+  getEquipment,
+  registerEquipment,
+  updateEquipmentRecord,
+  removeEquipment,
+} from '../../services/equipment.js';
+import { getTicketsBySerialNumber } from '../../services/tickets.js';
+import { determineCoverage } from '../../services/contracts.js';
+import { hasPermission } from '../../services/permissions.js';
+
+const router = express.Router();
+
+/**
+ * Messages thrown by the equipment service for invalid input
+ * @type {string[]}
+ */
+const VALIDATION_MESSAGES = ['is required', 'must be', 'already exists', 'not found'];
+
+/**
+ * Check whether a service error is a validation error
+ * @param {Error} error - Error thrown by the equipment service
+ * @returns {boolean} True if the error should be returned as 400
+ */
+function isValidationError(error) {
+  return VALIDATION_MESSAGES.some(fragment => error.message.includes(fragment));
+}
+
+/**
+ * Check whether the authenticated user may see an equipment record
+ * Administrators see all equipment; clients only their own
+ * @param {object} user - Authenticated user (req.user)
+ * @param {object} equipment - Equipment object
+ * @returns {boolean} True if access is allowed
+ */
+function canAccessEquipment(user, equipment) {
+  return user.role === 'admin' || equipment.client_id === user.id;
+}
+
+/**
+ * GET /api/equipment
+ * Get equipment list
+ * - Clients: their own equipment
+ * - Admins: all equipment, optional ?client_id= and ?search= filters
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const filters = req.user.role === 'client'
+      ? { client_id: req.user.id }
+      : { client_id: req.query.client_id, search: req.query.search?.trim() };
+
+    const equipment = await listEquipment(filters);
+    res.json({ equipment });
+  } catch (error) {
+    console.error('Get equipment error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * GET /api/equipment/:id
+ * Get equipment with every ticket raised against its serial number
+ * and its current warranty/contract coverage
+ * Clients only see their own equipment and their own tickets; administrators without
+ * tickets.view_all only the tickets assigned to them
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const equipment = await getEquipment(req.params.id);
+    if (!equipment || !canAccessEquipment(req.user, equipment)) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    let scope = {};
+    if (req.user.role === 'client') {
+      scope = { clientId: req.user.id };
+    } else if (!(await hasPermission(req.user, 'tickets.view_all'))) {
+      scope = { assignedTo: req.user.id };
+    }
+    const tickets = await getTicketsBySerialNumber(equipment.serial_number, scope);
+
+    const coverage = await determineCoverage(equipment.client_id, equipment.serial_number);
+
+    res.json({
+      equipment,
+      tickets,
+      coverage: {
+        status: coverage.status,
+        contract: coverage.contract,
+      },
+    });
+  } catch (error) {
+    console.error('Get equipment error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/equipment
+ * Register equipment (admin only)
+ * Body: { client_id, serial_number, vendor?, model?, purchase_date?, warranty_end?, location? }
+ */
+router.post('/', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const equipment = await registerEquipment(req.body || {});
+    res.status(201).json({ equipment });
+  } catch (error) {
+    console.error('Create equipment error:', error);
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * PATCH /api/equipment/:id
+ * Update equipment (admin only)
+ * Body: { client_id?, serial_number?, vendor?, model?, purchase_date?, warranty_end?, location? }
+ */
+router.patch('/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const equipment = await updateEquipmentRecord(req.params.id, req.body || {});
+    if (!equipment) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    res.json({ equipment });
+  } catch (error) {
+    console.error('Update equipment error:', error);
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/equipment/:id
+ * Remove equipment from the registry (permission: equipment.delete)
+ * Tickets keep their serial number
+ */
+router.delete('/:id', authMiddleware, requireAdmin, requirePermission('equipment.delete'), async (req, res) => {
+  try {
+    const deleted = await removeEquipment(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete equipment error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+export default router;
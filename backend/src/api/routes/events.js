@@ -0,0 +1,24 @@
+import express from 'express';
+import { authStreamMiddleware } from '../middleware/auth.js';
+import { subscribe } from '../../services/realtime.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/events
+ * Open a server-sent event stream for the authenticated user
+ * Query params: ?token=<jwt> - JWT token (EventSource cannot send Authorization header)
+ * Events: ready, notification, ticket_updated, chat_message
+ */
+router.get('/', authStreamMiddleware, (req, res) => {
+  try {
+    subscribe(req.user, req, res);
+  } catch (error) {
+    console.error('Open event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'internal_error', message: error.message });
+    }
+  }
+});
+
+export default router;
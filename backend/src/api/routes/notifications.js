@@ -1,5 +1,6 @@
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
+import { getAccountId } from '../../services/auth.js';
 import {
   getUnreadNotifications,
   getNotificationsLast24Hours,
@@ -19,7 +20,8 @@ const router = express.Router();
  */
 router.get('/unread', authMiddleware, async (req, res) => {
   try {
-    const { id: userId, role: userRole } = req.user;
+    const { role: userRole } = req.user;
+    const userId = getAccountId(req.user);
     const { since } = req.query;
 
     // Convert since to number if provided
@@ -47,7 +49,8 @@ router.get('/unread', authMiddleware, async (req, res) => {
  */
 router.get('/recent', authMiddleware, async (req, res) => {
   try {
-    const { id: userId, role: userRole } = req.user;
+    const { role: userRole } = req.user;
+    const userId = getAccountId(req.user);
 
     const notifications = await getNotificationsLast24Hours(userId, userRole);
 
@@ -67,7 +70,7 @@ router.get('/recent', authMiddleware, async (req, res) => {
  */
 router.post('/mark-read', authMiddleware, async (req, res) => {
   try {
-    const { id: userId } = req.user;
+    const userId = getAccountId(req.user);
     const { notification_ids } = req.body;
 
     // Validate input
@@ -99,7 +102,8 @@ router.post('/mark-read', authMiddleware, async (req, res) => {
  */
 router.post('/clear-all', authMiddleware, async (req, res) => {
   try {
-    const { id: userId, role: userRole } = req.user;
+    const { role: userRole } = req.user;
+    const userId = getAccountId(req.user);
 
     const success = await deleteAllNotifications(userId, userRole);
 
@@ -120,7 +124,8 @@ router.post('/clear-all', authMiddleware, async (req, res) => {
  */
 router.get('/unread-counts', authMiddleware, async (req, res) => {
   try {
-    const { id: userId, role: userRole } = req.user;
+    const { role: userRole } = req.user;
+    const userId = getAccountId(req.user);
 
     const { getUnreadCountsByTab } = await import('../../services/notifications.js');
     const counts = await getUnreadCountsByTab(userId, userRole);
@@ -138,7 +143,8 @@ router.get('/unread-counts', authMiddleware, async (req, res) => {
  */
 router.get('/preferences', authMiddleware, async (req, res) => {
   try {
-    const { id: userId, role: userRole } = req.user;
+    const { role: userRole } = req.user;
+    const userId = getAccountId(req.user);
 
     const preferences = await getNotificationPreferences(userId, userRole);
 
@@ -160,7 +166,8 @@ router.get('/preferences', authMiddleware, async (req, res) => {
  */
 router.patch('/preferences', authMiddleware, async (req, res) => {
   try {
-    const { id: userId, role: userRole } = req.user;
+    const { role: userRole } = req.user;
+    const userId = getAccountId(req.user);
     const { sound_enabled, sound_volume, notification_types } = req.body;
 
     // Build preferences object with only provided fields
@@ -1,5 +1,21 @@
 import express from 'express';
-import { initiateRecovery, resetPassword } from '../../services/recovery.js';
+import { initiateRecovery, getRecoveryRequestStatus, resetPassword } from '../../services/recovery.js';
+import { getRecoveryThrottleKeys, reserveAttempt, releaseAttempt, recordFailedAttempt } from '../../services/loginThrottle.js';
+import { recordAuditEvent } from '../../services/audit.js';
+
+/**
+ * Audit context of a recovery step
+ * The client proved ownership of the account with the codephrase or recovery token.
+ * @param {import('express').Request} req - Express request
+ * @param {object} client - Client object
+ * @returns {{actor: object, ipAddress: string|null}} Audit context
+ */
+function recoveryAuditContext(req, client) {
+  return {
+    actor: { id: client.id, login: client.login, role: 'client' },
+    ipAddress: req.ip,
+  };
+}
 
 const router = express.Router();
 
@@ -7,8 +23,12 @@ const router = express.Router();
  * POST /api/auth/recovery/initiate
  * Initiate password recovery with codephrase
  * Body: { codephrase: string }
+ * Returns { status: 'approved', recoveryToken, expiresAt }, or if recovery needs a master's
+ * approval { status: 'pending', requestToken, expiresAt } to poll /status with.
+ * Wrong codephrases are throttled per IP address (429 too_many_attempts with retry_after).
  */
 router.post('/initiate', async (req, res) => {
+  let throttle = null;
   try {
     const { codephrase } = req.body;
 
@@ -19,10 +39,39 @@ router.post('/initiate', async (req, res) => {
       });
     }
 
-    const result = await initiateRecovery(codephrase);
+    throttle = await reserveAttempt(getRecoveryThrottleKeys(req.ip));
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        error: 'too_many_attempts',
+        locked: throttle.locked,
+        retry_after: throttle.retryAfter,
+        message: 'Too many attempts. Please try again later',
+      });
+    }
+
+    const result = await initiateRecovery(codephrase, { ipAddress: req.ip });
+    await releaseAttempt(throttle);
+    await recordAuditEvent(
+      recoveryAuditContext(req, result.client),
+      'recovery.initiated',
+      { type: 'company', id: result.client.id, label: result.client.company_name },
+      result.request ? { request_id: result.request.id, approval_required: true } : null
+    );
+
+    if (result.status === 'pending') {
+      return res.json({
+        success: true,
+        status: 'pending',
+        requestToken: result.requestToken,
+        expiresAt: result.expiresAt,
+        message: 'Recovery request is waiting for approval',
+      });
+    }
 
     res.json({
       success: true,
+      status: 'approved',
       recoveryToken: result.recoveryToken,
       expiresAt: result.expiresAt,
       message: 'Recovery initiated successfully',
@@ -32,6 +81,7 @@ router.post('/initiate', async (req, res) => {
     console.error('Error stack:', error.stack);
     
     if (error.message === 'Invalid codephrase format') {
+      await releaseAttempt(throttle);
       return res.status(400).json({
         error: 'Invalid codephrase format',
         message: 'Codephrase must be in format WORD-WORD-NUMBER',
@@ -39,6 +89,11 @@ router.post('/initiate', async (req, res) => {
     }
     
     if (error.message === 'Invalid codephrase') {
+      try {
+        await recordFailedAttempt(throttle, req.ip);
+      } catch (throttleError) {
+        console.error('Failed to record recovery attempt:', throttleError);
+      }
       return res.status(404).json({
         error: 'Invalid codephrase',
         message: 'The codephrase you entered is not valid',
@@ -53,6 +108,31 @@ router.post('/initiate', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/recovery/status
+ * State of a recovery request waiting for approval
+ * Body: { requestToken: string }
+ * Returns { status, expiresAt } and, once approved, recoveryToken for /reset
+ */
+router.post('/status', async (req, res) => {
+  try {
+    const result = await getRecoveryRequestStatus(req.body?.requestToken);
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Invalid request token') {
+      return res.status(404).json({
+        error: 'Invalid request token',
+        message: 'Recovery request not found',
+      });
+    }
+    console.error('Recovery status error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Unable to check recovery request',
+    });
+  }
+});
+
 /**
  * POST /api/auth/recovery/reset
  * Reset password using recovery token
@@ -105,7 +185,12 @@ router.post('/reset', async (req, res) => {
       });
     }
 
-    await resetPassword(recoveryToken, newPassword);
+    const result = await resetPassword(recoveryToken, newPassword);
+    await recordAuditEvent(recoveryAuditContext(req, result.client), 'recovery.password_reset', {
+      type: 'company',
+      id: result.client.id,
+      label: result.client.company_name,
+    });
 
     res.json({
       success: true,
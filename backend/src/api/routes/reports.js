@@ -0,0 +1,43 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { hasPermission } from '../../services/permissions.js';
+import { parseReportQuery, generateReport } from '../../services/reports.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/reports
+ * Download a ticket report (tickets submitted in the period, oldest first)
+ * - Clients: their company's tickets
+ * - Admins: all tickets with tickets.view_all (optionally one company or engineer),
+ *   otherwise only tickets assigned to them
+ * Query: format (pdf, xlsx or csv; default pdf), lang (en or ru), tz (IANA time zone for dates),
+ *        date_from, date_to (Unix seconds), status, job_title, client_full_name,
+ *        assigned_engineer_id, company (admins only; exact company name)
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const request = parseReportQuery(req.query, { isAdmin });
+
+    const scope = {};
+    if (!isAdmin) {
+      scope.clientId = req.user.id;
+    } else if (!(await hasPermission(req.user, 'tickets.view_all'))) {
+      scope.assignedTo = req.user.id;
+    }
+
+    const report = await generateReport(request, scope);
+    res.setHeader('Content-Type', report.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${report.filename}"`);
+    res.send(report.content);
+  } catch (error) {
+    console.error('Generate report error:', error);
+    if (error.message.includes('must be') || error.message.includes('narrow the filters')) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,108 @@
+import express from 'express';
+import { authMiddleware, requireAdmin, requireMaster } from '../middleware/auth.js';
+import { listRoles, createRole, updateRole, deleteRole } from '../../services/roles.js';
+import { recordAuditEvent, getAuditContext } from '../../services/audit.js';
+
+const router = express.Router();
+
+/**
+ * Audit target for a role
+ * @param {object} role - Role
+ * @returns {{type: string, id: string, label: string}} Audit target
+ */
+function roleAuditTarget(role) {
+  return { type: 'role', id: role.id, label: role.name };
+}
+
+/**
+ * Send the response for an error thrown by the role service
+ * @param {import('express').Response} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} action - What was being done (for the log)
+ */
+function sendRoleError(res, error, action) {
+  if (error.message === 'Role not found') {
+    return res.status(404).json({ error: 'not_found', message: error.message });
+  }
+  if (error.message === 'Role already exists') {
+    return res.status(409).json({ error: 'conflict', message: error.message });
+  }
+  if (/required|must|Unknown permission|cannot be deleted|cannot be renamed/.test(error.message)) {
+    return res.status(400).json({ error: 'validation_error', message: error.message });
+  }
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: 'internal_error', message: error.message });
+}
+
+/**
+ * GET /api/roles
+ * Roles with their permissions and the catalogue of permissions (admin only)
+ * Returns: { roles: [{ id, name, description, is_system, admin_count, permissions }], permissions: [{ key, group }] }
+ */
+router.get('/', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    res.json(await listRoles());
+  } catch (error) {
+    sendRoleError(res, error, 'Get roles');
+  }
+});
+
+/**
+ * POST /api/roles
+ * Create a role (master accounts only)
+ * Body: { name: string, description?: string, permissions?: string[] }
+ */
+router.post('/', authMiddleware, requireAdmin, requireMaster, async (req, res) => {
+  try {
+    const role = await createRole(req.body || {});
+    await recordAuditEvent(getAuditContext(req), 'role.created', roleAuditTarget(role), { permissions: role.permissions });
+    res.status(201).json({ role });
+  } catch (error) {
+    sendRoleError(res, error, 'Create role');
+  }
+});
+
+/**
+ * PATCH /api/roles/:id
+ * Rename a role or replace its permissions (master accounts only)
+ * Body: { name?: string, description?: string, permissions?: string[] } - system roles take permissions only
+ * Takes effect immediately for every administrator with the role.
+ */
+router.patch('/:id', authMiddleware, requireAdmin, requireMaster, async (req, res) => {
+  try {
+    const { role, previous } = await updateRole(req.params.id, req.body || {});
+    const details = {};
+    if (role.name !== previous.name) {
+      details.name = { from: previous.name, to: role.name };
+    }
+    const granted = role.permissions.filter(permission => !previous.permissions.includes(permission));
+    const revoked = previous.permissions.filter(permission => !role.permissions.includes(permission));
+    if (granted.length > 0) {
+      details.granted = granted;
+    }
+    if (revoked.length > 0) {
+      details.revoked = revoked;
+    }
+    await recordAuditEvent(getAuditContext(req), 'role.updated', roleAuditTarget(role), details);
+
+    res.json({ role });
+  } catch (error) {
+    sendRoleError(res, error, 'Update role');
+  }
+});
+
+/**
+ * DELETE /api/roles/:id
+ * Delete a custom role; its administrators get the default role (master accounts only)
+ */
+router.delete('/:id', authMiddleware, requireAdmin, requireMaster, async (req, res) => {
+  try {
+    const role = await deleteRole(req.params.id);
+    await recordAuditEvent(getAuditContext(req), 'role.deleted', roleAuditTarget(role), { permissions: role.permissions });
+    res.json({ success: true });
+  } catch (error) {
+    sendRoleError(res, error, 'Delete role');
+  }
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { hasPermission } from '../../services/permissions.js';
+import { search } from '../../services/search.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/search
+ * Full-text search over ticket descriptions, serial numbers and chat messages
+ * - Clients: their company's tickets and public messages only
+ * - Admins: internal notes included; without tickets.view_all only tickets assigned to them
+ * Query: q (at least 2 characters; words are matched as prefixes and must all occur),
+ *        limit (results per group, default 20, max 50)
+ * Returns: { query, tickets: [...], messages: [...] }, each result with snippet: [{ text, match }]
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const scope = {};
+    if (req.user.role === 'client') {
+      scope.clientId = req.user.id;
+      scope.includeInternal = false;
+    } else {
+      scope.includeInternal = true;
+      if (!(await hasPermission(req.user, 'tickets.view_all'))) {
+        scope.assignedTo = req.user.id;
+      }
+    }
+
+    res.json(await search(req.query.q, scope, { limit: req.query.limit }));
+  } catch (error) {
+    if (/^Search query/.test(error.message)) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+export default router;
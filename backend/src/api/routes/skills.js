@@ -0,0 +1,93 @@
+import express from 'express';
+import { authMiddleware, requireAdmin, requirePermission } from '../middleware/auth.js';
+import { listSkills, createNewSkill, updateExistingSkill, removeSkill } from '../../services/skills.js';
+
+const router = express.Router();
+
+/**
+ * Messages thrown by the skill service for invalid input
+ * @type {string[]}
+ */
+const VALIDATION_MESSAGES = ['is required', 'must be', 'already exists'];
+
+/**
+ * Check whether a service error is a validation error
+ * @param {Error} error - Error thrown by the skill service
+ * @returns {boolean} True if the error should be returned as 400
+ */
+function isValidationError(error) {
+  return VALIDATION_MESSAGES.some(fragment => error.message.includes(fragment));
+}
+
+/**
+ * GET /api/skills
+ * Get skill catalog (admin only)
+ */
+router.get('/', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const skills = await listSkills();
+    res.json({ skills });
+  } catch (error) {
+    console.error('Get skills error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/skills
+ * Create skill (permission: skills.manage)
+ * Body: { name, category?, serial_prefixes? }
+ */
+router.post('/', authMiddleware, requireAdmin, requirePermission('skills.manage'), async (req, res) => {
+  try {
+    const skill = await createNewSkill(req.body || {});
+    res.status(201).json({ skill });
+  } catch (error) {
+    console.error('Create skill error:', error);
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * PATCH /api/skills/:id
+ * Update skill (permission: skills.manage)
+ * Body: { name?, category?, serial_prefixes? }
+ */
+router.patch('/:id', authMiddleware, requireAdmin, requirePermission('skills.manage'), async (req, res) => {
+  try {
+    const skill = await updateExistingSkill(req.params.id, req.body || {});
+    if (!skill) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    res.json({ skill });
+  } catch (error) {
+    console.error('Update skill error:', error);
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/skills/:id
+ * Delete skill (permission: skills.manage)
+ * Administrators lose the skill; tickets requiring it no longer require a skill
+ */
+router.delete('/:id', authMiddleware, requireAdmin, requirePermission('skills.manage'), async (req, res) => {
+  try {
+    const deleted = await removeSkill(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete skill error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,118 @@
+import express from 'express';
+import { authMiddleware, requireAdmin, requirePermission } from '../middleware/auth.js';
+import { listSlaPolicies, createPolicy, updatePolicy, removePolicy, getSlaWarningSeconds } from '../../services/sla.js';
+
+const router = express.Router();
+
+/**
+ * Messages thrown by the SLA service for invalid input
+ * @type {string[]}
+ */
+const VALIDATION_MESSAGES = ['is required', 'must be', 'already exists', 'cannot be'];
+
+/**
+ * Check whether a service error is a validation error
+ * @param {Error} error - Error thrown by the SLA service
+ * @returns {boolean} True if the error should be returned as 400
+ */
+function isValidationError(error) {
+  return VALIDATION_MESSAGES.some(fragment => error.message.includes(fragment));
+}
+
+/**
+ * Parse policy ID from route params
+ * @param {string} value - Raw route param
+ * @returns {number|null} Policy ID or null if invalid
+ */
+function parsePolicyId(value) {
+  const policyId = parseInt(value, 10);
+  return Number.isInteger(policyId) && policyId > 0 ? policyId : null;
+}
+
+/**
+ * GET /api/sla/policies
+ * Get all SLA policies (admin only)
+ * Response also includes the "breaching soon" warning window in seconds
+ */
+router.get('/policies', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const policies = await listSlaPolicies();
+    res.json({ policies, warning_seconds: getSlaWarningSeconds() });
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * POST /api/sla/policies
+ * Create SLA policy (permission: sla.manage)
+ * Body: { name, company_name?, priority?, response_minutes, resolution_minutes }
+ */
+router.post('/policies', authMiddleware, requireAdmin, requirePermission('sla.manage'), async (req, res) => {
+  try {
+    const policy = await createPolicy(req.body || {});
+    res.status(201).json({ policy });
+  } catch (error) {
+    console.error('Create SLA policy error:', error);
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * PATCH /api/sla/policies/:id
+ * Update SLA policy (permission: sla.manage)
+ * Body: { name?, company_name?, priority?, response_minutes?, resolution_minutes? }
+ */
+router.patch('/policies/:id', authMiddleware, requireAdmin, requirePermission('sla.manage'), async (req, res) => {
+  try {
+    const policyId = parsePolicyId(req.params.id);
+    if (!policyId) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    const policy = await updatePolicy(policyId, req.body || {});
+    if (!policy) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    res.json({ policy });
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/sla/policies/:id
+ * Delete SLA policy (permission: sla.manage, the default policy cannot be deleted)
+ */
+router.delete('/policies/:id', authMiddleware, requireAdmin, requirePermission('sla.manage'), async (req, res) => {
+  try {
+    const policyId = parsePolicyId(req.params.id);
+    if (!policyId) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    const deleted = await removePolicy(policyId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    if (isValidationError(error)) {
+      return res.status(400).json({ error: 'validation_error', message: error.message });
+    }
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
+export default router;
@@ -1,20 +1,27 @@
 import express from 'express';
-import { authMiddleware, requireClient, requireAdmin, requireMaster } from '../middleware/auth.js';
-import { createNewTicket, getClientTickets, getAllTicketsForAdmin, updateTicketStatus, getTicket, getUniqueCompanies, getArchivedTickets, restoreTicket, getClientTicketsForReport, getClientArchivedTickets } from '../../services/tickets.js';
+import { authMiddleware, requireClient, requireAdmin, requirePermission } from '../middleware/auth.js';
+import { hasPermission, canAccessTicket } from '../../services/permissions.js';
+import { createNewTicket, listTickets, parseTicketListQuery, updateTicketStatus, getTicket, getUniqueCompanies, restoreTicket } from '../../services/tickets.js';
 import { getAdministratorById } from '../../models/Administrator.js';
+import { getContactPersonById } from '../../models/ContactPerson.js';
 import { createNotificationEvent } from '../../services/notifications.js';
+import { saveAttachments } from '../../services/attachments.js';
+import { uploadAttachments } from '../middleware/upload.js';
+import { recordAuditEvent, getAuditContext } from '../../services/audit.js';
 
 const router = express.Router();
 
 /**
  * POST /api/tickets
  * Create a new ticket (client only)
- * Body: { serial_number, problem_description, job_title, client_full_name }
+ * Body: { serial_number, problem_description, job_title, client_full_name, priority?, category? }
+ * JSON, or multipart/form-data with the same fields plus files in "attachments"
  * Note: company_name is automatically retrieved from authenticated client account
+ * Tickets of contact persons are linked to them; job_title and client_full_name default to their profile
  */
-router.post('/', authMiddleware, requireClient, async (req, res) => {
+router.post('/', authMiddleware, requireClient, uploadAttachments, async (req, res) => {
   try {
-    const { serial_number, problem_description, job_title, client_full_name } = req.body;
+    const { serial_number, problem_description, job_title, client_full_name, priority, category } = req.body;
 
     // Get client ID from authenticated user
     const clientId = req.user.id;
@@ -29,14 +36,20 @@ router.post('/', authMiddleware, requireClient, async (req, res) => {
 
     const company_name = client.company_name;
 
+    // Contact persons submit under their own name unless the form says otherwise
+    const contact = req.user.contact_id ? await getContactPersonById(req.user.contact_id) : null;
+
     // Create ticket (automatic assignment happens in service)
     const ticket = await createNewTicket({
       clientId,
+      contactId: contact?.id || null,
       serial_number,
       problem_description,
-      job_title,
-      client_full_name,
+      job_title: job_title || contact?.job_title,
+      client_full_name: client_full_name || contact?.full_name,
       company_name,
+      priority: priority || undefined,
+      category: category || undefined,
     });
 
     // Enrich with assigned engineer display name if assigned
@@ -47,7 +60,26 @@ router.post('/', authMiddleware, requireClient, async (req, res) => {
       ticket.assigned_engineer_name = null;
     }
 
-    res.status(201).json({ ticket });
+    // The ticket already exists at this point, so a storage failure is reported
+    // alongside it instead of failing the request (which would invite a duplicate)
+    let attachments = [];
+    let attachmentError = null;
+    if (req.files?.length > 0) {
+      try {
+        attachments = await saveAttachments({
+          ticketId: ticket.id,
+          uploaderId: clientId,
+          uploaderRole: 'client',
+          files: req.files,
+        });
+      } catch (attachmentSaveError) {
+        console.error('Error saving ticket attachments:', attachmentSaveError);
+        attachmentError = attachmentSaveError.message;
+      }
+    }
+    ticket.attachments = attachments;
+
+    res.status(201).json(attachmentError ? { ticket, attachment_error: attachmentError } : { ticket });
   } catch (error) {
     console.error('Create ticket error:', error);
     if (error.message.includes('required') || error.message.includes('must be')) {
@@ -57,95 +89,95 @@ router.post('/', authMiddleware, requireClient, async (req, res) => {
   }
 });
 
+/**
+ * Parse the ?since parameter of a ticket list request
+ * @param {object} query - Request query
+ * @returns {number|undefined|null} Timestamp, undefined if absent, null if invalid
+ */
+function parseSince(query) {
+  if (!query.since) {
+    return undefined;
+  }
+  const since = parseInt(query.since, 10);
+  return isNaN(since) || since < 0 ? null : since;
+}
+
+/**
+ * Send a page or delta of a ticket list
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {string} view - 'active' or 'archive'
+ * @param {Function} buildOptions - Returns { scope, filters } for the authenticated user
+ */
+async function sendTicketList(req, res, view, buildOptions) {
+  const since = parseSince(req.query);
+  if (since === null) {
+    return res.status(400).json({ error: 'invalid_since_parameter' });
+  }
+
+  let page;
+  try {
+    page = parseTicketListQuery(req.query, view);
+  } catch (error) {
+    return res.status(400).json({ error: 'validation_error', message: error.message });
+  }
+
+  const { scope, filters } = await buildOptions();
+  return res.json(await listTickets({ view, scope, filters, page, since }));
+}
+
 /**
  * GET /api/tickets
- * Get tickets - filtered by user role
+ * Get active (not closed) tickets - filtered by user role
  * - Clients: see only their own tickets
- * - Admins: see all tickets with optional filters
+ * - Admins: see all tickets with optional filters (only assigned ones without tickets.view_all)
+ * Query: limit (default 50, max 200), offset, sort (submitted|updated|eta|company|assignee),
+ *        order (asc|desc, default desc), since (sync_cursor of the previous response: return changes instead of a page),
+ *        admin filters: status, assigned_to, company_name, start_date, end_date, my_tickets_only,
+ *        breaching_soon, priority, category
+ * Returns: { tickets, total, limit, offset, sort, order, sync_cursor }, or with since
+ *          { tickets, total, deleted_ids, archived_ids, removed_ids, sync_cursor } (see listTickets)
  */
 router.get('/', authMiddleware, async (req, res) => {
   try {
     // If client, return only their active tickets (excludes closed tickets)
     if (req.user.role === 'client') {
-      const clientId = req.user.id;
-      
-      // Parse ?since parameter for polling
-      const sinceTimestamp = req.query.since ? parseInt(req.query.since, 10) : undefined;
-      if (req.query.since && (isNaN(sinceTimestamp) || sinceTimestamp < 0)) {
-        return res.status(400).json({ error: 'invalid_since_parameter' });
-      }
-      
-      const tickets = await getClientTickets(clientId, sinceTimestamp);
-      
-      // Enrich tickets with administrator display names if assigned
-      const { getAllAdministrators } = await import('../../models/Administrator.js');
-      const admins = await getAllAdministrators();
-      const adminMap = new Map(admins.map(a => [a.id, a.display_name || a.login]));
-
-      const enrichedTickets = tickets.map(ticket => ({
-        ...ticket,
-        assigned_engineer_name: ticket.assigned_engineer_id ? adminMap.get(ticket.assigned_engineer_id) || null : null,
+      return await sendTicketList(req, res, 'active', async () => ({
+        scope: { clientId: req.user.id },
+        filters: {},
       }));
-
-      return res.json({ tickets: enrichedTickets });
     }
 
     // If admin, return all tickets with optional filters
     if (req.user.role === 'admin') {
-      // Check if this is a master account
-      const { isMasterAccount } = await import('../../models/Administrator.js');
-      const isMaster = await isMasterAccount(req.user.id);
-      
-      // Parse ?since parameter for polling
-      const sinceTimestamp = req.query.since ? parseInt(req.query.since, 10) : undefined;
-      if (req.query.since && (isNaN(sinceTimestamp) || sinceTimestamp < 0)) {
-        return res.status(400).json({ error: 'invalid_since_parameter' });
-      }
-
-      const filters = {
-        since: sinceTimestamp,
-        status: req.query.status,
-        assigned_to: req.query.assigned_to,
-        company_name: req.query.company_name,
-        start_date: req.query.start_date ? parseInt(req.query.start_date, 10) : undefined,
-        end_date: req.query.end_date ? parseInt(req.query.end_date, 10) : undefined,
-        my_tickets_only: req.query.my_tickets_only === 'true',
-        assigned_to_me: req.query.my_tickets_only === 'true' ? req.user.id : undefined,
-      };
-
-      // AUTOMATIC FILTERING FOR REGULAR ADMINISTRATORS (Feature 7: Admin Management Visibility Control)
-      // Regular administrators (non-master accounts) should only see tickets assigned to them.
-      // This backend enforcement ensures security - regular admins cannot bypass this filtering
-      // by manipulating query parameters. Master accounts bypass this automatic filtering
-      // and can see all tickets with full filter control.
-      if (!isMaster) {
-        // Force filter to current admin's ID, overriding any assigned_to parameter
-        filters.assigned_to = req.user.id;
-        // Remove redundant filters that are no longer needed with automatic filtering
-        delete filters.my_tickets_only;
-        delete filters.assigned_to_me;
-      }
-
-      // Remove undefined values
-      Object.keys(filters).forEach(key => {
-        if (filters[key] === undefined) {
-          delete filters[key];
+      return await sendTicketList(req, res, 'active', async () => {
+        const filters = {
+          status: req.query.status,
+          assigned_to: req.query.assigned_to,
+          company_name: req.query.company_name,
+          start_date: req.query.start_date ? parseInt(req.query.start_date, 10) : undefined,
+          end_date: req.query.end_date ? parseInt(req.query.end_date, 10) : undefined,
+          my_tickets_only: req.query.my_tickets_only === 'true',
+          assigned_to_me: req.query.my_tickets_only === 'true' ? req.user.id : undefined,
+          breaching_soon: req.query.breaching_soon === 'true' ? true : undefined,
+          priority: req.query.priority,
+          category: req.query.category,
+        };
+
+        // AUTOMATIC FILTERING FOR REGULAR ADMINISTRATORS (Feature 7: Admin Management Visibility Control)
+        // Administrators without the tickets.view_all permission should only see tickets assigned
+        // to them. This backend enforcement ensures security - they cannot bypass this filtering
+        // by manipulating query parameters. Master accounts and roles with tickets.view_all bypass
+        // this automatic filtering and can see all tickets with full filter control.
+        if (!(await hasPermission(req.user, 'tickets.view_all'))) {
+          delete filters.assigned_to;
+          delete filters.my_tickets_only;
+          delete filters.assigned_to_me;
+          return { scope: { assignedTo: req.user.id }, filters };
         }
-      });
 
-      const tickets = await getAllTicketsForAdmin(filters);
-      
-      // Enrich tickets with administrator display names if assigned
-      const { getAllAdministrators } = await import('../../models/Administrator.js');
-      const admins = await getAllAdministrators();
-      const adminMap = new Map(admins.map(a => [a.id, a.display_name || a.login]));
-
-      const enrichedTickets = tickets.map(ticket => ({
-        ...ticket,
-        assigned_engineer_name: ticket.assigned_engineer_id ? adminMap.get(ticket.assigned_engineer_id) || null : null,
-      }));
-
-      return res.json({ tickets: enrichedTickets });
+        return { scope: {}, filters };
+      });
     }
 
     // Should not reach here due to middleware, but handle anyway
@@ -170,145 +202,37 @@ router.get('/companies', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
-/**
- * GET /api/tickets/reports
- * Get filtered tickets for client report generation (client only)
- * Query params: date_from, date_to, status, job_title, client_full_name, assigned_engineer_id
- */
-router.get('/reports', authMiddleware, requireClient, async (req, res) => {
-  try {
-    const clientId = req.user.id;
-
-    // Parse and validate query parameters
-    const filters = {};
-
-    // Parse date_from timestamp
-    if (req.query.date_from) {
-      const dateFrom = parseInt(req.query.date_from, 10);
-      if (isNaN(dateFrom) || dateFrom < 0) {
-        return res.status(400).json({ error: 'invalid_timestamp', message: 'date_from must be a valid Unix timestamp' });
-      }
-      filters.date_from = dateFrom;
-    }
-
-    // Parse date_to timestamp
-    if (req.query.date_to) {
-      const dateTo = parseInt(req.query.date_to, 10);
-      if (isNaN(dateTo) || dateTo < 0) {
-        return res.status(400).json({ error: 'invalid_timestamp', message: 'date_to must be a valid Unix timestamp' });
-      }
-      filters.date_to = dateTo;
-    }
-
-    // Validate date range
-    if (filters.date_from && filters.date_to && filters.date_from > filters.date_to) {
-      return res.status(400).json({ error: 'invalid_date_range', message: 'Date \'from\' must be before or equal to date \'to\'' });
-    }
-
-    // Parse status
-    if (req.query.status) {
-      const validStatuses = ['new', 'in_progress', 'waiting_for_client', 'resolved', 'closed', 'all'];
-      if (!validStatuses.includes(req.query.status)) {
-        return res.status(400).json({ error: 'invalid_status', message: 'Status must be one of: ' + validStatuses.join(', ') });
-      }
-      filters.status = req.query.status;
-    }
-
-    // Parse job_title (text filter)
-    if (req.query.job_title) {
-      filters.job_title = req.query.job_title.trim();
-    }
-
-    // Parse client_full_name (text filter)
-    if (req.query.client_full_name) {
-      filters.client_full_name = req.query.client_full_name.trim();
-    }
-
-    // Parse assigned_engineer_id
-    if (req.query.assigned_engineer_id) {
-      filters.assigned_engineer_id = req.query.assigned_engineer_id.trim();
-    }
-
-    // Get filtered tickets
-    const result = await getClientTicketsForReport(clientId, filters);
-
-    // Enrich tickets with administrator display names if assigned
-    const { getAllAdministrators } = await import('../../models/Administrator.js');
-    const admins = await getAllAdministrators();
-    const adminMap = new Map(admins.map(a => [a.id, a.display_name || a.login]));
-
-    const enrichedTickets = result.tickets.map(ticket => ({
-      ...ticket,
-      assigned_engineer_name: ticket.assigned_engineer_id ? adminMap.get(ticket.assigned_engineer_id) || null : null,
-    }));
-
-    res.json({
-      tickets: enrichedTickets,
-      total_count: result.total_count,
-      filters_applied: result.filters_applied,
-    });
-  } catch (error) {
-    console.error('Get reports error:', error);
-    res.status(500).json({ error: 'internal_error', message: error.message });
-  }
-});
-
 /**
  * GET /api/tickets/archive
  * Get archived tickets (closed tickets only)
  * - Clients: see only their own archived tickets
  * - Regular admins: see only tickets assigned to them
- * - Master accounts: see all archived tickets
+ * - Master accounts and roles with tickets.view_all: see all archived tickets (optional assigned_to filter)
+ * Query: limit, offset, sort, order, since - as for GET /api/tickets (default sort: updated)
+ * Returns: { tickets, total, limit, offset, sort, order, sync_cursor }, or with since
+ *          { tickets, total, deleted_ids, restored_ids, removed_ids, sync_cursor } (see listTickets)
  */
 router.get('/archive', authMiddleware, async (req, res) => {
   try {
-    // Parse ?since parameter for polling
-    const sinceTimestamp = req.query.since ? parseInt(req.query.since, 10) : undefined;
-    if (req.query.since && (isNaN(sinceTimestamp) || sinceTimestamp < 0)) {
-      return res.status(400).json({ error: 'invalid_since_parameter' });
-    }
-
-    let tickets = [];
-    
     // If client, return only their archived tickets
     if (req.user.role === 'client') {
-      const clientId = req.user.id;
-      tickets = await getClientArchivedTickets(clientId, sinceTimestamp);
-    } 
-    // If admin, use existing archive logic
-    else if (req.user.role === 'admin') {
-      // Check if this is a master account
-      const { isMasterAccount } = await import('../../models/Administrator.js');
-      const isMaster = await isMasterAccount(req.user.id);
-
-      const filters = {
-        since: sinceTimestamp,
-        assigned_to: req.query.assigned_to,
-      };
-
-      // Remove undefined values
-      Object.keys(filters).forEach(key => {
-        if (filters[key] === undefined) {
-          delete filters[key];
+      return await sendTicketList(req, res, 'archive', async () => ({
+        scope: { clientId: req.user.id },
+        filters: {},
+      }));
+    }
+
+    if (req.user.role === 'admin') {
+      return await sendTicketList(req, res, 'archive', async () => {
+        // Role-based filtering: regular admins see only their tickets, masters and tickets.view_all see all
+        if (!(await hasPermission(req.user, 'tickets.view_all'))) {
+          return { scope: { assignedTo: req.user.id }, filters: {} };
         }
+        return { scope: {}, filters: { assigned_to: req.query.assigned_to } };
       });
-
-      tickets = await getArchivedTickets(filters, req.user.id, isMaster);
-    } else {
-      return res.status(403).json({ error: 'forbidden' });
     }
-    
-    // Enrich tickets with administrator display names if assigned
-    const { getAllAdministrators } = await import('../../models/Administrator.js');
-    const admins = await getAllAdministrators();
-    const adminMap = new Map(admins.map(a => [a.id, a.display_name || a.login]));
-
-    const enrichedTickets = tickets.map(ticket => ({
-      ...ticket,
-      assigned_engineer_name: ticket.assigned_engineer_id ? adminMap.get(ticket.assigned_engineer_id) || null : null,
-    }));
 
-    return res.json({ tickets: enrichedTickets });
+    return res.status(403).json({ error: 'forbidden' });
   } catch (error) {
     console.error('Get archive error:', error);
     res.status(500).json({ error: 'internal_error', message: error.message });
@@ -319,7 +243,7 @@ router.get('/archive', authMiddleware, async (req, res) => {
  * GET /api/tickets/:id
  * Get a single ticket by ID
  * - Clients can only access their own tickets
- * - Admins can access any ticket
+ * - Admins can access any ticket with tickets.view_all, otherwise only tickets assigned to them
  */
 router.get('/:id', authMiddleware, async (req, res) => {
   try {
@@ -331,8 +255,8 @@ router.get('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'not_found' });
     }
 
-    // Clients can only access their own tickets
-    if (req.user.role === 'client' && ticket.client_id !== req.user.id) {
+    // Clients can only access their own tickets, administrators the ones within their scope
+    if (!(await canAccessTicket(req.user, ticket))) {
       return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -352,15 +276,45 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tickets/:id/history
+ * Get change history (audit timeline) for a ticket
+ * Clients can only view history of their own tickets, administrators of tickets within their scope
+ */
+router.get('/:id/history', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const ticket = await getTicket(id);
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+
+    // Clients can only access their own tickets, administrators the ones within their scope
+    if (!(await canAccessTicket(req.user, ticket))) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const { getTicketHistory } = await import('../../services/ticketHistory.js');
+    const history = await getTicketHistory(id);
+
+    res.json({ history });
+  } catch (error) {
+    console.error('Get ticket history error:', error);
+    res.status(500).json({ error: 'internal_error', message: error.message });
+  }
+});
+
 /**
  * PATCH /api/tickets/:id
- * Update ticket (admin only)
- * Body: { status?, assigned_engineer_id?, estimated_completion_at? }
+ * Update ticket (admin only, tickets within the administrator's scope)
+ * Body: { status?, assigned_engineer_id?, estimated_completion_at?, priority?, category? }
+ * Changing the assignee needs tickets.assign; reopening a closed ticket needs tickets.restore.
  */
 router.patch('/:id', authMiddleware, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, assigned_engineer_id, estimated_completion_at } = req.body;
+    const { status, assigned_engineer_id, estimated_completion_at, priority, category } = req.body;
 
     // Check if ticket exists
     const { getTicket } = await import('../../services/tickets.js');
@@ -368,12 +322,35 @@ router.patch('/:id', authMiddleware, requireAdmin, async (req, res) => {
     if (!existingTicket) {
       return res.status(404).json({ error: 'not_found' });
     }
+    if (!(await canAccessTicket(req.user, existingTicket))) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+
+    // The same permissions as the dedicated assign and restore endpoints
+    const requiredPermissions = [];
+    if (assigned_engineer_id !== undefined && (assigned_engineer_id || null) !== existingTicket.assigned_engineer_id) {
+      requiredPermissions.push('tickets.assign');
+    }
+    if (status !== undefined && existingTicket.status === 'closed' && status !== 'closed') {
+      requiredPermissions.push('tickets.restore');
+    }
+    for (const permission of requiredPermissions) {
+      if (!(await hasPermission(req.user, permission))) {
+        return res.status(403).json({ error: 'forbidden', message: `Permission required: ${permission}`, permission });
+      }
+    }
 
     // Build updates object (only include provided fields)
     const updates = {};
     if (status !== undefined) {
       updates.status = status;
     }
+    if (priority !== undefined) {
+      updates.priority = priority;
+    }
+    if (category !== undefined) {
+      updates.category = category;
+    }
     if (assigned_engineer_id !== undefined) {
       updates.assigned_engineer_id = assigned_engineer_id || null;
       
@@ -417,7 +394,7 @@ router.patch('/:id', authMiddleware, requireAdmin, async (req, res) => {
     }
 
     // Update ticket
-    const updatedTicket = await updateTicketStatus(id, updates);
+    const updatedTicket = await updateTicketStatus(id, updates, req.user);
 
     // Enrich with administrator display name if assigned
     if (updatedTicket.assigned_engineer_id) {
@@ -429,7 +406,7 @@ router.patch('/:id', authMiddleware, requireAdmin, async (req, res) => {
     res.json({ ticket: updatedTicket });
   } catch (error) {
     console.error('Update ticket error:', error);
-    if (error.message.includes('Invalid status') || error.message.includes('Invalid date')) {
+    if (error.message.includes('Invalid status') || error.message.includes('Invalid date') || error.message.includes('must be one of')) {
       return res.status(400).json({ error: 'validation_error', message: error.message });
     }
     res.status(500).json({ error: 'internal_error', message: error.message });
@@ -438,10 +415,10 @@ router.patch('/:id', authMiddleware, requireAdmin, async (req, res) => {
 
 /**
  * POST /api/tickets/:id/assign
- * Manually assign a ticket to an administrator (master accounts only)
+ * Manually assign a ticket to an administrator (permission: tickets.assign)
  * Body: { assigned_engineer_id: string | null }
  */
-router.post('/:id/assign', authMiddleware, requireAdmin, requireMaster, async (req, res) => {
+router.post('/:id/assign', authMiddleware, requireAdmin, requirePermission('tickets.assign'), async (req, res) => {
   try {
     const { id } = req.params;
     const { assigned_engineer_id } = req.body;
@@ -470,7 +447,7 @@ router.post('/:id/assign', authMiddleware, requireAdmin, requireMaster, async (r
     // Update ticket assignment
     const updatedTicket = await updateTicketStatus(id, {
       assigned_engineer_id: assigned_engineer_id || null,
-    });
+    }, req.user);
 
     if (!updatedTicket) {
       return res.status(500).json({ error: 'internal_error', message: 'Failed to assign ticket' });
@@ -528,18 +505,24 @@ router.post('/:id/assign', authMiddleware, requireAdmin, requireMaster, async (r
 /**
  * POST /api/tickets/:id/restore
  * Restore a ticket from archive (Feature 9: Archive Account Management)
- * Master accounts only
+ * Permission: tickets.restore
  */
-router.post('/:id/restore', authMiddleware, requireAdmin, requireMaster, async (req, res) => {
+router.post('/:id/restore', authMiddleware, requireAdmin, requirePermission('tickets.restore'), async (req, res) => {
   try {
     const { id } = req.params;
     
     // Restore ticket
-    const ticket = await restoreTicket(id);
+    const ticket = await restoreTicket(id, req.user);
     
     if (!ticket) {
       return res.status(404).json({ error: 'not_found' });
     }
+
+    await recordAuditEvent(getAuditContext(req), 'ticket.restored', {
+      type: 'ticket',
+      id: ticket.id,
+      label: ticket.company_name,
+    }, { status: ticket.status });
     
     // Enrich with administrator display name
     if (ticket.assigned_engineer_id) {
@@ -0,0 +1,111 @@
+import express from 'express';
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import {
+  getTwoFactorStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} from '../../services/twoFactor.js';
+import { recordAuditEvent, getAuditContext } from '../../services/audit.js';
+
+const router = express.Router();
+
+/**
+ * Messages thrown by the two-factor service for requests that cannot be fulfilled
+ * @type {string[]}
+ */
+const VALIDATION_MESSAGES = ['already enabled', 'not enabled', 'not been started', 'required for master'];
+
+/**
+ * Send the response for an error thrown by the two-factor service
+ * @param {import('express').Response} res - Express response
+ * @param {Error} error - Error thrown by the service
+ */
+function sendTwoFactorError(res, error) {
+  if (error.message === 'Invalid verification code') {
+    return res.status(400).json({ error: 'invalid_code' });
+  }
+  if (VALIDATION_MESSAGES.some(fragment => error.message.includes(fragment))) {
+    return res.status(400).json({ error: 'validation_error', message: error.message });
+  }
+  res.status(500).json({ error: 'internal_error', message: error.message });
+}
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status of the current administrator
+ * Returns: { enabled, required, backup_codes_remaining }
+ */
+router.get('/', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    res.json(await getTwoFactorStatus(req.user.id));
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    sendTwoFactorError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: returns { secret, otpauth_uri } for the authenticator app
+ */
+router.post('/setup', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    res.json(await beginEnrollment(req.user.id));
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    sendTwoFactorError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/confirm
+ * Turn on two-factor authentication with a code from the authenticator app
+ * Body: { code: string }
+ * Returns: { backup_codes } (shown once)
+ */
+router.post('/confirm', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const backupCodes = await confirmEnrollment(req.user.id, req.body.code);
+    await recordAuditEvent(getAuditContext(req), 'two_factor.enabled', { type: 'administrator', id: req.user.id, label: req.user.login });
+    res.json({ backup_codes: backupCodes });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    sendTwoFactorError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off two-factor authentication (not allowed for master accounts when REQUIRE_MASTER_2FA is set)
+ * Body: { code: string } - TOTP or backup code
+ */
+router.post('/disable', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    await disableTwoFactor(req.user.id, req.body.code);
+    await recordAuditEvent(getAuditContext(req), 'two_factor.disabled', { type: 'administrator', id: req.user.id, label: req.user.login });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    sendTwoFactorError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/backup-codes
+ * Replace the backup codes
+ * Body: { code: string } - TOTP or backup code
+ * Returns: { backup_codes } (shown once)
+ */
+router.post('/backup-codes', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const backupCodes = await regenerateBackupCodes(req.user.id, req.body.code);
+    res.json({ backup_codes: backupCodes });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    sendTwoFactorError(res, error);
+  }
+});
+
+export default router;
@@ -1,52 +1,16 @@
-import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
-import { initDatabase } from '../database/sqlite.js';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import authRoutes from './routes/auth.js';
-import clientRoutes from './routes/clients.js';
-import ticketRoutes from './routes/tickets.js';
-import chatRoutes from './routes/chat.js';
-import adminRoutes from './routes/admins.js';
-import notificationRoutes from './routes/notifications.js';
-import contactRoutes from './routes/contact.js';
-import recoveryRoutes from './routes/recovery.js';
-import configRoutes from './routes/config.js';
+import { createApp } from './app.js';
+import { initDatabase, getDatabasePath } from '../database/sqlite.js';
+import { startSlaScheduler } from '../services/sla.js';
+import { startContractExpiryScheduler } from '../services/contracts.js';
+import { startInboundEmailScheduler } from '../services/inboundEmail.js';
 
 // Load environment variables
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const app = express();
+const app = createApp();
 const PORT = process.env.PORT || 5174;
-const DB_PATH = process.env.DB_PATH || join(__dirname, '..', '..', 'database.sqlite');
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
-});
-
-app.get('/api', (req, res) => {
-  res.json({ message: 'Server Support CRM API' });
-});
-
-// Mount route handlers
-app.use('/api/auth', authRoutes);
-app.use('/api/auth/recovery', recoveryRoutes);
-app.use('/api/clients', clientRoutes);
-app.use('/api/tickets', ticketRoutes);
-app.use('/api/chat', chatRoutes);
-app.use('/api/admins', adminRoutes);
-app.use('/api/notifications', notificationRoutes);
-app.use('/api/contact', contactRoutes);
-app.use('/api/config', configRoutes);
+const DB_PATH = getDatabasePath();
 
 // Initialize database and start server
 async function startServer() {
@@ -55,6 +19,15 @@ async function startServer() {
     await initDatabase(DB_PATH);
     console.log('Database initialized');
 
+    // Start background SLA breach detection
+    startSlaScheduler();
+
+    // Start daily service contract expiry alerts
+    startContractExpiryScheduler();
+
+    // Start email-to-ticket ingestion (only when INBOUND_MAIL_DIR is set)
+    startInboundEmailScheduler();
+
     // Start server
     const server = app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
@@ -0,0 +1,231 @@
+/**
+ * crm admin
+ * Administrator account commands
+ */
+
+import { getAllAdministrators } from '../models/Administrator.js';
+import {
+  createAdministratorAccount,
+  setMasterAccount,
+  resetAdministratorPassword,
+} from '../services/administrators.js';
+import { resetTwoFactor } from '../services/twoFactor.js';
+import { listRoles, assignAdminRole } from '../services/roles.js';
+import { listActiveLockouts, unlockThrottle } from '../services/loginThrottle.js';
+import { recordAuditEvent, CLI_AUDIT_CONTEXT } from '../services/audit.js';
+import { generateRandomString } from '../services/clients.js';
+import { requireArgument, findAdministrator, printTable, formatTimestamp } from './common.js';
+
+/**
+ * Audit target for an administrator account
+ * @param {object} admin - Administrator object
+ * @returns {{type: string, id: string, label: string}} Audit target
+ */
+function adminAuditTarget(admin) {
+  return { type: 'administrator', id: admin.id, label: admin.login };
+}
+
+export default {
+  description: 'Administrator accounts',
+  subcommands: {
+    list: {
+      usage: 'list',
+      description: 'List administrator accounts',
+      async run() {
+        const admins = await getAllAdministrators();
+        printTable(
+          admins.map(admin => ({
+            ...admin,
+            master: admin.is_master ? 'yes' : '',
+            twoFactor: admin.two_factor_enabled ? 'yes' : '',
+            created: formatTimestamp(admin.created_at),
+          })),
+          [
+            { key: 'id', title: 'ID' },
+            { key: 'login', title: 'LOGIN' },
+            { key: 'display_name', title: 'DISPLAY NAME' },
+            { key: 'master', title: 'MASTER' },
+            { key: 'role_id', title: 'ROLE' },
+            { key: 'twoFactor', title: '2FA' },
+            { key: 'created', title: 'CREATED' },
+          ]
+        );
+      },
+    },
+
+    create: {
+      usage: 'create <login> [--password <password>] [--display-name <name>] [--master] [--role <role>]',
+      description: 'Create an administrator account (a password is generated if not given)',
+      options: {
+        password: { type: 'string' },
+        'display-name': { type: 'string' },
+        master: { type: 'boolean' },
+        role: { type: 'string' },
+      },
+      async run({ positionals, values }) {
+        const password = values.password ?? generateRandomString(15);
+        const admin = await createAdministratorAccount({
+          login: requireArgument(positionals, 0, 'login'),
+          password,
+          displayName: values['display-name'],
+          isMaster: values.master === true,
+          roleId: values.role,
+        });
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'admin.created', adminAuditTarget(admin), {
+          is_master: !!admin.is_master,
+          role_id: admin.role_id,
+        });
+        if (admin.is_master) {
+          await recordAuditEvent(CLI_AUDIT_CONTEXT, 'admin.promoted', adminAuditTarget(admin));
+        }
+
+        console.log(`Created ${admin.is_master ? 'master ' : ''}administrator ${admin.login} (${admin.id})`);
+        if (values.password === undefined) {
+          console.log(`Password: ${password}`);
+        }
+      },
+    },
+
+    promote: {
+      usage: 'promote <login>',
+      description: 'Make an administrator a master account',
+      async run({ positionals }) {
+        const admin = await findAdministrator(requireArgument(positionals, 0, 'login'));
+        if (admin.is_master) {
+          console.log(`${admin.login} is already a master account`);
+          return;
+        }
+        await setMasterAccount(admin.id, true);
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'admin.promoted', adminAuditTarget(admin));
+        console.log(`${admin.login} (${admin.id}) is now a master account`);
+      },
+    },
+
+    demote: {
+      usage: 'demote <login>',
+      description: 'Turn a master account into a regular administrator',
+      async run({ positionals }) {
+        const admin = await findAdministrator(requireArgument(positionals, 0, 'login'));
+        if (!admin.is_master) {
+          console.log(`${admin.login} is not a master account`);
+          return;
+        }
+        await setMasterAccount(admin.id, false);
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'admin.demoted', adminAuditTarget(admin));
+        console.log(`${admin.login} (${admin.id}) is no longer a master account`);
+      },
+    },
+
+    roles: {
+      usage: 'roles',
+      description: 'List administrator roles and their permissions',
+      async run() {
+        const { roles } = await listRoles();
+        printTable(
+          roles.map(role => ({
+            ...role,
+            system: role.is_system ? 'yes' : '',
+            permissionList: role.permissions.join(', '),
+          })),
+          [
+            { key: 'id', title: 'ID' },
+            { key: 'name', title: 'NAME' },
+            { key: 'system', title: 'SYSTEM' },
+            { key: 'admin_count', title: 'ADMINS' },
+            { key: 'permissionList', title: 'PERMISSIONS' },
+          ]
+        );
+      },
+    },
+
+    'set-role': {
+      usage: 'set-role <login> <role>',
+      description: 'Give an administrator a role (see crm admin roles)',
+      async run({ positionals }) {
+        const admin = await findAdministrator(requireArgument(positionals, 0, 'login'));
+        const { role, previousRoleId } = await assignAdminRole(admin.id, requireArgument(positionals, 1, 'role'));
+        if (previousRoleId === role.id) {
+          console.log(`${admin.login} already has the role ${role.id}`);
+          return;
+        }
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'admin.role_changed', adminAuditTarget(admin), {
+          from: previousRoleId,
+          to: role.id,
+        });
+        console.log(`${admin.login} (${admin.id}) now has the role ${role.id}`);
+      },
+    },
+
+    'reset-password': {
+      usage: 'reset-password <login> [--password <password>]',
+      description: 'Set a new password (a password is generated if not given)',
+      options: {
+        password: { type: 'string' },
+      },
+      async run({ positionals, values }) {
+        const admin = await findAdministrator(requireArgument(positionals, 0, 'login'));
+        const password = await resetAdministratorPassword(admin.id, values.password ?? generateRandomString(15));
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'admin.password_changed', adminAuditTarget(admin));
+
+        console.log(`Password of ${admin.login} (${admin.id}) changed`);
+        if (values.password === undefined) {
+          console.log(`Password: ${password}`);
+        }
+      },
+    },
+
+    'reset-2fa': {
+      usage: 'reset-2fa <login>',
+      description: 'Turn off two-factor authentication (lost authenticator app and backup codes)',
+      async run({ positionals }) {
+        const admin = await findAdministrator(requireArgument(positionals, 0, 'login'));
+        await resetTwoFactor(admin.id);
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'admin.two_factor_reset', adminAuditTarget(admin));
+
+        console.log(`Two-factor authentication of ${admin.login} (${admin.id}) turned off`);
+      },
+    },
+
+    lockouts: {
+      usage: 'lockouts',
+      description: 'List logins and IP addresses locked after failed sign-in attempts',
+      async run() {
+        const lockouts = await listActiveLockouts();
+        printTable(
+          lockouts.map(lockout => ({
+            ...lockout,
+            lockedAt: formatTimestamp(lockout.locked_at),
+            lockedUntil: formatTimestamp(lockout.locked_until),
+          })),
+          [
+            { key: 'scope', title: 'SCOPE' },
+            { key: 'identifier', title: 'LOGIN / IP' },
+            { key: 'failures', title: 'FAILURES' },
+            { key: 'lockedAt', title: 'LOCKED' },
+            { key: 'lockedUntil', title: 'UNTIL' },
+          ]
+        );
+      },
+    },
+
+    unlock: {
+      usage: 'unlock <login|ip> [--scope login|ip|recovery]',
+      description: 'Lift a sign-in lockout before it expires (scope defaults to login)',
+      options: {
+        scope: { type: 'string' },
+      },
+      async run({ positionals, values }) {
+        const identifier = requireArgument(positionals, 0, 'login');
+        const scope = values.scope ?? 'login';
+        if (!(await unlockThrottle(scope, identifier, null))) {
+          throw new Error(`${scope} ${identifier} is not locked`);
+        }
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'auth.unlocked', {
+          type: scope === 'login' ? 'login' : 'ip', id: identifier, label: identifier,
+        }, { scope });
+
+        console.log(`Unlocked ${scope} ${identifier}`);
+      },
+    },
+  },
+};
@@ -0,0 +1,222 @@
+/**
+ * crm client
+ * Client (company) account commands
+ */
+
+import { generateClientAccount, listAllClients } from '../services/clients.js';
+import {
+  changeCompanyPassword,
+  generateCompanyPassword,
+  regenerateCompanyCodephrase,
+  deleteCompany,
+  listDeletedCompanies,
+  restoreCompany,
+  purgeCompany,
+} from '../services/companies.js';
+import { createCompanyContact, listCompanyContacts } from '../services/contactPersons.js';
+import { recordAuditEvent, CLI_AUDIT_CONTEXT } from '../services/audit.js';
+import { requireArgument, findClient, printTable, formatTimestamp } from './common.js';
+
+export default {
+  description: 'Client (company) accounts',
+  subcommands: {
+    list: {
+      usage: 'list',
+      description: 'List client accounts',
+      async run() {
+        const clients = await listAllClients();
+        printTable(
+          clients.map(client => ({
+            ...client,
+            recovery: client.recovery_pending ? 'pending' : '',
+            created: formatTimestamp(client.created_at),
+          })),
+          [
+            { key: 'id', title: 'ID' },
+            { key: 'login', title: 'LOGIN' },
+            { key: 'company_name', title: 'COMPANY' },
+            { key: 'email', title: 'EMAIL' },
+            { key: 'recovery', title: 'RECOVERY' },
+            { key: 'created', title: 'CREATED' },
+          ]
+        );
+      },
+    },
+
+    create: {
+      usage: 'create <company name> [--email <address>]',
+      description: 'Create a client account with a generated login, password and codephrase',
+      options: {
+        email: { type: 'string' },
+      },
+      async run({ positionals, values }) {
+        const client = await generateClientAccount(requireArgument(positionals, 0, 'company name'), {
+          email: values.email,
+        });
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'company.created', {
+          type: 'company', id: client.id, label: client.company_name,
+        }, { login: client.login });
+
+        console.log(`Created client account for ${client.company_name} (${client.id})`);
+        console.log(`Login: ${client.login}`);
+        console.log(`Password: ${client.password}`);
+        console.log(`Codephrase: ${client.codephrase}`);
+      },
+    },
+
+    reset: {
+      usage: 'reset <login> [--password <password>]',
+      description: 'Set a new password and clear a pending recovery request (a password is generated if not given)',
+      options: {
+        password: { type: 'string' },
+      },
+      async run({ positionals, values }) {
+        const client = await findClient(requireArgument(positionals, 0, 'login'));
+        const password = values.password === undefined
+          ? await generateCompanyPassword(client.id)
+          : await changeCompanyPassword(client.id, values.password);
+        await recordAuditEvent(
+          CLI_AUDIT_CONTEXT,
+          values.password === undefined ? 'company.password_generated' : 'company.password_changed',
+          { type: 'company', id: client.id, label: client.company_name },
+          { login: client.login }
+        );
+
+        console.log(`Password of ${client.login} (${client.company_name}) changed`);
+        if (values.password === undefined) {
+          console.log(`Password: ${password}`);
+        }
+      },
+    },
+
+    'regenerate-codephrase': {
+      usage: 'regenerate-codephrase <login>',
+      description: 'Replace the recovery codephrase (the old one stops working)',
+      async run({ positionals }) {
+        const client = await findClient(requireArgument(positionals, 0, 'login'));
+        const codephrase = await regenerateCompanyCodephrase(client.id);
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'company.codephrase_regenerated', {
+          type: 'company', id: client.id, label: client.company_name,
+        }, { login: client.login });
+
+        console.log(`Codephrase of ${client.login} (${client.company_name}) replaced`);
+        console.log(`Codephrase: ${codephrase}`);
+      },
+    },
+
+    contacts: {
+      usage: 'contacts <login>',
+      description: 'List the users (contact persons) of a client account',
+      async run({ positionals }) {
+        const client = await findClient(requireArgument(positionals, 0, 'login'));
+        const contacts = await listCompanyContacts(client.id);
+        printTable(
+          contacts.map(contact => ({ ...contact, created: formatTimestamp(contact.created_at) })),
+          [
+            { key: 'login', title: 'LOGIN' },
+            { key: 'full_name', title: 'NAME' },
+            { key: 'job_title', title: 'TITLE' },
+            { key: 'email', title: 'EMAIL' },
+            { key: 'phone', title: 'PHONE' },
+            { key: 'created', title: 'CREATED' },
+          ]
+        );
+      },
+    },
+
+    'add-contact': {
+      usage: 'add-contact <login> <full name> [--job-title <title>] [--email <address>] [--phone <number>]',
+      description: 'Add a user to a client account with a generated login and password',
+      options: {
+        'job-title': { type: 'string' },
+        email: { type: 'string' },
+        phone: { type: 'string' },
+      },
+      async run({ positionals, values }) {
+        const client = await findClient(requireArgument(positionals, 0, 'login'));
+        const contact = await createCompanyContact(client.id, {
+          full_name: requireArgument(positionals, 1, 'full name'),
+          job_title: values['job-title'],
+          email: values.email,
+          phone: values.phone,
+        });
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'contact.created', {
+          type: 'contact', id: contact.id, label: contact.full_name,
+        }, { login: contact.login, company: client.company_name });
+
+        console.log(`Added ${contact.full_name} to ${client.login} (${client.company_name})`);
+        console.log(`Login: ${contact.login}`);
+        console.log(`Password: ${contact.password}`);
+      },
+    },
+
+    deleted: {
+      usage: 'deleted',
+      description: 'List deleted client accounts',
+      async run() {
+        const clients = await listDeletedCompanies();
+        printTable(
+          clients.map(client => ({
+            ...client,
+            deleted: formatTimestamp(client.deleted_at),
+            purge_from: formatTimestamp(client.purge_available_at),
+          })),
+          [
+            { key: 'id', title: 'ID' },
+            { key: 'login', title: 'LOGIN' },
+            { key: 'company_name', title: 'COMPANY' },
+            { key: 'ticket_count', title: 'TICKETS' },
+            { key: 'deleted', title: 'DELETED' },
+            { key: 'deleted_by_login', title: 'BY' },
+            { key: 'purge_from', title: 'PURGE FROM' },
+          ]
+        );
+      },
+    },
+
+    delete: {
+      usage: 'delete <login>',
+      description: 'Delete a client account (tickets are kept and it can be restored)',
+      async run({ positionals }) {
+        const client = await findClient(requireArgument(positionals, 0, 'login'));
+        const { purge_available_at } = await deleteCompany(client.id);
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'company.deleted', {
+          type: 'company', id: client.id, label: client.company_name,
+        }, { login: client.login });
+
+        console.log(`Deleted ${client.login} (${client.company_name}); it can be purged from ${formatTimestamp(purge_available_at)}`);
+      },
+    },
+
+    restore: {
+      usage: 'restore <login>',
+      description: 'Restore a deleted client account',
+      async run({ positionals }) {
+        const client = await findClient(requireArgument(positionals, 0, 'login'));
+        await restoreCompany(client.id);
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'company.restored', {
+          type: 'company', id: client.id, label: client.company_name,
+        }, { login: client.login });
+
+        console.log(`Restored ${client.login} (${client.company_name})`);
+      },
+    },
+
+    purge: {
+      usage: 'purge <login> --confirm <login>',
+      description: 'Permanently delete a deleted client account with its tickets and chat messages',
+      options: {
+        confirm: { type: 'string' },
+      },
+      async run({ positionals, values }) {
+        const client = await findClient(requireArgument(positionals, 0, 'login'));
+        await purgeCompany(client.id, values.confirm);
+        await recordAuditEvent(CLI_AUDIT_CONTEXT, 'company.purged', {
+          type: 'company', id: client.id, label: client.company_name,
+        }, { login: client.login, deleted_at: client.deleted_at });
+
+        console.log(`Purged ${client.login} (${client.company_name})`);
+      },
+    },
+  },
+};
@@ -0,0 +1,82 @@
+/**
+ * CLI Helpers
+ * Shared argument handling, account lookup and output formatting for the crm CLI
+ */
+
+import { getAdministratorByLogin, getAdministratorById } from '../models/Administrator.js';
+import { getClientByLogin, getClientById } from '../models/Client.js';
+
+/**
+ * Get a required positional argument
+ * @param {string[]} positionals - Positional arguments
+ * @param {number} index - Argument index
+ * @param {string} name - Argument name for the error message
+ * @returns {string} Argument value
+ * @throws {Error} If the argument is missing
+ */
+export function requireArgument(positionals, index, name) {
+  const value = positionals[index];
+  if (value === undefined || value.trim().length === 0) {
+    throw new Error(`Missing argument: <${name}>`);
+  }
+  return value;
+}
+
+/**
+ * Find an administrator by login or ID
+ * @param {string} loginOrId - Login or administrator ID
+ * @returns {Promise<object>} Administrator object
+ * @throws {Error} If no administrator matches
+ */
+export async function findAdministrator(loginOrId) {
+  const admin = (await getAdministratorByLogin(loginOrId)) || (await getAdministratorById(loginOrId));
+  if (!admin) {
+    throw new Error(`Administrator not found: ${loginOrId}`);
+  }
+  return admin;
+}
+
+/**
+ * Find a client account by login or ID
+ * @param {string} loginOrId - Login or client ID
+ * @returns {Promise<object>} Client object
+ * @throws {Error} If no client matches
+ */
+export async function findClient(loginOrId) {
+  const client = (await getClientByLogin(loginOrId)) || (await getClientById(loginOrId));
+  if (!client) {
+    throw new Error(`Client not found: ${loginOrId}`);
+  }
+  return client;
+}
+
+/**
+ * Print rows as an aligned text table
+ * @param {Array<object>} rows - Rows to print
+ * @param {Array<{key: string, title: string}>} columns - Columns in display order
+ */
+export function printTable(rows, columns) {
+  const cell = (row, column) => {
+    const value = row[column.key];
+    return value === null || value === undefined ? '' : String(value);
+  };
+  const widths = columns.map(column => Math.max(
+    column.title.length,
+    ...rows.map(row => cell(row, column).length)
+  ));
+
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+  console.log(line(columns.map(column => column.title)));
+  for (const row of rows) {
+    console.log(line(columns.map(column => cell(row, column))));
+  }
+}
+
+/**
+ * Format a Unix timestamp (seconds) for display
+ * @param {number|null} timestamp - Unix timestamp in seconds
+ * @returns {string} Date and time in UTC, or an empty string
+ */
+export function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString().replace('T', ' ').substring(0, 19) : '';
+}
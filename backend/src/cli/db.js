@@ -0,0 +1,165 @@
+/**
+ * crm db
+ * Database health check and migration commands
+ *
+ * These commands open the database as it is: pending migrations are not applied
+ * unless `crm db migrate up` is run.
+ */
+
+import { stat } from 'fs/promises';
+import { getDatabase, getDatabasePath } from '../database/sqlite.js';
+import { getMigrationStatus, migrateUp, migrateDown } from '../database/migrator.js';
+import { MIN_MASTER_ACCOUNTS } from '../services/administrators.js';
+import { formatTimestamp } from './common.js';
+
+/**
+ * Check the database and print one line per check
+ * @returns {Promise<boolean>} True if no check failed (warnings are allowed)
+ */
+async function checkDatabase() {
+  const db = getDatabase();
+  let failed = false;
+
+  const report = (level, message) => {
+    if (level === 'FAIL') {
+      failed = true;
+    }
+    console.log(`${level.padEnd(4)}  ${message}`);
+  };
+
+  const { size } = await stat(getDatabasePath());
+  report('OK', `Database ${getDatabasePath()} (${(size / 1024 / 1024).toFixed(1)} MB)`);
+
+  const integrity = await db.all('PRAGMA integrity_check');
+  if (integrity.length === 1 && integrity[0].integrity_check === 'ok') {
+    report('OK', 'Integrity check passed');
+  } else {
+    report('FAIL', `Integrity check: ${integrity.map(row => row.integrity_check).join('; ')}`);
+  }
+
+  const violations = await db.all('PRAGMA foreign_key_check');
+  if (violations.length === 0) {
+    report('OK', 'No foreign key violations');
+  } else {
+    const tables = [...new Set(violations.map(row => row.table))].join(', ');
+    report('FAIL', `${violations.length} foreign key violation(s) in ${tables}`);
+  }
+
+  const migrations = await getMigrationStatus(db);
+  const byState = state => migrations.filter(migration => migration.state === state).map(migration => migration.id);
+  const pending = byState('pending');
+  const baseline = byState('baseline');
+  const changed = [...byState('modified'), ...byState('missing')];
+  if (changed.length > 0) {
+    report('FAIL', `Applied migration(s) modified or deleted: ${changed.join(', ')}`);
+  }
+  if (baseline.length > 0) {
+    report('WARN', `Database has no migration ledger yet; ${baseline.length} migration(s) already present are recorded on the next server start`);
+  }
+  if (pending.length > 0) {
+    report('WARN', `${pending.length} pending migration(s), applied on the next server start: ${pending.join(', ')}`);
+  }
+  if (changed.length === 0 && pending.length === 0) {
+    report('OK', `Schema is up to date (${migrations.length} migration(s))`);
+  }
+
+  // The account checks need the base schema
+  if (!migrations.some(migration => migration.state === 'applied' || migration.state === 'baseline')) {
+    return !failed;
+  }
+
+  const { admins, masters } = await db.get(
+    'SELECT COUNT(*) as admins, COALESCE(SUM(is_master = 1), 0) as masters FROM administrators'
+  );
+  if (masters < MIN_MASTER_ACCOUNTS) {
+    report('FAIL', `${masters} master account(s), at least ${MIN_MASTER_ACCOUNTS} required (use crm admin promote)`);
+  } else {
+    report('OK', `${admins} administrator(s), ${masters} master account(s)`);
+  }
+
+  const passwordless = await db.all(
+    "SELECT login FROM administrators WHERE password_hash IS NULL OR password_hash = '' ORDER BY login"
+  );
+  if (passwordless.length > 0) {
+    report('FAIL', `Administrator(s) without a password: ${passwordless.map(row => row.login).join(', ')} (use crm admin reset-password)`);
+  }
+
+  const clients = await db.get(
+    'SELECT COUNT(*) as total, COALESCE(SUM(codephrase IS NULL), 0) as without_codephrase, COALESCE(SUM(recovery_pending = 1), 0) as recovery_pending FROM clients'
+  );
+  report('OK', `${clients.total} client account(s)`);
+  if (clients.without_codephrase > 0) {
+    report('WARN', `${clients.without_codephrase} client account(s) without a recovery codephrase (use crm client regenerate-codephrase)`);
+  }
+  if (clients.recovery_pending > 0) {
+    report('WARN', `${clients.recovery_pending} client account(s) with a pending password recovery request`);
+  }
+
+  return !failed;
+}
+
+/**
+ * Print the state of every migration
+ */
+async function printMigrationStatus() {
+  const status = await getMigrationStatus(getDatabase());
+  for (const migration of status) {
+    const reversible = migration.reversible ? '' : ' (no down script)';
+    console.log(`${migration.state.padEnd(8)}  ${migration.id.padEnd(36)}  ${formatTimestamp(migration.applied_at)}${reversible}`);
+  }
+
+  const pending = status.filter(migration => migration.state === 'pending').length;
+  const baseline = status.filter(migration => migration.state === 'baseline').length;
+  console.log(`\n${status.length} migration(s), ${pending} pending`);
+  if (baseline > 0) {
+    console.log(`Database has no migration ledger yet: ${baseline} migration(s) already present are recorded as applied by the next migrate up`);
+  }
+}
+
+export default {
+  description: 'Database checks and migrations',
+  subcommands: {
+    check: {
+      usage: 'check',
+      description: 'Check integrity, foreign keys, migrations and master accounts (exit code 1 on failure)',
+      database: 'existing',
+      async run() {
+        if (!(await checkDatabase())) {
+          process.exitCode = 1;
+        }
+      },
+    },
+
+    migrate: {
+      usage: 'migrate status | up [--to <id>] | down [<n> | --to <id>]',
+      description: 'List, apply or revert migrations (<id> is a migration name or number, e.g. 006); back up before down',
+      database: 'create',
+      options: {
+        to: { type: 'string' },
+      },
+      async run({ positionals, values }) {
+        const [action, count] = positionals;
+        const db = getDatabase();
+
+        if (action === 'status') {
+          await printMigrationStatus();
+        } else if (action === 'up') {
+          const { baselined, applied } = await migrateUp(db, { to: values.to });
+          if (baselined.length > 0) {
+            console.log(`Recorded ${baselined.length} migration(s) already present in the database`);
+          }
+          console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Nothing to apply');
+        } else if (action === 'down') {
+          const steps = parseInt(count || '1', 10);
+          if (!values.to && !(steps > 0)) {
+            throw new Error(`Invalid number of migrations: ${count}`);
+          }
+          const reverted = await migrateDown(db, values.to ? { to: values.to } : { steps });
+          console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+        } else {
+          throw new Error('Expected status, up or down');
+        }
+      },
+    },
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * crm email
+ * Inbound email gateway commands
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { basename } from 'path';
+import { ingestEmail, processInboundMailDirectory } from '../services/inboundEmail.js';
+
+export default {
+  description: 'Inbound email gateway',
+  subcommands: {
+    ingest: {
+      usage: 'ingest <file.eml | directory>...',
+      description: 'Ingest .eml files (left in place) or process a Maildir/spool directory (files are moved)',
+      async run({ positionals }) {
+        if (positionals.length === 0) {
+          throw new Error('Missing argument: <file.eml | directory>');
+        }
+
+        for (const path of positionals) {
+          if ((await stat(path)).isDirectory()) {
+            const counts = await processInboundMailDirectory(path);
+            console.log(`${path}:`, counts);
+            continue;
+          }
+
+          const result = await ingestEmail(await readFile(path), { source: basename(path) });
+          const details = [result.ticketId, result.chatMessageId, result.error].filter(Boolean).join(' ');
+          console.log(`${basename(path)}: ${result.status}${details ? ` (${details})` : ''}`);
+        }
+      },
+    },
+  },
+};
@@ -0,0 +1,9 @@
+-- Down migration: Remove the initial schema
+-- Reverts 001_initial_schema.sql
+--
+-- All tickets, chat messages and accounts are deleted.
+
+DROP TABLE IF EXISTS chat_messages;
+DROP TABLE IF EXISTS tickets;
+DROP TABLE IF EXISTS administrators;
+DROP TABLE IF EXISTS clients;
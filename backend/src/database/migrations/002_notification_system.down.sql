@@ -0,0 +1,5 @@
+-- Down migration: Remove the notification system tables
+-- Reverts 002_notification_system.sql
+
+DROP TABLE IF EXISTS user_notification_preferences;
+DROP TABLE IF EXISTS notification_events;
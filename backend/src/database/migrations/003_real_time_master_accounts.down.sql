@@ -0,0 +1,9 @@
+-- Down migration: Remove display_name, is_master and last_assigned_at from administrators
+-- Reverts 003_real_time_master_accounts.sql
+
+DROP INDEX IF EXISTS idx_administrators_is_master;
+DROP INDEX IF EXISTS idx_administrators_display_name;
+
+ALTER TABLE administrators DROP COLUMN last_assigned_at;
+ALTER TABLE administrators DROP COLUMN is_master;
+ALTER TABLE administrators DROP COLUMN display_name;
@@ -0,0 +1,9 @@
+-- Down migration: Remove password recovery fields from clients table
+-- Reverts 004_password_recovery.sql
+
+DROP INDEX IF EXISTS idx_clients_recovery_pending;
+DROP INDEX IF EXISTS idx_clients_codephrase;
+DROP INDEX IF EXISTS idx_clients_codephrase_unique;
+
+ALTER TABLE clients DROP COLUMN recovery_pending;
+ALTER TABLE clients DROP COLUMN codephrase;
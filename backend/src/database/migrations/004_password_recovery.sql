@@ -4,8 +4,10 @@
 
 PRAGMA foreign_keys = ON;
 
--- Add codephrase column to clients table (UNIQUE constraint for codephrase uniqueness)
-ALTER TABLE clients ADD COLUMN codephrase TEXT UNIQUE;
+-- Add codephrase column to clients table
+-- (SQLite can't add a UNIQUE column, so uniqueness is enforced by a partial unique index)
+ALTER TABLE clients ADD COLUMN codephrase TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_codephrase_unique ON clients(codephrase) WHERE codephrase IS NOT NULL;
 
 -- Add recovery_pending column to clients table (boolean flag for pending recovery requests)
 ALTER TABLE clients ADD COLUMN recovery_pending INTEGER NOT NULL DEFAULT 0 CHECK(recovery_pending IN (0, 1));
@@ -0,0 +1,4 @@
+-- Down migration: Remove ticket history events
+-- Reverts 005_ticket_history.sql
+
+DROP TABLE IF EXISTS ticket_events;
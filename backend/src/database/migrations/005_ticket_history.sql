@@ -0,0 +1,22 @@
+-- Migration: Add ticket_events table for per-ticket audit history
+-- Date: 2026-10-19
+-- Feature: ticket-history-timeline
+
+PRAGMA foreign_keys = ON;
+
+-- Ticket Events Table
+-- One row per changed field: who changed it, old value, new value and when
+CREATE TABLE IF NOT EXISTS ticket_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ticket_id TEXT NOT NULL,
+  actor_id TEXT, -- NULL for system actions (automatic assignment)
+  actor_role TEXT NOT NULL CHECK(actor_role IN ('client', 'administrator', 'system')),
+  field TEXT NOT NULL, -- 'created', 'status', 'assigned_engineer_id', 'estimated_completion_at'
+  old_value TEXT,
+  new_value TEXT,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY(ticket_id) REFERENCES tickets(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_events_ticket_id_created ON ticket_events(ticket_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ticket_events_actor_id ON ticket_events(actor_id);
@@ -0,0 +1,19 @@
+-- Down migration: Remove SLA policies and ticket SLA tracking
+-- Reverts 006_sla_policies.sql
+--
+-- notification_events keeps its rebuilt form (no event_type CHECK constraint):
+-- restoring the constraint would fail on rows with newer event types.
+
+DROP INDEX IF EXISTS idx_tickets_first_response_due_at;
+DROP INDEX IF EXISTS idx_tickets_resolution_due_at;
+
+ALTER TABLE tickets DROP COLUMN sla_resolution_breached_at;
+ALTER TABLE tickets DROP COLUMN sla_resolution_warned_at;
+ALTER TABLE tickets DROP COLUMN sla_response_breached_at;
+ALTER TABLE tickets DROP COLUMN sla_response_warned_at;
+ALTER TABLE tickets DROP COLUMN first_response_at;
+ALTER TABLE tickets DROP COLUMN resolution_due_at;
+ALTER TABLE tickets DROP COLUMN first_response_due_at;
+ALTER TABLE tickets DROP COLUMN sla_policy_id;
+
+DROP TABLE IF EXISTS sla_policies;
@@ -0,0 +1,62 @@
+-- Migration: Add SLA policies, per-ticket SLA deadlines and sla_breach notifications
+-- Date: 2026-10-19
+-- Feature: sla-policies
+
+PRAGMA foreign_keys = ON;
+
+-- SLA Policies Table
+-- A policy matches by company and/or priority; NULL means "any".
+-- Most specific match wins: company + priority, company, priority, default.
+CREATE TABLE IF NOT EXISTS sla_policies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  company_name TEXT, -- NULL matches any company
+  priority TEXT, -- NULL matches any priority
+  response_minutes INTEGER NOT NULL CHECK(response_minutes > 0),
+  resolution_minutes INTEGER NOT NULL CHECK(resolution_minutes > 0),
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sla_policies_company_priority ON sla_policies(company_name, priority);
+
+-- Default policy (id 1) - applies when nothing more specific matches, cannot be deleted
+INSERT OR IGNORE INTO sla_policies (id, name, company_name, priority, response_minutes, resolution_minutes, created_at, updated_at)
+VALUES (1, 'Default', NULL, NULL, 240, 2880, CAST(strftime('%s', 'now') AS INTEGER), CAST(strftime('%s', 'now') AS INTEGER));
+
+-- Ticket SLA columns
+ALTER TABLE tickets ADD COLUMN sla_policy_id INTEGER;
+ALTER TABLE tickets ADD COLUMN first_response_due_at INTEGER;
+ALTER TABLE tickets ADD COLUMN resolution_due_at INTEGER;
+ALTER TABLE tickets ADD COLUMN first_response_at INTEGER;
+ALTER TABLE tickets ADD COLUMN sla_response_warned_at INTEGER;
+ALTER TABLE tickets ADD COLUMN sla_response_breached_at INTEGER;
+ALTER TABLE tickets ADD COLUMN sla_resolution_warned_at INTEGER;
+ALTER TABLE tickets ADD COLUMN sla_resolution_breached_at INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_first_response_due_at ON tickets(first_response_due_at);
+CREATE INDEX IF NOT EXISTS idx_tickets_resolution_due_at ON tickets(resolution_due_at);
+
+-- notification_events: event types are validated by the notification service.
+-- Rebuild the table without the event_type CHECK constraint so new event types
+-- such as sla_breach can be stored.
+CREATE TABLE notification_events_new (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  user_role TEXT NOT NULL CHECK(user_role IN ('client', 'administrator')),
+  event_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  entity_data TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  read_at INTEGER
+);
+
+INSERT INTO notification_events_new (id, user_id, user_role, event_type, entity_id, entity_data, created_at, read_at)
+SELECT id, user_id, user_role, event_type, entity_id, entity_data, created_at, read_at FROM notification_events;
+
+DROP TABLE notification_events;
+ALTER TABLE notification_events_new RENAME TO notification_events;
+
+CREATE INDEX IF NOT EXISTS idx_notification_events_user_id_role_created ON notification_events(user_id, user_role, created_at);
+CREATE INDEX IF NOT EXISTS idx_notification_events_user_id_role_read ON notification_events(user_id, user_role, read_at);
+CREATE INDEX IF NOT EXISTS idx_notification_events_created_at ON notification_events(created_at);
@@ -0,0 +1,8 @@
+-- Down migration: Remove priority and category from tickets
+-- Reverts 007_ticket_priority_category.sql
+
+DROP INDEX IF EXISTS idx_tickets_priority;
+DROP INDEX IF EXISTS idx_tickets_category;
+
+ALTER TABLE tickets DROP COLUMN category;
+ALTER TABLE tickets DROP COLUMN priority;
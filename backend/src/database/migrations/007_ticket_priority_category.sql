@@ -0,0 +1,14 @@
+-- Migration: Add ticket priority and category
+-- Date: 2026-10-19
+-- Feature: ticket-priority-category
+
+PRAGMA foreign_keys = ON;
+
+-- Priority drives SLA policy matching and weighted auto-assignment load.
+-- Category describes the kind of problem (hardware, software, network, warranty, other).
+-- Existing tickets get the defaults.
+ALTER TABLE tickets ADD COLUMN priority TEXT NOT NULL DEFAULT 'medium' CHECK(priority IN ('low', 'medium', 'high', 'critical'));
+ALTER TABLE tickets ADD COLUMN category TEXT NOT NULL DEFAULT 'other' CHECK(category IN ('hardware', 'software', 'network', 'warranty', 'other'));
+
+CREATE INDEX IF NOT EXISTS idx_tickets_priority ON tickets(priority);
+CREATE INDEX IF NOT EXISTS idx_tickets_category ON tickets(category);
@@ -0,0 +1,8 @@
+-- Down migration: Remove skills, administrator skills and ticket required skill
+-- Reverts 008_admin_skills.sql
+
+DROP INDEX IF EXISTS idx_tickets_required_skill;
+ALTER TABLE tickets DROP COLUMN required_skill;
+
+DROP TABLE IF EXISTS administrator_skills;
+DROP TABLE IF EXISTS skills;
@@ -0,0 +1,43 @@
+-- Migration: Add administrator skills and required ticket skill for skill-based routing
+-- Date: 2026-10-19
+-- Feature: skill-based-routing
+
+PRAGMA foreign_keys = ON;
+
+-- Skills Table
+-- A ticket's required skill is inferred from its serial number (longest matching
+-- prefix from serial_prefixes, comma-separated) or else from its category.
+CREATE TABLE IF NOT EXISTS skills (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  category TEXT, -- ticket category this skill is inferred from (NULL = none)
+  serial_prefixes TEXT, -- e.g. 'CN,DL' (NULL = none)
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_skills_category ON skills(category);
+
+-- Administrator Skills Table
+CREATE TABLE IF NOT EXISTS administrator_skills (
+  admin_id TEXT NOT NULL,
+  skill_id TEXT NOT NULL,
+  PRIMARY KEY (admin_id, skill_id),
+  FOREIGN KEY (admin_id) REFERENCES administrators(id) ON DELETE CASCADE,
+  FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_administrator_skills_skill_id ON administrator_skills(skill_id);
+
+-- Default skill catalog (vendor lines have no serial prefixes until configured)
+INSERT OR IGNORE INTO skills (id, name, category, serial_prefixes, created_at) VALUES
+  ('skill-dell', 'Dell', NULL, NULL, CAST(strftime('%s', 'now') AS INTEGER)),
+  ('skill-hpe', 'HPE', NULL, NULL, CAST(strftime('%s', 'now') AS INTEGER)),
+  ('skill-supermicro', 'Supermicro', NULL, NULL, CAST(strftime('%s', 'now') AS INTEGER)),
+  ('skill-storage', 'Storage', NULL, NULL, CAST(strftime('%s', 'now') AS INTEGER)),
+  ('skill-networking', 'Networking', 'network', NULL, CAST(strftime('%s', 'now') AS INTEGER)),
+  ('skill-os', 'OS', 'software', NULL, CAST(strftime('%s', 'now') AS INTEGER));
+
+-- Required skill per ticket (NULL = any administrator)
+ALTER TABLE tickets ADD COLUMN required_skill TEXT REFERENCES skills(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_required_skill ON tickets(required_skill);
@@ -0,0 +1,4 @@
+-- Down migration: Remove the equipment registry
+-- Reverts 009_equipment.sql
+
+DROP TABLE IF EXISTS equipment;
@@ -0,0 +1,39 @@
+-- Migration: Add equipment registry (serial numbers as first-class assets)
+-- Date: 2026-10-19
+-- Feature: equipment-registry
+
+PRAGMA foreign_keys = ON;
+
+-- Equipment Table
+-- One row per physical asset; serial numbers are unique (case-insensitive).
+-- Dates are Unix timestamps.
+CREATE TABLE IF NOT EXISTS equipment (
+  id TEXT PRIMARY KEY,
+  client_id TEXT NOT NULL,
+  serial_number TEXT NOT NULL COLLATE NOCASE UNIQUE,
+  vendor TEXT,
+  model TEXT,
+  purchase_date INTEGER,
+  warranty_end INTEGER,
+  location TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_equipment_client_id ON equipment(client_id);
+CREATE INDEX IF NOT EXISTS idx_equipment_warranty_end ON equipment(warranty_end);
+
+-- Register serial numbers from existing tickets (first client that reported each serial).
+-- Only runs while the registry is empty, so deleted assets are not re-created on restart.
+INSERT OR IGNORE INTO equipment (id, client_id, serial_number, created_at, updated_at)
+SELECT
+  'equipment-' || lower(hex(randomblob(8))),
+  t.client_id,
+  TRIM(t.serial_number),
+  MIN(t.submitted_at),
+  MIN(t.submitted_at)
+FROM tickets t
+WHERE t.serial_number IS NOT NULL AND TRIM(t.serial_number) != ''
+  AND NOT EXISTS (SELECT 1 FROM equipment)
+GROUP BY TRIM(t.serial_number) COLLATE NOCASE;
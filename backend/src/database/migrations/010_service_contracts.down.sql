@@ -0,0 +1,9 @@
+-- Down migration: Remove service contracts and ticket coverage flags
+-- Reverts 010_service_contracts.sql
+
+ALTER TABLE tickets DROP COLUMN service_contract_id;
+ALTER TABLE tickets DROP COLUMN coverage_status;
+
+DROP TABLE IF EXISTS contract_expiry_alerts;
+DROP TABLE IF EXISTS service_contract_equipment;
+DROP TABLE IF EXISTS service_contracts;
@@ -0,0 +1,55 @@
+-- Migration: Add service contracts, ticket coverage flags and contract expiry alerts
+-- Date: 2026-10-19
+-- Feature: service-contracts
+
+PRAGMA foreign_keys = ON;
+
+-- Service Contracts Table
+-- A contract belongs to a client. It covers the equipment linked in
+-- service_contract_equipment, or all of the client's equipment when none is linked.
+-- response_minutes / resolution_minutes are the committed targets (NULL = SLA policy applies).
+-- Dates are Unix timestamps; end_date is inclusive.
+CREATE TABLE IF NOT EXISTS service_contracts (
+  id TEXT PRIMARY KEY,
+  client_id TEXT NOT NULL,
+  contract_number TEXT NOT NULL,
+  coverage_level TEXT NOT NULL DEFAULT 'standard' CHECK(coverage_level IN ('basic', 'standard', 'premium')),
+  response_minutes INTEGER,
+  resolution_minutes INTEGER,
+  start_date INTEGER NOT NULL,
+  end_date INTEGER NOT NULL,
+  notes TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_contracts_client_id ON service_contracts(client_id);
+CREATE INDEX IF NOT EXISTS idx_service_contracts_end_date ON service_contracts(end_date);
+
+-- Equipment covered by a contract
+CREATE TABLE IF NOT EXISTS service_contract_equipment (
+  contract_id TEXT NOT NULL,
+  equipment_id TEXT NOT NULL,
+  PRIMARY KEY (contract_id, equipment_id),
+  FOREIGN KEY (contract_id) REFERENCES service_contracts(id) ON DELETE CASCADE,
+  FOREIGN KEY (equipment_id) REFERENCES equipment(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_contract_equipment_equipment_id ON service_contract_equipment(equipment_id);
+
+-- Expiry alerts already sent (one per contract, threshold and end date,
+-- so extending a contract re-arms its alerts)
+CREATE TABLE IF NOT EXISTS contract_expiry_alerts (
+  contract_id TEXT NOT NULL,
+  days_before INTEGER NOT NULL,
+  end_date INTEGER NOT NULL,
+  sent_at INTEGER NOT NULL,
+  PRIMARY KEY (contract_id, days_before, end_date),
+  FOREIGN KEY (contract_id) REFERENCES service_contracts(id) ON DELETE CASCADE
+);
+
+-- Coverage of the ticket's equipment when the ticket was created:
+-- 'contract', 'warranty', 'out_of_coverage' or 'unknown' (no warranty or contract data)
+ALTER TABLE tickets ADD COLUMN coverage_status TEXT NOT NULL DEFAULT 'unknown';
+ALTER TABLE tickets ADD COLUMN service_contract_id TEXT REFERENCES service_contracts(id) ON DELETE SET NULL;
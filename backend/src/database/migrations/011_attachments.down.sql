@@ -0,0 +1,6 @@
+-- Down migration: Remove attachments
+-- Reverts 011_attachments.sql
+--
+-- Only the attachment records are removed; stored files stay in ATTACHMENTS_DIR.
+
+DROP TABLE IF EXISTS attachments;
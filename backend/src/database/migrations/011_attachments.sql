@@ -0,0 +1,26 @@
+-- Migration: Add file attachments on tickets and chat messages
+-- Date: 2026-10-19
+-- Feature: attachments
+
+PRAGMA foreign_keys = ON;
+
+-- Attachments Table
+-- File contents live in the attachment storage backend under storage_key;
+-- message_id is NULL for files uploaded with the ticket itself.
+CREATE TABLE IF NOT EXISTS attachments (
+  id TEXT PRIMARY KEY,
+  ticket_id TEXT NOT NULL,
+  message_id TEXT,
+  uploader_id TEXT NOT NULL,
+  uploader_role TEXT NOT NULL CHECK(uploader_role IN ('client', 'administrator')),
+  original_name TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  storage_key TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (ticket_id) REFERENCES tickets(id) ON DELETE CASCADE,
+  FOREIGN KEY (message_id) REFERENCES chat_messages(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_ticket_id ON attachments(ticket_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_message_id ON attachments(message_id);
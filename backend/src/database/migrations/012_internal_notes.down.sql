@@ -0,0 +1,8 @@
+-- Down migration: Remove internal notes (message_type) from chat messages
+-- Reverts 012_internal_notes.sql
+--
+-- Internal notes become ordinary messages visible to clients; delete them first if needed:
+-- DELETE FROM chat_messages WHERE message_type = 'internal';
+
+DROP INDEX IF EXISTS idx_chat_messages_message_type;
+ALTER TABLE chat_messages DROP COLUMN message_type;
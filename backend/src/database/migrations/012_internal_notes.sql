@@ -0,0 +1,11 @@
+-- Migration: Add internal notes to ticket chats
+-- Date: 2026-10-19
+-- Feature: internal-notes
+
+PRAGMA foreign_keys = ON;
+
+-- 'public' messages are part of the conversation with the client;
+-- 'internal' notes are shown to administrators only
+ALTER TABLE chat_messages ADD COLUMN message_type TEXT NOT NULL DEFAULT 'public' CHECK(message_type IN ('public', 'internal'));
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_message_type ON chat_messages(ticket_id, message_type);
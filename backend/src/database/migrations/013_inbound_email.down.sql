@@ -0,0 +1,7 @@
+-- Down migration: Remove the inbound email gateway
+-- Reverts 013_inbound_email.sql
+
+DROP TABLE IF EXISTS inbound_emails;
+
+DROP INDEX IF EXISTS idx_clients_email;
+ALTER TABLE clients DROP COLUMN email;
@@ -0,0 +1,25 @@
+-- Migration: Add inbound email gateway (email-to-ticket)
+-- Date: 2026-10-19
+-- Feature: inbound-email
+
+PRAGMA foreign_keys = ON;
+
+-- Contact email of a client account; inbound emails are matched on it (or on the login)
+ALTER TABLE clients ADD COLUMN email TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_email ON clients(email COLLATE NOCASE);
+
+-- Processed inbound emails, keyed by Message-ID so a redelivered email is not ingested twice
+CREATE TABLE IF NOT EXISTS inbound_emails (
+  message_id TEXT PRIMARY KEY,
+  from_address TEXT,
+  subject TEXT,
+  status TEXT NOT NULL CHECK(status IN ('ticket_created', 'message_added', 'rejected', 'failed')),
+  ticket_id TEXT,
+  chat_message_id TEXT,
+  error TEXT,
+  source TEXT,
+  received_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbound_emails_received_at ON inbound_emails(received_at);
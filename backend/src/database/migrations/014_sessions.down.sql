@@ -0,0 +1,4 @@
+-- Down migration: Remove server-side sessions
+-- Reverts 014_sessions.sql
+
+DROP TABLE IF EXISTS sessions;
@@ -0,0 +1,31 @@
+-- Migration: Add server-side sessions with rotating refresh tokens
+-- Date: 2026-10-19
+-- Feature: sessions
+
+PRAGMA foreign_keys = ON;
+
+-- Sessions Table
+-- One row per login. Access tokens (short-lived JWTs) carry the session ID and are
+-- only accepted while the session is active. Refresh tokens are stored as SHA-256
+-- hashes and replaced on every refresh; the previous hash is kept to detect reuse
+-- of a stolen token. The session expires after being idle for the idle timeout
+-- (expires_at moves forward on refresh) and never lives past absolute_expires_at.
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  user_role TEXT NOT NULL CHECK(user_role IN ('client', 'administrator')),
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  previous_refresh_token_hash TEXT,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at INTEGER NOT NULL,
+  last_used_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  absolute_expires_at INTEGER NOT NULL,
+  revoked_at INTEGER,
+  revoked_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id, user_role);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_refresh_token_hash ON sessions(previous_refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
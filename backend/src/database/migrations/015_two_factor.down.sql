@@ -0,0 +1,7 @@
+-- Down migration: Remove two-factor authentication
+-- Reverts 015_two_factor.sql
+
+DROP TABLE IF EXISTS administrator_backup_codes;
+ALTER TABLE administrators DROP COLUMN totp_last_used_step;
+ALTER TABLE administrators DROP COLUMN totp_enabled_at;
+ALTER TABLE administrators DROP COLUMN totp_secret;
@@ -0,0 +1,23 @@
+-- Migration: Add TOTP two-factor authentication for administrator accounts
+-- Date: 2026-10-19
+-- Feature: two-factor-auth
+
+PRAGMA foreign_keys = ON;
+
+-- TOTP secret (base32). A secret without totp_enabled_at is an enrollment that has
+-- not been confirmed with a code yet. totp_last_used_step is the time step of the
+-- last accepted code, so a code cannot be used twice.
+ALTER TABLE administrators ADD COLUMN totp_secret TEXT;
+ALTER TABLE administrators ADD COLUMN totp_enabled_at INTEGER;
+ALTER TABLE administrators ADD COLUMN totp_last_used_step INTEGER;
+
+-- Backup Codes Table
+-- Single-use codes for signing in without the authenticator app, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS administrator_backup_codes (
+  admin_id TEXT NOT NULL,
+  code_hash TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  used_at INTEGER,
+  PRIMARY KEY (admin_id, code_hash),
+  FOREIGN KEY (admin_id) REFERENCES administrators(id) ON DELETE CASCADE
+);
@@ -0,0 +1,5 @@
+-- Down migration: Remove login throttling and account lockout
+-- Reverts 016_login_throttling.sql
+
+DROP TABLE IF EXISTS lockout_events;
+DROP TABLE IF EXISTS auth_throttles;
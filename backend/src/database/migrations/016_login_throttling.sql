@@ -0,0 +1,42 @@
+-- Migration: Add login throttling and account lockout
+-- Date: 2026-10-19
+-- Feature: login-throttling
+
+PRAGMA foreign_keys = ON;
+
+-- Auth Throttles Table
+-- Failed attempt counters, one row per key:
+--   scope 'login'    - sign-in failures for a login (password or two-factor code)
+--   scope 'ip'       - sign-in failures from an IP address, across all logins
+--   scope 'recovery' - failed codephrase entries from an IP address
+-- Counters start over once the last failure is older than the lockout period.
+CREATE TABLE IF NOT EXISTS auth_throttles (
+  scope TEXT NOT NULL CHECK(scope IN ('login', 'ip', 'recovery')),
+  identifier TEXT NOT NULL,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at INTEGER NOT NULL,
+  next_attempt_at INTEGER, -- progressive delay: no attempt accepted before this time
+  locked_until INTEGER, -- lockout after too many failures
+  PRIMARY KEY (scope, identifier)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_throttles_locked_until ON auth_throttles(locked_until);
+
+-- Lockout Events Table
+-- One row per lockout, kept after it ends (who was locked, from where, who unlocked it)
+CREATE TABLE IF NOT EXISTS lockout_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  scope TEXT NOT NULL CHECK(scope IN ('login', 'ip', 'recovery')),
+  identifier TEXT NOT NULL,
+  user_id TEXT, -- account behind a locked login (NULL if no such account)
+  user_role TEXT CHECK(user_role IN ('client', 'administrator')),
+  ip_address TEXT, -- address of the attempt that triggered the lockout
+  failures INTEGER NOT NULL,
+  locked_until INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  unlocked_at INTEGER, -- set when lifted early, NULL if the lockout ran out
+  unlocked_by TEXT -- administrator ID (NULL when unlocked from the command line)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lockout_events_scope_identifier ON lockout_events(scope, identifier);
+CREATE INDEX IF NOT EXISTS idx_lockout_events_created_at ON lockout_events(created_at);
@@ -0,0 +1,6 @@
+-- Down migration: Remove audit_log table
+-- Reverts 017_audit_log.sql
+
+DROP TRIGGER IF EXISTS audit_log_no_delete;
+DROP TRIGGER IF EXISTS audit_log_no_update;
+DROP TABLE IF EXISTS audit_log;
@@ -0,0 +1,40 @@
+-- Migration: Add append-only audit_log table for privileged actions
+-- Date: 2026-10-19
+-- Feature: security-audit-log
+
+PRAGMA foreign_keys = ON;
+
+-- Audit Log Table
+-- One row per privileged or security-relevant action. Actor and target are copied
+-- by value (no foreign keys) so entries outlive deleted accounts and companies.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at INTEGER NOT NULL,
+  actor_id TEXT, -- NULL for system actions and the command line
+  actor_role TEXT NOT NULL CHECK(actor_role IN ('client', 'administrator', 'system')),
+  actor_login TEXT, -- login at the time of the action ('cli' for the command line)
+  action TEXT NOT NULL, -- e.g. 'admin.created', 'company.deleted', 'ticket.restored'
+  target_type TEXT, -- 'administrator', 'company', 'ticket', 'login', 'ip'
+  target_id TEXT,
+  target_label TEXT, -- login or company name at the time of the action
+  ip_address TEXT,
+  details TEXT -- JSON object with action-specific data
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+
+-- Entries can be added but never changed or removed
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update
+BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete
+BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
@@ -0,0 +1,7 @@
+-- Down migration: Remove soft delete for company accounts
+-- Reverts 018_company_soft_delete.sql
+-- Companies that are still soft-deleted become active again.
+
+DROP INDEX IF EXISTS idx_clients_deleted_at;
+ALTER TABLE clients DROP COLUMN deleted_by;
+ALTER TABLE clients DROP COLUMN deleted_at;
@@ -0,0 +1,12 @@
+-- Migration: Soft delete for company accounts
+-- Date: 2026-10-19
+-- Feature: company-soft-delete
+
+PRAGMA foreign_keys = ON;
+
+-- A deleted company keeps its tickets and chat history until a master purges it;
+-- deleted_by is the administrator who deleted it (NULL from the command line)
+ALTER TABLE clients ADD COLUMN deleted_at INTEGER;
+ALTER TABLE clients ADD COLUMN deleted_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_clients_deleted_at ON clients(deleted_at);
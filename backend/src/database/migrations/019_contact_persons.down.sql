@@ -0,0 +1,7 @@
+-- Down migration: Remove contact persons
+-- Reverts 019_contact_persons.sql
+
+DROP INDEX IF EXISTS idx_tickets_contact_id;
+ALTER TABLE tickets DROP COLUMN contact_id;
+
+DROP TABLE IF EXISTS contact_persons;
@@ -0,0 +1,31 @@
+-- Migration: Add contact persons (named user accounts of a client company)
+-- Date: 2026-10-19
+-- Feature: contact-persons
+
+PRAGMA foreign_keys = ON;
+
+-- Contact Persons Table
+-- The clients row is the organization; each contact person signs in with their own
+-- login and sees the organization's tickets. Sessions and notifications of a contact
+-- person are keyed by the contact person ID.
+CREATE TABLE IF NOT EXISTS contact_persons (
+  id TEXT PRIMARY KEY,
+  client_id TEXT NOT NULL,
+  login TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  full_name TEXT NOT NULL,
+  job_title TEXT,
+  email TEXT,
+  phone TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_persons_client_id ON contact_persons(client_id);
+
+-- Contact person who submitted the ticket (NULL for the shared company login and email tickets);
+-- cleared when the contact person is deleted
+ALTER TABLE tickets ADD COLUMN contact_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_contact_id ON tickets(contact_id);
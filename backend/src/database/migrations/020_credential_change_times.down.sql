@@ -0,0 +1,6 @@
+-- Down migration: Remove credential change times
+-- Reverts 020_credential_change_times.sql
+
+ALTER TABLE contact_persons DROP COLUMN password_changed_at;
+ALTER TABLE clients DROP COLUMN codephrase_changed_at;
+ALTER TABLE clients DROP COLUMN password_changed_at;
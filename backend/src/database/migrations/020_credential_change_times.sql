@@ -0,0 +1,11 @@
+-- Migration: Credential change times
+-- Date: 2026-10-19
+-- Feature: client-self-service-credentials
+
+PRAGMA foreign_keys = ON;
+
+-- When the password or recovery codephrase was last set; NULL means it has not
+-- changed since the account was created (or changed before this migration)
+ALTER TABLE clients ADD COLUMN password_changed_at INTEGER;
+ALTER TABLE clients ADD COLUMN codephrase_changed_at INTEGER;
+ALTER TABLE contact_persons ADD COLUMN password_changed_at INTEGER;
@@ -0,0 +1,6 @@
+-- Down migration: Remove recovery requests
+-- Reverts 021_recovery_requests.sql
+
+DROP INDEX IF EXISTS idx_recovery_requests_status;
+DROP INDEX IF EXISTS idx_recovery_requests_client;
+DROP TABLE IF EXISTS recovery_requests;
@@ -0,0 +1,26 @@
+-- Migration: Recovery requests
+-- Date: 2026-10-19
+-- Feature: recovery-approval
+
+PRAGMA foreign_keys = ON;
+
+-- Codephrase recovery requests that wait for a master account to approve them
+-- (used when RECOVERY_APPROVAL_REQUIRED is on). The client polls the request with a
+-- secret token; only its SHA-256 is stored.
+CREATE TABLE IF NOT EXISTS recovery_requests (
+  id TEXT PRIMARY KEY,
+  client_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'denied', 'expired', 'completed')),
+  request_token_hash TEXT NOT NULL UNIQUE,
+  ip_address TEXT,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  decided_at INTEGER,
+  decided_by TEXT,
+  completed_at INTEGER,
+  FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+  FOREIGN KEY (decided_by) REFERENCES administrators(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_requests_client ON recovery_requests(client_id, status);
+CREATE INDEX IF NOT EXISTS idx_recovery_requests_status ON recovery_requests(status, expires_at);
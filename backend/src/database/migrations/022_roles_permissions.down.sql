@@ -0,0 +1,7 @@
+-- Down migration: Remove roles and permissions
+-- Reverts 022_roles_permissions.sql
+
+DROP INDEX IF EXISTS idx_administrators_role_id;
+ALTER TABLE administrators DROP COLUMN role_id;
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS roles;
@@ -0,0 +1,50 @@
+-- Migration: Roles and permissions
+-- Date: 2026-10-19
+-- Feature: role-permissions
+
+PRAGMA foreign_keys = ON;
+
+-- Named roles of regular administrators. Master accounts hold every permission
+-- whatever their role; system roles can be edited but not deleted.
+CREATE TABLE IF NOT EXISTS roles (
+  id TEXT PRIMARY KEY, -- slug, e.g. 'dispatcher'
+  name TEXT NOT NULL,
+  description TEXT,
+  is_system INTEGER NOT NULL DEFAULT 0 CHECK(is_system IN (0, 1)),
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+-- Permission keys granted to each role (e.g. 'tickets.assign', 'companies.delete')
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id TEXT NOT NULL,
+  permission TEXT NOT NULL,
+  PRIMARY KEY (role_id, permission),
+  FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+);
+
+-- Role of each administrator; NULL means the default 'engineer' role
+-- (no foreign key so the column can be dropped again by the down migration)
+ALTER TABLE administrators ADD COLUMN role_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_administrators_role_id ON administrators(role_id);
+
+INSERT OR IGNORE INTO roles (id, name, description, is_system, created_at, updated_at) VALUES
+  ('engineer', 'Engineer', 'Works on the tickets assigned to them', 1, strftime('%s', 'now'), strftime('%s', 'now')),
+  ('dispatcher', 'Dispatcher', 'Sees all tickets, assigns and restores them', 1, strftime('%s', 'now'), strftime('%s', 'now')),
+  ('account_manager', 'Account manager', 'Manages companies, their users, passwords and contracts', 1, strftime('%s', 'now'), strftime('%s', 'now')),
+  ('auditor', 'Auditor', 'Read-only access to tickets, companies and the audit log', 1, strftime('%s', 'now'), strftime('%s', 'now'));
+
+INSERT OR IGNORE INTO role_permissions (role_id, permission) VALUES
+  ('dispatcher', 'tickets.view_all'),
+  ('dispatcher', 'tickets.assign'),
+  ('dispatcher', 'tickets.restore'),
+  ('dispatcher', 'companies.view'),
+  ('account_manager', 'companies.view'),
+  ('account_manager', 'companies.credentials'),
+  ('account_manager', 'companies.users'),
+  ('account_manager', 'companies.recovery'),
+  ('account_manager', 'contracts.manage'),
+  ('account_manager', 'equipment.delete'),
+  ('auditor', 'tickets.view_all'),
+  ('auditor', 'companies.view'),
+  ('auditor', 'audit.view');
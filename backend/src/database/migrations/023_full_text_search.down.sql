@@ -0,0 +1,11 @@
+-- Down migration: Remove full-text search
+-- Reverts 023_full_text_search.sql
+
+DROP TRIGGER IF EXISTS chat_messages_fts_delete;
+DROP TRIGGER IF EXISTS chat_messages_fts_update;
+DROP TRIGGER IF EXISTS chat_messages_fts_insert;
+DROP TRIGGER IF EXISTS tickets_fts_delete;
+DROP TRIGGER IF EXISTS tickets_fts_update;
+DROP TRIGGER IF EXISTS tickets_fts_insert;
+DROP TABLE IF EXISTS chat_messages_fts;
+DROP TABLE IF EXISTS tickets_fts;
@@ -0,0 +1,72 @@
+-- Migration: Full-text search
+-- Date: 2026-10-19
+-- Feature: full-text-search
+
+PRAGMA foreign_keys = ON;
+
+-- Search index over ticket descriptions and serial numbers. The index keeps its own copy
+-- of the text; the triggers below keep it in step with the tickets table.
+CREATE VIRTUAL TABLE IF NOT EXISTS tickets_fts USING fts5(
+  ticket_id UNINDEXED,
+  serial_number,
+  problem_description,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Search index over chat messages (public messages and internal notes; the query
+-- decides which of them a user may see)
+CREATE VIRTUAL TABLE IF NOT EXISTS chat_messages_fts USING fts5(
+  message_id UNINDEXED,
+  ticket_id UNINDEXED,
+  content,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS tickets_fts_insert
+AFTER INSERT ON tickets
+BEGIN
+  INSERT INTO tickets_fts (ticket_id, serial_number, problem_description)
+  VALUES (new.id, new.serial_number, new.problem_description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS tickets_fts_update
+AFTER UPDATE OF serial_number, problem_description ON tickets
+BEGIN
+  DELETE FROM tickets_fts WHERE ticket_id = old.id;
+  INSERT INTO tickets_fts (ticket_id, serial_number, problem_description)
+  VALUES (new.id, new.serial_number, new.problem_description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS tickets_fts_delete
+AFTER DELETE ON tickets
+BEGIN
+  DELETE FROM tickets_fts WHERE ticket_id = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS chat_messages_fts_insert
+AFTER INSERT ON chat_messages
+BEGIN
+  INSERT INTO chat_messages_fts (message_id, ticket_id, content)
+  VALUES (new.id, new.ticket_id, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS chat_messages_fts_update
+AFTER UPDATE OF content, ticket_id ON chat_messages
+BEGIN
+  DELETE FROM chat_messages_fts WHERE message_id = old.id;
+  INSERT INTO chat_messages_fts (message_id, ticket_id, content)
+  VALUES (new.id, new.ticket_id, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS chat_messages_fts_delete
+AFTER DELETE ON chat_messages
+BEGIN
+  DELETE FROM chat_messages_fts WHERE message_id = old.id;
+END;
+
+-- Index the rows that already exist
+INSERT INTO tickets_fts (ticket_id, serial_number, problem_description)
+SELECT id, serial_number, problem_description FROM tickets;
+
+INSERT INTO chat_messages_fts (message_id, ticket_id, content)
+SELECT id, ticket_id, content FROM chat_messages;
@@ -0,0 +1,6 @@
+-- Down migration: Remove deleted ticket log
+-- Reverts 024_deleted_tickets.sql
+
+DROP TRIGGER IF EXISTS tickets_unlog_delete;
+DROP TRIGGER IF EXISTS tickets_log_delete;
+DROP TABLE IF EXISTS deleted_tickets;
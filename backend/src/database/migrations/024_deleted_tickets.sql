@@ -0,0 +1,30 @@
+-- Migration: Deleted ticket log
+-- Date: 2026-10-19
+-- Feature: ticket-list-sync
+
+PRAGMA foreign_keys = ON;
+
+-- IDs of deleted tickets (with the owner and assignee they had), so that ticket lists
+-- polling with ?since= can drop them. Filled by trigger; no foreign keys on purpose.
+CREATE TABLE IF NOT EXISTS deleted_tickets (
+  ticket_id TEXT PRIMARY KEY,
+  client_id TEXT,
+  assigned_engineer_id TEXT,
+  deleted_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_deleted_tickets_deleted_at ON deleted_tickets(deleted_at);
+
+CREATE TRIGGER IF NOT EXISTS tickets_log_delete
+AFTER DELETE ON tickets
+BEGIN
+  INSERT OR REPLACE INTO deleted_tickets (ticket_id, client_id, assigned_engineer_id, deleted_at)
+  VALUES (old.id, old.client_id, old.assigned_engineer_id, CAST(strftime('%s', 'now') AS INTEGER));
+END;
+
+-- A ticket ID can be issued again after the highest ticket was deleted
+CREATE TRIGGER IF NOT EXISTS tickets_unlog_delete
+AFTER INSERT ON tickets
+BEGIN
+  DELETE FROM deleted_tickets WHERE ticket_id = new.id;
+END;
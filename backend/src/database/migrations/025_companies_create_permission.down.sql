@@ -0,0 +1,4 @@
+-- Down migration: Remove the permission to create companies
+-- Reverts 025_companies_create_permission.sql
+
+DELETE FROM role_permissions WHERE permission = 'companies.create';
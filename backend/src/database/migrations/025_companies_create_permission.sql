@@ -0,0 +1,8 @@
+-- Migration: Permission to create companies
+-- Date: 2026-10-19
+-- Feature: role-permissions
+
+-- Creating company accounts used to be open to every administrator; it is now the
+-- companies.create permission, granted to the account manager role
+INSERT OR IGNORE INTO role_permissions (role_id, permission) VALUES
+  ('account_manager', 'companies.create');
@@ -0,0 +1,332 @@
+/**
+ * Migration Runner
+ * Applies versioned SQL migrations and records them in the schema_migrations table
+ *
+ * A migration is a pair of files in migrations/:
+ * - NNN_name.sql: up script, applied once
+ * - NNN_name.down.sql: down script that reverts it
+ *
+ * Each script runs in one transaction together with its schema_migrations entry.
+ * Foreign key enforcement is off while it runs (so tables can be rebuilt) and the
+ * foreign keys are checked before commit. The checksum of every applied up script is
+ * stored, so editing a migration after it was applied is detected instead of ignored.
+ */
+
+import { createHash } from 'crypto';
+import { readFile, readdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Directory with the migration files
+ * @type {string}
+ */
+export const MIGRATIONS_DIR = join(__dirname, 'migrations');
+
+const DOWN_SUFFIX = '.down.sql';
+
+/**
+ * @typedef {object} Migration
+ * @property {string} id - Migration ID (file name without .sql, e.g. "006_sla_policies")
+ * @property {string} upSql - Up script
+ * @property {string|null} downSql - Down script (null if the migration cannot be reverted)
+ * @property {string} checksum - SHA-256 of the up script
+ */
+
+/**
+ * Compute the checksum of a migration script (line endings are ignored)
+ * @param {string} sql - Script contents
+ * @returns {string} Hex SHA-256
+ */
+function computeChecksum(sql) {
+  return createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Load the migrations from disk, oldest first
+ * @param {string} dir - Migrations directory
+ * @returns {Promise<Migration[]>} Migrations
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = await readdir(dir);
+  const upFiles = files
+    .filter(file => file.endsWith('.sql') && !file.endsWith(DOWN_SUFFIX))
+    .sort();
+
+  const migrations = [];
+  for (const file of upFiles) {
+    const id = file.slice(0, -'.sql'.length);
+    const upSql = await readFile(join(dir, file), 'utf-8');
+    const downFile = `${id}${DOWN_SUFFIX}`;
+    const downSql = files.includes(downFile) ? await readFile(join(dir, downFile), 'utf-8') : null;
+    migrations.push({ id, upSql, downSql, checksum: computeChecksum(upSql) });
+  }
+  return migrations;
+}
+
+/**
+ * Create the schema_migrations ledger if missing
+ * @param {import('sqlite').Database} db - Database
+ */
+async function ensureLedger(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id TEXT PRIMARY KEY,
+      checksum TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )
+  `);
+}
+
+/**
+ * Get the applied migrations from the ledger
+ * @param {import('sqlite').Database} db - Database
+ * @returns {Promise<Map<string, {id: string, checksum: string, applied_at: number}>>} Ledger rows by ID
+ */
+async function getAppliedMigrations(db) {
+  const rows = await db.all('SELECT id, checksum, applied_at FROM schema_migrations ORDER BY id');
+  return new Map(rows.map(row => [row.id, row]));
+}
+
+/**
+ * Check whether the tables and columns an up script creates are all present
+ * (tables the script itself drops or renames, e.g. during a rebuild, are ignored)
+ * @param {import('sqlite').Database} db - Database
+ * @param {string} sql - Up script
+ * @returns {Promise<boolean>} True if every object exists
+ */
+async function isSchemaPresent(db, sql) {
+  const transient = new Set([
+    ...[...sql.matchAll(/DROP TABLE (?:IF EXISTS )?(\w+)/gi)].map(match => match[1]),
+    ...[...sql.matchAll(/ALTER TABLE (\w+) RENAME TO/gi)].map(match => match[1]),
+  ]);
+  const tables = [...sql.matchAll(/CREATE (?:VIRTUAL )?TABLE (?:IF NOT EXISTS )?(\w+)/gi)]
+    .map(match => match[1])
+    .filter(table => !transient.has(table));
+  const columns = [...sql.matchAll(/ALTER TABLE (\w+) ADD COLUMN (\w+)/gi)]
+    .map(match => ({ table: match[1], column: match[2] }));
+
+  for (const table of tables) {
+    const row = await db.get("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    if (!row) {
+      return false;
+    }
+  }
+  for (const { table, column } of columns) {
+    const tableInfo = await db.all(`PRAGMA table_info(${table})`);
+    if (!tableInfo.some(col => col.name === column)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Find the migrations already present in a database created before the ledger existed
+ * The old runner applied every migration file on each boot, so a database without a
+ * ledger has applied every migration up to the first one whose tables or columns are missing.
+ * @param {import('sqlite').Database} db - Database
+ * @param {Migration[]} migrations - All migrations
+ * @returns {Promise<Migration[]>} Migrations to record; empty if the ledger is in use or the database is new
+ */
+async function findBaselineMigrations(db, migrations) {
+  const ledger = await db.get('SELECT COUNT(*) AS count FROM schema_migrations');
+  const existing = await db.get("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'administrators'");
+  if (ledger.count > 0 || !existing) {
+    return [];
+  }
+
+  const present = [];
+  for (const migration of migrations) {
+    if (!(await isSchemaPresent(db, migration.upSql))) {
+      break;
+    }
+    present.push(migration);
+  }
+  return present;
+}
+
+/**
+ * Record migrations already present in a database created before the ledger existed
+ * @param {import('sqlite').Database} db - Database
+ * @param {Migration[]} migrations - All migrations
+ * @returns {Promise<string[]>} IDs of the recorded migrations
+ */
+async function baselineExistingDatabase(db, migrations) {
+  const now = Math.floor(Date.now() / 1000);
+  const recorded = [];
+  for (const migration of await findBaselineMigrations(db, migrations)) {
+    await db.run(
+      'INSERT INTO schema_migrations (id, checksum, applied_at) VALUES (?, ?, ?)',
+      [migration.id, migration.checksum, now]
+    );
+    recorded.push(migration.id);
+  }
+  return recorded;
+}
+
+/**
+ * Run a migration script in a transaction, with foreign keys checked before commit
+ * @param {import('sqlite').Database} db - Database
+ * @param {string} sql - Script to run
+ * @param {Function} updateLedger - Updates schema_migrations inside the same transaction
+ */
+async function runScript(db, sql, updateLedger) {
+  // Has to be set outside of a transaction to take effect
+  await db.exec('PRAGMA foreign_keys = OFF');
+  try {
+    const violationsBefore = (await db.all('PRAGMA foreign_key_check')).length;
+
+    await db.exec('BEGIN TRANSACTION');
+    try {
+      await db.exec(sql);
+
+      // Only fail on violations the script introduced, not on old broken rows
+      const violations = await db.all('PRAGMA foreign_key_check');
+      if (violations.length > violationsBefore) {
+        throw new Error(`Foreign key check failed (first violation in table ${violations[0].table})`);
+      }
+
+      await updateLedger();
+      await db.exec('COMMIT');
+    } catch (error) {
+      await db.exec('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    await db.exec('PRAGMA foreign_keys = ON');
+  }
+}
+
+/**
+ * Get the state of every migration
+ * @param {import('sqlite').Database} db - Database
+ * @returns {Promise<Array<{id: string, state: string, applied_at: number|null, reversible: boolean}>>}
+ *   States: 'applied', 'pending', 'modified' (applied, file changed since), 'missing' (applied, file deleted)
+ *   or 'baseline' (present in a database created before the ledger, recorded by the next `migrate up`)
+ */
+export async function getMigrationStatus(db) {
+  await ensureLedger(db);
+  const migrations = await loadMigrations();
+  const applied = await getAppliedMigrations(db);
+  const baseline = new Set((await findBaselineMigrations(db, migrations)).map(migration => migration.id));
+
+  const status = migrations.map((migration) => {
+    const row = applied.get(migration.id);
+    let state = baseline.has(migration.id) ? 'baseline' : 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    }
+    return { id: migration.id, state, applied_at: row?.applied_at ?? null, reversible: migration.downSql !== null };
+  });
+
+  for (const row of applied.values()) {
+    if (!migrations.some(migration => migration.id === row.id)) {
+      status.push({ id: row.id, state: 'missing', applied_at: row.applied_at, reversible: false });
+    }
+  }
+
+  return status.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Resolve a migration ID or its number prefix ("006" or "006_sla_policies")
+ * @param {Migration[]} migrations - All migrations
+ * @param {string} target - ID or prefix
+ * @returns {string} Full migration ID
+ * @throws {Error} If no migration (or more than one) matches
+ */
+function resolveMigrationId(migrations, target) {
+  const matches = migrations.filter(migration => migration.id === target || migration.id.startsWith(`${target}_`));
+  if (matches.length !== 1) {
+    throw new Error(`Unknown migration: ${target}`);
+  }
+  return matches[0].id;
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {import('sqlite').Database} db - Database
+ * @param {object} options - Options
+ * @param {string} [options.to] - Stop after this migration (ID or number prefix)
+ * @returns {Promise<{baselined: string[], applied: string[]}>} Migrations recorded for an existing
+ *   database and migrations applied now
+ * @throws {Error} If an applied migration was modified, or a migration fails (it is rolled back)
+ */
+export async function migrateUp(db, options = {}) {
+  await ensureLedger(db);
+  const migrations = await loadMigrations();
+  const baselined = await baselineExistingDatabase(db, migrations);
+  const applied = await getAppliedMigrations(db);
+
+  const modified = migrations.filter(migration => applied.has(migration.id) && applied.get(migration.id).checksum !== migration.checksum);
+  if (modified.length > 0) {
+    throw new Error(
+      `Migration(s) modified after being applied: ${modified.map(migration => migration.id).join(', ')}. ` +
+      'Restore the original file(s) and put schema changes in a new migration.'
+    );
+  }
+
+  const lastId = options.to ? resolveMigrationId(migrations, options.to) : null;
+  const appliedNow = [];
+
+  for (const migration of migrations) {
+    if (lastId && migration.id > lastId) {
+      break;
+    }
+    if (applied.has(migration.id)) {
+      continue;
+    }
+
+    console.log(`Applying migration: ${migration.id}`);
+    await runScript(db, migration.upSql, () => db.run(
+      'INSERT INTO schema_migrations (id, checksum, applied_at) VALUES (?, ?, ?)',
+      [migration.id, migration.checksum, Math.floor(Date.now() / 1000)]
+    ));
+    appliedNow.push(migration.id);
+  }
+
+  return { baselined, applied: appliedNow };
+}
+
+/**
+ * Revert applied migrations, newest first
+ * @param {import('sqlite').Database} db - Database
+ * @param {object} options - Options
+ * @param {number} [options.steps=1] - Number of migrations to revert
+ * @param {string} [options.to] - Revert every migration after this one (ID or number prefix; overrides steps)
+ * @returns {Promise<string[]>} Reverted migration IDs
+ * @throws {Error} If a migration has no down script, or a down script fails (it is rolled back)
+ */
+export async function migrateDown(db, options = {}) {
+  await ensureLedger(db);
+  const migrations = await loadMigrations();
+  const applied = await getAppliedMigrations(db);
+
+  let toRevert = migrations.filter(migration => applied.has(migration.id)).reverse();
+  if (options.to) {
+    const targetId = resolveMigrationId(migrations, options.to);
+    toRevert = toRevert.filter(migration => migration.id > targetId);
+  } else {
+    toRevert = toRevert.slice(0, options.steps ?? 1);
+  }
+
+  const reverted = [];
+  for (const migration of toRevert) {
+    if (migration.downSql === null) {
+      throw new Error(`Migration ${migration.id} has no down script (${migration.id}${DOWN_SUFFIX})`);
+    }
+
+    console.log(`Reverting migration: ${migration.id}`);
+    await runScript(db, migration.downSql, () => db.run(
+      'DELETE FROM schema_migrations WHERE id = ?',
+      [migration.id]
+    ));
+    reverted.push(migration.id);
+  }
+
+  return reverted;
+}
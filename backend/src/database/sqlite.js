@@ -1,21 +1,35 @@
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
-import { readFile, readdir } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import bcrypt from 'bcryptjs';
+import { migrateUp } from './migrator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 let db = null;
 
+/**
+ * Get the configured database file path (DB_PATH, or database.sqlite in the backend folder)
+ * Read on each call so a .env file loaded by the entry point is taken into account.
+ * @returns {string} Path to SQLite database file
+ */
+export function getDatabasePath() {
+  return process.env.DB_PATH || join(__dirname, '..', '..', 'database.sqlite');
+}
+
 /**
  * Initialize SQLite database connection
  * @param {string} dbPath - Path to SQLite database file
+ * @param {object} options - Options
+ * @param {boolean} [options.migrate=true] - Apply pending migrations and seed an empty database
+ *   (pass false to inspect or migrate a database as it is)
  * @returns {Promise<import('sqlite').Database>} Database instance
  */
-export async function initDatabase(dbPath) {
+export async function initDatabase(dbPath, options = {}) {
+  const { migrate = true } = options;
+
   if (db) {
     return db;
   }
@@ -28,11 +42,13 @@ export async function initDatabase(dbPath) {
   // Enable foreign keys
   await db.exec('PRAGMA foreign_keys = ON');
 
-  // Run migrations
-  await runMigrations();
+  if (migrate) {
+    // Run migrations
+    await runMigrations();
 
-  // Seed initial data
-  await seedDatabase();
+    // Seed initial data
+    await seedDatabase();
+  }
 
   return db;
 }
@@ -48,117 +64,20 @@ export function getDatabase() {
   return db;
 }
 
-/**
- * Check if a column exists in a table
- * @param {string} tableName - Name of the table
- * @param {string} columnName - Name of the column
- * @returns {Promise<boolean>} True if column exists
- */
-async function columnExists(tableName, columnName) {
-  const tableInfo = await db.all(`PRAGMA table_info(${tableName})`);
-  return tableInfo.some(col => col.name === columnName);
-}
-
 /**
  * Run database migrations
+ * Applies pending migrations and records them in schema_migrations (see migrator.js)
  */
 async function runMigrations() {
   try {
-    const migrationsDir = join(__dirname, 'migrations');
-    const files = await readdir(migrationsDir);
-    
-    // Filter and sort migration files (e.g., 001_*.sql, 002_*.sql)
-    const migrationFiles = files
-      .filter(file => file.endsWith('.sql'))
-      .sort(); // Sort alphabetically, which will work for numbered migrations
-    
-    // Execute each migration in order
-    for (const file of migrationFiles) {
-      const migrationPath = join(migrationsDir, file);
-      let migrationSQL = await readFile(migrationPath, 'utf-8');
-      
-      console.log(`Applying migration: ${file}`);
-      
-      // For migration 003, check if columns exist before adding them
-      if (file === '003_real_time_master_accounts.sql') {
-        // Check and conditionally add display_name
-        if (!(await columnExists('administrators', 'display_name'))) {
-          await db.exec('ALTER TABLE administrators ADD COLUMN display_name TEXT');
-        } else {
-          console.log('  Column display_name already exists, skipping');
-        }
-        
-        // Check and conditionally add is_master
-        if (!(await columnExists('administrators', 'is_master'))) {
-          await db.exec('ALTER TABLE administrators ADD COLUMN is_master INTEGER');
-        } else {
-          console.log('  Column is_master already exists, skipping');
-        }
-        
-        // Check and conditionally add last_assigned_at
-        if (!(await columnExists('administrators', 'last_assigned_at'))) {
-          await db.exec('ALTER TABLE administrators ADD COLUMN last_assigned_at INTEGER');
-        } else {
-          console.log('  Column last_assigned_at already exists, skipping');
-        }
-        
-        // Run the UPDATE and CREATE INDEX statements (these are safe to run multiple times)
-        const updateAndIndexSQL = migrationSQL
-          .split('\n')
-          .filter(line => 
-            line.trim().startsWith('UPDATE') || 
-            line.trim().startsWith('CREATE INDEX') ||
-            line.trim().startsWith('--')
-          )
-          .join('\n');
-        
-        // Execute UPDATE statements
-        if (migrationSQL.includes('UPDATE administrators SET display_name')) {
-          await db.exec('UPDATE administrators SET display_name = login WHERE display_name IS NULL');
-        }
-        if (migrationSQL.includes('UPDATE administrators SET is_master')) {
-          await db.exec('UPDATE administrators SET is_master = 0 WHERE is_master IS NULL');
-        }
-        
-        // Execute CREATE INDEX statements (IF NOT EXISTS will handle duplicates)
-        if (migrationSQL.includes('CREATE INDEX')) {
-          await db.exec(`
-            CREATE INDEX IF NOT EXISTS idx_administrators_is_master ON administrators(is_master);
-            CREATE INDEX IF NOT EXISTS idx_administrators_display_name ON administrators(display_name);
-          `);
-        }
-      } else if (file === '004_password_recovery.sql') {
-        // Check and conditionally add codephrase column
-        if (!(await columnExists('clients', 'codephrase'))) {
-          // SQLite doesn't support adding UNIQUE column directly, so add without constraint first
-          await db.exec('ALTER TABLE clients ADD COLUMN codephrase TEXT');
-          // Then create unique index (which enforces uniqueness)
-          await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_codephrase_unique ON clients(codephrase) WHERE codephrase IS NOT NULL');
-          console.log('  Added codephrase column with unique index');
-        } else {
-          console.log('  Column codephrase already exists, skipping');
-        }
-        
-        // Check and conditionally add recovery_pending column
-        if (!(await columnExists('clients', 'recovery_pending'))) {
-          await db.exec('ALTER TABLE clients ADD COLUMN recovery_pending INTEGER NOT NULL DEFAULT 0 CHECK(recovery_pending IN (0, 1))');
-          console.log('  Added recovery_pending column');
-        } else {
-          console.log('  Column recovery_pending already exists, skipping');
-        }
-        
-        // Execute CREATE INDEX statements (IF NOT EXISTS will handle duplicates)
-        await db.exec(`
-          CREATE INDEX IF NOT EXISTS idx_clients_codephrase ON clients(codephrase);
-          CREATE INDEX IF NOT EXISTS idx_clients_recovery_pending ON clients(recovery_pending);
-        `);
-      } else {
-        // For other migrations, run as-is
-        await db.exec(migrationSQL);
-      }
+    const { baselined, applied } = await migrateUp(db);
+
+    if (baselined.length > 0) {
+      console.log(`Recorded ${baselined.length} migration(s) already present in the existing database`);
     }
-    
-    console.log(`Database migrations applied successfully (${migrationFiles.length} migration(s))`);
+    console.log(applied.length > 0
+      ? `Database migrations applied successfully (${applied.length} migration(s))`
+      : 'Database schema is up to date');
   } catch (error) {
     console.error('Error running migrations:', error);
     throw error;
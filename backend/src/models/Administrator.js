@@ -4,6 +4,7 @@
  */
 
 import { getDatabase } from '../database/sqlite.js';
+import { DEFAULT_ROLE_ID } from './Role.js';
 
 /**
  * Create a new administrator account
@@ -13,6 +14,7 @@ import { getDatabase } from '../database/sqlite.js';
  * @param {string} adminData.passwordHash - Bcrypt hashed password
  * @param {string} adminData.displayName - Optional display name (defaults to login)
  * @param {boolean} adminData.isMaster - Optional master account flag (defaults to false)
+ * @param {string} [adminData.roleId] - Optional role ID (defaults to DEFAULT_ROLE_ID)
  * @returns {Promise<object>} Created administrator object
  */
 export async function createAdministrator(adminData) {
@@ -25,14 +27,15 @@ export async function createAdministrator(adminData) {
   const isMaster = adminData.isMaster === true ? 1 : 0;
 
   await db.run(
-    `INSERT INTO administrators (id, login, password_hash, display_name, is_master, created_at)
-     VALUES (?, ?, ?, ?, ?, ?)`,
+    `INSERT INTO administrators (id, login, password_hash, display_name, is_master, role_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
     [
       adminData.id,
       adminData.login,
       adminData.passwordHash,
       displayName,
       isMaster,
+      adminData.roleId && adminData.roleId !== DEFAULT_ROLE_ID ? adminData.roleId : null,
       now,
     ]
   );
@@ -48,8 +51,9 @@ export async function createAdministrator(adminData) {
 export async function getAdministratorById(adminId) {
   const db = getDatabase();
   const admin = await db.get(
-    'SELECT id, login, display_name, is_master, created_at, last_assigned_at FROM administrators WHERE id = ?',
-    [adminId]
+    `SELECT id, login, display_name, is_master, COALESCE(role_id, ?) as role_id, created_at, last_assigned_at
+     FROM administrators WHERE id = ?`,
+    [DEFAULT_ROLE_ID, adminId]
   );
   
   if (!admin) {
@@ -105,7 +109,10 @@ export async function getAdministratorByLogin(login) {
 export async function getAllAdministrators() {
   const db = getDatabase();
   const admins = await db.all(
-    'SELECT id, login, display_name, is_master, created_at, last_assigned_at FROM administrators ORDER BY created_at DESC'
+    `SELECT id, login, display_name, is_master, COALESCE(role_id, ?) as role_id, created_at, last_assigned_at,
+            totp_enabled_at IS NOT NULL as two_factor_enabled
+     FROM administrators ORDER BY created_at DESC`,
+    [DEFAULT_ROLE_ID]
   );
   
   if (!admins) {
@@ -117,6 +124,7 @@ export async function getAllAdministrators() {
     if (admin.is_master !== undefined) {
       admin.is_master = admin.is_master === 1;
     }
+    admin.two_factor_enabled = admin.two_factor_enabled === 1;
     if (!admin.display_name) {
       admin.display_name = admin.login;
     }
@@ -134,6 +142,18 @@ export async function getAdministratorCount() {
   return result ? result.count : 0;
 }
 
+/**
+ * Get the highest numeric suffix of "admin-NNN" administrator IDs
+ * @returns {Promise<number>} Highest number (0 if there are none)
+ */
+export async function getMaxAdministratorNumber() {
+  const db = getDatabase();
+  const result = await db.get(
+    "SELECT MAX(CAST(SUBSTR(id, 7) AS INTEGER)) as max_number FROM administrators WHERE id LIKE 'admin-%'"
+  );
+  return result && result.max_number ? result.max_number : 0;
+}
+
 /**
  * Check if a login already exists
  * @param {string} login - Login to check
@@ -192,6 +212,122 @@ export async function updateAdministratorDisplayName(adminId, displayName) {
   return null;
 }
 
+/**
+ * Update administrator password
+ * @param {string} adminId - Administrator ID
+ * @param {string} passwordHash - Bcrypt hashed password
+ * @returns {Promise<boolean>} True if updated successfully
+ */
+export async function updateAdministratorPassword(adminId, passwordHash) {
+  const db = getDatabase();
+  const result = await db.run(
+    'UPDATE administrators SET password_hash = ? WHERE id = ?',
+    [passwordHash, adminId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Set or clear the master account flag
+ * @param {string} adminId - Administrator ID
+ * @param {boolean} isMaster - Master account flag
+ * @returns {Promise<object|null>} Updated administrator object or null
+ */
+export async function setAdministratorMaster(adminId, isMaster) {
+  const db = getDatabase();
+  const result = await db.run(
+    'UPDATE administrators SET is_master = ? WHERE id = ?',
+    [isMaster ? 1 : 0, adminId]
+  );
+
+  if (result.changes > 0) {
+    return getAdministratorById(adminId);
+  }
+  return null;
+}
+
+/**
+ * Get the two-factor authentication state of an administrator
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<object|null>} { id, login, is_master, totp_secret, totp_enabled_at, totp_last_used_step } or null
+ */
+export async function getAdministratorTwoFactor(adminId) {
+  const db = getDatabase();
+  const admin = await db.get(
+    'SELECT id, login, is_master, totp_secret, totp_enabled_at, totp_last_used_step FROM administrators WHERE id = ?',
+    [adminId]
+  );
+
+  if (!admin) {
+    return null;
+  }
+
+  admin.is_master = admin.is_master === 1;
+  return admin;
+}
+
+/**
+ * Store a new TOTP secret awaiting confirmation (two-factor stays off until enabled)
+ * @param {string} adminId - Administrator ID
+ * @param {string} secret - Base32 TOTP secret
+ * @returns {Promise<boolean>} True if updated successfully
+ */
+export async function setAdministratorTotpSecret(adminId, secret) {
+  const db = getDatabase();
+  const result = await db.run(
+    'UPDATE administrators SET totp_secret = ?, totp_enabled_at = NULL, totp_last_used_step = NULL WHERE id = ?',
+    [secret, adminId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Turn on two-factor authentication with the stored TOTP secret
+ * @param {string} adminId - Administrator ID
+ * @param {number} usedStep - Time step of the confirmation code
+ * @returns {Promise<boolean>} True if updated successfully
+ */
+export async function enableAdministratorTotp(adminId, usedStep) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.run(
+    'UPDATE administrators SET totp_enabled_at = ?, totp_last_used_step = ? WHERE id = ? AND totp_secret IS NOT NULL',
+    [now, usedStep, adminId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Turn off two-factor authentication and remove the TOTP secret
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<boolean>} True if updated successfully
+ */
+export async function disableAdministratorTotp(adminId) {
+  const db = getDatabase();
+  const result = await db.run(
+    'UPDATE administrators SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL WHERE id = ?',
+    [adminId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Record the time step of an accepted TOTP code
+ * Only succeeds for a step later than the last accepted one, so a code cannot be replayed.
+ * @param {string} adminId - Administrator ID
+ * @param {number} step - Time step of the accepted code
+ * @returns {Promise<boolean>} True if the step was recorded (the code was not used before)
+ */
+export async function markAdministratorTotpStepUsed(adminId, step) {
+  const db = getDatabase();
+  const result = await db.run(
+    `UPDATE administrators SET totp_last_used_step = ?
+     WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)`,
+    [step, adminId, step]
+  );
+  return result.changes > 0;
+}
+
 /**
  * Check if administrator is a master account
  * @param {string} adminId - Administrator ID
@@ -0,0 +1,115 @@
+/**
+ * Attachment Model
+ * Represents a file attached to a ticket or to one of its chat messages
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Create a new attachment record
+ * @param {object} attachmentData - Attachment data
+ * @param {string} attachmentData.id - Attachment ID
+ * @param {string} attachmentData.ticketId - Ticket ID
+ * @param {string|null} attachmentData.messageId - Chat message ID (null for ticket attachments)
+ * @param {string} attachmentData.uploaderId - Uploader ID (client_id or administrator_id)
+ * @param {string} attachmentData.uploaderRole - Uploader role ('client' or 'administrator')
+ * @param {string} attachmentData.originalName - File name as uploaded
+ * @param {string} attachmentData.mimeType - Content type served on download
+ * @param {number} attachmentData.sizeBytes - File size in bytes
+ * @param {string} attachmentData.storageKey - Key of the file in the attachment storage
+ * @returns {Promise<object>} Created attachment object
+ */
+export async function createAttachment(attachmentData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  await db.run(
+    `INSERT INTO attachments (
+      id, ticket_id, message_id, uploader_id, uploader_role,
+      original_name, mime_type, size_bytes, storage_key, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      attachmentData.id,
+      attachmentData.ticketId,
+      attachmentData.messageId || null,
+      attachmentData.uploaderId,
+      attachmentData.uploaderRole,
+      attachmentData.originalName,
+      attachmentData.mimeType,
+      attachmentData.sizeBytes,
+      attachmentData.storageKey,
+      now,
+    ]
+  );
+
+  return getAttachmentById(attachmentData.id);
+}
+
+/**
+ * Get attachment by ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<object|null>} Attachment object (with the message_type of its chat message, if any) or null
+ */
+export async function getAttachmentById(attachmentId) {
+  const db = getDatabase();
+  const attachment = await db.get(
+    `SELECT a.*, m.message_type FROM attachments a
+     LEFT JOIN chat_messages m ON m.id = a.message_id
+     WHERE a.id = ?`,
+    [attachmentId]
+  );
+  return attachment || null;
+}
+
+/**
+ * Get all attachments of a ticket (including chat message attachments)
+ * @param {string} ticketId - Ticket ID
+ * @param {boolean} includeInternal - Include files attached to internal notes
+ * @returns {Promise<Array>} Array of attachment objects, oldest first
+ */
+export async function getAttachmentsByTicketId(ticketId, includeInternal = true) {
+  const db = getDatabase();
+  const attachments = await db.all(
+    `SELECT a.* FROM attachments a
+     LEFT JOIN chat_messages m ON m.id = a.message_id
+     WHERE a.ticket_id = ?${includeInternal ? '' : " AND (m.message_type IS NULL OR m.message_type = 'public')"}
+     ORDER BY a.created_at ASC, a.id ASC`,
+    [ticketId]
+  );
+  return attachments || [];
+}
+
+/**
+ * Get attachments of several chat messages
+ * @param {string[]} messageIds - Chat message IDs
+ * @returns {Promise<Array>} Array of attachment objects
+ */
+export async function getAttachmentsByMessageIds(messageIds) {
+  if (messageIds.length === 0) {
+    return [];
+  }
+
+  const db = getDatabase();
+  const placeholders = messageIds.map(() => '?').join(', ');
+  const attachments = await db.all(
+    `SELECT * FROM attachments WHERE message_id IN (${placeholders}) ORDER BY created_at ASC, id ASC`,
+    messageIds
+  );
+  return attachments || [];
+}
+
+/**
+ * Get the storage keys of all files attached to a client's tickets
+ * @param {string} clientId - Client ID
+ * @returns {Promise<string[]>} Storage keys
+ */
+export async function getStorageKeysByClientId(clientId) {
+  const db = getDatabase();
+  const rows = await db.all(
+    `SELECT a.storage_key FROM attachments a
+     JOIN tickets t ON t.id = a.ticket_id
+     WHERE t.client_id = ?`,
+    [clientId]
+  );
+  return (rows || []).map(row => row.storage_key);
+}
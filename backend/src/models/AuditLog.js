@@ -0,0 +1,130 @@
+/**
+ * AuditLog Model
+ * Append-only record of privileged and security-relevant actions
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Create an audit log entry
+ * @param {object} entryData - Entry data
+ * @param {string|null} entryData.actorId - ID of the user who acted (null for system)
+ * @param {string} entryData.actorRole - Actor role ('client', 'administrator' or 'system')
+ * @param {string|null} entryData.actorLogin - Actor login at the time of the action
+ * @param {string} entryData.action - Action name (e.g. 'admin.created')
+ * @param {string|null} entryData.targetType - Target type (e.g. 'administrator', 'company')
+ * @param {string|null} entryData.targetId - Target ID
+ * @param {string|null} entryData.targetLabel - Target login or name at the time of the action
+ * @param {string|null} entryData.ipAddress - Client IP address
+ * @param {object|null} entryData.details - Action-specific data (stored as JSON)
+ * @returns {Promise<number>} ID of the created entry
+ */
+export async function createAuditEntry(entryData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  const result = await db.run(
+    `INSERT INTO audit_log (
+      created_at, actor_id, actor_role, actor_login, action,
+      target_type, target_id, target_label, ip_address, details
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      now,
+      entryData.actorId || null,
+      entryData.actorRole,
+      entryData.actorLogin || null,
+      entryData.action,
+      entryData.targetType || null,
+      entryData.targetId || null,
+      entryData.targetLabel || null,
+      entryData.ipAddress || null,
+      entryData.details ? JSON.stringify(entryData.details) : null,
+    ]
+  );
+
+  return result.lastID;
+}
+
+/**
+ * Build the WHERE clause for audit log filters
+ * @param {object} filters - Filters
+ * @param {string} [filters.action] - Exact action, or a prefix ending with '.' (e.g. 'admin.')
+ * @param {string} [filters.actor] - Actor ID or login
+ * @param {string} [filters.target] - Target ID or label
+ * @param {number} [filters.date_from] - Entries at or after this time (Unix seconds)
+ * @param {number} [filters.date_to] - Entries at or before this time (Unix seconds)
+ * @returns {{where: string, params: Array}} SQL fragment and parameters
+ */
+function buildAuditFilter(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.action) {
+    if (filters.action.endsWith('.')) {
+      conditions.push('action LIKE ?');
+      params.push(`${filters.action}%`);
+    } else {
+      conditions.push('action = ?');
+      params.push(filters.action);
+    }
+  }
+  if (filters.actor) {
+    conditions.push('(actor_id = ? OR actor_login = ?)');
+    params.push(filters.actor, filters.actor);
+  }
+  if (filters.target) {
+    conditions.push('(target_id = ? OR target_label = ?)');
+    params.push(filters.target, filters.target);
+  }
+  if (filters.date_from) {
+    conditions.push('created_at >= ?');
+    params.push(filters.date_from);
+  }
+  if (filters.date_to) {
+    conditions.push('created_at <= ?');
+    params.push(filters.date_to);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+/**
+ * Get audit log entries, newest first
+ * @param {object} filters - Filters (see buildAuditFilter)
+ * @param {number} limit - Maximum number of entries
+ * @param {number} offset - Number of entries to skip
+ * @returns {Promise<Array>} Entries with details parsed from JSON
+ */
+export async function getAuditEntries(filters, limit, offset = 0) {
+  const db = getDatabase();
+  const { where, params } = buildAuditFilter(filters);
+
+  const entries = await db.all(
+    `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return (entries || []).map(entry => {
+    try {
+      entry.details = entry.details ? JSON.parse(entry.details) : null;
+    } catch (e) {
+      entry.details = null;
+    }
+    return entry;
+  });
+}
+
+/**
+ * Count audit log entries matching filters
+ * @param {object} filters - Filters (see buildAuditFilter)
+ * @returns {Promise<number>} Number of entries
+ */
+export async function countAuditEntries(filters) {
+  const db = getDatabase();
+  const { where, params } = buildAuditFilter(filters);
+  const row = await db.get(`SELECT COUNT(*) as count FROM audit_log ${where}`, params);
+  return row?.count || 0;
+}
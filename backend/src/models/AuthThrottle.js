@@ -0,0 +1,182 @@
+/**
+ * Auth Throttle Model
+ * Failed sign-in and recovery attempt counters, and the lockouts they trigger
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Get the throttle row for a key
+ * @param {string} scope - 'login', 'ip' or 'recovery'
+ * @param {string} identifier - Login or IP address
+ * @returns {Promise<object|null>} Throttle or null if there are no recorded failures
+ */
+export async function getThrottle(scope, identifier) {
+  const db = getDatabase();
+  const throttle = await db.get(
+    'SELECT * FROM auth_throttles WHERE scope = ? AND identifier = ?',
+    [scope, identifier]
+  );
+  return throttle || null;
+}
+
+/**
+ * Count an attempt against a key before it is verified, unless the key is blocked
+ * One statement, so that parallel attempts each see the others' counts.
+ * @param {string} scope - 'login', 'ip' or 'recovery'
+ * @param {string} identifier - Login or IP address
+ * @param {number} now - Time of the attempt (Unix seconds)
+ * @param {number} recentSince - Failures before this time no longer count (Unix seconds)
+ * @returns {Promise<number|null>} Failure count including this attempt, or null if the key
+ *   is locked or delayed (nothing is counted then)
+ */
+export async function reserveThrottleAttempt(scope, identifier, now, recentSince) {
+  const db = getDatabase();
+  const row = await db.get(
+    `INSERT INTO auth_throttles (scope, identifier, failures, last_failure_at)
+     VALUES (?, ?, 1, ?)
+     ON CONFLICT(scope, identifier) DO UPDATE SET
+       failures = CASE WHEN last_failure_at > ? THEN failures + 1 ELSE 1 END,
+       last_failure_at = excluded.last_failure_at
+     WHERE (locked_until IS NULL OR locked_until <= ?)
+       AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+     RETURNING failures`,
+    [scope, identifier, now, recentSince, now, now]
+  );
+  return row ? row.failures : null;
+}
+
+/**
+ * Take back an attempt counted by reserveThrottleAttempt (it succeeded or was not verified)
+ * @param {string} scope - 'login', 'ip' or 'recovery'
+ * @param {string} identifier - Login or IP address
+ * @returns {Promise<void>}
+ */
+export async function releaseThrottleAttempt(scope, identifier) {
+  const db = getDatabase();
+  await db.run(
+    'UPDATE auth_throttles SET failures = failures - 1 WHERE scope = ? AND identifier = ? AND failures > 0',
+    [scope, identifier]
+  );
+}
+
+/**
+ * Delay or lock a key after a failed attempt
+ * Never shortens a delay or lockout set by a parallel attempt.
+ * @param {string} scope - 'login', 'ip' or 'recovery'
+ * @param {string} identifier - Login or IP address
+ * @param {object} limits - New limits
+ * @param {number|null} limits.nextAttemptAt - No attempt accepted before this time
+ * @param {number|null} limits.lockedUntil - Lockout end, or null if not locked
+ * @returns {Promise<void>}
+ */
+export async function setThrottleLimits(scope, identifier, limits) {
+  const db = getDatabase();
+  await db.run(
+    `UPDATE auth_throttles SET
+       next_attempt_at = NULLIF(MAX(COALESCE(next_attempt_at, 0), COALESCE(?, 0)), 0),
+       locked_until = CASE WHEN ? IS NULL THEN locked_until ELSE MAX(COALESCE(locked_until, 0), ?) END
+     WHERE scope = ? AND identifier = ?`,
+    [limits.nextAttemptAt, limits.lockedUntil, limits.lockedUntil, scope, identifier]
+  );
+}
+
+/**
+ * Forget the failures of a key (successful sign-in or manual unlock)
+ * @param {string} scope - 'login', 'ip' or 'recovery'
+ * @param {string} identifier - Login or IP address
+ * @returns {Promise<boolean>} True if there was a row to delete
+ */
+export async function deleteThrottle(scope, identifier) {
+  const db = getDatabase();
+  const result = await db.run(
+    'DELETE FROM auth_throttles WHERE scope = ? AND identifier = ?',
+    [scope, identifier]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Delete throttle rows whose last failure is older than a cutoff and that are not locked
+ * @param {number} before - Cutoff (Unix seconds)
+ * @returns {Promise<number>} Number of deleted rows
+ */
+export async function deleteStaleThrottles(before) {
+  const db = getDatabase();
+  const result = await db.run(
+    'DELETE FROM auth_throttles WHERE last_failure_at < ? AND (locked_until IS NULL OR locked_until < ?)',
+    [before, before]
+  );
+  return result.changes;
+}
+
+/**
+ * Get the keys that are locked out now, with the event that locked them
+ * @returns {Promise<Array>} Lockouts, most recent first
+ */
+export async function getActiveLockouts() {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const lockouts = await db.all(
+    `SELECT t.scope, t.identifier, t.failures, t.locked_until,
+            e.id as event_id, e.user_id, e.user_role, e.ip_address, e.created_at as locked_at
+     FROM auth_throttles t
+     LEFT JOIN lockout_events e ON e.id = (
+       SELECT MAX(id) FROM lockout_events WHERE scope = t.scope AND identifier = t.identifier
+     )
+     WHERE t.locked_until > ?
+     ORDER BY t.locked_until DESC`,
+    [now]
+  );
+  return lockouts || [];
+}
+
+/**
+ * Record a lockout
+ * @param {object} eventData - Lockout data
+ * @param {string} eventData.scope - 'login', 'ip' or 'recovery'
+ * @param {string} eventData.identifier - Login or IP address
+ * @param {string|null} eventData.userId - Account behind a locked login
+ * @param {string|null} eventData.userRole - 'client' or 'administrator'
+ * @param {string|null} eventData.ipAddress - Address of the attempt that triggered the lockout
+ * @param {number} eventData.failures - Failure count
+ * @param {number} eventData.lockedUntil - Lockout end (Unix seconds)
+ * @returns {Promise<object>} Created lockout event
+ */
+export async function createLockoutEvent(eventData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.run(
+    `INSERT INTO lockout_events (scope, identifier, user_id, user_role, ip_address, failures, locked_until, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      eventData.scope,
+      eventData.identifier,
+      eventData.userId || null,
+      eventData.userRole || null,
+      eventData.ipAddress || null,
+      eventData.failures,
+      eventData.lockedUntil,
+      now,
+    ]
+  );
+  return db.get('SELECT * FROM lockout_events WHERE id = ?', [result.lastID]);
+}
+
+/**
+ * Mark the open lockout events of a key as ended by an administrator
+ * @param {string} scope - 'login', 'ip' or 'recovery'
+ * @param {string} identifier - Login or IP address
+ * @param {string|null} adminId - Administrator who unlocked it
+ * @returns {Promise<number>} Number of updated events
+ */
+export async function markLockoutEventsUnlocked(scope, identifier, adminId) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.run(
+    `UPDATE lockout_events SET unlocked_at = ?, unlocked_by = ?
+     WHERE scope = ? AND identifier = ? AND unlocked_at IS NULL AND locked_until > ?`,
+    [now, adminId, scope, identifier, now]
+  );
+  return result.changes;
+}
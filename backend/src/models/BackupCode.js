@@ -0,0 +1,73 @@
+/**
+ * Backup Code Model
+ * Single-use two-factor backup codes of administrator accounts (stored as hashes)
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Replace all backup codes of an administrator
+ * @param {string} adminId - Administrator ID
+ * @param {string[]} codeHashes - SHA-256 hashes of the new codes
+ * @returns {Promise<void>}
+ */
+export async function replaceBackupCodes(adminId, codeHashes) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  await db.exec('BEGIN TRANSACTION');
+  try {
+    await db.run('DELETE FROM administrator_backup_codes WHERE admin_id = ?', [adminId]);
+    for (const codeHash of codeHashes) {
+      await db.run(
+        'INSERT INTO administrator_backup_codes (admin_id, code_hash, created_at) VALUES (?, ?, ?)',
+        [adminId, codeHash, now]
+      );
+    }
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Mark an unused backup code as used
+ * @param {string} adminId - Administrator ID
+ * @param {string} codeHash - SHA-256 hash of the code
+ * @returns {Promise<boolean>} True if the code existed and was unused
+ */
+export async function useBackupCode(adminId, codeHash) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.run(
+    'UPDATE administrator_backup_codes SET used_at = ? WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL',
+    [now, adminId, codeHash]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Count the unused backup codes of an administrator
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<number>} Number of unused codes
+ */
+export async function countUnusedBackupCodes(adminId) {
+  const db = getDatabase();
+  const result = await db.get(
+    'SELECT COUNT(*) as count FROM administrator_backup_codes WHERE admin_id = ? AND used_at IS NULL',
+    [adminId]
+  );
+  return result ? result.count : 0;
+}
+
+/**
+ * Delete all backup codes of an administrator
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<number>} Number of deleted codes
+ */
+export async function deleteBackupCodes(adminId) {
+  const db = getDatabase();
+  const result = await db.run('DELETE FROM administrator_backup_codes WHERE admin_id = ?', [adminId]);
+  return result.changes;
+}
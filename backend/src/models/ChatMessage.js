@@ -13,6 +13,7 @@ import { getDatabase } from '../database/sqlite.js';
  * @param {string} messageData.senderId - Sender ID (client_id or administrator_id)
  * @param {string} messageData.senderRole - Sender role ('client' or 'administrator')
  * @param {string} messageData.content - Message content
+ * @param {string} [messageData.messageType] - 'public' (default) or 'internal' (administrators only)
  * @returns {Promise<object>} Created message object
  */
 export async function createChatMessage(messageData) {
@@ -21,14 +22,15 @@ export async function createChatMessage(messageData) {
 
   await db.run(
     `INSERT INTO chat_messages (
-      id, ticket_id, sender_id, sender_role, content, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?)`,
+      id, ticket_id, sender_id, sender_role, content, message_type, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
     [
       messageData.id,
       messageData.ticketId,
       messageData.senderId,
       messageData.senderRole,
       messageData.content,
+      messageData.messageType || 'public',
       now,
     ]
   );
@@ -54,13 +56,18 @@ export async function getChatMessageById(messageId) {
  * Get all chat messages for a ticket
  * @param {string} ticketId - Ticket ID
  * @param {number|null} since - Optional Unix timestamp to get messages since this time
+ * @param {boolean} includeInternal - Include internal notes (administrators only)
  * @returns {Promise<Array>} Array of message objects, ordered by created_at ASC
  */
-export async function getChatMessagesByTicketId(ticketId, since = null) {
+export async function getChatMessagesByTicketId(ticketId, since = null, includeInternal = true) {
   const db = getDatabase();
   
   let query = `SELECT * FROM chat_messages WHERE ticket_id = ?`;
   const params = [ticketId];
+
+  if (!includeInternal) {
+    query += ` AND message_type = 'public'`;
+  }
   
   if (since !== null && since !== undefined) {
     query += ` AND created_at > ?`;
@@ -73,6 +80,17 @@ export async function getChatMessagesByTicketId(ticketId, since = null) {
   return messages || [];
 }
 
+/**
+ * Delete a chat message
+ * @param {string} messageId - Message ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function deleteChatMessage(messageId) {
+  const db = getDatabase();
+  const result = await db.run('DELETE FROM chat_messages WHERE id = ?', [messageId]);
+  return result.changes > 0;
+}
+
 /**
  * Get latest message timestamp for a ticket
  * @param {string} ticketId - Ticket ID
@@ -5,6 +5,18 @@
 
 import { getDatabase } from '../database/sqlite.js';
 
+/**
+ * SQL condition that leaves out rows belonging to a deleted company
+ * Tickets of a deleted company are kept for a restore but must not show up in ticket lists,
+ * search, SLA checks, analytics or reports.
+ * @param {string} alias - Alias of the table with the client_id column (e.g. 't')
+ * @returns {string} Condition, without a leading AND
+ */
+export function activeCompanyCondition(alias) {
+  return `NOT EXISTS (SELECT 1 FROM clients deleted_client
+    WHERE deleted_client.id = ${alias}.client_id AND deleted_client.deleted_at IS NOT NULL)`;
+}
+
 /**
  * Create a new client account
  * @param {object} clientData - Client account data
@@ -13,6 +25,7 @@ import { getDatabase } from '../database/sqlite.js';
  * @param {string} clientData.passwordHash - Bcrypt hashed password
  * @param {string} clientData.companyName - Company name
  * @param {string} clientData.codephrase - Recovery codephrase (optional)
+ * @param {string|null} clientData.email - Contact email, used to match inbound emails (optional)
  * @param {number} clientData.recoveryPending - Recovery pending flag (optional, default 0)
  * @returns {Promise<object>} Created client object
  */
@@ -22,8 +35,8 @@ export async function createClient(clientData) {
   const recoveryPending = clientData.recoveryPending ?? 0;
 
   await db.run(
-    `INSERT INTO clients (id, login, password_hash, company_name, codephrase, recovery_pending, created_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    `INSERT INTO clients (id, login, password_hash, company_name, codephrase, recovery_pending, email, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       clientData.id,
       clientData.login,
@@ -31,6 +44,7 @@ export async function createClient(clientData) {
       clientData.companyName,
       clientData.codephrase || null,
       recoveryPending,
+      clientData.email || null,
       now,
     ]
   );
@@ -40,13 +54,16 @@ export async function createClient(clientData) {
 
 /**
  * Get client by ID
+ * Deleted companies are returned too; check deleted_at where that matters.
  * @param {string} clientId - Client ID
  * @returns {Promise<object|null>} Client object or null
  */
 export async function getClientById(clientId) {
   const db = getDatabase();
   const client = await db.get(
-    'SELECT id, login, company_name, codephrase, recovery_pending, created_at FROM clients WHERE id = ?',
+    `SELECT id, login, company_name, codephrase, recovery_pending, email, created_at, deleted_at, deleted_by,
+            password_changed_at, codephrase_changed_at
+     FROM clients WHERE id = ?`,
     [clientId]
   );
   return client || null;
@@ -54,40 +71,85 @@ export async function getClientById(clientId) {
 
 /**
  * Get client by login
+ * Deleted companies are returned too, since their logins stay reserved.
  * @param {string} login - Client login/username
  * @returns {Promise<object|null>} Client object or null
  */
 export async function getClientByLogin(login) {
   const db = getDatabase();
   const client = await db.get(
-    'SELECT id, login, password_hash, company_name, codephrase, recovery_pending, created_at FROM clients WHERE login = ?',
+    'SELECT id, login, password_hash, company_name, codephrase, recovery_pending, created_at, deleted_at FROM clients WHERE login = ?',
     [login]
   );
   return client || null;
 }
 
 /**
- * Get all clients
+ * Get the password hash of a client account
+ * @param {string} clientId - Client ID
+ * @returns {Promise<string|null>} Bcrypt hash or null if not found
+ */
+export async function getClientPasswordHash(clientId) {
+  const db = getDatabase();
+  const row = await db.get('SELECT password_hash FROM clients WHERE id = ?', [clientId]);
+  return row ? row.password_hash : null;
+}
+
+/**
+ * Get all clients (deleted companies excluded)
+ * The codephrase is left out: it verifies the client during password recovery.
  * @returns {Promise<Array>} Array of client objects
  */
 export async function getAllClients() {
   const db = getDatabase();
   const clients = await db.all(
-    'SELECT id, login, company_name, codephrase, recovery_pending, created_at FROM clients ORDER BY created_at DESC'
+    'SELECT id, login, company_name, recovery_pending, email, created_at FROM clients WHERE deleted_at IS NULL ORDER BY created_at DESC'
   );
   return clients || [];
 }
 
 /**
- * Check if a login already exists
+ * Get client by contact email or login (case-insensitive, an email match wins)
+ * Deleted companies are not matched.
+ * @param {string} address - Email address
+ * @returns {Promise<object|null>} Client object or null
+ */
+export async function getClientByEmail(address) {
+  const db = getDatabase();
+  const client = await db.get(
+    `SELECT id, login, company_name, codephrase, recovery_pending, email, created_at FROM clients
+     WHERE (email = ? COLLATE NOCASE OR login = ? COLLATE NOCASE) AND deleted_at IS NULL
+     ORDER BY (email = ? COLLATE NOCASE) DESC
+     LIMIT 1`,
+    [address, address, address]
+  );
+  return client || null;
+}
+
+/**
+ * Check if a contact email is already used by another client
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} True if the email is taken
+ */
+export async function clientEmailExists(email) {
+  const db = getDatabase();
+  const result = await db.get(
+    'SELECT 1 FROM clients WHERE email = ? COLLATE NOCASE LIMIT 1',
+    [email]
+  );
+  return !!result;
+}
+
+/**
+ * Check if a login already exists (company logins and contact person logins share one namespace)
  * @param {string} login - Login to check
  * @returns {Promise<boolean>} True if login exists
  */
 export async function loginExists(login) {
   const db = getDatabase();
   const result = await db.get(
-    'SELECT 1 FROM clients WHERE login = ? LIMIT 1',
-    [login]
+    'SELECT 1 FROM clients WHERE login = ? UNION ALL SELECT 1 FROM contact_persons WHERE login = ? LIMIT 1',
+    [login, login]
   );
   return !!result;
 }
@@ -123,22 +185,37 @@ export async function updateClientPassword(clientId, newPasswordHash) {
   
   // Update password and clear recovery_pending flag when password is reset
   await db.run(
-    'UPDATE clients SET password_hash = ?, recovery_pending = 0 WHERE id = ?',
-    [newPasswordHash, clientId]
+    'UPDATE clients SET password_hash = ?, recovery_pending = 0, password_changed_at = ? WHERE id = ?',
+    [newPasswordHash, Math.floor(Date.now() / 1000), clientId]
   );
   
   return getClientById(clientId);
 }
 
 /**
- * Get client by codephrase (case-insensitive)
+ * Replace the recovery codephrase of a client account
+ * @param {string} clientId - Client ID
+ * @param {string} codephrase - New codephrase
+ * @returns {Promise<boolean>} True if updated successfully
+ */
+export async function updateClientCodephrase(clientId, codephrase) {
+  const db = getDatabase();
+  const result = await db.run(
+    'UPDATE clients SET codephrase = ?, codephrase_changed_at = ? WHERE id = ?',
+    [codephrase, Math.floor(Date.now() / 1000), clientId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Get client by codephrase (case-insensitive, deleted companies excluded)
  * @param {string} codephrase - Recovery codephrase
  * @returns {Promise<object|null>} Client object or null
  */
 export async function getClientByCodephrase(codephrase) {
   const db = getDatabase();
   const client = await db.get(
-    'SELECT id, login, password_hash, company_name, codephrase, recovery_pending, created_at FROM clients WHERE LOWER(codephrase) = LOWER(?)',
+    'SELECT id, login, password_hash, company_name, codephrase, recovery_pending, created_at FROM clients WHERE LOWER(codephrase) = LOWER(?) AND deleted_at IS NULL',
     [codephrase]
   );
   return client || null;
@@ -167,3 +244,65 @@ export async function setRecoveryPending(clientId, recoveryPending) {
   return getClientById(clientId);
 }
 
+/**
+ * Get deleted clients, most recently deleted first
+ * @returns {Promise<Array>} Client objects with deleted_at, deleted_by and deleted_by_login
+ */
+export async function getDeletedClients() {
+  const db = getDatabase();
+  const clients = await db.all(
+    `SELECT c.id, c.login, c.company_name, c.email, c.created_at, c.deleted_at, c.deleted_by,
+            a.login as deleted_by_login,
+            (SELECT COUNT(*) FROM tickets t WHERE t.client_id = c.id) as ticket_count
+     FROM clients c
+     LEFT JOIN administrators a ON a.id = c.deleted_by
+     WHERE c.deleted_at IS NOT NULL
+     ORDER BY c.deleted_at DESC`
+  );
+  return clients || [];
+}
+
+/**
+ * Mark a client as deleted
+ * @param {string} clientId - Client ID
+ * @param {string|null} deletedBy - Administrator ID (null from the command line)
+ * @returns {Promise<boolean>} True if an active client was marked
+ */
+export async function softDeleteClient(clientId, deletedBy) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.run(
+    'UPDATE clients SET deleted_at = ?, deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+    [now, deletedBy || null, clientId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Clear the deleted mark of a client
+ * @param {string} clientId - Client ID
+ * @returns {Promise<boolean>} True if a deleted client was restored
+ */
+export async function restoreClient(clientId) {
+  const db = getDatabase();
+  const result = await db.run(
+    'UPDATE clients SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+    [clientId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Permanently delete a deleted client
+ * Tickets, chat messages, equipment and contracts are removed by ON DELETE CASCADE.
+ * @param {string} clientId - Client ID
+ * @returns {Promise<boolean>} True if the row was deleted
+ */
+export async function purgeClient(clientId) {
+  const db = getDatabase();
+  const result = await db.run(
+    'DELETE FROM clients WHERE id = ? AND deleted_at IS NOT NULL',
+    [clientId]
+  );
+  return result.changes > 0;
+}
@@ -0,0 +1,186 @@
+/**
+ * ContactPerson Model
+ * Represents a named user account of a client company
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Columns returned for a contact person (everything except the password hash)
+ */
+const PUBLIC_COLUMNS = 'id, client_id, login, full_name, job_title, email, phone, created_at, updated_at, password_changed_at';
+
+/**
+ * Create a new contact person
+ * @param {object} contactData - Contact person data
+ * @param {string} contactData.id - Contact person ID
+ * @param {string} contactData.clientId - Client (company) ID
+ * @param {string} contactData.login - Username
+ * @param {string} contactData.passwordHash - Bcrypt hashed password
+ * @param {string} contactData.fullName - Full name
+ * @param {string|null} contactData.jobTitle - Job title
+ * @param {string|null} contactData.email - Email address
+ * @param {string|null} contactData.phone - Phone number
+ * @returns {Promise<object>} Created contact person
+ */
+export async function createContactPerson(contactData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  await db.run(
+    `INSERT INTO contact_persons (
+      id, client_id, login, password_hash, full_name, job_title, email, phone, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      contactData.id,
+      contactData.clientId,
+      contactData.login,
+      contactData.passwordHash,
+      contactData.fullName,
+      contactData.jobTitle || null,
+      contactData.email || null,
+      contactData.phone || null,
+      now,
+      now,
+    ]
+  );
+
+  return getContactPersonById(contactData.id);
+}
+
+/**
+ * Get contact person by ID
+ * @param {string} contactId - Contact person ID
+ * @returns {Promise<object|null>} Contact person or null
+ */
+export async function getContactPersonById(contactId) {
+  const db = getDatabase();
+  const contact = await db.get(
+    `SELECT ${PUBLIC_COLUMNS} FROM contact_persons WHERE id = ?`,
+    [contactId]
+  );
+  return contact || null;
+}
+
+/**
+ * Get contact person by login, with the password hash and company
+ * Contact persons of deleted companies are not returned.
+ * @param {string} login - Username
+ * @returns {Promise<object|null>} Contact person (with password_hash and company_name) or null
+ */
+export async function getContactPersonByLogin(login) {
+  const db = getDatabase();
+  const contact = await db.get(
+    `SELECT cp.*, c.company_name FROM contact_persons cp
+     JOIN clients c ON c.id = cp.client_id
+     WHERE cp.login = ? AND c.deleted_at IS NULL`,
+    [login]
+  );
+  return contact || null;
+}
+
+/**
+ * Get a contact person of an active company, with the company name
+ * @param {string} contactId - Contact person ID
+ * @returns {Promise<object|null>} Contact person (with company_name) or null
+ */
+export async function getActiveContactPerson(contactId) {
+  const db = getDatabase();
+  const contact = await db.get(
+    `SELECT cp.id, cp.client_id, cp.login, cp.full_name, cp.job_title, cp.email, cp.phone, c.company_name
+     FROM contact_persons cp
+     JOIN clients c ON c.id = cp.client_id
+     WHERE cp.id = ? AND c.deleted_at IS NULL`,
+    [contactId]
+  );
+  return contact || null;
+}
+
+/**
+ * Get the contact persons of a company
+ * @param {string} clientId - Client (company) ID
+ * @returns {Promise<Array>} Contact persons, sorted by name
+ */
+export async function getContactPersonsByClientId(clientId) {
+  const db = getDatabase();
+  const contacts = await db.all(
+    `SELECT ${PUBLIC_COLUMNS} FROM contact_persons WHERE client_id = ? ORDER BY full_name COLLATE NOCASE ASC`,
+    [clientId]
+  );
+  return contacts || [];
+}
+
+/**
+ * Update the profile of a contact person
+ * @param {string} contactId - Contact person ID
+ * @param {object} updates - Fields to change (full_name, job_title, email, phone)
+ * @returns {Promise<object|null>} Updated contact person or null if not found
+ */
+export async function updateContactPerson(contactId, updates) {
+  const db = getDatabase();
+  const fields = [];
+  const params = [];
+
+  for (const column of ['full_name', 'job_title', 'email', 'phone']) {
+    if (updates[column] !== undefined) {
+      fields.push(`${column} = ?`);
+      params.push(updates[column]);
+    }
+  }
+
+  if (fields.length > 0) {
+    fields.push('updated_at = ?');
+    params.push(Math.floor(Date.now() / 1000), contactId);
+    await db.run(`UPDATE contact_persons SET ${fields.join(', ')} WHERE id = ?`, params);
+  }
+
+  return getContactPersonById(contactId);
+}
+
+/**
+ * Update the password of a contact person
+ * @param {string} contactId - Contact person ID
+ * @param {string} passwordHash - Bcrypt hashed password
+ * @returns {Promise<boolean>} True if updated
+ */
+export async function updateContactPersonPassword(contactId, passwordHash) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.run(
+    'UPDATE contact_persons SET password_hash = ?, updated_at = ?, password_changed_at = ? WHERE id = ?',
+    [passwordHash, now, now, contactId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Get the password hash of a contact person
+ * @param {string} contactId - Contact person ID
+ * @returns {Promise<string|null>} Bcrypt hash or null if not found
+ */
+export async function getContactPersonPasswordHash(contactId) {
+  const db = getDatabase();
+  const row = await db.get('SELECT password_hash FROM contact_persons WHERE id = ?', [contactId]);
+  return row ? row.password_hash : null;
+}
+
+/**
+ * Delete a contact person
+ * Their tickets stay with the company; the link to the submitter is cleared.
+ * @param {string} contactId - Contact person ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteContactPerson(contactId) {
+  const db = getDatabase();
+
+  await db.exec('BEGIN TRANSACTION');
+  try {
+    await db.run('UPDATE tickets SET contact_id = NULL WHERE contact_id = ?', [contactId]);
+    const result = await db.run('DELETE FROM contact_persons WHERE id = ?', [contactId]);
+    await db.exec('COMMIT');
+    return result.changes > 0;
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Equipment Model
+ * Represents a registered asset (server) owned by a client, identified by serial number
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Create a new equipment record
+ * @param {object} equipmentData - Equipment data
+ * @param {string} equipmentData.id - Equipment ID
+ * @param {string} equipmentData.clientId - Owning client ID
+ * @param {string} equipmentData.serialNumber - Serial number (unique, case-insensitive)
+ * @param {string|null} equipmentData.vendor - Vendor
+ * @param {string|null} equipmentData.model - Model
+ * @param {number|null} equipmentData.purchaseDate - Purchase date (Unix timestamp)
+ * @param {number|null} equipmentData.warrantyEnd - Warranty end date (Unix timestamp)
+ * @param {string|null} equipmentData.location - Location (site, rack...)
+ * @returns {Promise<object>} Created equipment object
+ */
+export async function createEquipment(equipmentData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  await db.run(
+    `INSERT INTO equipment (
+      id, client_id, serial_number, vendor, model, purchase_date, warranty_end, location, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      equipmentData.id,
+      equipmentData.clientId,
+      equipmentData.serialNumber,
+      equipmentData.vendor || null,
+      equipmentData.model || null,
+      equipmentData.purchaseDate || null,
+      equipmentData.warrantyEnd || null,
+      equipmentData.location || null,
+      now,
+      now,
+    ]
+  );
+
+  return getEquipmentById(equipmentData.id);
+}
+
+/**
+ * Get equipment by ID (with owning company name)
+ * @param {string} equipmentId - Equipment ID
+ * @returns {Promise<object|null>} Equipment object or null
+ */
+export async function getEquipmentById(equipmentId) {
+  const db = getDatabase();
+  const equipment = await db.get(
+    `SELECT e.*, c.company_name FROM equipment e
+     JOIN clients c ON c.id = e.client_id
+     WHERE e.id = ?`,
+    [equipmentId]
+  );
+  return equipment || null;
+}
+
+/**
+ * Get equipment by serial number (case-insensitive)
+ * @param {string} serialNumber - Serial number
+ * @returns {Promise<object|null>} Equipment object or null
+ */
+export async function getEquipmentBySerialNumber(serialNumber) {
+  const db = getDatabase();
+  const equipment = await db.get(
+    `SELECT e.*, c.company_name FROM equipment e
+     JOIN clients c ON c.id = e.client_id
+     WHERE e.serial_number = ?`,
+    [serialNumber]
+  );
+  return equipment || null;
+}
+
+/**
+ * Get equipment list with optional filters (equipment of deleted companies left out)
+ * @param {object} filters - Filter options
+ * @param {string} filters.client_id - Only equipment of this client
+ * @param {string} filters.search - Partial match on serial number, vendor, model or location
+ * @returns {Promise<Array>} Array of equipment objects ordered by serial number
+ */
+export async function getAllEquipment(filters = {}) {
+  const db = getDatabase();
+  let query = `SELECT e.*, c.company_name FROM equipment e
+     JOIN clients c ON c.id = e.client_id
+     WHERE c.deleted_at IS NULL`;
+  const params = [];
+
+  if (filters.client_id) {
+    query += ' AND e.client_id = ?';
+    params.push(filters.client_id);
+  }
+
+  if (filters.search) {
+    query += ` AND (
+      LOWER(e.serial_number) LIKE LOWER(?)
+      OR LOWER(e.vendor) LIKE LOWER(?)
+      OR LOWER(e.model) LIKE LOWER(?)
+      OR LOWER(e.location) LIKE LOWER(?)
+    )`;
+    const pattern = `%${filters.search}%`;
+    params.push(pattern, pattern, pattern, pattern);
+  }
+
+  query += ' ORDER BY e.serial_number ASC';
+
+  const equipment = await db.all(query, params);
+  return equipment || [];
+}
+
+/**
+ * Update equipment
+ * @param {string} equipmentId - Equipment ID
+ * @param {object} updates - Fields to update
+ * @returns {Promise<object|null>} Updated equipment object or null
+ */
+export async function updateEquipment(equipmentId, updates) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const allowedFields = ['client_id', 'serial_number', 'vendor', 'model', 'purchase_date', 'warranty_end', 'location'];
+
+  const setClauses = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClauses.push(`${key} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (setClauses.length === 0) {
+    return getEquipmentById(equipmentId);
+  }
+
+  setClauses.push('updated_at = ?');
+  values.push(now);
+  values.push(equipmentId);
+
+  await db.run(
+    `UPDATE equipment SET ${setClauses.join(', ')} WHERE id = ?`,
+    values
+  );
+
+  return getEquipmentById(equipmentId);
+}
+
+/**
+ * Delete equipment (tickets keep their serial number)
+ * @param {string} equipmentId - Equipment ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function deleteEquipment(equipmentId) {
+  const db = getDatabase();
+  const result = await db.run('DELETE FROM equipment WHERE id = ?', [equipmentId]);
+  return result.changes > 0;
+}
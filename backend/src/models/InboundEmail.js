@@ -0,0 +1,54 @@
+/**
+ * Inbound Email Model
+ * Records emails processed by the inbound email gateway
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Get a processed inbound email by Message-ID
+ * @param {string} messageId - Message-ID header (or content hash)
+ * @returns {Promise<object|null>} Inbound email record or null
+ */
+export async function getInboundEmail(messageId) {
+  const db = getDatabase();
+  const email = await db.get('SELECT * FROM inbound_emails WHERE message_id = ?', [messageId]);
+  return email || null;
+}
+
+/**
+ * Record the outcome of processing an inbound email (replaces an earlier attempt)
+ * @param {object} emailData - Inbound email data
+ * @param {string} emailData.messageId - Message-ID header (or content hash)
+ * @param {string|null} emailData.fromAddress - Sender address
+ * @param {string|null} emailData.subject - Subject
+ * @param {string} emailData.status - 'ticket_created', 'message_added', 'rejected' or 'failed'
+ * @param {string|null} emailData.ticketId - Created or updated ticket ID
+ * @param {string|null} emailData.chatMessageId - Created chat message ID
+ * @param {string|null} emailData.error - Reason for rejection or failure
+ * @param {string|null} emailData.source - Where the email came from (file name)
+ * @returns {Promise<object>} Inbound email record
+ */
+export async function recordInboundEmail(emailData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  await db.run(
+    `INSERT OR REPLACE INTO inbound_emails (
+      message_id, from_address, subject, status, ticket_id, chat_message_id, error, source, received_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      emailData.messageId,
+      emailData.fromAddress || null,
+      emailData.subject || null,
+      emailData.status,
+      emailData.ticketId || null,
+      emailData.chatMessageId || null,
+      emailData.error || null,
+      emailData.source || null,
+      now,
+    ]
+  );
+
+  return getInboundEmail(emailData.messageId);
+}
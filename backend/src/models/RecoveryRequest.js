@@ -0,0 +1,213 @@
+/**
+ * RecoveryRequest Model
+ * Codephrase recovery requests that wait for a master account's approval
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Columns returned for a recovery request, with the company and the deciding administrator
+ */
+const REQUEST_COLUMNS = `rr.id, rr.client_id, rr.status, rr.ip_address, rr.created_at, rr.expires_at,
+  rr.decided_at, rr.decided_by, rr.completed_at,
+  c.login as client_login, c.company_name,
+  a.login as decided_by_login`;
+
+const REQUEST_JOINS = `FROM recovery_requests rr
+  JOIN clients c ON c.id = rr.client_id
+  LEFT JOIN administrators a ON a.id = rr.decided_by`;
+
+/**
+ * Create a pending recovery request
+ * @param {object} requestData - Request data
+ * @param {string} requestData.id - Request ID
+ * @param {string} requestData.clientId - Client (company) ID
+ * @param {string} requestData.requestTokenHash - SHA-256 of the token the client polls with
+ * @param {string|null} requestData.ipAddress - IP address the request came from
+ * @param {number} requestData.expiresAt - When the request expires if nobody decides (Unix seconds)
+ * @returns {Promise<object>} Created request
+ */
+export async function createRecoveryRequest(requestData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  await db.run(
+    `INSERT INTO recovery_requests (id, client_id, status, request_token_hash, ip_address, created_at, expires_at)
+     VALUES (?, ?, 'pending', ?, ?, ?, ?)`,
+    [requestData.id, requestData.clientId, requestData.requestTokenHash, requestData.ipAddress || null, now, requestData.expiresAt]
+  );
+
+  return getRecoveryRequestById(requestData.id);
+}
+
+/**
+ * Get a recovery request by ID
+ * @param {string} requestId - Request ID
+ * @returns {Promise<object|null>} Request or null
+ */
+export async function getRecoveryRequestById(requestId) {
+  const db = getDatabase();
+  const request = await db.get(`SELECT ${REQUEST_COLUMNS} ${REQUEST_JOINS} WHERE rr.id = ?`, [requestId]);
+  return request || null;
+}
+
+/**
+ * Get the recovery request a polling token belongs to
+ * @param {string} requestTokenHash - SHA-256 of the request token
+ * @returns {Promise<object|null>} Request or null
+ */
+export async function getRecoveryRequestByTokenHash(requestTokenHash) {
+  const db = getDatabase();
+  const request = await db.get(
+    `SELECT ${REQUEST_COLUMNS} ${REQUEST_JOINS} WHERE rr.request_token_hash = ?`,
+    [requestTokenHash]
+  );
+  return request || null;
+}
+
+/**
+ * Get the open (pending or approved) recovery request of a company
+ * @param {string} clientId - Client ID
+ * @returns {Promise<object|null>} Newest open request or null
+ */
+export async function getOpenRecoveryRequestByClient(clientId) {
+  const db = getDatabase();
+  const request = await db.get(
+    `SELECT ${REQUEST_COLUMNS} ${REQUEST_JOINS}
+     WHERE rr.client_id = ? AND rr.status IN ('pending', 'approved')
+     ORDER BY rr.created_at DESC LIMIT 1`,
+    [clientId]
+  );
+  return request || null;
+}
+
+/**
+ * Get recovery requests, newest first
+ * @param {object} [filters] - Filters
+ * @param {string} [filters.status] - Only requests with this status
+ * @param {number} [filters.limit=100] - Maximum number of requests
+ * @returns {Promise<Array>} Requests
+ */
+export async function getRecoveryRequests(filters = {}) {
+  const db = getDatabase();
+  const params = [];
+  let where = 'WHERE c.deleted_at IS NULL';
+  if (filters.status) {
+    where += ' AND rr.status = ?';
+    params.push(filters.status);
+  }
+  params.push(filters.limit || 100);
+
+  return db.all(
+    `SELECT ${REQUEST_COLUMNS} ${REQUEST_JOINS} ${where} ORDER BY rr.created_at DESC LIMIT ?`,
+    params
+  );
+}
+
+/**
+ * Get the newest recovery request of every company that has one
+ * @returns {Promise<Array>} One request per company
+ */
+export async function getLatestRecoveryRequests() {
+  const db = getDatabase();
+  return db.all(
+    `SELECT ${REQUEST_COLUMNS} ${REQUEST_JOINS}
+     WHERE rr.id = (
+       SELECT latest.id FROM recovery_requests latest
+       WHERE latest.client_id = rr.client_id
+       ORDER BY latest.created_at DESC, latest.rowid DESC LIMIT 1
+     )`
+  );
+}
+
+/**
+ * Give a pending request a new polling token and expiry (the client asked again)
+ * @param {string} requestId - Request ID
+ * @param {string} requestTokenHash - SHA-256 of the new request token
+ * @param {string|null} ipAddress - IP address the new request came from
+ * @param {number} expiresAt - New expiry (Unix seconds)
+ * @returns {Promise<boolean>} True if the request was still pending
+ */
+export async function renewRecoveryRequest(requestId, requestTokenHash, ipAddress, expiresAt) {
+  const db = getDatabase();
+  const result = await db.run(
+    `UPDATE recovery_requests SET request_token_hash = ?, ip_address = ?, expires_at = ?
+     WHERE id = ? AND status = 'pending'`,
+    [requestTokenHash, ipAddress || null, expiresAt, requestId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Record the decision on a pending request
+ * @param {string} requestId - Request ID
+ * @param {string} status - 'approved' or 'denied'
+ * @param {string} adminId - Deciding administrator ID
+ * @param {number} expiresAt - New expiry; for approved requests, the end of the reset window (Unix seconds)
+ * @returns {Promise<boolean>} True if the request was still pending
+ */
+export async function decideRecoveryRequest(requestId, status, adminId, expiresAt) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.run(
+    `UPDATE recovery_requests SET status = ?, decided_at = ?, decided_by = ?, expires_at = ?
+     WHERE id = ? AND status = 'pending'`,
+    [status, now, adminId, expiresAt, requestId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Mark an approved request as used for a password reset
+ * @param {string} requestId - Request ID
+ * @returns {Promise<boolean>} True if the request was approved and not used yet
+ */
+export async function completeRecoveryRequest(requestId) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.run(
+    `UPDATE recovery_requests SET status = 'completed', completed_at = ?
+     WHERE id = ? AND status = 'approved' AND expires_at > ?`,
+    [now, requestId, now]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Close the open requests of a company without a decision (a newer request replaced them)
+ * @param {string} clientId - Client ID
+ * @returns {Promise<number>} Number of closed requests
+ */
+export async function expireClientRecoveryRequests(clientId) {
+  const db = getDatabase();
+  const result = await db.run(
+    `UPDATE recovery_requests SET status = 'expired'
+     WHERE client_id = ? AND status IN ('pending', 'approved')`,
+    [clientId]
+  );
+  return result.changes;
+}
+
+/**
+ * Mark open requests whose time ran out as expired
+ * @param {number} now - Current time (Unix seconds)
+ * @returns {Promise<Array<string>>} IDs of the companies whose requests expired
+ */
+export async function expireOverdueRecoveryRequests(now) {
+  const db = getDatabase();
+  const overdue = await db.all(
+    `SELECT DISTINCT client_id FROM recovery_requests
+     WHERE status IN ('pending', 'approved') AND expires_at <= ?`,
+    [now]
+  );
+  if (overdue.length === 0) {
+    return [];
+  }
+
+  await db.run(
+    `UPDATE recovery_requests SET status = 'expired'
+     WHERE status IN ('pending', 'approved') AND expires_at <= ?`,
+    [now]
+  );
+  return overdue.map(row => row.client_id);
+}
@@ -0,0 +1,231 @@
+/**
+ * Role Model
+ * Named administrator roles and the permissions granted to them
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Role of administrators whose role_id is not set
+ * @type {string}
+ */
+export const DEFAULT_ROLE_ID = 'engineer';
+
+/**
+ * Get all roles with their permissions and the number of administrators holding them
+ * @returns {Promise<Array>} Roles ordered by name; permissions is an array of permission keys
+ */
+export async function getAllRoles() {
+  const db = getDatabase();
+  const roles = await db.all(
+    `SELECT r.id, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+            (SELECT COUNT(*) FROM administrators a WHERE COALESCE(a.role_id, ?) = r.id) as admin_count
+     FROM roles r ORDER BY r.is_system DESC, LOWER(r.name) ASC`,
+    [DEFAULT_ROLE_ID]
+  );
+  const permissions = await db.all('SELECT role_id, permission FROM role_permissions ORDER BY permission');
+
+  const byRole = new Map(roles.map(role => [role.id, []]));
+  for (const row of permissions) {
+    byRole.get(row.role_id)?.push(row.permission);
+  }
+
+  return roles.map(role => ({
+    ...role,
+    is_system: role.is_system === 1,
+    permissions: byRole.get(role.id),
+  }));
+}
+
+/**
+ * Get a role by ID
+ * @param {string} roleId - Role ID
+ * @returns {Promise<object|null>} Role with permissions, or null
+ */
+export async function getRoleById(roleId) {
+  const db = getDatabase();
+  const role = await db.get(
+    'SELECT id, name, description, is_system, created_at, updated_at FROM roles WHERE id = ?',
+    [roleId]
+  );
+  if (!role) {
+    return null;
+  }
+
+  role.is_system = role.is_system === 1;
+  role.permissions = await getRolePermissions(roleId);
+  return role;
+}
+
+/**
+ * Get the permission keys of a role
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Array<string>>} Permission keys
+ */
+export async function getRolePermissions(roleId) {
+  const db = getDatabase();
+  const rows = await db.all(
+    'SELECT permission FROM role_permissions WHERE role_id = ? ORDER BY permission',
+    [roleId]
+  );
+  return rows.map(row => row.permission);
+}
+
+/**
+ * Get the master flag, role and permissions of an administrator
+ * Administrators without a role get DEFAULT_ROLE_ID.
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<object|null>} { is_master, role_id, role_name, permissions } or null if not found
+ */
+export async function getAdministratorAccess(adminId) {
+  const db = getDatabase();
+  const admin = await db.get(
+    `SELECT a.is_master, COALESCE(a.role_id, ?) as role_id, r.name as role_name
+     FROM administrators a
+     LEFT JOIN roles r ON r.id = COALESCE(a.role_id, ?)
+     WHERE a.id = ?`,
+    [DEFAULT_ROLE_ID, DEFAULT_ROLE_ID, adminId]
+  );
+  if (!admin) {
+    return null;
+  }
+
+  return {
+    is_master: admin.is_master === 1,
+    role_id: admin.role_id,
+    role_name: admin.role_name || null,
+    permissions: await getRolePermissions(admin.role_id),
+  };
+}
+
+/**
+ * Get the IDs of administrators who hold a permission through their role
+ * @param {string} permission - Permission key
+ * @returns {Promise<Array<string>>} Administrator IDs (master accounts are not included)
+ */
+export async function getAdministratorIdsWithRolePermission(permission) {
+  const db = getDatabase();
+  const rows = await db.all(
+    `SELECT a.id FROM administrators a
+     JOIN role_permissions rp ON rp.role_id = COALESCE(a.role_id, ?)
+     WHERE rp.permission = ?`,
+    [DEFAULT_ROLE_ID, permission]
+  );
+  return rows.map(row => row.id);
+}
+
+/**
+ * Create a role
+ * @param {object} roleData - Role data
+ * @param {string} roleData.id - Role ID (slug)
+ * @param {string} roleData.name - Display name
+ * @param {string|null} roleData.description - Description
+ * @param {Array<string>} roleData.permissions - Permission keys
+ * @returns {Promise<object>} Created role
+ */
+export async function createRole(roleData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  await db.exec('BEGIN TRANSACTION');
+  try {
+    await db.run(
+      `INSERT INTO roles (id, name, description, is_system, created_at, updated_at)
+       VALUES (?, ?, ?, 0, ?, ?)`,
+      [roleData.id, roleData.name, roleData.description || null, now, now]
+    );
+    for (const permission of roleData.permissions) {
+      await db.run('INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)', [roleData.id, permission]);
+    }
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+
+  return getRoleById(roleData.id);
+}
+
+/**
+ * Update the name, description and/or permissions of a role
+ * @param {string} roleId - Role ID
+ * @param {object} updates - Fields to change
+ * @param {string} [updates.name] - Display name
+ * @param {string|null} [updates.description] - Description
+ * @param {Array<string>} [updates.permissions] - Permission keys (replace the current set)
+ * @returns {Promise<object|null>} Updated role or null if not found
+ */
+export async function updateRole(roleId, updates) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  await db.exec('BEGIN TRANSACTION');
+  try {
+    const result = await db.run(
+      `UPDATE roles SET
+         name = COALESCE(?, name),
+         description = CASE WHEN ? THEN ? ELSE description END,
+         updated_at = ?
+       WHERE id = ?`,
+      [
+        updates.name ?? null,
+        updates.description !== undefined ? 1 : 0,
+        updates.description ?? null,
+        now,
+        roleId,
+      ]
+    );
+    if (result.changes === 0) {
+      await db.exec('ROLLBACK');
+      return null;
+    }
+
+    if (updates.permissions) {
+      await db.run('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+      for (const permission of updates.permissions) {
+        await db.run('INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)', [roleId, permission]);
+      }
+    }
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+
+  return getRoleById(roleId);
+}
+
+/**
+ * Delete a role; its administrators go back to the default role
+ * @param {string} roleId - Role ID
+ * @returns {Promise<boolean>} True if the role was deleted
+ */
+export async function deleteRole(roleId) {
+  const db = getDatabase();
+
+  await db.exec('BEGIN TRANSACTION');
+  try {
+    await db.run('UPDATE administrators SET role_id = NULL WHERE role_id = ?', [roleId]);
+    const result = await db.run('DELETE FROM roles WHERE id = ?', [roleId]);
+    await db.exec('COMMIT');
+    return result.changes > 0;
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Set the role of an administrator
+ * @param {string} adminId - Administrator ID
+ * @param {string} roleId - Role ID
+ * @returns {Promise<boolean>} True if the administrator exists
+ */
+export async function setAdministratorRole(adminId, roleId) {
+  const db = getDatabase();
+  const result = await db.run(
+    'UPDATE administrators SET role_id = ? WHERE id = ?',
+    [roleId === DEFAULT_ROLE_ID ? null : roleId, adminId]
+  );
+  return result.changes > 0;
+}
@@ -0,0 +1,268 @@
+/**
+ * Service Contract Model
+ * Represents a client's service contract and the equipment it covers
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Attach covered equipment IDs to contract rows
+ * @param {Array} contracts - Contract rows
+ * @returns {Promise<Array>} Contracts with equipment_ids arrays
+ */
+async function withEquipmentIds(contracts) {
+  if (contracts.length === 0) {
+    return contracts;
+  }
+
+  const db = getDatabase();
+  const placeholders = contracts.map(() => '?').join(', ');
+  const rows = await db.all(
+    `SELECT contract_id, equipment_id FROM service_contract_equipment
+     WHERE contract_id IN (${placeholders})`,
+    contracts.map(contract => contract.id)
+  );
+
+  const byContract = new Map();
+  for (const row of rows) {
+    if (!byContract.has(row.contract_id)) {
+      byContract.set(row.contract_id, []);
+    }
+    byContract.get(row.contract_id).push(row.equipment_id);
+  }
+
+  for (const contract of contracts) {
+    contract.equipment_ids = byContract.get(contract.id) || [];
+  }
+  return contracts;
+}
+
+/**
+ * Create a new service contract
+ * @param {object} contractData - Contract data
+ * @param {string} contractData.id - Contract ID
+ * @param {string} contractData.clientId - Client ID
+ * @param {string} contractData.contractNumber - Contract number
+ * @param {string} contractData.coverageLevel - Coverage level (basic, standard, premium)
+ * @param {number|null} contractData.responseMinutes - Committed first-response time in minutes
+ * @param {number|null} contractData.resolutionMinutes - Committed resolution time in minutes
+ * @param {number} contractData.startDate - Start date (Unix timestamp)
+ * @param {number} contractData.endDate - End date (Unix timestamp, inclusive)
+ * @param {string|null} contractData.notes - Notes
+ * @returns {Promise<object>} Created contract object
+ */
+export async function createServiceContract(contractData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  await db.run(
+    `INSERT INTO service_contracts (
+      id, client_id, contract_number, coverage_level, response_minutes, resolution_minutes,
+      start_date, end_date, notes, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      contractData.id,
+      contractData.clientId,
+      contractData.contractNumber,
+      contractData.coverageLevel || 'standard',
+      contractData.responseMinutes ?? null,
+      contractData.resolutionMinutes ?? null,
+      contractData.startDate,
+      contractData.endDate,
+      contractData.notes || null,
+      now,
+      now,
+    ]
+  );
+
+  return getServiceContractById(contractData.id);
+}
+
+/**
+ * Get service contract by ID (with company name and covered equipment IDs)
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<object|null>} Contract object or null
+ */
+export async function getServiceContractById(contractId) {
+  const db = getDatabase();
+  const contract = await db.get(
+    `SELECT sc.*, c.company_name FROM service_contracts sc
+     JOIN clients c ON c.id = sc.client_id
+     WHERE sc.id = ?`,
+    [contractId]
+  );
+
+  if (!contract) {
+    return null;
+  }
+
+  const [withEquipment] = await withEquipmentIds([contract]);
+  return withEquipment;
+}
+
+/**
+ * Get service contracts with optional filters (contracts of deleted companies left out)
+ * @param {object} filters - Filter options
+ * @param {string} filters.client_id - Only contracts of this client
+ * @returns {Promise<Array>} Array of contract objects ordered by end date
+ */
+export async function getAllServiceContracts(filters = {}) {
+  const db = getDatabase();
+  let query = `SELECT sc.*, c.company_name FROM service_contracts sc
+     JOIN clients c ON c.id = sc.client_id
+     WHERE c.deleted_at IS NULL`;
+  const params = [];
+
+  if (filters.client_id) {
+    query += ' AND sc.client_id = ?';
+    params.push(filters.client_id);
+  }
+
+  query += ' ORDER BY sc.end_date ASC, sc.contract_number ASC';
+
+  const contracts = await db.all(query, params);
+  return withEquipmentIds(contracts || []);
+}
+
+/**
+ * Get contracts of a client in force at a point in time
+ * @param {string} clientId - Client ID
+ * @param {number} at - Unix timestamp
+ * @returns {Promise<Array>} Active contracts with equipment_ids, latest end date first
+ */
+export async function getActiveServiceContractsForClient(clientId, at) {
+  const db = getDatabase();
+  const contracts = await db.all(
+    `SELECT * FROM service_contracts
+     WHERE client_id = ? AND start_date <= ? AND end_date >= ?
+     ORDER BY end_date DESC`,
+    [clientId, at, at]
+  );
+  return withEquipmentIds(contracts || []);
+}
+
+/**
+ * Get contracts whose end date falls within a time window (contracts of deleted companies left out)
+ * @param {number} from - Window start (Unix timestamp, inclusive)
+ * @param {number} to - Window end (Unix timestamp, inclusive)
+ * @returns {Promise<Array>} Contracts with company name
+ */
+export async function getServiceContractsEndingBetween(from, to) {
+  const db = getDatabase();
+  const contracts = await db.all(
+    `SELECT sc.*, c.company_name FROM service_contracts sc
+     JOIN clients c ON c.id = sc.client_id
+     WHERE sc.end_date >= ? AND sc.end_date <= ? AND c.deleted_at IS NULL
+     ORDER BY sc.end_date ASC`,
+    [from, to]
+  );
+  return contracts || [];
+}
+
+/**
+ * Update a service contract
+ * @param {string} contractId - Contract ID
+ * @param {object} updates - Fields to update
+ * @returns {Promise<object|null>} Updated contract object or null
+ */
+export async function updateServiceContract(contractId, updates) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const allowedFields = [
+    'client_id', 'contract_number', 'coverage_level', 'response_minutes',
+    'resolution_minutes', 'start_date', 'end_date', 'notes',
+  ];
+
+  const setClauses = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClauses.push(`${key} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (setClauses.length === 0) {
+    return getServiceContractById(contractId);
+  }
+
+  setClauses.push('updated_at = ?');
+  values.push(now);
+  values.push(contractId);
+
+  await db.run(
+    `UPDATE service_contracts SET ${setClauses.join(', ')} WHERE id = ?`,
+    values
+  );
+
+  return getServiceContractById(contractId);
+}
+
+/**
+ * Replace the equipment covered by a contract
+ * @param {string} contractId - Contract ID
+ * @param {string[]} equipmentIds - Equipment IDs (empty = all of the client's equipment)
+ */
+export async function setServiceContractEquipment(contractId, equipmentIds) {
+  const db = getDatabase();
+
+  await db.exec('BEGIN TRANSACTION');
+  try {
+    await db.run('DELETE FROM service_contract_equipment WHERE contract_id = ?', [contractId]);
+    for (const equipmentId of equipmentIds) {
+      await db.run(
+        'INSERT INTO service_contract_equipment (contract_id, equipment_id) VALUES (?, ?)',
+        [contractId, equipmentId]
+      );
+    }
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Delete a service contract
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function deleteServiceContract(contractId) {
+  const db = getDatabase();
+  const result = await db.run('DELETE FROM service_contracts WHERE id = ?', [contractId]);
+  return result.changes > 0;
+}
+
+/**
+ * Get expiry alert thresholds already sent for a contract's current end date
+ * @param {string} contractId - Contract ID
+ * @param {number} endDate - Contract end date the alerts were sent for
+ * @returns {Promise<number[]>} Thresholds (days before expiry)
+ */
+export async function getSentExpiryAlerts(contractId, endDate) {
+  const db = getDatabase();
+  const rows = await db.all(
+    'SELECT days_before FROM contract_expiry_alerts WHERE contract_id = ? AND end_date = ?',
+    [contractId, endDate]
+  );
+  return rows.map(row => row.days_before);
+}
+
+/**
+ * Record that expiry alerts were sent
+ * @param {string} contractId - Contract ID
+ * @param {number} endDate - Contract end date the alerts refer to
+ * @param {number[]} thresholds - Thresholds (days before expiry) to mark as sent
+ * @param {number} sentAt - Unix timestamp
+ */
+export async function recordExpiryAlerts(contractId, endDate, thresholds, sentAt) {
+  const db = getDatabase();
+  for (const daysBefore of thresholds) {
+    await db.run(
+      `INSERT OR IGNORE INTO contract_expiry_alerts (contract_id, days_before, end_date, sent_at)
+       VALUES (?, ?, ?, ?)`,
+      [contractId, daysBefore, endDate, sentAt]
+    );
+  }
+}
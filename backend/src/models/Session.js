@@ -0,0 +1,179 @@
+/**
+ * Session Model
+ * Server-side login sessions and their refresh tokens (stored as hashes)
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Create a session
+ * @param {object} sessionData - Session data
+ * @param {string} sessionData.id - Session ID
+ * @param {string} sessionData.userId - User ID
+ * @param {string} sessionData.userRole - 'client' or 'administrator'
+ * @param {string} sessionData.refreshTokenHash - SHA-256 of the refresh token
+ * @param {string|null} sessionData.userAgent - User-Agent of the login request
+ * @param {string|null} sessionData.ipAddress - IP address of the login request
+ * @param {number} sessionData.expiresAt - Idle expiry (Unix seconds)
+ * @param {number} sessionData.absoluteExpiresAt - Absolute expiry (Unix seconds)
+ * @returns {Promise<object>} Created session
+ */
+export async function createSession(sessionData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  await db.run(
+    `INSERT INTO sessions (
+      id, user_id, user_role, refresh_token_hash, user_agent, ip_address,
+      created_at, last_used_at, expires_at, absolute_expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      sessionData.id,
+      sessionData.userId,
+      sessionData.userRole,
+      sessionData.refreshTokenHash,
+      sessionData.userAgent || null,
+      sessionData.ipAddress || null,
+      now,
+      now,
+      sessionData.expiresAt,
+      sessionData.absoluteExpiresAt,
+    ]
+  );
+
+  return getSessionById(sessionData.id);
+}
+
+/**
+ * Get a session by ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} Session or null
+ */
+export async function getSessionById(sessionId) {
+  const db = getDatabase();
+  const session = await db.get('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+  return session || null;
+}
+
+/**
+ * Get the session a refresh token belongs to
+ * @param {string} refreshTokenHash - SHA-256 of the refresh token
+ * @returns {Promise<object|null>} Session (with `is_previous_token` set when the hash matches
+ *   the already rotated token) or null
+ */
+export async function getSessionByRefreshTokenHash(refreshTokenHash) {
+  const db = getDatabase();
+  const session = await db.get(
+    `SELECT *, refresh_token_hash != ? as is_previous_token
+     FROM sessions
+     WHERE refresh_token_hash = ? OR previous_refresh_token_hash = ?
+     LIMIT 1`,
+    [refreshTokenHash, refreshTokenHash, refreshTokenHash]
+  );
+
+  if (!session) {
+    return null;
+  }
+  session.is_previous_token = session.is_previous_token === 1;
+  return session;
+}
+
+/**
+ * Replace the refresh token of a session and extend its idle expiry
+ * Only succeeds if the session still has the expected refresh token, so two
+ * concurrent refreshes with the same token cannot both rotate it.
+ * @param {string} sessionId - Session ID
+ * @param {string} currentHash - Hash of the refresh token being used
+ * @param {string} newHash - Hash of the new refresh token
+ * @param {number} expiresAt - New idle expiry (Unix seconds)
+ * @returns {Promise<boolean>} True if rotated
+ */
+export async function rotateSessionRefreshToken(sessionId, currentHash, newHash, expiresAt) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.run(
+    `UPDATE sessions
+     SET refresh_token_hash = ?, previous_refresh_token_hash = ?, last_used_at = ?, expires_at = ?
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [newHash, currentHash, now, expiresAt, sessionId, currentHash]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Get the active (not revoked, not expired) sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} userRole - 'client' or 'administrator'
+ * @returns {Promise<Array>} Sessions, most recently used first
+ */
+export async function getActiveSessionsByUser(userId, userRole) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const sessions = await db.all(
+    `SELECT id, user_id, user_role, user_agent, ip_address, created_at, last_used_at, expires_at, absolute_expires_at
+     FROM sessions
+     WHERE user_id = ? AND user_role = ? AND revoked_at IS NULL AND expires_at > ?
+     ORDER BY last_used_at DESC`,
+    [userId, userRole, now]
+  );
+  return sessions || [];
+}
+
+/**
+ * Revoke a session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why the session was revoked (e.g. 'logout')
+ * @returns {Promise<boolean>} True if the session was active and is now revoked
+ */
+export async function revokeSession(sessionId, reason) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.run(
+    'UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [now, reason, sessionId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Revoke all active sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} userRole - 'client' or 'administrator'
+ * @param {string} reason - Why the sessions were revoked
+ * @param {string|null} exceptSessionId - Session to keep (e.g. the current one)
+ * @returns {Promise<string[]>} IDs of the revoked sessions
+ */
+export async function revokeSessionsByUser(userId, userRole, reason, exceptSessionId = null) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  const rows = await db.all(
+    'SELECT id FROM sessions WHERE user_id = ? AND user_role = ? AND revoked_at IS NULL AND id IS NOT ?',
+    [userId, userRole, exceptSessionId]
+  );
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const ids = rows.map(row => row.id);
+  await db.run(
+    `UPDATE sessions SET revoked_at = ?, revoked_reason = ?
+     WHERE id IN (${ids.map(() => '?').join(', ')}) AND revoked_at IS NULL`,
+    [now, reason, ...ids]
+  );
+  return ids;
+}
+
+/**
+ * Delete sessions that expired or were revoked before a cutoff
+ * @param {number} before - Cutoff (Unix seconds)
+ * @returns {Promise<number>} Number of deleted sessions
+ */
+export async function deleteSessionsEndedBefore(before) {
+  const db = getDatabase();
+  const result = await db.run(
+    'DELETE FROM sessions WHERE expires_at < ? OR revoked_at < ?',
+    [before, before]
+  );
+  return result.changes;
+}
@@ -0,0 +1,171 @@
+/**
+ * Skill Model
+ * Represents an administrator skill (vendor line, storage, networking, OS...)
+ * and the assignment of skills to administrators
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Create a new skill
+ * @param {object} skillData - Skill data
+ * @param {string} skillData.id - Skill ID
+ * @param {string} skillData.name - Display name
+ * @param {string|null} skillData.category - Ticket category the skill is inferred from
+ * @param {string|null} skillData.serialPrefixes - Comma-separated serial number prefixes
+ * @returns {Promise<object>} Created skill object
+ */
+export async function createSkill(skillData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  await db.run(
+    'INSERT INTO skills (id, name, category, serial_prefixes, created_at) VALUES (?, ?, ?, ?, ?)',
+    [
+      skillData.id,
+      skillData.name,
+      skillData.category || null,
+      skillData.serialPrefixes || null,
+      now,
+    ]
+  );
+
+  return getSkillById(skillData.id);
+}
+
+/**
+ * Get skill by ID
+ * @param {string} skillId - Skill ID
+ * @returns {Promise<object|null>} Skill object or null
+ */
+export async function getSkillById(skillId) {
+  const db = getDatabase();
+  const skill = await db.get('SELECT * FROM skills WHERE id = ?', [skillId]);
+  return skill || null;
+}
+
+/**
+ * Get skill by name (case-insensitive)
+ * @param {string} name - Skill name
+ * @returns {Promise<object|null>} Skill object or null
+ */
+export async function getSkillByName(name) {
+  const db = getDatabase();
+  const skill = await db.get('SELECT * FROM skills WHERE LOWER(name) = LOWER(?)', [name]);
+  return skill || null;
+}
+
+/**
+ * Get all skills ordered by name
+ * @returns {Promise<Array>} Array of skill objects
+ */
+export async function getAllSkills() {
+  const db = getDatabase();
+  const skills = await db.all('SELECT * FROM skills ORDER BY name COLLATE NOCASE ASC');
+  return skills || [];
+}
+
+/**
+ * Update skill
+ * @param {string} skillId - Skill ID
+ * @param {object} updates - Fields to update (name, category, serial_prefixes)
+ * @returns {Promise<object|null>} Updated skill object or null
+ */
+export async function updateSkill(skillId, updates) {
+  const db = getDatabase();
+  const allowedFields = ['name', 'category', 'serial_prefixes'];
+
+  const setClauses = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClauses.push(`${key} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (setClauses.length > 0) {
+    values.push(skillId);
+    await db.run(`UPDATE skills SET ${setClauses.join(', ')} WHERE id = ?`, values);
+  }
+
+  return getSkillById(skillId);
+}
+
+/**
+ * Delete skill (administrator skills cascade, ticket required_skill is set to NULL)
+ * @param {string} skillId - Skill ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function deleteSkill(skillId) {
+  const db = getDatabase();
+  const result = await db.run('DELETE FROM skills WHERE id = ?', [skillId]);
+  return result.changes > 0;
+}
+
+/**
+ * Get skill IDs of an administrator
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<string[]>} Array of skill IDs
+ */
+export async function getSkillIdsByAdministratorId(adminId) {
+  const db = getDatabase();
+  const rows = await db.all('SELECT skill_id FROM administrator_skills WHERE admin_id = ?', [adminId]);
+  return rows.map(row => row.skill_id);
+}
+
+/**
+ * Get skill IDs of all administrators
+ * @returns {Promise<Map<string, string[]>>} Map of administrator ID to skill IDs
+ */
+export async function getAllAdministratorSkillIds() {
+  const db = getDatabase();
+  const rows = await db.all('SELECT admin_id, skill_id FROM administrator_skills');
+  const skillsByAdmin = new Map();
+  for (const row of rows) {
+    if (!skillsByAdmin.has(row.admin_id)) {
+      skillsByAdmin.set(row.admin_id, []);
+    }
+    skillsByAdmin.get(row.admin_id).push(row.skill_id);
+  }
+  return skillsByAdmin;
+}
+
+/**
+ * Get IDs of administrators who have a skill
+ * @param {string} skillId - Skill ID
+ * @returns {Promise<string[]>} Array of administrator IDs
+ */
+export async function getAdministratorIdsWithSkill(skillId) {
+  const db = getDatabase();
+  const rows = await db.all('SELECT admin_id FROM administrator_skills WHERE skill_id = ?', [skillId]);
+  return rows.map(row => row.admin_id);
+}
+
+/**
+ * Replace the skills of an administrator
+ * @param {string} adminId - Administrator ID
+ * @param {string[]} skillIds - Skill IDs
+ * @returns {Promise<string[]>} Skill IDs after update
+ */
+export async function setAdministratorSkills(adminId, skillIds) {
+  const db = getDatabase();
+
+  await db.exec('BEGIN TRANSACTION');
+  try {
+    await db.run('DELETE FROM administrator_skills WHERE admin_id = ?', [adminId]);
+    for (const skillId of skillIds) {
+      await db.run(
+        'INSERT INTO administrator_skills (admin_id, skill_id) VALUES (?, ?)',
+        [adminId, skillId]
+      );
+    }
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  }
+
+  return getSkillIdsByAdministratorId(adminId);
+}
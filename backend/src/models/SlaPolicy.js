@@ -0,0 +1,141 @@
+/**
+ * SlaPolicy Model
+ * Represents a service level agreement policy (first-response and resolution targets)
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * ID of the default policy seeded by migration 006 (cannot be deleted)
+ * @type {number}
+ */
+export const DEFAULT_SLA_POLICY_ID = 1;
+
+/**
+ * Create a new SLA policy
+ * @param {object} policyData - Policy data
+ * @param {string} policyData.name - Policy name
+ * @param {string|null} policyData.companyName - Company name (null matches any company)
+ * @param {string|null} policyData.priority - Ticket priority (null matches any priority)
+ * @param {number} policyData.responseMinutes - First-response target in minutes
+ * @param {number} policyData.resolutionMinutes - Resolution target in minutes
+ * @returns {Promise<object>} Created policy object
+ */
+export async function createSlaPolicy(policyData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  const result = await db.run(
+    `INSERT INTO sla_policies (
+      name, company_name, priority, response_minutes, resolution_minutes, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      policyData.name,
+      policyData.companyName || null,
+      policyData.priority || null,
+      policyData.responseMinutes,
+      policyData.resolutionMinutes,
+      now,
+      now,
+    ]
+  );
+
+  return getSlaPolicyById(result.lastID);
+}
+
+/**
+ * Get SLA policy by ID
+ * @param {number} policyId - Policy ID
+ * @returns {Promise<object|null>} Policy object or null
+ */
+export async function getSlaPolicyById(policyId) {
+  const db = getDatabase();
+  const policy = await db.get(
+    'SELECT * FROM sla_policies WHERE id = ?',
+    [policyId]
+  );
+  return policy || null;
+}
+
+/**
+ * Get all SLA policies (default policy first, then by company and priority)
+ * @returns {Promise<Array>} Array of policy objects
+ */
+export async function getAllSlaPolicies() {
+  const db = getDatabase();
+  const policies = await db.all(
+    `SELECT * FROM sla_policies
+     ORDER BY (id = ?) DESC, company_name IS NULL DESC, company_name ASC, priority ASC`,
+    [DEFAULT_SLA_POLICY_ID]
+  );
+  return policies || [];
+}
+
+/**
+ * Find a policy with exactly the given company/priority scope
+ * @param {string|null} companyName - Company name (null for any)
+ * @param {string|null} priority - Priority (null for any)
+ * @returns {Promise<object|null>} Policy object or null
+ */
+export async function getSlaPolicyByScope(companyName, priority) {
+  const db = getDatabase();
+  const policy = await db.get(
+    `SELECT * FROM sla_policies
+     WHERE company_name IS ? AND priority IS ?
+     ORDER BY id ASC
+     LIMIT 1`,
+    [companyName || null, priority || null]
+  );
+  return policy || null;
+}
+
+/**
+ * Update SLA policy
+ * @param {number} policyId - Policy ID
+ * @param {object} updates - Fields to update (name, company_name, priority, response_minutes, resolution_minutes)
+ * @returns {Promise<object|null>} Updated policy object or null
+ */
+export async function updateSlaPolicy(policyId, updates) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const allowedFields = ['name', 'company_name', 'priority', 'response_minutes', 'resolution_minutes'];
+
+  const setClauses = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClauses.push(`${key} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (setClauses.length === 0) {
+    return getSlaPolicyById(policyId);
+  }
+
+  setClauses.push('updated_at = ?');
+  values.push(now);
+  values.push(policyId);
+
+  await db.run(
+    `UPDATE sla_policies SET ${setClauses.join(', ')} WHERE id = ?`,
+    values
+  );
+
+  return getSlaPolicyById(policyId);
+}
+
+/**
+ * Delete SLA policy
+ * @param {number} policyId - Policy ID
+ * @returns {Promise<boolean>} True if a policy was deleted
+ */
+export async function deleteSlaPolicy(policyId) {
+  const db = getDatabase();
+  const result = await db.run(
+    'DELETE FROM sla_policies WHERE id = ?',
+    [policyId]
+  );
+  return result.changes > 0;
+}
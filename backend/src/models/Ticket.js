@@ -10,11 +10,17 @@ import { getDatabase } from '../database/sqlite.js';
  * @param {object} ticketData - Ticket data
  * @param {string} ticketData.id - Ticket ID (T-00001 format)
  * @param {string} ticketData.clientId - Client ID
+ * @param {string|null} [ticketData.contactId] - Contact person who submitted the ticket
  * @param {string} ticketData.serialNumber - Equipment serial number
  * @param {string} ticketData.problemDescription - Problem description
  * @param {string} ticketData.jobTitle - Job title
  * @param {string} ticketData.clientFullName - Client full name (FIO)
  * @param {string} ticketData.companyName - Company name
+ * @param {string} [ticketData.priority] - Priority (low, medium, high, critical), defaults to medium
+ * @param {string} [ticketData.category] - Category (hardware, software, network, warranty, other), defaults to other
+ * @param {string|null} [ticketData.requiredSkill] - Skill ID required to work on the ticket
+ * @param {string} [ticketData.coverageStatus] - Warranty/contract coverage (contract, warranty, out_of_coverage, unknown)
+ * @param {string|null} [ticketData.serviceContractId] - Service contract covering the equipment
  * @returns {Promise<object>} Created ticket object
  */
 export async function createTicket(ticketData) {
@@ -23,17 +29,24 @@ export async function createTicket(ticketData) {
 
   await db.run(
     `INSERT INTO tickets (
-      id, client_id, serial_number, problem_description, job_title,
-      client_full_name, company_name, status, submitted_at, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, 'new', ?, ?)`,
+      id, client_id, contact_id, serial_number, problem_description, job_title,
+      client_full_name, company_name, priority, category, required_skill,
+      coverage_status, service_contract_id, status, submitted_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'new', ?, ?)`,
     [
       ticketData.id,
       ticketData.clientId,
+      ticketData.contactId || null,
       ticketData.serialNumber,
       ticketData.problemDescription,
       ticketData.jobTitle,
       ticketData.clientFullName,
       ticketData.companyName,
+      ticketData.priority || 'medium',
+      ticketData.category || 'other',
+      ticketData.requiredSkill || null,
+      ticketData.coverageStatus || 'unknown',
+      ticketData.serviceContractId || null,
       now,
       now,
     ]
@@ -70,6 +83,22 @@ export async function getTicketsByClientId(clientId) {
   return tickets || [];
 }
 
+/**
+ * Mark every ticket of a client as updated now
+ * Used when a deleted company is restored, so that ticket lists syncing with ?since= pick
+ * its tickets up again.
+ * @param {string} clientId - Client ID
+ * @returns {Promise<number>} Number of tickets touched
+ */
+export async function touchClientTickets(clientId) {
+  const db = getDatabase();
+  const result = await db.run(
+    'UPDATE tickets SET updated_at = ? WHERE client_id = ?',
+    [Math.floor(Date.now() / 1000), clientId]
+  );
+  return result.changes;
+}
+
 /**
  * Get all tickets (for admin view)
  * @returns {Promise<Array>} Array of ticket objects
@@ -91,7 +120,7 @@ export async function getAllTickets() {
 export async function updateTicket(ticketId, updates) {
   const db = getDatabase();
   const now = Math.floor(Date.now() / 1000);
-  const allowedFields = ['status', 'assigned_engineer_id', 'estimated_completion_at'];
+  const allowedFields = ['status', 'assigned_engineer_id', 'estimated_completion_at', 'priority', 'category', 'required_skill'];
   
   const setClauses = [];
   const values = [];
@@ -0,0 +1,67 @@
+/**
+ * TicketEvent Model
+ * Represents a single field change in a ticket's history
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+
+/**
+ * Create a ticket event
+ * @param {object} eventData - Event data
+ * @param {string} eventData.ticketId - Ticket ID
+ * @param {string|null} eventData.actorId - ID of the user who made the change (null for system)
+ * @param {string} eventData.actorRole - Actor role ('client', 'administrator' or 'system')
+ * @param {string} eventData.field - Changed field ('created', 'status', 'assigned_engineer_id', 'estimated_completion_at')
+ * @param {string|number|null} eventData.oldValue - Value before the change
+ * @param {string|number|null} eventData.newValue - Value after the change
+ * @returns {Promise<object>} Created event object
+ */
+export async function createTicketEvent(eventData) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+
+  const result = await db.run(
+    `INSERT INTO ticket_events (
+      ticket_id, actor_id, actor_role, field, old_value, new_value, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      eventData.ticketId,
+      eventData.actorId || null,
+      eventData.actorRole,
+      eventData.field,
+      eventData.oldValue === undefined || eventData.oldValue === null ? null : String(eventData.oldValue),
+      eventData.newValue === undefined || eventData.newValue === null ? null : String(eventData.newValue),
+      now,
+    ]
+  );
+
+  return getTicketEventById(result.lastID);
+}
+
+/**
+ * Get ticket event by ID
+ * @param {number} eventId - Event ID
+ * @returns {Promise<object|null>} Event object or null
+ */
+export async function getTicketEventById(eventId) {
+  const db = getDatabase();
+  const event = await db.get(
+    'SELECT * FROM ticket_events WHERE id = ?',
+    [eventId]
+  );
+  return event || null;
+}
+
+/**
+ * Get all events for a ticket
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<Array>} Array of event objects, ordered oldest first
+ */
+export async function getTicketEventsByTicketId(ticketId) {
+  const db = getDatabase();
+  const events = await db.all(
+    'SELECT * FROM ticket_events WHERE ticket_id = ? ORDER BY created_at ASC, id ASC',
+    [ticketId]
+  );
+  return events || [];
+}
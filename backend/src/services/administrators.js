@@ -0,0 +1,127 @@
+/**
+ * Administrator Service
+ * Handles administrator account creation, master flag changes and password resets
+ */
+
+import { hashPassword } from './auth.js';
+import { revokeAllUserSessions } from './sessions.js';
+import {
+  createAdministrator,
+  getAdministratorById,
+  getMaxAdministratorNumber,
+  loginExists,
+  getMasterAccountCount,
+  setAdministratorMaster,
+  updateAdministratorPassword,
+} from '../models/Administrator.js';
+import { getRoleById, DEFAULT_ROLE_ID } from '../models/Role.js';
+
+/**
+ * Minimum number of master accounts the system must keep
+ * @type {number}
+ */
+export const MIN_MASTER_ACCOUNTS = 2;
+
+/**
+ * Validate a plain administrator password
+ * @param {string} password - Plain password
+ * @throws {Error} If the password is empty or too long
+ */
+function validatePassword(password) {
+  if (!password || typeof password !== 'string' || password.trim().length === 0) {
+    throw new Error('Password cannot be empty');
+  }
+  if (password.trim().length > 255) {
+    throw new Error('Password must be 255 characters or less');
+  }
+}
+
+/**
+ * Generate the next administrator ID (admin-001, admin-002, ...)
+ * Based on the highest existing ID rather than the account count, so IDs of
+ * deleted accounts are not handed out again.
+ * @returns {Promise<string>} New administrator ID
+ */
+export async function generateAdministratorId() {
+  const nextNumber = (await getMaxAdministratorNumber()) + 1;
+  return `admin-${String(nextNumber).padStart(3, '0')}`;
+}
+
+/**
+ * Create an administrator account
+ * @param {object} params - Account data
+ * @param {string} params.login - Login (1-50 characters)
+ * @param {string} params.password - Plain password
+ * @param {string} [params.displayName] - Display name (defaults to login)
+ * @param {boolean} [params.isMaster=false] - Create a master account
+ * @param {string} [params.roleId] - Role ID (defaults to DEFAULT_ROLE_ID)
+ * @returns {Promise<object>} Created administrator object
+ */
+export async function createAdministratorAccount({ login, password, displayName, isMaster = false, roleId = DEFAULT_ROLE_ID }) {
+  const trimmedLogin = login ? login.trim() : '';
+  if (trimmedLogin.length === 0) {
+    throw new Error('Login is required');
+  }
+  if (trimmedLogin.length > 50) {
+    throw new Error('Login must be 50 characters or less');
+  }
+  validatePassword(password);
+
+  if (await loginExists(trimmedLogin)) {
+    throw new Error('Login already exists');
+  }
+  if (!(await getRoleById(roleId || DEFAULT_ROLE_ID))) {
+    throw new Error('Role not found');
+  }
+
+  return createAdministrator({
+    id: await generateAdministratorId(),
+    login: trimmedLogin,
+    passwordHash: await hashPassword(password.trim()),
+    displayName: displayName ? displayName.trim() : undefined,
+    isMaster: isMaster === true,
+    roleId: roleId || DEFAULT_ROLE_ID,
+  });
+}
+
+/**
+ * Promote an administrator to a master account or demote a master account
+ * @param {string} adminId - Administrator ID
+ * @param {boolean} isMaster - New master flag
+ * @returns {Promise<object>} Updated administrator object
+ * @throws {Error} If the administrator does not exist or the demotion would leave
+ *   fewer than MIN_MASTER_ACCOUNTS master accounts
+ */
+export async function setMasterAccount(adminId, isMaster) {
+  const admin = await getAdministratorById(adminId);
+  if (!admin) {
+    throw new Error('Administrator not found');
+  }
+
+  if (admin.is_master && !isMaster && (await getMasterAccountCount()) <= MIN_MASTER_ACCOUNTS) {
+    throw new Error(`System requires at least ${MIN_MASTER_ACCOUNTS} master accounts`);
+  }
+
+  return setAdministratorMaster(adminId, isMaster);
+}
+
+/**
+ * Set a new password for an administrator account
+ * Signs the account out everywhere except the kept session.
+ * @param {string} adminId - Administrator ID
+ * @param {string} newPassword - Plain password
+ * @param {string|null} keepSessionId - Session to keep signed in (when admins change their own password)
+ * @returns {Promise<string>} Plain password (for display)
+ */
+export async function resetAdministratorPassword(adminId, newPassword, keepSessionId = null) {
+  validatePassword(newPassword);
+
+  const admin = await getAdministratorById(adminId);
+  if (!admin) {
+    throw new Error('Administrator not found');
+  }
+
+  await updateAdministratorPassword(adminId, await hashPassword(newPassword.trim()));
+  await revokeAllUserSessions(adminId, 'admin', 'password_changed', keepSessionId);
+  return newPassword.trim();
+}
@@ -0,0 +1,399 @@
+/**
+ * Analytics Service
+ * Support statistics computed from tickets, chat messages and ticket history:
+ * ticket volume over time, response and resolution times, engineer throughput,
+ * open backlog age and the companies and serial numbers with the most tickets
+ *
+ * All periods are in UTC. A ticket counts as resolved when its status is resolved or
+ * closed; its resolution time is the last change into one of those statuses in
+ * ticket_events (updated_at for tickets closed before history was recorded). The first
+ * response is first_response_at, or the first public administrator message for tickets
+ * answered before SLA tracking.
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+import { getAllAdministrators } from '../models/Administrator.js';
+import { activeCompanyCondition } from '../models/Client.js';
+import { toCsv } from '../utils/csv.js';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Range used when date_from is not given
+ */
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Largest number of periods in the volume series
+ */
+const MAX_PERIODS = 400;
+
+/**
+ * Number of entries in the top companies and serial numbers lists
+ */
+const TOP_LIMIT = 10;
+
+/**
+ * Period lengths of the volume series
+ */
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+/**
+ * Statuses of tickets that are still being worked on
+ */
+const OPEN_STATUSES = ['new', 'in_progress', 'waiting_for_client'];
+
+/**
+ * Age buckets of the open backlog: [key, upper bound in seconds]
+ */
+const BACKLOG_AGE_BUCKETS = [
+  ['under_1d', SECONDS_PER_DAY],
+  ['1_3d', 3 * SECONDS_PER_DAY],
+  ['3_7d', 7 * SECONDS_PER_DAY],
+  ['7_30d', 30 * SECONDS_PER_DAY],
+  ['over_30d', Infinity],
+];
+
+/**
+ * Validate and normalize analytics filters from a query string
+ * Without an interval, days are used for ranges up to two months, weeks up to a year
+ * and months beyond that.
+ * @param {object} query - Query parameters (date_from, date_to, company, interval)
+ * @returns {{date_from: number, date_to: number, company: string|null, interval: string}} Filters
+ * @throws {Error} If a filter is invalid
+ */
+export function parseAnalyticsFilters(query = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const filters = {};
+
+  for (const key of ['date_from', 'date_to']) {
+    if (query[key]) {
+      const timestamp = parseInt(query[key], 10);
+      if (isNaN(timestamp) || timestamp < 0) {
+        throw new Error(`${key} must be a Unix timestamp`);
+      }
+      filters[key] = timestamp;
+    }
+  }
+  filters.date_to = filters.date_to ?? now;
+  filters.date_from = filters.date_from ?? filters.date_to - DEFAULT_RANGE_DAYS * SECONDS_PER_DAY;
+  if (filters.date_from > filters.date_to) {
+    throw new Error('date_from must be before date_to');
+  }
+
+  filters.company = query.company ? String(query.company).trim() : null;
+
+  const days = (filters.date_to - filters.date_from) / SECONDS_PER_DAY;
+  if (query.interval) {
+    if (!ANALYTICS_INTERVALS.includes(query.interval)) {
+      throw new Error(`interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`);
+    }
+    filters.interval = query.interval;
+  } else {
+    filters.interval = days <= 62 ? 'day' : days <= 366 ? 'week' : 'month';
+  }
+
+  if (getPeriodStarts(filters.date_from, filters.date_to, filters.interval).length > MAX_PERIODS) {
+    throw new Error(`Date range has more than ${MAX_PERIODS} periods; choose a longer interval`);
+  }
+
+  return filters;
+}
+
+/**
+ * Start of the period containing a timestamp
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} interval - 'day', 'week' (starting Monday) or 'month'
+ * @returns {number} Unix timestamp of the period start (UTC)
+ */
+function getPeriodStart(timestamp, interval) {
+  const date = new Date(timestamp * 1000);
+  if (interval === 'month') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+  }
+  const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / 1000;
+  if (interval === 'week') {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return dayStart - daysSinceMonday * SECONDS_PER_DAY;
+  }
+  return dayStart;
+}
+
+/**
+ * Start of the period after the one starting at a timestamp
+ * @param {number} periodStart - Period start (from getPeriodStart)
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {number} Unix timestamp of the next period start
+ */
+function getNextPeriodStart(periodStart, interval) {
+  if (interval === 'month') {
+    const date = new Date(periodStart * 1000);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / 1000;
+  }
+  return periodStart + (interval === 'week' ? 7 : 1) * SECONDS_PER_DAY;
+}
+
+/**
+ * Starts of all periods overlapping a date range
+ * Stops one past MAX_PERIODS so callers can reject ranges that are too long.
+ * @param {number} dateFrom - Range start
+ * @param {number} dateTo - Range end
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {Array<number>} Period starts in order
+ */
+function getPeriodStarts(dateFrom, dateTo, interval) {
+  const starts = [];
+  for (let start = getPeriodStart(dateFrom, interval);
+    start <= dateTo && starts.length <= MAX_PERIODS;
+    start = getNextPeriodStart(start, interval)) {
+    starts.push(start);
+  }
+  return starts;
+}
+
+/**
+ * Label of a period: YYYY-MM for months, the first day (YYYY-MM-DD) otherwise
+ * @param {number} periodStart - Period start
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {string} Period label
+ */
+function formatPeriod(periodStart, interval) {
+  const iso = new Date(periodStart * 1000).toISOString();
+  return interval === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+/**
+ * Mean of numbers, rounded to whole seconds
+ * @param {Array<number>} values - Durations in seconds
+ * @returns {number|null} Mean, or null for an empty list
+ */
+function mean(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Count tickets by a key and return the largest groups
+ * @param {Array<object>} tickets - Tickets
+ * @param {string} key - Field to group by
+ * @returns {Array<{name: string, tickets: number}>} Top groups, most tickets first
+ */
+function getTopCounts(tickets, key) {
+  const counts = new Map();
+  tickets.forEach(ticket => {
+    const name = ticket[key];
+    if (name) {
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+  });
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_LIMIT)
+    .map(([name, count]) => ({ name, tickets: count }));
+}
+
+/**
+ * Load the tickets that matter for a range: submitted or resolved in it, or open now
+ * (tickets of deleted companies are left out)
+ * @param {object} filters - Filters from parseAnalyticsFilters
+ * @returns {Promise<Array>} Tickets with first_response_at and resolved_at filled in
+ */
+async function getTicketFacts(filters) {
+  const db = getDatabase();
+  const placeholders = OPEN_STATUSES.map(() => '?').join(', ');
+
+  return await db.all(
+    `WITH resolutions AS (
+       SELECT ticket_id, MAX(created_at) as resolved_at
+       FROM ticket_events
+       WHERE field = 'status' AND new_value IN ('resolved', 'closed')
+         AND (old_value IS NULL OR old_value NOT IN ('resolved', 'closed'))
+       GROUP BY ticket_id
+     ),
+     responses AS (
+       SELECT ticket_id, MIN(created_at) as responded_at
+       FROM chat_messages
+       WHERE sender_role = 'administrator' AND message_type = 'public'
+       GROUP BY ticket_id
+     ),
+     facts AS (
+       SELECT t.id, t.serial_number, t.company_name, t.status, t.assigned_engineer_id, t.submitted_at,
+              COALESCE(t.first_response_at, r.responded_at) as first_response_at,
+              CASE WHEN t.status IN ('resolved', 'closed')
+                   THEN COALESCE(res.resolved_at, t.updated_at) END as resolved_at
+       FROM tickets t
+       LEFT JOIN resolutions res ON res.ticket_id = t.id
+       LEFT JOIN responses r ON r.ticket_id = t.id
+       WHERE ${activeCompanyCondition('t')}${filters.company ? ' AND t.company_name = ?' : ''}
+     )
+     SELECT * FROM facts
+     WHERE submitted_at BETWEEN ? AND ?
+        OR resolved_at BETWEEN ? AND ?
+        OR status IN (${placeholders})`,
+    [
+      ...(filters.company ? [filters.company] : []),
+      filters.date_from, filters.date_to,
+      filters.date_from, filters.date_to,
+      ...OPEN_STATUSES,
+    ]
+  );
+}
+
+/**
+ * Compute support statistics
+ * Volume, response times and top lists cover tickets submitted in the range; resolution
+ * times and throughput cover tickets resolved in it. The backlog is the open tickets now.
+ * @param {object} filters - Filters from parseAnalyticsFilters
+ * @returns {Promise<object>} { filters, summary, volume, engineers, backlog, top_companies, top_serial_numbers };
+ *   durations are in seconds
+ */
+export async function getAnalytics(filters) {
+  const now = Math.floor(Date.now() / 1000);
+  const inRange = timestamp => timestamp !== null && timestamp >= filters.date_from && timestamp <= filters.date_to;
+
+  const [facts, administrators] = await Promise.all([getTicketFacts(filters), getAllAdministrators()]);
+  const submitted = facts.filter(ticket => inRange(ticket.submitted_at));
+  const resolved = facts.filter(ticket => inRange(ticket.resolved_at));
+  const open = facts.filter(ticket => OPEN_STATUSES.includes(ticket.status));
+
+  const responseTimes = submitted
+    .filter(ticket => ticket.first_response_at !== null)
+    .map(ticket => Math.max(ticket.first_response_at - ticket.submitted_at, 0));
+  const resolutionTime = ticket => Math.max(ticket.resolved_at - ticket.submitted_at, 0);
+
+  // Volume: tickets submitted and resolved per period
+  const periods = getPeriodStarts(filters.date_from, filters.date_to, filters.interval)
+    .map(start => ({ start, period: formatPeriod(start, filters.interval), created: 0, resolved: 0 }));
+  const periodIndex = new Map(periods.map((period, index) => [period.start, index]));
+  submitted.forEach(ticket => {
+    periods[periodIndex.get(getPeriodStart(ticket.submitted_at, filters.interval))].created++;
+  });
+  resolved.forEach(ticket => {
+    periods[periodIndex.get(getPeriodStart(ticket.resolved_at, filters.interval))].resolved++;
+  });
+
+  // Engineers: every administrator, plus deleted ones who still have tickets
+  const engineers = new Map(administrators.map(admin => [admin.id, {
+    id: admin.id,
+    name: admin.display_name,
+    assigned: 0,
+    resolved: 0,
+    resolutionTimes: [],
+    open: 0,
+  }]));
+  const getEngineer = id => {
+    if (!engineers.has(id)) {
+      engineers.set(id, { id, name: null, assigned: 0, resolved: 0, resolutionTimes: [], open: 0 });
+    }
+    return engineers.get(id);
+  };
+  submitted.filter(ticket => ticket.assigned_engineer_id).forEach(ticket => {
+    getEngineer(ticket.assigned_engineer_id).assigned++;
+  });
+  resolved.filter(ticket => ticket.assigned_engineer_id).forEach(ticket => {
+    const engineer = getEngineer(ticket.assigned_engineer_id);
+    engineer.resolved++;
+    engineer.resolutionTimes.push(resolutionTime(ticket));
+  });
+  open.filter(ticket => ticket.assigned_engineer_id).forEach(ticket => {
+    getEngineer(ticket.assigned_engineer_id).open++;
+  });
+
+  // Backlog: age of open tickets now
+  const ages = open.map(ticket => Math.max(now - ticket.submitted_at, 0));
+  const ageBuckets = BACKLOG_AGE_BUCKETS.map(([key]) => ({ key, tickets: 0 }));
+  ages.forEach(age => {
+    ageBuckets[BACKLOG_AGE_BUCKETS.findIndex(([, limit]) => age < limit)].tickets++;
+  });
+
+  return {
+    filters,
+    summary: {
+      submitted: submitted.length,
+      resolved: resolved.length,
+      open: open.length,
+      unassigned_open: open.filter(ticket => !ticket.assigned_engineer_id).length,
+      responded: responseTimes.length,
+      mean_first_response_seconds: mean(responseTimes),
+      mean_resolution_seconds: mean(resolved.map(resolutionTime)),
+    },
+    volume: periods.map(({ period, created, resolved: resolvedCount }) => ({ period, created, resolved: resolvedCount })),
+    engineers: [...engineers.values()]
+      .filter(engineer => engineer.assigned > 0 || engineer.resolved > 0 || engineer.open > 0)
+      .map(({ resolutionTimes, ...engineer }) => ({ ...engineer, mean_resolution_seconds: mean(resolutionTimes) }))
+      .sort((a, b) => b.resolved - a.resolved || b.assigned - a.assigned),
+    backlog: {
+      open: open.length,
+      mean_age_seconds: mean(ages),
+      oldest_age_seconds: ages.length > 0 ? Math.max(...ages) : null,
+      by_status: OPEN_STATUSES.map(status => ({
+        status,
+        tickets: open.filter(ticket => ticket.status === status).length,
+      })),
+      by_age: ageBuckets,
+    },
+    top_companies: getTopCounts(submitted, 'company_name'),
+    top_serial_numbers: getTopCounts(submitted, 'serial_number'),
+  };
+}
+
+/**
+ * Export support statistics as CSV
+ * The sections of getAnalytics follow each other, each with a title row and a header
+ * row, separated by empty rows.
+ * @param {object} filters - Filters from parseAnalyticsFilters
+ * @returns {Promise<string>} CSV text
+ */
+export async function exportAnalyticsCsv(filters) {
+  const analytics = await getAnalytics(filters);
+  const formatTime = timestamp => new Date(timestamp * 1000).toISOString();
+  const { summary, backlog } = analytics;
+
+  const sections = [
+    [
+      ['Filters'],
+      ['date_from', 'date_to', 'company', 'interval'],
+      [formatTime(filters.date_from), formatTime(filters.date_to), filters.company || '', filters.interval],
+    ],
+    [
+      ['Summary'],
+      ['metric', 'value'],
+      ...Object.entries(summary),
+    ],
+    [
+      ['Ticket volume'],
+      ['period', 'created', 'resolved'],
+      ...analytics.volume.map(row => [row.period, row.created, row.resolved]),
+    ],
+    [
+      ['Engineers'],
+      ['engineer_id', 'name', 'assigned', 'resolved', 'mean_resolution_seconds', 'open'],
+      ...analytics.engineers.map(row => [
+        row.id, row.name, row.assigned, row.resolved, row.mean_resolution_seconds, row.open,
+      ]),
+    ],
+    [
+      ['Open backlog'],
+      ['metric', 'value'],
+      ['open', backlog.open],
+      ['mean_age_seconds', backlog.mean_age_seconds],
+      ['oldest_age_seconds', backlog.oldest_age_seconds],
+      ...backlog.by_status.map(row => [`status_${row.status}`, row.tickets]),
+      ...backlog.by_age.map(row => [`age_${row.key}`, row.tickets]),
+    ],
+    [
+      ['Top companies'],
+      ['company', 'tickets'],
+      ...analytics.top_companies.map(row => [row.name, row.tickets]),
+    ],
+    [
+      ['Top serial numbers'],
+      ['serial_number', 'tickets'],
+      ...analytics.top_serial_numbers.map(row => [row.name, row.tickets]),
+    ],
+  ];
+
+  return toCsv(sections.flatMap((rows, index) => (index === 0 ? rows : [[], ...rows])));
+}
@@ -4,9 +4,12 @@
  * Handles automatic assignment of new tickets to available administrators.
  * 
  * Assignment Algorithm:
- * 1. Load-Based Distribution: Tickets are assigned to the administrator with the fewest
- *    open tickets (status IN: 'new', 'in_progress', 'waiting_for_client'). This ensures
- *    even workload distribution across all available administrators.
+ * 1. Load-Based Distribution: Tickets are assigned to the administrator with the lowest
+ *    open ticket load (status IN: 'new', 'in_progress', 'waiting_for_client'). Each open
+ *    ticket is weighted by its priority (PRIORITY_LOAD_WEIGHTS in the ticket service),
+ *    so an engineer holding a critical ticket counts as busier than one holding a
+ *    low-priority ticket. This ensures even workload distribution across all available
+ *    administrators.
  * 
  * 2. Round-Robin Fallback: When multiple administrators have the same minimum load,
  *    the algorithm uses a round-robin approach based on the `last_assigned_at` timestamp.
@@ -17,7 +20,11 @@
  *    automatic assignment. Only regular administrators receive tickets automatically.
  *    Master accounts can manually assign tickets to themselves or others if needed.
  * 
- * 4. Edge Case Handling: If no administrators are available, the ticket remains unassigned
+ * 4. Skill-First Routing: If the ticket has a required skill (inferred from its serial
+ *    number prefix or category, see the skill service), only administrators with that
+ *    skill are considered. If none of them is available, all administrators are.
+ * 
+ * 5. Edge Case Handling: If no administrators are available, the ticket remains unassigned
  *    and can be manually assigned later by a master account. Assignment failures are logged
  *    but do not prevent ticket creation.
  * 
@@ -28,9 +35,10 @@
 
 import { getDatabase } from '../database/sqlite.js';
 import { getAllAdministrators, updateLastAssignedAt } from '../models/Administrator.js';
-import { getOpenTicketCountForAdmin } from './tickets.js';
+import { getWeightedOpenLoadForAdmin } from './tickets.js';
 import { updateTicketStatus } from './tickets.js';
 import { createNotificationEvent } from './notifications.js';
+import { getAdministratorIdsWithSkill } from '../models/Skill.js';
 
 /**
  * Get all available regular administrators (exclude master accounts)
@@ -43,26 +51,36 @@ export async function getAvailableAdministrators() {
 }
 
 /**
- * Calculate open ticket count per administrator
+ * Calculate priority-weighted open ticket load per administrator
  * Open tickets are those with status IN ('new', 'in_progress', 'waiting_for_client')
  * @param {string} adminId - Administrator ID
- * @returns {Promise<number>} Number of open tickets
+ * @returns {Promise<number>} Weighted load
  */
 export async function calculateAdminLoad(adminId) {
-  return await getOpenTicketCountForAdmin(adminId);
+  return await getWeightedOpenLoadForAdmin(adminId);
 }
 
 /**
- * Find administrator with minimum open ticket count
+ * Find administrator with minimum weighted open ticket load
  * If multiple admins have equal load, use round-robin (last_assigned_at) as tiebreaker
+ * @param {string|null} requiredSkill - Skill ID to prefer (falls back to all admins if nobody has it)
  * @returns {Promise<object|null>} Administrator object with minimum load, or null if no admins available
  */
-export async function findAdminWithMinimumLoad() {
-  const availableAdmins = await getAvailableAdministrators();
+export async function findAdminWithMinimumLoad(requiredSkill = null) {
+  let availableAdmins = await getAvailableAdministrators();
   
   if (availableAdmins.length === 0) {
     return null;
   }
+
+  // Prefer administrators with the required skill
+  if (requiredSkill) {
+    const skilledAdminIds = new Set(await getAdministratorIdsWithSkill(requiredSkill));
+    const skilledAdmins = availableAdmins.filter(admin => skilledAdminIds.has(admin.id));
+    if (skilledAdmins.length > 0) {
+      availableAdmins = skilledAdmins;
+    }
+  }
   
   // Calculate load for each admin
   const adminLoads = await Promise.all(
@@ -90,14 +108,18 @@ export async function findAdminWithMinimumLoad() {
 
 /**
  * Automatically assign a ticket to an available administrator
- * Uses load-based algorithm with round-robin fallback
+ * Prefers administrators with the ticket's required skill, then uses the
+ * load-based algorithm with round-robin fallback
  * @param {string} ticketId - Ticket ID to assign
  * @returns {Promise<object|null>} Assigned administrator object, or null if no admins available
  */
 export async function assignTicketToAvailableAdmin(ticketId) {
   try {
-    // Find admin with minimum load
-    const assignedAdmin = await findAdminWithMinimumLoad();
+    const { getTicketById } = await import('../models/Ticket.js');
+    const ticketToAssign = await getTicketById(ticketId);
+
+    // Find admin with minimum load (among admins with the required skill, if any)
+    const assignedAdmin = await findAdminWithMinimumLoad(ticketToAssign?.required_skill || null);
     
     if (!assignedAdmin) {
       // No administrators available - ticket remains unassigned
@@ -115,7 +137,6 @@ export async function assignTicketToAvailableAdmin(ticketId) {
     
     // Create notification for assigned admin
     // Get ticket info for notification
-    const { getTicketById } = await import('../models/Ticket.js');
     const ticket = await getTicketById(ticketId);
     
     if (ticket) {
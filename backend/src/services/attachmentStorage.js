@@ -0,0 +1,92 @@
+/**
+ * Attachment Storage
+ * Pluggable backend for attachment file contents
+ *
+ * A storage backend is an object implementing:
+ * - save(key, data): store a Buffer under a key
+ * - createReadStream(key): return a readable stream of the stored file
+ * - remove(key): delete the stored file (missing files are ignored)
+ *
+ * The default backend stores files on local disk under ATTACHMENTS_DIR.
+ * Another backend (e.g. object storage) can be installed with setAttachmentStorage().
+ */
+
+import { createReadStream } from 'fs';
+import { mkdir, writeFile, unlink } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, sep } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || join(__dirname, '..', '..', 'uploads');
+
+/**
+ * @typedef {object} AttachmentStorage
+ * @property {(key: string, data: Buffer) => Promise<void>} save - Store file contents
+ * @property {(key: string) => import('stream').Readable} createReadStream - Read file contents
+ * @property {(key: string) => Promise<void>} remove - Delete file contents
+ */
+
+/**
+ * Create a storage backend that keeps files on local disk
+ * @param {string} rootDir - Directory to store files in (created on demand)
+ * @returns {AttachmentStorage} Local disk storage backend
+ */
+export function createLocalDiskStorage(rootDir) {
+  const root = resolve(rootDir);
+
+  /**
+   * Resolve a storage key to a path inside the root directory
+   * @param {string} key - Storage key (e.g. "T-00001/att-...")
+   * @returns {string} Absolute file path
+   * @throws {Error} If the key escapes the root directory
+   */
+  function resolveKey(key) {
+    const filePath = resolve(root, key);
+    if (!filePath.startsWith(root + sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  return {
+    async save(key, data) {
+      const filePath = resolveKey(key);
+      await mkdir(dirname(filePath), { recursive: true });
+      await writeFile(filePath, data);
+    },
+
+    createReadStream(key) {
+      return createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+  };
+}
+
+let storage = createLocalDiskStorage(ATTACHMENTS_DIR);
+
+/**
+ * Get the active attachment storage backend
+ * @returns {AttachmentStorage} Storage backend
+ */
+export function getAttachmentStorage() {
+  return storage;
+}
+
+/**
+ * Replace the attachment storage backend
+ * @param {AttachmentStorage} newStorage - Storage backend
+ */
+export function setAttachmentStorage(newStorage) {
+  storage = newStorage;
+}
@@ -0,0 +1,226 @@
+/**
+ * Attachment Service
+ * Handles attachment limits, storing uploaded files and attaching them to
+ * tickets and chat messages
+ *
+ * Allowed file types are decided by extension (the client-supplied content type
+ * is not trusted); the content type served on download comes from the same table.
+ * Only images are ever served inline.
+ */
+
+import { extname } from 'path';
+import {
+  createAttachment,
+  getAttachmentById,
+  getAttachmentsByTicketId,
+  getAttachmentsByMessageIds,
+  getStorageKeysByClientId,
+} from '../models/Attachment.js';
+import { getAttachmentStorage } from './attachmentStorage.js';
+
+/**
+ * Upload limits
+ * @type {{maxFileBytes: number, maxFiles: number}}
+ */
+export const ATTACHMENT_LIMITS = {
+  maxFileBytes: parseInt(process.env.ATTACHMENT_MAX_MB || '25', 10) * 1024 * 1024,
+  maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES || '5', 10),
+};
+
+/**
+ * Allowed file extensions and the content type they are served with
+ * (photos, BMC/iDRAC/iLO logs and sosreport archives)
+ * @type {Record<string, string>}
+ */
+const ALLOWED_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.xz': 'application/x-xz',
+  '.bz2': 'application/x-bzip2',
+  '.7z': 'application/x-7z-compressed',
+};
+
+/**
+ * Get the allowed file extensions
+ * @returns {string[]} Extensions including the leading dot
+ */
+export function getAllowedExtensions() {
+  return Object.keys(ALLOWED_TYPES);
+}
+
+/**
+ * Get the content type for an allowed file name
+ * @param {string} fileName - Original file name
+ * @returns {string|null} Content type or null if the file type is not allowed
+ */
+export function getAttachmentContentType(fileName) {
+  const extension = extname(fileName || '').toLowerCase();
+  return ALLOWED_TYPES[extension] || null;
+}
+
+/**
+ * Check whether an attachment can be shown inline (image thumbnails)
+ * @param {object} attachment - Attachment object
+ * @returns {boolean} True for images
+ */
+export function isInlineAttachment(attachment) {
+  return attachment.mime_type.startsWith('image/');
+}
+
+/**
+ * Convert an attachment row to its API representation (storage details stay internal)
+ * @param {object} attachment - Attachment row
+ * @returns {object} Public attachment object
+ */
+function toPublicAttachment(attachment) {
+  return {
+    id: attachment.id,
+    ticket_id: attachment.ticket_id,
+    message_id: attachment.message_id,
+    uploader_id: attachment.uploader_id,
+    uploader_role: attachment.uploader_role,
+    original_name: attachment.original_name,
+    mime_type: attachment.mime_type,
+    size_bytes: attachment.size_bytes,
+    is_image: isInlineAttachment(attachment),
+    created_at: attachment.created_at,
+  };
+}
+
+/**
+ * Store uploaded files and record them as attachments
+ * @param {object} params - Parameters
+ * @param {string} params.ticketId - Ticket ID
+ * @param {string|null} params.messageId - Chat message ID (null for ticket attachments)
+ * @param {string} params.uploaderId - Uploader ID
+ * @param {string} params.uploaderRole - Uploader role ('client' or 'administrator')
+ * @param {Array<{originalname: string, size: number, buffer: Buffer}>} params.files - Uploaded files (multer memory storage)
+ * @returns {Promise<Array>} Created public attachment objects
+ */
+export async function saveAttachments({ ticketId, messageId = null, uploaderId, uploaderRole, files }) {
+  const storage = getAttachmentStorage();
+  const saved = [];
+
+  for (const file of files || []) {
+    const mimeType = getAttachmentContentType(file.originalname);
+    if (!mimeType) {
+      throw new Error(`File type is not allowed: ${file.originalname}`);
+    }
+
+    const attachmentId = `att-${Date.now()}-${Math.floor(Math.random() * 100000)}`;
+    const storageKey = `${ticketId}/${attachmentId}`;
+
+    await storage.save(storageKey, file.buffer);
+    const attachment = await createAttachment({
+      id: attachmentId,
+      ticketId,
+      messageId,
+      uploaderId,
+      uploaderRole: uploaderRole === 'admin' ? 'administrator' : uploaderRole,
+      originalName: file.originalname,
+      mimeType,
+      sizeBytes: file.size,
+      storageKey,
+    });
+    saved.push(toPublicAttachment(attachment));
+  }
+
+  return saved;
+}
+
+/**
+ * Get all attachments of a ticket
+ * @param {string} ticketId - Ticket ID
+ * @param {boolean} includeInternal - Include files attached to internal notes
+ * @returns {Promise<Array>} Public attachment objects
+ */
+export async function listTicketAttachments(ticketId, includeInternal = true) {
+  const attachments = await getAttachmentsByTicketId(ticketId, includeInternal);
+  return attachments.map(toPublicAttachment);
+}
+
+/**
+ * Add an `attachments` array to each chat message
+ * @param {Array} messages - Chat message objects
+ * @returns {Promise<Array>} The same messages with attachments
+ */
+export async function withMessageAttachments(messages) {
+  const attachments = await getAttachmentsByMessageIds(messages.map(message => message.id));
+
+  const byMessage = new Map();
+  for (const attachment of attachments) {
+    if (!byMessage.has(attachment.message_id)) {
+      byMessage.set(attachment.message_id, []);
+    }
+    byMessage.get(attachment.message_id).push(toPublicAttachment(attachment));
+  }
+
+  for (const message of messages) {
+    message.attachments = byMessage.get(message.id) || [];
+  }
+  return messages;
+}
+
+/**
+ * Get an attachment with a stream of its contents
+ * Callers must check ticket access before sending the stream.
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<{attachment: object, openStream: Function}|null>} Attachment and stream opener, or null if not found
+ */
+export async function getAttachmentContent(attachmentId) {
+  const attachment = await getAttachmentById(attachmentId);
+  if (!attachment) {
+    return null;
+  }
+
+  return {
+    attachment,
+    openStream: () => getAttachmentStorage().createReadStream(attachment.storage_key),
+  };
+}
+
+/**
+ * Get the storage keys of every file attached to a client's tickets
+ * Collect them before the tickets are deleted, then pass them to removeAttachmentFiles.
+ * @param {string} clientId - Client ID
+ * @returns {Promise<string[]>} Storage keys
+ */
+export async function getClientAttachmentKeys(clientId) {
+  return getStorageKeysByClientId(clientId);
+}
+
+/**
+ * Delete stored files whose attachment records are gone
+ * A file that cannot be removed is logged and skipped.
+ * @param {string[]} storageKeys - Storage keys
+ * @returns {Promise<number>} Number of files removed
+ */
+export async function removeAttachmentFiles(storageKeys) {
+  const storage = getAttachmentStorage();
+  let removed = 0;
+
+  for (const key of storageKeys) {
+    try {
+      await storage.remove(key);
+      removed++;
+    } catch (error) {
+      console.error(`Failed to remove attachment file ${key}:`, error);
+    }
+  }
+
+  return removed;
+}
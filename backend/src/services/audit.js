@@ -0,0 +1,212 @@
+/**
+ * Audit Service
+ * Records privileged and security-relevant actions in the append-only audit log,
+ * and lists or exports them for master administrators and auditors
+ */
+
+import { createAuditEntry, getAuditEntries, countAuditEntries } from '../models/AuditLog.js';
+import { toCsv } from '../utils/csv.js';
+
+/**
+ * Recorded actions
+ * @type {string[]}
+ */
+export const AUDIT_ACTIONS = [
+  'admin.created',
+  'admin.deleted',
+  'admin.promoted',
+  'admin.demoted',
+  'admin.password_changed',
+  'admin.two_factor_reset',
+  'admin.role_changed',
+  'company.created',
+  'company.password_changed',
+  'company.password_generated',
+  'company.codephrase_regenerated',
+  'company.deleted',
+  'company.restored',
+  'company.purged',
+  'contact.created',
+  'contact.updated',
+  'contact.password_generated',
+  'contact.password_changed',
+  'contact.deleted',
+  'role.created',
+  'role.updated',
+  'role.deleted',
+  'ticket.restored',
+  'recovery.initiated',
+  'recovery.approved',
+  'recovery.denied',
+  'recovery.password_reset',
+  'two_factor.enabled',
+  'two_factor.disabled',
+  'auth.locked',
+  'auth.unlocked',
+];
+
+/**
+ * Audit context for actions run from the crm command line
+ * @type {{actor: object, ipAddress: null}}
+ */
+export const CLI_AUDIT_CONTEXT = {
+  actor: { role: 'system', login: 'cli' },
+  ipAddress: null,
+};
+
+/**
+ * Default and maximum page size of GET /api/audit
+ */
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Maximum number of rows in a CSV export
+ * @type {number}
+ */
+export const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Build the audit context of an API request
+ * @param {import('express').Request} req - Express request (after authMiddleware for signed-in actors)
+ * @returns {{actor: object|null, ipAddress: string|null}} Audit context
+ */
+export function getAuditContext(req) {
+  return {
+    actor: req.user || null,
+    ipAddress: req.ip || null,
+  };
+}
+
+/**
+ * Normalize actor to { id, role, login } with role 'client', 'administrator' or 'system'
+ * @param {object|null} actor - Authenticated user (req.user), { role: 'system', login } or null
+ * @returns {{id: string|null, role: string, login: string|null}} Normalized actor
+ */
+function normalizeActor(actor) {
+  if (!actor || !actor.id || actor.role === 'system') {
+    return { id: null, role: 'system', login: actor?.login || null };
+  }
+  return {
+    // Contact persons act for their company but are recorded as themselves
+    id: actor.contact_id || actor.id,
+    role: actor.role === 'admin' ? 'administrator' : actor.role,
+    login: actor.login || null,
+  };
+}
+
+/**
+ * Record an action in the audit log
+ * The action has already happened when this is called, so a failure to write the
+ * entry is logged rather than thrown.
+ * @param {{actor: object|null, ipAddress: string|null}} context - Who acted and from where (getAuditContext)
+ * @param {string} action - Action name from AUDIT_ACTIONS
+ * @param {object} target - What the action was applied to
+ * @param {string} [target.type] - Target type ('administrator', 'company', 'contact', 'ticket', 'login', 'ip')
+ * @param {string} [target.id] - Target ID
+ * @param {string} [target.label] - Target login or name
+ * @param {object|null} details - Action-specific data
+ * @returns {Promise<void>}
+ */
+export async function recordAuditEvent(context, action, target = {}, details = null) {
+  const actor = normalizeActor(context?.actor);
+
+  try {
+    await createAuditEntry({
+      actorId: actor.id,
+      actorRole: actor.role,
+      actorLogin: actor.login,
+      action,
+      targetType: target.type,
+      targetId: target.id,
+      targetLabel: target.label,
+      ipAddress: context?.ipAddress,
+      details,
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log entry ${action}:`, error);
+  }
+}
+
+/**
+ * Validate and normalize audit log filters from a query string
+ * @param {object} query - Query parameters (action, actor, target, date_from, date_to)
+ * @returns {object} Filters for the AuditLog model
+ * @throws {Error} If a filter is invalid
+ */
+export function parseAuditFilters(query = {}) {
+  const filters = {};
+
+  if (query.action) {
+    const isKnownAction = AUDIT_ACTIONS.includes(query.action)
+      || (query.action.endsWith('.') && AUDIT_ACTIONS.some(action => action.startsWith(query.action)));
+    if (!isKnownAction) {
+      throw new Error('Unknown audit action');
+    }
+    filters.action = query.action;
+  }
+  if (query.actor) {
+    filters.actor = String(query.actor).trim();
+  }
+  if (query.target) {
+    filters.target = String(query.target).trim();
+  }
+
+  for (const key of ['date_from', 'date_to']) {
+    if (query[key]) {
+      const timestamp = parseInt(query[key], 10);
+      if (isNaN(timestamp) || timestamp < 0) {
+        throw new Error(`${key} must be a Unix timestamp`);
+      }
+      filters[key] = timestamp;
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * List audit log entries, newest first
+ * @param {object} filters - Filters from parseAuditFilters
+ * @param {object} page - Paging
+ * @param {number|string} [page.limit] - Page size (default 50, at most 500)
+ * @param {number|string} [page.offset] - Number of entries to skip
+ * @returns {Promise<{entries: Array, total: number, limit: number, offset: number}>} Page of entries
+ */
+export async function listAuditEntries(filters, { limit, offset } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+  const [entries, total] = await Promise.all([
+    getAuditEntries(filters, pageSize, skip),
+    countAuditEntries(filters),
+  ]);
+
+  return { entries, total, limit: pageSize, offset: skip };
+}
+
+/**
+ * Export audit log entries as CSV (newest first, at most MAX_EXPORT_ROWS rows)
+ * @param {object} filters - Filters from parseAuditFilters
+ * @returns {Promise<string>} CSV text with a UTF-8 byte order mark for spreadsheet apps
+ */
+export async function exportAuditCsv(filters) {
+  const entries = await getAuditEntries(filters, MAX_EXPORT_ROWS, 0);
+  const columns = ['id', 'time', 'actor_role', 'actor_login', 'actor_id', 'action', 'target_type', 'target_id', 'target_label', 'ip_address', 'details'];
+
+  const rows = entries.map(entry => [
+    entry.id,
+    new Date(entry.created_at * 1000).toISOString(),
+    entry.actor_role,
+    entry.actor_login,
+    entry.actor_id,
+    entry.action,
+    entry.target_type,
+    entry.target_id,
+    entry.target_label,
+    entry.ip_address,
+    entry.details ? JSON.stringify(entry.details) : '',
+  ]);
+
+  return toCsv([columns, ...rows]);
+}
@@ -1,9 +1,9 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { getDatabase } from '../database/sqlite.js';
+import { getContactPersonByLogin, getActiveContactPerson } from '../models/ContactPerson.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
 
 /**
  * Hash a password using bcrypt
@@ -27,12 +27,14 @@ export async function comparePassword(password, hash) {
 
 /**
  * Generate a JWT token for a user
- * @param {object} payload - Token payload (user id, login, role)
+ * Access tokens are issued through the session service (services/sessions.js).
+ * @param {object} payload - Token payload (user id, login, role, session id)
+ * @param {number} expiresInSeconds - Token lifetime in seconds
  * @returns {string} JWT token
  */
-export function generateToken(payload) {
+export function generateToken(payload, expiresInSeconds) {
   return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: JWT_EXPIRES_IN,
+    expiresIn: expiresInSeconds,
   });
 }
 
@@ -50,7 +52,35 @@ export function verifyToken(token) {
 }
 
 /**
- * Authenticate a user (client or administrator) by login and password
+ * Get the ID of the account a user signed in with
+ * Contact persons act for their company (user.id is the company), but sessions,
+ * notifications and preferences belong to the person.
+ * @param {object} user - Authenticated user (req.user)
+ * @returns {string} Contact person ID for contact persons, otherwise user.id
+ */
+export function getAccountId(user) {
+  return user.contact_id || user.id;
+}
+
+/**
+ * Build the user object of a contact person
+ * @param {object} contact - Contact person with company_name
+ * @returns {object} User object of the company, with the contact person's details
+ */
+function toContactUser(contact) {
+  return {
+    id: contact.client_id,
+    contact_id: contact.id,
+    login: contact.login,
+    role: 'client',
+    company_name: contact.company_name,
+    full_name: contact.full_name,
+    job_title: contact.job_title,
+  };
+}
+
+/**
+ * Authenticate a user (client, contact person or administrator) by login and password
  * @param {string} login - User login/username
  * @param {string} password - Plain text password
  * @returns {Promise<object|null>} User object with role and is_master (for admins) or null if invalid
@@ -64,9 +94,9 @@ export async function authenticateUser(login, password) {
     return null;
   }
 
-  // Try to find as client first
+  // Try to find as client first (deleted companies cannot sign in)
   const client = await db.get(
-    'SELECT id, login, password_hash, company_name FROM clients WHERE login = ?',
+    'SELECT id, login, password_hash, company_name FROM clients WHERE login = ? AND deleted_at IS NULL',
     [trimmedLogin]
   );
 
@@ -83,6 +113,13 @@ export async function authenticateUser(login, password) {
     return null;
   }
 
+  // Contact persons sign in as their company
+  const contact = await getContactPersonByLogin(trimmedLogin);
+  if (contact) {
+    const isValid = await comparePassword(password, contact.password_hash);
+    return isValid ? toContactUser(contact) : null;
+  }
+
   // Try to find as administrator
   // Include is_master field to return master account status in user object
   const admin = await db.get(
@@ -116,6 +153,7 @@ export async function authenticateUser(login, password) {
 
 /**
  * Get user information by ID and role
+ * For clients the ID may also be a contact person ID (see getAccountId).
  * @param {string} userId - User ID
  * @param {string} role - User role ('client' or 'admin')
  * @returns {Promise<object|null>} User object with is_master (for admins) or null if not found
@@ -125,7 +163,7 @@ export async function getUserById(userId, role) {
 
   if (role === 'client') {
     const client = await db.get(
-      'SELECT id, login, company_name FROM clients WHERE id = ?',
+      'SELECT id, login, company_name FROM clients WHERE id = ? AND deleted_at IS NULL',
       [userId]
     );
     if (client) {
@@ -136,6 +174,11 @@ export async function getUserById(userId, role) {
         company_name: client.company_name,
       };
     }
+
+    const contact = await getActiveContactPerson(userId);
+    if (contact) {
+      return toContactUser(contact);
+    }
   } else if (role === 'admin') {
     // Include is_master field to return master account status in user object
     const admin = await db.get(
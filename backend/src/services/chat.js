@@ -7,12 +7,25 @@ import {
   createChatMessage,
   getChatMessagesByTicketId,
   getLatestMessageTimestamp,
+  deleteChatMessage,
 } from '../models/ChatMessage.js';
 import { getTicketById } from '../models/Ticket.js';
 import { getDatabase } from '../database/sqlite.js';
-import { notifyNewMessage } from './notifications.js';
+import { notifyNewMessage, notifyInternalNote } from './notifications.js';
 import { getClientById } from '../models/Client.js';
 import { getAdministratorById } from '../models/Administrator.js';
+import { publishTicketEvent } from './realtime.js';
+import { canAccessTicket } from './permissions.js';
+import { recordFirstResponse } from './sla.js';
+import { saveAttachments, withMessageAttachments } from './attachments.js';
+import { trackBackgroundTask } from '../utils/backgroundTasks.js';
+
+/**
+ * Chat message types
+ * Internal notes are only visible to administrators.
+ * @type {string[]}
+ */
+export const MESSAGE_TYPES = ['public', 'internal'];
 
 /**
  * Generate next chat message ID in format msg-001
@@ -50,14 +63,19 @@ async function generateMessageId() {
  * @throws {Error} If validation fails
  */
 function validateMessageData(messageData) {
-  const { content, ticketId, senderId, senderRole } = messageData;
+  const { content, ticketId, senderId, senderRole, files, messageType = 'public' } = messageData;
+  const hasFiles = Array.isArray(files) && files.length > 0;
+
+  // Text is optional when files are attached
+  if (content !== undefined && content !== null && typeof content !== 'string') {
+    throw new Error('Message content must be a string');
+  }
 
-  // Validate required fields
-  if (!content || typeof content !== 'string' || content.trim().length === 0) {
+  if (!hasFiles && (!content || content.trim().length === 0)) {
     throw new Error('Message content is required');
   }
 
-  if (content.trim().length > 5000) {
+  if (content && content.trim().length > 5000) {
     throw new Error('Message content must be 5000 characters or less');
   }
 
@@ -72,35 +90,28 @@ function validateMessageData(messageData) {
   if (!senderRole || !['client', 'administrator'].includes(senderRole)) {
     throw new Error('Sender role must be "client" or "administrator"');
   }
+
+  if (!MESSAGE_TYPES.includes(messageType)) {
+    throw new Error(`Message type must be one of: ${MESSAGE_TYPES.join(', ')}`);
+  }
+
+  if (messageType === 'internal' && senderRole === 'client') {
+    throw new Error('Only administrators can post internal notes');
+  }
 }
 
 /**
- * Check if user has access to a ticket's chat
+ * Check if user has access to a ticket's chat and attachments
  * @param {string} ticketId - Ticket ID
  * @param {string} userId - User ID
  * @param {string} userRole - User role ('client', 'admin', or 'administrator')
  * @returns {Promise<boolean>} True if user has access
  */
-async function checkTicketAccess(ticketId, userId, userRole) {
+export async function checkTicketAccess(ticketId, userId, userRole) {
   const ticket = await getTicketById(ticketId);
-  
-  if (!ticket) {
-    return false;
-  }
-
-  // Administrators can access all tickets
-  // Also check if admin is assigned to this specific ticket
-  if (userRole === 'admin' || userRole === 'administrator') {
-    // Admins can access all tickets, including ones they're assigned to
-    return true;
-  }
-
-  // Clients can only access their own tickets
-  if (userRole === 'client') {
-    return ticket.client_id === userId;
-  }
 
-  return false;
+  // Clients reach their own tickets, administrators the tickets within their scope
+  return canAccessTicket({ id: userId, role: userRole }, ticket);
 }
 
 /**
@@ -109,8 +120,10 @@ async function checkTicketAccess(ticketId, userId, userRole) {
  * @param {string} messageData.ticketId - Ticket ID
  * @param {string} messageData.senderId - Sender ID
  * @param {string} messageData.senderRole - Sender role
- * @param {string} messageData.content - Message content
- * @returns {Promise<object>} Created message object
+ * @param {string} [messageData.content] - Message content (optional when files are attached)
+ * @param {Array} [messageData.files] - Uploaded files to attach (multer memory storage)
+ * @param {string} [messageData.messageType] - 'public' (default) or 'internal' (administrators only)
+ * @returns {Promise<object>} Created message object (with attachments)
  */
 export async function createMessage(messageData) {
   // Validate input
@@ -136,8 +149,36 @@ export async function createMessage(messageData) {
     ticketId: messageData.ticketId,
     senderId: messageData.senderId,
     senderRole: messageData.senderRole,
-    content: messageData.content.trim(),
+    content: (messageData.content || '').trim(),
+    messageType: messageData.messageType,
   });
+  const isInternal = message.message_type === 'internal';
+
+  // Store files before the message is pushed, so recipients see them right away
+  try {
+    message.attachments = await saveAttachments({
+      ticketId: messageData.ticketId,
+      messageId,
+      uploaderId: messageData.senderId,
+      uploaderRole: messageData.senderRole,
+      files: messageData.files,
+    });
+  } catch (error) {
+    // Don't leave a message behind whose files are missing
+    await deleteChatMessage(messageId);
+    throw error;
+  }
+
+  // An administrator reply counts as the first response for SLA purposes
+  // (an internal note is not a reply: the client never sees it)
+  if (messageData.senderRole !== 'client' && !isInternal) {
+    await recordFirstResponse(messageData.ticketId);
+  }
+
+  // Push message to the ticket owner and administrators with open event streams;
+  // internal notes never reach the client's stream
+  const ticket = await getTicketById(messageData.ticketId);
+  publishTicketEvent(ticket, 'chat_message', { ticket_id: messageData.ticketId, message }, { internal: isInternal });
 
   // Get sender name for notification
   let senderName = 'Unknown';
@@ -150,19 +191,20 @@ export async function createMessage(messageData) {
   }
 
   // Create notification for new message (fire and forget - don't block response)
-  notifyNewMessage(
+  const notify = isInternal ? notifyInternalNote : notifyNewMessage;
+  trackBackgroundTask(notify(
     messageData.ticketId,
     messageData.senderId,
     messageData.senderRole,
     messageId,
     {
-      content: messageData.content.trim(),
+      content: message.content || message.attachments.map(attachment => `📎 ${attachment.original_name}`).join(', '),
       sender_name: senderName,
     }
   ).catch(error => {
     // Log error but don't fail the message creation
     console.error('Error creating notification for new message:', error);
-  });
+  }));
 
   return message;
 }
@@ -173,7 +215,7 @@ export async function createMessage(messageData) {
  * @param {string} userId - User ID requesting messages
  * @param {string} userRole - User role ('client' or 'admin')
  * @param {number|null} since - Optional timestamp to get messages since this time
- * @returns {Promise<Array>} Array of message objects
+ * @returns {Promise<Array>} Array of message objects (internal notes are left out for clients)
  */
 export async function getMessages(ticketId, userId, userRole, since = null) {
   // Check if user has access to this ticket
@@ -184,8 +226,8 @@ export async function getMessages(ticketId, userId, userRole, since = null) {
   }
 
   // Get messages
-  const messages = await getChatMessagesByTicketId(ticketId, since);
+  const messages = await getChatMessagesByTicketId(ticketId, since, userRole !== 'client');
 
-  return messages;
+  return await withMessageAttachments(messages);
 }
 
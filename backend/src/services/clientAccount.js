@@ -0,0 +1,124 @@
+/**
+ * Client Account Service
+ * Self-service credential settings of a signed-in client
+ *
+ * Company logins and contact persons change their own password after confirming the
+ * current one. The recovery codephrase belongs to the company login (codephrase recovery
+ * resets that login), so only the company login can rotate it.
+ */
+
+import { comparePassword, hashPassword } from './auth.js';
+import { revokeAllUserSessions } from './sessions.js';
+import { regenerateCompanyCodephrase } from './companies.js';
+import { getClientById, getClientPasswordHash, updateClientPassword } from '../models/Client.js';
+import {
+  getContactPersonById,
+  getContactPersonPasswordHash,
+  updateContactPersonPassword,
+} from '../models/ContactPerson.js';
+
+/**
+ * Get the company of a signed-in client
+ * @param {object} user - Authenticated client (req.user)
+ * @returns {Promise<object>} Client object
+ * @throws {Error} If the company does not exist or is deleted
+ */
+async function requireCompany(user) {
+  const client = await getClientById(user.id);
+  if (!client || client.deleted_at) {
+    throw new Error('Client not found');
+  }
+  return client;
+}
+
+/**
+ * Get when the credentials of a signed-in client were created and last changed
+ * @param {object} user - Authenticated client (req.user)
+ * @returns {Promise<object>} login, created_at, password_changed_at, codephrase_changed_at
+ *   and can_regenerate_codephrase; *_changed_at are null if never changed
+ */
+export async function getCredentialStatus(user) {
+  const client = await requireCompany(user);
+
+  if (user.contact_id) {
+    const contact = await getContactPersonById(user.contact_id);
+    if (!contact) {
+      throw new Error('Client not found');
+    }
+    return {
+      login: contact.login,
+      created_at: contact.created_at,
+      password_changed_at: contact.password_changed_at,
+      codephrase_changed_at: null,
+      can_regenerate_codephrase: false,
+    };
+  }
+
+  return {
+    login: client.login,
+    created_at: client.created_at,
+    password_changed_at: client.password_changed_at,
+    codephrase_changed_at: client.codephrase_changed_at,
+    can_regenerate_codephrase: true,
+  };
+}
+
+/**
+ * Change the password of a signed-in client
+ * Other sessions of the account end; the current one stays signed in.
+ * @param {object} user - Authenticated client (req.user)
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password (8-128 characters, different from the current one)
+ * @returns {Promise<number>} Number of other sessions that were ended
+ * @throws {Error} If the current password is wrong or the new one is invalid
+ */
+export async function changeOwnPassword(user, currentPassword, newPassword) {
+  await requireCompany(user);
+
+  if (!currentPassword || typeof currentPassword !== 'string') {
+    throw new Error('Current password is required');
+  }
+  if (!newPassword || typeof newPassword !== 'string' || newPassword.trim().length === 0) {
+    throw new Error('New password is required');
+  }
+  if (newPassword.length < 8) {
+    throw new Error('Password must be at least 8 characters long');
+  }
+  if (newPassword.length > 128) {
+    throw new Error('Password must be 128 characters or less');
+  }
+
+  const accountId = user.contact_id || user.id;
+  const passwordHash = user.contact_id
+    ? await getContactPersonPasswordHash(accountId)
+    : await getClientPasswordHash(accountId);
+
+  if (!passwordHash || !(await comparePassword(currentPassword, passwordHash))) {
+    throw new Error('Current password is incorrect');
+  }
+  if (await comparePassword(newPassword, passwordHash)) {
+    throw new Error('New password must be different from the current one');
+  }
+
+  const newHash = await hashPassword(newPassword);
+  if (user.contact_id) {
+    await updateContactPersonPassword(accountId, newHash);
+  } else {
+    await updateClientPassword(accountId, newHash);
+  }
+
+  return revokeAllUserSessions(accountId, 'client', 'password_changed', user.session_id);
+}
+
+/**
+ * Replace the recovery codephrase of a signed-in company
+ * @param {object} user - Authenticated client (req.user)
+ * @returns {Promise<string>} New codephrase (for one-time display)
+ * @throws {Error} If a contact person asks for it
+ */
+export async function regenerateOwnCodephrase(user) {
+  if (user.contact_id) {
+    throw new Error('Only the company login can regenerate the codephrase');
+  }
+  return regenerateCompanyCodephrase(user.id);
+}
@@ -4,7 +4,7 @@
  */
 
 import { hashPassword } from './auth.js';
-import { createClient, getClientByLogin, getAllClients, loginExists, companyNameExists } from '../models/Client.js';
+import { createClient, getClientByLogin, getAllClients, loginExists, companyNameExists, clientEmailExists } from '../models/Client.js';
 import { getDatabase } from '../database/sqlite.js';
 import { generateCodephrase } from './codephrase.js';
 
@@ -22,6 +22,48 @@ export function generateRandomString(length) {
   return result;
 }
 
+/**
+ * Validate and normalize a client contact email
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lower-cased email
+ * @throws {Error} If the email is invalid
+ */
+export function normalizeClientEmail(email) {
+  if (typeof email !== 'string' || email.trim().length === 0) {
+    throw new Error('Email is required');
+  }
+  const trimmed = email.trim().toLowerCase();
+  if (trimmed.length > 255) {
+    throw new Error('Email must be 255 characters or less');
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed)) {
+    throw new Error('Invalid email format');
+  }
+  return trimmed;
+}
+
+/**
+ * Generate an unused login from a name and a random suffix (up to 15 characters)
+ * @param {string} name - Company or person name; its Latin letters and digits form the prefix
+ * @returns {Promise<string>} Login not used by any company or contact person
+ */
+export async function generateUniqueLogin(name) {
+  const prefix = name
+    .replace(/[^a-zA-Z0-9]/g, '')
+    .substring(0, 10)
+    .toLowerCase();
+  const maxAttempts = 20;
+
+  for (let attempts = 1; attempts < maxAttempts; attempts++) {
+    const login = (prefix + generateRandomString(5)).substring(0, 15);
+    if (!(await loginExists(login))) {
+      return login;
+    }
+  }
+
+  throw new Error('Failed to generate unique login. Please try again.');
+}
+
 /**
  * Generate a unique client ID
  * @returns {Promise<string>} Unique client ID
@@ -49,10 +91,12 @@ async function generateClientId() {
  * @param {string} companyName - Company name
  * @param {object} options - Options for account generation
  * @param {boolean} options.allowDuplicateCompanyName - Allow multiple clients from same company (default: true)
+ * @param {string} [options.email] - Contact email (inbound emails from it become tickets)
  * @returns {Promise<object>} Client account with generated credentials
  */
 export async function generateClientAccount(companyName, options = {}) {
   const { allowDuplicateCompanyName = true } = options;
+  const email = options.email ? normalizeClientEmail(options.email) : null;
 
   // Validate company name
   if (!companyName || typeof companyName !== 'string' || companyName.trim().length === 0) {
@@ -73,25 +117,12 @@ export async function generateClientAccount(companyName, options = {}) {
     }
   }
 
-  // Generate unique login (up to 15 characters)
-  let login;
-  let attempts = 0;
-  const maxAttempts = 20;
-
-  do {
-    // Generate login based on company name + random suffix
-    const companyPrefix = trimmedCompanyName
-      .replace(/[^a-zA-Z0-9]/g, '')
-      .substring(0, 10)
-      .toLowerCase();
-    const suffix = generateRandomString(5);
-    login = (companyPrefix + suffix).substring(0, 15);
+  if (email && await clientEmailExists(email)) {
+    throw new Error('A client account with this email already exists');
+  }
 
-    attempts++;
-    if (attempts >= maxAttempts) {
-      throw new Error('Failed to generate unique login. Please try again.');
-    }
-  } while (await loginExists(login));
+  // Generate login based on company name + random suffix
+  const login = await generateUniqueLogin(trimmedCompanyName);
 
   // Generate password (up to 15 characters)
   const password = generateRandomString(15);
@@ -129,6 +160,7 @@ export async function generateClientAccount(companyName, options = {}) {
       companyName: trimmedCompanyName,
       codephrase,
       recoveryPending: 0,
+      email,
     });
   } catch (error) {
     // Handle UNIQUE constraint violation for codephrase (retry with new codephrase)
@@ -145,6 +177,7 @@ export async function generateClientAccount(companyName, options = {}) {
             companyName: trimmedCompanyName,
             codephrase,
             recoveryPending: 0,
+            email,
           });
           break;
         } catch (retryError) {
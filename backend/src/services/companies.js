@@ -1,12 +1,60 @@
 /**
  * Company Service
- * Handles company account management operations (filtering, password operations)
+ * Handles company account management operations (filtering, password operations,
+ * soft delete, restore and purge)
+ *
+ * Deleting a company only marks it deleted: its users are signed out and cannot sign in,
+ * but tickets and chat history are kept and the company can be restored. After the
+ * retention period a master can purge it, which removes the account and its history for good.
  */
 
 import { getDatabase } from '../database/sqlite.js';
 import { hashPassword } from './auth.js';
-import { updateClientPassword, getClientById } from '../models/Client.js';
+import { revokeAllUserSessions } from './sessions.js';
+import {
+  updateClientPassword,
+  updateClientCodephrase,
+  getClientById,
+  getDeletedClients,
+  softDeleteClient,
+  restoreClient,
+  purgeClient,
+} from '../models/Client.js';
+import { touchClientTickets } from '../models/Ticket.js';
 import { generateRandomString } from './clients.js';
+import { revokeCompanyContactSessions } from './contactPersons.js';
+import { generateCodephrase } from './codephrase.js';
+import { getLatestRecoveryRequestsByClient } from './recovery.js';
+import { getClientAttachmentKeys, removeAttachmentFiles } from './attachments.js';
+
+/**
+ * How long a deleted company is kept before it can be purged (in days)
+ * @type {number}
+ */
+export const COMPANY_RETENTION_DAYS = parseInt(process.env.COMPANY_RETENTION_DAYS || '30', 10);
+
+/**
+ * Get a company that has not been deleted
+ * @param {string} clientId - Client ID
+ * @returns {Promise<object>} Client object
+ * @throws {Error} If the company does not exist or is deleted
+ */
+async function getActiveCompany(clientId) {
+  const client = await getClientById(clientId);
+  if (!client || client.deleted_at) {
+    throw new Error('Client not found');
+  }
+  return client;
+}
+
+/**
+ * Get the time from which a deleted company can be purged
+ * @param {number} deletedAt - Deletion time (Unix seconds)
+ * @returns {number} Unix timestamp in seconds
+ */
+function getPurgeAvailableAt(deletedAt) {
+  return deletedAt + COMPANY_RETENTION_DAYS * 24 * 60 * 60;
+}
 
 /**
  * Get companies with optional filters
@@ -14,12 +62,16 @@ import { generateRandomString } from './clients.js';
  * @param {string} filters.company_name - Filter by company name (partial match, case-insensitive)
  * @param {string} filters.client_name - Filter by client_full_name from tickets (partial match, case-insensitive)
  * @param {string} filters.job_title - Filter by job_title from tickets (partial match, case-insensitive)
- * @param {string} filters.equipment_id - Filter by serial_number from tickets (partial match, case-insensitive)
- * @returns {Promise<Array>} Filtered company list
+ * @param {string} filters.equipment_id - Filter by registered equipment serial number (partial match, case-insensitive)
+ * @returns {Promise<Array>} Filtered company list; recovery_request is the newest recovery
+ *   request of the company (with who decided on it), or null
  */
 export async function getCompaniesWithFilters(filters = {}) {
   const db = getDatabase();
   const { company_name, client_name, job_title, equipment_id } = filters;
+
+  // Loaded first: expiring overdue requests also clears recovery_pending
+  const recoveryRequests = await getLatestRecoveryRequestsByClient();
   
   let query = `
     SELECT 
@@ -27,9 +79,10 @@ export async function getCompaniesWithFilters(filters = {}) {
       c.login,
       c.company_name,
       c.recovery_pending,
-      c.created_at
+      c.created_at,
+      (SELECT COUNT(*) FROM contact_persons cp WHERE cp.client_id = c.id) as contact_count
     FROM clients c
-    WHERE 1=1
+    WHERE c.deleted_at IS NULL
   `;
   const params = [];
   
@@ -59,12 +112,12 @@ export async function getCompaniesWithFilters(filters = {}) {
     params.push(`%${job_title.trim()}%`);
   }
   
-  // Equipment ID filter (ANY ticket match, case-insensitive)
+  // Equipment ID filter (ANY registered asset match, case-insensitive)
   if (equipment_id && equipment_id.trim()) {
     query += ` AND EXISTS (
-      SELECT 1 FROM tickets t 
-      WHERE t.client_id = c.id 
-      AND LOWER(t.serial_number) LIKE LOWER(?)
+      SELECT 1 FROM equipment e 
+      WHERE e.client_id = c.id 
+      AND LOWER(e.serial_number) LIKE LOWER(?)
     )`;
     params.push(`%${equipment_id.trim()}%`);
   }
@@ -74,17 +127,32 @@ export async function getCompaniesWithFilters(filters = {}) {
   
   const companies = await db.all(query, params);
   
-  // Fetch unique equipment IDs (serial numbers) for each company
+  // Attach registered equipment with a single query instead of one per company
   if (companies && companies.length > 0) {
+    const equipmentRows = await db.all(
+      'SELECT id, client_id, serial_number FROM equipment ORDER BY serial_number COLLATE NOCASE ASC'
+    );
+    const equipmentByClient = new Map();
+    for (const row of equipmentRows) {
+      if (!equipmentByClient.has(row.client_id)) {
+        equipmentByClient.set(row.client_id, []);
+      }
+      equipmentByClient.get(row.client_id).push({ id: row.id, serial_number: row.serial_number });
+    }
+
     for (const company of companies) {
-      const equipmentIds = await db.all(
-        `SELECT DISTINCT serial_number 
-         FROM tickets 
-         WHERE client_id = ? AND serial_number IS NOT NULL AND serial_number != ''
-         ORDER BY serial_number ASC`,
-        [company.id]
-      );
-      company.equipment_ids = equipmentIds.map(row => row.serial_number);
+      company.equipment = equipmentByClient.get(company.id) || [];
+      company.equipment_ids = company.equipment.map(item => item.serial_number);
+
+      const request = recoveryRequests.get(company.id);
+      company.recovery_request = request ? {
+        id: request.id,
+        status: request.status,
+        created_at: request.created_at,
+        expires_at: request.expires_at,
+        decided_at: request.decided_at,
+        decided_by_login: request.decided_by_login,
+      } : null;
     }
   }
   
@@ -106,14 +174,12 @@ export async function changeCompanyPassword(clientId, newPassword) {
     throw new Error('Password must be 255 characters or less');
   }
   
-  // Verify client exists
-  const client = await getClientById(clientId);
-  if (!client) {
-    throw new Error('Client not found');
-  }
+  // Verify client exists and is not deleted
+  await getActiveCompany(clientId);
   
   const passwordHash = await hashPassword(newPassword);
   await updateClientPassword(clientId, passwordHash);
+  await revokeAllUserSessions(clientId, 'client', 'password_changed');
   
   return newPassword; // Return plain password for one-time display
 }
@@ -124,38 +190,116 @@ export async function changeCompanyPassword(clientId, newPassword) {
  * @returns {Promise<string>} Generated plain password
  */
 export async function generateCompanyPassword(clientId) {
-  // Verify client exists
-  const client = await getClientById(clientId);
-  if (!client) {
-    throw new Error('Client not found');
-  }
+  // Verify client exists and is not deleted
+  await getActiveCompany(clientId);
   
   // Reuse existing password generation logic
   const password = generateRandomString(15);
   const passwordHash = await hashPassword(password);
   await updateClientPassword(clientId, passwordHash);
+  await revokeAllUserSessions(clientId, 'client', 'password_changed');
   
   return password; // Return plain password for one-time display
 }
 
+/**
+ * Generate a new recovery codephrase for a company account
+ * The old codephrase stops working immediately.
+ * @param {string} clientId - Client ID
+ * @returns {Promise<string>} New codephrase (for one-time display)
+ */
+export async function regenerateCompanyCodephrase(clientId) {
+  // Verify client exists and is not deleted
+  await getActiveCompany(clientId);
+
+  const codephrase = await generateCodephrase();
+  await updateClientCodephrase(clientId, codephrase);
+
+  return codephrase;
+}
+
 /**
  * Delete a company account
- * This will cascade delete all related tickets and chat messages due to foreign key constraints
+ * The company is only marked deleted; see purgeCompany for a permanent delete.
  * @param {string} clientId - Client ID
- * @returns {Promise<boolean>} True if deleted successfully
+ * @param {string|null} adminId - Administrator who deletes it (null from the command line)
+ * @returns {Promise<{purge_available_at: number}>} When the company can be purged
  */
-export async function deleteCompany(clientId) {
-  const db = getDatabase();
-  
-  // Verify client exists
+export async function deleteCompany(clientId, adminId = null) {
+  await getActiveCompany(clientId);
+
+  if (!(await softDeleteClient(clientId, adminId))) {
+    throw new Error('Client not found');
+  }
+  await revokeAllUserSessions(clientId, 'client', 'account_deleted');
+  await revokeCompanyContactSessions(clientId, 'account_deleted');
+
+  const client = await getClientById(clientId);
+  return { purge_available_at: getPurgeAvailableAt(client.deleted_at) };
+}
+
+/**
+ * List deleted companies for master administrators
+ * @returns {Promise<Array>} Deleted companies with purge_available_at
+ */
+export async function listDeletedCompanies() {
+  const companies = await getDeletedClients();
+  return companies.map(company => ({
+    ...company,
+    purge_available_at: getPurgeAvailableAt(company.deleted_at),
+  }));
+}
+
+/**
+ * Restore a deleted company account
+ * Its users can sign in again with their existing password.
+ * @param {string} clientId - Client ID
+ * @returns {Promise<object>} Restored client object
+ */
+export async function restoreCompany(clientId) {
   const client = await getClientById(clientId);
   if (!client) {
     throw new Error('Client not found');
   }
-  
-  // Delete client (tickets and chat messages will be cascade deleted due to foreign keys)
-  const result = await db.run('DELETE FROM clients WHERE id = ?', [clientId]);
-  
-  return result.changes > 0;
+  if (!client.deleted_at) {
+    throw new Error('Company is not deleted');
+  }
+
+  await restoreClient(clientId);
+  // Its tickets come back into ticket lists that sync with ?since=
+  await touchClientTickets(clientId);
+  return getClientById(clientId);
 }
 
+/**
+ * Permanently delete a deleted company account
+ * Removes its tickets, chat messages, equipment, contracts and attachment files.
+ * @param {string} clientId - Client ID
+ * @param {string} confirmation - Company login, typed again to confirm
+ * @returns {Promise<object>} The purged client object
+ */
+export async function purgeCompany(clientId, confirmation) {
+  const client = await getClientById(clientId);
+  if (!client) {
+    throw new Error('Client not found');
+  }
+  if (!client.deleted_at) {
+    throw new Error('Only deleted companies can be purged');
+  }
+  if (confirmation !== client.login) {
+    throw new Error('Confirmation does not match the company login');
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (now < getPurgeAvailableAt(client.deleted_at)) {
+    throw new Error(`Company can be purged ${COMPANY_RETENTION_DAYS} days after deletion`);
+  }
+
+  // File contents are not covered by the cascade, so collect their keys first
+  const storageKeys = await getClientAttachmentKeys(clientId);
+  if (!(await purgeClient(clientId))) {
+    throw new Error('Client not found');
+  }
+  await removeAttachmentFiles(storageKeys);
+
+  return client;
+}
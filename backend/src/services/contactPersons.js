@@ -0,0 +1,194 @@
+/**
+ * Contact Person Service
+ * Manages the named user accounts of client companies
+ *
+ * A contact person signs in with their own login and acts for their company: they see
+ * and create the company's tickets and reports, while their sessions, notifications and
+ * notification preferences are their own. Tickets they submit are linked to them.
+ */
+
+import { randomBytes } from 'crypto';
+import { hashPassword } from './auth.js';
+import { revokeAllUserSessions } from './sessions.js';
+import { generateRandomString, generateUniqueLogin, normalizeClientEmail } from './clients.js';
+import { getClientById } from '../models/Client.js';
+import {
+  createContactPerson,
+  getContactPersonById,
+  getContactPersonsByClientId,
+  updateContactPerson,
+  updateContactPersonPassword,
+  deleteContactPerson,
+} from '../models/ContactPerson.js';
+
+/**
+ * Validate and normalize contact person fields
+ * @param {object} data - Raw fields (full_name, job_title, email, phone)
+ * @param {boolean} partial - Only validate the fields that are present (for updates)
+ * @returns {object} Normalized fields; optional fields that were cleared become null
+ * @throws {Error} If a field is invalid
+ */
+function normalizeContactFields(data, partial = false) {
+  const fields = {};
+
+  if (!partial || data.full_name !== undefined) {
+    if (typeof data.full_name !== 'string' || data.full_name.trim().length === 0) {
+      throw new Error('Full name is required');
+    }
+    if (data.full_name.trim().length > 200) {
+      throw new Error('Full name must be 200 characters or less');
+    }
+    fields.full_name = data.full_name.trim();
+  }
+
+  if (data.job_title !== undefined) {
+    const jobTitle = typeof data.job_title === 'string' ? data.job_title.trim() : '';
+    if (jobTitle.length > 100) {
+      throw new Error('Job title must be 100 characters or less');
+    }
+    fields.job_title = jobTitle || null;
+  }
+
+  if (data.email !== undefined) {
+    fields.email = typeof data.email === 'string' && data.email.trim()
+      ? normalizeClientEmail(data.email)
+      : null;
+  }
+
+  if (data.phone !== undefined) {
+    const phone = typeof data.phone === 'string' ? data.phone.trim() : '';
+    if (phone && !/^[+\d\s().-]{3,50}$/.test(phone)) {
+      throw new Error('Phone must contain only digits, spaces and + ( ) - .');
+    }
+    fields.phone = phone || null;
+  }
+
+  return fields;
+}
+
+/**
+ * Get a company that has not been deleted
+ * @param {string} clientId - Client ID
+ * @returns {Promise<object>} Client object
+ * @throws {Error} If the company does not exist or is deleted
+ */
+async function requireActiveCompany(clientId) {
+  const client = clientId ? await getClientById(clientId) : null;
+  if (!client || client.deleted_at) {
+    throw new Error('Client not found');
+  }
+  return client;
+}
+
+/**
+ * Get a contact person of a company
+ * @param {string} clientId - Client (company) ID
+ * @param {string} contactId - Contact person ID
+ * @returns {Promise<object>} Contact person
+ * @throws {Error} If not found or the person belongs to another company
+ */
+async function requireContactPerson(clientId, contactId) {
+  const contact = await getContactPersonById(contactId);
+  if (!contact || contact.client_id !== clientId) {
+    throw new Error('Contact person not found');
+  }
+  return contact;
+}
+
+/**
+ * Create a contact person with a generated login and password
+ * @param {string} clientId - Client (company) ID
+ * @param {object} data - Fields (full_name required; job_title, email, phone optional)
+ * @returns {Promise<object>} Contact person with the plain password (for one-time display)
+ */
+export async function createCompanyContact(clientId, data) {
+  const client = await requireActiveCompany(clientId);
+  const fields = normalizeContactFields(data);
+
+  // Person names are often not in Latin letters; fall back to the company name
+  const latinName = fields.full_name.replace(/[^a-zA-Z0-9]/g, '');
+  const login = await generateUniqueLogin(latinName || client.company_name);
+  const password = generateRandomString(15);
+
+  const contact = await createContactPerson({
+    id: `contact-${Date.now()}-${randomBytes(3).toString('hex')}`,
+    clientId,
+    login,
+    passwordHash: await hashPassword(password),
+    fullName: fields.full_name,
+    jobTitle: fields.job_title,
+    email: fields.email,
+    phone: fields.phone,
+  });
+
+  return { ...contact, company_name: client.company_name, password };
+}
+
+/**
+ * List the contact persons of a company
+ * @param {string} clientId - Client (company) ID
+ * @returns {Promise<Array>} Contact persons
+ */
+export async function listCompanyContacts(clientId) {
+  await requireActiveCompany(clientId);
+  return getContactPersonsByClientId(clientId);
+}
+
+/**
+ * Update the name, job title, email or phone of a contact person
+ * @param {string} clientId - Client (company) ID
+ * @param {string} contactId - Contact person ID
+ * @param {object} data - Fields to change
+ * @returns {Promise<object>} Updated contact person
+ */
+export async function updateContact(clientId, contactId, data) {
+  await requireContactPerson(clientId, contactId);
+  return updateContactPerson(contactId, normalizeContactFields(data, true));
+}
+
+/**
+ * Generate a new password for a contact person and end their sessions
+ * @param {string} clientId - Client (company) ID
+ * @param {string} contactId - Contact person ID
+ * @returns {Promise<{contact: object, password: string}>} Contact person and plain password
+ */
+export async function generateContactPassword(clientId, contactId) {
+  const contact = await requireContactPerson(clientId, contactId);
+
+  const password = generateRandomString(15);
+  await updateContactPersonPassword(contactId, await hashPassword(password));
+  await revokeAllUserSessions(contactId, 'client', 'password_changed');
+
+  return { contact, password };
+}
+
+/**
+ * Delete a contact person and end their sessions
+ * Their tickets stay with the company.
+ * @param {string} clientId - Client (company) ID
+ * @param {string} contactId - Contact person ID
+ * @returns {Promise<object>} The deleted contact person
+ */
+export async function removeContact(clientId, contactId) {
+  const contact = await requireContactPerson(clientId, contactId);
+
+  await deleteContactPerson(contactId);
+  await revokeAllUserSessions(contactId, 'client', 'account_deleted');
+
+  return contact;
+}
+
+/**
+ * End the sessions of every contact person of a company
+ * @param {string} clientId - Client (company) ID
+ * @param {string} reason - Why the sessions are revoked
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export async function revokeCompanyContactSessions(clientId, reason) {
+  const contacts = await getContactPersonsByClientId(clientId);
+  let revoked = 0;
+  for (const contact of contacts) {
+    revoked += await revokeAllUserSessions(contact.id, 'client', reason);
+  }
+  return revoked;
+}
@@ -0,0 +1,403 @@
+/**
+ * Service Contract Service
+ * Handles service contracts, equipment coverage and contract expiry alerts
+ *
+ * Coverage:
+ * - A contract covers the equipment linked to it, or all of the client's
+ *   equipment when no equipment is linked.
+ * - A ticket is 'contract' covered when an active contract covers its serial number,
+ *   'warranty' covered when the registered equipment is still under warranty,
+ *   'out_of_coverage' when the warranty or a contract of the client has lapsed,
+ *   and 'unknown' when there is no warranty or contract data at all.
+ *
+ * Expiry alerts:
+ * - Once a day (CONTRACT_EXPIRY_CHECK_INTERVAL_SECONDS) contracts ending within
+ *   the largest threshold are scanned.
+ * - Master accounts get a `contract_expiring` notification 30, 14 and 1 days
+ *   before the end date. Only the closest threshold is sent when several are
+ *   due at once (e.g. a contract created 10 days before it ends).
+ * - Sent thresholds are tracked per end date, so extending a contract re-arms them.
+ */
+
+import {
+  createServiceContract,
+  getServiceContractById,
+  getAllServiceContracts,
+  getActiveServiceContractsForClient,
+  getServiceContractsEndingBetween,
+  updateServiceContract,
+  setServiceContractEquipment,
+  deleteServiceContract,
+  getSentExpiryAlerts,
+  recordExpiryAlerts,
+} from '../models/ServiceContract.js';
+import { getEquipmentById, getEquipmentBySerialNumber } from '../models/Equipment.js';
+import { getClientById } from '../models/Client.js';
+import { getAdministratorsWithPermission } from './permissions.js';
+import { createNotificationEvent } from './notifications.js';
+
+const CONTRACT_EXPIRY_CHECK_INTERVAL_SECONDS = parseInt(process.env.CONTRACT_EXPIRY_CHECK_INTERVAL_SECONDS || '86400', 10);
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Contract coverage levels
+ * @type {string[]}
+ */
+export const COVERAGE_LEVELS = ['basic', 'standard', 'premium'];
+
+/**
+ * Days before the end date at which master accounts are notified (descending)
+ * @type {number[]}
+ */
+export const CONTRACT_EXPIRY_ALERT_DAYS = [30, 14, 1];
+
+let schedulerTimer = null;
+let checkInProgress = false;
+
+/**
+ * Validate contract data
+ * @param {object} data - Contract data (snake_case, as received from the API)
+ * @param {boolean} partial - If true, only validate provided fields
+ * @throws {Error} If validation fails
+ */
+function validateContractData(data, partial = false) {
+  if (!partial || data.client_id !== undefined) {
+    if (!data.client_id || typeof data.client_id !== 'string') {
+      throw new Error('Client is required');
+    }
+  }
+
+  if (!partial || data.contract_number !== undefined) {
+    if (!data.contract_number || typeof data.contract_number !== 'string' || data.contract_number.trim().length === 0) {
+      throw new Error('Contract number is required');
+    }
+    if (data.contract_number.trim().length > 100) {
+      throw new Error('Contract number must be 100 characters or less');
+    }
+  }
+
+  if (data.coverage_level !== undefined && !COVERAGE_LEVELS.includes(data.coverage_level)) {
+    throw new Error(`coverage_level must be one of: ${COVERAGE_LEVELS.join(', ')}`);
+  }
+
+  for (const field of ['response_minutes', 'resolution_minutes']) {
+    const value = data[field];
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value <= 0)) {
+      throw new Error(`${field} must be a positive integer`);
+    }
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (!partial || data[field] !== undefined) {
+      if (!Number.isInteger(data[field]) || data[field] < 0) {
+        throw new Error(`${field} must be a valid Unix timestamp`);
+      }
+    }
+  }
+
+  if (data.notes !== undefined && data.notes !== null) {
+    if (typeof data.notes !== 'string') {
+      throw new Error('notes must be a string');
+    }
+    if (data.notes.length > 2000) {
+      throw new Error('notes must be 2000 characters or less');
+    }
+  }
+
+  if (data.equipment_ids !== undefined) {
+    if (!Array.isArray(data.equipment_ids) || data.equipment_ids.some(id => typeof id !== 'string')) {
+      throw new Error('equipment_ids must be an array of equipment IDs');
+    }
+  }
+}
+
+/**
+ * Check that all equipment exists and belongs to the contract's client
+ * @param {string[]} equipmentIds - Equipment IDs
+ * @param {string} clientId - Contract client ID
+ * @throws {Error} If equipment is missing or owned by another client
+ */
+async function validateContractEquipment(equipmentIds, clientId) {
+  for (const equipmentId of equipmentIds) {
+    const equipment = await getEquipmentById(equipmentId);
+    if (!equipment) {
+      throw new Error(`Equipment not found: ${equipmentId}`);
+    }
+    if (equipment.client_id !== clientId) {
+      throw new Error(`Equipment ${equipment.serial_number} must belong to the contract client`);
+    }
+  }
+}
+
+/**
+ * Normalize optional text value (empty string becomes null)
+ * @param {string|null|undefined} value - Raw value
+ * @returns {string|null} Trimmed value or null
+ */
+function normalizeText(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Get service contracts
+ * @param {object} filters - Filter options (client_id)
+ * @returns {Promise<Array>} Array of contract objects
+ */
+export async function listContracts(filters = {}) {
+  return await getAllServiceContracts(filters);
+}
+
+/**
+ * Get a service contract by ID
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<object|null>} Contract object or null
+ */
+export async function getContract(contractId) {
+  return await getServiceContractById(contractId);
+}
+
+/**
+ * Create a service contract
+ * @param {object} data - Contract data
+ * @param {string} data.client_id - Client ID
+ * @param {string} data.contract_number - Contract number
+ * @param {string} [data.coverage_level] - Coverage level (defaults to standard)
+ * @param {number|null} [data.response_minutes] - Committed first-response time in minutes
+ * @param {number|null} [data.resolution_minutes] - Committed resolution time in minutes
+ * @param {number} data.start_date - Start date (Unix timestamp)
+ * @param {number} data.end_date - End date (Unix timestamp, inclusive)
+ * @param {string|null} [data.notes] - Notes
+ * @param {string[]} [data.equipment_ids] - Covered equipment (empty = all of the client's equipment)
+ * @returns {Promise<object>} Created contract object
+ */
+export async function createContract(data) {
+  validateContractData(data);
+
+  if (data.end_date < data.start_date) {
+    throw new Error('End date cannot be before start date');
+  }
+
+  if (!(await getClientById(data.client_id))) {
+    throw new Error('Client not found');
+  }
+
+  const equipmentIds = data.equipment_ids || [];
+  await validateContractEquipment(equipmentIds, data.client_id);
+
+  const contractId = `contract-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+  await createServiceContract({
+    id: contractId,
+    clientId: data.client_id,
+    contractNumber: data.contract_number.trim(),
+    coverageLevel: data.coverage_level,
+    responseMinutes: data.response_minutes ?? null,
+    resolutionMinutes: data.resolution_minutes ?? null,
+    startDate: data.start_date,
+    endDate: data.end_date,
+    notes: normalizeText(data.notes),
+  });
+  await setServiceContractEquipment(contractId, equipmentIds);
+
+  return await getServiceContractById(contractId);
+}
+
+/**
+ * Update a service contract
+ * @param {string} contractId - Contract ID
+ * @param {object} data - Fields to update (same as createContract, all optional)
+ * @returns {Promise<object|null>} Updated contract object or null if not found
+ */
+export async function updateContract(contractId, data) {
+  validateContractData(data, true);
+
+  const contract = await getServiceContractById(contractId);
+  if (!contract) {
+    return null;
+  }
+
+  const clientId = data.client_id ?? contract.client_id;
+  if (data.client_id !== undefined && !(await getClientById(data.client_id))) {
+    throw new Error('Client not found');
+  }
+
+  const startDate = data.start_date ?? contract.start_date;
+  const endDate = data.end_date ?? contract.end_date;
+  if (endDate < startDate) {
+    throw new Error('End date cannot be before start date');
+  }
+
+  // Linked equipment must still belong to the client after a client change
+  const equipmentIds = data.equipment_ids ?? contract.equipment_ids;
+  await validateContractEquipment(equipmentIds, clientId);
+
+  const updates = {};
+  for (const field of ['client_id', 'coverage_level', 'response_minutes', 'resolution_minutes', 'start_date', 'end_date']) {
+    if (data[field] !== undefined) {
+      updates[field] = data[field];
+    }
+  }
+  if (data.contract_number !== undefined) {
+    updates.contract_number = data.contract_number.trim();
+  }
+  if (data.notes !== undefined) {
+    updates.notes = normalizeText(data.notes);
+  }
+
+  await updateServiceContract(contractId, updates);
+  if (data.equipment_ids !== undefined) {
+    await setServiceContractEquipment(contractId, data.equipment_ids);
+  }
+
+  return await getServiceContractById(contractId);
+}
+
+/**
+ * Delete a service contract
+ * @param {string} contractId - Contract ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function removeContract(contractId) {
+  return await deleteServiceContract(contractId);
+}
+
+/**
+ * Determine warranty/contract coverage of a serial number for a client
+ * @param {string} clientId - Client ID
+ * @param {string} serialNumber - Equipment serial number
+ * @param {number} at - Unix timestamp to evaluate coverage at
+ * @returns {Promise<{status: string, contract: object|null, equipment: object|null}>} Coverage
+ */
+export async function determineCoverage(clientId, serialNumber, at = Math.floor(Date.now() / 1000)) {
+  const equipment = await getEquipmentBySerialNumber(serialNumber);
+  // Equipment registered to another client is not covered by this client's contracts
+  const ownEquipment = equipment && equipment.client_id === clientId ? equipment : null;
+
+  const coversEquipment = candidate =>
+    candidate.equipment_ids.length === 0 ||
+    (ownEquipment !== null && candidate.equipment_ids.includes(ownEquipment.id));
+
+  const activeContracts = await getActiveServiceContractsForClient(clientId, at);
+  const contract = activeContracts.find(coversEquipment);
+
+  if (contract) {
+    return { status: 'contract', contract, equipment };
+  }
+
+  if (equipment?.warranty_end && equipment.warranty_end >= at) {
+    return { status: 'warranty', contract: null, equipment };
+  }
+
+  const lapsedContract = (await getAllServiceContracts({ client_id: clientId }))
+    .some(candidate => candidate.end_date < at && coversEquipment(candidate));
+
+  if (equipment?.warranty_end || lapsedContract) {
+    return { status: 'out_of_coverage', contract: null, equipment };
+  }
+
+  return { status: 'unknown', contract: null, equipment };
+}
+
+/**
+ * Notify the administrators who manage contracts that a contract is about to expire
+ * @param {object} contract - Contract object (with company_name)
+ * @param {number} daysLeft - Whole days left until the end date
+ * @param {number} threshold - Alert threshold that triggered the notification
+ * @param {Array} recipients - Administrators with the contracts.manage permission
+ */
+async function notifyContractExpiring(contract, daysLeft, threshold, recipients) {
+  const entityData = {
+    contract_id: contract.id,
+    contract_number: contract.contract_number,
+    client_id: contract.client_id,
+    company_name: contract.company_name,
+    end_date: contract.end_date,
+    days_left: daysLeft,
+    threshold_days: threshold,
+  };
+
+  for (const admin of recipients) {
+    await createNotificationEvent(admin.id, 'administrator', 'contract_expiring', contract.id, entityData);
+  }
+}
+
+/**
+ * Send due contract expiry alerts
+ * @param {number} now - Current Unix timestamp (injectable for testing)
+ * @returns {Promise<number>} Number of alerts sent (one per contract and threshold)
+ */
+export async function checkContractExpiries(now = Math.floor(Date.now() / 1000)) {
+  const maxDays = Math.max(...CONTRACT_EXPIRY_ALERT_DAYS);
+  const contracts = await getServiceContractsEndingBetween(now, now + maxDays * SECONDS_PER_DAY);
+
+  if (contracts.length === 0) {
+    return 0;
+  }
+
+  const recipients = await getAdministratorsWithPermission('contracts.manage');
+  let sent = 0;
+
+  for (const contract of contracts) {
+    const daysLeft = Math.ceil((contract.end_date - now) / SECONDS_PER_DAY);
+    const alreadySent = await getSentExpiryAlerts(contract.id, contract.end_date);
+    const due = CONTRACT_EXPIRY_ALERT_DAYS.filter(days => daysLeft <= days && !alreadySent.includes(days));
+
+    if (due.length === 0) {
+      continue;
+    }
+
+    // Send only the closest threshold; the wider ones are implied
+    const threshold = Math.min(...due);
+    await notifyContractExpiring(contract, daysLeft, threshold, recipients);
+    await recordExpiryAlerts(contract.id, contract.end_date, due, now);
+    sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Start the daily contract expiry scheduler (runs an initial check immediately)
+ * @param {number} intervalSeconds - Check interval in seconds
+ */
+export function startContractExpiryScheduler(intervalSeconds = CONTRACT_EXPIRY_CHECK_INTERVAL_SECONDS) {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const runCheck = async () => {
+    if (checkInProgress) {
+      return;
+    }
+    checkInProgress = true;
+    try {
+      const sent = await checkContractExpiries();
+      if (sent > 0) {
+        console.log(`Contract expiry check: ${sent} alert(s) sent`);
+      }
+    } catch (error) {
+      console.error('Error checking contract expiries:', error);
+    } finally {
+      checkInProgress = false;
+    }
+  };
+
+  schedulerTimer = setInterval(runCheck, intervalSeconds * 1000);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref?.();
+  runCheck();
+}
+
+/**
+ * Stop the contract expiry scheduler
+ */
+export function stopContractExpiryScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * Equipment Service
+ * Handles the equipment registry (validation, CRUD and automatic registration
+ * of serial numbers reported in tickets)
+ */
+
+import {
+  createEquipment,
+  getEquipmentById,
+  getEquipmentBySerialNumber,
+  getAllEquipment,
+  updateEquipment,
+  deleteEquipment,
+} from '../models/Equipment.js';
+import { getClientById } from '../models/Client.js';
+
+/**
+ * Maximum lengths of free-text equipment fields
+ * @type {Record<string, number>}
+ */
+const TEXT_FIELD_LIMITS = {
+  serial_number: 100,
+  vendor: 100,
+  model: 100,
+  location: 255,
+};
+
+/**
+ * Validate equipment data
+ * @param {object} data - Equipment data (snake_case, as received from the API)
+ * @param {boolean} partial - If true, only validate provided fields
+ * @throws {Error} If validation fails
+ */
+function validateEquipmentData(data, partial = false) {
+  if (!partial || data.serial_number !== undefined) {
+    if (!data.serial_number || typeof data.serial_number !== 'string' || data.serial_number.trim().length === 0) {
+      throw new Error('Serial number is required');
+    }
+  }
+
+  if (!partial || data.client_id !== undefined) {
+    if (!data.client_id || typeof data.client_id !== 'string') {
+      throw new Error('Client is required');
+    }
+  }
+
+  for (const [field, maxLength] of Object.entries(TEXT_FIELD_LIMITS)) {
+    const value = data[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`${field} must be a string`);
+    }
+    if (value.trim().length > maxLength) {
+      throw new Error(`${field} must be ${maxLength} characters or less`);
+    }
+  }
+
+  for (const field of ['purchase_date', 'warranty_end']) {
+    const value = data[field];
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+      throw new Error(`${field} must be a valid Unix timestamp`);
+    }
+  }
+}
+
+/**
+ * Normalize optional text value (empty string becomes null)
+ * @param {string|null|undefined} value - Raw value
+ * @returns {string|null} Trimmed value or null
+ */
+function normalizeText(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Get equipment list
+ * @param {object} filters - Filter options (client_id, search)
+ * @returns {Promise<Array>} Array of equipment objects
+ */
+export async function listEquipment(filters = {}) {
+  return await getAllEquipment(filters);
+}
+
+/**
+ * Get equipment by ID
+ * @param {string} equipmentId - Equipment ID
+ * @returns {Promise<object|null>} Equipment object or null
+ */
+export async function getEquipment(equipmentId) {
+  return await getEquipmentById(equipmentId);
+}
+
+/**
+ * Register equipment
+ * @param {object} data - Equipment data
+ * @param {string} data.client_id - Owning client ID
+ * @param {string} data.serial_number - Serial number
+ * @param {string|null} data.vendor - Vendor
+ * @param {string|null} data.model - Model
+ * @param {number|null} data.purchase_date - Purchase date (Unix timestamp)
+ * @param {number|null} data.warranty_end - Warranty end date (Unix timestamp)
+ * @param {string|null} data.location - Location
+ * @returns {Promise<object>} Created equipment object
+ */
+export async function registerEquipment(data) {
+  validateEquipmentData(data);
+
+  if (!(await getClientById(data.client_id))) {
+    throw new Error('Client not found');
+  }
+
+  const serialNumber = data.serial_number.trim();
+  if (await getEquipmentBySerialNumber(serialNumber)) {
+    throw new Error('Equipment with this serial number already exists');
+  }
+
+  return await createEquipment({
+    id: `equipment-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    clientId: data.client_id,
+    serialNumber,
+    vendor: normalizeText(data.vendor),
+    model: normalizeText(data.model),
+    purchaseDate: data.purchase_date ?? null,
+    warrantyEnd: data.warranty_end ?? null,
+    location: normalizeText(data.location),
+  });
+}
+
+/**
+ * Update equipment
+ * @param {string} equipmentId - Equipment ID
+ * @param {object} data - Fields to update (same as registerEquipment, all optional)
+ * @returns {Promise<object|null>} Updated equipment object or null if not found
+ */
+export async function updateEquipmentRecord(equipmentId, data) {
+  validateEquipmentData(data, true);
+
+  const equipment = await getEquipmentById(equipmentId);
+  if (!equipment) {
+    return null;
+  }
+
+  const updates = {};
+
+  if (data.client_id !== undefined) {
+    if (!(await getClientById(data.client_id))) {
+      throw new Error('Client not found');
+    }
+    updates.client_id = data.client_id;
+  }
+
+  if (data.serial_number !== undefined) {
+    const serialNumber = data.serial_number.trim();
+    const existing = await getEquipmentBySerialNumber(serialNumber);
+    if (existing && existing.id !== equipmentId) {
+      throw new Error('Equipment with this serial number already exists');
+    }
+    updates.serial_number = serialNumber;
+  }
+
+  for (const field of ['vendor', 'model', 'location']) {
+    if (data[field] !== undefined) {
+      updates[field] = normalizeText(data[field]);
+    }
+  }
+
+  for (const field of ['purchase_date', 'warranty_end']) {
+    if (data[field] !== undefined) {
+      updates[field] = data[field];
+    }
+  }
+
+  return await updateEquipment(equipmentId, updates);
+}
+
+/**
+ * Delete equipment
+ * @param {string} equipmentId - Equipment ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function removeEquipment(equipmentId) {
+  return await deleteEquipment(equipmentId);
+}
+
+/**
+ * Register a serial number reported in a ticket if it is not in the registry yet
+ * Serial numbers registered to another client are left untouched.
+ * @param {string} clientId - Client reporting the serial number
+ * @param {string} serialNumber - Serial number from the ticket
+ * @returns {Promise<object>} Existing or newly registered equipment object
+ */
+export async function ensureEquipmentRegistered(clientId, serialNumber) {
+  const existing = await getEquipmentBySerialNumber(serialNumber);
+  if (existing) {
+    return existing;
+  }
+
+  return await createEquipment({
+    id: `equipment-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    clientId,
+    serialNumber,
+  });
+}
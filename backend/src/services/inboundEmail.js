@@ -0,0 +1,407 @@
+/**
+ * Inbound Email Service
+ * Turns customer emails into tickets and ticket chat messages
+ *
+ * Emails are raw RFC 822 files read from INBOUND_MAIL_DIR, which is either a Maildir
+ * (messages in new/, moved to cur/ once processed) or a flat spool directory of .eml
+ * files (moved to processed/). Emails that cannot be ingested are moved to failed/.
+ * Any MTA that delivers to a Maildir (Postfix, Exim, fetchmail, ...) can feed it.
+ *
+ * The From header is only trusted when the receiving MTA vouches for it: the email must carry
+ * an Authentication-Results header (RFC 8601) from INBOUND_MAIL_AUTHSERV_ID with a DMARC, DKIM
+ * or SPF pass for the sender's domain. The sender must also be a known client (contact email
+ * or login). An email whose subject contains one of the client's ticket IDs (T-00001) is added
+ * to that ticket's chat; any other email creates a new ticket.
+ */
+
+import { createHash } from 'crypto';
+import { readdir, readFile, rename, mkdir, stat } from 'fs/promises';
+import { join } from 'path';
+import { simpleParser } from 'mailparser';
+import { getClientByEmail } from '../models/Client.js';
+import { getTicketById } from '../models/Ticket.js';
+import { getInboundEmail, recordInboundEmail } from '../models/InboundEmail.js';
+import { createNewTicket, UNKNOWN_SERIAL_NUMBER } from './tickets.js';
+import { createMessage } from './chat.js';
+import { saveAttachments, getAttachmentContentType, ATTACHMENT_LIMITS } from './attachments.js';
+
+/**
+ * Directory to read inbound emails from (gateway is disabled when not set)
+ * @type {string|null}
+ */
+export const INBOUND_MAIL_DIR = process.env.INBOUND_MAIL_DIR || null;
+
+/**
+ * How often the inbound mail directory is checked (in seconds)
+ * @type {number}
+ */
+export const INBOUND_MAIL_POLL_INTERVAL_SECONDS = parseInt(process.env.INBOUND_MAIL_POLL_SECONDS || '60', 10);
+
+/**
+ * authserv-id of the MTA whose Authentication-Results headers are trusted (e.g. mx.support.example)
+ * The MTA must remove headers with this ID from incoming emails. When not set, no sender
+ * can be verified and every email is rejected.
+ * @type {string|null}
+ */
+export const INBOUND_MAIL_AUTHSERV_ID = process.env.INBOUND_MAIL_AUTHSERV_ID || null;
+
+/**
+ * Ticket ID in an email subject (e.g. "Re: [T-00042] Disk failure")
+ * @type {RegExp}
+ */
+const TICKET_ID_PATTERN = /\bT-(\d{5,})\b/i;
+
+/**
+ * "Serial number: ABC123" style line in the email body or subject
+ * @type {RegExp}
+ */
+const SERIAL_NUMBER_PATTERN = /(?:serial(?:\s+number)?|s\/n|sn)\s*[:#]\s*([A-Za-z0-9][A-Za-z0-9._\/-]{2,99})/i;
+
+/**
+ * Lines that start the quoted original message in a reply
+ * @type {RegExp[]}
+ */
+const REPLY_SEPARATORS = [
+  /^On .+ wrote:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^-{2,}\s*Исходное сообщение\s*-{2,}/i,
+  /^From:\s.+/,
+];
+
+const MAX_TEXT_LENGTH = 5000;
+
+let schedulerTimer = null;
+let checkInProgress = false;
+
+/**
+ * Parse a raw RFC 822 email
+ * @param {Buffer|string} raw - Raw email
+ * @returns {Promise<object>} Parsed email: messageId, fromAddress, fromName, subject, text,
+ *   authenticationResults (header values, unfolded) and attachments (in the same shape as
+ *   multer uploads: originalname, size, buffer)
+ */
+export async function parseEmail(raw) {
+  const mail = await simpleParser(raw);
+  const sender = mail.from?.value?.[0] || {};
+
+  return {
+    // Without a Message-ID, the content itself identifies a redelivered email
+    messageId: mail.messageId || `sha256:${createHash('sha256').update(raw).digest('hex')}`,
+    fromAddress: sender.address ? sender.address.trim().toLowerCase() : null,
+    fromName: sender.name ? sender.name.trim() : null,
+    subject: (mail.subject || '').trim(),
+    text: (mail.text || '').replace(/\r\n/g, '\n').trim(),
+    authenticationResults: (mail.headerLines || [])
+      .filter(header => header.key === 'authentication-results')
+      .map(header => header.line.replace(/^[^:]*:/, '').replace(/\r?\n[ \t]+/g, ' ').trim()),
+    attachments: (mail.attachments || [])
+      // Skip images embedded in HTML bodies (signature logos and the like)
+      .filter(attachment => !attachment.related && attachment.filename)
+      .map(attachment => ({
+        originalname: attachment.filename,
+        size: attachment.size ?? attachment.content.length,
+        buffer: attachment.content,
+      })),
+  };
+}
+
+/**
+ * Find a ticket ID in an email subject
+ * @param {string} subject - Email subject
+ * @returns {string|null} Ticket ID (e.g. "T-00001") or null
+ */
+export function findTicketId(subject) {
+  const match = (subject || '').match(TICKET_ID_PATTERN);
+  return match ? `T-${match[1]}` : null;
+}
+
+/**
+ * Check whether a domain authenticated by DKIM, SPF or DMARC is aligned with the From domain
+ * @param {string} fromDomain - Domain of the From address
+ * @param {string} domain - Authenticated domain
+ * @returns {boolean} True for the same domain or a parent domain of it
+ */
+function isAlignedDomain(fromDomain, domain) {
+  const authenticated = domain.toLowerCase().replace(/\.$/, '');
+  return fromDomain === authenticated || fromDomain.endsWith(`.${authenticated}`);
+}
+
+/**
+ * Check whether the trusted MTA has verified the sender of an email
+ * Passes when an Authentication-Results header of the MTA reports dmarc=pass for the From
+ * domain, dkim=pass with an aligned signing domain (header.d) or spf=pass with an aligned
+ * envelope sender (smtp.mailfrom). Headers of other servers, which anyone can add, are ignored.
+ * @param {object} email - Parsed email (see parseEmail)
+ * @param {string|null} [authservId] - authserv-id of the trusted MTA
+ * @returns {boolean} True if the From address can be trusted
+ */
+export function isSenderVerified(email, authservId = INBOUND_MAIL_AUTHSERV_ID) {
+  if (!authservId || !email.fromAddress) {
+    return false;
+  }
+  const fromDomain = email.fromAddress.split('@').pop();
+
+  return email.authenticationResults.some(header => {
+    const [serverId, ...results] = header.split(';').map(part => part.trim());
+    if (serverId.split(/\s+/)[0].toLowerCase() !== authservId.toLowerCase()) {
+      return false;
+    }
+
+    return results.some(result => {
+      const method = result.match(/^(dmarc|dkim|spf)\s*=\s*(\w+)/i);
+      if (!method || method[2].toLowerCase() !== 'pass') {
+        return false;
+      }
+      const domain = method[1].toLowerCase() === 'spf'
+        ? result.match(/\bsmtp\.mailfrom=(?:[^\s;@]*@)?([^\s;]+)/i)
+        : result.match(/\bheader\.(?:d|from)=([^\s;]+)/i);
+      return Boolean(domain) && isAlignedDomain(fromDomain, domain[1]);
+    });
+  });
+}
+
+/**
+ * Remove the quoted original message from a reply
+ * @param {string} text - Plain text body
+ * @returns {string} Text written by the sender
+ */
+export function stripQuotedReply(text) {
+  const lines = [];
+  for (const line of (text || '').split('\n')) {
+    if (REPLY_SEPARATORS.some(separator => separator.test(line.trim()))) {
+      break;
+    }
+    if (!line.startsWith('>')) {
+      lines.push(line);
+    }
+  }
+  return lines.join('\n').trim();
+}
+
+/**
+ * Pick the email attachments that can be stored as ticket attachments
+ * Files of disallowed types or over the size limit are skipped (and logged).
+ * @param {Array} attachments - Parsed email attachments
+ * @returns {Array} Acceptable attachments
+ */
+function selectAttachments(attachments) {
+  const accepted = [];
+  for (const attachment of attachments) {
+    if (!getAttachmentContentType(attachment.originalname)) {
+      console.warn(`Inbound email: skipping attachment of a disallowed type: ${attachment.originalname}`);
+    } else if (attachment.size > ATTACHMENT_LIMITS.maxFileBytes) {
+      console.warn(`Inbound email: skipping attachment over the size limit: ${attachment.originalname}`);
+    } else if (accepted.length >= ATTACHMENT_LIMITS.maxFiles) {
+      console.warn(`Inbound email: skipping attachment over the file count limit: ${attachment.originalname}`);
+    } else {
+      accepted.push(attachment);
+    }
+  }
+  return accepted;
+}
+
+/**
+ * Create a ticket or chat message from a parsed email
+ * @param {object} email - Parsed email (see parseEmail)
+ * @returns {Promise<object>} Outcome: { status, ticketId?, chatMessageId?, error? }
+ */
+async function routeEmail(email) {
+  if (!email.fromAddress) {
+    return { status: 'rejected', error: 'Sender address is missing' };
+  }
+
+  // Anyone can put a client's address in From; only the MTA's checks tell whether it is real
+  if (!isSenderVerified(email)) {
+    return { status: 'rejected', error: `Sender could not be verified: ${email.fromAddress}` };
+  }
+
+  const client = await getClientByEmail(email.fromAddress);
+  if (!client) {
+    return { status: 'rejected', error: `Unknown sender: ${email.fromAddress}` };
+  }
+
+  const files = selectAttachments(email.attachments);
+
+  // A reply about one of the client's tickets goes to the ticket chat;
+  // someone else's or a nonexistent ticket ID is treated as a new request
+  const ticketId = findTicketId(email.subject);
+  const ticket = ticketId ? await getTicketById(ticketId) : null;
+  if (ticket && ticket.client_id === client.id) {
+    const message = await createMessage({
+      ticketId: ticket.id,
+      senderId: client.id,
+      senderRole: 'client',
+      content: stripQuotedReply(email.text).substring(0, MAX_TEXT_LENGTH),
+      files,
+    });
+    return { status: 'message_added', ticketId: ticket.id, chatMessageId: message.id };
+  }
+
+  const subject = email.subject || '(no subject)';
+  const serialMatch = `${subject}\n${email.text}`.match(SERIAL_NUMBER_PATTERN);
+  const newTicket = await createNewTicket({
+    clientId: client.id,
+    serial_number: serialMatch ? serialMatch[1] : UNKNOWN_SERIAL_NUMBER,
+    problem_description: (email.text ? `${subject}\n\n${email.text}` : subject).substring(0, MAX_TEXT_LENGTH),
+    job_title: 'Not specified',
+    client_full_name: (email.fromName || email.fromAddress).substring(0, 200),
+    company_name: client.company_name,
+  });
+
+  if (files.length > 0) {
+    try {
+      await saveAttachments({
+        ticketId: newTicket.id,
+        uploaderId: client.id,
+        uploaderRole: 'client',
+        files,
+      });
+    } catch (error) {
+      // The ticket exists either way; missing files can be requested in the chat
+      console.error(`Error saving attachments of inbound email for ${newTicket.id}:`, error);
+    }
+  }
+
+  return { status: 'ticket_created', ticketId: newTicket.id };
+}
+
+/**
+ * Ingest a raw email: create a ticket or add a chat message
+ * Emails already ingested (same Message-ID) are skipped.
+ * @param {Buffer|string} raw - Raw RFC 822 email
+ * @param {object} options - Options
+ * @param {string} [options.source] - Where the email came from (recorded for troubleshooting)
+ * @returns {Promise<object>} Outcome: { status, ticketId?, chatMessageId?, error? } where status is
+ *   'ticket_created', 'message_added', 'duplicate', 'rejected' or 'failed'
+ */
+export async function ingestEmail(raw, options = {}) {
+  const email = await parseEmail(raw);
+
+  const previous = await getInboundEmail(email.messageId);
+  if (previous && ['ticket_created', 'message_added'].includes(previous.status)) {
+    return { status: 'duplicate', ticketId: previous.ticket_id };
+  }
+
+  let result;
+  try {
+    result = await routeEmail(email);
+  } catch (error) {
+    result = { status: 'failed', error: error.message };
+  }
+
+  await recordInboundEmail({
+    messageId: email.messageId,
+    fromAddress: email.fromAddress,
+    subject: email.subject,
+    status: result.status,
+    ticketId: result.ticketId,
+    chatMessageId: result.chatMessageId,
+    error: result.error,
+    source: options.source,
+  });
+
+  return result;
+}
+
+/**
+ * Check whether a path is an existing directory
+ * @param {string} path - Path
+ * @returns {Promise<boolean>} True for directories
+ */
+async function isDirectory(path) {
+  try {
+    return (await stat(path)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Ingest all waiting emails of a Maildir or spool directory and move them out of the way
+ * @param {string} dir - Maildir or spool directory
+ * @returns {Promise<object>} Counts per outcome status
+ */
+export async function processInboundMailDirectory(dir = INBOUND_MAIL_DIR) {
+  const isMaildir = await isDirectory(join(dir, 'new'));
+  const incomingDir = isMaildir ? join(dir, 'new') : dir;
+
+  const entries = await readdir(incomingDir, { withFileTypes: true });
+  const fileNames = entries
+    .filter(entry => entry.isFile() && (isMaildir || entry.name.toLowerCase().endsWith('.eml')))
+    .map(entry => entry.name)
+    .sort();
+
+  const counts = {};
+  for (const fileName of fileNames) {
+    const filePath = join(incomingDir, fileName);
+    let result;
+    try {
+      result = await ingestEmail(await readFile(filePath), { source: fileName });
+    } catch (error) {
+      // Unparseable file
+      result = { status: 'failed', error: error.message };
+    }
+    counts[result.status] = (counts[result.status] || 0) + 1;
+
+    const succeeded = !['rejected', 'failed'].includes(result.status);
+    if (!succeeded) {
+      console.warn(`Inbound email ${fileName} ${result.status}: ${result.error}`);
+    }
+
+    let destination;
+    if (!succeeded) {
+      destination = join(dir, 'failed', fileName);
+    } else if (isMaildir) {
+      destination = join(dir, 'cur', `${fileName}:2,S`);
+    } else {
+      destination = join(dir, 'processed', fileName);
+    }
+    await mkdir(join(destination, '..'), { recursive: true });
+    await rename(filePath, destination);
+  }
+
+  return counts;
+}
+
+/**
+ * Start polling the inbound mail directory (runs an initial check immediately)
+ * Does nothing when INBOUND_MAIL_DIR is not configured.
+ * @param {number} intervalSeconds - Check interval in seconds
+ */
+export function startInboundEmailScheduler(intervalSeconds = INBOUND_MAIL_POLL_INTERVAL_SECONDS) {
+  if (schedulerTimer || !INBOUND_MAIL_DIR) {
+    return;
+  }
+
+  const runCheck = async () => {
+    if (checkInProgress) {
+      return;
+    }
+    checkInProgress = true;
+    try {
+      const counts = await processInboundMailDirectory(INBOUND_MAIL_DIR);
+      if (Object.keys(counts).length > 0) {
+        console.log('Inbound email check:', counts);
+      }
+    } catch (error) {
+      console.error('Error processing inbound email:', error);
+    } finally {
+      checkInProgress = false;
+    }
+  };
+
+  schedulerTimer = setInterval(runCheck, intervalSeconds * 1000);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref?.();
+  runCheck();
+}
+
+/**
+ * Stop polling the inbound mail directory
+ */
+export function stopInboundEmailScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
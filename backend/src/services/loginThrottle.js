@@ -0,0 +1,282 @@
+/**
+ * Login Throttle Service
+ * Brute-force protection for sign-in and codephrase recovery
+ *
+ * Failed attempts are counted per key: per login, per IP address (sign-in) and per
+ * IP address (recovery). After the second failure of a login or recovery key the next
+ * attempt must wait (1s, 2s, 4s, ... up to 30s). After the maximum number of failures
+ * the key is locked for the lockout period; master administrators are notified and can
+ * unlock it early. Counters start over when the last failure is older than the lockout period.
+ *
+ * An attempt is counted as failed before the password or code is verified (reserveAttempt)
+ * and taken back if it succeeds (releaseAttempt), so that parallel requests cannot make
+ * more guesses than the limit allows.
+ */
+
+import {
+  getThrottle,
+  reserveThrottleAttempt,
+  releaseThrottleAttempt,
+  setThrottleLimits,
+  deleteThrottle,
+  deleteStaleThrottles,
+  getActiveLockouts,
+  createLockoutEvent,
+  markLockoutEventsUnlocked,
+} from '../models/AuthThrottle.js';
+import { getClientByLogin } from '../models/Client.js';
+import { getContactPersonByLogin } from '../models/ContactPerson.js';
+import { getAdministratorByLogin } from '../models/Administrator.js';
+import { notifyAccountLocked } from './notifications.js';
+import { recordAuditEvent } from './audit.js';
+
+/**
+ * Lockout period (in seconds)
+ * @type {number}
+ */
+export const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10) * 60;
+
+/**
+ * Longest progressive delay between attempts (in seconds)
+ */
+const MAX_DELAY_SECONDS = 30;
+
+/**
+ * Failures allowed per scope before a lockout, and whether attempts are progressively delayed
+ * The IP scope is not delayed so that users behind a shared address are not slowed down
+ * by each other's typos; it only caps the total.
+ */
+const SCOPE_LIMITS = {
+  login: { maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10), progressive: true },
+  ip: { maxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES || '20', 10), progressive: false },
+  recovery: { maxFailures: parseInt(process.env.RECOVERY_MAX_FAILURES || '5', 10), progressive: true },
+};
+
+/**
+ * Build the throttle keys of a sign-in attempt
+ * @param {string} login - Login as entered
+ * @param {string|null} ipAddress - Client IP address
+ * @returns {Array<{scope: string, identifier: string}>} Keys
+ */
+export function getLoginThrottleKeys(login, ipAddress) {
+  const keys = [{ scope: 'login', identifier: login }];
+  if (ipAddress) {
+    keys.push({ scope: 'ip', identifier: ipAddress });
+  }
+  return keys;
+}
+
+/**
+ * Build the throttle key of a recovery attempt
+ * @param {string|null} ipAddress - Client IP address
+ * @returns {Array<{scope: string, identifier: string}>} Keys
+ */
+export function getRecoveryThrottleKeys(ipAddress) {
+  return [{ scope: 'recovery', identifier: ipAddress || 'unknown' }];
+}
+
+/**
+ * Seconds until a blocked key accepts attempts again
+ * @param {object|null} throttle - Throttle row
+ * @param {number} now - Current time (Unix seconds)
+ * @returns {{locked: boolean, retryAfter: number}}
+ */
+function getBlockedFor(throttle, now) {
+  if (throttle?.locked_until && throttle.locked_until > now) {
+    return { locked: true, retryAfter: throttle.locked_until - now };
+  }
+  if (throttle?.next_attempt_at && throttle.next_attempt_at > now) {
+    return { locked: false, retryAfter: throttle.next_attempt_at - now };
+  }
+  return { locked: false, retryAfter: 0 };
+}
+
+/**
+ * Reserve an attempt before verifying it
+ * The attempt is counted as a failure of every key at once; it is rejected if a key is
+ * locked or delayed, or if parallel attempts have already used up the failures allowed.
+ * Pass the result to recordFailedAttempt or releaseAttempt once the attempt is verified.
+ * @param {Array<{scope: string, identifier: string}>} keys - Throttle keys of the attempt
+ * @returns {Promise<{allowed: boolean, locked: boolean, retryAfter: number, reserved: Array}>}
+ *   retryAfter is the number of seconds to wait when not allowed; reserved holds the counted
+ *   keys with their failure counts
+ */
+export async function reserveAttempt(keys) {
+  const now = Math.floor(Date.now() / 1000);
+  const reserved = [];
+  let retryAfter = 0;
+  let locked = false;
+
+  for (const { scope, identifier } of keys) {
+    const failures = await reserveThrottleAttempt(scope, identifier, now, now - LOCKOUT_SECONDS);
+    if (failures === null) {
+      const blocked = getBlockedFor(await getThrottle(scope, identifier), now);
+      locked = locked || blocked.locked;
+      retryAfter = Math.max(retryAfter, blocked.retryAfter, 1);
+      continue;
+    }
+
+    reserved.push({ scope, identifier, failures });
+    if (failures > SCOPE_LIMITS[scope].maxFailures) {
+      // Parallel attempts hold the remaining failures; the one that fails last locks the key
+      retryAfter = Math.max(retryAfter, 1);
+    }
+  }
+
+  if (retryAfter > 0) {
+    await releaseAttempt({ reserved });
+    return { allowed: false, locked, retryAfter, reserved: [] };
+  }
+  return { allowed: true, locked: false, retryAfter: 0, reserved };
+}
+
+/**
+ * Take back a reserved attempt that succeeded or was not verified
+ * @param {{reserved: Array}} attempt - Result of reserveAttempt
+ * @returns {Promise<void>}
+ */
+export async function releaseAttempt(attempt) {
+  for (const { scope, identifier } of attempt.reserved) {
+    await releaseThrottleAttempt(scope, identifier);
+  }
+}
+
+/**
+ * Find the account behind a login, for lockout records
+ * @param {string} login - Login
+ * @returns {Promise<{userId: string, userRole: string}|null>} Account or null
+ */
+async function findAccountByLogin(login) {
+  const client = await getClientByLogin(login);
+  if (client) {
+    return { userId: client.id, userRole: 'client' };
+  }
+  const contact = await getContactPersonByLogin(login);
+  if (contact) {
+    return { userId: contact.id, userRole: 'client' };
+  }
+  const admin = await getAdministratorByLogin(login);
+  if (admin) {
+    return { userId: admin.id, userRole: 'administrator' };
+  }
+  return null;
+}
+
+/**
+ * Lock a key, record the lockout and notify master administrators
+ * @param {string} scope - Throttle scope
+ * @param {string} identifier - Login or IP address
+ * @param {number} failures - Failure count
+ * @param {number} lockedUntil - Lockout end (Unix seconds)
+ * @param {string|null} ipAddress - Address of the attempt that triggered the lockout
+ */
+async function recordLockout(scope, identifier, failures, lockedUntil, ipAddress) {
+  const account = scope === 'login' ? await findAccountByLogin(identifier) : null;
+
+  const lockout = await createLockoutEvent({
+    scope,
+    identifier,
+    userId: account?.userId,
+    userRole: account?.userRole,
+    ipAddress,
+    failures,
+    lockedUntil,
+  });
+  console.warn(`Sign-in lockout: ${scope} ${identifier} after ${failures} failures (until ${new Date(lockedUntil * 1000).toISOString()})`);
+  await recordAuditEvent(
+    { actor: null, ipAddress },
+    'auth.locked',
+    { type: scope === 'login' ? 'login' : 'ip', id: identifier, label: identifier },
+    { scope, failures, locked_until: lockedUntil, user_id: account?.userId || null }
+  );
+
+  // Guesses against logins that do not exist are reported through the IP lockout instead
+  if (scope === 'login' && !account) {
+    return;
+  }
+
+  try {
+    await notifyAccountLocked(lockout);
+  } catch (notificationError) {
+    console.error('Failed to send lockout notification:', notificationError);
+  }
+}
+
+/**
+ * Record that a reserved attempt failed: delay or lock its keys
+ * @param {{reserved: Array}} attempt - Result of reserveAttempt
+ * @param {string|null} ipAddress - Client IP address (stored with lockouts)
+ * @returns {Promise<boolean>} True if the failure locked at least one key
+ */
+export async function recordFailedAttempt(attempt, ipAddress = null) {
+  const now = Math.floor(Date.now() / 1000);
+  let lockedNow = false;
+
+  for (const { scope, identifier, failures } of attempt.reserved) {
+    const limits = SCOPE_LIMITS[scope];
+
+    let nextAttemptAt = null;
+    let lockedUntil = null;
+    if (failures >= limits.maxFailures) {
+      lockedUntil = now + LOCKOUT_SECONDS;
+    } else if (limits.progressive && failures >= 2) {
+      nextAttemptAt = now + Math.min(2 ** (failures - 2), MAX_DELAY_SECONDS);
+    }
+
+    if (!nextAttemptAt && !lockedUntil) {
+      continue;
+    }
+    await setThrottleLimits(scope, identifier, { nextAttemptAt, lockedUntil });
+
+    if (lockedUntil) {
+      lockedNow = true;
+      await recordLockout(scope, identifier, failures, lockedUntil, ipAddress);
+    }
+  }
+
+  // Housekeeping: drop counters nobody has touched for a day
+  await deleteStaleThrottles(now - 24 * 60 * 60);
+
+  return lockedNow;
+}
+
+/**
+ * Forget the failures of a login after a successful sign-in
+ * The IP counter is kept: signing in to one's own account must not reset guesses at others.
+ * @param {string} login - Login
+ * @returns {Promise<void>}
+ */
+export async function clearLoginFailures(login) {
+  await deleteThrottle('login', login);
+}
+
+/**
+ * List active lockouts for master administrators
+ * @returns {Promise<Array>} Lockouts (scope, identifier, user, failures, locked_at, locked_until)
+ */
+export async function listActiveLockouts() {
+  return getActiveLockouts();
+}
+
+/**
+ * Lift a lockout early
+ * @param {string} scope - 'login', 'ip' or 'recovery'
+ * @param {string} identifier - Login or IP address
+ * @param {string|null} adminId - Administrator who unlocks it (null from the command line)
+ * @returns {Promise<boolean>} True if the key was locked
+ */
+export async function unlockThrottle(scope, identifier, adminId) {
+  if (!SCOPE_LIMITS[scope]) {
+    throw new Error('Invalid lockout scope');
+  }
+
+  const throttle = await getThrottle(scope, identifier);
+  const now = Math.floor(Date.now() / 1000);
+  if (!throttle || !throttle.locked_until || throttle.locked_until <= now) {
+    return false;
+  }
+
+  await markLockoutEventsUnlocked(scope, identifier, adminId);
+  await deleteThrottle(scope, identifier);
+  return true;
+}
@@ -5,44 +5,23 @@
 
 import { getDatabase } from '../database/sqlite.js';
 import { getTicketById } from '../models/Ticket.js';
-import { getAllAdministrators } from '../models/Administrator.js';
+import { getAdministratorsWithPermission, getAdministratorsWithTicketAccess } from './permissions.js';
 import { getClientById } from '../models/Client.js';
+import { publishToUser } from './realtime.js';
 
 /**
- * Generate next notification event ID in format notif-001
- * @returns {Promise<string>} Next notification ID
+ * SQL expression for the next notification event ID in format notif-001
+ * Evaluated inside the INSERT, so that notifications created at the same time
+ * (SLA checks, mentions, email ingestion) never get the same ID.
  */
-async function generateNotificationId() {
-  const db = getDatabase();
-  
-  // Get the highest notification number
-  const result = await db.get(
-    `SELECT id FROM notification_events 
-     WHERE id LIKE 'notif-%' 
-     ORDER BY CAST(SUBSTR(id, 7) AS INTEGER) DESC 
-     LIMIT 1`
-  );
-
-  let nextNumber = 1;
-  
-  if (result) {
-    // Extract number from ID like "notif-001"
-    const match = result.id.match(/^notif-(\d+)$/);
-    if (match) {
-      nextNumber = parseInt(match[1], 10) + 1;
-    }
-  }
-
-  // Format with leading zeros (3 digits)
-  const formattedNumber = nextNumber.toString().padStart(3, '0');
-  return `notif-${formattedNumber}`;
-}
+const NEXT_NOTIFICATION_ID_SQL = `SELECT printf('notif-%03d', COALESCE(MAX(CAST(SUBSTR(id, 7) AS INTEGER)), 0) + 1)
+  FROM notification_events WHERE id LIKE 'notif-%'`;
 
 /**
  * Create a notification event
  * @param {string} userId - User ID to notify
  * @param {string} userRole - User role ('client' or 'administrator')
- * @param {string} eventType - Event type (new_message, ticket_created, ticket_status_changed, ticket_assigned, ticket_completion_updated)
+ * @param {string} eventType - Event type (new_message, ticket_created, ticket_status_changed, ticket_assigned, ticket_completion_updated, password_recovery_request, sla_breach, contract_expiring, account_locked)
  * @param {string} entityId - Entity ID (ticket_id or message_id)
  * @param {object} entityData - Additional entity data (will be stored as JSON)
  * @returns {Promise<object>} Created notification event
@@ -55,7 +34,7 @@ export async function createNotificationEvent(userId, userRole, eventType, entit
   const normalizedRole = userRole === 'admin' ? 'administrator' : userRole;
   
   // Validate event type
-  const validEventTypes = ['new_message', 'ticket_created', 'ticket_status_changed', 'ticket_assigned', 'ticket_completion_updated', 'password_recovery_request'];
+  const validEventTypes = ['new_message', 'ticket_created', 'ticket_status_changed', 'ticket_assigned', 'ticket_completion_updated', 'password_recovery_request', 'sla_breach', 'contract_expiring', 'account_locked'];
   if (!validEventTypes.includes(eventType)) {
     throw new Error(`Invalid event type: ${eventType}`);
   }
@@ -65,9 +44,6 @@ export async function createNotificationEvent(userId, userRole, eventType, entit
     throw new Error(`Invalid user role: ${normalizedRole}`);
   }
   
-  // Generate notification ID
-  const notificationId = await generateNotificationId();
-  
   // Store entity_data as JSON string
   const entityDataJson = JSON.stringify(entityData);
   
@@ -85,15 +61,21 @@ export async function createNotificationEvent(userId, userRole, eventType, entit
     return getNotificationEventById(existing.id);
   }
   
-  // Create notification
-  await db.run(
+  // Create notification (the ID is allocated by the same statement)
+  const result = await db.run(
     `INSERT INTO notification_events (
       id, user_id, user_role, event_type, entity_id, entity_data, created_at, read_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, NULL)`,
-    [notificationId, userId, normalizedRole, eventType, entityId, entityDataJson, now]
+    ) VALUES ((${NEXT_NOTIFICATION_ID_SQL}), ?, ?, ?, ?, ?, ?, NULL)`,
+    [userId, normalizedRole, eventType, entityId, entityDataJson, now]
   );
+  const { id: notificationId } = await db.get('SELECT id FROM notification_events WHERE rowid = ?', [result.lastID]);
   
-  return getNotificationEventById(notificationId);
+  const notification = await getNotificationEventById(notificationId);
+  
+  // Push to the user's open event streams (polling clients pick it up on next poll)
+  publishToUser(userId, normalizedRole, 'notification', notification);
+  
+  return notification;
 }
 
 /**
@@ -362,6 +344,17 @@ export async function updateNotificationPreferences(userId, userRole, preference
   return getNotificationPreferences(userId, normalizedRole);
 }
 
+/**
+ * Get the client-side accounts to notify about a ticket
+ * The company login follows all of its tickets; the contact person who submitted
+ * the ticket follows their own.
+ * @param {object} ticket - Ticket (client_id, contact_id)
+ * @returns {string[]} Account IDs (role 'client')
+ */
+function getTicketClientRecipients(ticket) {
+  return ticket.contact_id ? [ticket.client_id, ticket.contact_id] : [ticket.client_id];
+}
+
 /**
  * Create notification for new chat message
  * Notifies the other party in the conversation
@@ -398,8 +391,8 @@ export async function notifyNewMessage(ticketId, senderId, senderRole, messageId
         }
       );
     } else {
-      // Notify all admins if no assignment
-      const admins = await getAllAdministrators();
+      // Notify the admins who see every ticket if no assignment
+      const admins = await getAdministratorsWithTicketAccess(ticket);
       for (const admin of admins) {
         await createNotificationEvent(
           admin.id,
@@ -417,9 +410,47 @@ export async function notifyNewMessage(ticketId, senderId, senderRole, messageId
     }
   } else {
     // Admin sent message - notify ticket owner (client)
+    for (const recipientId of getTicketClientRecipients(ticket)) {
+      await createNotificationEvent(
+        recipientId,
+        'client',
+        'new_message',
+        messageId,
+        {
+          ticket_id: ticketId,
+          message_preview: messageData.content?.substring(0, 100) || '',
+          sender_name: messageData.sender_name || 'Admin',
+          sender_role: 'administrator',
+        }
+      );
+    }
+  }
+}
+
+/**
+ * Notify administrators about an internal note on a ticket
+ * Internal notes are never sent to the client; every administrator who may access the ticket
+ * except the author is notified.
+ * @param {string} ticketId - Ticket ID
+ * @param {string} senderId - Author (administrator) ID
+ * @param {string} senderRole - Author role
+ * @param {string} messageId - Message ID
+ * @param {object} messageData - Message data (content, sender_name)
+ */
+export async function notifyInternalNote(ticketId, senderId, senderRole, messageId, messageData) {
+  const ticket = await getTicketById(ticketId);
+  if (!ticket) {
+    return;
+  }
+
+  const admins = await getAdministratorsWithTicketAccess(ticket);
+  for (const admin of admins) {
+    if (admin.id === senderId) {
+      continue;
+    }
     await createNotificationEvent(
-      ticket.client_id,
-      'client',
+      admin.id,
+      'administrator',
       'new_message',
       messageId,
       {
@@ -427,6 +458,7 @@ export async function notifyNewMessage(ticketId, senderId, senderRole, messageId
         message_preview: messageData.content?.substring(0, 100) || '',
         sender_name: messageData.sender_name || 'Admin',
         sender_role: 'administrator',
+        internal: true,
       }
     );
   }
@@ -434,14 +466,14 @@ export async function notifyNewMessage(ticketId, senderId, senderRole, messageId
 
 /**
  * Create notification for new ticket creation
- * Notifies all admins and the client who created it
+ * Notifies the admins who may access it and the client who created it
  * @param {string} ticketId - Ticket ID
- * @param {string} clientId - Client ID who created the ticket
+ * @param {string} clientId - Account that created the ticket (client or contact person ID)
  * @param {object} ticketData - Ticket data for notification
  */
 export async function notifyTicketCreated(ticketId, clientId, ticketData) {
-  // Notify all admins
-  const admins = await getAllAdministrators();
+  // Notify the admins who may access the ticket
+  const admins = await getAdministratorsWithTicketAccess(ticketData);
   for (const admin of admins) {
     await createNotificationEvent(
       admin.id,
@@ -481,17 +513,19 @@ export async function notifyTicketUpdate(ticketId, oldTicket, newTicket) {
   // Check for status change
   if (oldTicket.status !== newTicket.status) {
     // Notify ticket owner (client)
-    await createNotificationEvent(
-      newTicket.client_id,
-      'client',
-      'ticket_status_changed',
-      ticketId,
-      {
-        ticket_id: ticketId,
-        old_status: oldTicket.status,
-        new_status: newTicket.status,
-      }
-    );
+    for (const recipientId of getTicketClientRecipients(newTicket)) {
+      await createNotificationEvent(
+        recipientId,
+        'client',
+        'ticket_status_changed',
+        ticketId,
+        {
+          ticket_id: ticketId,
+          old_status: oldTicket.status,
+          new_status: newTicket.status,
+        }
+      );
+    }
     
     // Notify assigned engineer (admin) if exists
     if (newTicket.assigned_engineer_id) {
@@ -526,8 +560,8 @@ export async function notifyTicketUpdate(ticketId, oldTicket, newTicket) {
       );
     }
     
-    // Notify all admins about assignment change
-    const admins = await getAllAdministrators();
+    // Notify the admins who may access the ticket about the assignment change
+    const admins = await getAdministratorsWithTicketAccess(newTicket);
     for (const admin of admins) {
       // Skip the newly assigned engineer (already notified above)
       if (admin.id !== newTicket.assigned_engineer_id) {
@@ -549,16 +583,18 @@ export async function notifyTicketUpdate(ticketId, oldTicket, newTicket) {
   // Check for completion date change
   if (oldTicket.estimated_completion_at !== newTicket.estimated_completion_at) {
     // Notify ticket owner (client)
-    await createNotificationEvent(
-      newTicket.client_id,
-      'client',
-      'ticket_completion_updated',
-      ticketId,
-      {
-        ticket_id: ticketId,
-        estimated_completion_at: newTicket.estimated_completion_at,
-      }
-    );
+    for (const recipientId of getTicketClientRecipients(newTicket)) {
+      await createNotificationEvent(
+        recipientId,
+        'client',
+        'ticket_completion_updated',
+        ticketId,
+        {
+          ticket_id: ticketId,
+          estimated_completion_at: newTicket.estimated_completion_at,
+        }
+      );
+    }
     
     // Notify assigned engineer (admin) if exists
     if (newTicket.assigned_engineer_id) {
@@ -622,10 +658,14 @@ export async function getUnreadCountsByTab(userId, userRole) {
         break;
       
       case 'password_recovery_request':
+      case 'contract_expiring':
         companies++;
         break;
       
-      // Add other admin-related notifications to accounts if needed
+      case 'account_locked':
+        accounts++;
+        break;
+      
       default:
         // Unknown types go to total but not specific tabs
         break;
@@ -643,33 +683,34 @@ export async function getUnreadCountsByTab(userId, userRole) {
 }
 
 /**
- * Notify master administrators about password recovery request
+ * Notify the administrators who handle password recovery (companies.recovery) about a request
  * @param {object} client - Client object that initiated recovery
+ * @param {object} [options] - Options
+ * @param {string} [options.requestId] - Recovery request waiting for approval, if approval is required
  */
-export async function notifyPasswordRecovery(client) {
-  const db = getDatabase();
-  
-  // Get all master administrators (is_master = 1)
-  const masterAdmins = await db.all(
-    'SELECT id FROM administrators WHERE is_master = 1'
-  );
+export async function notifyPasswordRecovery(client, options = {}) {
+  const recipients = await getAdministratorsWithPermission('companies.recovery');
   
-  if (!masterAdmins || masterAdmins.length === 0) {
-    // No master admins to notify, but this is not an error
+  if (!recipients || recipients.length === 0) {
+    // Nobody to notify, but this is not an error
     return;
   }
   
   const now = Math.floor(Date.now() / 1000);
   
-  // Create notification for each master admin
+  // Create notification for each recipient
   // Use createNotificationEvent to handle deduplication and ID generation properly
-  for (const admin of masterAdmins) {
+  for (const admin of recipients) {
     const entityData = {
       client_id: client.id,
       client_login: client.login,
       client_company: client.company_name,
       recovery_initiated_at: now,
     };
+    if (options.requestId) {
+      entityData.recovery_request_id = options.requestId;
+      entityData.approval_required = true;
+    }
     
     try {
       await createNotificationEvent(
@@ -686,3 +727,36 @@ export async function notifyPasswordRecovery(client) {
   }
 }
 
+
+/**
+ * Notify the administrators who can lift lockouts (admins.unlock) that repeated failed attempts
+ * locked a login or IP address
+ * @param {object} lockout - Lockout event (scope, identifier, user_id, user_role, ip_address, failures, locked_until)
+ */
+export async function notifyAccountLocked(lockout) {
+  const recipients = await getAdministratorsWithPermission('admins.unlock');
+
+  const entityData = {
+    scope: lockout.scope,
+    identifier: lockout.identifier,
+    user_id: lockout.user_id,
+    user_role: lockout.user_role,
+    ip_address: lockout.ip_address,
+    failures: lockout.failures,
+    locked_until: lockout.locked_until,
+  };
+
+  for (const admin of recipients || []) {
+    try {
+      await createNotificationEvent(
+        admin.id,
+        'administrator',
+        'account_locked',
+        `${lockout.scope}:${lockout.identifier}`,
+        entityData
+      );
+    } catch (notificationError) {
+      console.error(`Failed to create lockout notification for admin ${admin.id}:`, notificationError);
+    }
+  }
+}
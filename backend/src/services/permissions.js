@@ -0,0 +1,135 @@
+/**
+ * Permission Service
+ * Catalogue of administrator permissions and checks against an administrator's role
+ *
+ * Every administrator has a role (dispatcher, engineer, account manager, auditor or a custom
+ * one) that grants a set of permissions. Master accounts hold every permission; only they can
+ * edit roles, assign them and promote other masters.
+ */
+
+import { getAllAdministrators, getAdministratorById } from '../models/Administrator.js';
+import { getAdministratorAccess, getAdministratorIdsWithRolePermission } from '../models/Role.js';
+
+/**
+ * Permissions that can be granted to a role, grouped for display
+ * @type {Array<{key: string, group: string}>}
+ */
+export const PERMISSIONS = [
+  { key: 'tickets.view_all', group: 'tickets' },
+  { key: 'tickets.assign', group: 'tickets' },
+  { key: 'tickets.restore', group: 'tickets' },
+  { key: 'companies.view', group: 'companies' },
+  { key: 'companies.create', group: 'companies' },
+  { key: 'companies.credentials', group: 'companies' },
+  { key: 'companies.users', group: 'companies' },
+  { key: 'companies.recovery', group: 'companies' },
+  { key: 'companies.delete', group: 'companies' },
+  { key: 'companies.purge', group: 'companies' },
+  { key: 'equipment.delete', group: 'catalog' },
+  { key: 'contracts.manage', group: 'catalog' },
+  { key: 'sla.manage', group: 'catalog' },
+  { key: 'skills.manage', group: 'catalog' },
+  { key: 'admins.create', group: 'admins' },
+  { key: 'admins.manage', group: 'admins' },
+  { key: 'admins.delete', group: 'admins' },
+  { key: 'admins.unlock', group: 'admins' },
+  { key: 'audit.view', group: 'audit' },
+  { key: 'analytics.view', group: 'analytics' },
+];
+
+/**
+ * Permission keys, for validation
+ * @type {Set<string>}
+ */
+export const PERMISSION_KEYS = new Set(PERMISSIONS.map(permission => permission.key));
+
+/**
+ * Get the role and effective permissions of an administrator
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<object|null>} { is_master, role_id, role_name, permissions } or null if not found;
+ *   permissions of master accounts are the whole catalogue
+ */
+export async function getAdminAccess(adminId) {
+  const access = await getAdministratorAccess(adminId);
+  if (!access) {
+    return null;
+  }
+
+  if (access.is_master) {
+    access.permissions = PERMISSIONS.map(permission => permission.key);
+  }
+  return access;
+}
+
+/**
+ * Check whether an authenticated user holds a permission
+ * The role is read from the database, so changes apply to existing sessions at once.
+ * @param {object} user - Authenticated user (req.user)
+ * @param {string} permission - Permission key
+ * @returns {Promise<boolean>} True for master accounts and administrators whose role grants it
+ */
+export async function hasPermission(user, permission) {
+  if (!user || user.role !== 'admin') {
+    return false;
+  }
+
+  const access = await getAdminAccess(user.id);
+  return Boolean(access && access.permissions.includes(permission));
+}
+
+/**
+ * Get the administrators who hold a permission (master accounts included)
+ * Used to address notifications to whoever can act on them.
+ * @param {string} permission - Permission key
+ * @returns {Promise<Array>} Administrator objects
+ */
+export async function getAdministratorsWithPermission(permission) {
+  const roleHolders = new Set(await getAdministratorIdsWithRolePermission(permission));
+  const administrators = await getAllAdministrators();
+  return administrators.filter(admin => admin.is_master || roleHolders.has(admin.id));
+}
+
+/**
+ * Check whether an authenticated user may access a ticket
+ * Clients reach the tickets of their own company. Administrators reach every ticket with
+ * tickets.view_all and otherwise only the tickets assigned to them - the same scope as the
+ * ticket lists.
+ * @param {object} user - Authenticated user (req.user); role 'admin' or 'administrator' for administrators
+ * @param {object} ticket - Ticket (client_id and assigned_engineer_id are used)
+ * @returns {Promise<boolean>} True if the ticket is within the user's scope
+ */
+export async function canAccessTicket(user, ticket) {
+  if (!user || !ticket) {
+    return false;
+  }
+
+  if (user.role === 'client') {
+    return ticket.client_id === user.id;
+  }
+  if (user.role !== 'admin' && user.role !== 'administrator') {
+    return false;
+  }
+
+  if (ticket.assigned_engineer_id && ticket.assigned_engineer_id === user.id) {
+    return true;
+  }
+  return hasPermission({ ...user, role: 'admin' }, 'tickets.view_all');
+}
+
+/**
+ * Get the administrators who may access a ticket
+ * Holders of tickets.view_all (master accounts included) and the assigned engineer; used to
+ * scope notifications and event streams the same way as canAccessTicket.
+ * @param {object} ticket - Ticket (assigned_engineer_id is used)
+ * @returns {Promise<Array>} Administrator objects
+ */
+export async function getAdministratorsWithTicketAccess(ticket) {
+  const administrators = await getAdministratorsWithPermission('tickets.view_all');
+  if (ticket?.assigned_engineer_id && !administrators.some(admin => admin.id === ticket.assigned_engineer_id)) {
+    const assignee = await getAdministratorById(ticket.assigned_engineer_id);
+    if (assignee) {
+      administrators.push(assignee);
+    }
+  }
+  return administrators;
+}
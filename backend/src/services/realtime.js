@@ -0,0 +1,214 @@
+/**
+ * Real-Time Event Service
+ *
+ * Keeps track of open server-sent event (SSE) streams and pushes events to them.
+ *
+ * Delivery Rules:
+ * - Events addressed to a user are delivered to every stream opened by that user
+ *   (one user may have several tabs open).
+ * - Ticket events are delivered to every user of the ticket owner's company (the company
+ *   login and its contact persons) and to the administrators who may access the ticket
+ *   (tickets.view_all or the assigned engineer - the same scope as the REST endpoints);
+ *   the frontend decides whether the ticket belongs to the current view.
+ * - Internal notes are delivered to those administrators only.
+ * - Streams that fail on write are dropped silently; the client reconnects on its own
+ *   and falls back to polling while disconnected.
+ * - Streams are closed when their login session is revoked.
+ *
+ * This service only keeps in-memory state. Events published while a user has no
+ * open stream are not queued - clients catch up through the regular REST endpoints
+ * (`?since=` parameters) when the stream is (re)opened.
+ */
+
+import { getAdministratorsWithTicketAccess } from './permissions.js';
+
+const HEARTBEAT_INTERVAL = 25000; // 25 seconds - below common proxy idle timeouts
+
+/**
+ * Open streams keyed by `${role}:${userId}`, plus `company:${clientId}` for client streams
+ * (a contact person's own key is their contact ID; ticket events use the company key)
+ * @type {Map<string, Set<import('express').Response>>}
+ */
+const subscribers = new Map();
+
+/**
+ * Normalize role to the form used by notification events ('client' or 'administrator')
+ * @param {string} role - User role ('client', 'admin' or 'administrator')
+ * @returns {string} Normalized role
+ */
+function normalizeRole(role) {
+  return role === 'admin' ? 'administrator' : role;
+}
+
+/**
+ * Build subscriber key for a user
+ * @param {string} userId - User ID
+ * @param {string} role - User role
+ * @returns {string} Subscriber key
+ */
+function subscriberKey(userId, role) {
+  return `${normalizeRole(role)}:${userId}`;
+}
+
+/**
+ * Write a single SSE frame to a stream
+ * @param {import('express').Response} res - Open stream
+ * @param {string} event - Event name
+ * @param {object} data - Event payload (serialized as JSON)
+ * @returns {boolean} True if the frame was written
+ */
+function writeEvent(res, event, data) {
+  try {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Register an SSE stream for a user
+ * Sets the SSE headers, sends a `ready` event and starts the heartbeat.
+ * The stream is removed automatically when the connection closes.
+ * @param {object} user - Authenticated user (req.user)
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ */
+export function subscribe(user, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable nginx response buffering for this stream
+  });
+  res.flushHeaders?.();
+
+  // Remember the login session so the stream can be closed when it is revoked
+  res.locals.sessionId = user.session_id;
+
+  const keys = [subscriberKey(user.contact_id || user.id, user.role)];
+  if (user.role === 'client') {
+    keys.push(`company:${user.id}`);
+  }
+  for (const key of keys) {
+    if (!subscribers.has(key)) {
+      subscribers.set(key, new Set());
+    }
+    subscribers.get(key).add(res);
+  }
+
+  // Tell the client to retry after 3 seconds if the connection drops
+  res.write('retry: 3000\n\n');
+  writeEvent(res, 'ready', { server_time: Math.floor(Date.now() / 1000) });
+
+  const heartbeat = setInterval(() => {
+    try {
+      res.write(': heartbeat\n\n');
+    } catch (error) {
+      clearInterval(heartbeat);
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    for (const key of keys) {
+      const streams = subscribers.get(key);
+      if (streams) {
+        streams.delete(res);
+        if (streams.size === 0) {
+          subscribers.delete(key);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Close the open streams of revoked login sessions
+ * @param {string[]} sessionIds - Session IDs
+ */
+export function disconnectSessions(sessionIds) {
+  if (sessionIds.length === 0) {
+    return;
+  }
+
+  const revoked = new Set(sessionIds);
+  for (const streams of subscribers.values()) {
+    for (const res of streams) {
+      if (revoked.has(res.locals.sessionId)) {
+        // The 'close' handler of the request removes the stream
+        res.end();
+      }
+    }
+  }
+}
+
+/**
+ * Publish an event to all open streams registered under a key
+ * @param {string} key - Subscriber key
+ * @param {string} event - Event name
+ * @param {object} data - Event payload
+ */
+function publishToKey(key, event, data) {
+  const streams = subscribers.get(key);
+  if (!streams) {
+    return;
+  }
+
+  for (const res of streams) {
+    if (!writeEvent(res, event, data)) {
+      streams.delete(res);
+    }
+  }
+}
+
+/**
+ * Publish an event to all open streams of a single user
+ * @param {string} userId - User ID
+ * @param {string} role - User role ('client', 'admin' or 'administrator')
+ * @param {string} event - Event name
+ * @param {object} data - Event payload
+ */
+export function publishToUser(userId, role, event, data) {
+  publishToKey(subscriberKey(userId, role), event, data);
+}
+
+/**
+ * Publish a ticket-scoped event to the administrators who may access the ticket
+ * Only looks up the recipients when an administrator stream is open.
+ * @param {object} ticket - Ticket object (id and assigned_engineer_id are used)
+ * @param {string} event - Event name
+ * @param {object} data - Event payload
+ * @returns {Promise<void>}
+ */
+async function publishToTicketAdministrators(ticket, event, data) {
+  if (![...subscribers.keys()].some(key => key.startsWith('administrator:'))) {
+    return;
+  }
+
+  const administrators = await getAdministratorsWithTicketAccess(ticket);
+  for (const admin of administrators) {
+    publishToUser(admin.id, 'administrator', event, data);
+  }
+}
+
+/**
+ * Publish a ticket-scoped event to the users of the owning company and the administrators
+ * who may access the ticket
+ * @param {object} ticket - Ticket object (must include id, client_id and assigned_engineer_id)
+ * @param {string} event - Event name
+ * @param {object} data - Event payload
+ * @param {object} [options] - Options
+ * @param {boolean} [options.internal=false] - Administrators only (internal notes)
+ */
+export function publishTicketEvent(ticket, event, data, { internal = false } = {}) {
+  if (!ticket) {
+    return;
+  }
+
+  if (!internal) {
+    publishToKey(`company:${ticket.client_id}`, event, data);
+  }
+  publishToTicketAdministrators(ticket, event, data)
+    .catch(error => console.error('Error publishing ticket event:', error));
+}
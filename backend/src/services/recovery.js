@@ -1,24 +1,128 @@
 /**
  * Recovery Service
  * Handles password recovery operations using codephrases
+ *
+ * By default a valid codephrase immediately yields a reset token. With
+ * RECOVERY_APPROVAL_REQUIRED=true the codephrase only opens a recovery request: the client
+ * polls it with a request token and receives the reset token once a master account approves.
+ * Requests nobody decides on, and approved requests that are not used, expire after
+ * RECOVERY_REQUEST_TTL_HOURS.
  */
 
-import { getClientByCodephrase, setRecoveryPending, updateClientPassword } from '../models/Client.js';
+import { createHash, randomBytes } from 'crypto';
+import { getClientById, getClientByCodephrase, setRecoveryPending, updateClientPassword } from '../models/Client.js';
+import {
+  createRecoveryRequest,
+  getRecoveryRequestById,
+  getRecoveryRequestByTokenHash,
+  getOpenRecoveryRequestByClient,
+  getRecoveryRequests,
+  getLatestRecoveryRequests,
+  renewRecoveryRequest,
+  decideRecoveryRequest,
+  completeRecoveryRequest,
+  expireClientRecoveryRequests,
+  expireOverdueRecoveryRequests,
+} from '../models/RecoveryRequest.js';
 import { validateCodephraseFormat } from './codephrase.js';
 import { hashPassword } from './auth.js';
+import { revokeAllUserSessions } from './sessions.js';
 import { notifyPasswordRecovery } from './notifications.js';
 import jwt from 'jsonwebtoken';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 const RECOVERY_TOKEN_EXPIRY = '15m'; // 15 minutes
 
+/**
+ * How long a recovery request waits for a decision, and how long an approved one stays usable (in hours)
+ * @type {number}
+ */
+export const RECOVERY_REQUEST_TTL_HOURS = parseInt(process.env.RECOVERY_REQUEST_TTL_HOURS || '24', 10);
+
+/**
+ * Check whether codephrase recovery needs a master account's approval
+ * @returns {boolean} True if RECOVERY_APPROVAL_REQUIRED is enabled
+ */
+export function isRecoveryApprovalRequired() {
+  return process.env.RECOVERY_APPROVAL_REQUIRED === 'true';
+}
+
+/**
+ * Hash a request token for storage and lookup
+ * @param {string} requestToken - Request token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequestToken(requestToken) {
+  return createHash('sha256').update(requestToken).digest('hex');
+}
+
+/**
+ * Get the expiry of a request that starts waiting now
+ * @returns {number} Unix timestamp in seconds
+ */
+function getRequestExpiry() {
+  return Math.floor(Date.now() / 1000) + RECOVERY_REQUEST_TTL_HOURS * 60 * 60;
+}
+
+/**
+ * Expire recovery requests whose time ran out
+ * Companies left without an open request are no longer marked as recovering.
+ * @returns {Promise<void>}
+ */
+async function expireOverdueRequests() {
+  const clientIds = await expireOverdueRecoveryRequests(Math.floor(Date.now() / 1000));
+  for (const clientId of clientIds) {
+    if (!(await getOpenRecoveryRequestByClient(clientId))) {
+      await setRecoveryPending(clientId, 0);
+    }
+  }
+}
+
+/**
+ * Open a recovery request for a company, or renew its pending one
+ * A pending request keeps its place but gets a new request token, so only the latest
+ * requester can follow it. An approved request is replaced: approval was given to the
+ * requester who was waiting at the time.
+ * @param {object} client - Client object
+ * @param {string|null} ipAddress - IP address of the requester
+ * @returns {Promise<{request: object, requestToken: string, renewed: boolean}>} Request, its token
+ *   and whether an existing pending request was renewed
+ */
+async function openRecoveryRequest(client, ipAddress) {
+  await expireOverdueRequests();
+
+  const requestToken = randomBytes(32).toString('base64url');
+  const requestTokenHash = hashRequestToken(requestToken);
+  const expiresAt = getRequestExpiry();
+
+  const open = await getOpenRecoveryRequestByClient(client.id);
+  if (open && open.status === 'pending'
+      && await renewRecoveryRequest(open.id, requestTokenHash, ipAddress, expiresAt)) {
+    return { request: await getRecoveryRequestById(open.id), requestToken, renewed: true };
+  }
+
+  await expireClientRecoveryRequests(client.id);
+  const request = await createRecoveryRequest({
+    id: `recovery-${Date.now()}-${randomBytes(3).toString('hex')}`,
+    clientId: client.id,
+    requestTokenHash,
+    ipAddress,
+    expiresAt,
+  });
+  return { request, requestToken, renewed: false };
+}
+
 /**
  * Initiate password recovery process
- * Validates codephrase and generates recovery token
+ * Validates codephrase and generates recovery token, or opens a recovery request
+ * if approval is required
  * @param {string} codephrase - Recovery codephrase
- * @returns {Promise<object>} Recovery token and expiration
+ * @param {object} [options] - Options
+ * @param {string|null} [options.ipAddress] - IP address of the requester (stored with the request)
+ * @returns {Promise<object>} The client it belongs to and either the recovery token and its
+ *   expiration, or (approval required) the pending request, its request token and expiration
  */
-export async function initiateRecovery(codephrase) {
+export async function initiateRecovery(codephrase, options = {}) {
   // Validate codephrase format
   if (!validateCodephraseFormat(codephrase)) {
     throw new Error('Invalid codephrase format');
@@ -33,6 +137,28 @@ export async function initiateRecovery(codephrase) {
   // Set recovery_pending flag
   await setRecoveryPending(client.id, 1);
 
+  if (isRecoveryApprovalRequired()) {
+    const { request, requestToken, renewed } = await openRecoveryRequest(client, options.ipAddress || null);
+
+    // Masters already know about a renewed request
+    if (!renewed) {
+      try {
+        await notifyPasswordRecovery(client, { requestId: request.id });
+      } catch (notificationError) {
+        console.error('Failed to send password recovery notification:', notificationError);
+      }
+    }
+
+    return {
+      status: 'pending',
+      requestToken,
+      expiresAt: request.expires_at,
+      request,
+      clientId: client.id,
+      client,
+    };
+  }
+
   // Generate recovery token (15 minute expiry)
   const recoveryToken = generateRecoveryToken(client.id);
 
@@ -48,17 +174,104 @@ export async function initiateRecovery(codephrase) {
   const expiresAt = Math.floor(Date.now() / 1000) + (15 * 60); // 15 minutes from now
 
   return {
+    status: 'approved',
     recoveryToken,
     expiresAt,
     clientId: client.id,
+    client,
   };
 }
 
+/**
+ * Get the state of a recovery request the client is waiting on
+ * Once the request is approved, a recovery token is issued with it.
+ * @param {string} requestToken - Request token returned by initiateRecovery
+ * @returns {Promise<object>} status ('pending', 'approved', 'denied', 'expired' or 'completed'),
+ *   expiresAt and, for approved requests, recoveryToken
+ * @throws {Error} If the request token is unknown
+ */
+export async function getRecoveryRequestStatus(requestToken) {
+  if (!requestToken || typeof requestToken !== 'string') {
+    throw new Error('Invalid request token');
+  }
+
+  await expireOverdueRequests();
+  const request = await getRecoveryRequestByTokenHash(hashRequestToken(requestToken));
+  if (!request) {
+    throw new Error('Invalid request token');
+  }
+
+  const result = { status: request.status, expiresAt: request.expires_at };
+  if (request.status === 'approved') {
+    result.recoveryToken = generateRecoveryToken(request.client_id, request.id);
+  }
+  return result;
+}
+
+/**
+ * List recovery requests for master accounts
+ * @param {object} [filters] - Filters
+ * @param {string} [filters.status] - 'pending', 'approved', 'denied', 'expired' or 'completed'
+ * @returns {Promise<Array>} Requests, newest first
+ */
+export async function listRecoveryRequests(filters = {}) {
+  const statuses = ['pending', 'approved', 'denied', 'expired', 'completed'];
+  if (filters.status && !statuses.includes(filters.status)) {
+    throw new Error(`Status must be one of: ${statuses.join(', ')}`);
+  }
+
+  await expireOverdueRequests();
+  return getRecoveryRequests({ status: filters.status || undefined });
+}
+
+/**
+ * Get the newest recovery request of every company, keyed by company ID
+ * @returns {Promise<Map<string, object>>} Requests by client ID
+ */
+export async function getLatestRecoveryRequestsByClient() {
+  await expireOverdueRequests();
+  const requests = await getLatestRecoveryRequests();
+  return new Map(requests.map(request => [request.client_id, request]));
+}
+
+/**
+ * Approve or deny a pending recovery request
+ * An approved request can be used for a password reset within RECOVERY_REQUEST_TTL_HOURS.
+ * A denied one clears the company's recovery mark.
+ * @param {string} requestId - Request ID
+ * @param {boolean} approve - True to approve, false to deny
+ * @param {string} adminId - Deciding master administrator ID
+ * @returns {Promise<object>} Updated request
+ * @throws {Error} If the request does not exist or is no longer pending
+ */
+export async function decideRecovery(requestId, approve, adminId) {
+  await expireOverdueRequests();
+
+  const request = await getRecoveryRequestById(requestId);
+  if (!request) {
+    throw new Error('Recovery request not found');
+  }
+  if (request.status !== 'pending') {
+    throw new Error(`Recovery request is already ${request.status}`);
+  }
+
+  const status = approve ? 'approved' : 'denied';
+  const expiresAt = approve ? getRequestExpiry() : request.expires_at;
+  if (!(await decideRecoveryRequest(requestId, status, adminId, expiresAt))) {
+    throw new Error('Recovery request is no longer pending');
+  }
+  if (!approve) {
+    await setRecoveryPending(request.client_id, 0);
+  }
+
+  return getRecoveryRequestById(requestId);
+}
+
 /**
  * Reset password using recovery token
  * @param {string} recoveryToken - JWT recovery token
  * @param {string} newPassword - New password
- * @returns {Promise<object>} Success status
+ * @returns {Promise<object>} Success status and the client whose password was reset
  */
 export async function resetPassword(recoveryToken, newPassword) {
   // Validate token
@@ -68,10 +281,20 @@ export async function resetPassword(recoveryToken, newPassword) {
   }
 
   const clientId = decoded.clientId;
-  if (!clientId) {
+  const client = clientId ? await getClientById(clientId) : null;
+  if (!client) {
     throw new Error('Invalid recovery token');
   }
 
+  // Tokens issued before approval became required carry no request and are not accepted then
+  const request = decoded.requestId ? await getRecoveryRequestById(decoded.requestId) : null;
+  if (isRecoveryApprovalRequired() || decoded.requestId) {
+    const now = Math.floor(Date.now() / 1000);
+    if (!request || request.client_id !== clientId || request.status !== 'approved' || request.expires_at <= now) {
+      throw new Error('Invalid or expired recovery token');
+    }
+  }
+
   // Validate password strength
   if (!newPassword || typeof newPassword !== 'string' || newPassword.trim().length === 0) {
     throw new Error('Password cannot be empty');
@@ -88,25 +311,36 @@ export async function resetPassword(recoveryToken, newPassword) {
   // Hash new password
   const passwordHash = await hashPassword(newPassword);
 
+  // An approved request is good for one reset
+  if (request && !(await completeRecoveryRequest(request.id))) {
+    throw new Error('Invalid or expired recovery token');
+  }
+
   // Update password and clear recovery_pending flag
   await updateClientPassword(clientId, passwordHash);
   await setRecoveryPending(clientId, 0);
 
+  // Whoever lost access to the account may still be signed in elsewhere
+  await revokeAllUserSessions(clientId, 'client', 'password_recovered');
+
   return {
     success: true,
     clientId,
+    client,
   };
 }
 
 /**
  * Generate recovery JWT token
  * @param {string} clientId - Client ID
+ * @param {string} [requestId] - Approved recovery request the token was issued for
  * @returns {string} JWT token
  */
-function generateRecoveryToken(clientId) {
+function generateRecoveryToken(clientId, requestId) {
   return jwt.sign(
     { 
       clientId,
+      ...(requestId ? { requestId } : {}),
       type: 'recovery',
     },
     JWT_SECRET,
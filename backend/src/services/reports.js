@@ -0,0 +1,554 @@
+/**
+ * Report Service
+ * Builds ticket reports on the server as paginated PDF (with embedded DejaVu Sans, so
+ * Cyrillic text is real, selectable text), XLSX or CSV
+ *
+ * Dates are printed in the time zone of the person running the report (?tz=) and labels
+ * in their language (?lang=en|ru).
+ */
+
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+import ExcelJS from 'exceljs';
+import { getTicketsForReport } from './tickets.js';
+import { getClientById } from '../models/Client.js';
+import { getAdministratorById } from '../models/Administrator.js';
+import { toCsv } from '../utils/csv.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * TrueType fonts embedded in PDF reports (the built-in PDF fonts have no Cyrillic)
+ */
+const FONT_REGULAR = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+const FONT_BOLD = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+
+/**
+ * Report formats and their content types
+ */
+export const REPORT_FORMATS = {
+  pdf: 'application/pdf',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+};
+
+const REPORT_STATUSES = ['new', 'in_progress', 'waiting_for_client', 'resolved', 'closed'];
+
+/**
+ * Longest description printed in a PDF table cell; XLSX and CSV get the full text
+ */
+const PDF_DESCRIPTION_LENGTH = 600;
+
+/**
+ * Rows rendered between two breaks that let the server handle other requests
+ */
+const ROWS_PER_BATCH = 50;
+
+/**
+ * Let pending I/O and timers run before rendering continues
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Report labels by language
+ */
+const LABELS = {
+  en: {
+    title: 'Ticket report',
+    company: 'Company',
+    allCompanies: 'All companies',
+    engineer: 'Engineer',
+    allEngineers: 'All engineers',
+    period: 'Period',
+    allTime: 'All time',
+    status: 'Status',
+    allStatuses: 'All statuses',
+    jobTitle: 'Job title',
+    contact: 'Contact',
+    generated: 'Generated',
+    tickets: 'Tickets',
+    noTickets: 'No tickets match the filters.',
+    page: 'Page {page} of {pages}',
+    sheetTickets: 'Tickets',
+    sheetSummary: 'Summary',
+    id: 'Ticket',
+    submitted_at: 'Submitted',
+    company_name: 'Company',
+    serial_number: 'Serial number',
+    problem_description: 'Problem description',
+    client_full_name: 'Contact',
+    job_title: 'Job title',
+    priority: 'Priority',
+    assigned_engineer_name: 'Engineer',
+    estimated_completion_at: 'Estimated completion',
+    updated_at: 'Last updated',
+    status_new: 'New',
+    status_in_progress: 'In progress',
+    status_waiting_for_client: 'Waiting for client',
+    status_resolved: 'Resolved',
+    status_closed: 'Closed',
+    priority_low: 'Low',
+    priority_medium: 'Medium',
+    priority_high: 'High',
+    priority_critical: 'Critical',
+  },
+  ru: {
+    title: 'Отчёт по заявкам',
+    company: 'Компания',
+    allCompanies: 'Все компании',
+    engineer: 'Инженер',
+    allEngineers: 'Все инженеры',
+    period: 'Период',
+    allTime: 'За всё время',
+    status: 'Статус',
+    allStatuses: 'Все статусы',
+    jobTitle: 'Должность',
+    contact: 'Контактное лицо',
+    generated: 'Сформирован',
+    tickets: 'Заявок',
+    noTickets: 'Нет заявок, подходящих под фильтры.',
+    page: 'Страница {page} из {pages}',
+    sheetTickets: 'Заявки',
+    sheetSummary: 'Сводка',
+    id: 'Заявка',
+    submitted_at: 'Создана',
+    company_name: 'Компания',
+    serial_number: 'Серийный номер',
+    problem_description: 'Описание проблемы',
+    client_full_name: 'Контактное лицо',
+    job_title: 'Должность',
+    priority: 'Приоритет',
+    assigned_engineer_name: 'Инженер',
+    estimated_completion_at: 'Плановое завершение',
+    updated_at: 'Изменена',
+    status_new: 'Новая',
+    status_in_progress: 'В работе',
+    status_waiting_for_client: 'Ожидает клиента',
+    status_resolved: 'Решена',
+    status_closed: 'Закрыта',
+    priority_low: 'Низкий',
+    priority_medium: 'Средний',
+    priority_high: 'Высокий',
+    priority_critical: 'Критический',
+  },
+};
+
+/**
+ * Report columns
+ * `pdf` is the relative column width in PDF reports (columns without it are left out of
+ * the PDF table); `width` is the XLSX column width in characters.
+ */
+const COLUMNS = [
+  { key: 'id', width: 12, pdf: 7 },
+  { key: 'submitted_at', type: 'date', width: 18, pdf: 12 },
+  { key: 'company_name', width: 24, pdf: 12, adminOnly: true },
+  { key: 'serial_number', width: 18, pdf: 10 },
+  { key: 'problem_description', width: 60, pdf: 28 },
+  { key: 'client_full_name', width: 24, pdf: 12 },
+  { key: 'job_title', width: 20 },
+  { key: 'status', type: 'status', width: 18, pdf: 9 },
+  { key: 'priority', type: 'priority', width: 12 },
+  { key: 'assigned_engineer_name', width: 20, pdf: 11 },
+  { key: 'estimated_completion_at', type: 'date', width: 18, pdf: 12 },
+  { key: 'updated_at', type: 'date', width: 18 },
+];
+
+/**
+ * Validate a Unix timestamp query parameter
+ * @param {object} query - Query parameters
+ * @param {string} key - Parameter name
+ * @returns {number|undefined} Timestamp, or undefined if not given
+ * @throws {Error} If the value is not a Unix timestamp
+ */
+function parseTimestamp(query, key) {
+  if (!query[key]) {
+    return undefined;
+  }
+  const timestamp = parseInt(query[key], 10);
+  if (isNaN(timestamp) || timestamp < 0) {
+    throw new Error(`${key} must be a Unix timestamp`);
+  }
+  return timestamp;
+}
+
+/**
+ * Validate and normalize a report request from a query string
+ * @param {object} query - Query parameters: format, lang, tz, date_from, date_to, status,
+ *   job_title, client_full_name, assigned_engineer_id and (administrators only) company
+ * @param {object} options - Options
+ * @param {boolean} [options.isAdmin=false] - Whether the company filter is accepted
+ * @returns {{format: string, lang: string, timeZone: string, filters: object}} Report request
+ * @throws {Error} If a parameter is invalid
+ */
+export function parseReportQuery(query = {}, { isAdmin = false } = {}) {
+  const format = query.format || 'pdf';
+  if (!REPORT_FORMATS[format]) {
+    throw new Error(`format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+  }
+
+  const lang = query.lang || 'en';
+  if (!LABELS[lang]) {
+    throw new Error(`lang must be one of: ${Object.keys(LABELS).join(', ')}`);
+  }
+
+  const timeZone = query.tz || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error('tz must be an IANA time zone name');
+  }
+
+  const filters = {
+    date_from: parseTimestamp(query, 'date_from'),
+    date_to: parseTimestamp(query, 'date_to'),
+  };
+  if (filters.date_from !== undefined && filters.date_to !== undefined && filters.date_from > filters.date_to) {
+    throw new Error('date_from must be before or equal to date_to');
+  }
+
+  if (query.status && query.status !== 'all') {
+    if (!REPORT_STATUSES.includes(query.status)) {
+      throw new Error(`status must be one of: ${REPORT_STATUSES.join(', ')}, all`);
+    }
+    filters.status = query.status;
+  }
+  for (const key of ['job_title', 'client_full_name', 'assigned_engineer_id']) {
+    if (query[key] && String(query[key]).trim()) {
+      filters[key] = String(query[key]).trim();
+    }
+  }
+  if (isAdmin && query.company && String(query.company).trim()) {
+    filters.company = String(query.company).trim();
+  }
+
+  return { format, lang, timeZone, filters };
+}
+
+/**
+ * Create date formatters for a language and time zone
+ * @param {string} lang - 'en' or 'ru'
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{dateTime: Function, date: Function, wallClock: Function}} Formatters of Unix timestamps:
+ *   text with time, text without time, and a Date whose UTC fields are the local wall clock
+ *   (spreadsheet dates have no time zone)
+ */
+function createDateFormatters(lang, timeZone) {
+  const locale = lang === 'ru' ? 'ru-RU' : 'en-GB';
+  const dateTimeFormat = new Intl.DateTimeFormat(locale, {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  });
+  const dateFormat = new Intl.DateTimeFormat(locale, { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  const partsFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+  });
+
+  return {
+    dateTime: timestamp => (timestamp ? dateTimeFormat.format(new Date(timestamp * 1000)) : ''),
+    date: timestamp => (timestamp ? dateFormat.format(new Date(timestamp * 1000)) : ''),
+    wallClock: (timestamp) => {
+      if (!timestamp) {
+        return null;
+      }
+      const parts = Object.fromEntries(partsFormat.formatToParts(new Date(timestamp * 1000))
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, parseInt(part.value, 10)]));
+      return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+    },
+  };
+}
+
+/**
+ * Text value of a ticket column
+ * @param {object} ticket - Ticket
+ * @param {object} column - Column from COLUMNS
+ * @param {object} labels - Labels of the report language
+ * @param {object} dates - Formatters from createDateFormatters
+ * @returns {string} Cell text
+ */
+function getCellText(ticket, column, labels, dates) {
+  const value = ticket[column.key];
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  switch (column.type) {
+    case 'date':
+      return dates.dateTime(value);
+    case 'status':
+      return labels[`status_${value}`] || value;
+    case 'priority':
+      return labels[`priority_${value}`] || value;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Lines describing the report: filters, generation time and ticket counts
+ * @param {object} report - Report from buildReportData
+ * @param {object} labels - Labels of the report language
+ * @param {object} dates - Formatters from createDateFormatters
+ * @returns {Array<[string, string]>} [label, value] pairs
+ */
+function getSummaryLines(report, labels, dates) {
+  const { filters } = report;
+  const period = filters.date_from === undefined && filters.date_to === undefined
+    ? labels.allTime
+    : `${filters.date_from !== undefined ? dates.date(filters.date_from) : '…'} – ${filters.date_to !== undefined ? dates.date(filters.date_to) : '…'}`;
+
+  const lines = [
+    [labels.company, report.companyName || labels.allCompanies],
+    [labels.period, period],
+    [labels.status, filters.status ? labels[`status_${filters.status}`] : labels.allStatuses],
+  ];
+  if (report.engineerName || filters.assigned_engineer_id) {
+    lines.push([labels.engineer, report.engineerName || filters.assigned_engineer_id]);
+  }
+  if (filters.job_title) {
+    lines.push([labels.jobTitle, filters.job_title]);
+  }
+  if (filters.client_full_name) {
+    lines.push([labels.contact, filters.client_full_name]);
+  }
+  lines.push([labels.generated, `${dates.dateTime(report.generatedAt)} (${report.timeZone})`]);
+
+  const counts = REPORT_STATUSES
+    .map(status => [status, report.tickets.filter(ticket => ticket.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${labels[`status_${status}`]}: ${count}`);
+  lines.push([labels.tickets, `${report.tickets.length}${counts.length > 0 ? ` (${counts.join(', ')})` : ''}`]);
+
+  return lines;
+}
+
+/**
+ * Render a report as a paginated A4 landscape PDF
+ * The table header is repeated on every page and pages are numbered in the footer.
+ * Rows are drawn in batches so that a large report does not block other requests.
+ * @param {object} report - Report from buildReportData
+ * @param {object} labels - Labels of the report language
+ * @param {object} dates - Formatters from createDateFormatters
+ * @returns {Promise<Buffer>} PDF file
+ */
+async function renderPdf(report, labels, dates) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 36,
+    bufferPages: true,
+    info: { Title: labels.title, Creator: 'Server Support CRM' },
+  });
+  const content = new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  doc.registerFont('regular', FONT_REGULAR);
+  doc.registerFont('bold', FONT_BOLD);
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const pageBottom = () => doc.page.height - doc.page.margins.bottom;
+  const padding = 3;
+
+  // Title and filters
+  doc.font('bold').fontSize(16).text(labels.title);
+  doc.moveDown(0.5);
+  getSummaryLines(report, labels, dates).forEach(([label, value]) => {
+    doc.font('bold').fontSize(9).text(`${label}: `, { continued: true });
+    doc.font('regular').text(value);
+  });
+  doc.moveDown();
+
+  if (report.tickets.length === 0) {
+    doc.font('regular').fontSize(10).text(labels.noTickets);
+  } else {
+    const columns = COLUMNS.filter(column => column.pdf && (report.showCompany || !column.adminOnly));
+    const totalWeight = columns.reduce((sum, column) => sum + column.pdf, 0);
+    const widths = columns.map(column => (column.pdf / totalWeight) * tableWidth);
+
+    /**
+     * Draw one table row, starting a new page (with the header) if it does not fit
+     * @param {Array<string>} cells - Cell texts
+     * @param {boolean} isHeader - Whether this is the header row
+     */
+    const drawRow = (cells, isHeader = false) => {
+      doc.font(isHeader ? 'bold' : 'regular').fontSize(8);
+      const height = Math.max(...cells.map((text, index) => doc.heightOfString(text || ' ', {
+        width: widths[index] - 2 * padding,
+      }))) + 2 * padding;
+
+      if (!isHeader && doc.y + height > pageBottom()) {
+        doc.addPage();
+        drawRow(columns.map(column => labels[column.key]), true);
+        doc.font('regular').fontSize(8);
+      }
+
+      const top = doc.y;
+      if (isHeader) {
+        doc.rect(left, top, tableWidth, height).fill('#f1f5f9');
+      }
+      doc.fillColor('#1e293b');
+      let x = left;
+      cells.forEach((text, index) => {
+        doc.text(text, x + padding, top + padding, { width: widths[index] - 2 * padding });
+        x += widths[index];
+      });
+      doc.moveTo(left, top + height).lineTo(left + tableWidth, top + height).lineWidth(0.5).strokeColor('#cbd5e1').stroke();
+      doc.x = left;
+      doc.y = top + height;
+    };
+
+    drawRow(columns.map(column => labels[column.key]), true);
+    for (const [index, ticket] of report.tickets.entries()) {
+      if (index > 0 && index % ROWS_PER_BATCH === 0) {
+        await yieldToEventLoop();
+      }
+      drawRow(columns.map(column => {
+        const text = getCellText(ticket, column, labels, dates);
+        return column.key === 'problem_description' && text.length > PDF_DESCRIPTION_LENGTH
+          ? `${text.slice(0, PDF_DESCRIPTION_LENGTH)}…`
+          : text;
+      }));
+    }
+  }
+
+  // Page numbers; the bottom margin is lifted so the footer does not start a new page
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('regular').fontSize(8).fillColor('#64748b').text(
+      labels.page.replace('{page}', index + 1).replace('{pages}', range.count),
+      left,
+      doc.page.height - bottomMargin + 12,
+      { width: tableWidth, align: 'right' }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  doc.end();
+  return content;
+}
+
+/**
+ * Render a report as an XLSX workbook with a ticket sheet and a summary sheet
+ * Dates are real spreadsheet dates in the report time zone. Rows are added in batches.
+ * @param {object} report - Report from buildReportData
+ * @param {object} labels - Labels of the report language
+ * @param {object} dates - Formatters from createDateFormatters
+ * @returns {Promise<Buffer>} XLSX file
+ */
+async function renderXlsx(report, labels, dates) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Server Support CRM';
+  workbook.created = new Date(report.generatedAt * 1000);
+
+  const sheet = workbook.addWorksheet(labels.sheetTickets, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = COLUMNS.map(column => ({
+    header: labels[column.key],
+    key: column.key,
+    width: column.width,
+    style: column.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : {},
+  }));
+  for (const [index, ticket] of report.tickets.entries()) {
+    if (index > 0 && index % ROWS_PER_BATCH === 0) {
+      await yieldToEventLoop();
+    }
+    sheet.addRow(Object.fromEntries(COLUMNS.map(column => [
+      column.key,
+      column.type === 'date' ? dates.wallClock(ticket[column.key]) : getCellText(ticket, column, labels, dates),
+    ])));
+  }
+  sheet.getRow(1).font = { bold: true };
+  sheet.getColumn('problem_description').alignment = { wrapText: true, vertical: 'top' };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: COLUMNS.length } };
+
+  const summary = workbook.addWorksheet(labels.sheetSummary);
+  summary.columns = [{ width: 20 }, { width: 60 }];
+  summary.addRow([labels.title]).font = { bold: true, size: 14 };
+  getSummaryLines(report, labels, dates).forEach(line => {
+    summary.addRow(line).getCell(1).font = { bold: true };
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Render a report as CSV: one header row and one row per ticket, dates as text
+ * @param {object} report - Report from buildReportData
+ * @param {object} labels - Labels of the report language
+ * @param {object} dates - Formatters from createDateFormatters
+ * @returns {Buffer} CSV file
+ */
+function renderCsv(report, labels, dates) {
+  const rows = report.tickets.map(ticket => COLUMNS.map(column => getCellText(ticket, column, labels, dates)));
+  return Buffer.from(toCsv([COLUMNS.map(column => labels[column.key]), ...rows]), 'utf8');
+}
+
+/**
+ * Load the tickets and names a report needs
+ * @param {object} request - Request from parseReportQuery
+ * @param {object} scope - Visibility scope (clientId for clients, assignedTo for administrators
+ *   without tickets.view_all)
+ * @returns {Promise<object>} { tickets, filters, companyName, engineerName, showCompany, timeZone, generatedAt }
+ */
+async function buildReportData(request, scope) {
+  const tickets = await getTicketsForReport(scope, request.filters);
+
+  let companyName = request.filters.company || null;
+  if (scope.clientId) {
+    const client = await getClientById(scope.clientId);
+    companyName = client?.company_name || null;
+  }
+
+  const engineerId = request.filters.assigned_engineer_id || scope.assignedTo;
+  const engineer = engineerId ? await getAdministratorById(engineerId) : null;
+
+  return {
+    tickets,
+    filters: request.filters,
+    companyName,
+    engineerName: engineer ? engineer.display_name || engineer.login : null,
+    showCompany: !scope.clientId && !request.filters.company,
+    timeZone: request.timeZone,
+    generatedAt: Math.floor(Date.now() / 1000),
+  };
+}
+
+/**
+ * Generate a ticket report
+ * @param {object} request - Request from parseReportQuery
+ * @param {object} scope - Visibility scope
+ * @param {string} [scope.clientId] - Only tickets of this company (clients)
+ * @param {string} [scope.assignedTo] - Only tickets assigned to this administrator
+ * @returns {Promise<{content: Buffer, contentType: string, filename: string}>} Report file
+ * @throws {Error} If too many tickets match (see getTicketsForReport)
+ */
+export async function generateReport(request, scope = {}) {
+  const report = await buildReportData(request, scope);
+  const labels = LABELS[request.lang];
+  const dates = createDateFormatters(request.lang, request.timeZone);
+
+  let content;
+  if (request.format === 'pdf') {
+    content = await renderPdf(report, labels, dates);
+  } else if (request.format === 'xlsx') {
+    content = await renderXlsx(report, labels, dates);
+  } else {
+    content = renderCsv(report, labels, dates);
+  }
+
+  const date = new Date(report.generatedAt * 1000).toISOString().slice(0, 10);
+  return {
+    content,
+    contentType: REPORT_FORMATS[request.format],
+    filename: `ticket-report-${date}.${request.format}`,
+  };
+}
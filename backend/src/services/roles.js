@@ -0,0 +1,186 @@
+/**
+ * Role Service
+ * Creating, editing and assigning administrator roles (master accounts only)
+ */
+
+import {
+  getAllRoles,
+  getRoleById,
+  createRole as insertRole,
+  updateRole as saveRole,
+  deleteRole as removeRole,
+  setAdministratorRole,
+} from '../models/Role.js';
+import { getAdministratorById } from '../models/Administrator.js';
+import { PERMISSIONS, PERMISSION_KEYS } from './permissions.js';
+
+/**
+ * Validate a list of permission keys
+ * @param {*} permissions - Value from the request
+ * @returns {Array<string>} Unique permission keys
+ * @throws {Error} If the value is not an array of known keys
+ */
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    throw new Error('Permissions must be an array');
+  }
+  const unknown = permissions.filter(permission => !PERMISSION_KEYS.has(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+  return [...new Set(permissions)];
+}
+
+/**
+ * Validate a role name
+ * @param {*} name - Value from the request
+ * @returns {string} Trimmed name
+ * @throws {Error} If the name is empty or too long
+ */
+function validateName(name) {
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    throw new Error('Role name is required');
+  }
+  if (name.trim().length > 50) {
+    throw new Error('Role name must be 50 characters or less');
+  }
+  return name.trim();
+}
+
+/**
+ * Validate an optional role description
+ * @param {*} description - Value from the request
+ * @returns {string|null} Trimmed description or null
+ * @throws {Error} If the description is too long
+ */
+function validateDescription(description) {
+  if (description === null || description === undefined || description === '') {
+    return null;
+  }
+  if (typeof description !== 'string' || description.trim().length > 200) {
+    throw new Error('Description must be 200 characters or less');
+  }
+  return description.trim() || null;
+}
+
+/**
+ * Build a role ID from its name ("Night shift" -> "night_shift")
+ * @param {string} name - Role name
+ * @returns {string} Role ID
+ * @throws {Error} If the name has no Latin letters or digits
+ */
+function toRoleId(name) {
+  const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+  if (!id) {
+    throw new Error('Role name must contain Latin letters or digits');
+  }
+  return id;
+}
+
+/**
+ * List roles with their permissions, together with the permission catalogue
+ * @returns {Promise<{roles: Array, permissions: Array}>} Roles and available permissions
+ */
+export async function listRoles() {
+  return {
+    roles: await getAllRoles(),
+    permissions: PERMISSIONS,
+  };
+}
+
+/**
+ * Create a custom role
+ * @param {object} data - Role data
+ * @param {string} data.name - Role name (its ID is derived from it)
+ * @param {string} [data.description] - Description
+ * @param {Array<string>} [data.permissions] - Permission keys
+ * @returns {Promise<object>} Created role
+ * @throws {Error} If the data is invalid or a role with the same ID exists
+ */
+export async function createRole(data = {}) {
+  const name = validateName(data.name);
+  const id = toRoleId(name);
+  if (await getRoleById(id)) {
+    throw new Error('Role already exists');
+  }
+
+  return insertRole({
+    id,
+    name,
+    description: validateDescription(data.description),
+    permissions: validatePermissions(data.permissions ?? []),
+  });
+}
+
+/**
+ * Update the name, description or permissions of a role
+ * System roles keep their name and description (the interface translates them); only their
+ * permissions can change.
+ * @param {string} roleId - Role ID
+ * @param {object} data - Fields to change (name, description, permissions)
+ * @returns {Promise<{role: object, previous: object}>} Updated role and the role before the change
+ * @throws {Error} If the role does not exist or the data is invalid
+ */
+export async function updateRole(roleId, data = {}) {
+  const previous = await getRoleById(roleId);
+  if (!previous) {
+    throw new Error('Role not found');
+  }
+  if (previous.is_system && (data.name !== undefined || data.description !== undefined)) {
+    throw new Error('System roles cannot be renamed');
+  }
+
+  const updates = {};
+  if (data.name !== undefined) {
+    updates.name = validateName(data.name);
+  }
+  if (data.description !== undefined) {
+    updates.description = validateDescription(data.description);
+  }
+  if (data.permissions !== undefined) {
+    updates.permissions = validatePermissions(data.permissions);
+  }
+
+  const role = await saveRole(roleId, updates);
+  return { role, previous };
+}
+
+/**
+ * Delete a custom role; its administrators get the default role
+ * @param {string} roleId - Role ID
+ * @returns {Promise<object>} Deleted role
+ * @throws {Error} If the role does not exist or is a system role
+ */
+export async function deleteRole(roleId) {
+  const role = await getRoleById(roleId);
+  if (!role) {
+    throw new Error('Role not found');
+  }
+  if (role.is_system) {
+    throw new Error('System roles cannot be deleted');
+  }
+
+  await removeRole(roleId);
+  return role;
+}
+
+/**
+ * Give an administrator a role
+ * @param {string} adminId - Administrator ID
+ * @param {string} roleId - Role ID
+ * @returns {Promise<{admin: object, role: object, previousRoleId: string}>} Administrator, new role and old role ID
+ * @throws {Error} If the administrator or role does not exist
+ */
+export async function assignAdminRole(adminId, roleId) {
+  const admin = await getAdministratorById(adminId);
+  if (!admin) {
+    throw new Error('Administrator not found');
+  }
+  const role = roleId && typeof roleId === 'string' ? await getRoleById(roleId) : null;
+  if (!role) {
+    throw new Error('Role not found');
+  }
+
+  await setAdministratorRole(adminId, role.id);
+  return { admin: await getAdministratorById(adminId), role, previousRoleId: admin.role_id };
+}
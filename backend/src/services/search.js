@@ -0,0 +1,155 @@
+/**
+ * Search Service
+ * Full-text search over tickets (description, serial number) and chat messages,
+ * backed by the FTS5 indexes of migration 023
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+import { activeCompanyCondition } from '../models/Client.js';
+
+/**
+ * Default and largest number of results per group (tickets, messages)
+ */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+/**
+ * Longest accepted query and largest number of words used from it
+ */
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 10;
+
+/**
+ * Markers snippet() puts around matched words; control characters cannot occur in
+ * text typed into the forms, so they never clash with message content
+ */
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+/**
+ * Build an FTS5 MATCH expression from a user's query
+ * Every word becomes a quoted prefix term ("pump"*), so FTS5 operators and quotes typed
+ * by the user are taken literally and partial words still match. Words are ANDed.
+ * @param {*} query - Query from the request (?q=)
+ * @returns {string} MATCH expression
+ * @throws {Error} If the query is missing, too short or too long
+ */
+function buildMatchExpression(query) {
+  if (typeof query !== 'string' || query.trim().length === 0) {
+    throw new Error('Search query is required');
+  }
+  const text = query.trim();
+  if (text.length < 2) {
+    throw new Error('Search query must be at least 2 characters');
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Search query must be ${MAX_QUERY_LENGTH} characters or less`);
+  }
+
+  const terms = text
+    .split(/\s+/)
+    .map(word => word.replace(/"/g, ''))
+    .filter(word => /[\p{L}\p{N}]/u.test(word))
+    .slice(0, MAX_TERMS);
+  if (terms.length === 0) {
+    throw new Error('Search query must contain letters or digits');
+  }
+
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+/**
+ * Split a snippet with match markers into parts, so clients can highlight matches
+ * without the server returning HTML
+ * @param {string|null} snippet - Snippet from snippet()
+ * @returns {Array<{text: string, match: boolean}>} Parts in order
+ */
+function toSnippetParts(snippet) {
+  const parts = [];
+  for (const [index, chunk] of (snippet || '').split(MATCH_START).entries()) {
+    if (index === 0) {
+      if (chunk) parts.push({ text: chunk, match: false });
+      continue;
+    }
+    const [matched, rest = ''] = chunk.split(MATCH_END);
+    if (matched) parts.push({ text: matched, match: true });
+    if (rest) parts.push({ text: rest, match: false });
+  }
+  return parts;
+}
+
+/**
+ * Build the WHERE conditions that restrict results to the tickets a user may see
+ * (tickets of deleted companies are never found)
+ * @param {object} scope - Visibility scope
+ * @param {string} [scope.clientId] - Only tickets of this company (clients)
+ * @param {string} [scope.assignedTo] - Only tickets assigned to this administrator
+ * @returns {{sql: string, params: Array}} Conditions on the tickets alias `t`
+ */
+function buildScopeConditions(scope) {
+  let sql = ` AND ${activeCompanyCondition('t')}`;
+  const params = [];
+  if (scope.clientId) {
+    sql += ' AND t.client_id = ?';
+    params.push(scope.clientId);
+  }
+  if (scope.assignedTo) {
+    sql += ' AND t.assigned_engineer_id = ?';
+    params.push(scope.assignedTo);
+  }
+  return { sql, params };
+}
+
+/**
+ * Search tickets and chat messages
+ * Results of each group are ordered by relevance (bm25; a serial number match weighs more
+ * than a match in the description).
+ * @param {string} query - User's query
+ * @param {object} scope - Visibility scope
+ * @param {string} [scope.clientId] - Only tickets of this company (clients)
+ * @param {string} [scope.assignedTo] - Only tickets assigned to this administrator
+ * @param {boolean} [scope.includeInternal=false] - Whether internal notes are searched
+ * @param {object} [options] - Options
+ * @param {number|string} [options.limit] - Results per group (default 20, at most 50)
+ * @returns {Promise<{query: string, tickets: Array, messages: Array}>} Matching tickets and messages;
+ *   each result has a `snippet` array of { text, match } parts
+ * @throws {Error} If the query is invalid
+ */
+export async function search(query, scope = {}, { limit } = {}) {
+  const match = buildMatchExpression(query);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const conditions = buildScopeConditions(scope);
+  const db = getDatabase();
+
+  const tickets = await db.all(
+    `SELECT t.id as ticket_id, t.serial_number, t.company_name, t.status, t.priority,
+            t.submitted_at, t.updated_at,
+            snippet(tickets_fts, -1, ?, ?, '…', 16) as snippet
+     FROM tickets_fts
+     JOIN tickets t ON t.id = tickets_fts.ticket_id
+     WHERE tickets_fts MATCH ?${conditions.sql}
+     ORDER BY bm25(tickets_fts, 0, 2.0, 1.0)
+     LIMIT ?`,
+    [MATCH_START, MATCH_END, match, ...conditions.params, pageSize]
+  );
+
+  const messages = await db.all(
+    `SELECT m.id as message_id, m.ticket_id, m.sender_role, m.message_type, m.created_at,
+            t.serial_number, t.company_name, t.status,
+            snippet(chat_messages_fts, 2, ?, ?, '…', 16) as snippet
+     FROM chat_messages_fts
+     JOIN chat_messages m ON m.id = chat_messages_fts.message_id
+     JOIN tickets t ON t.id = m.ticket_id
+     WHERE chat_messages_fts MATCH ?${conditions.sql}
+       ${scope.includeInternal ? '' : "AND m.message_type = 'public'"}
+     ORDER BY bm25(chat_messages_fts)
+     LIMIT ?`,
+    [MATCH_START, MATCH_END, match, ...conditions.params, pageSize]
+  );
+
+  return {
+    query: query.trim(),
+    tickets: tickets.map(row => ({ ...row, snippet: toSnippetParts(row.snippet) })),
+    messages: messages.map(row => ({ ...row, snippet: toSnippetParts(row.snippet) })),
+  };
+}
@@ -0,0 +1,259 @@
+/**
+ * Session Service
+ * Issues short-lived access tokens and rotating refresh tokens backed by server-side sessions
+ *
+ * - Login creates a session and returns an access token (JWT carrying the session ID)
+ *   and an opaque refresh token.
+ * - Access tokens are only accepted while their session is active, so revoking a
+ *   session takes effect immediately rather than when the JWT expires.
+ * - Each refresh replaces the refresh token. Presenting an already replaced refresh
+ *   token means it was copied, so the whole session is revoked.
+ * - A session expires after SESSION_IDLE_MINUTES without a refresh, and after
+ *   SESSION_MAX_DAYS regardless of activity.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { generateToken, getUserById, getAccountId } from './auth.js';
+import { disconnectSessions } from './realtime.js';
+import {
+  createSession,
+  getSessionById,
+  getSessionByRefreshTokenHash,
+  rotateSessionRefreshToken,
+  getActiveSessionsByUser,
+  revokeSession,
+  revokeSessionsByUser,
+  deleteSessionsEndedBefore,
+} from '../models/Session.js';
+
+/**
+ * Access token lifetime (in seconds)
+ * @type {number}
+ */
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '15', 10) * 60;
+
+/**
+ * Idle timeout: a session ends if it is not refreshed within this time (in seconds)
+ * @type {number}
+ */
+export const SESSION_IDLE_SECONDS = parseInt(process.env.SESSION_IDLE_MINUTES || '420', 10) * 60;
+
+/**
+ * Maximum session lifetime regardless of activity (in seconds)
+ * @type {number}
+ */
+export const SESSION_MAX_SECONDS = parseInt(process.env.SESSION_MAX_DAYS || '7', 10) * 24 * 60 * 60;
+
+/**
+ * How long ended sessions are kept before being deleted (in seconds)
+ */
+const ENDED_SESSION_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Convert a token role to the role stored with sessions
+ * @param {string} role - 'client' or 'admin'
+ * @returns {string} 'client' or 'administrator'
+ */
+function toSessionRole(role) {
+  return role === 'admin' ? 'administrator' : role;
+}
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} refreshToken - Refresh token
+ * @returns {string} Hex SHA-256
+ */
+function hashRefreshToken(refreshToken) {
+  return createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Issue an access token for a session
+ * @param {object} user - User (id, login, role)
+ * @param {string} sessionId - Session ID
+ * @returns {string} Access token (JWT)
+ */
+function issueAccessToken(user, sessionId) {
+  return generateToken(
+    { id: getAccountId(user), login: user.login, role: user.role, sid: sessionId },
+    ACCESS_TOKEN_TTL_SECONDS
+  );
+}
+
+/**
+ * Convert a session to its API representation
+ * @param {object} session - Session row
+ * @param {string|null} currentSessionId - Session of the requesting access token
+ * @returns {object} Public session object
+ */
+function toPublicSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    user_agent: session.user_agent,
+    ip_address: session.ip_address,
+    created_at: session.created_at,
+    last_used_at: session.last_used_at,
+    expires_at: Math.min(session.expires_at, session.absolute_expires_at),
+    current: session.id === currentSessionId,
+  };
+}
+
+/**
+ * Start a session for an authenticated user
+ * @param {object} user - Authenticated user (id, login, role)
+ * @param {object} client - Request details
+ * @param {string} [client.userAgent] - User-Agent header
+ * @param {string} [client.ipAddress] - Client IP address
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: string}>} Tokens
+ */
+export async function startSession(user, client = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const refreshToken = randomBytes(32).toString('base64url');
+  const absoluteExpiresAt = now + SESSION_MAX_SECONDS;
+
+  const session = await createSession({
+    id: `sess-${randomBytes(12).toString('hex')}`,
+    userId: getAccountId(user),
+    userRole: toSessionRole(user.role),
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    userAgent: client.userAgent ? client.userAgent.substring(0, 500) : null,
+    ipAddress: client.ipAddress || null,
+    expiresAt: Math.min(now + SESSION_IDLE_SECONDS, absoluteExpiresAt),
+    absoluteExpiresAt,
+  });
+
+  // Housekeeping: drop sessions that ended long ago
+  await deleteSessionsEndedBefore(now - ENDED_SESSION_RETENTION_SECONDS);
+
+  return {
+    token: issueAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId: session.id,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: string}|null>}
+ *   New tokens, or null if the refresh token is invalid, expired or was already used
+ */
+export async function refreshSession(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const currentHash = hashRefreshToken(refreshToken);
+  const session = await getSessionByRefreshTokenHash(currentHash);
+
+  if (!session || session.revoked_at || session.expires_at <= now) {
+    return null;
+  }
+
+  if (session.is_previous_token) {
+    // A replaced refresh token came back: someone else holds a copy of it
+    await endSessions([session.id], 'refresh_token_reuse');
+    console.warn(`Refresh token reuse detected, session ${session.id} revoked`);
+    return null;
+  }
+
+  const role = session.user_role === 'administrator' ? 'admin' : session.user_role;
+  const user = await getUserById(session.user_id, role);
+  if (!user) {
+    await endSessions([session.id], 'account_deleted');
+    return null;
+  }
+
+  const newRefreshToken = randomBytes(32).toString('base64url');
+  const rotated = await rotateSessionRefreshToken(
+    session.id,
+    currentHash,
+    hashRefreshToken(newRefreshToken),
+    Math.min(now + SESSION_IDLE_SECONDS, session.absolute_expires_at)
+  );
+  if (!rotated) {
+    // Lost a race with a concurrent refresh using the same token
+    return null;
+  }
+
+  return {
+    token: issueAccessToken(user, session.id),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId: session.id,
+  };
+}
+
+/**
+ * Check that the session of an access token is still active
+ * @param {string} sessionId - Session ID from the access token
+ * @param {string} userId - User ID from the access token
+ * @returns {Promise<boolean>} True if the session exists, belongs to the user and is active
+ */
+export async function isSessionActive(sessionId, userId) {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await getSessionById(sessionId);
+  const now = Math.floor(Date.now() / 1000);
+  return !!session && session.user_id === userId && !session.revoked_at && session.expires_at > now;
+}
+
+/**
+ * Revoke sessions and close their event streams
+ * @param {string[]} sessionIds - Session IDs
+ * @param {string} reason - Why the sessions are revoked
+ */
+async function endSessions(sessionIds, reason) {
+  for (const sessionId of sessionIds) {
+    await revokeSession(sessionId, reason);
+  }
+  disconnectSessions(sessionIds);
+}
+
+/**
+ * List the active sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} role - 'client' or 'admin'
+ * @param {string|null} currentSessionId - Session of the requesting access token (flagged as current)
+ * @returns {Promise<Array>} Public session objects
+ */
+export async function listUserSessions(userId, role, currentSessionId = null) {
+  const sessions = await getActiveSessionsByUser(userId, toSessionRole(role));
+  return sessions.map(session => toPublicSession(session, currentSessionId));
+}
+
+/**
+ * Revoke one session of a user
+ * @param {string} userId - User ID
+ * @param {string} role - 'client' or 'admin'
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why the session is revoked
+ * @returns {Promise<boolean>} True if revoked, false if the user has no such active session
+ */
+export async function revokeUserSession(userId, role, sessionId, reason = 'revoked') {
+  const session = await getSessionById(sessionId);
+  if (!session || session.user_id !== userId || session.user_role !== toSessionRole(role) || session.revoked_at) {
+    return false;
+  }
+
+  await endSessions([sessionId], reason);
+  return true;
+}
+
+/**
+ * Revoke all sessions of a user (after a password change, recovery or account deletion)
+ * @param {string} userId - User ID
+ * @param {string} role - 'client' or 'admin'
+ * @param {string} reason - Why the sessions are revoked
+ * @param {string|null} exceptSessionId - Session to keep
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export async function revokeAllUserSessions(userId, role, reason, exceptSessionId = null) {
+  const sessionIds = await revokeSessionsByUser(userId, toSessionRole(role), reason, exceptSessionId);
+  disconnectSessions(sessionIds);
+  return sessionIds.length;
+}
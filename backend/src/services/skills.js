@@ -0,0 +1,201 @@
+/**
+ * Skill Service
+ * Handles the skill catalog, administrator skills and required-skill inference
+ *
+ * Inference (on ticket creation and when the category changes):
+ * 1. Serial number prefix - the skill with the longest prefix matching the start
+ *    of the serial number (case-insensitive) wins.
+ * 2. Category - otherwise the first skill (by name) mapped to the ticket category.
+ * 3. No match - the ticket has no required skill and any administrator can take it.
+ */
+
+import {
+  createSkill,
+  getSkillById,
+  getSkillByName,
+  getAllSkills,
+  updateSkill,
+  deleteSkill,
+  getSkillIdsByAdministratorId,
+  setAdministratorSkills,
+} from '../models/Skill.js';
+import { getAdministratorById } from '../models/Administrator.js';
+import { TICKET_CATEGORIES } from './tickets.js';
+
+/**
+ * Normalize comma-separated serial prefixes ("cn, dl" -> "CN,DL")
+ * @param {string|null|undefined} value - Raw prefixes
+ * @returns {string|null} Normalized prefixes or null if none
+ */
+function normalizeSerialPrefixes(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const prefixes = String(value)
+    .split(',')
+    .map(prefix => prefix.trim().toUpperCase())
+    .filter(prefix => prefix.length > 0);
+  return prefixes.length > 0 ? [...new Set(prefixes)].join(',') : null;
+}
+
+/**
+ * Validate skill data
+ * @param {object} data - Skill data (snake_case, as received from the API)
+ * @param {boolean} partial - If true, only validate provided fields
+ * @throws {Error} If validation fails
+ */
+function validateSkillData(data, partial = false) {
+  if (!partial || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+      throw new Error('Skill name is required');
+    }
+    if (data.name.trim().length > 50) {
+      throw new Error('Skill name must be 50 characters or less');
+    }
+  }
+
+  if (data.category !== undefined && data.category !== null && data.category !== '') {
+    if (!TICKET_CATEGORIES.includes(data.category)) {
+      throw new Error(`category must be one of: ${TICKET_CATEGORIES.join(', ')}`);
+    }
+  }
+
+  if (data.serial_prefixes !== undefined && data.serial_prefixes !== null && typeof data.serial_prefixes !== 'string') {
+    throw new Error('serial_prefixes must be a comma-separated string');
+  }
+}
+
+/**
+ * Get all skills
+ * @returns {Promise<Array>} Array of skill objects
+ */
+export async function listSkills() {
+  return await getAllSkills();
+}
+
+/**
+ * Create skill
+ * @param {object} data - Skill data
+ * @param {string} data.name - Display name
+ * @param {string|null} data.category - Ticket category the skill is inferred from
+ * @param {string|null} data.serial_prefixes - Comma-separated serial number prefixes
+ * @returns {Promise<object>} Created skill object
+ */
+export async function createNewSkill(data) {
+  validateSkillData(data);
+
+  const name = data.name.trim();
+  if (await getSkillByName(name)) {
+    throw new Error('Skill with this name already exists');
+  }
+
+  return await createSkill({
+    id: `skill-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    name,
+    category: data.category || null,
+    serialPrefixes: normalizeSerialPrefixes(data.serial_prefixes),
+  });
+}
+
+/**
+ * Update skill
+ * @param {string} skillId - Skill ID
+ * @param {object} data - Fields to update (same as createNewSkill, all optional)
+ * @returns {Promise<object|null>} Updated skill object or null if not found
+ */
+export async function updateExistingSkill(skillId, data) {
+  validateSkillData(data, true);
+
+  const skill = await getSkillById(skillId);
+  if (!skill) {
+    return null;
+  }
+
+  const updates = {};
+  if (data.name !== undefined) {
+    const name = data.name.trim();
+    const existing = await getSkillByName(name);
+    if (existing && existing.id !== skillId) {
+      throw new Error('Skill with this name already exists');
+    }
+    updates.name = name;
+  }
+  if (data.category !== undefined) updates.category = data.category || null;
+  if (data.serial_prefixes !== undefined) updates.serial_prefixes = normalizeSerialPrefixes(data.serial_prefixes);
+
+  return await updateSkill(skillId, updates);
+}
+
+/**
+ * Delete skill
+ * @param {string} skillId - Skill ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function removeSkill(skillId) {
+  return await deleteSkill(skillId);
+}
+
+/**
+ * Get skill IDs of an administrator
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<string[]>} Array of skill IDs
+ */
+export async function getAdminSkills(adminId) {
+  return await getSkillIdsByAdministratorId(adminId);
+}
+
+/**
+ * Replace the skills of an administrator
+ * @param {string} adminId - Administrator ID
+ * @param {string[]} skillIds - Skill IDs
+ * @returns {Promise<string[]|null>} Skill IDs after update, or null if administrator not found
+ */
+export async function setAdminSkills(adminId, skillIds) {
+  if (!Array.isArray(skillIds) || skillIds.some(id => typeof id !== 'string')) {
+    throw new Error('skills must be an array of skill IDs');
+  }
+
+  const admin = await getAdministratorById(adminId);
+  if (!admin) {
+    return null;
+  }
+
+  const uniqueIds = [...new Set(skillIds)];
+  for (const skillId of uniqueIds) {
+    if (!(await getSkillById(skillId))) {
+      throw new Error(`Unknown skill: ${skillId}`);
+    }
+  }
+
+  return await setAdministratorSkills(adminId, uniqueIds);
+}
+
+/**
+ * Infer the skill a ticket requires from its serial number prefix or category
+ * @param {object} ticket - Ticket data
+ * @param {string} ticket.serial_number - Equipment serial number
+ * @param {string} ticket.category - Ticket category
+ * @returns {Promise<string|null>} Skill ID or null if no skill matches
+ */
+export async function inferRequiredSkill(ticket) {
+  const skills = await getAllSkills();
+  const serial = (ticket.serial_number || '').trim().toUpperCase();
+
+  let bestMatch = null;
+  let bestLength = 0;
+  for (const skill of skills) {
+    const prefixes = skill.serial_prefixes ? skill.serial_prefixes.split(',') : [];
+    for (const prefix of prefixes) {
+      if (prefix.length > bestLength && serial.startsWith(prefix)) {
+        bestMatch = skill;
+        bestLength = prefix.length;
+      }
+    }
+  }
+  if (bestMatch) {
+    return bestMatch.id;
+  }
+
+  const categorySkill = skills.find(skill => skill.category && skill.category === ticket.category);
+  return categorySkill ? categorySkill.id : null;
+}
@@ -0,0 +1,431 @@
+/**
+ * SLA Service
+ * Handles SLA policies, per-ticket deadlines and the breach detection scheduler
+ *
+ * Deadlines:
+ * - When a ticket is created, the most specific matching policy is applied:
+ *   company + priority, company only, priority only, then the default policy.
+ *   Changing a ticket's priority re-applies the matching policy.
+ * - Response/resolution commitments of the service contract covering the
+ *   ticket's equipment take precedence over the policy targets.
+ * - first_response_due_at / resolution_due_at are calendar deadlines (submitted_at + target).
+ * - The first response is the first administrator chat message or the first
+ *   status change away from 'new', whichever happens first.
+ *
+ * Scheduler:
+ * - Every SLA_CHECK_INTERVAL_SECONDS the open tickets are scanned.
+ * - Within SLA_WARNING_MINUTES of a deadline the assigned engineer gets an
+ *   `sla_breach` notification with stage 'warning' (dispatchers if unassigned).
+ * - Once a deadline passes the engineer and all dispatchers (administrators with
+ *   the tickets.assign permission, master accounts included) get an
+ *   `sla_breach` notification with stage 'breached' (escalation).
+ * - Each stage is sent once per ticket and deadline (tracked in sla_*_at columns).
+ */
+
+import { getDatabase } from '../database/sqlite.js';
+import {
+  DEFAULT_SLA_POLICY_ID,
+  createSlaPolicy,
+  getSlaPolicyById,
+  getAllSlaPolicies,
+  getSlaPolicyByScope,
+  updateSlaPolicy,
+  deleteSlaPolicy,
+} from '../models/SlaPolicy.js';
+import { getTicketById } from '../models/Ticket.js';
+import { activeCompanyCondition } from '../models/Client.js';
+import { getServiceContractById } from '../models/ServiceContract.js';
+import { getAdministratorsWithPermission } from './permissions.js';
+import { createNotificationEvent } from './notifications.js';
+import { publishTicketEvent } from './realtime.js';
+import { TICKET_PRIORITIES } from './tickets.js';
+
+const SLA_CHECK_INTERVAL_SECONDS = parseInt(process.env.SLA_CHECK_INTERVAL_SECONDS || '60', 10);
+const SLA_WARNING_MINUTES = parseInt(process.env.SLA_WARNING_MINUTES || '30', 10);
+
+/**
+ * Ticket statuses for which SLA deadlines no longer apply
+ * @type {string[]}
+ */
+const SLA_STOPPED_STATUSES = ['resolved', 'closed'];
+
+let schedulerTimer = null;
+let checkInProgress = false;
+
+/**
+ * Get the warning window in seconds
+ * @returns {number} Seconds before a deadline at which a ticket counts as "breaching soon"
+ */
+export function getSlaWarningSeconds() {
+  return SLA_WARNING_MINUTES * 60;
+}
+
+/**
+ * Validate SLA policy data
+ * @param {object} data - Policy data (snake_case, as received from the API)
+ * @param {boolean} partial - If true, only validate provided fields
+ * @throws {Error} If validation fails
+ */
+function validatePolicyData(data, partial = false) {
+  if (!partial || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+      throw new Error('Policy name is required');
+    }
+    if (data.name.trim().length > 100) {
+      throw new Error('Policy name must be 100 characters or less');
+    }
+  }
+
+  for (const field of ['response_minutes', 'resolution_minutes']) {
+    if (!partial || data[field] !== undefined) {
+      if (!Number.isInteger(data[field]) || data[field] <= 0) {
+        throw new Error(`${field} must be a positive integer`);
+      }
+    }
+  }
+
+  for (const field of ['company_name', 'priority']) {
+    if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+      throw new Error(`${field} must be a string or null`);
+    }
+  }
+
+  const priority = normalizeScopeValue(data.priority);
+  if (priority && !TICKET_PRIORITIES.includes(priority)) {
+    throw new Error(`priority must be one of: ${TICKET_PRIORITIES.join(', ')}`);
+  }
+}
+
+/**
+ * Normalize optional scope value (empty string means "any")
+ * @param {string|null|undefined} value - Raw value
+ * @returns {string|null} Trimmed value or null
+ */
+function normalizeScopeValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Get all SLA policies
+ * @returns {Promise<Array>} Array of policy objects
+ */
+export async function listSlaPolicies() {
+  return await getAllSlaPolicies();
+}
+
+/**
+ * Create SLA policy
+ * @param {object} data - Policy data
+ * @param {string} data.name - Policy name
+ * @param {string|null} data.company_name - Company name (null/empty for any)
+ * @param {string|null} data.priority - Priority (null/empty for any)
+ * @param {number} data.response_minutes - First-response target in minutes
+ * @param {number} data.resolution_minutes - Resolution target in minutes
+ * @returns {Promise<object>} Created policy object
+ */
+export async function createPolicy(data) {
+  validatePolicyData(data);
+
+  const companyName = normalizeScopeValue(data.company_name);
+  const priority = normalizeScopeValue(data.priority);
+
+  if (await getSlaPolicyByScope(companyName, priority)) {
+    throw new Error('SLA policy for this company and priority already exists');
+  }
+
+  return await createSlaPolicy({
+    name: data.name.trim(),
+    companyName,
+    priority,
+    responseMinutes: data.response_minutes,
+    resolutionMinutes: data.resolution_minutes,
+  });
+}
+
+/**
+ * Update SLA policy
+ * Existing tickets keep their deadlines; new targets apply to tickets created afterwards.
+ * @param {number} policyId - Policy ID
+ * @param {object} data - Fields to update (same as createPolicy, all optional)
+ * @returns {Promise<object|null>} Updated policy object or null if not found
+ */
+export async function updatePolicy(policyId, data) {
+  validatePolicyData(data, true);
+
+  const policy = await getSlaPolicyById(policyId);
+  if (!policy) {
+    return null;
+  }
+
+  const updates = {};
+  if (data.name !== undefined) updates.name = data.name.trim();
+  if (data.response_minutes !== undefined) updates.response_minutes = data.response_minutes;
+  if (data.resolution_minutes !== undefined) updates.resolution_minutes = data.resolution_minutes;
+
+  if (data.company_name !== undefined || data.priority !== undefined) {
+    if (policy.id === DEFAULT_SLA_POLICY_ID) {
+      throw new Error('Default SLA policy scope cannot be changed');
+    }
+
+    const companyName = data.company_name !== undefined ? normalizeScopeValue(data.company_name) : policy.company_name;
+    const priority = data.priority !== undefined ? normalizeScopeValue(data.priority) : policy.priority;
+    const existing = await getSlaPolicyByScope(companyName, priority);
+    if (existing && existing.id !== policy.id) {
+      throw new Error('SLA policy for this company and priority already exists');
+    }
+
+    updates.company_name = companyName;
+    updates.priority = priority;
+  }
+
+  return await updateSlaPolicy(policyId, updates);
+}
+
+/**
+ * Delete SLA policy
+ * Tickets that used the policy keep their deadlines.
+ * @param {number} policyId - Policy ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+export async function removePolicy(policyId) {
+  if (policyId === DEFAULT_SLA_POLICY_ID) {
+    throw new Error('Default SLA policy cannot be deleted');
+  }
+  return await deleteSlaPolicy(policyId);
+}
+
+/**
+ * Find the most specific policy for a ticket
+ * @param {object} ticket - Ticket object (company_name, optional priority)
+ * @returns {Promise<object|null>} Matching policy or null
+ */
+export async function findPolicyForTicket(ticket) {
+  const db = getDatabase();
+  const policy = await db.get(
+    `SELECT * FROM sla_policies
+     WHERE (company_name IS NULL OR company_name = ?)
+       AND (priority IS NULL OR priority = ?)
+     ORDER BY company_name IS NOT NULL DESC, priority IS NOT NULL DESC, id ASC
+     LIMIT 1`,
+    [ticket.company_name, ticket.priority || null]
+  );
+  return policy || null;
+}
+
+/**
+ * Apply the matching SLA policy to a ticket and (re)calculate its deadlines
+ * Warning/breach markers are reset, so notifications are sent again for the new deadlines.
+ * @param {string} ticketId - Ticket ID
+ * @param {number|null} startAt - Unix timestamp the clock starts at (defaults to submitted_at)
+ * @returns {Promise<object|null>} Updated ticket object or null if not found
+ */
+export async function applySlaPolicy(ticketId, startAt = null) {
+  const db = getDatabase();
+  const ticket = await getTicketById(ticketId);
+  if (!ticket) {
+    return null;
+  }
+
+  const policy = await findPolicyForTicket(ticket);
+  if (!policy) {
+    return ticket;
+  }
+
+  const contract = ticket.service_contract_id
+    ? await getServiceContractById(ticket.service_contract_id)
+    : null;
+  const responseMinutes = contract?.response_minutes ?? policy.response_minutes;
+  const resolutionMinutes = contract?.resolution_minutes ?? policy.resolution_minutes;
+
+  const start = startAt || ticket.submitted_at;
+  await db.run(
+    `UPDATE tickets
+     SET sla_policy_id = ?,
+         first_response_due_at = ?,
+         resolution_due_at = ?,
+         sla_response_warned_at = NULL,
+         sla_response_breached_at = NULL,
+         sla_resolution_warned_at = NULL,
+         sla_resolution_breached_at = NULL
+     WHERE id = ?`,
+    [
+      policy.id,
+      start + responseMinutes * 60,
+      start + resolutionMinutes * 60,
+      ticketId,
+    ]
+  );
+
+  return await getTicketById(ticketId);
+}
+
+/**
+ * Record the first response on a ticket (no-op if already recorded)
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<boolean>} True if this call recorded the first response
+ */
+export async function recordFirstResponse(ticketId) {
+  const db = getDatabase();
+  const now = Math.floor(Date.now() / 1000);
+  const result = await db.run(
+    'UPDATE tickets SET first_response_at = ? WHERE id = ? AND first_response_at IS NULL',
+    [now, ticketId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Send sla_breach notifications for a ticket
+ * @param {object} ticket - Ticket object
+ * @param {string} slaType - 'response' or 'resolution'
+ * @param {string} stage - 'warning' or 'breached'
+ * @param {Array} dispatchers - Administrators who can assign tickets
+ * @param {number} dueAt - Deadline (Unix timestamp)
+ */
+async function notifySlaEvent(ticket, slaType, stage, dispatchers, dueAt) {
+  const recipients = new Set();
+  if (ticket.assigned_engineer_id) {
+    recipients.add(ticket.assigned_engineer_id);
+  }
+  // Escalate actual breaches (and warnings nobody owns) to whoever can reassign the ticket
+  if (stage === 'breached' || !ticket.assigned_engineer_id) {
+    dispatchers.forEach(dispatcher => recipients.add(dispatcher.id));
+  }
+
+  const entityData = {
+    ticket_id: ticket.id,
+    company_name: ticket.company_name,
+    sla_type: slaType,
+    stage,
+    due_at: dueAt,
+    assigned_engineer_id: ticket.assigned_engineer_id || null,
+  };
+
+  for (const adminId of recipients) {
+    await createNotificationEvent(adminId, 'administrator', 'sla_breach', ticket.id, entityData);
+  }
+}
+
+/**
+ * Scan open tickets for upcoming and actual SLA breaches
+ * @param {number} now - Current Unix timestamp (injectable for testing)
+ * @returns {Promise<{warnings: number, breaches: number}>} Number of warning and breach stages triggered
+ */
+export async function checkSlaDeadlines(now = Math.floor(Date.now() / 1000)) {
+  const db = getDatabase();
+  const warnAt = now + getSlaWarningSeconds();
+  const stoppedPlaceholders = SLA_STOPPED_STATUSES.map(() => '?').join(', ');
+
+  const tickets = await db.all(
+    `SELECT * FROM tickets
+     WHERE status NOT IN (${stoppedPlaceholders})
+       AND ${activeCompanyCondition('tickets')}
+       AND (
+         (first_response_at IS NULL AND first_response_due_at <= ? AND sla_response_breached_at IS NULL)
+         OR (resolution_due_at <= ? AND sla_resolution_breached_at IS NULL)
+       )`,
+    [...SLA_STOPPED_STATUSES, warnAt, warnAt]
+  );
+
+  if (tickets.length === 0) {
+    return { warnings: 0, breaches: 0 };
+  }
+
+  const dispatchers = await getAdministratorsWithPermission('tickets.assign');
+  let warnings = 0;
+  let breaches = 0;
+
+  for (const ticket of tickets) {
+    const deadlines = [
+      { type: 'response', dueAt: ticket.first_response_due_at, done: ticket.first_response_at !== null, prefix: 'sla_response' },
+      { type: 'resolution', dueAt: ticket.resolution_due_at, done: false, prefix: 'sla_resolution' },
+    ];
+
+    const markers = {};
+    for (const deadline of deadlines) {
+      if (deadline.done || deadline.dueAt === null) {
+        continue;
+      }
+
+      if (deadline.dueAt <= now && ticket[`${deadline.prefix}_breached_at`] === null) {
+        markers[`${deadline.prefix}_breached_at`] = now;
+        // A breach implies the warning stage - don't send a separate warning afterwards
+        if (ticket[`${deadline.prefix}_warned_at`] === null) {
+          markers[`${deadline.prefix}_warned_at`] = now;
+        }
+        await notifySlaEvent(ticket, deadline.type, 'breached', dispatchers, deadline.dueAt);
+        breaches++;
+      } else if (deadline.dueAt <= warnAt && deadline.dueAt > now && ticket[`${deadline.prefix}_warned_at`] === null) {
+        markers[`${deadline.prefix}_warned_at`] = now;
+        await notifySlaEvent(ticket, deadline.type, 'warning', dispatchers, deadline.dueAt);
+        warnings++;
+      }
+    }
+
+    const columns = Object.keys(markers);
+    if (columns.length === 0) {
+      continue;
+    }
+
+    // Bump updated_at so incremental (?since=) polling picks up the new SLA state
+    await db.run(
+      `UPDATE tickets SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [...columns.map(column => markers[column]), now, ticket.id]
+    );
+
+    publishTicketEvent(ticket, 'ticket_updated', {
+      ticket_id: ticket.id,
+      status: ticket.status,
+      updated_at: now,
+    });
+  }
+
+  return { warnings, breaches };
+}
+
+/**
+ * Start the SLA scheduler (runs an initial check immediately)
+ * @param {number} intervalSeconds - Check interval in seconds
+ */
+export function startSlaScheduler(intervalSeconds = SLA_CHECK_INTERVAL_SECONDS) {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const runCheck = async () => {
+    // Skip a tick if the previous scan is still running
+    if (checkInProgress) {
+      return;
+    }
+    checkInProgress = true;
+    try {
+      const { warnings, breaches } = await checkSlaDeadlines();
+      if (warnings > 0 || breaches > 0) {
+        console.log(`SLA check: ${warnings} warning(s), ${breaches} breach(es)`);
+      }
+    } catch (error) {
+      console.error('Error checking SLA deadlines:', error);
+    } finally {
+      checkInProgress = false;
+    }
+  };
+
+  schedulerTimer = setInterval(runCheck, intervalSeconds * 1000);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref?.();
+  runCheck();
+}
+
+/**
+ * Stop the SLA scheduler
+ */
+export function stopSlaScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Ticket History Service
+ * Records who changed which ticket field and when, and returns the timeline for a ticket
+ */
+
+import { createTicketEvent, getTicketEventsByTicketId } from '../models/TicketEvent.js';
+import { getAdministratorById } from '../models/Administrator.js';
+import { getClientById } from '../models/Client.js';
+import { getContactPersonById } from '../models/ContactPerson.js';
+
+/**
+ * Ticket fields tracked in history
+ * @type {string[]}
+ */
+const TRACKED_FIELDS = ['status', 'assigned_engineer_id', 'estimated_completion_at', 'priority', 'category'];
+
+/**
+ * Normalize actor to { id, role } with role 'client', 'administrator' or 'system'
+ * @param {object|null} actor - Authenticated user (req.user) or null for system actions
+ * @returns {{id: string|null, role: string}} Normalized actor
+ */
+function normalizeActor(actor) {
+  if (!actor || !actor.id) {
+    return { id: null, role: 'system' };
+  }
+  return {
+    id: actor.contact_id || actor.id,
+    role: actor.role === 'admin' ? 'administrator' : actor.role,
+  };
+}
+
+/**
+ * Record ticket creation
+ * @param {object} ticket - Created ticket object
+ * @param {object|null} actor - User who created the ticket
+ * @returns {Promise<void>}
+ */
+export async function recordTicketCreated(ticket, actor) {
+  const { id, role } = normalizeActor(actor);
+  await createTicketEvent({
+    ticketId: ticket.id,
+    actorId: id,
+    actorRole: role,
+    field: 'created',
+    oldValue: null,
+    newValue: ticket.status,
+  });
+}
+
+/**
+ * Record every tracked field that differs between two versions of a ticket
+ * @param {object} oldTicket - Ticket before update
+ * @param {object} newTicket - Ticket after update
+ * @param {object|null} actor - User who made the change (null for system)
+ * @returns {Promise<number>} Number of recorded events
+ */
+export async function recordTicketChanges(oldTicket, newTicket, actor) {
+  const { id, role } = normalizeActor(actor);
+  let recorded = 0;
+
+  for (const field of TRACKED_FIELDS) {
+    const oldValue = oldTicket[field] ?? null;
+    const newValue = newTicket[field] ?? null;
+    if (oldValue === newValue) {
+      continue;
+    }
+
+    await createTicketEvent({
+      ticketId: newTicket.id,
+      actorId: id,
+      actorRole: role,
+      field,
+      oldValue,
+      newValue,
+    });
+    recorded++;
+  }
+
+  return recorded;
+}
+
+/**
+ * Resolve display name for an administrator ID (cached per request)
+ * @param {string|null} adminId - Administrator ID
+ * @param {Map<string, string|null>} cache - Name cache
+ * @returns {Promise<string|null>} Display name or null
+ */
+async function resolveAdminName(adminId, cache) {
+  if (!adminId) {
+    return null;
+  }
+  if (!cache.has(adminId)) {
+    const admin = await getAdministratorById(adminId);
+    cache.set(adminId, admin ? (admin.display_name || admin.login) : null);
+  }
+  return cache.get(adminId);
+}
+
+/**
+ * Get ticket history enriched with actor and engineer names
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<Array>} Array of history entries, oldest first
+ */
+export async function getTicketHistory(ticketId) {
+  const events = await getTicketEventsByTicketId(ticketId);
+  const adminNames = new Map();
+  const clientNames = new Map();
+
+  const history = [];
+  for (const event of events) {
+    let actorName = null;
+    if (event.actor_role === 'administrator') {
+      actorName = await resolveAdminName(event.actor_id, adminNames);
+    } else if (event.actor_role === 'client' && event.actor_id) {
+      if (!clientNames.has(event.actor_id)) {
+        const client = await getClientById(event.actor_id);
+        const contact = client ? null : await getContactPersonById(event.actor_id);
+        clientNames.set(event.actor_id, client ? client.company_name : contact?.full_name || null);
+      }
+      actorName = clientNames.get(event.actor_id);
+    }
+
+    const entry = { ...event, actor_name: actorName };
+
+    // Engineer IDs are shown by name; deleted engineers fall back to the raw ID
+    if (event.field === 'assigned_engineer_id') {
+      entry.old_value_name = await resolveAdminName(event.old_value, adminNames);
+      entry.new_value_name = await resolveAdminName(event.new_value, adminNames);
+    }
+
+    history.push(entry);
+  }
+
+  return history;
+}
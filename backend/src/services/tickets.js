@@ -4,10 +4,77 @@
  */
 
 import { createTicket, getTicketById, getTicketsByClientId, getAllTickets } from '../models/Ticket.js';
+import { activeCompanyCondition } from '../models/Client.js';
 import { getDatabase } from '../database/sqlite.js';
 import { notifyTicketCreated, notifyTicketUpdate } from './notifications.js';
 import { assignTicketToAvailableAdmin, findAdminWithMinimumLoad } from './assignments.js';
 import { getAdministratorById } from '../models/Administrator.js';
+import { publishTicketEvent } from './realtime.js';
+import { recordTicketCreated, recordTicketChanges } from './ticketHistory.js';
+import { applySlaPolicy, recordFirstResponse, getSlaWarningSeconds } from './sla.js';
+import { inferRequiredSkill } from './skills.js';
+import { ensureEquipmentRegistered } from './equipment.js';
+import { determineCoverage } from './contracts.js';
+import { trackBackgroundTask } from '../utils/backgroundTasks.js';
+
+/**
+ * Valid ticket priorities, lowest first
+ * @type {string[]}
+ */
+export const TICKET_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Valid ticket categories
+ * @type {string[]}
+ */
+export const TICKET_CATEGORIES = ['hardware', 'software', 'network', 'warranty', 'other'];
+
+/**
+ * Serial number placeholder for tickets whose equipment is not known yet
+ * (e.g. tickets created from emails that don't mention a serial number)
+ * @type {string}
+ */
+export const UNKNOWN_SERIAL_NUMBER = 'UNKNOWN';
+
+/**
+ * Assignment load weight of an open ticket per priority
+ * A critical ticket counts as much as five low-priority ones.
+ * @type {Record<string, number>}
+ */
+export const PRIORITY_LOAD_WEIGHTS = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 5,
+};
+
+/**
+ * Validate optional priority and category values
+ * @param {object} data - Ticket data or updates
+ * @throws {Error} If priority or category is not one of the allowed values
+ */
+function validatePriorityAndCategory(data) {
+  if (data.priority !== undefined && !TICKET_PRIORITIES.includes(data.priority)) {
+    throw new Error(`Priority must be one of: ${TICKET_PRIORITIES.join(', ')}`);
+  }
+  if (data.category !== undefined && !TICKET_CATEGORIES.includes(data.category)) {
+    throw new Error(`Category must be one of: ${TICKET_CATEGORIES.join(', ')}`);
+  }
+}
+
+/**
+ * Push ticket change to the ticket owner and administrators with open event streams
+ * Only identifiers are sent - subscribers reload the ticket through the REST API
+ * so that role-based filtering and enrichment stay in one place.
+ * @param {object} ticket - Updated ticket object
+ */
+function publishTicketUpdated(ticket) {
+  publishTicketEvent(ticket, 'ticket_updated', {
+    ticket_id: ticket.id,
+    status: ticket.status,
+    updated_at: ticket.updated_at,
+  });
+}
 
 /**
  * Generate next ticket ID in format T-00001
@@ -82,6 +149,8 @@ function validateTicketData(ticketData) {
   if (company_name.trim().length > 255) {
     throw new Error('Company name must be 255 characters or less');
   }
+
+  validatePriorityAndCategory(ticketData);
 }
 
 /**
@@ -117,11 +186,14 @@ function validateSingleProblem(problemDescription) {
  * Create a new ticket
  * @param {object} ticketData - Ticket data
  * @param {string} ticketData.clientId - Client ID
+ * @param {string|null} [ticketData.contactId] - Contact person who submits the ticket
  * @param {string} ticketData.serialNumber - Equipment serial number
  * @param {string} ticketData.problemDescription - Problem description
  * @param {string} ticketData.jobTitle - Job title
  * @param {string} ticketData.clientFullName - Client full name (FIO)
  * @param {string} ticketData.companyName - Company name
+ * @param {string} [ticketData.priority] - Priority chosen by the client (defaults to medium)
+ * @param {string} [ticketData.category] - Category chosen by the client (defaults to other)
  * @returns {Promise<object>} Created ticket object
  */
 export async function createNewTicket(ticketData) {
@@ -134,20 +206,51 @@ export async function createNewTicket(ticketData) {
   // Generate ticket ID
   const ticketId = await generateTicketId();
 
+  // Required skill drives skill-first automatic assignment
+  const requiredSkill = await inferRequiredSkill({
+    serial_number: ticketData.serial_number,
+    category: ticketData.category || 'other',
+  });
+
+  // Flag equipment that is out of warranty or contract
+  const coverage = await determineCoverage(ticketData.clientId, ticketData.serial_number.trim());
+
   // Create ticket
   const ticket = await createTicket({
     id: ticketId,
     clientId: ticketData.clientId,
+    contactId: ticketData.contactId,
     serialNumber: ticketData.serial_number.trim(),
     problemDescription: ticketData.problem_description.trim(),
     jobTitle: ticketData.job_title.trim(),
     clientFullName: ticketData.client_full_name.trim(),
     companyName: ticketData.company_name.trim(),
+    priority: ticketData.priority,
+    category: ticketData.category,
+    requiredSkill,
+    coverageStatus: coverage.status,
+    serviceContractId: coverage.contract?.id || null,
   });
 
+  // Every reported serial number becomes a registered asset of the client
+  try {
+    if (ticket.serial_number !== UNKNOWN_SERIAL_NUMBER) {
+      await ensureEquipmentRegistered(ticketData.clientId, ticket.serial_number);
+    }
+  } catch (error) {
+    // Registry failures must not prevent ticket creation
+    console.error('Error registering equipment for new ticket:', error);
+  }
+
+  // Record creation before automatic assignment so the timeline starts with it
+  await recordTicketCreated(ticket, { id: ticketData.clientId, contact_id: ticketData.contactId, role: 'client' });
+
+  // Set first-response and resolution deadlines from the matching SLA policy
+  await applySlaPolicy(ticketId);
+
   // Automatically assign ticket to available administrator
   // This runs asynchronously and should complete within 5 seconds
-  assignTicketToAvailableAdmin(ticketId).then(assignedAdmin => {
+  trackBackgroundTask(assignTicketToAvailableAdmin(ticketId).then(assignedAdmin => {
     if (assignedAdmin) {
       console.log(`Ticket ${ticketId} automatically assigned to ${assignedAdmin.id}`);
     } else {
@@ -156,16 +259,17 @@ export async function createNewTicket(ticketData) {
   }).catch(error => {
     // Log error but don't fail ticket creation
     console.error('Error in automatic ticket assignment:', error);
-  });
+  }));
 
   // Reload ticket to get updated assignment (if assignment completed quickly)
   // Otherwise, assignment will be visible on next poll
   const updatedTicket = await getTicketById(ticketId);
+  publishTicketUpdated(updatedTicket || ticket);
 
   // Create notification for new ticket (fire and forget - don't block response)
-  notifyTicketCreated(
+  trackBackgroundTask(notifyTicketCreated(
     ticketId,
-    ticketData.clientId,
+    ticketData.contactId || ticketData.clientId,
     {
       client_full_name: ticketData.client_full_name.trim(),
       company_name: ticketData.company_name.trim(),
@@ -174,65 +278,44 @@ export async function createNewTicket(ticketData) {
   ).catch(error => {
     // Log error but don't fail the ticket creation
     console.error('Error creating notification for new ticket:', error);
-  });
+  }));
 
   return updatedTicket || ticket;
 }
 
 /**
- * Get tickets for a client (excludes closed tickets - they appear in archive)
- * @param {string} clientId - Client ID
- * @param {number} since - Optional timestamp to filter by updated_at (for polling)
- * @returns {Promise<Array>} Array of ticket objects (excluding closed tickets)
+ * Columns ticket lists can be sorted by (?sort=)
+ * @type {Object<string, string>}
  */
-export async function getClientTickets(clientId, since = undefined) {
-  const db = getDatabase();
-  let query = 'SELECT * FROM tickets WHERE client_id = ? AND status != \'closed\'';
-  const params = [clientId];
-  
-  // Filter by updated_at (for polling - since parameter)
-  if (since !== undefined && since !== null) {
-    query += ' AND updated_at > ?';
-    params.push(since);
-  }
-  
-  // Order by updated_at DESC for polling (newest updates first), fallback to submitted_at DESC
-  if (since !== undefined && since !== null) {
-    query += ' ORDER BY updated_at DESC';
-  } else {
-    query += ' ORDER BY submitted_at DESC';
-  }
-  
-  const tickets = await db.all(query, params);
-  return tickets || [];
-}
+export const TICKET_SORT_COLUMNS = {
+  submitted: 't.submitted_at',
+  updated: 't.updated_at',
+  eta: 't.estimated_completion_at',
+  company: 't.company_name',
+  assignee: 'assigned_engineer_name',
+};
 
 /**
- * Get archived tickets for a client (closed tickets only)
- * @param {string} clientId - Client ID
- * @param {number} since - Optional timestamp to filter by updated_at (for polling)
- * @returns {Promise<Array>} Array of archived ticket objects
+ * Default and largest page of a ticket list
  */
-export async function getClientArchivedTickets(clientId, since = undefined) {
-  const db = getDatabase();
-  let query = 'SELECT * FROM tickets WHERE client_id = ? AND status = \'closed\'';
-  const params = [clientId];
-  
-  // Filter by updated_at (for polling - since parameter)
-  if (since !== undefined && since !== null) {
-    query += ' AND updated_at > ?';
-    params.push(since);
-  }
-  
-  // Order by updated_at DESC (newest closed tickets first)
-  query += ' ORDER BY updated_at DESC';
-  
-  const tickets = await db.all(query, params);
-  return tickets || [];
-}
+const DEFAULT_TICKET_PAGE_SIZE = 50;
+const MAX_TICKET_PAGE_SIZE = 200;
 
 /**
- * Get all tickets with optional filters (for admin)
+ * Largest number of changed tickets returned for ?since=; a list that is further
+ * behind gets { reset: true } and reloads from the first page
+ */
+const MAX_TICKET_DELTA = 500;
+
+/**
+ * Select list of ticket list queries: ticket columns plus the assignee's display name
+ */
+const TICKET_LIST_SELECT = `SELECT t.*, COALESCE(a.display_name, a.login) as assigned_engineer_name
+  FROM tickets t
+  LEFT JOIN administrators a ON a.id = t.assigned_engineer_id`;
+
+/**
+ * Build WHERE conditions for the admin ticket filters
  * @param {object} filters - Filter options
  * @param {string} filters.status - Filter by status
  * @param {string} filters.assigned_to - Filter by assigned engineer ID
@@ -241,64 +324,282 @@ export async function getClientArchivedTickets(clientId, since = undefined) {
  * @param {number} filters.end_date - Filter by submission date (Unix timestamp, <=)
  * @param {boolean} filters.my_tickets_only - Show only tickets assigned to specific admin
  * @param {string} filters.assigned_to_me - Admin ID for my_tickets_only filter
- * @param {number} filters.since - Filter by updated_at timestamp (Unix timestamp, >) - for polling
- * @returns {Promise<Array>} Array of ticket objects
+ * @param {boolean} filters.breaching_soon - Only tickets with an SLA deadline within the warning window or already breached
+ * @param {string} filters.priority - Filter by priority
+ * @param {string} filters.category - Filter by category
+ * @returns {{sql: string, params: Array}} Conditions on the tickets alias `t`, each starting with AND
  */
-export async function getAllTicketsForAdmin(filters = {}) {
-  const db = getDatabase();
-  let query = 'SELECT * FROM tickets WHERE 1=1';
+function buildTicketFilterConditions(filters = {}) {
+  let sql = '';
   const params = [];
 
-  // EXCLUDE CLOSED TICKETS FROM ACTIVE LIST (Feature 9: Archive Account Management)
-  // Closed tickets should only appear in archive view
-  query += ' AND status != \'closed\'';
-
-  // Filter by updated_at (for polling - since parameter)
-  if (filters.since !== undefined && filters.since !== null) {
-    query += ' AND updated_at > ?';
-    params.push(filters.since);
-  }
-
   // Filter by status
   if (filters.status) {
-    query += ' AND status = ?';
+    sql += ' AND t.status = ?';
     params.push(filters.status);
   }
 
   // Filter by assigned engineer
   if (filters.assigned_to) {
-    query += ' AND assigned_engineer_id = ?';
+    sql += ' AND t.assigned_engineer_id = ?';
     params.push(filters.assigned_to);
   }
 
   // Filter by company name
   if (filters.company_name) {
-    query += ' AND company_name = ?';
+    sql += ' AND t.company_name = ?';
     params.push(filters.company_name);
   }
 
+  // Filter by priority
+  if (filters.priority) {
+    sql += ' AND t.priority = ?';
+    params.push(filters.priority);
+  }
+
+  // Filter by category
+  if (filters.category) {
+    sql += ' AND t.category = ?';
+    params.push(filters.category);
+  }
+
   // Filter by date range
   if (filters.start_date) {
-    query += ' AND submitted_at >= ?';
+    sql += ' AND t.submitted_at >= ?';
     params.push(filters.start_date);
   }
 
   if (filters.end_date) {
-    query += ' AND submitted_at <= ?';
+    sql += ' AND t.submitted_at <= ?';
     params.push(filters.end_date);
   }
 
   // Filter by "my tickets only" - tickets assigned to the current admin
   if (filters.my_tickets_only && filters.assigned_to_me) {
-    query += ' AND assigned_engineer_id = ?';
+    sql += ' AND t.assigned_engineer_id = ?';
     params.push(filters.assigned_to_me);
   }
 
+  // Filter by SLA: open deadline within the warning window (or already passed)
+  if (filters.breaching_soon) {
+    const warnAt = Math.floor(Date.now() / 1000) + getSlaWarningSeconds();
+    sql += ` AND t.status != 'resolved' AND (
+      (t.first_response_at IS NULL AND t.first_response_due_at <= ?)
+      OR t.resolution_due_at <= ?
+    )`;
+    params.push(warnAt, warnAt);
+  }
+
+  return { sql, params };
+}
+
+/**
+ * Build WHERE conditions limiting tickets to the ones a user may see
+ * @param {object} scope - Visibility scope
+ * @param {string} [scope.clientId] - Only tickets of this company (clients)
+ * @param {string} [scope.assignedTo] - Only tickets assigned to this administrator
+ * @param {string} alias - Alias of the table with client_id and assigned_engineer_id columns
+ * @returns {{sql: string, params: Array}} Conditions, each starting with AND
+ */
+function buildTicketScopeConditions(scope, alias) {
+  let sql = '';
+  const params = [];
+  if (scope.clientId) {
+    sql += ` AND ${alias}.client_id = ?`;
+    params.push(scope.clientId);
+  }
+  if (scope.assignedTo) {
+    sql += ` AND ${alias}.assigned_engineer_id = ?`;
+    params.push(scope.assignedTo);
+  }
+  return { sql, params };
+}
+
+/**
+ * Build the ORDER BY clause of a ticket list
+ * Tickets without an ETA or an assignee come last in both directions; the ticket ID
+ * breaks ties so that pages do not overlap.
+ * @param {string} sort - Key of TICKET_SORT_COLUMNS
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {string} ORDER BY expression
+ */
+function buildTicketOrder(sort, order) {
+  const column = TICKET_SORT_COLUMNS[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const nullsLast = sort === 'eta' || sort === 'assignee' ? `${column} IS NULL, ` : '';
+  const collation = sort === 'company' || sort === 'assignee' ? ' COLLATE NOCASE' : '';
+  return `${nullsLast}${column}${collation} ${direction}, t.id ${direction}`;
+}
+
+/**
+ * Parse the pagination and sorting parameters of a ticket list request
+ * @param {object} query - Request query (limit, offset, sort, order)
+ * @param {string} view - 'active' or 'archive'; the archive is sorted by last update by default,
+ *   active tickets by submission time
+ * @returns {{limit: number, offset: number, sort: string, order: string}} Page options
+ * @throws {Error} If the sort field or order is unknown
+ */
+export function parseTicketListQuery(query = {}, view = 'active') {
+  const sort = query.sort || (view === 'archive' ? 'updated' : 'submitted');
+  if (!Object.prototype.hasOwnProperty.call(TICKET_SORT_COLUMNS, sort)) {
+    throw new Error(`Sort must be one of: ${Object.keys(TICKET_SORT_COLUMNS).join(', ')}`);
+  }
+  const order = query.order || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new Error('Order must be asc or desc');
+  }
+
+  return {
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_TICKET_PAGE_SIZE, 1), MAX_TICKET_PAGE_SIZE),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0),
+    sort,
+    order,
+  };
+}
+
+/**
+ * Get a page of a ticket list, or what changed in it since a point in time
+ * Tickets of deleted companies are left out.
+ *
+ * Without `since` the result is one page: { tickets, total, limit, offset, sort, order, sync_cursor }.
+ * With `since` it is a delta for a list that is already loaded:
+ * - tickets: tickets of the list updated after `since` (new or changed), sorted like the list
+ * - deleted_ids: tickets deleted after `since`, or whose company was deleted after it
+ * - archived_ids (active view) / restored_ids (archive view): tickets that moved to the other view
+ * - removed_ids: tickets that still exist but no longer match the filters or were reassigned
+ *   away from an administrator who only sees their own tickets
+ * - total: size of the whole list now
+ * - sync_cursor: the `since` of the next delta
+ * Timestamps have a resolution of one second, so sync_cursor is the second before the query
+ * started: changes made later in that second come again with the next delta instead of being
+ * lost, and clients merge tickets by ID. Clients should drop the removed IDs before merging `tickets`. If more than MAX_TICKET_DELTA
+ * tickets changed, the result is { reset: true, total } instead and the list should be reloaded.
+ * @param {object} options - Options
+ * @param {string} options.view - 'active' (not closed) or 'archive' (closed)
+ * @param {object} [options.scope] - Visibility: { clientId } for clients, { assignedTo } for administrators
+ *   without tickets.view_all, {} for everyone else
+ * @param {object} [options.filters] - Admin filters (see buildTicketFilterConditions)
+ * @param {object} options.page - Page options from parseTicketListQuery
+ * @param {number} [options.since] - sync_cursor of the previous page or delta
+ * @returns {Promise<object>} Page or delta (see above); tickets carry assigned_engineer_name
+ */
+export async function listTickets({ view, scope = {}, filters = {}, page, since = undefined }) {
+  const db = getDatabase();
+  const syncCursor = Math.floor(Date.now() / 1000) - 1;
+  const viewCondition = `${view === 'archive' ? "t.status = 'closed'" : "t.status != 'closed'"} AND ${activeCompanyCondition('t')}`;
+  const scopeConditions = buildTicketScopeConditions(scope, 't');
+  const filterConditions = buildTicketFilterConditions(filters);
+
+  const where = `WHERE ${viewCondition}${scopeConditions.sql}${filterConditions.sql}`;
+  const params = [...scopeConditions.params, ...filterConditions.params];
+  const orderBy = buildTicketOrder(page.sort, page.order);
+
+  const { total } = await db.get(`SELECT COUNT(*) as total FROM tickets t ${where}`, params);
+
+  if (since === undefined || since === null) {
+    const tickets = await db.all(
+      `${TICKET_LIST_SELECT} ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+      [...params, page.limit, page.offset]
+    );
+    return {
+      tickets,
+      total,
+      limit: page.limit,
+      offset: page.offset,
+      sort: page.sort,
+      order: page.order,
+      sync_cursor: syncCursor,
+    };
+  }
+
+  const tickets = await db.all(
+    `${TICKET_LIST_SELECT} ${where} AND t.updated_at > ? ORDER BY ${orderBy} LIMIT ?`,
+    [...params, since, MAX_TICKET_DELTA + 1]
+  );
+  if (tickets.length > MAX_TICKET_DELTA) {
+    return { reset: true, total, sort: page.sort, order: page.order, sync_cursor: syncCursor };
+  }
+
+  // Closing a ticket archives it, any other status change of a closed ticket restores it
+  const moved = await db.all(
+    `SELECT DISTINCT t.id FROM ticket_events e
+     JOIN tickets t ON t.id = e.ticket_id
+     WHERE e.field = 'status' AND e.${view === 'archive' ? 'old_value' : 'new_value'} = 'closed'
+       AND e.created_at > ? AND t.status ${view === 'archive' ? '!=' : '='} 'closed'
+       AND ${activeCompanyCondition('t')}${scopeConditions.sql}`,
+    [since, ...scopeConditions.params]
+  );
+
+  const removed = filterConditions.sql
+    ? await db.all(
+      `SELECT t.id FROM tickets t
+       WHERE ${viewCondition}${scopeConditions.sql} AND t.updated_at > ? AND NOT (1 = 1${filterConditions.sql})`,
+      [...scopeConditions.params, since, ...filterConditions.params]
+    )
+    : [];
+  if (scope.assignedTo) {
+    removed.push(...await db.all(
+      `SELECT DISTINCT e.ticket_id as id FROM ticket_events e
+       JOIN tickets t ON t.id = e.ticket_id
+       WHERE e.field = 'assigned_engineer_id' AND e.old_value = ? AND e.created_at > ?
+         AND (t.assigned_engineer_id IS NULL OR t.assigned_engineer_id != ?) AND ${activeCompanyCondition('t')}`,
+      [scope.assignedTo, since, scope.assignedTo]
+    ));
+  }
+
+  const deletedScope = buildTicketScopeConditions(scope, 'd');
+  const deleted = await db.all(
+    `SELECT d.ticket_id FROM deleted_tickets d WHERE d.deleted_at > ?${deletedScope.sql}
+     UNION
+     SELECT t.id FROM tickets t
+     JOIN clients c ON c.id = t.client_id
+     WHERE c.deleted_at > ?${scopeConditions.sql}`,
+    [since, ...deletedScope.params, since, ...scopeConditions.params]
+  );
+
+  return {
+    tickets,
+    total,
+    sort: page.sort,
+    order: page.order,
+    deleted_ids: deleted.map(row => row.ticket_id),
+    [view === 'archive' ? 'restored_ids' : 'archived_ids']: moved.map(row => row.id),
+    removed_ids: [...new Set(removed.map(row => row.id))],
+    sync_cursor: syncCursor,
+  };
+}
+
+/**
+ * Get all tickets with optional filters (for admin)
+ * @param {object} filters - Filter options (see buildTicketFilterConditions)
+ * @param {number} filters.since - Filter by updated_at timestamp (Unix timestamp, >) - for polling
+ * @param {object} [options] - Options
+ * @param {boolean} [options.includeDeletedCompanies=false] - Also return tickets of deleted companies
+ *   (for work that must survive a restore, such as reassigning a deleted administrator's tickets)
+ * @returns {Promise<Array>} Array of ticket objects (excluding closed tickets and, by default,
+ *   tickets of deleted companies)
+ */
+export async function getAllTicketsForAdmin(filters = {}, { includeDeletedCompanies = false } = {}) {
+  const db = getDatabase();
+  const conditions = buildTicketFilterConditions(filters);
+  const companyCondition = includeDeletedCompanies ? '' : ` AND ${activeCompanyCondition('t')}`;
+
+  // EXCLUDE CLOSED TICKETS FROM ACTIVE LIST (Feature 9: Archive Account Management)
+  // Closed tickets should only appear in archive view
+  let query = `SELECT * FROM tickets t WHERE t.status != 'closed'${companyCondition}${conditions.sql}`;
+  const params = [...conditions.params];
+
+  // Filter by updated_at (for polling - since parameter)
+  if (filters.since !== undefined && filters.since !== null) {
+    query += ' AND t.updated_at > ?';
+    params.push(filters.since);
+  }
+
   // Order by updated_at DESC for polling (newest updates first), fallback to submitted_at DESC
   if (filters.since !== undefined && filters.since !== null) {
-    query += ' ORDER BY updated_at DESC';
+    query += ' ORDER BY t.updated_at DESC';
   } else {
-    query += ' ORDER BY submitted_at DESC';
+    query += ' ORDER BY t.submitted_at DESC';
   }
 
   const tickets = await db.all(query, params);
@@ -315,85 +616,134 @@ export async function getOpenTicketCountForAdmin(adminId) {
   const result = await db.get(
     `SELECT COUNT(*) as count FROM tickets 
      WHERE assigned_engineer_id = ? 
-     AND status IN ('new', 'in_progress', 'waiting_for_client')`,
+     AND status IN ('new', 'in_progress', 'waiting_for_client')
+     AND ${activeCompanyCondition('tickets')}`,
     [adminId]
   );
   return result ? result.count : 0;
 }
 
 /**
- * Get filtered tickets for client report generation
- * @param {string} clientId - Client ID
+ * Get priority-weighted open ticket load for an administrator
+ * Each open ticket counts with its PRIORITY_LOAD_WEIGHTS weight
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<number>} Weighted load
+ */
+export async function getWeightedOpenLoadForAdmin(adminId) {
+  const db = getDatabase();
+  const rows = await db.all(
+    `SELECT priority, COUNT(*) as count FROM tickets 
+     WHERE assigned_engineer_id = ? 
+     AND status IN ('new', 'in_progress', 'waiting_for_client')
+     AND ${activeCompanyCondition('tickets')}
+     GROUP BY priority`,
+    [adminId]
+  );
+  return rows.reduce((load, row) => load + (PRIORITY_LOAD_WEIGHTS[row.priority] || 1) * row.count, 0);
+}
+
+/**
+ * Largest number of tickets in one report
+ * Reports are rendered in the server process, and a PDF of 1000 tickets takes more than a second.
+ */
+export const MAX_REPORT_TICKETS = parseInt(process.env.REPORT_MAX_TICKETS || '2000', 10);
+
+/**
+ * Get filtered tickets for report generation, oldest first (tickets of deleted companies left out)
+ * @param {object} scope - Visibility scope
+ * @param {string} [scope.clientId] - Only tickets of this company (clients)
+ * @param {string} [scope.assignedTo] - Only tickets assigned to this administrator
  * @param {object} filters - Filter criteria
- * @param {number} filters.date_from - Unix timestamp (filter submitted_at >= date_from)
- * @param {number} filters.date_to - Unix timestamp (filter submitted_at <= date_to)
- * @param {string} filters.status - Filter by status (new, in_progress, waiting_for_client, resolved, closed, all)
- * @param {string} filters.job_title - Partial match on job_title
- * @param {string} filters.client_full_name - Partial match on client_full_name
- * @param {string} filters.assigned_engineer_id - Exact match on assigned_engineer_id
- * @returns {Promise<object>} Object with tickets array, total_count, and filters_applied
+ * @param {number} [filters.date_from] - Unix timestamp (filter submitted_at >= date_from)
+ * @param {number} [filters.date_to] - Unix timestamp (filter submitted_at <= date_to)
+ * @param {string} [filters.status] - Filter by status (new, in_progress, waiting_for_client, resolved, closed, all)
+ * @param {string} [filters.job_title] - Partial match on job_title
+ * @param {string} [filters.client_full_name] - Partial match on client_full_name
+ * @param {string} [filters.assigned_engineer_id] - Exact match on assigned_engineer_id
+ * @param {string} [filters.company] - Exact match on company_name
+ * @returns {Promise<Array>} Tickets with assigned_engineer_name
+ * @throws {Error} If more than MAX_REPORT_TICKETS tickets match
  */
-export async function getClientTicketsForReport(clientId, filters = {}) {
+export async function getTicketsForReport(scope = {}, filters = {}) {
   const db = getDatabase();
-  let query = 'SELECT * FROM tickets WHERE client_id = ?';
-  const params = [clientId];
-  const filtersApplied = { ...filters };
+  const scopeConditions = buildTicketScopeConditions(scope, 't');
+  let where = `WHERE ${activeCompanyCondition('t')}${scopeConditions.sql}`;
+  const params = [...scopeConditions.params];
 
-  // Handle date range filters
   if (filters.date_from !== undefined && filters.date_from !== null) {
-    query += ' AND submitted_at >= ?';
+    where += ' AND t.submitted_at >= ?';
     params.push(filters.date_from);
   }
-
   if (filters.date_to !== undefined && filters.date_to !== null) {
-    query += ' AND submitted_at <= ?';
+    where += ' AND t.submitted_at <= ?';
     params.push(filters.date_to);
   }
-
-  // Handle status filter
   if (filters.status && filters.status !== 'all') {
-    query += ' AND status = ?';
+    where += ' AND t.status = ?';
     params.push(filters.status);
   }
-
-  // Handle job_title partial match
   if (filters.job_title) {
-    query += ' AND job_title LIKE ?';
+    where += ' AND t.job_title LIKE ?';
     params.push(`%${filters.job_title}%`);
   }
-
-  // Handle client_full_name partial match
   if (filters.client_full_name) {
-    query += ' AND client_full_name LIKE ?';
+    where += ' AND t.client_full_name LIKE ?';
     params.push(`%${filters.client_full_name}%`);
   }
-
-  // Handle assigned_engineer_id exact match
-  if (filters.assigned_engineer_id !== undefined && filters.assigned_engineer_id !== null) {
-    query += ' AND assigned_engineer_id = ?';
+  if (filters.assigned_engineer_id) {
+    where += ' AND t.assigned_engineer_id = ?';
     params.push(filters.assigned_engineer_id);
   }
+  if (filters.company) {
+    where += ' AND t.company_name = ?';
+    params.push(filters.company);
+  }
 
-  // Order by submitted_at DESC (newest first)
-  query += ' ORDER BY submitted_at DESC';
+  const { count } = await db.get(`SELECT COUNT(*) as count FROM tickets t ${where}`, params);
+  if (count > MAX_REPORT_TICKETS) {
+    throw new Error(`Report would contain ${count} tickets; narrow the filters to at most ${MAX_REPORT_TICKETS}`);
+  }
 
-  const tickets = await db.all(query, params);
+  return await db.all(
+    `SELECT t.*, COALESCE(a.display_name, a.login) as assigned_engineer_name
+     FROM tickets t
+     LEFT JOIN administrators a ON a.id = t.assigned_engineer_id
+     ${where}
+     ORDER BY t.submitted_at ASC, t.id ASC`,
+    params
+  );
+}
 
-  return {
-    tickets: tickets || [],
-    total_count: tickets ? tickets.length : 0,
-    filters_applied: filtersApplied,
-  };
+/**
+ * Get all tickets ever raised against a serial number (case-insensitive)
+ * @param {string} serialNumber - Equipment serial number
+ * @param {object} [scope] - Visibility: { clientId } for clients, { assignedTo } for administrators
+ *   without tickets.view_all, {} for everyone else
+ * @returns {Promise<Array>} Array of ticket objects, newest first
+ */
+export async function getTicketsBySerialNumber(serialNumber, scope = {}) {
+  const db = getDatabase();
+  const scopeConditions = buildTicketScopeConditions(scope, 't');
+
+  const tickets = await db.all(
+    `SELECT t.* FROM tickets t
+     WHERE t.serial_number = ? COLLATE NOCASE${scopeConditions.sql}
+     ORDER BY t.submitted_at DESC`,
+    [serialNumber, ...scopeConditions.params]
+  );
+  return tickets || [];
 }
 
 /**
- * Get unique company names from tickets
+ * Get unique company names from tickets (deleted companies left out)
  * @returns {Promise<Array<string>>} Array of unique company names, sorted alphabetically
  */
 export async function getUniqueCompanies() {
   const db = getDatabase();
   const results = await db.all(
-    'SELECT DISTINCT company_name FROM tickets WHERE company_name IS NOT NULL AND company_name != "" ORDER BY company_name ASC'
+    `SELECT DISTINCT company_name FROM tickets
+     WHERE company_name IS NOT NULL AND company_name != '' AND ${activeCompanyCondition('tickets')}
+     ORDER BY company_name ASC`
   );
   return results.map(row => row.company_name);
 }
@@ -414,9 +764,12 @@ export async function getTicket(ticketId) {
  * @param {string} updates.status - New status
  * @param {string} updates.assigned_engineer_id - Assigned engineer ID (or null)
  * @param {number} updates.estimated_completion_at - Estimated completion timestamp (or null)
+ * @param {string} updates.priority - New priority
+ * @param {string} updates.category - New category
+ * @param {object|null} actor - User making the change (req.user), null for system actions
  * @returns {Promise<object|null>} Updated ticket object or null
  */
-export async function updateTicketStatus(ticketId, updates) {
+export async function updateTicketStatus(ticketId, updates, actor = null) {
   // Validate status if provided
   if (updates.status) {
     const validStatuses = ['new', 'in_progress', 'waiting_for_client', 'resolved', 'closed'];
@@ -432,75 +785,61 @@ export async function updateTicketStatus(ticketId, updates) {
     }
   }
 
+  validatePriorityAndCategory(updates);
+
   // Get old ticket data before update (for notifications)
   const oldTicket = await getTicketById(ticketId);
   if (!oldTicket) {
     return null;
   }
 
+  // A different category may require a different skill
+  if (updates.category !== undefined && updates.category !== oldTicket.category) {
+    updates = {
+      ...updates,
+      required_skill: await inferRequiredSkill({ serial_number: oldTicket.serial_number, category: updates.category }),
+    };
+  }
+
   // Update ticket using model
   const { updateTicket } = await import('../models/Ticket.js');
-  const newTicket = await updateTicket(ticketId, updates);
+  let newTicket = await updateTicket(ticketId, updates);
+
+  // A different priority may match a different SLA policy - recalculate deadlines
+  if (newTicket && newTicket.priority !== oldTicket.priority) {
+    await applySlaPolicy(ticketId);
+    newTicket = await getTicketById(ticketId);
+  }
+
+  // Moving a ticket out of 'new' counts as the first response for SLA purposes
+  if (newTicket && oldTicket.status === 'new' && newTicket.status !== 'new') {
+    if (await recordFirstResponse(ticketId)) {
+      newTicket = await getTicketById(ticketId);
+    }
+  }
 
   // Create notification for ticket update (fire and forget - don't block response)
   if (newTicket) {
-    notifyTicketUpdate(ticketId, oldTicket, newTicket).catch(error => {
+    await recordTicketChanges(oldTicket, newTicket, actor);
+    publishTicketUpdated(newTicket);
+
+    trackBackgroundTask(notifyTicketUpdate(ticketId, oldTicket, newTicket).catch(error => {
       // Log error but don't fail the ticket update
       console.error('Error creating notification for ticket update:', error);
-    });
+    }));
   }
 
   return newTicket;
 }
 
-/**
- * Get archived tickets with role-based filtering (Feature 9: Archive Account Management)
- * @param {object} filters - Filter options
- * @param {string} filters.since - Filter by updated_at timestamp (Unix timestamp, >) - for polling
- * @param {string} filters.assigned_to - Filter by assigned engineer ID (only affects master accounts)
- * @param {string} userId - Current admin user ID for filtering
- * @param {boolean} isMaster - Whether current user is a master account
- * @returns {Promise<Array>} Array of archived ticket objects
- */
-export async function getArchivedTickets(filters = {}, userId, isMaster) {
-  const db = getDatabase();
-  let query = 'SELECT * FROM tickets WHERE status = \'closed\'';
-  const params = [];
-
-  // Filter by updated_at (for polling - since parameter)
-  if (filters.since !== undefined && filters.since !== null) {
-    query += ' AND updated_at > ?';
-    params.push(filters.since);
-  }
-
-  // Role-based filtering: regular admins see only their tickets, masters see all
-  if (!isMaster) {
-    // Regular administrators: only tickets assigned to them
-    query += ' AND assigned_engineer_id = ?';
-    params.push(userId);
-  } else {
-    // Master accounts: can see all archived tickets
-    // Optional filter by assigned engineer (for master accounts)
-    if (filters.assigned_to) {
-      query += ' AND assigned_engineer_id = ?';
-      params.push(filters.assigned_to);
-    }
-  }
-
-  // Order by updated_at DESC (newest closed tickets first)
-  query += ' ORDER BY updated_at DESC';
-
-  const tickets = await db.all(query, params);
-  return tickets || [];
-}
-
 /**
  * Restore a ticket from archive (Feature 9: Archive Account Management)
  * Changes ticket status from 'closed' to 'in_progress' and preserves assignment
  * @param {string} ticketId - Ticket ID to restore
+ * @param {object|null} actor - User restoring the ticket (req.user)
  * @returns {Promise<object|null>} Restored ticket object or null
  */
-export async function restoreTicket(ticketId) {
+export async function restoreTicket(ticketId, actor = null) {
   const db = getDatabase();
   
   // Get ticket to verify it exists and is closed
@@ -526,7 +865,7 @@ export async function restoreTicket(ticketId) {
   // If original engineer deleted, assign to least-loaded admin
   let targetAdminId = ticket.assigned_engineer_id;
   if (shouldReassign) {
-    const leastLoadedAdmin = await findAdminWithMinimumLoad();
+    const leastLoadedAdmin = await findAdminWithMinimumLoad(ticket.required_skill);
     if (leastLoadedAdmin) {
       targetAdminId = leastLoadedAdmin.id;
     } else {
@@ -546,7 +885,14 @@ export async function restoreTicket(ticketId) {
     [targetAdminId, now, ticketId]
   );
 
+  // Restored tickets get a fresh resolution deadline starting now
+  await applySlaPolicy(ticketId, now);
+
   // Return updated ticket
-  return await getTicketById(ticketId);
+  const restoredTicket = await getTicketById(ticketId);
+  await recordTicketChanges(ticket, restoredTicket, actor);
+  publishTicketUpdated(restoredTicket);
+
+  return restoredTicket;
 }
 
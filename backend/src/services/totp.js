@@ -0,0 +1,169 @@
+/**
+ * TOTP Service
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1) compatible with authenticator apps
+ *
+ * All functions take the current time as a parameter (milliseconds, defaults to Date.now())
+ * so codes can be generated and checked against a fixed clock.
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+
+/**
+ * RFC 4648 base32 alphabet used by authenticator apps for secrets
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time step in seconds
+ * @type {number}
+ */
+export const TOTP_STEP_SECONDS = 30;
+
+/**
+ * Number of digits in a code
+ * @type {number}
+ */
+export const TOTP_DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (without padding)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case, spaces and padding are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Bytes
+ */
+export function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret (160 bits, as recommended by RFC 4226)
+ */
+export function generateTotpSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+/**
+ * Get the time step number for a moment in time
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Step counter (T in RFC 6238)
+ */
+export function getTimeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {Buffer} key - Secret key
+ * @param {number} counter - Counter (time step for TOTP)
+ * @param {number} digits - Number of digits
+ * @returns {string} Zero-padded code
+ */
+function hotp(key, counter, digits) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Generate the TOTP code for a secret
+ * @param {string} secret - Base32 secret
+ * @param {object} options - Options
+ * @param {number} [options.time] - Time in milliseconds (default: now)
+ * @param {number} [options.digits] - Number of digits (default: 6)
+ * @returns {string} Code
+ */
+export function generateTotp(secret, { time = Date.now(), digits = TOTP_DIGITS } = {}) {
+  return hotp(base32Decode(secret), getTimeStep(time), digits);
+}
+
+/**
+ * Check a TOTP code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user (spaces are ignored)
+ * @param {object} options - Options
+ * @param {number} [options.time] - Time in milliseconds (default: now)
+ * @param {number} [options.window] - Accepted drift in steps (default: 1, i.e. ±30 seconds)
+ * @returns {number|null} Time step the code belongs to, or null if it does not match
+ */
+export function verifyTotp(secret, code, { time = Date.now(), window = 1 } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep(time);
+  for (let drift = -window; drift <= window; drift++) {
+    if (currentStep + drift >= 0 && hotp(key, currentStep + drift, TOTP_DIGITS) === normalized) {
+      return currentStep + drift;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually via QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account name shown in the app (login)
+ * @param {string} issuer - Issuer shown in the app
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
@@ -0,0 +1,310 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP enrollment, backup codes and the second login step for administrator accounts
+ *
+ * - Two-factor authentication is optional for administrators. With REQUIRE_MASTER_2FA=true,
+ *   master accounts cannot sign in until they have enrolled.
+ * - After the password is checked, login returns a short-lived challenge token instead
+ *   of a session. The challenge is exchanged for a session with a TOTP or backup code
+ *   (or, for an enforced master account without 2FA, by completing enrollment).
+ * - Functions that check codes accept `time` (milliseconds) so they can run against a fixed clock.
+ */
+
+import { createHash, randomInt } from 'crypto';
+import jwt from 'jsonwebtoken';
+import {
+  getAdministratorTwoFactor,
+  setAdministratorTotpSecret,
+  enableAdministratorTotp,
+  disableAdministratorTotp,
+  markAdministratorTotpStepUsed,
+} from '../models/Administrator.js';
+import {
+  replaceBackupCodes,
+  useBackupCode,
+  countUnusedBackupCodes,
+  deleteBackupCodes,
+} from '../models/BackupCode.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from './totp.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const CHALLENGE_TOKEN_EXPIRY_SECONDS = 5 * 60; // 5 minutes
+
+/**
+ * Issuer name shown in authenticator apps
+ */
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Server Support CRM';
+
+/**
+ * Number of backup codes generated at a time
+ * @type {number}
+ */
+export const BACKUP_CODE_COUNT = 10;
+
+/**
+ * Backup code alphabet (no 0/O, 1/I/L to avoid misreading)
+ */
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Check whether master accounts must use two-factor authentication
+ * @returns {boolean} True if REQUIRE_MASTER_2FA is enabled
+ */
+export function isMasterTwoFactorRequired() {
+  return process.env.REQUIRE_MASTER_2FA === 'true';
+}
+
+/**
+ * Normalize a backup code as typed by the user (case, spaces and dashes are ignored)
+ * @param {string} code - Backup code
+ * @returns {string} Normalized code
+ */
+function normalizeBackupCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Hash a backup code for storage
+ * @param {string} code - Backup code
+ * @returns {string} Hex SHA-256 of the normalized code
+ */
+function hashBackupCode(code) {
+  return createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+}
+
+/**
+ * Generate a new set of backup codes and replace the stored ones
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<string[]>} Plain codes (for one-time display), formatted XXXXX-XXXXX
+ */
+async function issueBackupCodes(adminId) {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    let code = '';
+    for (let j = 0; j < 10; j++) {
+      code += BACKUP_CODE_ALPHABET[randomInt(BACKUP_CODE_ALPHABET.length)];
+    }
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+
+  await replaceBackupCodes(adminId, codes.map(hashBackupCode));
+  return codes;
+}
+
+/**
+ * Get the two-factor state of an administrator, or throw if the account does not exist
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<object>} Two-factor state
+ */
+async function getTwoFactorAccount(adminId) {
+  const admin = await getAdministratorTwoFactor(adminId);
+  if (!admin) {
+    throw new Error('Administrator not found');
+  }
+  return admin;
+}
+
+/**
+ * Accept a TOTP code once
+ * @param {object} admin - Two-factor state with an enabled secret
+ * @param {string} code - Code
+ * @param {number} time - Time in milliseconds
+ * @returns {Promise<boolean>} True if the code matches and was not used before
+ */
+async function acceptTotpCode(admin, code, time) {
+  const step = verifyTotp(admin.totp_secret, code, { time });
+  if (step === null) {
+    return false;
+  }
+  return markAdministratorTotpStepUsed(admin.id, step);
+}
+
+/**
+ * Get the two-factor status of an administrator
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<{enabled: boolean, required: boolean, backup_codes_remaining: number}>} Status
+ */
+export async function getTwoFactorStatus(adminId) {
+  const admin = await getTwoFactorAccount(adminId);
+  return {
+    enabled: !!admin.totp_enabled_at,
+    required: admin.is_master && isMasterTwoFactorRequired(),
+    backup_codes_remaining: admin.totp_enabled_at ? await countUnusedBackupCodes(adminId) : 0,
+  };
+}
+
+/**
+ * Decide whether a login needs a second step and issue the challenge for it
+ * @param {object} user - User that passed the password check (id, login, role, is_master)
+ * @returns {Promise<{two_factor: string, challenge_token: string, expires_in: number}|null>}
+ *   Challenge ('verify' = enter a code, 'setup' = enrollment required), or null if not needed
+ */
+export async function createLoginChallenge(user) {
+  if (user.role !== 'admin') {
+    return null;
+  }
+
+  const admin = await getTwoFactorAccount(user.id);
+  let purpose = null;
+  if (admin.totp_enabled_at) {
+    purpose = 'verify';
+  } else if (admin.is_master && isMasterTwoFactorRequired()) {
+    purpose = 'setup';
+  }
+  if (!purpose) {
+    return null;
+  }
+
+  const challengeToken = jwt.sign(
+    { id: user.id, type: '2fa', purpose },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_EXPIRY_SECONDS }
+  );
+
+  return {
+    two_factor: purpose,
+    challenge_token: challengeToken,
+    expires_in: CHALLENGE_TOKEN_EXPIRY_SECONDS,
+  };
+}
+
+/**
+ * Verify a login challenge token
+ * @param {string} token - Challenge token from the login response
+ * @param {string} purpose - Expected purpose ('verify' or 'setup')
+ * @returns {string|null} Administrator ID or null if the token is invalid or expired
+ */
+export function verifyLoginChallenge(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type !== '2fa' || decoded.purpose !== purpose || !decoded.id) {
+      return null;
+    }
+    return decoded.id;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check the second factor of a login: a TOTP code or an unused backup code
+ * @param {string} adminId - Administrator ID
+ * @param {string} code - TOTP code or backup code
+ * @param {object} options - Options
+ * @param {number} [options.time] - Time in milliseconds (default: now)
+ * @returns {Promise<boolean>} True if accepted (a backup code is used up)
+ */
+export async function verifySecondFactor(adminId, code, { time = Date.now() } = {}) {
+  const admin = await getTwoFactorAccount(adminId);
+  if (!admin.totp_enabled_at || !code || typeof code !== 'string') {
+    return false;
+  }
+
+  if (await acceptTotpCode(admin, code, time)) {
+    return true;
+  }
+  return useBackupCode(adminId, hashBackupCode(code));
+}
+
+/**
+ * Start enrollment: create a new secret for the authenticator app
+ * Replaces an unconfirmed enrollment; two-factor stays off until confirmEnrollment.
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<{secret: string, otpauth_uri: string}>} Secret and URI for the authenticator app
+ */
+export async function beginEnrollment(adminId) {
+  const admin = await getTwoFactorAccount(adminId);
+  if (admin.totp_enabled_at) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+  await setAdministratorTotpSecret(adminId, secret);
+
+  return {
+    secret,
+    otpauth_uri: buildOtpauthUri(secret, admin.login, TOTP_ISSUER),
+  };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {string} adminId - Administrator ID
+ * @param {string} code - TOTP code
+ * @param {object} options - Options
+ * @param {number} [options.time] - Time in milliseconds (default: now)
+ * @returns {Promise<string[]>} Backup codes (for one-time display)
+ */
+export async function confirmEnrollment(adminId, code, { time = Date.now() } = {}) {
+  const admin = await getTwoFactorAccount(adminId);
+  if (admin.totp_enabled_at) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+  if (!admin.totp_secret) {
+    throw new Error('Two-factor setup has not been started');
+  }
+
+  const step = verifyTotp(admin.totp_secret, code, { time });
+  if (step === null) {
+    throw new Error('Invalid verification code');
+  }
+
+  await enableAdministratorTotp(adminId, step);
+  return issueBackupCodes(adminId);
+}
+
+/**
+ * Turn off two-factor authentication after confirming a current code
+ * @param {string} adminId - Administrator ID
+ * @param {string} code - TOTP code or backup code
+ * @param {object} options - Options
+ * @param {number} [options.time] - Time in milliseconds (default: now)
+ * @returns {Promise<void>}
+ */
+export async function disableTwoFactor(adminId, code, { time = Date.now() } = {}) {
+  const admin = await getTwoFactorAccount(adminId);
+  if (!admin.totp_enabled_at) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  if (admin.is_master && isMasterTwoFactorRequired()) {
+    throw new Error('Two-factor authentication is required for master accounts');
+  }
+  if (!(await verifySecondFactor(adminId, code, { time }))) {
+    throw new Error('Invalid verification code');
+  }
+
+  await disableAdministratorTotp(adminId);
+  await deleteBackupCodes(adminId);
+}
+
+/**
+ * Replace the backup codes after confirming a current code
+ * @param {string} adminId - Administrator ID
+ * @param {string} code - TOTP code or backup code
+ * @param {object} options - Options
+ * @param {number} [options.time] - Time in milliseconds (default: now)
+ * @returns {Promise<string[]>} New backup codes (for one-time display)
+ */
+export async function regenerateBackupCodes(adminId, code, { time = Date.now() } = {}) {
+  const admin = await getTwoFactorAccount(adminId);
+  if (!admin.totp_enabled_at) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  if (!(await verifySecondFactor(adminId, code, { time }))) {
+    throw new Error('Invalid verification code');
+  }
+
+  return issueBackupCodes(adminId);
+}
+
+/**
+ * Remove two-factor authentication from an account without a code
+ * For administrators who lost their authenticator app and backup codes (master accounts, CLI).
+ * @param {string} adminId - Administrator ID
+ * @returns {Promise<void>}
+ */
+export async function resetTwoFactor(adminId) {
+  await getTwoFactorAccount(adminId);
+  await disableAdministratorTotp(adminId);
+  await deleteBackupCodes(adminId);
+}
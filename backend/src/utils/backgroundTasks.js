@@ -0,0 +1,39 @@
+/**
+ * Background Task Utility
+ * Keeps track of work that a request starts without waiting for it (automatic assignment,
+ * notifications), so that short-lived processes can let it finish before closing the database
+ */
+
+/**
+ * Tasks that have not settled yet
+ * @type {Set<Promise>}
+ */
+const pendingTasks = new Set();
+
+/**
+ * Track a task that runs in the background
+ * The task should handle its own errors; a rejection is only logged here.
+ * @param {Promise} promise - Task
+ * @returns {Promise<void>} Settles when the task does
+ */
+export function trackBackgroundTask(promise) {
+  const task = Promise.resolve(promise)
+    .then(() => undefined, (error) => {
+      console.error('Background task failed:', error);
+    })
+    .finally(() => {
+      pendingTasks.delete(task);
+    });
+  pendingTasks.add(task);
+  return task;
+}
+
+/**
+ * Wait until every tracked task has settled, including tasks started by those tasks
+ * @returns {Promise<void>}
+ */
+export async function waitForBackgroundTasks() {
+  while (pendingTasks.size > 0) {
+    await Promise.all([...pendingTasks]);
+  }
+}
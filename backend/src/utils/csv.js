@@ -0,0 +1,33 @@
+/**
+ * CSV Utility
+ * Builds CSV downloads that open correctly in spreadsheet apps
+ */
+
+/**
+ * Quote a value for CSV
+ * Values that a spreadsheet would treat as a formula are prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+export function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build CSV text from rows of cells
+ * @param {Array<Array<*>>} rows - Rows (the first one is usually the header)
+ * @returns {string} CSV text with CRLF line endings and a UTF-8 byte order mark for spreadsheet apps
+ */
+export function toCsv(rows) {
+  return `\uFEFF${rows.map(row => row.map(toCsvCell).join(',')).join('\r\n')}\r\n`;
+}
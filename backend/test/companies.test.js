@@ -0,0 +1,134 @@
+/**
+ * Deleted companies (soft delete, user-017)
+ * Tickets of a deleted company are kept, but no ticket list, search, SLA check,
+ * analytics or report may see them until the company is restored.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createCompany, createTicket } from './helpers.js';
+import { checkSlaDeadlines } from '../src/services/sla.js';
+import { checkContractExpiries } from '../src/services/contracts.js';
+
+describe('tickets of deleted companies', () => {
+  let server;
+  let master;
+  let kept;
+  let deleted;
+  let deletedAt;
+
+  before(async () => {
+    server = await startTestServer();
+    master = await server.login('admin1');
+
+    const acme = await createCompany(server, master, 'Acme');
+    const globex = await createCompany(server, master, 'Globex');
+    kept = await createTicket(server, acme.token, 'admin-003');
+    deleted = await createTicket(server, globex.token, 'admin-003');
+    deleted.client_id = globex.id;
+
+    const equipment = await server.api('POST', '/equipment', {
+      token: master,
+      body: { client_id: globex.id, serial_number: 'SRV-GLOBEX-0001' },
+    });
+    assert.equal(equipment.status, 201);
+    const now = Math.floor(Date.now() / 1000);
+    const contract = await server.api('POST', '/contracts', {
+      token: master,
+      body: { client_id: globex.id, contract_number: 'GLX-1', start_date: now - 86400, end_date: now + 10 * 86400 },
+    });
+    assert.equal(contract.status, 201);
+
+    deletedAt = Math.floor(Date.now() / 1000);
+    const response = await server.api('DELETE', `/clients/companies/${globex.id}`, { token: master });
+    assert.equal(response.status, 200);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('leaves them out of ticket lists and the company filter', async () => {
+    const list = await server.api('GET', '/tickets', { token: master });
+    assert.deepEqual(list.body.tickets.map(ticket => ticket.id), [kept.id]);
+    assert.equal(list.body.total, 1);
+
+    const companies = await server.api('GET', '/tickets/companies', { token: master });
+    assert.deepEqual(companies.body.companies, ['Acme']);
+  });
+
+  it('reports them as deleted in list deltas', async () => {
+    const delta = await server.api('GET', `/tickets?since=${deletedAt - 1}`, { token: master });
+    assert.equal(delta.status, 200);
+    assert.ok(delta.body.deleted_ids.includes(deleted.id));
+    assert.ok(!delta.body.tickets.some(ticket => ticket.id === deleted.id));
+  });
+
+  it('leaves them out of search', async () => {
+    const results = await server.api('GET', '/search?q=outage', { token: master });
+    assert.equal(results.status, 200);
+    assert.deepEqual(results.body.tickets.map(ticket => ticket.ticket_id), [kept.id]);
+  });
+
+  it('leaves them out of analytics and reports', async () => {
+    const analytics = await server.api('GET', '/analytics', { token: master });
+    assert.equal(analytics.status, 200);
+    assert.equal(analytics.body.summary.submitted, 1);
+    assert.deepEqual(analytics.body.top_companies.map(company => company.name), ['Acme']);
+
+    const report = await server.api('GET', '/reports?format=csv', { token: master });
+    assert.equal(report.status, 200);
+    assert.ok(report.body.includes(kept.id));
+    assert.ok(!report.body.includes(deleted.id));
+  });
+
+  it('does not escalate their SLA deadlines', async () => {
+    await checkSlaDeadlines(Math.floor(Date.now() / 1000) + 60 * 24 * 3600);
+
+    const rows = await server.db.all(
+      'SELECT id, sla_response_breached_at FROM tickets WHERE id IN (?, ?)',
+      [kept.id, deleted.id]
+    );
+    const breachedAt = Object.fromEntries(rows.map(row => [row.id, row.sla_response_breached_at]));
+    assert.notEqual(breachedAt[kept.id], null);
+    assert.equal(breachedAt[deleted.id], null);
+  });
+
+  it('leaves their equipment and contracts out of registries and expiry alerts', async () => {
+    const equipment = await server.api('GET', '/equipment', { token: master });
+    assert.equal(equipment.status, 200);
+    assert.ok(!equipment.body.equipment.some(row => row.serial_number === 'SRV-GLOBEX-0001'));
+
+    const contracts = await server.api('GET', '/contracts', { token: master });
+    assert.equal(contracts.status, 200);
+    assert.ok(!contracts.body.contracts.some(row => row.contract_number === 'GLX-1'));
+
+    assert.equal(await checkContractExpiries(), 0);
+  });
+
+  it('reassigns them when their engineer is deleted', async () => {
+    const response = await server.api('DELETE', '/admins/admin-003', { token: master });
+    assert.equal(response.status, 200);
+
+    const { assigned_engineer_id: assignee } = await server.db.get(
+      'SELECT assigned_engineer_id FROM tickets WHERE id = ?',
+      [deleted.id]
+    );
+    assert.ok(['admin-004', 'admin-005'].includes(assignee), `assigned to ${assignee}`);
+
+    const audit = await server.db.get(
+      "SELECT details FROM audit_log WHERE action = 'admin.deleted' AND target_id = 'admin-003'"
+    );
+    assert.equal(JSON.parse(audit.details).reassigned_tickets, 2);
+  });
+
+  it('brings them back into list deltas when the company is restored', async () => {
+    const restoredAt = Math.floor(Date.now() / 1000);
+    const response = await server.api('POST', `/clients/companies/${deleted.client_id}/restore`, { token: master });
+    assert.equal(response.status, 200);
+
+    const delta = await server.api('GET', `/tickets?since=${restoredAt - 1}`, { token: master });
+    assert.ok(delta.body.tickets.some(ticket => ticket.id === deleted.id));
+    assert.ok(!delta.body.deleted_ids.includes(deleted.id));
+  });
+});
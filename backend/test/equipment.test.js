@@ -0,0 +1,66 @@
+/**
+ * Equipment asset page (user-006)
+ * GET /api/equipment/:id returns the asset with the tickets raised against its serial number.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createCompany, createTicket, setRole } from './helpers.js';
+
+describe('equipment asset page', () => {
+  let server;
+  let master;
+  let company;
+  let other;
+  let equipment;
+  let ticket;
+
+  before(async () => {
+    server = await startTestServer();
+    master = await server.login('admin1');
+    company = await createCompany(server, master, 'Acme');
+    other = await createCompany(server, master, 'Globex');
+    ticket = await createTicket(server, company.token, 'admin-003');
+
+    // Submitting the ticket registered its serial number as the company's equipment
+    const listed = await server.api('GET', '/equipment', { token: company.token });
+    assert.equal(listed.status, 200);
+    equipment = listed.body.equipment.find(row => row.serial_number === ticket.serial_number);
+    assert.ok(equipment);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('shows any asset to an administrator', async () => {
+    const response = await server.api('GET', `/equipment/${equipment.id}`, { token: master });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.equipment.id, equipment.id);
+    assert.deepEqual(response.body.tickets.map(row => row.id), [ticket.id]);
+  });
+
+  it('lists only assigned tickets to an administrator without tickets.view_all', async () => {
+    const foreign = await createTicket(server, company.token, 'admin-004');
+    const engineer = await server.login('admin3');
+
+    const scoped = await server.api('GET', `/equipment/${equipment.id}`, { token: engineer });
+    assert.equal(scoped.status, 200);
+    assert.deepEqual(scoped.body.tickets.map(row => row.id), [ticket.id]);
+
+    await setRole('admin-005', 'dispatcher');
+    const dispatcher = await server.login('admin5');
+    const all = await server.api('GET', `/equipment/${equipment.id}`, { token: dispatcher });
+    assert.deepEqual(all.body.tickets.map(row => row.id).sort(), [ticket.id, foreign.id].sort());
+  });
+
+  it('shows a client its own assets only', async () => {
+    const own = await server.api('GET', `/equipment/${equipment.id}`, { token: company.token });
+    assert.equal(own.status, 200);
+    assert.ok(own.body.tickets.some(row => row.id === ticket.id));
+    assert.ok(own.body.tickets.every(row => row.client_id === company.id));
+
+    const foreign = await server.api('GET', `/equipment/${equipment.id}`, { token: other.token });
+    assert.equal(foreign.status, 404);
+  });
+});
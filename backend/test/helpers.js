@@ -0,0 +1,136 @@
+/**
+ * Test helpers
+ * Each test file runs in its own process with a fresh in-memory database (migrated and
+ * seeded like a new installation: admin1-5 / admin123, admin1 and admin2 are masters)
+ * and the API listening on a random local port.
+ */
+
+import { once } from 'events';
+import { initDatabase, closeDatabase, getDatabase } from '../src/database/sqlite.js';
+import { createApp } from '../src/api/app.js';
+import { waitForBackgroundTasks } from '../src/utils/backgroundTasks.js';
+
+export const ADMIN_PASSWORD = 'admin123';
+
+/**
+ * Start the API on a fresh in-memory database
+ * @returns {Promise<{db: import('sqlite').Database, api: Function, login: Function, close: Function, openEventStream: Function}>}
+ *   api(method, path, { token, body }) resolves to { status, body }; login(login, password) to a token;
+ *   openEventStream(token) opens /api/events and collects the names of the events it receives
+ */
+export async function startTestServer() {
+  const db = await initDatabase(':memory:');
+  const server = createApp().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  async function api(method, path, { token, body } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const type = response.headers.get('content-type') || '';
+    return {
+      status: response.status,
+      body: type.includes('application/json') ? await response.json() : await response.text(),
+    };
+  }
+
+  async function login(userLogin, password = ADMIN_PASSWORD) {
+    const { status, body } = await api('POST', '/auth/login', { body: { login: userLogin, password } });
+    if (status !== 200) {
+      throw new Error(`Login of ${userLogin} failed with ${status}: ${JSON.stringify(body)}`);
+    }
+    return body.token;
+  }
+
+  async function close() {
+    await waitForBackgroundTasks();
+    server.closeAllConnections();
+    server.close();
+    await closeDatabase();
+  }
+
+  async function openEventStream(token) {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/events?token=${encodeURIComponent(token)}`, { signal: controller.signal });
+    const decoder = new TextDecoder();
+    let text = '';
+    const reading = (async () => {
+      try {
+        for await (const chunk of response.body) {
+          text += decoder.decode(chunk, { stream: true });
+        }
+      } catch {
+        // Aborted by close()
+      }
+    })();
+    return {
+      /** Names of the events received so far */
+      events: () => [...text.matchAll(/^event: (\w+)$/gm)].map(match => match[1]),
+      close: async () => {
+        controller.abort();
+        await reading;
+      },
+    };
+  }
+
+  return { db, api, login, close, openEventStream };
+}
+
+/**
+ * Create a company account through the API and sign in as it
+ * @param {object} server - Test server from startTestServer
+ * @param {string} masterToken - Token of a master account
+ * @param {string} companyName - Company name
+ * @returns {Promise<{id: string, token: string}>} Client ID and token
+ */
+export async function createCompany(server, masterToken, companyName) {
+  const { status, body } = await server.api('POST', '/clients', { token: masterToken, body: { company_name: companyName } });
+  if (status !== 200) {
+    throw new Error(`Creating ${companyName} failed with ${status}: ${JSON.stringify(body)}`);
+  }
+  const token = await server.login(body.credentials.username, body.credentials.password);
+  return { id: body.client.id, token };
+}
+
+/**
+ * Submit a ticket as a client and assign it to an administrator
+ * Waits for the automatic assignment first, so that it cannot overwrite the assignee.
+ * @param {object} server - Test server from startTestServer
+ * @param {string} clientToken - Client token
+ * @param {string|null} assigneeId - Administrator ID, or null for an unassigned ticket
+ * @returns {Promise<object>} Ticket as stored
+ */
+export async function createTicket(server, clientToken, assigneeId) {
+  const { status, body } = await server.api('POST', '/tickets', {
+    token: clientToken,
+    body: {
+      serial_number: 'SRV-TEST-0001',
+      problem_description: 'Server does not boot after a power outage',
+      job_title: 'IT manager',
+      client_full_name: 'Test Contact',
+    },
+  });
+  if (status !== 201) {
+    throw new Error(`Creating a ticket failed with ${status}: ${JSON.stringify(body)}`);
+  }
+  await waitForBackgroundTasks();
+
+  const db = getDatabase();
+  await db.run('UPDATE tickets SET assigned_engineer_id = ? WHERE id = ?', [assigneeId, body.ticket.id]);
+  return db.get('SELECT * FROM tickets WHERE id = ?', [body.ticket.id]);
+}
+
+/**
+ * Give a seeded administrator a role
+ * @param {string} adminId - Administrator ID, e.g. 'admin-003'
+ * @param {string} roleId - Role ID, e.g. 'dispatcher'
+ */
+export async function setRole(adminId, roleId) {
+  await getDatabase().run('UPDATE administrators SET role_id = ? WHERE id = ?', [roleId, adminId]);
+}
@@ -0,0 +1,63 @@
+/**
+ * Inbound email sender verification (user-010)
+ * Uses the sample emails in fixtures/inbound-email, whose trusted MTA is mx.support.example.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { parseEmail, isSenderVerified } from '../src/services/inboundEmail.js';
+
+const TRUSTED_MTA = 'mx.support.example';
+
+/**
+ * Parse a sample email
+ * @param {string} fileName - File in fixtures/inbound-email
+ * @returns {Promise<object>} Parsed email
+ */
+async function parseFixture(fileName) {
+  return parseEmail(await readFile(new URL(`../fixtures/inbound-email/${fileName}`, import.meta.url)));
+}
+
+/**
+ * Parse an email with the given headers above a From of it@acme.example
+ * @param {string} headers - Header lines
+ * @returns {Promise<object>} Parsed email
+ */
+async function parseWithHeaders(headers) {
+  return parseEmail(`${headers}\nFrom: <it@acme.example>\nSubject: Test\nMessage-ID: <test@acme.example>\n\nBody\n`);
+}
+
+describe('inbound email sender verification', () => {
+  it('accepts a sender the trusted MTA has verified', async () => {
+    assert.ok(isSenderVerified(await parseFixture('01-new-ticket.eml'), TRUSTED_MTA));
+    assert.ok(isSenderVerified(await parseFixture('03-with-attachments.eml'), TRUSTED_MTA));
+    assert.ok(isSenderVerified(
+      await parseWithHeaders(`Authentication-Results: ${TRUSTED_MTA}; dmarc=pass (p=reject) header.from=acme.example`),
+      TRUSTED_MTA
+    ));
+  });
+
+  it('rejects a failed check and results added by other servers', async () => {
+    assert.ok(!isSenderVerified(await parseFixture('06-forged-sender.eml'), TRUSTED_MTA));
+    assert.ok(!isSenderVerified(
+      await parseWithHeaders('Authentication-Results: mx.acme.example; dkim=pass header.d=acme.example'),
+      TRUSTED_MTA
+    ));
+  });
+
+  it('rejects a pass for a domain other than the sender\'s', async () => {
+    assert.ok(!isSenderVerified(
+      await parseWithHeaders(`Authentication-Results: ${TRUSTED_MTA}; dkim=pass header.d=attacker.example`),
+      TRUSTED_MTA
+    ));
+    assert.ok(!isSenderVerified(
+      await parseWithHeaders(`Authentication-Results: ${TRUSTED_MTA}; spf=pass smtp.mailfrom=it@notacme.example`),
+      TRUSTED_MTA
+    ));
+  });
+
+  it('trusts no sender when no MTA is configured', async () => {
+    assert.ok(!isSenderVerified(await parseFixture('01-new-ticket.eml'), null));
+  });
+});
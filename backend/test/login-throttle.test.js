@@ -0,0 +1,45 @@
+/**
+ * Sign-in throttling (user-015)
+ * Limits from the defaults: 5 failures per login, 20 per IP address; all requests come from 127.0.0.1.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, ADMIN_PASSWORD } from './helpers.js';
+
+describe('sign-in throttling', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('does not let successful sign-ins count towards the IP limit', async () => {
+    for (let i = 0; i < 25; i++) {
+      await server.login('admin2');
+    }
+
+    const wrong = await server.api('POST', '/auth/login', { body: { login: 'admin2', password: 'wrong' } });
+    assert.equal(wrong.status, 400);
+    await server.login('admin2');
+  });
+
+  it('allows no more guesses than the limit to parallel requests', async () => {
+    const responses = await Promise.all(Array.from({ length: 15 }, () =>
+      server.api('POST', '/auth/login', { body: { login: 'admin3', password: 'wrong' } })
+    ));
+
+    const verified = responses.filter(response => response.status === 400);
+    const throttled = responses.filter(response => response.status === 429);
+    assert.ok(verified.length <= 5, `${verified.length} passwords were checked`);
+    assert.equal(verified.length + throttled.length, responses.length);
+
+    const afterwards = await server.api('POST', '/auth/login', { body: { login: 'admin3', password: ADMIN_PASSWORD } });
+    assert.equal(afterwards.status, 429);
+    assert.equal(afterwards.body.error, 'too_many_attempts');
+  });
+});
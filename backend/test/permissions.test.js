@@ -0,0 +1,167 @@
+/**
+ * Route-level permission tests (role-based permissions, user-021)
+ * admin3 and admin4 keep the default engineer role (no permissions); admin5 is a dispatcher.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createCompany, createTicket, setRole } from './helpers.js';
+
+describe('role-based permissions', () => {
+  let server;
+  let master;
+  let engineer;
+  let otherEngineer;
+  let dispatcher;
+  let company;
+
+  before(async () => {
+    server = await startTestServer();
+    master = await server.login('admin1');
+    engineer = await server.login('admin3');
+    otherEngineer = await server.login('admin4');
+    await setRole('admin-005', 'dispatcher');
+    dispatcher = await server.login('admin5');
+    company = await createCompany(server, master, 'Acme');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  describe('company accounts', () => {
+    it('requires companies.create to create a company', async () => {
+      const denied = await server.api('POST', '/clients', { token: engineer, body: { company_name: 'Denied Ltd' } });
+      assert.equal(denied.status, 403);
+      assert.equal(denied.body.permission, 'companies.create');
+
+      await setRole('admin-004', 'account_manager');
+      try {
+        const created = await server.api('POST', '/clients', { token: otherEngineer, body: { company_name: 'Allowed Ltd' } });
+        assert.equal(created.status, 200);
+      } finally {
+        await setRole('admin-004', null);
+      }
+    });
+
+    it('requires companies.view to list clients and never returns codephrases', async () => {
+      const denied = await server.api('GET', '/clients', { token: engineer });
+      assert.equal(denied.status, 403);
+      assert.equal(denied.body.permission, 'companies.view');
+
+      const listed = await server.api('GET', '/clients', { token: dispatcher });
+      assert.equal(listed.status, 200);
+      assert.ok(listed.body.clients.length > 0);
+      for (const client of listed.body.clients) {
+        assert.equal(client.codephrase, undefined);
+      }
+    });
+  });
+
+  describe('ticket scope', () => {
+    it('lets an engineer read only the tickets assigned to them', async () => {
+      const own = await createTicket(server, company.token, 'admin-003');
+      const foreign = await createTicket(server, company.token, 'admin-004');
+
+      assert.equal((await server.api('GET', `/tickets/${own.id}`, { token: engineer })).status, 200);
+      assert.equal((await server.api('GET', `/tickets/${foreign.id}`, { token: engineer })).status, 403);
+      assert.equal((await server.api('GET', `/tickets/${foreign.id}/history`, { token: engineer })).status, 403);
+      assert.equal((await server.api('GET', `/chat/${foreign.id}/messages`, { token: engineer })).status, 403);
+      assert.equal((await server.api('GET', `/tickets/${foreign.id}`, { token: dispatcher })).status, 200);
+
+      const list = await server.api('GET', '/tickets', { token: engineer });
+      assert.equal(list.status, 200);
+      assert.deepEqual(list.body.tickets.map(ticket => ticket.id), [own.id]);
+    });
+
+    it('rejects PATCH on a ticket outside the administrator scope', async () => {
+      const foreign = await createTicket(server, company.token, 'admin-004');
+
+      const response = await server.api('PATCH', `/tickets/${foreign.id}`, { token: engineer, body: { priority: 'low' } });
+      assert.equal(response.status, 403);
+    });
+
+    it('streams ticket events and internal notes only to administrators who may access the ticket', async () => {
+      const ticket = await createTicket(server, company.token, 'admin-003');
+      const assigneeStream = await server.openEventStream(engineer);
+      const otherStream = await server.openEventStream(otherEngineer);
+      const clientStream = await server.openEventStream(company.token);
+
+      const note = await server.api('POST', `/chat/${ticket.id}/messages`, {
+        token: master,
+        body: { content: 'Internal: check the PSU first', message_type: 'internal' },
+      });
+      assert.equal(note.status, 201);
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      await Promise.all([assigneeStream.close(), otherStream.close(), clientStream.close()]);
+      assert.ok(assigneeStream.events().includes('chat_message'));
+      assert.ok(!otherStream.events().includes('chat_message'));
+      assert.ok(!clientStream.events().includes('chat_message'));
+    });
+
+    it('keeps a client to the tickets of its own company', async () => {
+      const other = await createCompany(server, master, 'Globex');
+      const ticket = await createTicket(server, company.token, 'admin-003');
+
+      assert.equal((await server.api('GET', `/tickets/${ticket.id}`, { token: company.token })).status, 200);
+      assert.equal((await server.api('GET', `/tickets/${ticket.id}`, { token: other.token })).status, 403);
+    });
+  });
+
+  describe('ticket updates', () => {
+    it('requires tickets.assign to reassign a ticket', async () => {
+      const ticket = await createTicket(server, company.token, 'admin-003');
+
+      const viaAssign = await server.api('POST', `/tickets/${ticket.id}/assign`, { token: engineer, body: { assigned_engineer_id: 'admin-004' } });
+      assert.equal(viaAssign.status, 403);
+
+      const viaPatch = await server.api('PATCH', `/tickets/${ticket.id}`, { token: engineer, body: { assigned_engineer_id: 'admin-004' } });
+      assert.equal(viaPatch.status, 403);
+      assert.equal(viaPatch.body.permission, 'tickets.assign');
+
+      const unchanged = await server.api('PATCH', `/tickets/${ticket.id}`, { token: engineer, body: { assigned_engineer_id: 'admin-003', priority: 'high' } });
+      assert.equal(unchanged.status, 200);
+      assert.equal(unchanged.body.ticket.priority, 'high');
+
+      const byDispatcher = await server.api('PATCH', `/tickets/${ticket.id}`, { token: dispatcher, body: { assigned_engineer_id: 'admin-004' } });
+      assert.equal(byDispatcher.status, 200);
+      assert.equal(byDispatcher.body.ticket.assigned_engineer_id, 'admin-004');
+    });
+
+    it('requires tickets.restore to reopen a closed ticket', async () => {
+      const ticket = await createTicket(server, company.token, 'admin-003');
+
+      const closed = await server.api('PATCH', `/tickets/${ticket.id}`, { token: engineer, body: { status: 'closed' } });
+      assert.equal(closed.status, 200);
+
+      const reopened = await server.api('PATCH', `/tickets/${ticket.id}`, { token: engineer, body: { status: 'in_progress' } });
+      assert.equal(reopened.status, 403);
+      assert.equal(reopened.body.permission, 'tickets.restore');
+
+      const restored = await server.api('PATCH', `/tickets/${ticket.id}`, { token: master, body: { status: 'in_progress' } });
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.ticket.status, 'in_progress');
+    });
+  });
+
+  describe('administrator routes', () => {
+    it('answers 403 with the missing permission', async () => {
+      for (const [method, path, permission] of [
+        ['GET', '/clients/companies', 'companies.view'],
+        ['GET', '/audit', 'audit.view'],
+        ['GET', '/analytics', 'analytics.view'],
+        ['POST', '/admins', 'admins.create'],
+      ]) {
+        const response = await server.api(method, path, { token: engineer, body: method === 'POST' ? {} : undefined });
+        assert.equal(response.status, 403, `${method} ${path}`);
+        assert.equal(response.body.permission, permission, `${method} ${path}`);
+      }
+    });
+
+    it('keeps clients out of administrator routes', async () => {
+      assert.equal((await server.api('GET', '/clients', { token: company.token })).status, 403);
+      assert.equal((await server.api('GET', '/analytics', { token: company.token })).status, 403);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Report size limit (user-025)
+ * Tickets are inserted directly; creating thousands through the API would take too long.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createCompany } from './helpers.js';
+import { MAX_REPORT_TICKETS } from '../src/services/tickets.js';
+
+describe('report size limit', () => {
+  let server;
+  let master;
+  let company;
+
+  /**
+   * Insert tickets submitted on consecutive seconds from a start time
+   * @param {number} count - Number of tickets
+   * @param {number} start - submitted_at of the first ticket (Unix seconds)
+   */
+  async function insertTickets(count, start) {
+    await server.db.run('BEGIN');
+    for (let i = 0; i < count; i++) {
+      await server.db.run(
+        `INSERT INTO tickets (id, client_id, serial_number, problem_description, job_title, client_full_name,
+                              company_name, status, submitted_at, updated_at)
+         VALUES (?, ?, 'SRV-TEST-0001', 'Disk failure', 'IT manager', 'Test Contact', 'Acme', 'new', ?, ?)`,
+        [`T-${String(start + i).slice(-7)}`, company.id, start + i, start + i]
+      );
+    }
+    await server.db.run('COMMIT');
+  }
+
+  before(async () => {
+    server = await startTestServer();
+    master = await server.login('admin1');
+    company = await createCompany(server, master, 'Acme');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('generates a report of exactly the limit and rejects one more ticket', async () => {
+    const start = 1700000000;
+    await insertTickets(MAX_REPORT_TICKETS + 1, start);
+
+    const atLimit = await server.api('GET', `/reports?format=csv&date_to=${start + MAX_REPORT_TICKETS - 1}`, { token: master });
+    assert.equal(atLimit.status, 200);
+    assert.equal(atLimit.body.trim().split('\n').length, MAX_REPORT_TICKETS + 1);
+
+    const overLimit = await server.api('GET', '/reports?format=pdf', { token: master });
+    assert.equal(overLimit.status, 400);
+    assert.equal(overLimit.body.error, 'validation_error');
+    assert.match(overLimit.body.message, /narrow the filters/);
+  });
+});
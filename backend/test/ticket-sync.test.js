@@ -0,0 +1,123 @@
+/**
+ * Ticket list deltas (?since=, user-023)
+ * A client loads a page, then passes the sync_cursor of each response as the since of the next request.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createCompany, createTicket } from './helpers.js';
+
+describe('ticket list deltas', () => {
+  let server;
+  let master;
+  let engineer;
+  let company;
+
+  before(async () => {
+    server = await startTestServer();
+    master = await server.login('admin1');
+    engineer = await server.login('admin3');
+    company = await createCompany(server, master, 'Acme');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  /**
+   * Load the first page of a list and return its sync cursor
+   * @param {string} path - '/tickets' or '/tickets/archive', with filters
+   * @param {string} token - Token
+   * @returns {Promise<number>} sync_cursor
+   */
+  async function loadCursor(path, token) {
+    const page = await server.api('GET', path, { token });
+    assert.equal(page.status, 200);
+    assert.equal(typeof page.body.sync_cursor, 'number');
+    return page.body.sync_cursor;
+  }
+
+  /**
+   * Request the changes of a list since a cursor
+   * @param {string} path - '/tickets' or '/tickets/archive'
+   * @param {string} token - Token
+   * @param {number} since - sync_cursor of the previous response
+   * @returns {Promise<object>} Delta
+   */
+  async function delta(path, token, since) {
+    const separator = path.includes('?') ? '&' : '?';
+    const response = await server.api('GET', `${path}${separator}since=${since}`, { token });
+    assert.equal(response.status, 200);
+    return response.body;
+  }
+
+  it('keeps an update made in the same second as the previous request', async () => {
+    const ticket = await createTicket(server, company.token, 'admin-003');
+    const cursor = await loadCursor('/tickets', master);
+
+    // Stamped with the second in which the page was read
+    await server.db.run("UPDATE tickets SET priority = 'high', updated_at = ? WHERE id = ?", [cursor + 1, ticket.id]);
+
+    const changes = await delta('/tickets', master, cursor);
+    const changed = changes.tickets.find(row => row.id === ticket.id);
+    assert.ok(changed);
+    assert.equal(changed.priority, 'high');
+    assert.ok(changes.sync_cursor >= cursor);
+  });
+
+  it('moves closed and reopened tickets between the active list and the archive', async () => {
+    const ticket = await createTicket(server, company.token, 'admin-003');
+    const activeCursor = await loadCursor('/tickets', master);
+    const archiveCursor = await loadCursor('/tickets/archive', master);
+
+    const closed = await server.api('PATCH', `/tickets/${ticket.id}`, { token: master, body: { status: 'closed' } });
+    assert.equal(closed.status, 200);
+
+    const active = await delta('/tickets', master, activeCursor);
+    assert.ok(active.archived_ids.includes(ticket.id));
+    assert.ok(!active.tickets.some(row => row.id === ticket.id));
+
+    const archive = await delta('/tickets/archive', master, archiveCursor);
+    assert.ok(archive.tickets.some(row => row.id === ticket.id));
+
+    const reopened = await server.api('PATCH', `/tickets/${ticket.id}`, { token: master, body: { status: 'in_progress' } });
+    assert.equal(reopened.status, 200);
+
+    const restored = await delta('/tickets/archive', master, archive.sync_cursor);
+    assert.ok(restored.restored_ids.includes(ticket.id));
+  });
+
+  it('lists deleted tickets and tickets that no longer match the filters', async () => {
+    const deleted = await createTicket(server, company.token, 'admin-003');
+    const filtered = await createTicket(server, company.token, 'admin-003');
+    await server.db.run("UPDATE tickets SET priority = 'high' WHERE id = ?", [filtered.id]);
+    const cursor = await loadCursor('/tickets?priority=high', master);
+
+    await server.db.run('DELETE FROM tickets WHERE id = ?', [deleted.id]);
+    const changed = await server.api('PATCH', `/tickets/${filtered.id}`, { token: master, body: { priority: 'low' } });
+    assert.equal(changed.status, 200);
+
+    const changes = await delta('/tickets?priority=high', master, cursor);
+    assert.ok(changes.deleted_ids.includes(deleted.id));
+    assert.ok(changes.removed_ids.includes(filtered.id));
+    assert.ok(!changes.tickets.some(row => row.id === filtered.id));
+  });
+
+  it('removes a ticket reassigned away from an engineer from their list', async () => {
+    const ticket = await createTicket(server, company.token, 'admin-003');
+    const cursor = await loadCursor('/tickets', engineer);
+
+    const reassigned = await server.api('PATCH', `/tickets/${ticket.id}`, { token: master, body: { assigned_engineer_id: 'admin-004' } });
+    assert.equal(reassigned.status, 200);
+
+    const changes = await delta('/tickets', engineer, cursor);
+    assert.ok(changes.removed_ids.includes(ticket.id));
+    assert.ok(!changes.tickets.some(row => row.id === ticket.id));
+  });
+
+  it('rejects an invalid since', async () => {
+    const response = await server.api('GET', '/tickets?since=yesterday', { token: master });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'invalid_since_parameter');
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Account Settings Component
+ * Lets a signed-in client change their password and rotate the company recovery codephrase
+ */
+
+import { get, put, post } from '../services/api.js';
+import { t, getCurrentLanguage } from '../services/i18n.js';
+
+/**
+ * Create and render account settings component
+ * @param {HTMLElement} container - Container element to render into
+ * @returns {Function} Refresh function to reload the credential status
+ */
+export function createAccountSettings(container) {
+  let status = null;
+  let newCodephrase = null; // Shown once after regeneration
+  let message = null; // { type: 'error' | 'success', text }
+  let isSaving = false;
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+  }
+
+  /**
+   * Describe when a credential was last changed
+   * @param {number|null} changedAt - Last change (Unix seconds) or null if never changed
+   * @returns {string} Text such as "Last changed: 19 Oct 2026, 10:15"
+   */
+  function describeChange(changedAt) {
+    const locale = getCurrentLanguage() === 'ru' ? 'ru-RU' : 'en-US';
+    const format = (timestamp) => new Date(timestamp * 1000).toLocaleString(locale, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    return changedAt
+      ? t('accountSettings.lastChanged').replace('{date}', format(changedAt))
+      : t('accountSettings.neverChanged').replace('{date}', format(status.created_at));
+  }
+
+  /**
+   * Get the message for a failed request
+   * @param {Error} error - API error
+   * @returns {string} Message text
+   */
+  function getErrorMessage(error) {
+    if (error.status === 429) {
+      return t('accountSettings.tooManyAttempts').replace('{seconds}', error.data?.retry_after || 60);
+    }
+    if (error.data?.error === 'invalid_current_password') {
+      return t('accountSettings.wrongCurrentPassword');
+    }
+    return error.data?.message || error.message || t('accountSettings.errorGeneric');
+  }
+
+  /**
+   * Render component
+   */
+  function render() {
+    if (!status) {
+      container.innerHTML = message
+        ? `<div class="error-message" role="alert">${escapeHtml(message.text)}</div>`
+        : `<p style="color: var(--text-secondary);">${t('common.loading') || 'Loading...'}</p>`;
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="account-settings">
+        ${message ? `
+          <div class="${message.type === 'error' ? 'error-message' : 'success-message'}" role="${message.type === 'error' ? 'alert' : 'status'}" aria-live="polite">${escapeHtml(message.text)}</div>
+        ` : ''}
+
+        <form id="account-password-form" style="margin-bottom: 1.5rem;">
+          <h3 style="margin-bottom: 0.25rem;">${t('accountSettings.passwordTitle')}</h3>
+          <p style="color: var(--text-secondary); font-size: var(--font-size-sm); margin-top: 0;">
+            ${t('accountSettings.login')}: <code>${escapeHtml(status.login)}</code> · ${escapeHtml(describeChange(status.password_changed_at))}
+          </p>
+          <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem;">
+            <div class="form-group">
+              <label class="form-label required" for="account-current-password">${t('accountSettings.currentPassword')}</label>
+              <input type="password" class="form-input" id="account-current-password" autocomplete="current-password" required maxlength="255">
+            </div>
+            <div class="form-group">
+              <label class="form-label required" for="account-new-password">${t('accountSettings.newPassword')}</label>
+              <input type="password" class="form-input" id="account-new-password" autocomplete="new-password" required minlength="8" maxlength="128">
+            </div>
+            <div class="form-group">
+              <label class="form-label required" for="account-confirm-password">${t('accountSettings.confirmPassword')}</label>
+              <input type="password" class="form-input" id="account-confirm-password" autocomplete="new-password" required minlength="8" maxlength="128">
+            </div>
+          </div>
+          <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">${t('accountSettings.passwordHint')}</p>
+          <button type="submit" class="btn btn-primary" ${isSaving ? 'disabled' : ''}>${t('accountSettings.changePassword')}</button>
+        </form>
+
+        ${status.can_regenerate_codephrase ? `
+        <div>
+          <h3 style="margin-bottom: 0.25rem;">${t('accountSettings.codephraseTitle')}</h3>
+          <p style="color: var(--text-secondary); font-size: var(--font-size-sm); margin-top: 0;">
+            ${escapeHtml(describeChange(status.codephrase_changed_at))}
+          </p>
+          <p style="font-size: var(--font-size-sm);">${t('accountSettings.codephraseDescription')}</p>
+          ${newCodephrase ? `
+            <div style="background: #f0fdf4; border: 1px solid #86efac; border-radius: 8px; padding: 1rem; margin-bottom: 1rem;">
+              <div>${t('accountSettings.newCodephrase')}</div>
+              <code style="font-size: 1.1rem;">${escapeHtml(newCodephrase)}</code>
+              <p style="margin: 0.5rem 0 0 0; color: var(--text-secondary); font-size: var(--font-size-sm);">${t('accountSettings.saveCodephrase')}</p>
+            </div>
+          ` : ''}
+          <button type="button" class="btn btn-secondary" id="account-codephrase-btn" ${isSaving ? 'disabled' : ''}>${t('accountSettings.regenerateCodephrase')}</button>
+        </div>
+        ` : `
+        <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">${t('accountSettings.codephraseCompanyOnly')}</p>
+        `}
+      </div>
+    `;
+
+    container.querySelector('#account-password-form').addEventListener('submit', changePassword);
+    container.querySelector('#account-codephrase-btn')?.addEventListener('click', regenerateCodephrase);
+  }
+
+  /**
+   * Change the password from the form
+   * @param {SubmitEvent} e - Submit event
+   */
+  async function changePassword(e) {
+    e.preventDefault();
+    const currentPassword = container.querySelector('#account-current-password').value;
+    const newPassword = container.querySelector('#account-new-password').value;
+    const confirmPassword = container.querySelector('#account-confirm-password').value;
+
+    if (newPassword !== confirmPassword) {
+      message = { type: 'error', text: t('accountSettings.passwordMismatch') };
+      render();
+      return;
+    }
+
+    isSaving = true;
+    render();
+    try {
+      await put('/auth/account/password', { current_password: currentPassword, new_password: newPassword });
+      message = { type: 'success', text: t('accountSettings.passwordChanged') };
+    } catch (error) {
+      console.error('Error changing password:', error);
+      message = { type: 'error', text: getErrorMessage(error) };
+    }
+    isSaving = false;
+    await loadStatus();
+  }
+
+  /**
+   * Replace the recovery codephrase after confirmation
+   */
+  async function regenerateCodephrase() {
+    if (!confirm(t('accountSettings.confirmRegenerate'))) {
+      return;
+    }
+
+    isSaving = true;
+    render();
+    try {
+      const response = await post('/auth/account/codephrase', {});
+      newCodephrase = response.codephrase;
+      message = { type: 'success', text: t('accountSettings.codephraseRegenerated') };
+    } catch (error) {
+      console.error('Error regenerating codephrase:', error);
+      message = { type: 'error', text: getErrorMessage(error) };
+    }
+    isSaving = false;
+    await loadStatus();
+  }
+
+  /**
+   * Load the credential status from API
+   */
+  async function loadStatus() {
+    try {
+      status = await get('/auth/account');
+    } catch (error) {
+      console.error('Error loading account settings:', error);
+      message = { type: 'error', text: getErrorMessage(error) };
+    }
+    render();
+  }
+
+  // Re-render on language change
+  window.addEventListener('languagechange', render);
+
+  render();
+  loadStatus();
+
+  return loadStatus;
+}
@@ -1,10 +1,13 @@
 /**
  * Administrator Management Component
- * Allows administrators to manage administrator accounts
+ * Allows administrators to manage administrator accounts, their roles and skills;
+ * each control is shown only with the matching admins.* permission
  */
 
-import { get, post, del, patch } from '../services/api.js';
+import { get, post, put, del, patch } from '../services/api.js';
 import { t, getCurrentLanguage } from '../services/i18n.js';
+import { hasPermission, getRoleName } from '../services/permissions.js';
+import { renderCategoryOptions } from './ticket-classification.js';
 import { createPollingManager } from '../services/realtime.js';
 import { createIcon } from '../utils/icons.js';
 
@@ -43,13 +46,16 @@ function escapeHtml(text) {
  * Create administrator management component
  * @param {HTMLElement} container - Container element to render into
  * @param {object} options - Options
- * @param {object} options.currentUser - Current user object with id and is_master
+ * @param {object} options.currentUser - Current user object with id, is_master and permissions
  * @returns {Function} Refresh function to reload administrators
  */
 export function createAdminManagement(container, options = {}) {
   const { currentUser = null } = options;
   let isLoading = false;
   let administrators = [];
+  let skills = []; // Skill catalog for skill-based routing
+  let roles = []; // Administrator roles (GET /roles)
+  let lockouts = []; // Locked sign-ins (admins.unlock)
   let isMasterAccount = false;
   let pollingManager = null; // For real-time account list updates (Feature 9)
   let isAccountsTabActive = false; // Track if Accounts tab is visible
@@ -75,6 +81,38 @@ export function createAdminManagement(container, options = {}) {
     }
   }
 
+  /**
+   * Check whether the current user holds a permission
+   * @param {string} permission - Permission key
+   * @returns {boolean} True for master accounts and roles that grant it
+   */
+  function can(permission) {
+    return isMasterAccount || hasPermission(currentUser, permission);
+  }
+
+  /**
+   * Check whether the current user may change another account with a permission
+   * Master accounts can only be changed by master accounts.
+   * @param {object} admin - Target administrator
+   * @param {string} permission - Permission key
+   * @returns {boolean} True if allowed
+   */
+  function canChange(admin, permission) {
+    const isTargetMaster = admin.is_master === 1 || admin.is_master === true;
+    return can(permission) && (isMasterAccount || !isTargetMaster);
+  }
+
+  /**
+   * Render role options for a select
+   * @param {string} selectedId - Selected role ID
+   * @returns {string} HTML string with option elements
+   */
+  function renderRoleOptions(selectedId) {
+    return roles.map(role => `
+      <option value="${escapeHtml(role.id)}" ${role.id === selectedId ? 'selected' : ''}>${escapeHtml(getRoleName(role))}</option>
+    `).join('');
+  }
+
   /**
    * Render administrator list
    * @param {Array} adminsList - Array of administrator objects
@@ -95,7 +133,7 @@ export function createAdminManagement(container, options = {}) {
         <div class="admin-list">
           ${adminsList.map(admin => renderAdminItem(admin)).join('')}
         </div>
-        ${isMasterAccount ? `
+        ${can('admins.create') ? `
         <div class="admin-form-section">
           <h3>${t('adminManagement.addNewAdmin')}</h3>
           <form id="admin-form" class="admin-form">
@@ -124,6 +162,7 @@ export function createAdminManagement(container, options = {}) {
                 placeholder="${t('adminManagement.passwordPlaceholder')}"
               />
             </div>
+            ${isMasterAccount ? `
             <div class="form-group">
               <label class="form-label required" for="admin-is-master">${t('adminManagement.accountType') || 'Account Type'}</label>
               <select class="form-select" id="admin-is-master" name="is_master">
@@ -132,6 +171,14 @@ export function createAdminManagement(container, options = {}) {
               </select>
               <small class="form-help">${t('adminManagement.accountTypeHelp') || 'Master accounts have full system access'}</small>
             </div>
+            <div class="form-group">
+              <label class="form-label" for="admin-role">${t('adminManagement.role')}</label>
+              <select class="form-select" id="admin-role" name="role_id">
+                ${renderRoleOptions('engineer')}
+              </select>
+              <small class="form-help">${t('adminManagement.roleHelp')}</small>
+            </div>
+            ` : ''}
             <div class="form-group">
               <button type="submit" class="btn btn-primary">${t('adminManagement.add')}</button>
             </div>
@@ -144,6 +191,8 @@ export function createAdminManagement(container, options = {}) {
           </p>
         </div>
         `}
+        ${can('skills.manage') ? renderSkillCatalog() : ''}
+        ${can('admins.unlock') ? renderLockouts() : ''}
       </div>
     `;
 
@@ -153,19 +202,48 @@ export function createAdminManagement(container, options = {}) {
       form.addEventListener('submit', handleAddAdmin);
     }
 
-    // Attach delete button handlers (master accounts only)
+    // Attach skill catalog handlers (skills.manage)
+    container.querySelector('#skill-form')?.addEventListener('submit', handleAddSkill);
+    container.querySelectorAll('[data-save-skill]').forEach(btn => {
+      btn.addEventListener('click', () => handleSaveSkill(btn.getAttribute('data-save-skill')));
+    });
+    container.querySelectorAll('[data-delete-skill]').forEach(btn => {
+      btn.addEventListener('click', () => handleDeleteSkill(btn.getAttribute('data-delete-skill')));
+    });
+
+    // Attach unlock handlers (admins.unlock)
+    container.querySelectorAll('[data-unlock-scope]').forEach(btn => {
+      btn.addEventListener('click', () => handleUnlock(btn.getAttribute('data-unlock-scope'), btn.getAttribute('data-unlock-identifier')));
+    });
+
+    // Attach per-administrator handlers (buttons exist only where the permission allows)
     adminsList.forEach(admin => {
       const deleteBtn = container.querySelector(`[data-delete-admin="${admin.id}"]`);
       if (deleteBtn) {
         deleteBtn.addEventListener('click', () => handleDeleteAdmin(admin.id, admin.display_name || admin.login));
       }
 
-      // Attach password change button handlers (master accounts only) (Feature 9: Archive Account Management)
+      const roleSelect = container.querySelector(`[data-admin-role="${admin.id}"]`);
+      if (roleSelect) {
+        roleSelect.addEventListener('change', () => handleChangeRole(admin, roleSelect));
+      }
+
+      // Attach password change button handlers (Feature 9: Archive Account Management)
+      const saveSkillsBtn = container.querySelector(`[data-save-admin-skills="${admin.id}"]`);
+      if (saveSkillsBtn) {
+        saveSkillsBtn.addEventListener('click', () => handleSaveAdminSkills(admin.id));
+      }
+
       const changePasswordBtn = container.querySelector(`[data-change-password="${admin.id}"]`);
       if (changePasswordBtn) {
         changePasswordBtn.addEventListener('click', () => handleChangePassword(admin.id, admin.display_name || admin.login));
       }
 
+      const resetTwoFactorBtn = container.querySelector(`[data-reset-two-factor="${admin.id}"]`);
+      if (resetTwoFactorBtn) {
+        resetTwoFactorBtn.addEventListener('click', () => handleResetTwoFactor(admin.id, admin.display_name || admin.login));
+      }
+
       // Attach display name edit button handlers
       const editDisplayNameBtn = container.querySelector(`[data-edit-display-name="${admin.id}"]`);
       if (editDisplayNameBtn) {
@@ -207,8 +285,9 @@ export function createAdminManagement(container, options = {}) {
     const displayName = admin.display_name || admin.login || 'N/A';
     const isThisAdminMaster = admin.is_master === 1 || admin.is_master === true;
     const currentUserId = currentUser?.id;
-    const canEditDisplayName = isMasterAccount || (currentUserId === admin.id);
-    const canDelete = isMasterAccount; // Only masters can delete
+    const canEditDisplayName = currentUserId === admin.id || canChange(admin, 'admins.manage');
+    const canManage = canChange(admin, 'admins.manage');
+    const canDelete = canChange(admin, 'admins.delete');
 
     return `
       <div class="card admin-item" data-admin-id="${admin.id}">
@@ -220,6 +299,7 @@ export function createAdminManagement(container, options = {}) {
                   ${escapeHtml(displayName)}
                 </strong>
                 ${isThisAdminMaster ? '<span class="badge" style="background: #f59e0b; color: white; font-size: 0.75rem; padding: 0.125rem 0.5rem;">Master</span>' : ''}
+                ${admin.two_factor_enabled ? `<span class="badge" style="background: #10b981; color: white; font-size: 0.75rem; padding: 0.125rem 0.5rem;" title="${t('adminManagement.twoFactorEnabled')}">2FA</span>` : ''}
                 <input 
                   type="text" 
                   class="form-input admin-display-name-input" 
@@ -267,8 +347,9 @@ export function createAdminManagement(container, options = {}) {
             </div>
             <span class="admin-id" style="margin-top: 0.5rem; display: block;">${t('adminManagement.id') || 'ID'}: ${escapeHtml(admin.id)}</span>
           </div>
-          ${isMasterAccount ? `
+          ${canManage || canDelete ? `
           <div style="display: flex; gap: 0.5rem;">
+            ${canManage ? `
             <button 
               class="btn btn-secondary btn-sm" 
               data-change-password="${admin.id}"
@@ -276,6 +357,16 @@ export function createAdminManagement(container, options = {}) {
             >
               ${t('adminManagement.changePassword') || 'Change Password'}
             </button>
+            ` : ''}
+            ${canManage && admin.two_factor_enabled ? `
+            <button 
+              class="btn btn-secondary btn-sm" 
+              data-reset-two-factor="${admin.id}"
+              title="${t('adminManagement.resetTwoFactorTitle')}"
+            >
+              ${t('adminManagement.resetTwoFactor')}
+            </button>
+            ` : ''}
             ${canDelete ? `
             <button 
               class="btn btn-primary btn-sm" 
@@ -293,11 +384,277 @@ export function createAdminManagement(container, options = {}) {
             <label>${t('adminManagement.created') || 'Created'}</label>
             <span>${formatDate(admin.created_at)}</span>
           </div>
+          ${renderAdminRole(admin)}
+          ${renderAdminSkills(admin)}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the role of an administrator (a select for master accounts, read-only otherwise)
+   * @param {object} admin - Administrator object
+   * @returns {string} HTML string for role meta item
+   */
+  function renderAdminRole(admin) {
+    const role = roles.find(r => r.id === admin.role_id);
+    const isThisAdminMaster = admin.is_master === 1 || admin.is_master === true;
+
+    if (!isMasterAccount) {
+      return `
+        <div class="admin-meta-item">
+          <label>${t('adminManagement.role')}</label>
+          <span>${isThisAdminMaster ? t('adminManagement.allPermissions') : escapeHtml(getRoleName(role) || admin.role_id || '')}</span>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="admin-meta-item">
+        <label for="admin-role-${admin.id}">${t('adminManagement.role')}</label>
+        <select class="form-select" id="admin-role-${admin.id}" data-admin-role="${admin.id}" style="width: auto;">
+          ${renderRoleOptions(admin.role_id)}
+        </select>
+        ${isThisAdminMaster ? `<small style="color: var(--text-muted, #666);">${t('adminManagement.masterHasAllPermissions')}</small>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render skills of an administrator (checkboxes with admins.manage, read-only list otherwise)
+   * @param {object} admin - Administrator object
+   * @returns {string} HTML string for skills meta item
+   */
+  function renderAdminSkills(admin) {
+    const adminSkills = admin.skills || [];
+
+    if (!can('admins.manage')) {
+      const names = skills.filter(skill => adminSkills.includes(skill.id)).map(skill => escapeHtml(skill.name));
+      return `
+        <div class="admin-meta-item">
+          <label>${t('adminManagement.skills')}</label>
+          <span>${names.length > 0 ? names.join(', ') : t('adminManagement.noSkills')}</span>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="admin-meta-item admin-skills" style="flex-wrap: wrap; align-items: center;">
+        <label>${t('adminManagement.skills')}</label>
+        ${skills.map(skill => `
+          <label class="admin-skill-option">
+            <input type="checkbox" data-admin-skill="${admin.id}" value="${escapeHtml(skill.id)}" ${adminSkills.includes(skill.id) ? 'checked' : ''} />
+            ${escapeHtml(skill.name)}
+          </label>
+        `).join('')}
+        <button class="btn btn-secondary btn-xs" data-save-admin-skills="${admin.id}" style="padding: 0.25rem 0.5rem; font-size: 0.75rem;">
+          ${t('adminManagement.saveSkills')}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render locked sign-ins with unlock buttons (admins.unlock)
+   * @returns {string} HTML string for lockouts section
+   */
+  function renderLockouts() {
+    const scopeLabels = {
+      login: t('adminManagement.lockoutScopeLogin'),
+      ip: t('adminManagement.lockoutScopeIp'),
+      recovery: t('adminManagement.lockoutScopeRecovery'),
+    };
+
+    return `
+      <div class="admin-form-section admin-lockouts">
+        <h3>${t('adminManagement.lockouts')}</h3>
+        <p class="form-help">${t('adminManagement.lockoutsHelp')}</p>
+        ${lockouts.length === 0 ? `
+          <p style="color: var(--text-muted, #666);">${t('adminManagement.noLockouts')}</p>
+        ` : `
+        <div style="overflow-x: auto;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <thead>
+              <tr>
+                <th style="text-align: left;">${t('adminManagement.lockoutTarget')}</th>
+                <th style="text-align: left;">${t('adminManagement.lockoutFailures')}</th>
+                <th style="text-align: left;">${t('adminManagement.lockoutLastAddress')}</th>
+                <th style="text-align: left;">${t('adminManagement.lockoutUntil')}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${lockouts.map(lockout => `
+                <tr>
+                  <td>${scopeLabels[lockout.scope] || escapeHtml(lockout.scope)}: <strong>${escapeHtml(lockout.identifier)}</strong></td>
+                  <td>${lockout.failures}</td>
+                  <td>${escapeHtml(lockout.ip_address || '—')}</td>
+                  <td>${formatDate(lockout.locked_until)}</td>
+                  <td style="white-space: nowrap;">
+                    <button class="btn btn-primary btn-sm" data-unlock-scope="${escapeHtml(lockout.scope)}" data-unlock-identifier="${escapeHtml(lockout.identifier)}">${t('adminManagement.unlock')}</button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
         </div>
+        `}
       </div>
     `;
   }
 
+  /**
+   * Render skill catalog management (skills.manage)
+   * @returns {string} HTML string for skill catalog section
+   */
+  function renderSkillCatalog() {
+    return `
+      <div class="admin-form-section admin-skill-catalog">
+        <h3>${t('adminManagement.skillCatalog')}</h3>
+        <p class="form-help">${t('adminManagement.skillCatalogHelp')}</p>
+        <div style="overflow-x: auto;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <thead>
+              <tr>
+                <th style="text-align: left;">${t('adminManagement.skillName')}</th>
+                <th style="text-align: left;">${t('adminManagement.skillCategory')}</th>
+                <th style="text-align: left;">${t('adminManagement.skillSerialPrefixes')}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${skills.map(skill => `
+                <tr data-skill-id="${escapeHtml(skill.id)}">
+                  <td>${escapeHtml(skill.name)}</td>
+                  <td>
+                    <select class="form-select" data-skill-field="category">
+                      <option value="">${t('adminManagement.skillNoCategory')}</option>
+                      ${renderCategoryOptions(skill.category)}
+                    </select>
+                  </td>
+                  <td>
+                    <input type="text" class="form-input" data-skill-field="serial_prefixes" value="${escapeHtml(skill.serial_prefixes || '')}" maxlength="255" />
+                  </td>
+                  <td style="white-space: nowrap;">
+                    <button class="btn btn-primary btn-sm" data-save-skill="${escapeHtml(skill.id)}">${t('common.save')}</button>
+                    <button class="btn btn-secondary btn-sm" data-delete-skill="${escapeHtml(skill.id)}">${t('common.delete')}</button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <form id="skill-form" style="display: flex; gap: 1rem; flex-wrap: wrap; align-items: flex-end; margin-top: 1rem;">
+          <div class="form-group">
+            <label class="form-label required" for="skill-name">${t('adminManagement.skillName')}</label>
+            <input type="text" class="form-input" id="skill-name" maxlength="50" required />
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="skill-category">${t('adminManagement.skillCategory')}</label>
+            <select class="form-select" id="skill-category">
+              <option value="">${t('adminManagement.skillNoCategory')}</option>
+              ${renderCategoryOptions('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="skill-serial-prefixes">${t('adminManagement.skillSerialPrefixes')}</label>
+            <input type="text" class="form-input" id="skill-serial-prefixes" maxlength="255" placeholder="CN, DL" />
+          </div>
+          <div class="form-group">
+            <button type="submit" class="btn btn-primary btn-sm">${t('adminManagement.addSkill')}</button>
+          </div>
+        </form>
+      </div>
+    `;
+  }
+
+  /**
+   * Get user-facing message from an API error
+   * @param {Error} error - API error
+   * @returns {string} Error message
+   */
+  function getSkillErrorMessage(error) {
+    return error.data?.message || error.message || t('adminManagement.errorSavingSkills');
+  }
+
+  /**
+   * Save skills of an administrator from its checkboxes
+   * @param {string} adminId - Administrator ID
+   */
+  async function handleSaveAdminSkills(adminId) {
+    const selected = [...container.querySelectorAll(`[data-admin-skill="${adminId}"]:checked`)].map(input => input.value);
+
+    try {
+      await put(`/admins/${adminId}/skills`, { skills: selected });
+      await loadAdministrators(true);
+      showSuccessMessage(t('adminManagement.skillsSaved'));
+    } catch (error) {
+      console.error('Error saving administrator skills:', error);
+      alert(getSkillErrorMessage(error));
+    }
+  }
+
+  /**
+   * Add a skill to the catalog
+   * @param {Event} e - Form submit event
+   */
+  async function handleAddSkill(e) {
+    e.preventDefault();
+
+    try {
+      await post('/skills', {
+        name: container.querySelector('#skill-name').value.trim(),
+        category: container.querySelector('#skill-category').value || null,
+        serial_prefixes: container.querySelector('#skill-serial-prefixes').value,
+      });
+      await loadAdministrators();
+      showSuccessMessage(t('adminManagement.skillSaved'));
+    } catch (error) {
+      console.error('Error creating skill:', error);
+      alert(getSkillErrorMessage(error));
+    }
+  }
+
+  /**
+   * Save category and serial prefixes of a catalog skill
+   * @param {string} skillId - Skill ID
+   */
+  async function handleSaveSkill(skillId) {
+    const row = container.querySelector(`tr[data-skill-id="${skillId}"]`);
+    if (!row) return;
+
+    try {
+      await patch(`/skills/${skillId}`, {
+        category: row.querySelector('[data-skill-field="category"]').value || null,
+        serial_prefixes: row.querySelector('[data-skill-field="serial_prefixes"]').value,
+      });
+      await loadAdministrators();
+      showSuccessMessage(t('adminManagement.skillSaved'));
+    } catch (error) {
+      console.error('Error saving skill:', error);
+      alert(getSkillErrorMessage(error));
+    }
+  }
+
+  /**
+   * Delete a catalog skill after confirmation
+   * @param {string} skillId - Skill ID
+   */
+  async function handleDeleteSkill(skillId) {
+    if (!confirm(t('adminManagement.confirmDeleteSkill'))) {
+      return;
+    }
+
+    try {
+      await del(`/skills/${skillId}`);
+      await loadAdministrators();
+      showSuccessMessage(t('adminManagement.skillDeleted'));
+    } catch (error) {
+      console.error('Error deleting skill:', error);
+      alert(getSkillErrorMessage(error));
+    }
+  }
+
   /**
    * Handle adding a new administrator
    * @param {Event} e - Form submit event
@@ -311,6 +668,7 @@ export function createAdminManagement(container, options = {}) {
     const loginInput = form.querySelector('#admin-login');
     const passwordInput = form.querySelector('#admin-password');
     const isMasterSelect = form.querySelector('#admin-is-master');
+    const roleSelect = form.querySelector('#admin-role');
     const submitBtn = form.querySelector('button[type="submit"]');
 
     const login = loginInput.value.trim();
@@ -336,7 +694,12 @@ export function createAdminManagement(container, options = {}) {
       // Parse is_master as boolean (Feature 9: Archive Account Management)
       const isMaster = isMasterValue === '1' || isMasterValue === 'true';
       
-      const response = await post('/admins', { login, password, is_master: isMaster });
+      const response = await post('/admins', {
+        login,
+        password,
+        is_master: isMaster,
+        ...(roleSelect && { role_id: roleSelect.value }),
+      });
       
       // Clear form
       form.reset();
@@ -372,6 +735,31 @@ export function createAdminManagement(container, options = {}) {
     }
   }
 
+  /**
+   * Give an administrator the role chosen in its select (master accounts only)
+   * @param {object} admin - Administrator object
+   * @param {HTMLSelectElement} select - Role select
+   */
+  async function handleChangeRole(admin, select) {
+    if (isLoading) return;
+    isLoading = true;
+    select.disabled = true;
+
+    try {
+      await put(`/admins/${admin.id}/role`, { role_id: select.value });
+      showSuccessMessage(t('adminManagement.roleChanged'));
+    } catch (error) {
+      console.error('Error changing administrator role:', error);
+      alert(`${t('common.error')}: ${error.data?.message || error.message || 'Unknown error'}`);
+      select.value = admin.role_id;
+    } finally {
+      isLoading = false;
+      select.disabled = false;
+    }
+
+    await loadAdministrators(true);
+  }
+
   /**
    * Handle changing password for an administrator (Feature 9: Archive Account Management)
    * @param {string} adminId - Administrator ID
@@ -420,6 +808,68 @@ export function createAdminManagement(container, options = {}) {
     }
   }
 
+  /**
+   * Handle turning off two-factor authentication for an administrator who lost their device
+   * @param {string} adminId - Administrator ID
+   * @param {string} adminLogin - Administrator login/display name
+   */
+  async function handleResetTwoFactor(adminId, adminLogin) {
+    if (isLoading) return;
+
+    const confirmed = confirm(`${t('adminManagement.confirmResetTwoFactor')} "${adminLogin}"?`);
+    if (!confirmed) {
+      return;
+    }
+
+    isLoading = true;
+
+    try {
+      await post(`/admins/${adminId}/2fa/reset`, {});
+      showSuccessMessage(t('adminManagement.twoFactorReset'));
+      await loadAdministrators();
+    } catch (error) {
+      console.error('Error resetting two-factor authentication:', error);
+      if (error.data && error.data.error === 'forbidden') {
+        alert(error.data.message || t('adminManagement.masterOnly'));
+      } else {
+        alert(`${t('common.error')}: ${error.data?.message || error.message || 'Unknown error'}`);
+      }
+    } finally {
+      isLoading = false;
+    }
+  }
+
+  /**
+   * Handle lifting a sign-in lockout (admins.unlock)
+   * @param {string} scope - Lockout scope ('login', 'ip' or 'recovery')
+   * @param {string} identifier - Locked login or IP address
+   */
+  async function handleUnlock(scope, identifier) {
+    if (isLoading) return;
+
+    const confirmed = confirm(`${t('adminManagement.confirmUnlock')} "${identifier}"?`);
+    if (!confirmed) {
+      return;
+    }
+
+    isLoading = true;
+
+    try {
+      await post('/admins/lockouts/unlock', { scope, identifier });
+      showSuccessMessage(t('adminManagement.unlocked'));
+    } catch (error) {
+      console.error('Error unlocking sign-in:', error);
+      if (error.status !== 404) {
+        alert(`${t('common.error')}: ${error.data?.message || error.message || 'Unknown error'}`);
+      }
+    } finally {
+      isLoading = false;
+    }
+
+    // A lockout that already expired is gone too; refresh the list either way
+    await loadAdministrators();
+  }
+
   /**
    * Handle deleting an administrator
    * @param {string} adminId - Administrator ID
@@ -665,8 +1115,15 @@ export function createAdminManagement(container, options = {}) {
     }
 
     try {
-      const response = await get('/admins');
+      const [response, skillsResponse, rolesResponse] = await Promise.all([
+        get('/admins'),
+        get('/skills'),
+        get('/roles'),
+      ]);
       const newAdministrators = response.administrators || [];
+      const newSkills = skillsResponse.skills || [];
+      const newRoles = rolesResponse.roles || [];
+      let newLockouts = [];
       
       // Update master account status based on current user
       if (currentUser) {
@@ -677,6 +1134,11 @@ export function createAdminManagement(container, options = {}) {
           currentUser.is_master = isMasterAccount;
         }
       }
+
+      if (can('admins.unlock')) {
+        const lockoutsResponse = await get('/admins/lockouts');
+        newLockouts = lockoutsResponse.lockouts || [];
+      }
       
       // Compare admin lists for changes (Feature 9: Real-time Updates)
       if (incremental) {
@@ -695,9 +1157,18 @@ export function createAdminManagement(container, options = {}) {
             if (!newAdmin) return false;
             // Compare key fields that users might change
             return oldAdmin.display_name !== newAdmin.display_name ||
-                   oldAdmin.is_master !== newAdmin.is_master;
+                   oldAdmin.is_master !== newAdmin.is_master ||
+                   oldAdmin.role_id !== newAdmin.role_id ||
+                   oldAdmin.two_factor_enabled !== newAdmin.two_factor_enabled ||
+                   (oldAdmin.skills || []).join(',') !== (newAdmin.skills || []).join(',');
           });
         }
+
+        if (!hasChanges) {
+          hasChanges = JSON.stringify(skills) !== JSON.stringify(newSkills)
+            || JSON.stringify(roles.map(role => [role.id, role.name])) !== JSON.stringify(newRoles.map(role => [role.id, role.name]))
+            || JSON.stringify(lockouts) !== JSON.stringify(newLockouts);
+        }
         
         if (!hasChanges) {
           // No changes detected, skip render
@@ -706,6 +1177,9 @@ export function createAdminManagement(container, options = {}) {
       }
       
       administrators = newAdministrators;
+      skills = newSkills;
+      roles = newRoles;
+      lockouts = newLockouts;
       renderAdminList(administrators);
       return administrators;
     } catch (error) {
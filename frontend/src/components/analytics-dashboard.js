@@ -0,0 +1,446 @@
+/**
+ * Analytics Dashboard Component
+ * Support statistics for the Statistics tab: ticket volume chart, response and resolution
+ * times, engineer throughput, open backlog age and top companies and serial numbers,
+ * with date range and company filters and CSV export
+ */
+
+import { get, getBlob } from '../services/api.js';
+import { t, getCurrentLanguage } from '../services/i18n.js';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Size of the volume chart (SVG user units; the chart scales to the container width)
+ */
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 8, bottom: 28, left: 36 };
+
+/**
+ * Open statuses and backlog age buckets, in the order the API returns them
+ */
+const OPEN_STATUSES = ['new', 'in_progress', 'waiting_for_client'];
+const AGE_BUCKETS = ['under_1d', '1_3d', '3_7d', '7_30d', 'over_30d'];
+
+/**
+ * Convert <input type="date"> value to a Unix timestamp
+ * @param {string} value - YYYY-MM-DD or empty string
+ * @param {boolean} endOfDay - Use the last second of the day (end dates are inclusive)
+ * @returns {number|null} Unix timestamp in seconds (UTC) or null
+ */
+function fromDateInputValue(value, endOfDay = false) {
+  if (!value) return null;
+  const start = Math.floor(Date.parse(`${value}T00:00:00Z`) / 1000);
+  return endOfDay ? start + SECONDS_PER_DAY - 1 : start;
+}
+
+/**
+ * Convert a Unix timestamp to an <input type="date"> value
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} YYYY-MM-DD (UTC)
+ */
+function toDateInputValue(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Create and render analytics dashboard component
+ * @param {HTMLElement} container - Container element to render into
+ * @returns {Function} Refresh function to reload statistics
+ */
+export function createAnalyticsDashboard(container) {
+  const today = Math.floor(Date.now() / 1000);
+  let filters = {
+    date_from: toDateInputValue(today - (DEFAULT_RANGE_DAYS - 1) * SECONDS_PER_DAY),
+    date_to: toDateInputValue(today),
+    company: '',
+    interval: '',
+  };
+  let companies = [];
+  let analytics = null;
+  let isLoading = false;
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+  }
+
+  /**
+   * Format a whole number for the current language
+   * @param {number} value - Number
+   * @returns {string} Formatted number
+   */
+  function formatNumber(value) {
+    return Number(value || 0).toLocaleString(getCurrentLanguage() === 'ru' ? 'ru-RU' : 'en-US');
+  }
+
+  /**
+   * Format a duration as days, hours and minutes (two largest units)
+   * @param {number|null} seconds - Duration in seconds
+   * @returns {string} Formatted duration, or a dash if there is no value
+   */
+  function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) {
+      return '—';
+    }
+    const days = Math.floor(seconds / SECONDS_PER_DAY);
+    const hours = Math.floor((seconds % SECONDS_PER_DAY) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const parts = [];
+    if (days > 0) parts.push(t('analytics.durationDays').replace('{count}', days));
+    if (hours > 0) parts.push(t('analytics.durationHours').replace('{count}', hours));
+    if (days === 0) parts.push(t('analytics.durationMinutes').replace('{count}', minutes));
+    return parts.slice(0, 2).join(' ');
+  }
+
+  /**
+   * Build the query string for the current filters
+   * @param {object} extra - Extra parameters (format)
+   * @returns {string} Query string without the leading '?'
+   */
+  function buildQuery(extra = {}) {
+    const params = new URLSearchParams();
+    const dateFrom = fromDateInputValue(filters.date_from);
+    const dateTo = fromDateInputValue(filters.date_to, true);
+    if (dateFrom !== null) params.set('date_from', dateFrom);
+    if (dateTo !== null) params.set('date_to', dateTo);
+    if (filters.company) params.set('company', filters.company);
+    if (filters.interval) params.set('interval', filters.interval);
+    for (const [key, value] of Object.entries(extra)) {
+      params.set(key, value);
+    }
+    return params.toString();
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Message text, or empty to hide
+   */
+  function showError(message) {
+    const messageEl = container.querySelector('#analytics-message');
+    if (!messageEl) return;
+    messageEl.textContent = message;
+    messageEl.style.display = message ? '' : 'none';
+  }
+
+  /**
+   * Render one summary card
+   * @param {string} label - Card label
+   * @param {string} value - Formatted value
+   * @param {string} [note] - Small text under the value
+   * @returns {string} HTML string
+   */
+  function renderCard(label, value, note = '') {
+    return `
+      <div class="analytics-card">
+        <div class="analytics-card-label">${label}</div>
+        <div class="analytics-card-value">${value}</div>
+        ${note ? `<div class="analytics-card-note">${note}</div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the volume chart: created and resolved tickets per period as paired bars
+   * @param {Array<{period: string, created: number, resolved: number}>} volume - Volume series
+   * @returns {string} HTML string with an SVG chart and legend
+   */
+  function renderVolumeChart(volume) {
+    if (volume.length === 0) {
+      return '';
+    }
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const maxValue = Math.max(1, ...volume.map(row => Math.max(row.created, row.resolved)));
+    const slot = plotWidth / volume.length;
+    const barWidth = Math.max(slot * 0.4, 1);
+    const labelEvery = Math.ceil(volume.length / 12);
+    const y = value => CHART_PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+    const bars = volume.map((row, index) => {
+      const x = CHART_PADDING.left + index * slot + slot * 0.1;
+      return `
+        <g>
+          <title>${escapeHtml(row.period)}: ${t('analytics.created')} ${row.created}, ${t('analytics.resolved')} ${row.resolved}</title>
+          <rect class="analytics-bar-created" x="${x}" y="${y(row.created)}" width="${barWidth}" height="${CHART_PADDING.top + plotHeight - y(row.created)}"></rect>
+          <rect class="analytics-bar-resolved" x="${x + barWidth}" y="${y(row.resolved)}" width="${barWidth}" height="${CHART_PADDING.top + plotHeight - y(row.resolved)}"></rect>
+          ${index % labelEvery === 0 ? `
+            <text class="analytics-axis-label" x="${x + barWidth}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${escapeHtml(row.period)}</text>
+          ` : ''}
+        </g>
+      `;
+    }).join('');
+
+    return `
+      <svg class="analytics-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${t('analytics.volumeTitle')}">
+        <line class="analytics-axis" x1="${CHART_PADDING.left}" y1="${y(0)}" x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${y(0)}"></line>
+        <text class="analytics-axis-label" x="${CHART_PADDING.left - 6}" y="${y(maxValue) + 4}" text-anchor="end">${maxValue}</text>
+        <text class="analytics-axis-label" x="${CHART_PADDING.left - 6}" y="${y(0) + 4}" text-anchor="end">0</text>
+        ${bars}
+      </svg>
+      <div class="analytics-legend">
+        <span><span class="analytics-swatch analytics-bar-created"></span>${t('analytics.created')}</span>
+        <span><span class="analytics-swatch analytics-bar-resolved"></span>${t('analytics.resolved')}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Render labelled horizontal bars
+   * @param {Array<{label: string, value: number}>} rows - Rows (labels already escaped)
+   * @returns {string} HTML string
+   */
+  function renderBarList(rows) {
+    if (rows.length === 0) {
+      return `<p class="analytics-empty">${t('analytics.noData')}</p>`;
+    }
+    const maxValue = Math.max(1, ...rows.map(row => row.value));
+    return `
+      <div class="analytics-bar-list">
+        ${rows.map(row => `
+          <div class="analytics-bar-row">
+            <span class="analytics-bar-label" title="${row.label}">${row.label}</span>
+            <span class="analytics-bar-track">
+              <span class="analytics-bar-fill" style="width: ${(row.value / maxValue) * 100}%;"></span>
+            </span>
+            <span class="analytics-bar-value">${formatNumber(row.value)}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render engineer throughput table
+   * @param {Array} engineers - Engineers from the API
+   * @returns {string} HTML string
+   */
+  function renderEngineers(engineers) {
+    if (engineers.length === 0) {
+      return `<p class="analytics-empty">${t('analytics.noData')}</p>`;
+    }
+    return `
+      <div style="overflow-x: auto;">
+        <table class="analytics-table">
+          <thead>
+            <tr>
+              <th>${t('analytics.engineer')}</th>
+              <th>${t('analytics.assigned')}</th>
+              <th>${t('analytics.resolved')}</th>
+              <th>${t('analytics.meanResolution')}</th>
+              <th>${t('analytics.openNow')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${engineers.map(engineer => `
+              <tr>
+                <td>${engineer.name ? escapeHtml(engineer.name) : `<em>${t('analytics.deletedEngineer')}</em>`}</td>
+                <td>${formatNumber(engineer.assigned)}</td>
+                <td>${formatNumber(engineer.resolved)}</td>
+                <td>${formatDuration(engineer.mean_resolution_seconds)}</td>
+                <td>${formatNumber(engineer.open)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the statistics below the filters
+   * @returns {string} HTML string
+   */
+  function renderStatistics() {
+    if (!analytics) {
+      return isLoading ? `<p class="analytics-empty">${t('analytics.loading')}</p>` : '';
+    }
+    const { summary, backlog } = analytics;
+
+    return `
+      <div class="analytics-cards">
+        ${renderCard(t('analytics.submitted'), formatNumber(summary.submitted))}
+        ${renderCard(t('analytics.resolved'), formatNumber(summary.resolved))}
+        ${renderCard(t('analytics.meanFirstResponse'), formatDuration(summary.mean_first_response_seconds),
+          t('analytics.respondedOf').replace('{count}', formatNumber(summary.responded)).replace('{total}', formatNumber(summary.submitted)))}
+        ${renderCard(t('analytics.meanResolution'), formatDuration(summary.mean_resolution_seconds))}
+        ${renderCard(t('analytics.openNow'), formatNumber(summary.open),
+          t('analytics.unassigned').replace('{count}', formatNumber(summary.unassigned_open)))}
+      </div>
+
+      <div class="analytics-panel">
+        <h4>${t('analytics.volumeTitle')}</h4>
+        ${renderVolumeChart(analytics.volume)}
+      </div>
+
+      <div class="analytics-panel">
+        <h4>${t('analytics.engineersTitle')}</h4>
+        ${renderEngineers(analytics.engineers)}
+      </div>
+
+      <div class="analytics-grid">
+        <div class="analytics-panel">
+          <h4>${t('analytics.backlogTitle')}</h4>
+          <p class="analytics-note">
+            ${t('analytics.backlogSummary')
+              .replace('{mean}', formatDuration(backlog.mean_age_seconds))
+              .replace('{oldest}', formatDuration(backlog.oldest_age_seconds))}
+          </p>
+          ${renderBarList(AGE_BUCKETS.map(key => ({
+            label: t(`analytics.age_${key}`),
+            value: backlog.by_age.find(bucket => bucket.key === key)?.tickets || 0,
+          })))}
+          <h5>${t('analytics.byStatus')}</h5>
+          ${renderBarList(OPEN_STATUSES.map(status => ({
+            label: t(`status.${status}`),
+            value: backlog.by_status.find(row => row.status === status)?.tickets || 0,
+          })))}
+        </div>
+        <div class="analytics-panel">
+          <h4>${t('analytics.topCompaniesTitle')}</h4>
+          ${renderBarList(analytics.top_companies.map(row => ({ label: escapeHtml(row.name), value: row.tickets })))}
+        </div>
+        <div class="analytics-panel">
+          <h4>${t('analytics.topSerialsTitle')}</h4>
+          ${renderBarList(analytics.top_serial_numbers.map(row => ({ label: escapeHtml(row.name), value: row.tickets })))}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render component
+   */
+  function render() {
+    container.innerHTML = `
+      <div class="analytics-dashboard">
+        <h3>${t('analytics.title')}</h3>
+        <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">${t('analytics.description')}</p>
+        <div id="analytics-message" class="error-message" style="display: none;" role="alert" aria-live="polite"></div>
+
+        <form id="analytics-filter-form" style="display: flex; gap: 1rem; flex-wrap: wrap; align-items: flex-end; margin-bottom: 1rem;">
+          <div class="form-group">
+            <label class="form-label" for="analytics-date-from">${t('analytics.dateFrom')}</label>
+            <input type="date" class="form-input" id="analytics-date-from" value="${escapeHtml(filters.date_from)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="analytics-date-to">${t('analytics.dateTo')}</label>
+            <input type="date" class="form-input" id="analytics-date-to" value="${escapeHtml(filters.date_to)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="analytics-company">${t('analytics.company')}</label>
+            <select class="form-select" id="analytics-company">
+              <option value="">${t('analytics.allCompanies')}</option>
+              ${companies.map(company => `
+                <option value="${escapeHtml(company)}" ${filters.company === company ? 'selected' : ''}>${escapeHtml(company)}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="analytics-interval">${t('analytics.interval')}</label>
+            <select class="form-select" id="analytics-interval">
+              ${['', 'day', 'week', 'month'].map(interval => `
+                <option value="${interval}" ${filters.interval === interval ? 'selected' : ''}>${t(`analytics.interval_${interval || 'auto'}`)}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <button type="submit" class="btn btn-primary">${t('analytics.apply')}</button>
+            <button type="button" class="btn btn-secondary" id="analytics-export-btn">${t('analytics.exportCsv')}</button>
+          </div>
+        </form>
+
+        ${renderStatistics()}
+      </div>
+    `;
+
+    container.querySelector('#analytics-filter-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      filters = {
+        date_from: container.querySelector('#analytics-date-from').value,
+        date_to: container.querySelector('#analytics-date-to').value,
+        company: container.querySelector('#analytics-company').value,
+        interval: container.querySelector('#analytics-interval').value,
+      };
+      loadAnalytics();
+    });
+
+    container.querySelector('#analytics-export-btn').addEventListener('click', exportCsv);
+  }
+
+  /**
+   * Download statistics for the current filters as CSV
+   */
+  async function exportCsv() {
+    try {
+      const blob = await getBlob(`/analytics?${buildQuery({ format: 'csv' })}`);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `support-statistics-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.error('Error exporting statistics:', error);
+      showError(error.data?.message || error.message || t('analytics.errorGeneric'));
+    }
+  }
+
+  /**
+   * Load company names for the company filter
+   */
+  async function loadCompanies() {
+    try {
+      const response = await get('/tickets/companies');
+      companies = response.companies || [];
+    } catch (error) {
+      console.error('Error loading companies:', error);
+    }
+  }
+
+  /**
+   * Load statistics for the current filters from API
+   */
+  async function loadAnalytics() {
+    if (isLoading) return;
+    isLoading = true;
+    render();
+
+    try {
+      analytics = await get(`/analytics?${buildQuery()}`);
+      isLoading = false;
+      render();
+    } catch (error) {
+      console.error('Error loading statistics:', error);
+      isLoading = false;
+      render();
+      showError(error.data?.message || error.message || t('analytics.errorGeneric'));
+    }
+  }
+
+  /**
+   * Reload companies and statistics
+   */
+  async function refresh() {
+    await loadCompanies();
+    await loadAnalytics();
+  }
+
+  // Re-render on language change
+  window.addEventListener('languagechange', render);
+
+  refresh();
+
+  return refresh;
+}
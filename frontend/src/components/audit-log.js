@@ -0,0 +1,356 @@
+/**
+ * Audit Log Component
+ * Lets master account administrators browse, filter and export the security audit log
+ */
+
+import { get, getBlob } from '../services/api.js';
+import { t, getCurrentLanguage } from '../services/i18n.js';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const PAGE_SIZE = 50;
+
+/**
+ * Recorded actions, grouped by the part before the dot
+ */
+const AUDIT_ACTIONS = [
+  'admin.created',
+  'admin.deleted',
+  'admin.promoted',
+  'admin.demoted',
+  'admin.password_changed',
+  'admin.two_factor_reset',
+  'admin.role_changed',
+  'company.created',
+  'company.password_changed',
+  'company.password_generated',
+  'company.codephrase_regenerated',
+  'company.deleted',
+  'company.restored',
+  'company.purged',
+  'contact.created',
+  'contact.updated',
+  'contact.password_generated',
+  'contact.password_changed',
+  'contact.deleted',
+  'role.created',
+  'role.updated',
+  'role.deleted',
+  'ticket.restored',
+  'recovery.initiated',
+  'recovery.approved',
+  'recovery.denied',
+  'recovery.password_reset',
+  'two_factor.enabled',
+  'two_factor.disabled',
+  'auth.locked',
+  'auth.unlocked',
+];
+
+/**
+ * Convert <input type="date"> value to a Unix timestamp
+ * @param {string} value - YYYY-MM-DD or empty string
+ * @param {boolean} endOfDay - Use the last second of the day (end dates are inclusive)
+ * @returns {number|null} Unix timestamp in seconds (UTC) or null
+ */
+function fromDateInputValue(value, endOfDay = false) {
+  if (!value) return null;
+  const start = Math.floor(Date.parse(`${value}T00:00:00Z`) / 1000);
+  return endOfDay ? start + SECONDS_PER_DAY - 1 : start;
+}
+
+/**
+ * Create and render audit log component
+ * @param {HTMLElement} container - Container element to render into
+ * @returns {Function} Refresh function to reload entries
+ */
+export function createAuditLog(container) {
+  let entries = [];
+  let total = 0;
+  let offset = 0;
+  let filters = { action: '', actor: '', target: '', date_from: '', date_to: '' };
+  let isLoading = false;
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+  }
+
+  /**
+   * Format a Unix timestamp with date and time
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @returns {string} Formatted date and time
+   */
+  function formatDateTime(timestamp) {
+    const locale = getCurrentLanguage() === 'ru' ? 'ru-RU' : 'en-US';
+    return new Date(timestamp * 1000).toLocaleString(locale, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  }
+
+  /**
+   * Get the label of an action
+   * @param {string} action - Action name (e.g. 'admin.created')
+   * @returns {string} Translated label, or the action name if unknown
+   */
+  function getActionLabel(action) {
+    const key = `audit.action_${action.replace('.', '_')}`;
+    const label = t(key);
+    return label === key ? action : label;
+  }
+
+  /**
+   * Build the query string for the current filters
+   * @param {object} extra - Extra parameters (limit, offset, format)
+   * @returns {string} Query string without the leading '?'
+   */
+  function buildQuery(extra = {}) {
+    const params = new URLSearchParams();
+    if (filters.action) params.set('action', filters.action);
+    if (filters.actor) params.set('actor', filters.actor);
+    if (filters.target) params.set('target', filters.target);
+    const dateFrom = fromDateInputValue(filters.date_from);
+    const dateTo = fromDateInputValue(filters.date_to, true);
+    if (dateFrom) params.set('date_from', dateFrom);
+    if (dateTo) params.set('date_to', dateTo);
+    for (const [key, value] of Object.entries(extra)) {
+      params.set(key, value);
+    }
+    return params.toString();
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Message text, or empty to hide
+   */
+  function showError(message) {
+    const messageEl = container.querySelector('#audit-message');
+    if (!messageEl) return;
+    messageEl.textContent = message;
+    messageEl.style.display = message ? '' : 'none';
+  }
+
+  /**
+   * Render actor of an entry
+   * @param {object} entry - Audit entry
+   * @returns {string} HTML string
+   */
+  function renderActor(entry) {
+    if (entry.actor_role === 'system') {
+      return entry.actor_login === 'cli'
+        ? `<em>${t('audit.actorCli')}</em>`
+        : `<em>${t('audit.actorSystem')}</em>`;
+    }
+    const role = entry.actor_role === 'client' ? t('audit.roleClient') : t('audit.roleAdministrator');
+    return `${escapeHtml(entry.actor_login || entry.actor_id)} <small style="color: var(--text-secondary);">(${role})</small>`;
+  }
+
+  /**
+   * Render target of an entry
+   * @param {object} entry - Audit entry
+   * @returns {string} HTML string
+   */
+  function renderTarget(entry) {
+    if (!entry.target_id && !entry.target_label) {
+      return '';
+    }
+    const label = entry.target_label || entry.target_id;
+    const showId = entry.target_id && entry.target_id !== label;
+    return `${escapeHtml(label)}${showId ? ` <small style="color: var(--text-secondary);"><code>${escapeHtml(entry.target_id)}</code></small>` : ''}`;
+  }
+
+  /**
+   * Render details of an entry as key: value pairs
+   * @param {object} entry - Audit entry
+   * @returns {string} HTML string
+   */
+  function renderDetails(entry) {
+    if (!entry.details) {
+      return '';
+    }
+    return Object.entries(entry.details)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `<small>${escapeHtml(key)}: ${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}</small>`)
+      .join('<br>');
+  }
+
+  /**
+   * Render action <option> elements (groups first, then single actions)
+   * @returns {string} HTML string
+   */
+  function renderActionOptions() {
+    const groups = [...new Set(AUDIT_ACTIONS.map(action => action.split('.')[0]))];
+    return `
+      <option value="">${t('audit.allActions')}</option>
+      <optgroup label="${t('audit.actionGroups')}">
+        ${groups.map(group => `
+          <option value="${group}." ${filters.action === `${group}.` ? 'selected' : ''}>${t(`audit.group_${group}`)}</option>
+        `).join('')}
+      </optgroup>
+      <optgroup label="${t('audit.actions')}">
+        ${AUDIT_ACTIONS.map(action => `
+          <option value="${action}" ${filters.action === action ? 'selected' : ''}>${getActionLabel(action)}</option>
+        `).join('')}
+      </optgroup>
+    `;
+  }
+
+  /**
+   * Render component
+   */
+  function render() {
+    const rangeEnd = Math.min(offset + entries.length, total);
+
+    container.innerHTML = `
+      <div class="audit-log">
+        <h3>${t('audit.title')}</h3>
+        <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">${t('audit.description')}</p>
+        <div id="audit-message" class="error-message" style="display: none;" role="alert" aria-live="polite"></div>
+
+        <form id="audit-filter-form" style="display: flex; gap: 1rem; flex-wrap: wrap; align-items: flex-end; margin-bottom: 1rem;">
+          <div class="form-group">
+            <label class="form-label" for="audit-action">${t('audit.action')}</label>
+            <select class="form-select" id="audit-action">${renderActionOptions()}</select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="audit-actor">${t('audit.actor')}</label>
+            <input type="text" class="form-input" id="audit-actor" maxlength="100" placeholder="${t('audit.actorPlaceholder')}" value="${escapeHtml(filters.actor)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="audit-target">${t('audit.target')}</label>
+            <input type="text" class="form-input" id="audit-target" maxlength="255" placeholder="${t('audit.targetPlaceholder')}" value="${escapeHtml(filters.target)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="audit-date-from">${t('audit.dateFrom')}</label>
+            <input type="date" class="form-input" id="audit-date-from" value="${escapeHtml(filters.date_from)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="audit-date-to">${t('audit.dateTo')}</label>
+            <input type="date" class="form-input" id="audit-date-to" value="${escapeHtml(filters.date_to)}">
+          </div>
+          <div class="form-group">
+            <button type="submit" class="btn btn-primary">${t('audit.apply')}</button>
+            <button type="button" class="btn btn-secondary" id="audit-export-btn">${t('audit.exportCsv')}</button>
+          </div>
+        </form>
+
+        <div style="overflow-x: auto;">
+          <table class="audit-table" style="width: 100%; border-collapse: collapse;">
+            <thead>
+              <tr>
+                <th style="text-align: left;">${t('audit.time')}</th>
+                <th style="text-align: left;">${t('audit.actor')}</th>
+                <th style="text-align: left;">${t('audit.action')}</th>
+                <th style="text-align: left;">${t('audit.target')}</th>
+                <th style="text-align: left;">${t('audit.ipAddress')}</th>
+                <th style="text-align: left;">${t('audit.details')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${entries.length > 0
+                ? entries.map(entry => `
+                  <tr>
+                    <td style="white-space: nowrap;">${formatDateTime(entry.created_at)}</td>
+                    <td>${renderActor(entry)}</td>
+                    <td>${getActionLabel(entry.action)}</td>
+                    <td>${renderTarget(entry)}</td>
+                    <td>${escapeHtml(entry.ip_address || '')}</td>
+                    <td>${renderDetails(entry)}</td>
+                  </tr>
+                `).join('')
+                : `<tr><td colspan="6" style="color: var(--text-secondary);">${t('audit.empty')}</td></tr>`}
+            </tbody>
+          </table>
+        </div>
+
+        <div style="display: flex; gap: 1rem; align-items: center; margin-top: 1rem;">
+          <button type="button" class="btn btn-secondary btn-sm" id="audit-prev-btn" ${offset === 0 ? 'disabled' : ''}>${t('audit.previous')}</button>
+          <span>${total > 0 ? t('audit.range').replace('{from}', offset + 1).replace('{to}', rangeEnd).replace('{total}', total) : ''}</span>
+          <button type="button" class="btn btn-secondary btn-sm" id="audit-next-btn" ${rangeEnd >= total ? 'disabled' : ''}>${t('audit.next')}</button>
+        </div>
+      </div>
+    `;
+
+    container.querySelector('#audit-filter-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      filters = {
+        action: container.querySelector('#audit-action').value,
+        actor: container.querySelector('#audit-actor').value.trim(),
+        target: container.querySelector('#audit-target').value.trim(),
+        date_from: container.querySelector('#audit-date-from').value,
+        date_to: container.querySelector('#audit-date-to').value,
+      };
+      offset = 0;
+      loadEntries();
+    });
+
+    container.querySelector('#audit-export-btn').addEventListener('click', exportCsv);
+    container.querySelector('#audit-prev-btn').addEventListener('click', () => {
+      offset = Math.max(offset - PAGE_SIZE, 0);
+      loadEntries();
+    });
+    container.querySelector('#audit-next-btn').addEventListener('click', () => {
+      offset += PAGE_SIZE;
+      loadEntries();
+    });
+  }
+
+  /**
+   * Download entries matching the current filters as CSV
+   */
+  async function exportCsv() {
+    try {
+      const blob = await getBlob(`/audit?${buildQuery({ format: 'csv' })}`);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      showError(error.data?.message || error.message || t('audit.errorGeneric'));
+    }
+  }
+
+  /**
+   * Load a page of entries from API
+   */
+  async function loadEntries() {
+    if (isLoading) return;
+    isLoading = true;
+
+    try {
+      const response = await get(`/audit?${buildQuery({ limit: PAGE_SIZE, offset })}`);
+      entries = response.entries || [];
+      total = response.total || 0;
+      render();
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      render();
+      showError(error.data?.message || error.message || t('audit.errorGeneric'));
+    } finally {
+      isLoading = false;
+    }
+  }
+
+  // Re-render on language change
+  window.addEventListener('languagechange', render);
+
+  loadEntries();
+
+  return loadEntries;
+}
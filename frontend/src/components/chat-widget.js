@@ -3,8 +3,8 @@
  * Displays and manages chat messages for a ticket
  */
 
-import { get, post } from '../services/api.js';
-import { createPollingManager, setupPageVisibilityHandling, getConnectionStatusIndicator, CONNECTION_STATUS } from '../services/realtime.js';
+import { get, post, postForm, getBlob } from '../services/api.js';
+import { createRealtimeChannel, setupPageVisibilityHandling, getConnectionStatusIndicator, CONNECTION_STATUS } from '../services/realtime.js';
 
 /**
  * Format timestamp to readable date string
@@ -35,6 +35,17 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Create chat widget component
  * @param {HTMLElement} container - Container element to render into
@@ -42,10 +53,11 @@ function escapeHtml(text) {
  * @param {object} options - Options
  * @param {string} options.currentUserId - Current user ID
  * @param {string} options.currentUserRole - Current user role ('client' or 'admin')
- * @returns {Function} Cleanup function to stop polling
+ * @returns {Function} Cleanup function to stop real-time updates
  */
 export function createChatWidget(container, ticketId, options = {}) {
   const { currentUserId = null, currentUserRole = null } = options;
+  const canWriteInternalNotes = currentUserRole !== null && currentUserRole !== 'client';
   let isLoading = false;
   let messages = [];
   let latestTimestamp = null;
@@ -57,8 +69,17 @@ export function createChatWidget(container, ticketId, options = {}) {
   let pollingManager = null;
   let visibilityCleanup = null;
   let adminDisplayNames = new Map(); // Cache for admin display names
+  let fileInput = null;
+  let attachButton = null;
+  let selectedFilesContainer = null;
+  let internalNoteToggle = null;
+  let selectedFiles = [];
+  let attachmentLimits = null;
+  let ticketAttachments = []; // Files uploaded with the ticket itself (not part of a message)
+  const thumbnailUrls = new Map(); // Attachment ID -> object URL (messages are re-rendered often)
+  const thumbnailRequests = new Map(); // Attachment ID -> in-flight fetch
 
-  const POLLING_INTERVAL = 3000; // Poll every 3 seconds
+  const POLLING_INTERVAL = 3000; // Fallback poll every 3 seconds while the event stream is down
 
   /**
    * Load administrator display names for message rendering
@@ -76,6 +97,31 @@ export function createChatWidget(container, ticketId, options = {}) {
     }
   }
 
+  /**
+   * Load upload limits (max size, count and allowed file types)
+   */
+  async function loadAttachmentLimits() {
+    try {
+      attachmentLimits = await get('/attachments/limits');
+      fileInput.accept = attachmentLimits.allowed_extensions.join(',');
+    } catch (error) {
+      console.warn('Could not load attachment limits:', error);
+      // The server still enforces the limits on upload
+    }
+  }
+
+  /**
+   * Load files that were attached when the ticket was created
+   */
+  async function loadTicketAttachments() {
+    try {
+      const response = await get(`/attachments/ticket/${encodeURIComponent(ticketId)}`);
+      ticketAttachments = (response.attachments || []).filter(attachment => !attachment.message_id);
+    } catch (error) {
+      console.warn('Could not load ticket attachments:', error);
+    }
+  }
+
   /**
    * Update connection status indicator in header
    */
@@ -103,7 +149,16 @@ export function createChatWidget(container, ticketId, options = {}) {
             <span style="margin-left: 1rem;">Loading messages...</span>
           </div>
         </div>
+        <div class="chat-selected-files" id="chat-selected-files-${ticketId}"></div>
         <div class="chat-input-container">
+          <input type="file" id="chat-file-${ticketId}" multiple hidden>
+          <button 
+            class="btn btn-secondary chat-attach-btn" 
+            id="chat-attach-${ticketId}"
+            title="Attach files"
+          >
+            📎
+          </button>
           <textarea 
             class="chat-input" 
             id="chat-input-${ticketId}" 
@@ -117,6 +172,12 @@ export function createChatWidget(container, ticketId, options = {}) {
             Send
           </button>
         </div>
+        ${canWriteInternalNotes ? `
+          <label class="chat-internal-toggle">
+            <input type="checkbox" id="chat-internal-${ticketId}">
+            🔒 Internal note (visible to administrators only)
+          </label>
+        ` : ''}
       </div>
     `;
 
@@ -125,9 +186,36 @@ export function createChatWidget(container, ticketId, options = {}) {
     messagesContainer = container.querySelector(`#chat-messages-${ticketId}`);
     chatHeader = container.querySelector(`#chat-header-${ticketId}`);
     connectionStatusContainer = container.querySelector(`#connection-status-${ticketId}`);
+    fileInput = container.querySelector(`#chat-file-${ticketId}`);
+    attachButton = container.querySelector(`#chat-attach-${ticketId}`);
+    selectedFilesContainer = container.querySelector(`#chat-selected-files-${ticketId}`);
+    internalNoteToggle = container.querySelector(`#chat-internal-${ticketId}`);
 
     // Attach event listeners
     sendButton.addEventListener('click', handleSendMessage);
+    attachButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', handleFilesSelected);
+    if (internalNoteToggle) {
+      internalNoteToggle.addEventListener('change', () => {
+        const isInternal = internalNoteToggle.checked;
+        messageInput.classList.toggle('internal', isInternal);
+        messageInput.placeholder = isInternal ? 'Write an internal note...' : 'Type your message...';
+      });
+    }
+    selectedFilesContainer.addEventListener('click', (e) => {
+      const removeButton = e.target.closest('[data-remove-file]');
+      if (removeButton) {
+        selectedFiles.splice(parseInt(removeButton.dataset.removeFile, 10), 1);
+        renderSelectedFiles();
+      }
+    });
+    messagesContainer.addEventListener('click', (e) => {
+      const attachmentLink = e.target.closest('[data-download-id]');
+      if (attachmentLink) {
+        e.preventDefault();
+        downloadAttachment(attachmentLink.dataset.downloadId, attachmentLink.dataset.fileName);
+      }
+    });
     messageInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
@@ -141,27 +229,155 @@ export function createChatWidget(container, ticketId, options = {}) {
    * @param {Array} messagesList - Array of message objects
    */
   function renderMessages(messagesList) {
+    const ticketAttachmentsHtml = ticketAttachments.length > 0 ? `
+      <div class="chat-ticket-attachments">
+        <div class="chat-message-sender">Attached to ticket</div>
+        ${renderAttachments(ticketAttachments)}
+      </div>
+    ` : '';
+
     if (!messagesList || messagesList.length === 0) {
       messagesContainer.innerHTML = `
+        ${ticketAttachmentsHtml}
         <div class="empty-state">
           <div class="empty-state-icon">💬</div>
           <div class="empty-state-title">No messages yet</div>
           <div class="empty-state-text">Start the conversation by sending a message</div>
         </div>
       `;
+      loadThumbnails();
       return;
     }
 
     messagesContainer.innerHTML = `
+      ${ticketAttachmentsHtml}
       <div class="chat-messages-list">
         ${messagesList.map(message => renderMessage(message)).join('')}
       </div>
     `;
 
+    loadThumbnails();
+
     // Scroll to bottom
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
 
+  /**
+   * Render the attachments of a message
+   * @param {Array} attachments - Attachment objects
+   * @returns {string} HTML string for attachments
+   */
+  function renderAttachments(attachments) {
+    if (!attachments || attachments.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="chat-attachments">
+        ${attachments.map(attachment => {
+          const name = escapeHtml(attachment.original_name);
+          const dataAttrs = `data-download-id="${escapeHtml(attachment.id)}" data-file-name="${name}"`;
+          if (attachment.is_image) {
+            const src = thumbnailUrls.get(attachment.id);
+            return `
+              <a href="#" class="chat-attachment-thumbnail" ${dataAttrs} title="${name}">
+                <img data-thumbnail-id="${escapeHtml(attachment.id)}" ${src ? `src="${src}"` : ''} alt="${name}">
+              </a>
+            `;
+          }
+          return `
+            <a href="#" class="chat-attachment-file" ${dataAttrs}>
+              📎 ${name} <span class="chat-attachment-size">${formatFileSize(attachment.size_bytes)}</span>
+            </a>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Fetch image thumbnails that are not loaded yet
+   * Images need the auth header, so they are loaded as blobs instead of plain src URLs.
+   */
+  function loadThumbnails() {
+    messagesContainer.querySelectorAll('img[data-thumbnail-id]:not([src])').forEach(async (img) => {
+      const attachmentId = img.dataset.thumbnailId;
+      if (!thumbnailRequests.has(attachmentId)) {
+        thumbnailRequests.set(
+          attachmentId,
+          getBlob(`/attachments/${encodeURIComponent(attachmentId)}?inline=1`).then((blob) => {
+            const url = URL.createObjectURL(blob);
+            thumbnailUrls.set(attachmentId, url);
+            return url;
+          })
+        );
+      }
+
+      try {
+        img.src = await thumbnailRequests.get(attachmentId);
+      } catch (error) {
+        thumbnailRequests.delete(attachmentId);
+        console.warn('Could not load attachment thumbnail:', error);
+      }
+    });
+  }
+
+  /**
+   * Download an attachment
+   * @param {string} attachmentId - Attachment ID
+   * @param {string} fileName - File name to save as
+   */
+  async function downloadAttachment(attachmentId, fileName) {
+    try {
+      const blob = await getBlob(`/attachments/${encodeURIComponent(attachmentId)}`);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      alert(`Error downloading attachment: ${error.message || 'Unknown error'}`);
+    }
+  }
+
+  /**
+   * Add files chosen in the file picker to the selection
+   */
+  function handleFilesSelected() {
+    const files = Array.from(fileInput.files || []);
+    fileInput.value = '';
+
+    for (const file of files) {
+      if (attachmentLimits && file.size > attachmentLimits.max_file_bytes) {
+        alert(`${file.name} is too large (max ${formatFileSize(attachmentLimits.max_file_bytes)})`);
+        continue;
+      }
+      if (attachmentLimits && selectedFiles.length >= attachmentLimits.max_files) {
+        alert(`You can attach up to ${attachmentLimits.max_files} files per message`);
+        break;
+      }
+      selectedFiles.push(file);
+    }
+
+    renderSelectedFiles();
+  }
+
+  /**
+   * Render the files selected for the next message
+   */
+  function renderSelectedFiles() {
+    selectedFilesContainer.innerHTML = selectedFiles.map((file, index) => `
+      <span class="chat-selected-file">
+        📎 ${escapeHtml(file.name)} <span class="chat-attachment-size">${formatFileSize(file.size)}</span>
+        <button type="button" class="chat-selected-file-remove" data-remove-file="${index}" title="Remove">×</button>
+      </span>
+    `).join('');
+  }
+
   /**
    * Render a single message
    * @param {object} message - Message object
@@ -178,15 +394,18 @@ export function createChatWidget(container, ticketId, options = {}) {
       senderLabel = 'Client';
     }
     
-    const messageClass = isOwnMessage ? 'chat-message own' : 'chat-message';
+    const isInternal = message.message_type === 'internal';
+    const messageClass = `chat-message${isOwnMessage ? ' own' : ''}${isInternal ? ' internal' : ''}`;
 
     return `
       <div class="${messageClass}">
         <div class="chat-message-header">
           <span class="chat-message-sender">${escapeHtml(senderLabel)}</span>
+          ${isInternal ? '<span class="chat-internal-badge">🔒 Internal note</span>' : ''}
           <span class="chat-message-time">${formatDate(message.created_at)}</span>
         </div>
-        <div class="chat-message-content">${escapeHtml(message.content)}</div>
+        ${message.content ? `<div class="chat-message-content">${escapeHtml(message.content)}</div>` : ''}
+        ${renderAttachments(message.attachments)}
       </div>
     `;
   }
@@ -255,26 +474,65 @@ export function createChatWidget(container, ticketId, options = {}) {
     }
   }
 
+  /**
+   * Handle a message pushed through the event stream
+   * @param {object} data - Event payload { ticket_id, message }
+   */
+  function handlePushedMessage(data) {
+    if (!data || data.ticket_id !== ticketId || !data.message) {
+      return;
+    }
+
+    const newMessage = data.message;
+    if (messages.find(m => m.id === newMessage.id)) {
+      return;
+    }
+
+    messages.push(newMessage);
+    if (newMessage.created_at) {
+      latestTimestamp = Math.max(latestTimestamp || 0, newMessage.created_at);
+    }
+    renderMessages(messages);
+
+    if (newMessage.sender_role === 'administrator' && !adminDisplayNames.has(newMessage.sender_id)) {
+      loadAdminDisplayNames().then(() => renderMessages(messages));
+    }
+  }
+
   /**
    * Send a new message
    */
   async function handleSendMessage() {
     const content = messageInput.value.trim();
     
-    if (!content || isLoading) {
+    if ((!content && selectedFiles.length === 0) || isLoading) {
       return;
     }
 
     // Disable input while sending
     messageInput.disabled = true;
     sendButton.disabled = true;
+    attachButton.disabled = true;
     sendButton.textContent = 'Sending...';
 
+    const messageType = internalNoteToggle?.checked ? 'internal' : 'public';
+
     try {
-      const response = await post(`/chat/${ticketId}/messages`, { content });
+      let response;
+      if (selectedFiles.length > 0) {
+        const formData = new FormData();
+        formData.append('content', content);
+        formData.append('message_type', messageType);
+        selectedFiles.forEach(file => formData.append('attachments', file));
+        response = await postForm(`/chat/${ticketId}/messages`, formData);
+      } else {
+        response = await post(`/chat/${ticketId}/messages`, { content, message_type: messageType });
+      }
       
       // Clear input
       messageInput.value = '';
+      selectedFiles = [];
+      renderSelectedFiles();
       
       // Optimistically add the new message to the list if available in response
       if (response && response.message) {
@@ -292,20 +550,24 @@ export function createChatWidget(container, ticketId, options = {}) {
       // Update polling timestamp immediately - next poll will fetch any additional messages
     } catch (error) {
       console.error('Error sending message:', error);
-      alert(`Error sending message: ${error.message || 'Unknown error'}`);
+      alert(`Error sending message: ${error.data?.message || error.message || 'Unknown error'}`);
     } finally {
       messageInput.disabled = false;
       sendButton.disabled = false;
+      attachButton.disabled = false;
       sendButton.textContent = 'Send';
       messageInput.focus();
     }
   }
 
   /**
-   * Initialize polling with realtime service
+   * Initialize real-time updates: server push with polling fallback
    */
   function initializePolling() {
-    pollingManager = createPollingManager({
+    pollingManager = createRealtimeChannel({
+      events: {
+        chat_message: handlePushedMessage,
+      },
       pollFn: () => loadMessages(true),
       interval: POLLING_INTERVAL,
       onStatusChange: (status) => {
@@ -325,7 +587,7 @@ export function createChatWidget(container, ticketId, options = {}) {
   }
 
   /**
-   * Cleanup function to stop polling
+   * Cleanup function to stop real-time updates
    */
   function cleanup() {
     if (pollingManager) {
@@ -336,13 +598,17 @@ export function createChatWidget(container, ticketId, options = {}) {
       visibilityCleanup();
       visibilityCleanup = null;
     }
+    thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    thumbnailUrls.clear();
+    thumbnailRequests.clear();
   }
 
   // Initialize
   renderChatWidget();
+  loadAttachmentLimits();
   
-  // Load admin display names first
-  loadAdminDisplayNames().then(() => {
+  // Load admin display names and ticket attachments first
+  Promise.all([loadAdminDisplayNames(), loadTicketAttachments()]).then(() => {
     // Load initial messages
     loadMessages(false).then(() => {
       // Start polling after initial load
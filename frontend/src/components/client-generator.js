@@ -25,6 +25,18 @@ export function createClientGenerator(container) {
             placeholder="${t('clientGenerator.companyNamePlaceholder')}"
           >
         </div>
+        <div class="form-group">
+          <label for="client-email" class="form-label">${t('clientGenerator.email')}</label>
+          <input
+            type="email"
+            id="client-email"
+            name="email"
+            class="form-input"
+            maxlength="255"
+            placeholder="${t('clientGenerator.emailPlaceholder')}"
+          >
+          <small class="form-hint">${t('clientGenerator.emailHint')}</small>
+        </div>
         <button type="submit" id="generate-btn" class="btn btn-primary">
           ${t('clientGenerator.generate')}
         </button>
@@ -67,6 +79,7 @@ async function handleGenerateClient(e) {
   const errorElement = document.getElementById('client-generator-error');
 
   const companyName = companyNameInput.value.trim();
+  const email = form.querySelector('#client-email').value.trim();
 
   if (!companyName) {
     showError(t('clientGenerator.companyNameRequired'));
@@ -79,7 +92,7 @@ async function handleGenerateClient(e) {
   hideError();
 
   try {
-    const response = await post('/clients', { company_name: companyName });
+    const response = await post('/clients', { company_name: companyName, email: email || undefined });
 
     // Display credentials in modal/popup
     showCredentialsModal(response.credentials, response.client, response.codephrase);
@@ -111,6 +124,7 @@ function showCredentialsModal(credentials, client, codephrase) {
       </div>
       <div class="modal-body">
         <p><strong>${t('dashboard.company')}</strong> ${escapeHtml(client.company_name)}</p>
+        ${client.email ? `<p><strong>${t('clientGenerator.email')}:</strong> ${escapeHtml(client.email)}</p>` : ''}
         <div class="credentials-display">
           <div class="credential-item">
             <label>${t('clientGenerator.username')}</label>
@@ -206,7 +220,7 @@ function hideError() {
  */
 function handleError(error) {
   if (error.status === 400 || error.status === 409) {
-    showError(error.data?.error || error.message || t('clientGenerator.errorGenerating'));
+    showError(error.data?.message || error.data?.error || error.message || t('clientGenerator.errorGenerating'));
   } else if (error.status === 403) {
     showError(t('clientGenerator.errorGenerating'));
   } else {
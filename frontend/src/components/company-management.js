@@ -1,10 +1,12 @@
 /**
  * Company Management Component
- * Allows master account administrators to view and manage company accounts
+ * Allows administrators with the companies.* permissions to view and manage company accounts
  */
 
 import { get, put, post, del } from '../services/api.js';
 import { t } from '../services/i18n.js';
+import { hasPermission } from '../services/permissions.js';
+import { showCompanyUsersModal } from './company-users.js';
 
 /**
  * Create and render company management component
@@ -14,8 +16,15 @@ import { t } from '../services/i18n.js';
  */
 export function createCompanyManagement(container, options = {}) {
   const { currentUser = null } = options;
+  const canManageCredentials = hasPermission(currentUser, 'companies.credentials');
+  const canManageUsers = hasPermission(currentUser, 'companies.users');
+  const canDecideRecovery = hasPermission(currentUser, 'companies.recovery');
+  const canDeleteCompanies = hasPermission(currentUser, 'companies.delete');
+  const canPurgeCompanies = hasPermission(currentUser, 'companies.purge');
   
   let companies = [];
+  let deletedCompanies = [];
+  let view = 'active'; // 'active' or 'deleted'
   let revealedPasswords = {}; // { companyId: plainPassword } - store plain passwords after generation/change
   let filters = {
     company_name: '',
@@ -42,6 +51,13 @@ export function createCompanyManagement(container, options = {}) {
       hideError();
       hideSuccess();
       
+      if (view === 'deleted') {
+        const response = await get('/clients/companies/deleted');
+        deletedCompanies = response.companies || [];
+        renderCompaniesList();
+        return;
+      }
+      
       const queryParams = new URLSearchParams();
       if (filters.company_name && filters.company_name.trim()) {
         queryParams.append('company_name', filters.company_name.trim());
@@ -67,6 +83,7 @@ export function createCompanyManagement(container, options = {}) {
       showError(errorMsg);
       // Don't break the dashboard - just show error and empty state
       companies = [];
+      deletedCompanies = [];
       renderCompaniesList();
     } finally {
       const companiesList = container.querySelector('.companies-list');
@@ -95,6 +112,16 @@ export function createCompanyManagement(container, options = {}) {
           <div id="company-success" class="success-message" style="display: none;" role="alert" aria-live="polite"></div>
           <div id="company-error" class="error-message" style="display: none;" role="alert" aria-live="polite"></div>
           
+          <!-- Active / Deleted companies -->
+          <div class="company-view-toggle" role="tablist" style="display: flex; gap: 0.5rem; margin-top: 1rem;">
+            <button type="button" class="btn btn-sm" data-company-view="active" role="tab">
+              ${t('companyManagement.activeCompanies') || 'Companies'}
+            </button>
+            <button type="button" class="btn btn-sm" data-company-view="deleted" role="tab">
+              ${t('companyManagement.deletedCompanies') || 'Deleted companies'}
+            </button>
+          </div>
+          
           <!-- Filters -->
           <div class="filters-section" style="margin: 1rem 0; display: flex; gap: 1rem; flex-wrap: wrap;">
             <div class="filter-group" style="flex: 1; min-width: 200px; max-width: 400px;">
@@ -127,6 +154,7 @@ export function createCompanyManagement(container, options = {}) {
       `;
       
       setupEventListeners();
+      updateViewToggle();
       // Load companies asynchronously to avoid blocking
       setTimeout(() => {
         loadCompanies();
@@ -141,6 +169,104 @@ export function createCompanyManagement(container, options = {}) {
     }
   }
   
+  /**
+   * Highlight the selected view and show filters only for active companies
+   */
+  function updateViewToggle() {
+    container.querySelectorAll('[data-company-view]').forEach(button => {
+      const selected = button.getAttribute('data-company-view') === view;
+      button.classList.toggle('btn-primary', selected);
+      button.classList.toggle('btn-secondary', !selected);
+      button.setAttribute('aria-selected', String(selected));
+    });
+    
+    const filtersSection = container.querySelector('.filters-section');
+    if (filtersSection) {
+      filtersSection.style.display = view === 'deleted' ? 'none' : 'flex';
+    }
+  }
+  
+  /**
+   * Switch between active and deleted companies
+   * @param {string} newView - 'active' or 'deleted'
+   */
+  function switchView(newView) {
+    if (newView === view) return;
+    view = newView;
+    updateViewToggle();
+    loadCompanies();
+  }
+  
+  /**
+   * Render deleted company list
+   * @param {HTMLElement} companiesList - List element
+   */
+  function renderDeletedCompaniesList(companiesList) {
+    if (deletedCompanies.length === 0) {
+      companiesList.innerHTML = `
+        <div class="empty-state" style="text-align: center; padding: 2rem; color: #666;" role="status" aria-live="polite">
+          ${t('companyManagement.noDeletedCompanies') || 'No deleted companies'}
+        </div>
+      `;
+      return;
+    }
+    
+    const now = Math.floor(Date.now() / 1000);
+    
+    companiesList.innerHTML = deletedCompanies.map(company => {
+      const canPurge = company.purge_available_at <= now;
+      
+      return `
+        <div class="company-item company-item-deleted" data-company-id="${company.id}" role="listitem" style="border: 1px dashed #ccc; border-radius: 8px; padding: 1rem; margin-bottom: 1rem; background: #fafafa;">
+          <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: 1rem; flex-wrap: wrap;">
+            <div class="company-info" style="flex: 1; min-width: 250px;">
+              <div style="font-weight: 600; font-size: 1.1rem; margin-bottom: 0.5rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 100%;" title="${escapeHtml(company.company_name)}">
+                ${escapeHtml(company.company_name)}
+              </div>
+              <div style="color: #666; margin-bottom: 0.25rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+                Login: <code style="background: #f5f5f5; padding: 2px 6px; border-radius: 4px; font-family: monospace; white-space: nowrap;">${escapeHtml(company.login)}</code>
+              </div>
+              <div style="color: #666; font-size: 0.9rem; margin-bottom: 0.25rem;">
+                ${t('companyManagement.deletedAt') || 'Deleted:'} ${formatDate(company.deleted_at)}${company.deleted_by_login ? ` (${escapeHtml(company.deleted_by_login)})` : ''}
+              </div>
+              <div style="color: #666; font-size: 0.9rem; margin-bottom: 0.25rem;">
+                ${(t('companyManagement.ticketsKept') || 'Tickets kept: {count}').replace('{count}', company.ticket_count)}
+              </div>
+              <div style="color: #666; font-size: 0.9rem;">
+                ${canPurge
+                  ? (t('companyManagement.purgeAvailable') || 'Can be purged permanently')
+                  : (t('companyManagement.purgeAvailableFrom') || 'Can be purged from {date}').replace('{date}', formatDate(company.purge_available_at))}
+              </div>
+            </div>
+            <div class="company-actions" style="display: flex; flex-direction: column; gap: 0.5rem;">
+              ${canDeleteCompanies ? `
+              <button 
+                class="btn btn-sm btn-primary" 
+                data-restore-company="${company.id}" 
+                style="padding: 6px 12px; white-space: nowrap;"
+                aria-label="${t('companyManagement.restore') || 'Restore'} ${escapeHtml(company.company_name)}"
+              >
+                ${t('companyManagement.restore') || 'Restore'}
+              </button>
+              ` : ''}
+              ${canPurgeCompanies ? `
+              <button 
+                class="btn btn-sm btn-secondary" 
+                data-purge-company="${company.id}" 
+                style="padding: 6px 12px; white-space: nowrap;"
+                aria-label="${t('companyManagement.purge') || 'Purge'} ${escapeHtml(company.company_name)}"
+                ${canPurge ? '' : 'disabled'}
+              >
+                ${t('companyManagement.purge') || 'Purge'}
+              </button>
+              ` : ''}
+            </div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+  
   /**
    * Render company list
    */
@@ -154,6 +280,11 @@ export function createCompanyManagement(container, options = {}) {
       loadingIndicator.remove();
     }
     
+    if (view === 'deleted') {
+      renderDeletedCompaniesList(companiesList);
+      return;
+    }
+    
     if (companies.length === 0) {
       companiesList.innerHTML = `
         <div class="empty-state" style="text-align: center; padding: 2rem; color: #666;" role="status" aria-live="polite">
@@ -174,6 +305,7 @@ export function createCompanyManagement(container, options = {}) {
       
       return `
         <div class="${itemClass}" data-company-id="${company.id}" role="listitem" style="${itemStyle}; position: relative;">
+          ${canDeleteCompanies ? `
           <button 
             type="button"
             class="company-delete-icon"
@@ -189,6 +321,7 @@ export function createCompanyManagement(container, options = {}) {
               <line x1="14" y1="11" x2="14" y2="17"></line>
             </svg>
           </button>
+          ` : ''}
           <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: 1rem; flex-wrap: wrap;">
             <div class="company-info" style="flex: 1; min-width: 250px;">
               <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem;">
@@ -205,14 +338,17 @@ export function createCompanyManagement(container, options = {}) {
                 Login: <code style="background: #f5f5f5; padding: 2px 6px; border-radius: 4px; font-family: monospace; white-space: nowrap;">${escapeHtml(company.login)}</code>
               </div>
               <div style="color: #666; font-size: 0.9rem; margin-bottom: 0.5rem; white-space: nowrap;">Created: ${formatDate(company.created_at)}</div>
-              ${company.equipment_ids && company.equipment_ids.length > 0 ? `
+              ${renderRecoveryRequest(company)}
+              ${company.equipment && company.equipment.length > 0 ? `
               <div style="margin-bottom: 0.75rem;">
                 <div style="font-weight: 500; margin-bottom: 0.25rem; color: #333; white-space: nowrap;">${t('companyManagement.equipmentIds') || 'Equipment IDs:'}</div>
                 <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
-                  ${company.equipment_ids.map(eqId => `
-                    <code style="background: #e3f2fd; padding: 4px 8px; border-radius: 4px; font-family: monospace; font-size: 0.9rem; color: #1976d2; border: 1px solid #90caf9; white-space: nowrap;">
-                      ${escapeHtml(eqId)}
-                    </code>
+                  ${company.equipment.map(item => `
+                    <a href="/src/pages/asset.html?id=${encodeURIComponent(item.id)}" title="${t('equipment.viewAsset') || 'View asset'}" style="text-decoration: none;">
+                      <code style="background: #e3f2fd; padding: 4px 8px; border-radius: 4px; font-family: monospace; font-size: 0.9rem; color: #1976d2; border: 1px solid #90caf9; white-space: nowrap;">
+                        ${escapeHtml(item.serial_number)}
+                      </code>
+                    </a>
                   `).join('')}
                 </div>
               </div>
@@ -256,6 +392,7 @@ export function createCompanyManagement(container, options = {}) {
               </div>
             </div>
             <div class="company-actions" style="display: flex; flex-direction: column; gap: 0.5rem;">
+              ${canManageCredentials ? `
               <button 
                 class="btn btn-sm btn-primary" 
                 data-change-password="${company.id}" 
@@ -272,6 +409,15 @@ export function createCompanyManagement(container, options = {}) {
               >
                 ${t('companyManagement.generate') || 'Generate'}
               </button>
+              ` : ''}
+              <button 
+                class="btn btn-sm btn-secondary" 
+                data-company-users="${company.id}" 
+                style="padding: 6px 12px; white-space: nowrap;"
+                aria-label="${t('companyManagement.usersOf') || 'Users of'} ${escapeHtml(company.company_name)}"
+              >
+                ${t('companyManagement.users') || 'Users'} (${company.contact_count || 0})
+              </button>
             </div>
           </div>
         </div>
@@ -279,6 +425,98 @@ export function createCompanyManagement(container, options = {}) {
     }).join('');
   }
   
+  /**
+   * Render the newest recovery request of a company
+   * Pending requests get approve and deny buttons (with companies.recovery); decided ones show who decided and when.
+   * @param {object} company - Company with recovery_request
+   * @returns {string} HTML, empty if the company has no request to show
+   */
+  function renderRecoveryRequest(company) {
+    const request = company.recovery_request;
+    if (!request) return '';
+    
+    if (request.status === 'pending') {
+      return `
+        <div style="margin-bottom: 0.75rem; padding: 0.5rem 0.75rem; background: #fff8e1; border: 1px solid #ffe082; border-radius: 6px;" role="group" aria-label="${t('companyManagement.recoveryRequest') || 'Recovery request'}">
+          <div style="font-size: 0.9rem; margin-bottom: 0.5rem;">
+            ${(t('companyManagement.recoveryRequested') || 'Password recovery requested {date}, expires {expires}')
+              .replace('{date}', formatDate(request.created_at))
+              .replace('{expires}', formatDate(request.expires_at))}
+          </div>
+          ${canDecideRecovery ? `
+          <div style="display: flex; gap: 0.5rem;">
+            <button type="button" class="btn btn-sm btn-primary" data-approve-recovery="${escapeHtml(request.id)}">
+              ${t('companyManagement.approveRecovery') || 'Approve'}
+            </button>
+            <button type="button" class="btn btn-sm btn-secondary" data-deny-recovery="${escapeHtml(request.id)}" style="color: #b91c1c;">
+              ${t('companyManagement.denyRecovery') || 'Deny'}
+            </button>
+          </div>
+          ` : ''}
+        </div>
+      `;
+    }
+    
+    const decisionKeys = {
+      approved: ['companyManagement.recoveryApprovedBy', 'Recovery approved by {admin} on {date}'],
+      completed: ['companyManagement.recoveryApprovedBy', 'Recovery approved by {admin} on {date}'],
+      denied: ['companyManagement.recoveryDeniedBy', 'Recovery denied by {admin} on {date}'],
+    };
+    const decision = decisionKeys[request.status];
+    if (!decision || !request.decided_at) return '';
+    
+    return `
+      <div style="color: #666; font-size: 0.85rem; margin-bottom: 0.5rem;">
+        ${escapeHtml((t(decision[0]) || decision[1])
+          .replace('{admin}', request.decided_by_login || '—')
+          .replace('{date}', formatDate(request.decided_at)))}
+      </div>
+    `;
+  }
+  
+  /**
+   * Approve or deny a pending recovery request
+   * @param {string} requestId - Recovery request ID
+   * @param {boolean} approve - True to approve, false to deny
+   */
+  async function decideRecoveryRequest(requestId, approve) {
+    const company = companies.find(c => c.recovery_request?.id === requestId);
+    if (!company) return;
+    
+    const confirmKey = approve ? 'companyManagement.confirmApproveRecovery' : 'companyManagement.confirmDenyRecovery';
+    const confirmDefault = approve
+      ? 'Approve password recovery for {company}? Whoever entered its codephrase will be able to set a new password.'
+      : 'Deny password recovery for {company}?';
+    if (!confirm((t(confirmKey) || confirmDefault).replace('{company}', company.company_name))) {
+      return;
+    }
+    
+    try {
+      const response = await post(`/clients/recovery-requests/${encodeURIComponent(requestId)}/${approve ? 'approve' : 'deny'}`, {});
+      const request = response.request;
+      company.recovery_request = {
+        id: request.id,
+        status: request.status,
+        created_at: request.created_at,
+        expires_at: request.expires_at,
+        decided_at: request.decided_at,
+        decided_by_login: request.decided_by_login,
+      };
+      if (!approve) {
+        company.recovery_pending = 0;
+      }
+      renderCompaniesList();
+      showSuccess(approve
+        ? (t('companyManagement.recoveryApproved') || 'Recovery approved')
+        : (t('companyManagement.recoveryDenied') || 'Recovery denied'));
+    } catch (error) {
+      showError(getErrorMessage(error, 'companyManagement.errorRecoveryDecision', 'Error updating recovery request'));
+      if (error.status === 409) {
+        await loadCompanies();
+      }
+    }
+  }
+  
   /**
    * Setup event listeners
    */
@@ -308,6 +546,12 @@ export function createCompanyManagement(container, options = {}) {
     
     // Password reveal/hide buttons
     container.addEventListener('click', async (e) => {
+      const viewBtn = e.target.closest('[data-company-view]');
+      if (viewBtn) {
+        switchView(viewBtn.getAttribute('data-company-view'));
+        return;
+      }
+      
       const revealBtn = e.target.closest('[data-reveal-password]');
       if (revealBtn) {
         const companyId = revealBtn.getAttribute('data-reveal-password');
@@ -329,12 +573,53 @@ export function createCompanyManagement(container, options = {}) {
         return;
       }
       
+      const usersBtn = e.target.closest('[data-company-users]');
+      if (usersBtn) {
+        const company = companies.find(c => c.id === usersBtn.getAttribute('data-company-users'));
+        if (company) {
+          showCompanyUsersModal(company, {
+            canEdit: canManageUsers,
+            canGeneratePassword: canManageCredentials,
+            onChange: (count) => {
+              company.contact_count = count;
+              renderCompaniesList();
+            },
+          });
+        }
+        return;
+      }
+      
+      const approveRecoveryBtn = e.target.closest('[data-approve-recovery]');
+      const denyRecoveryBtn = e.target.closest('[data-deny-recovery]');
+      if (approveRecoveryBtn || denyRecoveryBtn) {
+        const button = approveRecoveryBtn || denyRecoveryBtn;
+        button.disabled = true;
+        await decideRecoveryRequest(
+          button.getAttribute(approveRecoveryBtn ? 'data-approve-recovery' : 'data-deny-recovery'),
+          Boolean(approveRecoveryBtn)
+        );
+        button.disabled = false;
+        return;
+      }
+      
       const deleteBtn = e.target.closest('[data-delete-company]');
       if (deleteBtn) {
         const companyId = deleteBtn.getAttribute('data-delete-company');
         await deleteCompanyAccount(companyId);
         return;
       }
+      
+      const restoreBtn = e.target.closest('[data-restore-company]');
+      if (restoreBtn) {
+        await restoreCompanyAccount(restoreBtn.getAttribute('data-restore-company'));
+        return;
+      }
+      
+      const purgeBtn = e.target.closest('[data-purge-company]');
+      if (purgeBtn) {
+        await purgeCompanyAccount(purgeBtn.getAttribute('data-purge-company'));
+        return;
+      }
     });
     
       // Keyboard navigation for action buttons (Enter/Space)
@@ -575,14 +860,11 @@ export function createCompanyManagement(container, options = {}) {
                   <line x1="12" y1="17" x2="12.01" y2="17"></line>
                 </svg>
                 <div style="flex: 1;">
-                  <strong style="color: #92400e; display: block; margin-bottom: 0.5rem;">${t('companyManagement.warning') || 'Warning: This action cannot be undone'}</strong>
-                  <p style="margin: 0; color: #78350f; font-size: 0.9rem; line-height: 1.5;">
-                    ${t('companyManagement.deleteWarning') || 'This will permanently delete:'}
-                  </p>
+                  <strong style="color: #92400e; display: block; margin-bottom: 0.5rem;">${t('companyManagement.softDeleteTitle') || 'The company will be moved to Deleted companies'}</strong>
                   <ul style="margin: 0.5rem 0 0 0; padding-left: 1.5rem; color: #78350f; font-size: 0.9rem; line-height: 1.6;">
-                    <li>${t('companyManagement.deleteWarningAccount') || 'The company account'}</li>
-                    <li>${t('companyManagement.deleteWarningTickets') || 'All associated tickets'}</li>
-                    <li>${t('companyManagement.deleteWarningMessages') || 'All chat messages'}</li>
+                    <li>${t('companyManagement.softDeleteSignOut') || 'Its users are signed out and can no longer sign in'}</li>
+                    <li>${t('companyManagement.softDeleteHistory') || 'Tickets and chat messages are kept'}</li>
+                    <li>${t('companyManagement.softDeleteRestore') || 'A master account can restore it from Deleted companies'}</li>
                   </ul>
                 </div>
               </div>
@@ -628,6 +910,147 @@ export function createCompanyManagement(container, options = {}) {
     });
   }
   
+  /**
+   * Restore a deleted company account
+   * @param {string} companyId - Company ID
+   */
+  async function restoreCompanyAccount(companyId) {
+    const company = deletedCompanies.find(c => c.id === companyId);
+    if (!company) return;
+    
+    if (!confirm((t('companyManagement.confirmRestore') || 'Restore {company}? Its users will be able to sign in again.').replace('{company}', company.company_name))) {
+      return;
+    }
+    
+    const restoreBtn = container.querySelector(`[data-restore-company="${companyId}"]`);
+    if (restoreBtn) {
+      restoreBtn.disabled = true;
+    }
+    
+    try {
+      await post(`/clients/companies/${companyId}/restore`, {});
+      deletedCompanies = deletedCompanies.filter(c => c.id !== companyId);
+      renderCompaniesList();
+      showSuccess(t('companyManagement.companyRestoredSuccessfully') || 'Company account restored');
+    } catch (error) {
+      const errorMsg = getErrorMessage(error, 'companyManagement.errorRestoring', 'Error restoring company account');
+      showError(errorMsg);
+      if (restoreBtn) {
+        restoreBtn.disabled = false;
+      }
+    }
+  }
+  
+  /**
+   * Permanently delete a deleted company account
+   * @param {string} companyId - Company ID
+   */
+  async function purgeCompanyAccount(companyId) {
+    const company = deletedCompanies.find(c => c.id === companyId);
+    if (!company) return;
+    
+    const confirmation = await showPurgeConfirmationModal(company);
+    if (!confirmation) {
+      return;
+    }
+    
+    const purgeBtn = container.querySelector(`[data-purge-company="${companyId}"]`);
+    if (purgeBtn) {
+      purgeBtn.disabled = true;
+    }
+    
+    try {
+      await post(`/clients/companies/${companyId}/purge`, { confirm: confirmation });
+      deletedCompanies = deletedCompanies.filter(c => c.id !== companyId);
+      renderCompaniesList();
+      showSuccess(t('companyManagement.companyPurgedSuccessfully') || 'Company account purged');
+    } catch (error) {
+      const errorMsg = getErrorMessage(error, 'companyManagement.errorPurging', 'Error purging company account');
+      showError(errorMsg);
+      if (purgeBtn) {
+        purgeBtn.disabled = false;
+      }
+    }
+  }
+  
+  /**
+   * Show purge confirmation modal
+   * The confirm button is enabled only after the company login is typed.
+   * @param {object} company - Deleted company object
+   * @returns {Promise<string|null>} Typed login if confirmed, null if cancelled
+   */
+  function showPurgeConfirmationModal(company) {
+    return new Promise((resolve) => {
+      const modal = document.createElement('div');
+      modal.className = 'modal-backdrop';
+      modal.innerHTML = `
+        <div class="modal modal-delete-confirm">
+          <div class="modal-header">
+            <h3 class="modal-title" style="margin: 0; color: #b91c1c;">${t('companyManagement.purgeCompany') || 'Purge Company Account'}</h3>
+            <button class="modal-close" aria-label="${t('common.close') || 'Close'}">&times;</button>
+          </div>
+          <div class="modal-body">
+            <div style="background: #fee2e2; border: 1px solid #f87171; border-radius: 8px; padding: 1rem; margin: 0 0 1rem 0;">
+              <strong style="color: #991b1b; display: block; margin-bottom: 0.5rem;">${t('companyManagement.warning') || 'Warning: This action cannot be undone'}</strong>
+              <p style="margin: 0; color: #7f1d1d; font-size: 0.9rem; line-height: 1.5;">
+                ${t('companyManagement.deleteWarning') || 'This will permanently delete:'}
+              </p>
+              <ul style="margin: 0.5rem 0 0 0; padding-left: 1.5rem; color: #7f1d1d; font-size: 0.9rem; line-height: 1.6;">
+                <li>${t('companyManagement.deleteWarningAccount') || 'The company account'}</li>
+                <li>${t('companyManagement.deleteWarningTickets') || 'All associated tickets'}</li>
+                <li>${t('companyManagement.deleteWarningMessages') || 'All chat messages'}</li>
+              </ul>
+            </div>
+            <label for="purge-confirm-login" style="display: block; margin-bottom: 0.5rem; font-size: 0.95rem;">
+              ${(t('companyManagement.purgeTypeLogin') || 'Type the login {login} to confirm').replace('{login}', `<code>${escapeHtml(company.login)}</code>`)}
+            </label>
+            <input type="text" id="purge-confirm-login" class="form-input" autocomplete="off" spellcheck="false" />
+          </div>
+          <div class="modal-footer" style="display: flex; justify-content: flex-end; gap: 0.75rem;">
+            <button class="btn btn-secondary" id="modal-cancel-purge" style="padding: 0.5rem 1.5rem;">
+              ${t('common.cancel') || 'Cancel'}
+            </button>
+            <button class="btn btn-primary" id="modal-confirm-purge" style="padding: 0.5rem 1.5rem;" disabled>
+              ${t('companyManagement.purgeConfirm') || 'Purge permanently'}
+            </button>
+          </div>
+        </div>
+      `;
+      
+      document.body.appendChild(modal);
+      
+      const input = modal.querySelector('#purge-confirm-login');
+      const confirmBtn = modal.querySelector('#modal-confirm-purge');
+      
+      const handleEscape = (e) => {
+        if (e.key === 'Escape') {
+          closeModal(null);
+        }
+      };
+      
+      const closeModal = (result) => {
+        document.removeEventListener('keydown', handleEscape);
+        modal.remove();
+        resolve(result);
+      };
+      
+      input.addEventListener('input', () => {
+        confirmBtn.disabled = input.value.trim() !== company.login;
+      });
+      modal.querySelector('.modal-close').addEventListener('click', () => closeModal(null));
+      modal.querySelector('#modal-cancel-purge').addEventListener('click', () => closeModal(null));
+      confirmBtn.addEventListener('click', () => closeModal(input.value.trim()));
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+          closeModal(null);
+        }
+      });
+      document.addEventListener('keydown', handleEscape);
+      
+      input.focus();
+    });
+  }
+  
   /**
    * Show generated/changed password modal
    */
@@ -0,0 +1,283 @@
+/**
+ * Company Users Component
+ * Modal where master account administrators manage the named users (contact persons) of a company
+ */
+
+import { get, post, del } from '../services/api.js';
+import { t } from '../services/i18n.js';
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
+
+/**
+ * Open the users modal of a company
+ * @param {object} company - Company (id, company_name)
+ * @param {object} options - Options
+ * @param {Function} [options.onChange] - Called with the new user count after users are added or deleted
+ * @param {boolean} [options.canEdit=true] - Whether users can be added and deleted (companies.users)
+ * @param {boolean} [options.canGeneratePassword=true] - Whether passwords can be generated (companies.credentials)
+ */
+export function showCompanyUsersModal(company, options = {}) {
+  const { onChange = null, canEdit = true, canGeneratePassword = true } = options;
+  const basePath = `/clients/companies/${encodeURIComponent(company.id)}/contacts`;
+
+  let contacts = [];
+  let credentials = null; // { title, full_name, login?, password } - shown once after creation or reset
+
+  const modal = document.createElement('div');
+  modal.className = 'modal-backdrop';
+  modal.innerHTML = `
+    <div class="modal" style="max-width: 760px; width: 100%;">
+      <div class="modal-header">
+        <h3 class="modal-title">${t('companyUsers.title')}: ${escapeHtml(company.company_name)}</h3>
+        <button class="modal-close" aria-label="${t('common.close') || 'Close'}">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p style="color: #666; font-size: 0.9rem; margin-top: 0;">${t('companyUsers.description')}</p>
+        <div id="company-users-message" class="error-message" style="display: none;" role="alert" aria-live="polite"></div>
+        <div id="company-users-credentials"></div>
+        <div id="company-users-list" role="list"></div>
+        ${canEdit ? `
+        <form id="company-users-form" style="border-top: 1px solid #eee; margin-top: 1rem; padding-top: 1rem;">
+          <h4 style="margin: 0 0 0.75rem 0;">${t('companyUsers.addUser')}</h4>
+          <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 0.75rem;">
+            <div class="form-group">
+              <label class="form-label" for="company-user-full-name">${t('companyUsers.fullName')} *</label>
+              <input type="text" class="form-input" id="company-user-full-name" maxlength="200" required>
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="company-user-job-title">${t('companyUsers.jobTitle')}</label>
+              <input type="text" class="form-input" id="company-user-job-title" maxlength="100">
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="company-user-email">${t('companyUsers.email')}</label>
+              <input type="email" class="form-input" id="company-user-email" maxlength="255">
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="company-user-phone">${t('companyUsers.phone')}</label>
+              <input type="tel" class="form-input" id="company-user-phone" maxlength="50">
+            </div>
+          </div>
+          <button type="submit" class="btn btn-primary" style="margin-top: 0.5rem;">${t('companyUsers.create')}</button>
+        </form>
+        ` : ''}
+      </div>
+    </div>
+  `;
+
+  /**
+   * Show error message
+   * @param {string} message - Message text, or empty to hide
+   */
+  function showError(message) {
+    const messageEl = modal.querySelector('#company-users-message');
+    messageEl.textContent = message;
+    messageEl.style.display = message ? '' : 'none';
+  }
+
+  /**
+   * Render the one-time credentials block
+   */
+  function renderCredentials() {
+    const credentialsEl = modal.querySelector('#company-users-credentials');
+    if (!credentials) {
+      credentialsEl.innerHTML = '';
+      return;
+    }
+
+    credentialsEl.innerHTML = `
+      <div style="background: #f0fdf4; border: 1px solid #86efac; border-radius: 8px; padding: 1rem; margin-bottom: 1rem;">
+        <strong>${escapeHtml(credentials.title)}: ${escapeHtml(credentials.full_name)}</strong>
+        ${credentials.login ? `
+        <div style="margin-top: 0.5rem;">${t('clientGenerator.username') || 'Username:'} <code>${escapeHtml(credentials.login)}</code></div>
+        ` : ''}
+        <div style="margin-top: 0.25rem; display: flex; gap: 0.5rem; align-items: center;">
+          ${t('clientGenerator.password') || 'Password:'} <code>${escapeHtml(credentials.password)}</code>
+          <button type="button" class="btn btn-sm btn-secondary" id="company-user-copy">${t('clientGenerator.copy') || 'Copy'}</button>
+        </div>
+        <p style="margin: 0.5rem 0 0 0; color: #666; font-size: 0.85rem;">${t('clientGenerator.savePasswordMessage') || 'Please save this password. It will not be shown again.'}</p>
+      </div>
+    `;
+
+    credentialsEl.querySelector('#company-user-copy').addEventListener('click', async (e) => {
+      const text = credentials.login
+        ? `${credentials.login}\n${credentials.password}`
+        : credentials.password;
+      try {
+        await navigator.clipboard.writeText(text);
+        e.target.textContent = t('clientGenerator.copied') || 'Copied!';
+      } catch (err) {
+        console.error('Failed to copy:', err);
+      }
+    });
+  }
+
+  /**
+   * Render the list of users
+   */
+  function renderList() {
+    const listEl = modal.querySelector('#company-users-list');
+    if (contacts.length === 0) {
+      listEl.innerHTML = `<p style="color: #999; font-style: italic;" role="status">${t('companyUsers.empty')}</p>`;
+      return;
+    }
+
+    listEl.innerHTML = contacts.map(contact => `
+      <div role="listitem" style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; padding: 0.75rem 0; border-bottom: 1px solid #eee; flex-wrap: wrap;">
+        <div style="min-width: 220px;">
+          <div style="font-weight: 600;">${escapeHtml(contact.full_name)}${contact.job_title ? ` <span style="font-weight: normal; color: #666;">· ${escapeHtml(contact.job_title)}</span>` : ''}</div>
+          <div style="color: #666; font-size: 0.9rem;">
+            ${t('companyUsers.login')}: <code>${escapeHtml(contact.login)}</code>
+            ${contact.email ? ` · ${escapeHtml(contact.email)}` : ''}
+            ${contact.phone ? ` · ${escapeHtml(contact.phone)}` : ''}
+          </div>
+        </div>
+        <div style="display: flex; gap: 0.5rem;">
+          ${canGeneratePassword ? `<button type="button" class="btn btn-sm btn-secondary" data-contact-password="${escapeHtml(contact.id)}">${t('companyManagement.generate') || 'Generate'}</button>` : ''}
+          ${canEdit ? `<button type="button" class="btn btn-sm btn-secondary" data-contact-delete="${escapeHtml(contact.id)}" style="color: #b91c1c;">${t('companyUsers.delete')}</button>` : ''}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Load users from API
+   */
+  async function loadContacts() {
+    try {
+      const response = await get(basePath);
+      contacts = response.contacts || [];
+      renderList();
+    } catch (error) {
+      console.error('Error loading company users:', error);
+      showError(error.data?.message || error.message || t('companyUsers.errorGeneric'));
+    }
+  }
+
+  /**
+   * Create a user from the form
+   * @param {SubmitEvent} e - Submit event
+   */
+  async function createContact(e) {
+    e.preventDefault();
+    showError('');
+
+    const form = e.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      const response = await post(basePath, {
+        full_name: form.querySelector('#company-user-full-name').value.trim(),
+        job_title: form.querySelector('#company-user-job-title').value.trim(),
+        email: form.querySelector('#company-user-email').value.trim(),
+        phone: form.querySelector('#company-user-phone').value.trim(),
+      });
+
+      credentials = {
+        title: t('companyUsers.created'),
+        full_name: response.contact.full_name,
+        login: response.credentials.username,
+        password: response.credentials.password,
+      };
+      form.reset();
+      renderCredentials();
+      await loadContacts();
+      onChange?.(contacts.length);
+    } catch (error) {
+      console.error('Error creating company user:', error);
+      showError(error.data?.message || error.message || t('companyUsers.errorGeneric'));
+    } finally {
+      submitBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Generate a new password for a user
+   * @param {object} contact - Contact person
+   */
+  async function generatePassword(contact) {
+    if (!confirm(t('companyUsers.confirmGenerate').replace('{name}', contact.full_name))) {
+      return;
+    }
+    showError('');
+
+    try {
+      const response = await post(`${basePath}/${encodeURIComponent(contact.id)}/generate-password`, {});
+      credentials = {
+        title: t('companyUsers.passwordGenerated'),
+        full_name: contact.full_name,
+        password: response.password,
+      };
+      renderCredentials();
+    } catch (error) {
+      console.error('Error generating company user password:', error);
+      showError(error.data?.message || error.message || t('companyUsers.errorGeneric'));
+    }
+  }
+
+  /**
+   * Delete a user
+   * @param {object} contact - Contact person
+   */
+  async function deleteContact(contact) {
+    if (!confirm(t('companyUsers.confirmDelete').replace('{name}', contact.full_name))) {
+      return;
+    }
+    showError('');
+
+    try {
+      await del(`${basePath}/${encodeURIComponent(contact.id)}`);
+      await loadContacts();
+      onChange?.(contacts.length);
+    } catch (error) {
+      console.error('Error deleting company user:', error);
+      showError(error.data?.message || error.message || t('companyUsers.errorGeneric'));
+    }
+  }
+
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') {
+      closeModal();
+    }
+  };
+
+  const closeModal = () => {
+    document.removeEventListener('keydown', handleEscape);
+    modal.remove();
+  };
+
+  modal.querySelector('.modal-close').addEventListener('click', closeModal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+      return;
+    }
+
+    const passwordBtn = e.target.closest('[data-contact-password]');
+    const deleteBtn = e.target.closest('[data-contact-delete]');
+    const contactId = passwordBtn?.getAttribute('data-contact-password') || deleteBtn?.getAttribute('data-contact-delete');
+    const contact = contacts.find(c => c.id === contactId);
+    if (!contact) return;
+
+    if (passwordBtn) {
+      generatePassword(contact);
+    } else {
+      deleteContact(contact);
+    }
+  });
+  modal.querySelector('#company-users-form')?.addEventListener('submit', createContact);
+  document.addEventListener('keydown', handleEscape);
+
+  document.body.appendChild(modal);
+  loadContacts();
+}
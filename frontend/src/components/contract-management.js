@@ -0,0 +1,401 @@
+/**
+ * Contract Management Component
+ * Allows master account administrators to maintain client service contracts
+ * (period, coverage level, response-time commitments and covered equipment)
+ */
+
+import { get, post, patch, del } from '../services/api.js';
+import { t, getCurrentLanguage } from '../services/i18n.js';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Convert Unix timestamp to a value for <input type="date">
+ * @param {number|null} timestamp - Unix timestamp in seconds
+ * @returns {string} YYYY-MM-DD or empty string
+ */
+function toDateInputValue(timestamp) {
+  if (!timestamp) return '';
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Convert <input type="date"> value to a Unix timestamp
+ * @param {string} value - YYYY-MM-DD or empty string
+ * @param {boolean} endOfDay - Use the last second of the day (end dates are inclusive)
+ * @returns {number|null} Unix timestamp in seconds (UTC) or null
+ */
+function fromDateInputValue(value, endOfDay = false) {
+  if (!value) return null;
+  const start = Math.floor(Date.parse(`${value}T00:00:00Z`) / 1000);
+  return endOfDay ? start + SECONDS_PER_DAY - 1 : start;
+}
+
+/**
+ * Parse optional minutes input
+ * @param {string} value - Raw input value
+ * @returns {number|null} Integer minutes or null when empty
+ */
+function parseMinutes(value) {
+  return value === '' ? null : parseInt(value, 10);
+}
+
+/**
+ * Create and render contract management component
+ * @param {HTMLElement} container - Container element to render into
+ * @returns {Function} Refresh function to reload contracts
+ */
+export function createContractManagement(container) {
+  let contracts = [];
+  let companies = [];
+  let coverageLevels = ['basic', 'standard', 'premium'];
+  let alertDays = [30];
+  let equipmentByClient = new Map();
+  let editingContractId = null;
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Format a Unix timestamp as a date
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @returns {string} Formatted date
+   */
+  function formatDate(timestamp) {
+    const locale = getCurrentLanguage() === 'ru' ? 'ru-RU' : 'en-US';
+    return new Date(timestamp * 1000).toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  /**
+   * Show error or success message
+   * @param {string} message - Message text
+   * @param {boolean} isError - Whether this is an error message
+   */
+  function showMessage(message, isError = false) {
+    const messageEl = container.querySelector('#contract-message');
+    if (!messageEl) return;
+    messageEl.className = isError ? 'error-message' : 'success-message';
+    messageEl.textContent = message;
+    messageEl.style.display = '';
+  }
+
+  /**
+   * Get user-facing error message from API error
+   * @param {Error} error - API error
+   * @returns {string} Error message
+   */
+  function getErrorMessage(error) {
+    if (error.data?.message) {
+      return error.data.message;
+    }
+    return error.message || t('contracts.errorGeneric');
+  }
+
+  /**
+   * Render contract state badge (upcoming, active, expiring, expired)
+   * @param {object} contract - Contract object
+   * @returns {string} HTML string for badge
+   */
+  function renderStateBadge(contract) {
+    const now = Math.floor(Date.now() / 1000);
+    if (contract.end_date < now) {
+      return `<span class="badge coverage-badge-out_of_coverage">${t('contracts.stateExpired')}</span>`;
+    }
+    if (contract.start_date > now) {
+      return `<span class="badge">${t('contracts.stateUpcoming')}</span>`;
+    }
+    const daysLeft = Math.ceil((contract.end_date - now) / SECONDS_PER_DAY);
+    if (daysLeft <= Math.max(...alertDays)) {
+      return `<span class="badge priority-badge-high">${t('contracts.stateExpiring').replace('{days}', daysLeft)}</span>`;
+    }
+    return `<span class="badge coverage-badge-contract">${t('contracts.stateActive')}</span>`;
+  }
+
+  /**
+   * Render covered equipment of a contract
+   * @param {object} contract - Contract object
+   * @returns {string} HTML string
+   */
+  function renderCoveredEquipment(contract) {
+    if (contract.equipment_ids.length === 0) {
+      return `<em>${t('contracts.allEquipment')}</em>`;
+    }
+    const equipment = equipmentByClient.get(contract.client_id) || [];
+    return contract.equipment_ids.map(equipmentId => {
+      const item = equipment.find(candidate => candidate.id === equipmentId);
+      return item
+        ? `<a href="/src/pages/asset.html?id=${encodeURIComponent(item.id)}"><code>${escapeHtml(item.serial_number)}</code></a>`
+        : '';
+    }).join(' ');
+  }
+
+  /**
+   * Render a single contract row
+   * @param {object} contract - Contract object
+   * @returns {string} HTML string for row
+   */
+  function renderContractRow(contract) {
+    const commitments = [
+      contract.response_minutes ? `${t('contracts.responseShort')} ${contract.response_minutes}` : '',
+      contract.resolution_minutes ? `${t('contracts.resolutionShort')} ${contract.resolution_minutes}` : '',
+    ].filter(Boolean).join(' / ');
+
+    return `
+      <tr data-contract-id="${escapeHtml(contract.id)}">
+        <td>${escapeHtml(contract.contract_number)}</td>
+        <td>${escapeHtml(contract.company_name)}</td>
+        <td>${t(`contracts.level_${contract.coverage_level}`)}</td>
+        <td style="white-space: nowrap;">${formatDate(contract.start_date)} – ${formatDate(contract.end_date)}</td>
+        <td>${commitments || `<em>${t('contracts.slaPolicy')}</em>`}</td>
+        <td>${renderCoveredEquipment(contract)}</td>
+        <td>${renderStateBadge(contract)}</td>
+        <td style="white-space: nowrap;">
+          <button class="btn btn-secondary btn-sm" data-edit-contract="${escapeHtml(contract.id)}">${t('common.edit')}</button>
+          <button class="btn btn-secondary btn-sm" data-delete-contract="${escapeHtml(contract.id)}">${t('common.delete')}</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Render equipment <option> elements for the selected company
+   * @param {string} clientId - Selected client ID
+   * @param {string[]} selectedIds - Selected equipment IDs
+   * @returns {string} HTML string
+   */
+  function renderEquipmentOptions(clientId, selectedIds) {
+    const equipment = equipmentByClient.get(clientId) || [];
+    return equipment.map(item => `
+      <option value="${escapeHtml(item.id)}" ${selectedIds.includes(item.id) ? 'selected' : ''}>${escapeHtml(item.serial_number)}</option>
+    `).join('');
+  }
+
+  /**
+   * Render component
+   */
+  function render() {
+    const editing = contracts.find(contract => contract.id === editingContractId) || null;
+    const formClientId = editing?.client_id || '';
+
+    container.innerHTML = `
+      <div class="contract-management">
+        <h3>${t('contracts.title')}</h3>
+        <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+          ${t('contracts.description').replace('{days}', alertDays.join(', '))}
+        </p>
+        <div id="contract-message" style="display: none;" role="alert" aria-live="polite"></div>
+
+        <div style="overflow-x: auto;">
+          <table class="contract-table" style="width: 100%; border-collapse: collapse;">
+            <thead>
+              <tr>
+                <th style="text-align: left;">${t('contracts.contractNumber')}</th>
+                <th style="text-align: left;">${t('contracts.company')}</th>
+                <th style="text-align: left;">${t('contracts.coverageLevel')}</th>
+                <th style="text-align: left;">${t('contracts.period')}</th>
+                <th style="text-align: left;">${t('contracts.commitments')}</th>
+                <th style="text-align: left;">${t('contracts.equipment')}</th>
+                <th style="text-align: left;">${t('contracts.state')}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${contracts.length > 0
+                ? contracts.map(renderContractRow).join('')
+                : `<tr><td colspan="8" style="color: var(--text-secondary);">${t('contracts.empty')}</td></tr>`}
+            </tbody>
+          </table>
+        </div>
+
+        <form id="contract-form" style="display: flex; gap: 1rem; flex-wrap: wrap; align-items: flex-end; margin-top: 1rem;">
+          <div class="form-group">
+            <label class="form-label" for="contract-number">${t('contracts.contractNumber')}</label>
+            <input type="text" class="form-input" id="contract-number" maxlength="100" required value="${escapeHtml(editing?.contract_number)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="contract-company">${t('contracts.company')}</label>
+            <select class="form-select" id="contract-company" required>
+              <option value="">${t('contracts.selectCompany')}</option>
+              ${companies.map(company => `
+                <option value="${escapeHtml(company.id)}" ${company.id === formClientId ? 'selected' : ''}>${escapeHtml(company.company_name)}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="contract-level">${t('contracts.coverageLevel')}</label>
+            <select class="form-select" id="contract-level">
+              ${coverageLevels.map(level => `
+                <option value="${level}" ${level === (editing?.coverage_level || 'standard') ? 'selected' : ''}>${t(`contracts.level_${level}`)}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="contract-start">${t('contracts.startDate')}</label>
+            <input type="date" class="form-input" id="contract-start" required value="${toDateInputValue(editing?.start_date)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="contract-end">${t('contracts.endDate')}</label>
+            <input type="date" class="form-input" id="contract-end" required value="${toDateInputValue(editing?.end_date)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="contract-response">${t('contracts.responseMinutes')}</label>
+            <input type="number" min="1" class="form-input" id="contract-response" style="max-width: 8rem;" value="${editing?.response_minutes ?? ''}">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="contract-resolution">${t('contracts.resolutionMinutes')}</label>
+            <input type="number" min="1" class="form-input" id="contract-resolution" style="max-width: 8rem;" value="${editing?.resolution_minutes ?? ''}">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="contract-equipment">${t('contracts.equipment')}</label>
+            <select class="form-select" id="contract-equipment" multiple size="3" title="${t('contracts.equipmentHint')}">
+              ${renderEquipmentOptions(formClientId, editing?.equipment_ids || [])}
+            </select>
+          </div>
+          <div class="form-group" style="flex: 1; min-width: 12rem;">
+            <label class="form-label" for="contract-notes">${t('contracts.notes')}</label>
+            <input type="text" class="form-input" id="contract-notes" maxlength="2000" value="${escapeHtml(editing?.notes)}">
+          </div>
+          <div class="form-group" style="white-space: nowrap;">
+            <button type="submit" class="btn btn-primary btn-sm">${editing ? t('common.save') : t('contracts.add')}</button>
+            ${editing ? `<button type="button" class="btn btn-secondary btn-sm" id="contract-cancel-edit">${t('common.cancel')}</button>` : ''}
+          </div>
+        </form>
+        <small class="form-hint">${t('contracts.equipmentHint')}</small>
+      </div>
+    `;
+
+    attachListeners();
+  }
+
+  /**
+   * Attach event listeners to rendered elements
+   */
+  function attachListeners() {
+    container.querySelectorAll('[data-edit-contract]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        editingContractId = btn.getAttribute('data-edit-contract');
+        render();
+        container.querySelector('#contract-form')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      });
+    });
+    container.querySelectorAll('[data-delete-contract]').forEach(btn => {
+      btn.addEventListener('click', () => handleDelete(btn.getAttribute('data-delete-contract')));
+    });
+    container.querySelector('#contract-cancel-edit')?.addEventListener('click', () => {
+      editingContractId = null;
+      render();
+    });
+    container.querySelector('#contract-form')?.addEventListener('submit', handleSubmit);
+
+    // Offer the selected company's equipment
+    const companySelect = container.querySelector('#contract-company');
+    companySelect?.addEventListener('change', () => {
+      container.querySelector('#contract-equipment').innerHTML = renderEquipmentOptions(companySelect.value, []);
+    });
+  }
+
+  /**
+   * Create a contract, or save the contract being edited
+   * @param {Event} e - Submit event
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+
+    const data = {
+      client_id: container.querySelector('#contract-company').value,
+      contract_number: container.querySelector('#contract-number').value,
+      coverage_level: container.querySelector('#contract-level').value,
+      start_date: fromDateInputValue(container.querySelector('#contract-start').value),
+      end_date: fromDateInputValue(container.querySelector('#contract-end').value, true),
+      response_minutes: parseMinutes(container.querySelector('#contract-response').value),
+      resolution_minutes: parseMinutes(container.querySelector('#contract-resolution').value),
+      notes: container.querySelector('#contract-notes').value,
+      equipment_ids: [...container.querySelector('#contract-equipment').selectedOptions].map(option => option.value),
+    };
+
+    try {
+      if (editingContractId) {
+        await patch(`/contracts/${encodeURIComponent(editingContractId)}`, data);
+        editingContractId = null;
+        await loadContracts();
+        showMessage(t('contracts.saved'));
+      } else {
+        await post('/contracts', data);
+        await loadContracts();
+        showMessage(t('contracts.created'));
+      }
+    } catch (error) {
+      console.error('Error saving contract:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Delete a contract after confirmation
+   * @param {string} contractId - Contract ID
+   */
+  async function handleDelete(contractId) {
+    if (!confirm(t('contracts.confirmDelete'))) {
+      return;
+    }
+
+    try {
+      await del(`/contracts/${encodeURIComponent(contractId)}`);
+      if (editingContractId === contractId) {
+        editingContractId = null;
+      }
+      await loadContracts();
+      showMessage(t('contracts.deleted'));
+    } catch (error) {
+      console.error('Error deleting contract:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Load contracts, companies and equipment from API
+   */
+  async function loadContracts() {
+    try {
+      const [contractsResponse, companiesResponse, equipmentResponse] = await Promise.all([
+        get('/contracts'),
+        get('/clients/companies'),
+        get('/equipment'),
+      ]);
+      contracts = contractsResponse.contracts || [];
+      coverageLevels = contractsResponse.coverage_levels || coverageLevels;
+      alertDays = contractsResponse.expiry_alert_days || alertDays;
+      companies = (companiesResponse.companies || []).filter(company => company.company_name);
+
+      equipmentByClient = new Map();
+      for (const item of equipmentResponse.equipment || []) {
+        if (!equipmentByClient.has(item.client_id)) {
+          equipmentByClient.set(item.client_id, []);
+        }
+        equipmentByClient.get(item.client_id).push(item);
+      }
+
+      render();
+    } catch (error) {
+      console.error('Error loading contracts:', error);
+      render();
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  // Re-render on language change
+  window.addEventListener('languagechange', render);
+
+  loadContracts();
+
+  return loadContracts;
+}
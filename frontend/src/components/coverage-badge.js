@@ -0,0 +1,24 @@
+/**
+ * Coverage Badge Component
+ * Shows whether a ticket's equipment is covered by a service contract or warranty
+ */
+
+import { t } from '../services/i18n.js';
+
+/**
+ * Coverage statuses that get a badge ('unknown' means no warranty or contract data)
+ * @type {string[]}
+ */
+const BADGE_STATUSES = ['contract', 'warranty', 'out_of_coverage'];
+
+/**
+ * Render coverage badge
+ * @param {string} status - Coverage status (contract, warranty, out_of_coverage, unknown)
+ * @returns {string} HTML string for badge (empty when coverage is unknown)
+ */
+export function renderCoverageBadge(status) {
+  if (!BADGE_STATUSES.includes(status)) {
+    return '';
+  }
+  return `<span class="badge coverage-badge coverage-badge-${status}" title="${t('coverage.label')}">${t(`coverage.${status}`)}</span>`;
+}
@@ -0,0 +1,322 @@
+/**
+ * Equipment Management Component
+ * Lets master account administrators maintain the registry of client servers
+ * (vendor, model, purchase date, warranty end and location per serial number)
+ */
+
+import { get, post, patch, del } from '../services/api.js';
+import { t } from '../services/i18n.js';
+
+/**
+ * Convert Unix timestamp to a value for <input type="date">
+ * @param {number|null} timestamp - Unix timestamp in seconds
+ * @returns {string} YYYY-MM-DD or empty string
+ */
+function toDateInputValue(timestamp) {
+  if (!timestamp) return '';
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Convert <input type="date"> value to a Unix timestamp
+ * @param {string} value - YYYY-MM-DD or empty string
+ * @returns {number|null} Unix timestamp in seconds (UTC midnight) or null
+ */
+function fromDateInputValue(value) {
+  if (!value) return null;
+  return Math.floor(Date.parse(`${value}T00:00:00Z`) / 1000);
+}
+
+/**
+ * Create and render equipment management component
+ * @param {HTMLElement} container - Container element to render into
+ * @param {object} [options] - Options
+ * @param {boolean} [options.canDelete=true] - Whether to show delete buttons (equipment.delete)
+ * @returns {Function} Refresh function to reload equipment
+ */
+export function createEquipmentManagement(container, options = {}) {
+  const { canDelete = true } = options;
+  let equipment = [];
+  let companies = [];
+  let search = '';
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Show error or success message
+   * @param {string} message - Message text
+   * @param {boolean} isError - Whether this is an error message
+   */
+  function showMessage(message, isError = false) {
+    const messageEl = container.querySelector('#equipment-message');
+    if (!messageEl) return;
+    messageEl.className = isError ? 'error-message' : 'success-message';
+    messageEl.textContent = message;
+    messageEl.style.display = '';
+  }
+
+  /**
+   * Get user-facing error message from API error
+   * @param {Error} error - API error
+   * @returns {string} Error message
+   */
+  function getErrorMessage(error) {
+    if (error.data?.message) {
+      return error.data.message;
+    }
+    return error.message || t('equipment.errorGeneric');
+  }
+
+  /**
+   * Render company <option> elements
+   * @param {string} selectedId - Selected client ID
+   * @returns {string} HTML string
+   */
+  function renderCompanyOptions(selectedId) {
+    return companies.map(company => `
+      <option value="${escapeHtml(company.id)}" ${company.id === selectedId ? 'selected' : ''}>${escapeHtml(company.company_name)}</option>
+    `).join('');
+  }
+
+  /**
+   * Render a single equipment row with inline editable fields
+   * @param {object} item - Equipment object
+   * @returns {string} HTML string for row
+   */
+  function renderEquipmentRow(item) {
+    return `
+      <tr data-equipment-id="${escapeHtml(item.id)}">
+        <td>
+          <a href="/src/pages/asset.html?id=${encodeURIComponent(item.id)}" title="${t('equipment.viewAsset')}">
+            <code>${escapeHtml(item.serial_number)}</code>
+          </a>
+        </td>
+        <td>
+          <select class="form-select" data-field="client_id">${renderCompanyOptions(item.client_id)}</select>
+        </td>
+        <td><input type="text" class="form-input" data-field="vendor" maxlength="100" value="${escapeHtml(item.vendor)}"></td>
+        <td><input type="text" class="form-input" data-field="model" maxlength="100" value="${escapeHtml(item.model)}"></td>
+        <td><input type="date" class="form-input" data-field="purchase_date" value="${toDateInputValue(item.purchase_date)}"></td>
+        <td><input type="date" class="form-input" data-field="warranty_end" value="${toDateInputValue(item.warranty_end)}"></td>
+        <td><input type="text" class="form-input" data-field="location" maxlength="255" value="${escapeHtml(item.location)}"></td>
+        <td style="white-space: nowrap;">
+          <button class="btn btn-primary btn-sm" data-save-equipment="${escapeHtml(item.id)}">${t('common.save')}</button>
+          ${canDelete ? `<button class="btn btn-secondary btn-sm" data-delete-equipment="${escapeHtml(item.id)}">${t('common.delete')}</button>` : ''}
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Render component
+   */
+  function render() {
+    container.innerHTML = `
+      <div class="equipment-management">
+        <h3>${t('equipment.title')}</h3>
+        <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">${t('equipment.description')}</p>
+        <div id="equipment-message" style="display: none;" role="alert" aria-live="polite"></div>
+
+        <div class="form-group" style="max-width: 20rem;">
+          <label class="form-label" for="equipment-search">${t('equipment.search')}</label>
+          <input type="text" class="form-input" id="equipment-search" value="${escapeHtml(search)}" placeholder="${t('equipment.searchPlaceholder')}">
+        </div>
+
+        <div style="overflow-x: auto;">
+          <table class="equipment-table" style="width: 100%; border-collapse: collapse;">
+            <thead>
+              <tr>
+                <th style="text-align: left;">${t('equipment.serialNumber')}</th>
+                <th style="text-align: left;">${t('equipment.company')}</th>
+                <th style="text-align: left;">${t('equipment.vendor')}</th>
+                <th style="text-align: left;">${t('equipment.model')}</th>
+                <th style="text-align: left;">${t('equipment.purchaseDate')}</th>
+                <th style="text-align: left;">${t('equipment.warrantyEnd')}</th>
+                <th style="text-align: left;">${t('equipment.location')}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${equipment.length > 0
+                ? equipment.map(renderEquipmentRow).join('')
+                : `<tr><td colspan="8" style="color: var(--text-secondary);">${t('equipment.empty')}</td></tr>`}
+            </tbody>
+          </table>
+        </div>
+
+        <form id="equipment-form" style="display: flex; gap: 1rem; flex-wrap: wrap; align-items: flex-end; margin-top: 1rem;">
+          <div class="form-group">
+            <label class="form-label" for="equipment-serial">${t('equipment.serialNumber')}</label>
+            <input type="text" class="form-input" id="equipment-serial" maxlength="100" required>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="equipment-company">${t('equipment.company')}</label>
+            <select class="form-select" id="equipment-company" required>
+              <option value="">${t('equipment.selectCompany')}</option>
+              ${renderCompanyOptions('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="equipment-vendor">${t('equipment.vendor')}</label>
+            <input type="text" class="form-input" id="equipment-vendor" maxlength="100">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="equipment-model">${t('equipment.model')}</label>
+            <input type="text" class="form-input" id="equipment-model" maxlength="100">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="equipment-purchase-date">${t('equipment.purchaseDate')}</label>
+            <input type="date" class="form-input" id="equipment-purchase-date">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="equipment-warranty-end">${t('equipment.warrantyEnd')}</label>
+            <input type="date" class="form-input" id="equipment-warranty-end">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="equipment-location">${t('equipment.location')}</label>
+            <input type="text" class="form-input" id="equipment-location" maxlength="255">
+          </div>
+          <div class="form-group">
+            <button type="submit" class="btn btn-primary btn-sm">${t('equipment.add')}</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    attachListeners();
+  }
+
+  /**
+   * Attach event listeners to rendered elements
+   */
+  function attachListeners() {
+    container.querySelectorAll('[data-save-equipment]').forEach(btn => {
+      btn.addEventListener('click', () => handleSave(btn.getAttribute('data-save-equipment')));
+    });
+    container.querySelectorAll('[data-delete-equipment]').forEach(btn => {
+      btn.addEventListener('click', () => handleDelete(btn.getAttribute('data-delete-equipment')));
+    });
+    container.querySelector('#equipment-form')?.addEventListener('submit', handleCreate);
+
+    const searchInput = container.querySelector('#equipment-search');
+    let searchTimeout = null;
+    searchInput?.addEventListener('input', () => {
+      clearTimeout(searchTimeout);
+      searchTimeout = setTimeout(async () => {
+        search = searchInput.value.trim();
+        await loadEquipment();
+        const input = container.querySelector('#equipment-search');
+        input?.focus();
+        input?.setSelectionRange(input.value.length, input.value.length);
+      }, 300);
+    });
+  }
+
+  /**
+   * Save inline edits of an equipment row
+   * @param {string} equipmentId - Equipment ID
+   */
+  async function handleSave(equipmentId) {
+    const row = container.querySelector(`tr[data-equipment-id="${CSS.escape(equipmentId)}"]`);
+    if (!row) return;
+
+    const value = field => row.querySelector(`[data-field="${field}"]`).value;
+
+    try {
+      await patch(`/equipment/${encodeURIComponent(equipmentId)}`, {
+        client_id: value('client_id'),
+        vendor: value('vendor'),
+        model: value('model'),
+        location: value('location'),
+        purchase_date: fromDateInputValue(value('purchase_date')),
+        warranty_end: fromDateInputValue(value('warranty_end')),
+      });
+      await loadEquipment();
+      showMessage(t('equipment.saved'));
+    } catch (error) {
+      console.error('Error saving equipment:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Delete equipment after confirmation
+   * @param {string} equipmentId - Equipment ID
+   */
+  async function handleDelete(equipmentId) {
+    if (!confirm(t('equipment.confirmDelete'))) {
+      return;
+    }
+
+    try {
+      await del(`/equipment/${encodeURIComponent(equipmentId)}`);
+      await loadEquipment();
+      showMessage(t('equipment.deleted'));
+    } catch (error) {
+      console.error('Error deleting equipment:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Register new equipment from the form
+   * @param {Event} e - Submit event
+   */
+  async function handleCreate(e) {
+    e.preventDefault();
+
+    try {
+      await post('/equipment', {
+        serial_number: container.querySelector('#equipment-serial').value,
+        client_id: container.querySelector('#equipment-company').value,
+        vendor: container.querySelector('#equipment-vendor').value,
+        model: container.querySelector('#equipment-model').value,
+        location: container.querySelector('#equipment-location').value,
+        purchase_date: fromDateInputValue(container.querySelector('#equipment-purchase-date').value),
+        warranty_end: fromDateInputValue(container.querySelector('#equipment-warranty-end').value),
+      });
+      await loadEquipment();
+      showMessage(t('equipment.created'));
+    } catch (error) {
+      console.error('Error creating equipment:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Load equipment and companies from API
+   */
+  async function loadEquipment() {
+    try {
+      const query = search ? `?search=${encodeURIComponent(search)}` : '';
+      const [equipmentResponse, companiesResponse] = await Promise.all([
+        get(`/equipment${query}`),
+        get('/clients/companies'),
+      ]);
+      equipment = equipmentResponse.equipment || [];
+      companies = (companiesResponse.companies || []).filter(company => company.company_name);
+      render();
+    } catch (error) {
+      console.error('Error loading equipment:', error);
+      render();
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  // Re-render on language change
+  window.addEventListener('languagechange', render);
+
+  loadEquipment();
+
+  return loadEquipment;
+}
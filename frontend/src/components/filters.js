@@ -1,9 +1,10 @@
 /**
  * Filter Component
- * Provides filtering UI for tickets (status, engineer, date range, my tickets only)
+ * Provides filtering UI for tickets (status, priority, category, engineer, date range, my tickets only, SLA breaching soon)
  */
 
 import { t } from '../services/i18n.js';
+import { renderPriorityOptions, renderCategoryOptions } from './ticket-classification.js';
 
 /**
  * Create filter component
@@ -12,18 +13,21 @@ import { t } from '../services/i18n.js';
  * @param {Array} options.administrators - List of administrators for engineer filter
  * @param {Array} options.companies - List of companies for company filter
  * @param {Function} options.onFilterChange - Callback when filters change
- * @param {boolean} options.isMasterAccount - Whether current user is a master account (hides engineer filter and "my tickets only" checkbox if false)
+ * @param {boolean} options.isMasterAccount - Whether the current user sees all tickets (master account or tickets.view_all; hides engineer filter and "my tickets only" checkbox if false)
  * @returns {Function} Function to get current filter values, with updateAdministrators and updateCompanies methods
  */
 export function createFilters(container, options = {}) {
   let { administrators = [], companies = [], onFilterChange = null, isMasterAccount = true } = options;
   let currentFilters = {
     status: '',
+    priority: '',
+    category: '',
     assigned_to: '',
     company_name: '',
     start_date: '',
     end_date: '',
     my_tickets_only: false,
+    breaching_soon: false,
   };
 
   /**
@@ -50,6 +54,22 @@ export function createFilters(container, options = {}) {
               </select>
             </div>
 
+            <div class="form-group">
+              <label class="form-label" for="filter-priority">${t('filters.priority')}</label>
+              <select class="form-select" id="filter-priority">
+                <option value="">${t('filters.allPriorities')}</option>
+                ${renderPriorityOptions('')}
+              </select>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="filter-category">${t('filters.category')}</label>
+              <select class="form-select" id="filter-category">
+                <option value="">${t('filters.allCategories')}</option>
+                ${renderCategoryOptions('')}
+              </select>
+            </div>
+
             ${isMasterAccount ? `
             <div class="form-group">
               <label class="form-label" for="filter-engineer">${t('filters.assignedTo')}</label>
@@ -87,16 +107,22 @@ export function createFilters(container, options = {}) {
             </div>
           </div>
 
-          ${isMasterAccount ? `
           <div class="filter-row">
+            ${isMasterAccount ? `
             <div class="form-group">
               <label class="form-label">
                 <input type="checkbox" id="filter-my-tickets" />
                 ${t('filters.showMyTicketsOnly')}
               </label>
             </div>
+            ` : ''}
+            <div class="form-group">
+              <label class="form-label">
+                <input type="checkbox" id="filter-breaching-soon" />
+                ${t('filters.breachingSoon')}
+              </label>
+            </div>
           </div>
-          ` : ''}
         </div>
       </div>
     `;
@@ -110,14 +136,19 @@ export function createFilters(container, options = {}) {
    */
   function setupEventListeners() {
     const statusSelect = document.getElementById('filter-status');
+    const prioritySelect = document.getElementById('filter-priority');
+    const categorySelect = document.getElementById('filter-category');
     const engineerSelect = document.getElementById('filter-engineer');
     const companySelect = document.getElementById('filter-company');
     const startDateInput = document.getElementById('filter-start-date');
     const endDateInput = document.getElementById('filter-end-date');
     const myTicketsCheckbox = document.getElementById('filter-my-tickets');
+    const breachingSoonCheckbox = document.getElementById('filter-breaching-soon');
     const clearBtn = document.getElementById('clear-filters-btn');
 
     statusSelect?.addEventListener('change', handleFilterChange);
+    prioritySelect?.addEventListener('change', handleFilterChange);
+    categorySelect?.addEventListener('change', handleFilterChange);
     if (engineerSelect) {
       engineerSelect.addEventListener('change', handleFilterChange);
     }
@@ -125,6 +156,7 @@ export function createFilters(container, options = {}) {
     startDateInput?.addEventListener('change', handleFilterChange);
     endDateInput?.addEventListener('change', handleFilterChange);
     myTicketsCheckbox?.addEventListener('change', handleFilterChange);
+    breachingSoonCheckbox?.addEventListener('change', handleFilterChange);
     clearBtn?.addEventListener('click', clearFilters);
   }
 
@@ -133,19 +165,25 @@ export function createFilters(container, options = {}) {
    */
   function handleFilterChange() {
     const statusSelect = document.getElementById('filter-status');
+    const prioritySelect = document.getElementById('filter-priority');
+    const categorySelect = document.getElementById('filter-category');
     const engineerSelect = document.getElementById('filter-engineer');
     const companySelect = document.getElementById('filter-company');
     const startDateInput = document.getElementById('filter-start-date');
     const endDateInput = document.getElementById('filter-end-date');
     const myTicketsCheckbox = document.getElementById('filter-my-tickets');
+    const breachingSoonCheckbox = document.getElementById('filter-breaching-soon');
 
     currentFilters = {
       status: statusSelect?.value || '',
+      priority: prioritySelect?.value || '',
+      category: categorySelect?.value || '',
       assigned_to: engineerSelect?.value || '',
       company_name: companySelect?.value || '',
       start_date: startDateInput?.value || '',
       end_date: endDateInput?.value || '',
       my_tickets_only: myTicketsCheckbox?.checked || false,
+      breaching_soon: breachingSoonCheckbox?.checked || false,
     };
 
     if (onFilterChange) {
@@ -159,26 +197,35 @@ export function createFilters(container, options = {}) {
   function clearFilters() {
     currentFilters = {
       status: '',
+      priority: '',
+      category: '',
       assigned_to: '',
       company_name: '',
       start_date: '',
       end_date: '',
       my_tickets_only: false,
+      breaching_soon: false,
     };
 
     const statusSelect = document.getElementById('filter-status');
+    const prioritySelect = document.getElementById('filter-priority');
+    const categorySelect = document.getElementById('filter-category');
     const engineerSelect = document.getElementById('filter-engineer');
     const companySelect = document.getElementById('filter-company');
     const startDateInput = document.getElementById('filter-start-date');
     const endDateInput = document.getElementById('filter-end-date');
     const myTicketsCheckbox = document.getElementById('filter-my-tickets');
+    const breachingSoonCheckbox = document.getElementById('filter-breaching-soon');
 
     if (statusSelect) statusSelect.value = '';
+    if (prioritySelect) prioritySelect.value = '';
+    if (categorySelect) categorySelect.value = '';
     if (engineerSelect) engineerSelect.value = '';
     if (companySelect) companySelect.value = '';
     if (startDateInput) startDateInput.value = '';
     if (endDateInput) endDateInput.value = '';
     if (myTicketsCheckbox) myTicketsCheckbox.checked = false;
+    if (breachingSoonCheckbox) breachingSoonCheckbox.checked = false;
 
     if (onFilterChange) {
       onFilterChange(getFilterValues());
@@ -196,6 +243,14 @@ export function createFilters(container, options = {}) {
       filters.status = currentFilters.status;
     }
 
+    if (currentFilters.priority) {
+      filters.priority = currentFilters.priority;
+    }
+
+    if (currentFilters.category) {
+      filters.category = currentFilters.category;
+    }
+
     if (currentFilters.assigned_to) {
       filters.assigned_to = currentFilters.assigned_to;
     }
@@ -221,6 +276,10 @@ export function createFilters(container, options = {}) {
       filters.my_tickets_only = true;
     }
 
+    if (currentFilters.breaching_soon) {
+      filters.breaching_soon = true;
+    }
+
     return filters;
   }
 
@@ -245,17 +304,22 @@ export function createFilters(container, options = {}) {
     administrators = newAdministrators || [];
     // Store current filter values
     const currentStatus = document.getElementById('filter-status')?.value || '';
+    const currentPriority = document.getElementById('filter-priority')?.value || '';
+    const currentCategory = document.getElementById('filter-category')?.value || '';
     const currentEngineer = document.getElementById('filter-engineer')?.value || '';
     const currentCompany = document.getElementById('filter-company')?.value || '';
     const currentStartDate = document.getElementById('filter-start-date')?.value || '';
     const currentEndDate = document.getElementById('filter-end-date')?.value || '';
     const currentMyTickets = document.getElementById('filter-my-tickets')?.checked || false;
+    const currentBreachingSoon = document.getElementById('filter-breaching-soon')?.checked || false;
 
     // Re-render (preserves isMasterAccount flag)
     render();
 
     // Restore filter values
     if (currentStatus) document.getElementById('filter-status').value = currentStatus;
+    if (currentPriority) document.getElementById('filter-priority').value = currentPriority;
+    if (currentCategory) document.getElementById('filter-category').value = currentCategory;
     if (currentEngineer && isMasterAccount) document.getElementById('filter-engineer').value = currentEngineer;
     if (currentCompany) document.getElementById('filter-company').value = currentCompany;
     if (currentStartDate) document.getElementById('filter-start-date').value = currentStartDate;
@@ -264,6 +328,7 @@ export function createFilters(container, options = {}) {
       const myTicketsCheckbox = document.getElementById('filter-my-tickets');
       if (myTicketsCheckbox) myTicketsCheckbox.checked = true;
     }
+    if (currentBreachingSoon) document.getElementById('filter-breaching-soon').checked = true;
   }
 
   /**
@@ -274,17 +339,22 @@ export function createFilters(container, options = {}) {
     companies = newCompanies || [];
     // Store current filter values
     const currentStatus = document.getElementById('filter-status')?.value || '';
+    const currentPriority = document.getElementById('filter-priority')?.value || '';
+    const currentCategory = document.getElementById('filter-category')?.value || '';
     const currentEngineer = document.getElementById('filter-engineer')?.value || '';
     const currentCompany = document.getElementById('filter-company')?.value || '';
     const currentStartDate = document.getElementById('filter-start-date')?.value || '';
     const currentEndDate = document.getElementById('filter-end-date')?.value || '';
     const currentMyTickets = document.getElementById('filter-my-tickets')?.checked || false;
+    const currentBreachingSoon = document.getElementById('filter-breaching-soon')?.checked || false;
 
     // Re-render (preserves isMasterAccount flag)
     render();
 
     // Restore filter values
     if (currentStatus) document.getElementById('filter-status').value = currentStatus;
+    if (currentPriority) document.getElementById('filter-priority').value = currentPriority;
+    if (currentCategory) document.getElementById('filter-category').value = currentCategory;
     if (currentEngineer && isMasterAccount) document.getElementById('filter-engineer').value = currentEngineer;
     if (currentCompany) document.getElementById('filter-company').value = currentCompany;
     if (currentStartDate) document.getElementById('filter-start-date').value = currentStartDate;
@@ -293,23 +363,29 @@ export function createFilters(container, options = {}) {
       const myTicketsCheckbox = document.getElementById('filter-my-tickets');
       if (myTicketsCheckbox) myTicketsCheckbox.checked = true;
     }
+    if (currentBreachingSoon) document.getElementById('filter-breaching-soon').checked = true;
   }
 
   // Listen for language changes and re-render
   window.addEventListener('languagechange', () => {
     // Store current filter values
     const currentStatus = document.getElementById('filter-status')?.value || '';
+    const currentPriority = document.getElementById('filter-priority')?.value || '';
+    const currentCategory = document.getElementById('filter-category')?.value || '';
     const currentEngineer = document.getElementById('filter-engineer')?.value || '';
     const currentCompany = document.getElementById('filter-company')?.value || '';
     const currentStartDate = document.getElementById('filter-start-date')?.value || '';
     const currentEndDate = document.getElementById('filter-end-date')?.value || '';
     const currentMyTickets = document.getElementById('filter-my-tickets')?.checked || false;
+    const currentBreachingSoon = document.getElementById('filter-breaching-soon')?.checked || false;
 
     // Re-render (preserves isMasterAccount flag)
     render();
 
     // Restore filter values
     if (currentStatus) document.getElementById('filter-status').value = currentStatus;
+    if (currentPriority) document.getElementById('filter-priority').value = currentPriority;
+    if (currentCategory) document.getElementById('filter-category').value = currentCategory;
     if (currentEngineer && isMasterAccount) document.getElementById('filter-engineer').value = currentEngineer;
     if (currentCompany) document.getElementById('filter-company').value = currentCompany;
     if (currentStartDate) document.getElementById('filter-start-date').value = currentStartDate;
@@ -318,6 +394,7 @@ export function createFilters(container, options = {}) {
       const myTicketsCheckbox = document.getElementById('filter-my-tickets');
       if (myTicketsCheckbox) myTicketsCheckbox.checked = true;
     }
+    if (currentBreachingSoon) document.getElementById('filter-breaching-soon').checked = true;
   });
 
   // Return function to get current filter values with updateAdministrators and updateCompanies methods
@@ -0,0 +1,259 @@
+/**
+ * Global Search Component
+ * Search box in the dashboard header: finds tickets by description or serial number and
+ * chat messages (GET /api/search) and opens the ticket of a chosen result
+ */
+
+import { get } from '../services/api.js';
+import { t } from '../services/i18n.js';
+
+/**
+ * Delay between the last keystroke and the request (ms)
+ */
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Shortest query sent to the server (the API rejects shorter ones)
+ */
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Render a snippet with the matched words highlighted
+ * @param {Array<{text: string, match: boolean}>} parts - Snippet parts from the API
+ * @returns {string} HTML string
+ */
+function renderSnippet(parts) {
+  return (parts || [])
+    .map(part => part.match ? `<mark>${escapeHtml(part.text)}</mark>` : escapeHtml(part.text))
+    .join('');
+}
+
+/**
+ * Format a Unix timestamp as a short date
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} Formatted date
+ */
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toLocaleDateString() : '';
+}
+
+/**
+ * Create global search component
+ * @param {HTMLElement} container - Container element to render into
+ * @param {object} options - Options
+ * @param {Function} options.onResultClick - Callback when a result is chosen (receives ticketId)
+ * @returns {Function} Cleanup function
+ */
+export function createGlobalSearch(container, options = {}) {
+  const { onResultClick = null } = options;
+
+  let results = null; // Last response: { query, tickets, messages }
+  let error = null;
+  let isLoading = false;
+  let searchTimer = null;
+  let requestId = 0; // Ignores responses to queries that were typed over
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.className = 'global-search-input form-input';
+  input.setAttribute('autocomplete', 'off');
+
+  const dropdown = document.createElement('div');
+  dropdown.className = 'global-search-dropdown';
+  dropdown.style.display = 'none';
+  dropdown.setAttribute('role', 'listbox');
+
+  container.classList.add('global-search');
+  container.appendChild(input);
+  container.appendChild(dropdown);
+
+  /**
+   * Apply translated placeholder and labels
+   */
+  function applyLabels() {
+    input.placeholder = t('search.placeholder');
+    input.setAttribute('aria-label', t('search.placeholder'));
+  }
+
+  /**
+   * Render one result row
+   * @param {object} result - Ticket or message result
+   * @param {string} kind - 'ticket' or 'message'
+   * @returns {string} HTML string
+   */
+  function renderResult(result, kind) {
+    const meta = [
+      result.serial_number ? `${t('search.serial')}: ${escapeHtml(result.serial_number)}` : '',
+      escapeHtml(result.company_name),
+      result.status ? t(`status.${result.status}`) : '',
+      formatDate(kind === 'ticket' ? result.updated_at : result.created_at),
+    ].filter(Boolean).join(' · ');
+
+    return `
+      <button type="button" class="global-search-item" role="option" data-ticket-id="${escapeHtml(result.ticket_id)}">
+        <span class="global-search-snippet">${renderSnippet(result.snippet)}</span>
+        <span class="global-search-meta">
+          ${kind === 'message' && result.message_type === 'internal' ? `<span class="global-search-internal">${t('search.internalNote')}</span>` : ''}
+          ${meta}
+        </span>
+      </button>
+    `;
+  }
+
+  /**
+   * Render dropdown content
+   */
+  function renderDropdown() {
+    if (!isLoading && !error && !results) {
+      dropdown.style.display = 'none';
+      return;
+    }
+
+    let body;
+    if (isLoading && !results) {
+      body = `<div class="global-search-empty">${t('search.searching')}</div>`;
+    } else if (error) {
+      body = `<div class="global-search-empty">${escapeHtml(error)}</div>`;
+    } else if (results.tickets.length === 0 && results.messages.length === 0) {
+      body = `<div class="global-search-empty">${t('search.noResults')}</div>`;
+    } else {
+      body = `
+        ${results.tickets.length > 0 ? `
+          <div class="global-search-group">${t('search.tickets')}</div>
+          ${results.tickets.map(result => renderResult(result, 'ticket')).join('')}
+        ` : ''}
+        ${results.messages.length > 0 ? `
+          <div class="global-search-group">${t('search.messages')}</div>
+          ${results.messages.map(result => renderResult(result, 'message')).join('')}
+        ` : ''}
+      `;
+    }
+
+    dropdown.innerHTML = body;
+    dropdown.style.display = '';
+
+    dropdown.querySelectorAll('[data-ticket-id]').forEach(item => {
+      item.addEventListener('click', () => {
+        const ticketId = item.getAttribute('data-ticket-id');
+        close();
+        if (onResultClick && ticketId) {
+          onResultClick(ticketId);
+        }
+      });
+    });
+  }
+
+  /**
+   * Run the search for the current input value
+   */
+  async function runSearch() {
+    const query = input.value.trim();
+    const currentRequest = ++requestId;
+
+    if (query.length < MIN_QUERY_LENGTH) {
+      results = null;
+      error = null;
+      isLoading = false;
+      renderDropdown();
+      return;
+    }
+
+    isLoading = true;
+    renderDropdown();
+
+    try {
+      const response = await get(`/search?q=${encodeURIComponent(query)}`);
+      if (currentRequest !== requestId) return;
+      results = response;
+      error = null;
+    } catch (err) {
+      if (currentRequest !== requestId) return;
+      console.error('Error searching:', err);
+      results = null;
+      error = err.data?.message || err.message || t('search.error');
+    }
+    isLoading = false;
+    renderDropdown();
+  }
+
+  /**
+   * Hide the dropdown and forget the results
+   */
+  function close() {
+    requestId++;
+    results = null;
+    error = null;
+    isLoading = false;
+    dropdown.style.display = 'none';
+  }
+
+  /**
+   * Debounce input before searching
+   */
+  function handleInput() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, SEARCH_DELAY_MS);
+  }
+
+  /**
+   * Close on Escape
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  function handleKeydown(e) {
+    if (e.key === 'Escape') {
+      close();
+      input.blur();
+    }
+  }
+
+  /**
+   * Close when clicking outside the component
+   * @param {MouseEvent} e - Click event
+   */
+  function handleDocumentClick(e) {
+    if (!container.contains(e.target)) {
+      close();
+    }
+  }
+
+  /**
+   * Re-render labels (and open results) on language change
+   */
+  function handleLanguageChange() {
+    applyLabels();
+    if (dropdown.style.display !== 'none') {
+      renderDropdown();
+    }
+  }
+
+  input.addEventListener('input', handleInput);
+  input.addEventListener('keydown', handleKeydown);
+  input.addEventListener('focus', () => {
+    if (input.value.trim().length >= MIN_QUERY_LENGTH && !results) {
+      runSearch();
+    }
+  });
+  document.addEventListener('click', handleDocumentClick);
+  window.addEventListener('languagechange', handleLanguageChange);
+
+  applyLabels();
+
+  return () => {
+    clearTimeout(searchTimer);
+    document.removeEventListener('click', handleDocumentClick);
+    window.removeEventListener('languagechange', handleLanguageChange);
+    container.innerHTML = '';
+  };
+}
@@ -60,6 +60,9 @@ function getNotificationTypeLabel(eventType) {
     ticket_assigned: 'Ticket Assigned',
     ticket_completion_updated: 'Completion Updated',
     password_recovery_request: 'Password Recovery Request',
+    sla_breach: 'SLA Alert',
+    contract_expiring: 'Contract Expiring',
+    account_locked: 'Sign-in Locked',
   };
   return labels[eventType] || eventType;
 }
@@ -93,7 +96,23 @@ function getNotificationPreview(notification) {
     case 'password_recovery_request':
       const clientCompany = entity_data.client_company || '';
       const clientLogin = entity_data.client_login || '';
-      return `Password recovery requested for ${clientCompany || clientLogin || 'client'}`;
+      return entity_data.approval_required
+        ? `Password recovery for ${clientCompany || clientLogin || 'client'} is waiting for approval`
+        : `Password recovery requested for ${clientCompany || clientLogin || 'client'}`;
+    
+    case 'sla_breach':
+      const slaTarget = entity_data.sla_type === 'response' ? 'First response' : 'Resolution';
+      const slaState = entity_data.stage === 'breached' ? 'deadline breached' : 'deadline approaching';
+      return `${slaTarget} ${slaState} for ticket ${entity_data.ticket_id || ''}`;
+    
+    case 'contract_expiring':
+      const daysLeft = entity_data.days_left;
+      const daysText = daysLeft === 1 ? '1 day' : `${daysLeft} days`;
+      return `Contract ${entity_data.contract_number || ''} of ${entity_data.company_name || 'client'} expires in ${daysText}`;
+    
+    case 'account_locked':
+      const lockedTarget = entity_data.scope === 'login' ? `Login ${entity_data.identifier}` : `Address ${entity_data.identifier}`;
+      return `${lockedTarget} locked after ${entity_data.failures} failed attempts`;
     
     default:
       return 'Notification';
@@ -309,7 +328,9 @@ export function createNotificationDropdown(container, options = {}) {
           const ticketId = notification.entity_data?.ticket_id || notification.entity_id;
           const senderName = getSenderName(notification);
           const preview = getNotificationPreview(notification);
-          const typeLabel = getNotificationTypeLabel(notification.event_type);
+          const typeLabel = notification.entity_data?.internal
+            ? 'Internal Note'
+            : getNotificationTypeLabel(notification.event_type);
           const dateTime = formatDateTime(notification.created_at);
 
           return `
@@ -353,7 +374,9 @@ export function createNotificationDropdown(container, options = {}) {
       item.addEventListener('click', () => {
         const notificationId = item.dataset.notificationId;
         const notification = notifications.find(n => n.id === notificationId);
-        if (notification && onNotificationClick) {
+        // Contract and lockout alerts are not about a ticket, so there is no chat to open
+        const hasChat = !['contract_expiring', 'account_locked'].includes(notification?.event_type);
+        if (notification && onNotificationClick && hasChat) {
           const ticketId = notification.entity_data?.ticket_id || notification.entity_id;
           onNotificationClick(ticketId);
         }
@@ -8,6 +8,13 @@ import { t } from '../services/i18n.js';
 
 let currentModal = null;
 let recoveryToken = null;
+let requestToken = null; // Recovery request waiting for a master's approval
+let pollTimer = null;
+
+/**
+ * How often the pending step checks whether the request was decided (ms)
+ */
+const PENDING_POLL_INTERVAL = 5000;
 
 /**
  * Show recovery modal
@@ -103,6 +110,15 @@ export function showRecoveryModal() {
           </form>
         </div>
 
+        <div id="recovery-step-pending" class="recovery-step" style="display: none;">
+          <h4>${t('recovery.pendingTitle')}</h4>
+          <p>${t('recovery.pendingDescription')}</p>
+          <p id="recovery-pending-status" role="status" aria-live="polite" style="color: var(--text-secondary, #666);"></p>
+          <div class="form-actions">
+            <button type="button" id="pending-back-btn" class="btn btn-secondary" style="display: none;">${t('recovery.back')}</button>
+          </div>
+        </div>
+
         <div id="recovery-step-support" class="recovery-step" style="display: none;">
           <h4>${t('recovery.contactSupport')}</h4>
           <p>${t('recovery.supportDescription')}</p>
@@ -151,6 +167,8 @@ function setupRecoveryModalHandlers(modal) {
       document.body.removeChild(currentModal);
       currentModal = null;
       recoveryToken = null;
+      requestToken = null;
+      stopPolling();
     }
   };
 
@@ -184,6 +202,7 @@ function setupRecoveryModalHandlers(modal) {
   // Back to codephrase button
   const backBtn = modal.querySelector('#back-to-codephrase-btn');
   backBtn.addEventListener('click', showCodephraseStep);
+  modal.querySelector('#pending-back-btn').addEventListener('click', showCodephraseStep);
 
   // Go to login button
   const goToLoginBtn = modal.querySelector('#go-to-login-btn');
@@ -225,6 +244,14 @@ async function handleCodephraseSubmit(e) {
 
   try {
     const response = await post('/auth/recovery/initiate', { codephrase });
+
+    if (response.status === 'pending') {
+      // A master account has to approve the request first
+      requestToken = response.requestToken;
+      showPendingStep();
+      return;
+    }
+
     recoveryToken = response.recoveryToken;
     
     // Show password reset step
@@ -234,6 +261,10 @@ async function handleCodephraseSubmit(e) {
     if (error.status === 400 || error.status === 404) {
       recoveryError.textContent = error.data?.message || t('recovery.codephraseInvalid');
       recoveryError.style.display = 'block';
+    } else if (error.status === 429) {
+      recoveryError.textContent = t('recovery.tooManyAttempts')
+        .replace('{minutes}', Math.ceil((error.data?.retry_after || 60) / 60));
+      recoveryError.style.display = 'block';
     } else if (error.status === 500) {
       // Show backend error message if available, otherwise generic message
       recoveryError.textContent = error.data?.message || t('recovery.errorOccurred');
@@ -319,6 +350,84 @@ async function handlePasswordReset(e) {
   }
 }
 
+/**
+ * Stop checking the pending recovery request
+ */
+function stopPolling() {
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Check whether the pending recovery request was decided
+ * Approved requests continue to the password step; denied and expired ones end here.
+ */
+async function checkPendingRequest() {
+  pollTimer = null;
+  const modal = currentModal;
+  if (!modal || !requestToken) return;
+
+  const statusEl = modal.querySelector('#recovery-pending-status');
+  const backBtn = modal.querySelector('#pending-back-btn');
+
+  try {
+    const response = await post('/auth/recovery/status', { requestToken });
+    if (currentModal !== modal) return;
+
+    if (response.status === 'approved') {
+      recoveryToken = response.recoveryToken;
+      requestToken = null;
+      showPasswordResetStep();
+      return;
+    }
+
+    if (response.status === 'pending') {
+      pollTimer = setTimeout(checkPendingRequest, PENDING_POLL_INTERVAL);
+      return;
+    }
+
+    statusEl.textContent = response.status === 'denied'
+      ? t('recovery.requestDenied')
+      : t('recovery.requestExpired');
+  } catch (error) {
+    console.error('Recovery status error:', error);
+    if (currentModal !== modal) return;
+    if (error.status === 404) {
+      // A newer request for the same company replaced this one
+      statusEl.textContent = t('recovery.requestExpired');
+    } else {
+      // Temporary failure - keep waiting
+      pollTimer = setTimeout(checkPendingRequest, PENDING_POLL_INTERVAL);
+      return;
+    }
+  }
+
+  requestToken = null;
+  backBtn.style.display = '';
+}
+
+/**
+ * Show the step where the client waits for a master to approve the request
+ */
+function showPendingStep() {
+  const modal = currentModal;
+  if (!modal) return;
+
+  modal.querySelector('#recovery-step-codephrase').style.display = 'none';
+  modal.querySelector('#recovery-step-pending').style.display = 'block';
+  modal.querySelector('#recovery-step-password').style.display = 'none';
+  modal.querySelector('#recovery-step-support').style.display = 'none';
+  modal.querySelector('#recovery-step-success').style.display = 'none';
+
+  modal.querySelector('#recovery-pending-status').textContent = t('recovery.pendingWaiting');
+  modal.querySelector('#pending-back-btn').style.display = 'none';
+
+  stopPolling();
+  pollTimer = setTimeout(checkPendingRequest, PENDING_POLL_INTERVAL);
+}
+
 /**
  * Show password reset step
  */
@@ -327,6 +436,7 @@ function showPasswordResetStep() {
   if (!modal) return;
 
   modal.querySelector('#recovery-step-codephrase').style.display = 'none';
+  modal.querySelector('#recovery-step-pending').style.display = 'none';
   modal.querySelector('#recovery-step-password').style.display = 'block';
   modal.querySelector('#recovery-step-support').style.display = 'none';
   modal.querySelector('#recovery-step-success').style.display = 'none';
@@ -346,6 +456,7 @@ async function showSupportStep() {
   if (!modal) return;
 
   modal.querySelector('#recovery-step-codephrase').style.display = 'none';
+  modal.querySelector('#recovery-step-pending').style.display = 'none';
   modal.querySelector('#recovery-step-password').style.display = 'none';
   modal.querySelector('#recovery-step-support').style.display = 'block';
   modal.querySelector('#recovery-step-success').style.display = 'none';
@@ -368,6 +479,7 @@ function showCodephraseStep() {
   if (!modal) return;
 
   modal.querySelector('#recovery-step-codephrase').style.display = 'block';
+  modal.querySelector('#recovery-step-pending').style.display = 'none';
   modal.querySelector('#recovery-step-password').style.display = 'none';
   modal.querySelector('#recovery-step-support').style.display = 'none';
   modal.querySelector('#recovery-step-success').style.display = 'none';
@@ -387,6 +499,7 @@ function showSuccessStep() {
   if (!modal) return;
 
   modal.querySelector('#recovery-step-codephrase').style.display = 'none';
+  modal.querySelector('#recovery-step-pending').style.display = 'none';
   modal.querySelector('#recovery-step-password').style.display = 'none';
   modal.querySelector('#recovery-step-support').style.display = 'none';
   modal.querySelector('#recovery-step-success').style.display = 'block';
@@ -1,21 +1,39 @@
 /**
  * Report Modal Component
  * Displays a modal for generating ticket reports with filters
+ * Reports are built by the server (GET /api/reports) as PDF, XLSX or CSV and downloaded.
  */
 
-import { get } from '../services/api.js';
-// PDF generator loaded dynamically to reduce initial bundle size
-// import { generateTicketReport } from '../services/pdf-generator.js';
+import { get, getBlob } from '../services/api.js';
 import { getUser } from '../services/storage.js';
-import { t } from '../services/i18n.js';
+import { t, getCurrentLanguage } from '../services/i18n.js';
 
 let currentModal = null;
 let isLoading = false;
 
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 /**
  * Open the report generation modal
+ * @param {object} [options] - Options
+ * @param {boolean} [options.isAdmin=false] - Administrator report (company filter, engineer list)
+ * @param {Array} [options.administrators] - Administrators for the engineer filter
+ * @param {boolean} [options.canViewAll=false] - Whether the engineer filter is shown (tickets.view_all);
+ *   other administrators get reports on their own tickets
  */
-export function openReportModal() {
+export function openReportModal(options = {}) {
+  const { isAdmin = false, administrators = [], canViewAll = false } = options;
+
   // Prevent multiple modals
   if (currentModal || isLoading) {
     return;
@@ -66,6 +84,16 @@ export function openReportModal() {
             </select>
           </div>
 
+          ${isAdmin ? `
+          <!-- Company (loaded when the modal opens) -->
+          <div class="form-group">
+            <label for="company" class="form-label">${t('reportModal.company')}</label>
+            <select id="company" name="company" class="form-input">
+              <option value="">${t('reportModal.allCompanies')}</option>
+            </select>
+          </div>
+          ` : ''}
+
           <!-- Job Title -->
           <div class="form-group">
             <label for="job-title" class="form-label">${t('reportModal.jobTitle') || 'Job Title'}</label>
@@ -79,10 +107,32 @@ export function openReportModal() {
           </div>
 
           <!-- Assigned Engineer -->
+          ${!isAdmin ? `
           <div class="form-group">
             <label for="engineer" class="form-label">${t('reportModal.assignedEngineer') || 'Assigned Engineer'}</label>
             <input type="text" id="engineer" name="assigned_engineer_id" class="form-input" placeholder="${t('reportModal.engineerPlaceholder') || 'Engineer ID...'}">
           </div>
+          ` : canViewAll ? `
+          <div class="form-group">
+            <label for="engineer" class="form-label">${t('reportModal.assignedEngineer')}</label>
+            <select id="engineer" name="assigned_engineer_id" class="form-input">
+              <option value="">${t('reportModal.allEngineers')}</option>
+              ${administrators.map(admin => `
+                <option value="${escapeHtml(admin.id)}">${escapeHtml(admin.display_name || admin.login)}</option>
+              `).join('')}
+            </select>
+          </div>
+          ` : ''}
+
+          <!-- Format -->
+          <div class="form-group">
+            <label for="report-format" class="form-label">${t('reportModal.format')}</label>
+            <select id="report-format" name="format" class="form-input">
+              <option value="pdf">PDF</option>
+              <option value="xlsx">Excel (XLSX)</option>
+              <option value="csv">CSV</option>
+            </select>
+          </div>
 
           <div id="report-form-error" class="error-message" style="display: none;"></div>
 
@@ -121,6 +171,28 @@ export function openReportModal() {
     e.preventDefault();
     await handleFormSubmit(form, generateBtn);
   });
+
+  if (isAdmin) {
+    loadCompanies(modal.querySelector('#company'));
+  }
+}
+
+/**
+ * Fill the company filter with the companies that have tickets
+ * @param {HTMLSelectElement} select - Company select
+ */
+async function loadCompanies(select) {
+  try {
+    const response = await get('/tickets/companies');
+    (response.companies || []).forEach(company => {
+      const option = document.createElement('option');
+      option.value = company;
+      option.textContent = company;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.warn('Error loading companies for report:', error);
+  }
 }
 
 /**
@@ -143,7 +215,9 @@ async function handleFormSubmit(form, submitBtn) {
     status: form.querySelector('#status').value,
     job_title: form.querySelector('#job-title').value.trim(),
     client_full_name: form.querySelector('#client-name').value.trim(),
-    assigned_engineer_id: form.querySelector('#engineer').value.trim(),
+    assigned_engineer_id: form.querySelector('#engineer')?.value.trim() || '',
+    company: form.querySelector('#company')?.value || '',
+    format: form.querySelector('#report-format').value,
   };
 
   // Validate date range
@@ -157,15 +231,19 @@ async function handleFormSubmit(form, submitBtn) {
     }
   }
 
-  // Build query parameters
-  const params = new URLSearchParams();
+  // Build query parameters; dates are printed in the user's language and time zone
+  const params = new URLSearchParams({
+    format: formData.format,
+    lang: getCurrentLanguage(),
+    tz: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+  });
   
-  // Convert dates to Unix timestamps
+  // Convert dates to Unix timestamps (local days; the end date is inclusive)
   if (formData.date_from) {
-    params.append('date_from', Math.floor(new Date(formData.date_from).getTime() / 1000).toString());
+    params.append('date_from', Math.floor(new Date(`${formData.date_from}T00:00:00`).getTime() / 1000).toString());
   }
   if (formData.date_to) {
-    params.append('date_to', Math.floor(new Date(formData.date_to).getTime() / 1000).toString());
+    params.append('date_to', Math.floor(new Date(`${formData.date_to}T23:59:59`).getTime() / 1000).toString());
   }
   if (formData.status && formData.status !== 'all') {
     params.append('status', formData.status);
@@ -179,32 +257,27 @@ async function handleFormSubmit(form, submitBtn) {
   if (formData.assigned_engineer_id) {
     params.append('assigned_engineer_id', formData.assigned_engineer_id);
   }
+  if (formData.company) {
+    params.append('company', formData.company);
+  }
 
   // Set loading state
   isLoading = true;
   setLoading(true, submitBtn);
 
   try {
-    // Fetch tickets from API
-    const endpoint = `/tickets/reports${params.toString() ? `?${params.toString()}` : ''}`;
-    const response = await get(endpoint);
-
-    // Get user info for company name
-    const user = getUser();
-    const companyName = user?.company_name || 'N/A';
-
-    // Dynamically import PDF generator (lazy load to reduce initial bundle size)
-    // This only loads jsPDF and html2canvas when the user actually generates a report
-    const { generateTicketReport } = await import('../services/pdf-generator.js');
-    
-    // Generate PDF (async function)
-    await generateTicketReport(response.tickets, response.filters_applied, companyName);
+    const blob = await getBlob(`/reports?${params.toString()}`);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ticket-report-${new Date().toISOString().slice(0, 10)}.${formData.format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 
     // Close modal after successful generation
     closeModal();
-
-    // Show success message (optional)
-    console.log(`Generated report with ${response.tickets.length} tickets`);
   } catch (error) {
     console.error('Error generating report:', error);
     
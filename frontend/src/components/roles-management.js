@@ -0,0 +1,272 @@
+/**
+ * Role Management Component
+ * Allows master account administrators to edit which permissions each administrator role grants
+ * and to create, rename and delete custom roles
+ */
+
+import { get, post, patch, del } from '../services/api.js';
+import { t } from '../services/i18n.js';
+import { getRoleName, getRoleDescription, getPermissionLabel } from '../services/permissions.js';
+
+/**
+ * Create and render role management component
+ * @param {HTMLElement} container - Container element to render into
+ * @returns {Function} Refresh function to reload roles
+ */
+export function createRolesManagement(container) {
+  let roles = [];
+  let permissions = []; // Permission catalogue: [{ key, group }]
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Show error or success message
+   * @param {string} message - Message text
+   * @param {boolean} isError - Whether this is an error message
+   */
+  function showMessage(message, isError = false) {
+    const messageEl = container.querySelector('#roles-message');
+    if (!messageEl) return;
+    messageEl.className = isError ? 'error-message' : 'success-message';
+    messageEl.textContent = message;
+    messageEl.style.display = '';
+  }
+
+  /**
+   * Get user-facing error message from API error
+   * @param {Error} error - API error
+   * @returns {string} Error message
+   */
+  function getErrorMessage(error) {
+    if (error.data?.message) {
+      return error.data.message;
+    }
+    return error.message || t('roles.errorGeneric');
+  }
+
+  /**
+   * Render the permission rows of the matrix, with a heading row per group
+   * @returns {string} HTML string for table body rows
+   */
+  function renderPermissionRows() {
+    const groups = [...new Set(permissions.map(permission => permission.group))];
+
+    return groups.map(group => `
+      <tr>
+        <th colspan="${roles.length + 1}" style="text-align: left; padding-top: 0.75rem;">${t(`roles.group_${group}`)}</th>
+      </tr>
+      ${permissions.filter(permission => permission.group === group).map(permission => `
+        <tr>
+          <td title="${escapeHtml(permission.key)}">${escapeHtml(getPermissionLabel(permission.key))}</td>
+          ${roles.map(role => `
+            <td style="text-align: center;">
+              <input
+                type="checkbox"
+                data-role-permission="${escapeHtml(role.id)}"
+                value="${escapeHtml(permission.key)}"
+                aria-label="${escapeHtml(getRoleName(role))}: ${escapeHtml(getPermissionLabel(permission.key))}"
+                ${role.permissions.includes(permission.key) ? 'checked' : ''}
+              />
+            </td>
+          `).join('')}
+        </tr>
+      `).join('')}
+    `).join('');
+  }
+
+  /**
+   * Render component
+   */
+  function render() {
+    container.innerHTML = `
+      <div class="roles-management">
+        <h3>${t('roles.title')}</h3>
+        <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">${t('roles.description')}</p>
+        <div id="roles-message" style="display: none;" role="alert" aria-live="polite"></div>
+
+        <div style="overflow-x: auto;">
+          <table class="roles-table" style="width: 100%; border-collapse: collapse;">
+            <thead>
+              <tr>
+                <th style="text-align: left;">${t('roles.permission')}</th>
+                ${roles.map(role => `
+                  <th style="text-align: center; vertical-align: bottom;" title="${escapeHtml(getRoleDescription(role))}">
+                    ${escapeHtml(getRoleName(role))}
+                    <small style="display: block; font-weight: normal; color: var(--text-muted, #666);">
+                      ${t('roles.adminCount').replace('{count}', role.admin_count)}
+                    </small>
+                  </th>
+                `).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${renderPermissionRows()}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td></td>
+                ${roles.map(role => `
+                  <td style="text-align: center; white-space: nowrap; padding-top: 0.75rem;">
+                    <button class="btn btn-primary btn-sm" data-save-role="${escapeHtml(role.id)}">${t('common.save')}</button>
+                    ${role.is_system ? '' : `
+                    <button class="btn btn-secondary btn-sm" data-rename-role="${escapeHtml(role.id)}">${t('roles.rename')}</button>
+                    <button class="btn btn-secondary btn-sm" data-delete-role="${escapeHtml(role.id)}">${t('common.delete')}</button>
+                    `}
+                  </td>
+                `).join('')}
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+
+        <form id="role-form" style="display: flex; gap: 1rem; flex-wrap: wrap; align-items: flex-end; margin-top: 1rem;">
+          <div class="form-group">
+            <label class="form-label required" for="role-name">${t('roles.name')}</label>
+            <input type="text" class="form-input" id="role-name" maxlength="50" required>
+          </div>
+          <div class="form-group" style="flex: 1; min-width: 200px;">
+            <label class="form-label" for="role-description">${t('roles.roleDescription')}</label>
+            <input type="text" class="form-input" id="role-description" maxlength="200">
+          </div>
+          <div class="form-group">
+            <button type="submit" class="btn btn-primary btn-sm">${t('roles.add')}</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    attachListeners();
+  }
+
+  /**
+   * Attach event listeners to rendered elements
+   */
+  function attachListeners() {
+    container.querySelectorAll('[data-save-role]').forEach(btn => {
+      btn.addEventListener('click', () => handleSave(btn.getAttribute('data-save-role')));
+    });
+    container.querySelectorAll('[data-rename-role]').forEach(btn => {
+      btn.addEventListener('click', () => handleRename(btn.getAttribute('data-rename-role')));
+    });
+    container.querySelectorAll('[data-delete-role]').forEach(btn => {
+      btn.addEventListener('click', () => handleDelete(btn.getAttribute('data-delete-role')));
+    });
+    container.querySelector('#role-form')?.addEventListener('submit', handleCreate);
+  }
+
+  /**
+   * Save the checked permissions of a role
+   * @param {string} roleId - Role ID
+   */
+  async function handleSave(roleId) {
+    const selected = [...container.querySelectorAll('[data-role-permission]')]
+      .filter(input => input.getAttribute('data-role-permission') === roleId && input.checked)
+      .map(input => input.value);
+
+    try {
+      await patch(`/roles/${encodeURIComponent(roleId)}`, { permissions: selected });
+      await loadRoles();
+      showMessage(t('roles.saved'));
+    } catch (error) {
+      console.error('Error saving role:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Rename a custom role
+   * @param {string} roleId - Role ID
+   */
+  async function handleRename(roleId) {
+    const role = roles.find(r => r.id === roleId);
+    if (!role) return;
+
+    const name = prompt(t('roles.enterNewName'), role.name);
+    if (!name || name.trim() === role.name) {
+      return;
+    }
+
+    try {
+      await patch(`/roles/${encodeURIComponent(roleId)}`, { name: name.trim() });
+      await loadRoles();
+      showMessage(t('roles.saved'));
+    } catch (error) {
+      console.error('Error renaming role:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Delete a custom role after confirmation
+   * @param {string} roleId - Role ID
+   */
+  async function handleDelete(roleId) {
+    const role = roles.find(r => r.id === roleId);
+    if (!role || !confirm(t('roles.confirmDelete').replace('{name}', role.name))) {
+      return;
+    }
+
+    try {
+      await del(`/roles/${encodeURIComponent(roleId)}`);
+      await loadRoles();
+      showMessage(t('roles.deleted'));
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Create a custom role without permissions; they are ticked in the matrix afterwards
+   * @param {Event} e - Submit event
+   */
+  async function handleCreate(e) {
+    e.preventDefault();
+
+    try {
+      await post('/roles', {
+        name: container.querySelector('#role-name').value.trim(),
+        description: container.querySelector('#role-description').value.trim(),
+        permissions: [],
+      });
+      await loadRoles();
+      showMessage(t('roles.created'));
+    } catch (error) {
+      console.error('Error creating role:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Load roles and the permission catalogue from API
+   */
+  async function loadRoles() {
+    try {
+      const response = await get('/roles');
+      roles = response.roles || [];
+      permissions = response.permissions || [];
+      render();
+    } catch (error) {
+      console.error('Error loading roles:', error);
+      render();
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  // Re-render on language change
+  window.addEventListener('languagechange', render);
+
+  loadRoles();
+
+  return loadRoles;
+}
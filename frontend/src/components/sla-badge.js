@@ -0,0 +1,112 @@
+/**
+ * SLA Badge Component
+ * Countdown badge for the next open SLA deadline of a ticket
+ * (first response until it happens, then resolution)
+ */
+
+import { t } from '../services/i18n.js';
+
+/**
+ * Statuses for which SLA deadlines no longer apply (mirrors the backend SLA service)
+ * @type {string[]}
+ */
+const SLA_STOPPED_STATUSES = ['resolved', 'closed'];
+
+/**
+ * Get the next open SLA deadline for a ticket
+ * @param {object} ticket - Ticket object
+ * @returns {{type: string, dueAt: number, warned: boolean}|null} Deadline or null if none applies
+ */
+function getOpenDeadline(ticket) {
+  if (SLA_STOPPED_STATUSES.includes(ticket.status)) {
+    return null;
+  }
+  if (!ticket.first_response_at && ticket.first_response_due_at) {
+    return { type: 'response', dueAt: ticket.first_response_due_at, warned: !!ticket.sla_response_warned_at };
+  }
+  if (ticket.resolution_due_at) {
+    return { type: 'resolution', dueAt: ticket.resolution_due_at, warned: !!ticket.sla_resolution_warned_at };
+  }
+  return null;
+}
+
+/**
+ * Format a duration as "2d 3h", "1h 20m" or "5m"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+  const minutes = Math.max(1, Math.ceil(seconds / 60));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  if (days > 0) {
+    return `${days}${t('sla.daysShort')} ${hours}${t('sla.hoursShort')}`;
+  }
+  if (hours > 0) {
+    return `${hours}${t('sla.hoursShort')} ${mins}${t('sla.minutesShort')}`;
+  }
+  return `${mins}${t('sla.minutesShort')}`;
+}
+
+/**
+ * Get badge state and label for a deadline
+ * @param {string} type - Deadline type ('response' or 'resolution')
+ * @param {number} dueAt - Deadline (Unix timestamp)
+ * @param {boolean} warned - Whether the backend already flagged the deadline as breaching soon
+ * @param {number} now - Current Unix timestamp
+ * @returns {{state: string, label: string}} Badge state ('ok', 'warning', 'breached') and label
+ */
+function describeDeadline(type, dueAt, warned, now) {
+  const remaining = dueAt - now;
+  const typeLabel = t(`sla.${type}`);
+
+  if (remaining <= 0) {
+    return { state: 'breached', label: `${typeLabel}: ${t('sla.overdueBy')} ${formatDuration(-remaining)}` };
+  }
+  return {
+    state: warned ? 'warning' : 'ok',
+    label: `${typeLabel}: ${t('sla.dueIn')} ${formatDuration(remaining)}`,
+  };
+}
+
+/**
+ * Render SLA countdown badge for a ticket
+ * @param {object} ticket - Ticket object
+ * @returns {string} HTML string for badge (empty if no deadline applies)
+ */
+export function renderSlaBadge(ticket) {
+  const deadline = getOpenDeadline(ticket);
+  if (!deadline) {
+    return '';
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const { state, label } = describeDeadline(deadline.type, deadline.dueAt, deadline.warned, now);
+
+  return `<span class="badge sla-badge sla-badge-${state}"
+    data-sla-type="${deadline.type}"
+    data-sla-due="${deadline.dueAt}"
+    data-sla-warned="${deadline.warned ? '1' : '0'}"
+    title="${t('sla.tooltip')}">${label}</span>`;
+}
+
+/**
+ * Update countdown text and state of all SLA badges within an element
+ * Called periodically so countdowns move without re-rendering the ticket list.
+ * @param {HTMLElement|Document} root - Element containing badges
+ */
+export function refreshSlaBadges(root) {
+  const now = Math.floor(Date.now() / 1000);
+  root.querySelectorAll('[data-sla-due]').forEach(badge => {
+    const dueAt = parseInt(badge.getAttribute('data-sla-due'), 10);
+    const type = badge.getAttribute('data-sla-type');
+    const warned = badge.getAttribute('data-sla-warned') === '1';
+    const { state, label } = describeDeadline(type, dueAt, warned, now);
+
+    badge.textContent = label;
+    badge.classList.remove('sla-badge-ok', 'sla-badge-warning', 'sla-badge-breached');
+    badge.classList.add(`sla-badge-${state}`);
+  });
+}
@@ -0,0 +1,249 @@
+/**
+ * SLA Policy Management Component
+ * Allows master account administrators to view and edit SLA policies
+ * (first-response and resolution targets per company and/or priority)
+ */
+
+import { get, post, patch, del } from '../services/api.js';
+import { t } from '../services/i18n.js';
+import { renderPriorityOptions } from './ticket-classification.js';
+
+/**
+ * Create and render SLA policy management component
+ * @param {HTMLElement} container - Container element to render into
+ * @returns {Function} Refresh function to reload policies
+ */
+export function createSlaPolicyManagement(container) {
+  let policies = [];
+  let companies = [];
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Show error or success message
+   * @param {string} message - Message text
+   * @param {boolean} isError - Whether this is an error message
+   */
+  function showMessage(message, isError = false) {
+    const messageEl = container.querySelector('#sla-policy-message');
+    if (!messageEl) return;
+    messageEl.className = isError ? 'error-message' : 'success-message';
+    messageEl.textContent = message;
+    messageEl.style.display = '';
+  }
+
+  /**
+   * Get user-facing error message from API error
+   * @param {Error} error - API error
+   * @returns {string} Error message
+   */
+  function getErrorMessage(error) {
+    if (error.data?.message) {
+      return error.data.message;
+    }
+    return error.message || t('slaPolicies.errorGeneric');
+  }
+
+  /**
+   * Render a single policy row
+   * @param {object} policy - Policy object
+   * @returns {string} HTML string for row
+   */
+  function renderPolicyRow(policy) {
+    const isDefault = !policy.company_name && !policy.priority;
+    return `
+      <tr data-policy-id="${policy.id}">
+        <td>${escapeHtml(policy.name)}</td>
+        <td>${policy.company_name ? escapeHtml(policy.company_name) : `<em>${t('slaPolicies.anyCompany')}</em>`}</td>
+        <td>${policy.priority ? escapeHtml(t(`priority.${policy.priority}`)) : `<em>${t('slaPolicies.anyPriority')}</em>`}</td>
+        <td>
+          <input type="number" min="1" class="form-input" data-field="response_minutes" value="${policy.response_minutes}" style="max-width: 8rem;">
+        </td>
+        <td>
+          <input type="number" min="1" class="form-input" data-field="resolution_minutes" value="${policy.resolution_minutes}" style="max-width: 8rem;">
+        </td>
+        <td style="white-space: nowrap;">
+          <button class="btn btn-primary btn-sm" data-save-policy="${policy.id}">${t('common.save')}</button>
+          ${isDefault ? '' : `<button class="btn btn-secondary btn-sm" data-delete-policy="${policy.id}">${t('common.delete')}</button>`}
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Render component
+   */
+  function render() {
+    container.innerHTML = `
+      <div class="sla-policy-management">
+        <h3>${t('slaPolicies.title')}</h3>
+        <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">${t('slaPolicies.description')}</p>
+        <div id="sla-policy-message" style="display: none;" role="alert" aria-live="polite"></div>
+
+        <div style="overflow-x: auto;">
+          <table class="sla-policy-table" style="width: 100%; border-collapse: collapse;">
+            <thead>
+              <tr>
+                <th style="text-align: left;">${t('slaPolicies.name')}</th>
+                <th style="text-align: left;">${t('slaPolicies.company')}</th>
+                <th style="text-align: left;">${t('slaPolicies.priority')}</th>
+                <th style="text-align: left;">${t('slaPolicies.responseMinutes')}</th>
+                <th style="text-align: left;">${t('slaPolicies.resolutionMinutes')}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${policies.map(renderPolicyRow).join('')}
+            </tbody>
+          </table>
+        </div>
+
+        <form id="sla-policy-form" style="display: flex; gap: 1rem; flex-wrap: wrap; align-items: flex-end; margin-top: 1rem;">
+          <div class="form-group">
+            <label class="form-label" for="sla-policy-name">${t('slaPolicies.name')}</label>
+            <input type="text" class="form-input" id="sla-policy-name" maxlength="100" required>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="sla-policy-company">${t('slaPolicies.company')}</label>
+            <select class="form-select" id="sla-policy-company">
+              <option value="">${t('slaPolicies.anyCompany')}</option>
+              ${companies.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="sla-policy-priority">${t('slaPolicies.priority')}</label>
+            <select class="form-select" id="sla-policy-priority">
+              <option value="">${t('slaPolicies.anyPriority')}</option>
+              ${renderPriorityOptions('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="sla-policy-response">${t('slaPolicies.responseMinutes')}</label>
+            <input type="number" min="1" class="form-input" id="sla-policy-response" required style="max-width: 8rem;">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="sla-policy-resolution">${t('slaPolicies.resolutionMinutes')}</label>
+            <input type="number" min="1" class="form-input" id="sla-policy-resolution" required style="max-width: 8rem;">
+          </div>
+          <div class="form-group">
+            <button type="submit" class="btn btn-primary btn-sm">${t('slaPolicies.add')}</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    attachListeners();
+  }
+
+  /**
+   * Attach event listeners to rendered elements
+   */
+  function attachListeners() {
+    container.querySelectorAll('[data-save-policy]').forEach(btn => {
+      btn.addEventListener('click', () => handleSave(parseInt(btn.getAttribute('data-save-policy'), 10)));
+    });
+    container.querySelectorAll('[data-delete-policy]').forEach(btn => {
+      btn.addEventListener('click', () => handleDelete(parseInt(btn.getAttribute('data-delete-policy'), 10)));
+    });
+    container.querySelector('#sla-policy-form')?.addEventListener('submit', handleCreate);
+  }
+
+  /**
+   * Save response/resolution targets of an existing policy
+   * @param {number} policyId - Policy ID
+   */
+  async function handleSave(policyId) {
+    const row = container.querySelector(`tr[data-policy-id="${policyId}"]`);
+    if (!row) return;
+
+    try {
+      await patch(`/sla/policies/${policyId}`, {
+        response_minutes: parseInt(row.querySelector('[data-field="response_minutes"]').value, 10),
+        resolution_minutes: parseInt(row.querySelector('[data-field="resolution_minutes"]').value, 10),
+      });
+      await loadPolicies();
+      showMessage(t('slaPolicies.saved'));
+    } catch (error) {
+      console.error('Error saving SLA policy:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Delete a policy after confirmation
+   * @param {number} policyId - Policy ID
+   */
+  async function handleDelete(policyId) {
+    if (!confirm(t('slaPolicies.confirmDelete'))) {
+      return;
+    }
+
+    try {
+      await del(`/sla/policies/${policyId}`);
+      await loadPolicies();
+      showMessage(t('slaPolicies.deleted'));
+    } catch (error) {
+      console.error('Error deleting SLA policy:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Create a new company and/or priority policy from the form
+   * @param {Event} e - Submit event
+   */
+  async function handleCreate(e) {
+    e.preventDefault();
+
+    try {
+      await post('/sla/policies', {
+        name: container.querySelector('#sla-policy-name').value,
+        company_name: container.querySelector('#sla-policy-company').value,
+        priority: container.querySelector('#sla-policy-priority').value,
+        response_minutes: parseInt(container.querySelector('#sla-policy-response').value, 10),
+        resolution_minutes: parseInt(container.querySelector('#sla-policy-resolution').value, 10),
+      });
+      await loadPolicies();
+      showMessage(t('slaPolicies.created'));
+    } catch (error) {
+      console.error('Error creating SLA policy:', error);
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  /**
+   * Load policies and company names from API
+   */
+  async function loadPolicies() {
+    try {
+      const [policiesResponse, companiesResponse] = await Promise.all([
+        get('/sla/policies'),
+        get('/clients/companies'),
+      ]);
+      policies = policiesResponse.policies || [];
+      companies = (companiesResponse.companies || []).map(company => company.company_name).filter(Boolean);
+      render();
+    } catch (error) {
+      console.error('Error loading SLA policies:', error);
+      render();
+      showMessage(getErrorMessage(error), true);
+    }
+  }
+
+  // Re-render on language change
+  window.addEventListener('languagechange', render);
+
+  loadPolicies();
+
+  return loadPolicies;
+}
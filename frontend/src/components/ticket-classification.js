@@ -0,0 +1,65 @@
+/**
+ * Ticket Classification Component
+ * Priority and category options, selects and badges
+ * Shared by the client ticket form/list and the support ticket management views
+ */
+
+import { t } from '../services/i18n.js';
+
+/**
+ * Ticket priorities, lowest first (mirrors the backend ticket service)
+ * @type {string[]}
+ */
+export const TICKET_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Ticket categories (mirrors the backend ticket service)
+ * @type {string[]}
+ */
+export const TICKET_CATEGORIES = ['hardware', 'software', 'network', 'warranty', 'other'];
+
+/**
+ * Render <option> elements for priorities
+ * @param {string} selected - Selected priority
+ * @returns {string} HTML string for options
+ */
+export function renderPriorityOptions(selected) {
+  return TICKET_PRIORITIES.map(priority => `
+    <option value="${priority}" ${priority === selected ? 'selected' : ''}>${t(`priority.${priority}`)}</option>
+  `).join('');
+}
+
+/**
+ * Render <option> elements for categories
+ * @param {string} selected - Selected category
+ * @returns {string} HTML string for options
+ */
+export function renderCategoryOptions(selected) {
+  return TICKET_CATEGORIES.map(category => `
+    <option value="${category}" ${category === selected ? 'selected' : ''}>${t(`category.${category}`)}</option>
+  `).join('');
+}
+
+/**
+ * Render priority badge for a ticket
+ * @param {object} ticket - Ticket object
+ * @returns {string} HTML string for badge (empty if the ticket has no priority)
+ */
+export function renderPriorityBadge(ticket) {
+  if (!TICKET_PRIORITIES.includes(ticket.priority)) {
+    return '';
+  }
+  return `<span class="badge priority-badge priority-badge-${ticket.priority}" title="${t('priority.label')}">${t(`priority.${ticket.priority}`)}</span>`;
+}
+
+/**
+ * Render category badge for a ticket
+ * @param {object} ticket - Ticket object
+ * @returns {string} HTML string for badge (empty if the ticket has no category)
+ */
+export function renderCategoryBadge(ticket) {
+  if (!TICKET_CATEGORIES.includes(ticket.category)) {
+    return '';
+  }
+  return `<span class="badge category-badge" title="${t('category.label')}">${t(`category.${ticket.category}`)}</span>`;
+}
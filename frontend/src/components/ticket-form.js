@@ -3,8 +3,9 @@
  * Allows clients to submit incident tickets
  */
 
-import { post } from '../services/api.js';
+import { get, post, postForm } from '../services/api.js';
 import { t } from '../services/i18n.js';
+import { renderPriorityOptions, renderCategoryOptions } from './ticket-classification.js';
 
 /**
  * Create and render ticket form component
@@ -14,10 +15,17 @@ import { t } from '../services/i18n.js';
  */
 export function createTicketForm(container, user, onSuccess) {
   let formElement = null;
+  let equipmentList = [];
 
   function renderForm() {
     container.innerHTML = `
       <form id="ticket-form" class="ticket-form">
+        <div class="form-group" id="equipment-picker-group" style="display: none;">
+          <label for="equipment-picker" class="form-label">${t('ticketForm.registeredEquipment')}</label>
+          <select id="equipment-picker" class="form-select"></select>
+          <small class="form-hint">${t('ticketForm.registeredEquipmentHint')}</small>
+        </div>
+
         <div class="form-group">
           <label for="serial-number" class="form-label required">${t('ticketForm.serialNumber')}</label>
           <input
@@ -47,6 +55,32 @@ export function createTicketForm(container, user, onSuccess) {
           <small class="form-hint">${t('ticketForm.problemDescriptionHint')}</small>
         </div>
 
+        <div class="form-group">
+          <label for="ticket-attachments" class="form-label">${t('ticketForm.attachments')}</label>
+          <input
+            type="file"
+            id="ticket-attachments"
+            name="attachments"
+            class="form-input"
+            multiple
+          >
+          <small class="form-hint">${t('ticketForm.attachmentsHint')}</small>
+        </div>
+
+        <div class="form-group">
+          <label for="ticket-priority" class="form-label">${t('ticketForm.priority')}</label>
+          <select id="ticket-priority" name="priority" class="form-select">
+            ${renderPriorityOptions('medium')}
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label for="ticket-category" class="form-label">${t('ticketForm.category')}</label>
+          <select id="ticket-category" name="category" class="form-select">
+            ${renderCategoryOptions('other')}
+          </select>
+        </div>
+
         <div class="form-group">
           <label for="job-title" class="form-label required">${t('ticketForm.jobTitle')}</label>
           <input
@@ -56,6 +90,7 @@ export function createTicketForm(container, user, onSuccess) {
             class="form-input"
             required
             placeholder="${t('ticketForm.jobTitlePlaceholder')}"
+            value="${escapeHtml(user?.job_title || '')}"
             maxlength="100"
           >
           <span class="form-error" id="job-title-error"></span>
@@ -70,6 +105,7 @@ export function createTicketForm(container, user, onSuccess) {
             class="form-input"
             required
             placeholder="${t('ticketForm.fullNamePlaceholder')}"
+            value="${escapeHtml(user?.full_name || '')}"
             maxlength="200"
           >
           <span class="form-error" id="client-full-name-error"></span>
@@ -101,12 +137,70 @@ export function createTicketForm(container, user, onSuccess) {
 
     formElement = container.querySelector('#ticket-form');
     if (formElement) {
-      formElement.addEventListener('submit', (e) => handleSubmit(e, onSuccess, user));
+      formElement.addEventListener('submit', (e) => handleSubmit(e, (ticket) => {
+        // The backend registers new serial numbers, so refresh the picker
+        loadEquipment();
+        if (onSuccess) {
+          onSuccess(ticket);
+        }
+      }, user));
       setupInlineValidation();
+      renderEquipmentPicker();
     }
   }
 
+  /**
+   * Fill the equipment picker with the client's registered servers
+   * Selecting a server copies its serial number into the serial number field
+   */
+  function renderEquipmentPicker() {
+    const group = container.querySelector('#equipment-picker-group');
+    const picker = container.querySelector('#equipment-picker');
+    const serialInput = container.querySelector('#serial-number');
+    if (!group || !picker || !serialInput) return;
+
+    if (equipmentList.length === 0) {
+      group.style.display = 'none';
+      return;
+    }
+
+    const currentSerial = serialInput.value.trim().toLowerCase();
+    picker.innerHTML = `
+      <option value="">${t('ticketForm.otherEquipment')}</option>
+      ${equipmentList.map(item => {
+        const details = [item.vendor, item.model, item.location].filter(Boolean).join(' · ');
+        const selected = currentSerial && item.serial_number.toLowerCase() === currentSerial ? 'selected' : '';
+        return `<option value="${escapeHtml(item.serial_number)}" ${selected}>${escapeHtml(item.serial_number)}${details ? ` — ${escapeHtml(details)}` : ''}</option>`;
+      }).join('')}
+    `;
+    group.style.display = '';
+
+    picker.onchange = () => {
+      serialInput.value = picker.value;
+      clearFieldError(serialInput);
+      if (!picker.value) {
+        serialInput.focus();
+      }
+    };
+  }
+
+  /**
+   * Load the client's registered equipment for the picker
+   */
+  async function loadEquipment() {
+    try {
+      const response = await get('/equipment');
+      equipmentList = response.equipment || [];
+    } catch (error) {
+      // The picker is optional; the serial number can always be typed
+      console.error('Error loading equipment:', error);
+      equipmentList = [];
+    }
+    renderEquipmentPicker();
+  }
+
   renderForm();
+  loadEquipment();
 
   // Listen for language changes
   window.addEventListener('languagechange', () => {
@@ -115,6 +209,8 @@ export function createTicketForm(container, user, onSuccess) {
     const jobTitle = document.getElementById('job-title')?.value;
     const fullName = document.getElementById('client-full-name')?.value;
     const companyName = document.getElementById('company-name')?.value;
+    const priority = document.getElementById('ticket-priority')?.value;
+    const category = document.getElementById('ticket-category')?.value;
 
     renderForm();
 
@@ -124,6 +220,8 @@ export function createTicketForm(container, user, onSuccess) {
     if (jobTitle) document.getElementById('job-title').value = jobTitle;
     if (fullName) document.getElementById('client-full-name').value = fullName;
     if (companyName) document.getElementById('company-name').value = companyName;
+    if (priority) document.getElementById('ticket-priority').value = priority;
+    if (category) document.getElementById('ticket-category').value = category;
   });
 }
 
@@ -155,20 +253,35 @@ async function handleSubmit(e, onSuccess, user) {
     problem_description: form.querySelector('#problem-description').value.trim(),
     job_title: form.querySelector('#job-title').value.trim(),
     client_full_name: form.querySelector('#client-full-name').value.trim(),
+    priority: form.querySelector('#ticket-priority').value,
+    category: form.querySelector('#ticket-category').value,
     // company_name removed - backend gets from authenticated client account
   };
 
+  const files = Array.from(form.querySelector('#ticket-attachments')?.files || []);
+
   // Set loading state
   setLoading(true);
 
   try {
-    const response = await post('/tickets', formData);
+    let response;
+    if (files.length > 0) {
+      const multipartData = new FormData();
+      Object.entries(formData).forEach(([key, value]) => multipartData.append(key, value));
+      files.forEach(file => multipartData.append('attachments', file));
+      response = await postForm('/tickets', multipartData);
+    } else {
+      response = await post('/tickets', formData);
+    }
     
     // Dispatch event to notify ticket list to refresh
     window.dispatchEvent(new CustomEvent('ticket-updated'));
 
-    // Show success message
+    // Show success message (the ticket exists even if its files could not be stored)
     showSuccess(t('ticketForm.success'));
+    if (response.attachment_error) {
+      showError(t('ticketForm.attachmentsFailed'));
+    }
 
     // Reset form
     form.reset();
@@ -355,7 +468,7 @@ function showSuccess(message) {
  */
 function handleError(error) {
   if (error.status === 400) {
-    const errorMessage = error.data?.error || error.message || t('ticketForm.checkInput');
+    const errorMessage = error.data?.message || error.data?.error || error.message || t('ticketForm.checkInput');
     showError(errorMessage);
   } else if (error.status === 401 || error.status === 403) {
     showError(t('ticketForm.noPermission'));
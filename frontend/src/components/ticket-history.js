@@ -0,0 +1,180 @@
+/**
+ * Ticket History Component
+ * Collapsible timeline of ticket changes (who changed what and when)
+ * Shared by the client ticket list and the support ticket management views
+ */
+
+import { get } from '../services/api.js';
+import { t, getCurrentLanguage } from '../services/i18n.js';
+
+/**
+ * Format timestamp to readable date string
+ * @param {number} timestamp - Unix timestamp
+ * @returns {string} Formatted date string
+ */
+function formatDate(timestamp) {
+  if (!timestamp) return t('ticketHistory.notSet');
+  const date = new Date(timestamp * 1000);
+  const locale = getCurrentLanguage() === 'ru' ? 'ru-RU' : 'en-US';
+  return date.toLocaleString(locale, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Translation keys for tracked field labels
+ * @type {Record<string, string>}
+ */
+const FIELD_LABELS = {
+  status: 'ticketHistory.fieldStatus',
+  assigned_engineer_id: 'ticketHistory.fieldEngineer',
+  estimated_completion_at: 'ticketHistory.fieldEstimatedCompletion',
+  priority: 'ticketHistory.fieldPriority',
+  category: 'ticketHistory.fieldCategory',
+};
+
+/**
+ * Format a single field value for display
+ * @param {string} field - Changed field
+ * @param {string|null} value - Raw value
+ * @param {string|null} valueName - Resolved display name (engineer fields only)
+ * @returns {string} Escaped display value
+ */
+function formatValue(field, value, valueName) {
+  if (field === 'status') {
+    return value ? escapeHtml(t(`status.${value}`)) : t('ticketHistory.notSet');
+  }
+  if (field === 'assigned_engineer_id') {
+    return value ? escapeHtml(valueName || value) : t('ticketHistory.unassigned');
+  }
+  if (field === 'estimated_completion_at') {
+    return formatDate(value ? Number(value) : null);
+  }
+  if (field === 'priority' || field === 'category') {
+    return value ? escapeHtml(t(`${field}.${value}`)) : t('ticketHistory.notSet');
+  }
+  return escapeHtml(value || '');
+}
+
+/**
+ * Render a single history entry
+ * @param {object} entry - History entry from GET /api/tickets/:id/history
+ * @returns {string} HTML string for entry
+ */
+function renderEntry(entry) {
+  const actor = entry.actor_role === 'system'
+    ? t('ticketHistory.system')
+    : escapeHtml(entry.actor_name || entry.actor_id || '');
+
+  let description;
+  if (entry.field === 'created') {
+    description = t('ticketHistory.created');
+  } else {
+    description = `
+      ${FIELD_LABELS[entry.field] ? t(FIELD_LABELS[entry.field]) : escapeHtml(entry.field)}:
+      <span class="ticket-history-old">${formatValue(entry.field, entry.old_value, entry.old_value_name)}</span>
+      &rarr;
+      <strong>${formatValue(entry.field, entry.new_value, entry.new_value_name)}</strong>
+    `;
+  }
+
+  return `
+    <li class="ticket-history-entry">
+      <div class="ticket-history-meta">${formatDate(entry.created_at)} &middot; ${actor}</div>
+      <div class="ticket-history-change">${description}</div>
+    </li>
+  `;
+}
+
+/**
+ * Render history timeline
+ * @param {Array} history - History entries, oldest first
+ * @returns {string} HTML string for timeline
+ */
+function renderTimeline(history) {
+  if (!history || history.length === 0) {
+    return `<p class="ticket-history-empty">${t('ticketHistory.empty')}</p>`;
+  }
+  return `<ol class="ticket-history-timeline">${history.map(renderEntry).join('')}</ol>`;
+}
+
+/**
+ * Load history into a panel
+ * @param {HTMLElement} panel - Panel element
+ * @param {string} ticketId - Ticket ID
+ */
+async function loadHistory(panel, ticketId) {
+  panel.hidden = false;
+  if (!panel.innerHTML.trim()) {
+    panel.innerHTML = `<p class="ticket-history-empty">${t('common.loading')}</p>`;
+  }
+
+  try {
+    const response = await get(`/tickets/${ticketId}/history`);
+    panel.innerHTML = renderTimeline(response.history);
+  } catch (error) {
+    console.error('Error loading ticket history:', error);
+    panel.innerHTML = `<p class="error-message">${t('ticketHistory.loadError')}</p>`;
+  }
+}
+
+/**
+ * Render history toggle button and (empty) panel for a ticket card
+ * @param {string} ticketId - Ticket ID
+ * @returns {{button: string, panel: string}} HTML strings for button and panel
+ */
+export function renderTicketHistoryControls(ticketId) {
+  return {
+    button: `<button class="btn btn-secondary btn-sm" data-history-ticket="${ticketId}">${t('ticketHistory.show')}</button>`,
+    panel: `<div class="ticket-history" data-history-panel="${ticketId}" hidden></div>`,
+  };
+}
+
+/**
+ * Attach history toggle to a rendered ticket card
+ * Cards are re-rendered on every update, so open panels are tracked in `expandedIds`
+ * and reloaded on attach - this also keeps an open timeline up to date.
+ * @param {HTMLElement} root - Element containing the ticket card
+ * @param {string} ticketId - Ticket ID
+ * @param {Set<string>} expandedIds - IDs of tickets with an open history panel
+ */
+export function attachTicketHistoryToggle(root, ticketId, expandedIds) {
+  const button = root.querySelector(`[data-history-ticket="${ticketId}"]`);
+  const panel = root.querySelector(`[data-history-panel="${ticketId}"]`);
+  if (!button || !panel) {
+    return;
+  }
+
+  const setExpanded = (expanded) => {
+    button.textContent = expanded ? t('ticketHistory.hide') : t('ticketHistory.show');
+    if (expanded) {
+      expandedIds.add(ticketId);
+      loadHistory(panel, ticketId);
+    } else {
+      expandedIds.delete(ticketId);
+      panel.hidden = true;
+    }
+  };
+
+  button.addEventListener('click', () => setExpanded(!expandedIds.has(ticketId)));
+
+  if (expandedIds.has(ticketId)) {
+    setExpanded(true);
+  }
+}
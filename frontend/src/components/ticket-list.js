@@ -3,11 +3,13 @@
  * Displays a list of tickets for the client
  */
 
-import { get } from '../services/api.js';
 import { createChatWidget } from './chat-widget.js';
+import { renderTicketHistoryControls, attachTicketHistoryToggle } from './ticket-history.js';
+import { renderPriorityBadge, renderCategoryBadge } from './ticket-classification.js';
 import { getUser } from '../services/storage.js';
 import { t, getCurrentLanguage } from '../services/i18n.js';
-import { createPollingManager, setupPageVisibilityHandling, getConnectionStatusIndicator } from '../services/realtime.js';
+import { createRealtimeChannel, setupPageVisibilityHandling, getConnectionStatusIndicator } from '../services/realtime.js';
+import { createTicketPages } from '../services/ticket-pages.js';
 import { openReportModal } from './report-modal.js';
 
 /**
@@ -49,13 +51,14 @@ export function createTicketList(container, onRefresh = null) {
   let isLoading = false;
   let tickets = [];
   let archivedTickets = [];
-  let latestTimestamp = null;
-  let latestArchiveTimestamp = null;
+  const activePages = createTicketPages({ endpoint: '/tickets' });
+  const archivePages = createTicketPages({ endpoint: '/tickets/archive' });
   let pollingManager = null;
   let archivePollingManager = null;
   let visibilityCleanup = null;
   let connectionStatusContainer = null;
   let activeTab = 'active'; // 'active' or 'archive'
+  const expandedHistoryIds = new Set(); // Tickets with an open history timeline
 
   /**
    * Render tab navigation and content
@@ -126,6 +129,7 @@ export function createTicketList(container, onRefresh = null) {
     });
     
     attachReportButtonListener();
+    attachLoadMoreListener();
   }
 
   /**
@@ -146,6 +150,7 @@ export function createTicketList(container, onRefresh = null) {
       <div class="ticket-list">
         ${tickets.map(ticket => renderTicketItem(ticket)).join('')}
       </div>
+      ${renderLoadMore(activePages)}
     `;
   }
 
@@ -167,20 +172,55 @@ export function createTicketList(container, onRefresh = null) {
       <div class="ticket-list">
         ${archivedTickets.map(ticket => renderTicketItem(ticket)).join('')}
       </div>
+      ${renderLoadMore(archivePages)}
     `;
   }
 
+  /**
+   * Render the number of loaded tickets and the button that loads the next page
+   * @param {object} pages - Ticket pages of the current tab
+   * @returns {string} HTML string (empty when everything is loaded)
+   */
+  function renderLoadMore(pages) {
+    if (!pages.hasMore) {
+      return '';
+    }
+    return `
+      <div style="text-align: center; margin-top: 1rem;">
+        <div style="color: var(--text-secondary); font-size: var(--font-size-sm); margin-bottom: 0.5rem;">
+          ${t('ticketList.shownOf').replace('{shown}', pages.tickets.length).replace('{total}', pages.total)}
+        </div>
+        <button type="button" id="ticket-list-load-more" class="btn btn-secondary">${t('ticketList.loadMore')}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Attach the load more listener of the current tab
+   */
+  function attachLoadMoreListener() {
+    container.querySelector('#ticket-list-load-more')?.addEventListener('click', async (e) => {
+      const pages = activeTab === 'archive' ? archivePages : activePages;
+      e.target.disabled = true;
+      try {
+        await pages.loadMore();
+      } catch (error) {
+        console.error('Error loading more tickets:', error);
+      }
+      if (activeTab === 'archive') {
+        renderArchiveList();
+      } else {
+        renderTicketList(activePages.tickets);
+      }
+    });
+  }
+
   /**
    * Render ticket list with header including connection status
    * @param {Array} ticketsList - Array of ticket objects
    */
   function renderTicketList(ticketsList) {
     tickets = ticketsList || [];
-    
-    // Update latest timestamp
-    if (tickets.length > 0) {
-      latestTimestamp = Math.max(...tickets.map(t => t.updated_at || t.submitted_at));
-    }
 
     renderTabsContainer();
     
@@ -189,33 +229,13 @@ export function createTicketList(container, onRefresh = null) {
   }
 
   /**
-   * Merge new/updated tickets into existing list
-   * @param {Array} newTickets - New or updated tickets
+   * Render the loaded archive page(s)
    */
-  function mergeTickets(newTickets) {
-    if (!newTickets || newTickets.length === 0) {
-      return;
-    }
-
-    const ticketMap = new Map(tickets.map(t => [t.id, t]));
-
-    // Update or add tickets
-    newTickets.forEach(ticket => {
-      ticketMap.set(ticket.id, ticket);
-    });
-
-    tickets = Array.from(ticketMap.values());
-    
-    // Sort by updated_at or submitted_at descending (newest first)
-    tickets.sort((a, b) => {
-      const aTime = a.updated_at || a.submitted_at || 0;
-      const bTime = b.updated_at || b.submitted_at || 0;
-      return bTime - aTime;
-    });
-
+  function renderArchiveList() {
+    archivedTickets = archivePages.tickets;
     renderTabsContainer();
-    
-    // Attach event listeners
+
+    // Attach event listeners for each archived ticket
     attachTicketListeners();
   }
 
@@ -229,6 +249,7 @@ export function createTicketList(container, onRefresh = null) {
     const statusLabel = ticket.status.replace(/_/g, ' ');
     
     const statusLabelTranslated = t(`status.${ticket.status}`) || statusLabel;
+    const history = renderTicketHistoryControls(ticket.id);
     
     return `
       <div class="card ticket-item" data-ticket-id="${ticket.id}">
@@ -236,7 +257,11 @@ export function createTicketList(container, onRefresh = null) {
           <div class="ticket-id">
             <strong>${t('ticketList.ticketNumber')}${ticket.id}</strong>
           </div>
-          <span class="badge ${statusClass}">${statusLabelTranslated}</span>
+          <div class="ticket-badges">
+            ${renderPriorityBadge(ticket)}
+            ${renderCategoryBadge(ticket)}
+            <span class="badge ${statusClass}">${statusLabelTranslated}</span>
+          </div>
         </div>
         <div class="ticket-body">
           <div class="ticket-field">
@@ -265,7 +290,9 @@ export function createTicketList(container, onRefresh = null) {
           </div>
           <div class="ticket-actions" style="margin-top: var(--spacing-md); padding-top: var(--spacing-md); border-top: 1px solid var(--border-color);">
             <button class="btn btn-primary btn-sm" data-chat-ticket="${ticket.id}">${t('ticketList.openChat')}</button>
+            ${history.button}
           </div>
+          ${history.panel}
         </div>
       </div>
     `;
@@ -334,7 +361,7 @@ export function createTicketList(container, onRefresh = null) {
 
   /**
    * Load archived tickets from API
-   * @param {boolean} incremental - If true, only fetch tickets updated since latestArchiveTimestamp
+   * @param {boolean} incremental - If true, only apply the changes since the last load
    */
   async function loadArchive(incremental = false) {
     if (isLoading && incremental) return;
@@ -354,42 +381,18 @@ export function createTicketList(container, onRefresh = null) {
     }
 
     try {
-      const queryParams = new URLSearchParams();
-
-      // Add ?since parameter for incremental polling
-      if (incremental && latestArchiveTimestamp) {
-        queryParams.append('since', latestArchiveTimestamp);
-      }
-
-      const queryString = queryParams.toString();
-      const endpoint = `/tickets/archive${queryString ? `?${queryString}` : ''}`;
-
-      const response = await get(endpoint);
-      const newArchivedTickets = response.tickets || [];
-
       if (incremental) {
-        // Merge new/updated archived tickets
-        const archiveMap = new Map(archivedTickets.map(t => [t.id, t]));
-        newArchivedTickets.forEach(ticket => {
-          archiveMap.set(ticket.id, ticket);
-        });
-        archivedTickets = Array.from(archiveMap.values());
+        // Apply deletions, restorations and changes since the last load
+        if (!(await archivePages.sync())) {
+          return;
+        }
       } else {
-        // Replace all archived tickets
-        archivedTickets = newArchivedTickets;
-      }
-
-      // Update latest archive timestamp
-      if (archivedTickets.length > 0) {
-        latestArchiveTimestamp = Math.max(...archivedTickets.map(t => t.updated_at || t.submitted_at));
+        await archivePages.reload();
       }
 
-      renderTabsContainer();
-      
-      // Attach event listeners for each archived ticket
-      attachTicketListeners();
+      renderArchiveList();
 
-      console.log(`${incremental ? 'Updated' : 'Loaded'} ${archivedTickets.length} archived tickets`);
+      console.log(`${incremental ? 'Updated' : 'Loaded'} ${archivedTickets.length} of ${archivePages.total} archived tickets`);
     } catch (error) {
       console.error('Error loading archive:', error);
       const contentContainer = document.getElementById('ticket-list-content');
@@ -418,6 +421,11 @@ export function createTicketList(container, onRefresh = null) {
         openChatModal(ticketId);
       });
     });
+
+    // Attach history toggles (reopens timelines that were open before re-render)
+    contentContainer.querySelectorAll('[data-history-ticket]').forEach(btn => {
+      attachTicketHistoryToggle(contentContainer, btn.getAttribute('data-history-ticket'), expandedHistoryIds);
+    });
   }
 
   /**
@@ -446,7 +454,7 @@ export function createTicketList(container, onRefresh = null) {
 
   /**
    * Load tickets from API
-   * @param {boolean} incremental - If true, only fetch tickets updated since latestTimestamp
+   * @param {boolean} incremental - If true, only apply the changes since the last load
    * @throws {Error} If loading fails (for polling manager)
    */
   async function loadTickets(incremental = false) {
@@ -464,19 +472,17 @@ export function createTicketList(container, onRefresh = null) {
     }
 
     try {
-      const endpoint = `/tickets${incremental && latestTimestamp ? `?since=${latestTimestamp}` : ''}`;
-      const response = await get(endpoint);
-      const newTickets = response.tickets || [];
-
       if (incremental) {
-        // Merge new/updated tickets
-        mergeTickets(newTickets);
+        // Apply deletions, archived tickets and changes since the last load
+        if (await activePages.sync()) {
+          renderTicketList(activePages.tickets);
+        }
       } else {
-        // Replace all tickets
-        renderTicketList(newTickets);
+        await activePages.reload();
+        renderTicketList(activePages.tickets);
       }
 
-      console.log(`${incremental ? 'Updated' : 'Loaded'} ${newTickets.length} tickets`);
+      console.log(`${incremental ? 'Updated' : 'Loaded'} ${tickets.length} of ${activePages.total} tickets`);
       
       if (onRefresh) {
         onRefresh();
@@ -513,13 +519,16 @@ export function createTicketList(container, onRefresh = null) {
   }
 
   /**
-   * Initialize polling with realtime service
+   * Initialize real-time updates: server push with polling fallback
    */
   function initializePolling() {
-    const POLLING_INTERVAL = 8000; // Poll every 8 seconds for tickets
+    const POLLING_INTERVAL = 8000; // Fallback poll every 8 seconds while the event stream is down
 
     // Active tickets polling
-    pollingManager = createPollingManager({
+    pollingManager = createRealtimeChannel({
+      events: {
+        ticket_updated: () => loadTickets(true).catch(() => {}),
+      },
       pollFn: () => loadTickets(true),
       interval: POLLING_INTERVAL,
       onStatusChange: (status) => {
@@ -531,7 +540,10 @@ export function createTicketList(container, onRefresh = null) {
     });
 
     // Archive polling
-    archivePollingManager = createPollingManager({
+    archivePollingManager = createRealtimeChannel({
+      events: {
+        ticket_updated: () => loadArchive(true),
+      },
       pollFn: () => loadArchive(true),
       interval: POLLING_INTERVAL,
       onStatusChange: (status) => {
@@ -5,9 +5,15 @@
 
 import { get, patch, post } from '../services/api.js';
 import { createChatWidget } from './chat-widget.js';
+import { openReportModal } from './report-modal.js';
+import { renderTicketHistoryControls, attachTicketHistoryToggle } from './ticket-history.js';
+import { renderSlaBadge, refreshSlaBadges } from './sla-badge.js';
+import { renderCoverageBadge } from './coverage-badge.js';
+import { renderPriorityBadge, renderCategoryBadge, renderPriorityOptions, renderCategoryOptions } from './ticket-classification.js';
 import { getUser } from '../services/storage.js';
 import { t, getCurrentLanguage } from '../services/i18n.js';
-import { createPollingManager, setupPageVisibilityHandling, getConnectionStatusIndicator } from '../services/realtime.js';
+import { createRealtimeChannel, setupPageVisibilityHandling, getConnectionStatusIndicator } from '../services/realtime.js';
+import { createTicketPages, TICKET_SORT_FIELDS } from '../services/ticket-pages.js';
 
 /**
  * Format timestamp to readable date string
@@ -51,21 +57,26 @@ function formatDateForInput(timestamp) {
  * @param {Function} options.getFilters - Function to get current filter values
  * @param {Array} options.administrators - List of administrators for assignment
  * @param {string} options.currentUserId - Current admin user ID
- * @param {boolean} options.currentUserIsMaster - Whether current user is a master account
+ * @param {boolean} options.canAssign - Whether the current user can assign engineers (tickets.assign)
+ * @param {boolean} options.canRestore - Whether the current user can restore archived tickets (tickets.restore)
+ * @param {boolean} options.canViewAll - Whether reports can cover every engineer's tickets (tickets.view_all)
  * @returns {Function} Refresh function to reload tickets, with updateAdministrators method
  */
 export function createTicketManagement(container, options = {}) {
-  let { getFilters = () => ({}), administrators = [], currentUserId = null, currentUserIsMaster = false } = options;
+  let { getFilters = () => ({}), administrators = [], currentUserId = null, canAssign = false, canRestore = false, canViewAll = false } = options;
   let isLoading = false;
   let tickets = [];
   let archivedTickets = [];
-  let latestTimestamp = null;
-  let latestArchiveTimestamp = null;
+  const activePages = createTicketPages({ endpoint: '/tickets', getParams: () => getFilterParams() });
+  const archivePages = createTicketPages({ endpoint: '/tickets/archive' });
   let pollingManager = null;
   let archivePollingManager = null;
   let visibilityCleanup = null;
   let connectionStatusContainer = null;
   let activeTab = 'active'; // 'active' or 'archive'
+  const expandedHistoryIds = new Set(); // Tickets with an open history timeline
+  let slaCountdownTimer = null;
+  const skillNames = new Map(); // Skill ID -> name, for required skill display
   
   console.log('createTicketManagement called with container:', !!container, 'options:', options);
 
@@ -91,7 +102,12 @@ export function createTicketManagement(container, options = {}) {
           ${t('ticketManagement.archive') || 'Archive'}
         </button>
         <div style="flex: 1;"></div>
-        <div id="ticket-management-connection-status"></div>
+        <div style="display: flex; align-items: center; gap: 1rem;">
+          <button type="button" id="ticket-report-btn" class="btn btn-primary btn-sm">
+            ${t('ticketManagement.generateReport')}
+          </button>
+          <div id="ticket-management-connection-status"></div>
+        </div>
       </div>
       <div id="ticket-management-content">
         ${isActiveTab ? renderActiveTicketsContent() : renderArchiveContent()}
@@ -99,6 +115,10 @@ export function createTicketManagement(container, options = {}) {
     `;
     
     connectionStatusContainer = container.querySelector('#ticket-management-connection-status');
+
+    container.querySelector('#ticket-report-btn').addEventListener('click', () => {
+      openReportModal({ isAdmin: true, administrators, canViewAll });
+    });
     
     // Attach tab switching listeners
     const tabButtons = container.querySelectorAll('.tab-button');
@@ -131,6 +151,8 @@ export function createTicketManagement(container, options = {}) {
         }
       });
     });
+
+    attachListControls();
   }
 
   /**
@@ -147,11 +169,13 @@ export function createTicketManagement(container, options = {}) {
       `;
     }
 
-    let html = '<div class="ticket-management-list">';
+    let html = renderListToolbar(activePages);
+    html += '<div class="ticket-management-list">';
     tickets.forEach(ticket => {
       html += renderTicketItem(ticket);
     });
     html += '</div>';
+    html += renderLoadMore(activePages);
 
     return html;
   }
@@ -170,15 +194,87 @@ export function createTicketManagement(container, options = {}) {
       `;
     }
 
-    let html = '<div class="ticket-management-list">';
+    let html = renderListToolbar(archivePages);
+    html += '<div class="ticket-management-list">';
     archivedTickets.forEach(ticket => {
       html += renderTicketItem(ticket, true); // Pass isArchive flag
     });
     html += '</div>';
+    html += renderLoadMore(archivePages);
 
     return html;
   }
 
+  /**
+   * Render sort controls and the number of loaded tickets
+   * @param {object} pages - Ticket pages of the current tab
+   * @returns {string} HTML string
+   */
+  function renderListToolbar(pages) {
+    return `
+      <div class="ticket-list-toolbar" style="display: flex; gap: 0.75rem; align-items: center; flex-wrap: wrap; margin-bottom: 1rem;">
+        <label class="form-label" for="ticket-sort" style="margin: 0;">${t('ticketManagement.sortBy')}</label>
+        <select id="ticket-sort" class="form-select" style="width: auto;">
+          ${TICKET_SORT_FIELDS.map(field => `
+            <option value="${field}" ${pages.sort === field ? 'selected' : ''}>${t(`ticketManagement.sort_${field}`)}</option>
+          `).join('')}
+        </select>
+        <button type="button" id="ticket-sort-order" class="btn btn-secondary btn-sm" title="${t(`ticketManagement.order_${pages.order}`)}">
+          ${pages.order === 'asc' ? '↑' : '↓'} ${t(`ticketManagement.order_${pages.order}`)}
+        </button>
+        <span style="margin-left: auto; color: var(--text-secondary); font-size: var(--font-size-sm);">
+          ${t('ticketManagement.shownOf').replace('{shown}', pages.tickets.length).replace('{total}', pages.total)}
+        </span>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the button that loads the next page
+   * @param {object} pages - Ticket pages of the current tab
+   * @returns {string} HTML string (empty when everything is loaded)
+   */
+  function renderLoadMore(pages) {
+    if (!pages.hasMore) {
+      return '';
+    }
+    return `
+      <div style="text-align: center; margin-top: 1rem;">
+        <button type="button" id="ticket-load-more" class="btn btn-secondary">${t('ticketManagement.loadMore')}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Attach sort and load more listeners of the current tab
+   */
+  function attachListControls() {
+    const pages = activeTab === 'archive' ? archivePages : activePages;
+    const reload = () => (activeTab === 'archive' ? loadArchive(false) : loadTickets(false).catch(() => {}));
+
+    container.querySelector('#ticket-sort')?.addEventListener('change', (e) => {
+      pages.setSort(e.target.value, pages.order);
+      reload();
+    });
+    container.querySelector('#ticket-sort-order')?.addEventListener('click', () => {
+      pages.setSort(pages.sort, pages.order === 'asc' ? 'desc' : 'asc');
+      reload();
+    });
+    container.querySelector('#ticket-load-more')?.addEventListener('click', async (e) => {
+      e.target.disabled = true;
+      try {
+        await pages.loadMore();
+      } catch (error) {
+        console.error('Error loading more tickets:', error);
+      }
+      if (activeTab === 'archive') {
+        renderArchiveList();
+      } else {
+        renderTicketList(activePages.tickets);
+      }
+    });
+  }
+
   /**
    * Render ticket list with header including connection status (DEPRECATED - replaced by renderTabsContainer)
    * @param {Array} ticketsList - Array of ticket objects
@@ -186,11 +282,6 @@ export function createTicketManagement(container, options = {}) {
   function renderTicketList(ticketsList) {
     tickets = ticketsList || [];
 
-    // Update latest timestamp
-    if (tickets.length > 0) {
-      latestTimestamp = Math.max(...tickets.map(t => t.updated_at || t.submitted_at));
-    }
-
     renderTabsContainer();
     
     // Attach event listeners for each ticket
@@ -200,34 +291,40 @@ export function createTicketManagement(container, options = {}) {
   }
 
   /**
-   * Merge new/updated tickets into existing list
-   * @param {Array} newTickets - New or updated tickets
+   * Render the loaded archive page(s)
    */
-  function mergeTickets(newTickets) {
-    if (!newTickets || newTickets.length === 0) {
-      return;
-    }
-
-    const ticketMap = new Map(tickets.map(t => [t.id, t]));
-
-    // Update or add tickets
-    newTickets.forEach(ticket => {
-      ticketMap.set(ticket.id, ticket);
-    });
-
-    tickets = Array.from(ticketMap.values());
-
+  function renderArchiveList() {
+    archivedTickets = archivePages.tickets;
     renderTabsContainer();
-    
-    // Attach event listeners for each ticket
-    tickets.forEach(ticket => {
+
+    // Attach event listeners for each archived ticket
+    archivedTickets.forEach(ticket => {
       attachTicketListeners(ticket.id);
     });
   }
 
+  /**
+   * Get the query parameters of the current filters
+   * @returns {object} Filter parameters for GET /tickets
+   */
+  function getFilterParams() {
+    const filters = getFilters();
+    return {
+      status: filters.status,
+      priority: filters.priority,
+      category: filters.category,
+      assigned_to: filters.assigned_to,
+      company_name: filters.company_name,
+      start_date: filters.start_date,
+      end_date: filters.end_date,
+      my_tickets_only: Boolean(filters.my_tickets_only),
+      breaching_soon: Boolean(filters.breaching_soon),
+    };
+  }
+
   /**
    * Load archived tickets from API (Feature 9: Archive Account Management)
-   * @param {boolean} incremental - If true, only fetch tickets updated since latestArchiveTimestamp
+   * @param {boolean} incremental - If true, only apply the changes since the last load
    */
   async function loadArchive(incremental = false) {
     if (isLoading && incremental) return;
@@ -247,44 +344,18 @@ export function createTicketManagement(container, options = {}) {
     }
 
     try {
-      const queryParams = new URLSearchParams();
-
-      // Add ?since parameter for incremental polling
-      if (incremental && latestArchiveTimestamp) {
-        queryParams.append('since', latestArchiveTimestamp);
-      }
-
-      const queryString = queryParams.toString();
-      const endpoint = `/tickets/archive${queryString ? `?${queryString}` : ''}`;
-
-      const response = await get(endpoint);
-      const newArchivedTickets = response.tickets || [];
-
       if (incremental) {
-        // Merge new/updated archived tickets
-        const archiveMap = new Map(archivedTickets.map(t => [t.id, t]));
-        newArchivedTickets.forEach(ticket => {
-          archiveMap.set(ticket.id, ticket);
-        });
-        archivedTickets = Array.from(archiveMap.values());
+        // Apply deletions, restorations and changes since the last load
+        if (!(await archivePages.sync())) {
+          return;
+        }
       } else {
-        // Replace all archived tickets
-        archivedTickets = newArchivedTickets;
-      }
-
-      // Update latest archive timestamp
-      if (archivedTickets.length > 0) {
-        latestArchiveTimestamp = Math.max(...archivedTickets.map(t => t.updated_at || t.submitted_at));
+        await archivePages.reload();
       }
 
-      renderTabsContainer();
-      
-      // Attach event listeners for each archived ticket
-      archivedTickets.forEach(ticket => {
-        attachTicketListeners(ticket.id);
-      });
+      renderArchiveList();
 
-      console.log(`${incremental ? 'Updated' : 'Loaded'} ${archivedTickets.length} archived tickets`);
+      console.log(`${incremental ? 'Updated' : 'Loaded'} ${archivedTickets.length} of ${archivePages.total} archived tickets`);
     } catch (error) {
       console.error('Error loading archive:', error);
       const contentContainer = document.getElementById('ticket-management-content');
@@ -352,6 +423,7 @@ export function createTicketManagement(container, options = {}) {
   function renderTicketItem(ticket, isArchive = false) {
     const statusClass = `badge-${ticket.status}`;
     const statusLabelTranslated = t(`status.${ticket.status}`) || ticket.status.replace(/_/g, ' ');
+    const history = renderTicketHistoryControls(ticket.id);
     
     return `
       <div class="card ticket-management-item" data-ticket-id="${ticket.id}">
@@ -360,7 +432,13 @@ export function createTicketManagement(container, options = {}) {
             <strong>${t('ticketManagement.ticketNumber')}${ticket.id}</strong>
             <span class="ticket-client">${escapeHtml(ticket.company_name)}</span>
           </div>
-          <span class="badge ${statusClass}">${statusLabelTranslated}</span>
+          <div class="ticket-badges">
+            ${isArchive ? '' : renderSlaBadge(ticket)}
+            ${renderPriorityBadge(ticket)}
+            ${renderCategoryBadge(ticket)}
+            ${renderCoverageBadge(ticket.coverage_status)}
+            <span class="badge ${statusClass}">${statusLabelTranslated}</span>
+          </div>
         </div>
         <div class="ticket-body">
           <div class="ticket-field">
@@ -380,6 +458,12 @@ export function createTicketManagement(container, options = {}) {
               <label>${t('ticketManagement.estimatedCompletion')}</label>
               <span>${formatDate(ticket.estimated_completion_at)}</span>
             </div>
+            ${ticket.required_skill ? `
+            <div class="ticket-meta-item">
+              <label>${t('ticketManagement.requiredSkill')}</label>
+              <span>${escapeHtml(skillNames.get(ticket.required_skill) || ticket.required_skill)}</span>
+            </div>
+            ` : ''}
           </div>
           ${isArchive ? `
           <!-- Archive view: read-only with restore button (Feature 9: Archive Account Management) -->
@@ -403,16 +487,18 @@ export function createTicketManagement(container, options = {}) {
           </div>
           <div class="ticket-actions" style="margin-top: var(--spacing-md); padding-top: var(--spacing-md); border-top: 1px solid var(--border-color);">
             <button class="btn btn-secondary btn-sm" data-chat-ticket="${ticket.id}">${t('ticketManagement.openChat')}</button>
-            ${currentUserIsMaster ? `<button class="btn btn-primary btn-sm" data-restore-ticket="${ticket.id}">${t('ticketManagement.restore') || 'Restore'}</button>` : ''}
+            ${history.button}
+            ${canRestore ? `<button class="btn btn-primary btn-sm" data-restore-ticket="${ticket.id}">${t('ticketManagement.restore') || 'Restore'}</button>` : ''}
           </div>
+          ${history.panel}
           ` : `
           <div class="ticket-management-actions">
-            ${currentUserIsMaster ? `
+            ${canAssign ? `
             <div class="form-group">
               <label class="form-label" for="assign-engineer-${ticket.id}">
                 ${t('ticketManagement.assignEngineerLabel') || 'Assign Engineer'}
                 <small style="display: block; color: var(--text-muted, #666); font-weight: normal;">
-                  ${t('ticketManagement.masterOnly') || 'Master accounts only'}
+                  ${t('ticketManagement.assignPermissionHint')}
                 </small>
               </label>
               <select class="form-select" id="assign-engineer-${ticket.id}">
@@ -436,7 +522,7 @@ export function createTicketManagement(container, options = {}) {
                 </small>
               </label>
               <p style="margin: 0; font-size: 0.875rem; color: var(--text-muted, #666);">
-                ${t('ticketManagement.masterOnlyManualAssignment') || 'Only master accounts can manually assign tickets'}
+                ${t('ticketManagement.masterOnlyManualAssignment')}
               </p>
             </div>
             `}
@@ -450,6 +536,18 @@ export function createTicketManagement(container, options = {}) {
                 <option value="closed" ${ticket.status === 'closed' ? 'selected' : ''}>${t('status.closed')}</option>
               </select>
             </div>
+            <div class="form-group">
+              <label class="form-label" for="ticket-priority-${ticket.id}">${t('ticketManagement.priority')}</label>
+              <select class="form-select" id="ticket-priority-${ticket.id}">
+                ${renderPriorityOptions(ticket.priority)}
+              </select>
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="ticket-category-${ticket.id}">${t('ticketManagement.category')}</label>
+              <select class="form-select" id="ticket-category-${ticket.id}">
+                ${renderCategoryOptions(ticket.category)}
+              </select>
+            </div>
             <div class="form-group">
               <label class="form-label" for="estimated-completion-${ticket.id}">${t('ticketManagement.estimatedCompletionLabel')}</label>
               <input 
@@ -465,7 +563,9 @@ export function createTicketManagement(container, options = {}) {
           </div>
           <div class="ticket-actions" style="margin-top: var(--spacing-md); padding-top: var(--spacing-md); border-top: 1px solid var(--border-color);">
             <button class="btn btn-secondary btn-sm" data-chat-ticket="${ticket.id}">${t('ticketManagement.openChat')}</button>
+            ${history.button}
           </div>
+          ${history.panel}
           `}
         </div>
       </div>
@@ -554,6 +654,9 @@ export function createTicketManagement(container, options = {}) {
     if (restoreBtn) {
       restoreBtn.addEventListener('click', () => handleRestoreTicket(ticketId));
     }
+
+    // Attach history toggle (reopens the timeline if it was open before re-render)
+    attachTicketHistoryToggle(document, ticketId, expandedHistoryIds);
   }
 
   /**
@@ -564,6 +667,8 @@ export function createTicketManagement(container, options = {}) {
     if (isLoading) return;
 
     const statusSelect = document.getElementById(`ticket-status-${ticketId}`);
+    const prioritySelect = document.getElementById(`ticket-priority-${ticketId}`);
+    const categorySelect = document.getElementById(`ticket-category-${ticketId}`);
     const engineerSelect = document.getElementById(`assign-engineer-${ticketId}`);
     const completionInput = document.getElementById(`estimated-completion-${ticketId}`);
     const saveBtn = document.getElementById(`save-ticket-${ticketId}`);
@@ -574,16 +679,24 @@ export function createTicketManagement(container, options = {}) {
       updates.status = statusSelect.value;
     }
 
-    // For master accounts, handle assignment separately via manual assignment endpoint
+    if (prioritySelect) {
+      updates.priority = prioritySelect.value;
+    }
+
+    if (categorySelect) {
+      updates.category = categorySelect.value;
+    }
+
+    // For dispatchers, handle assignment separately via manual assignment endpoint
     let assignmentChanged = false;
     let newAssignedId = null;
-    if (currentUserIsMaster && engineerSelect) {
+    if (canAssign && engineerSelect) {
       const ticket = tickets.find(t => t.id === ticketId);
       newAssignedId = engineerSelect.value || null;
       const oldAssignedId = ticket?.assigned_engineer_id || null;
       assignmentChanged = newAssignedId !== oldAssignedId;
-    } else if (engineerSelect && currentUserIsMaster === false) {
-      // Regular admins cannot change assignment - this shouldn't happen as the select shouldn't exist
+    } else if (engineerSelect && canAssign === false) {
+      // Administrators without tickets.assign cannot change assignment - this shouldn't happen as the select shouldn't exist
       // but if it does, ignore it
     }
 
@@ -607,21 +720,21 @@ export function createTicketManagement(container, options = {}) {
     saveBtn.textContent = t('ticketManagement.saving');
 
     try {
-      // Handle manual assignment for master accounts
-      if (assignmentChanged && currentUserIsMaster) {
+      // Handle manual assignment for dispatchers
+      if (assignmentChanged && canAssign) {
         try {
           await post(`/tickets/${ticketId}/assign`, { assigned_engineer_id: newAssignedId });
         } catch (assignError) {
           console.error('Error assigning ticket:', assignError);
           if (assignError.data && assignError.data.error === 'forbidden') {
-            alert(t('ticketManagement.masterOnly') || 'Only master accounts can manually assign tickets');
+            alert(t('ticketManagement.masterOnlyManualAssignment'));
             return;
           }
           throw assignError;
         }
       }
 
-      // Update other fields (status, estimated_completion_at)
+      // Update other fields (status, priority, category, estimated_completion_at)
       if (Object.keys(updates).length > 0) {
         await patch(`/tickets/${ticketId}`, updates);
       }
@@ -653,7 +766,7 @@ export function createTicketManagement(container, options = {}) {
 
   /**
    * Load tickets from API
-   * @param {boolean} incremental - If true, only fetch tickets updated since latestTimestamp
+   * @param {boolean} incremental - If true, only apply the changes since the last load
    * @throws {Error} If loading fails (for polling manager)
    */
   async function loadTickets(incremental = false) {
@@ -684,36 +797,17 @@ export function createTicketManagement(container, options = {}) {
     }
 
     try {
-      const filters = getFilters();
-      const queryParams = new URLSearchParams();
-
-      // Add ?since parameter for incremental polling
-      if (incremental && latestTimestamp) {
-        queryParams.append('since', latestTimestamp);
-      }
-
-      if (filters.status) queryParams.append('status', filters.status);
-      if (filters.assigned_to) queryParams.append('assigned_to', filters.assigned_to);
-      if (filters.company_name) queryParams.append('company_name', filters.company_name);
-      if (filters.start_date) queryParams.append('start_date', filters.start_date);
-      if (filters.end_date) queryParams.append('end_date', filters.end_date);
-      if (filters.my_tickets_only) queryParams.append('my_tickets_only', 'true');
-
-      const queryString = queryParams.toString();
-      const endpoint = `/tickets${queryString ? `?${queryString}` : ''}`;
-
-      const response = await get(endpoint);
-      const newTickets = response.tickets || [];
-
       if (incremental) {
-        // Merge new/updated tickets
-        mergeTickets(newTickets);
+        // Apply deletions, archived tickets and changes since the last load
+        if (await activePages.sync()) {
+          renderTicketList(activePages.tickets);
+        }
       } else {
-        // Replace all tickets
-        renderTicketList(newTickets);
+        await activePages.reload();
+        renderTicketList(activePages.tickets);
       }
 
-      console.log(`${incremental ? 'Updated' : 'Loaded'} ${newTickets.length} tickets`);
+      console.log(`${incremental ? 'Updated' : 'Loaded'} ${tickets.length} of ${activePages.total} tickets`);
     } catch (error) {
       console.error('Error loading tickets:', error);
       if (!incremental) {
@@ -756,12 +850,15 @@ export function createTicketManagement(container, options = {}) {
   }
 
   /**
-   * Initialize polling with realtime service (Feature 9: Archive Account Management)
+   * Initialize real-time updates: server push with polling fallback (Feature 9: Archive Account Management)
    */
   function initializePolling() {
-    const POLLING_INTERVAL = 8000; // Poll every 8 seconds for tickets
+    const POLLING_INTERVAL = 8000; // Fallback poll every 8 seconds while the event stream is down
 
-    pollingManager = createPollingManager({
+    pollingManager = createRealtimeChannel({
+      events: {
+        ticket_updated: () => loadTickets(true).catch(() => {}),
+      },
       pollFn: () => loadTickets(true),
       interval: POLLING_INTERVAL,
       onStatusChange: (status) => {
@@ -773,7 +870,10 @@ export function createTicketManagement(container, options = {}) {
     });
 
     // Archive polling (Feature 9)
-    archivePollingManager = createPollingManager({
+    archivePollingManager = createRealtimeChannel({
+      events: {
+        ticket_updated: () => loadArchive(true),
+      },
       pollFn: () => loadArchive(true),
       interval: POLLING_INTERVAL,
       onStatusChange: () => {
@@ -789,6 +889,9 @@ export function createTicketManagement(container, options = {}) {
 
     // Start active tickets polling
     pollingManager.start();
+
+    // Move SLA countdowns between updates
+    slaCountdownTimer = setInterval(() => refreshSlaBadges(container), 30000);
     
     // Start archive polling only when archive tab is active
     // We'll manage this in the tab switching logic
@@ -810,11 +913,31 @@ export function createTicketManagement(container, options = {}) {
       visibilityCleanup();
       visibilityCleanup = null;
     }
+    if (slaCountdownTimer) {
+      clearInterval(slaCountdownTimer);
+      slaCountdownTimer = null;
+    }
+  }
+
+  /**
+   * Load skill names for the required skill field
+   */
+  async function loadSkillNames() {
+    try {
+      const response = await get('/skills');
+      (response.skills || []).forEach(skill => skillNames.set(skill.id, skill.name));
+      if (tickets.length > 0) {
+        renderTicketList(tickets);
+      }
+    } catch (error) {
+      console.error('Error loading skills:', error);
+    }
   }
 
   // Initial render to show loading state
   console.log('Rendering initial tabs container');
   renderTabsContainer();
+  loadSkillNames();
 
   // Initial load
   console.log('Starting initial ticket load');
@@ -0,0 +1,251 @@
+/**
+ * Two-Factor Modal Component
+ * Lets an administrator turn TOTP two-factor authentication on or off and replace backup codes
+ */
+
+import { get, post } from '../services/api.js';
+import { t } from '../services/i18n.js';
+
+let currentModal = null;
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Show two-factor authentication modal
+ */
+export async function showTwoFactorModal() {
+  if (currentModal) {
+    return; // Modal already open
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'modal-backdrop';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-labelledby', 'two-factor-modal-title');
+  modal.setAttribute('aria-modal', 'true');
+
+  modal.innerHTML = `
+    <div class="modal two-factor-modal">
+      <div class="modal-header">
+        <h3 class="modal-title" id="two-factor-modal-title">${t('twoFactor.title')}</h3>
+        <button class="modal-close" aria-label="${t('common.close')}">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div id="two-factor-content">
+          <p>${t('twoFactor.loading')}</p>
+        </div>
+        <div id="two-factor-modal-error" class="error-message" role="alert" style="display: none;"></div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  currentModal = modal;
+
+  const closeModal = () => {
+    if (currentModal) {
+      document.body.removeChild(currentModal);
+      currentModal = null;
+    }
+  };
+
+  modal.querySelector('.modal-close').addEventListener('click', closeModal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+
+  document.addEventListener('keydown', function escapeHandler(e) {
+    if (e.key === 'Escape' && currentModal) {
+      closeModal();
+      document.removeEventListener('keydown', escapeHandler);
+    }
+  });
+
+  await showStatusStep();
+}
+
+/**
+ * Show an error in the modal
+ * @param {Error|null} error - API error, or null to hide the error
+ */
+function showModalError(error) {
+  const errorElement = currentModal?.querySelector('#two-factor-modal-error');
+  if (!errorElement) return;
+
+  if (!error) {
+    errorElement.style.display = 'none';
+    errorElement.textContent = '';
+    return;
+  }
+
+  errorElement.textContent = error.data?.error === 'invalid_code'
+    ? t('twoFactor.invalidCode')
+    : (error.data?.message || t('twoFactor.errorOccurred'));
+  errorElement.style.display = 'block';
+}
+
+/**
+ * Render a step into the modal body
+ * @param {string} html - Step markup
+ */
+function renderStep(html) {
+  showModalError(null);
+  currentModal.querySelector('#two-factor-content').innerHTML = html;
+}
+
+/**
+ * Markup of a verification code input
+ * @returns {string} HTML
+ */
+function codeInputHtml() {
+  return `
+    <div class="form-group">
+      <label for="two-factor-modal-code">${t('twoFactor.codeLabel')}</label>
+      <input type="text" id="two-factor-modal-code" class="form-input" autocomplete="one-time-code" placeholder="123456" />
+    </div>
+  `;
+}
+
+/**
+ * Read the verification code input, showing an error when it is empty
+ * @returns {string|null} Code or null
+ */
+function readCode() {
+  const code = currentModal.querySelector('#two-factor-modal-code').value.trim();
+  if (!code) {
+    showModalError({ data: { message: t('twoFactor.codeRequired') } });
+    return null;
+  }
+  return code;
+}
+
+/**
+ * Show current status with the available actions
+ */
+async function showStatusStep() {
+  let status;
+  try {
+    status = await get('/auth/2fa');
+  } catch (error) {
+    showModalError(error);
+    return;
+  }
+  if (!currentModal) return;
+
+  if (!status.enabled) {
+    renderStep(`
+      <p>${t('twoFactor.statusDisabled')}</p>
+      ${status.required ? `<p><strong>${t('twoFactor.requiredNote')}</strong></p>` : ''}
+      <div class="form-actions">
+        <button type="button" id="two-factor-enable-btn" class="btn btn-primary">${t('twoFactor.enable')}</button>
+      </div>
+    `);
+    currentModal.querySelector('#two-factor-enable-btn').addEventListener('click', showSetupStep);
+    return;
+  }
+
+  renderStep(`
+    <p>${t('twoFactor.statusEnabled')}</p>
+    <p>${t('twoFactor.backupCodesRemaining')} <strong>${status.backup_codes_remaining}</strong></p>
+    <p>${t('twoFactor.confirmWithCode')}</p>
+    ${codeInputHtml()}
+    <div class="form-actions">
+      <button type="button" id="two-factor-regenerate-btn" class="btn btn-secondary">${t('twoFactor.regenerateCodes')}</button>
+      ${status.required ? '' : `<button type="button" id="two-factor-disable-btn" class="btn btn-danger">${t('twoFactor.disable')}</button>`}
+    </div>
+  `);
+
+  currentModal.querySelector('#two-factor-regenerate-btn').addEventListener('click', async (e) => {
+    const code = readCode();
+    if (!code) return;
+    e.target.disabled = true;
+    try {
+      const response = await post('/auth/2fa/backup-codes', { code });
+      showBackupCodesStep(response.backup_codes);
+    } catch (error) {
+      showModalError(error);
+      e.target.disabled = false;
+    }
+  });
+
+  currentModal.querySelector('#two-factor-disable-btn')?.addEventListener('click', async (e) => {
+    const code = readCode();
+    if (!code) return;
+    e.target.disabled = true;
+    try {
+      await post('/auth/2fa/disable', { code });
+      await showStatusStep();
+    } catch (error) {
+      showModalError(error);
+      e.target.disabled = false;
+    }
+  });
+}
+
+/**
+ * Start enrollment and show the setup key
+ */
+async function showSetupStep() {
+  let setup;
+  try {
+    setup = await post('/auth/2fa/setup', {});
+  } catch (error) {
+    showModalError(error);
+    return;
+  }
+  if (!currentModal) return;
+
+  renderStep(`
+    <p>${t('twoFactor.setupInstructions')}</p>
+    <p>
+      <strong>${t('twoFactor.secretLabel')}</strong>
+      <code style="word-break: break-all; user-select: all;">${escapeHtml(setup.secret.match(/.{1,4}/g).join(' '))}</code>
+    </p>
+    <p><a href="${escapeHtml(setup.otpauth_uri)}">${t('twoFactor.openInApp')}</a></p>
+    ${codeInputHtml()}
+    <div class="form-actions">
+      <button type="button" id="two-factor-confirm-btn" class="btn btn-primary">${t('twoFactor.confirm')}</button>
+    </div>
+  `);
+
+  currentModal.querySelector('#two-factor-modal-code').focus();
+  currentModal.querySelector('#two-factor-confirm-btn').addEventListener('click', async (e) => {
+    const code = readCode();
+    if (!code) return;
+    e.target.disabled = true;
+    try {
+      const response = await post('/auth/2fa/confirm', { code });
+      showBackupCodesStep(response.backup_codes);
+    } catch (error) {
+      showModalError(error);
+      e.target.disabled = false;
+    }
+  });
+}
+
+/**
+ * Show newly issued backup codes (displayed once)
+ * @param {string[]} backupCodes - Backup codes
+ */
+function showBackupCodesStep(backupCodes) {
+  renderStep(`
+    <p>${t('twoFactor.backupCodesText')}</p>
+    <pre style="font-size: 1rem; line-height: 1.6;">${escapeHtml(backupCodes.join('\n'))}</pre>
+    <div class="form-actions">
+      <button type="button" id="two-factor-done-btn" class="btn btn-primary">${t('twoFactor.done')}</button>
+    </div>
+  `);
+
+  currentModal.querySelector('#two-factor-done-btn').addEventListener('click', showStatusStep);
+}
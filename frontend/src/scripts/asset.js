@@ -0,0 +1,205 @@
+/**
+ * Asset Page Script
+ * Shows a registered server and every ticket raised against its serial number
+ */
+
+import { isAuthenticated, getUser } from '../services/storage.js';
+import { get } from '../services/api.js';
+import { t, getCurrentLanguage } from '../services/i18n.js';
+import { createLanguageSwitcher } from '../components/language-switcher.js';
+import { renderPriorityBadge, renderCategoryBadge } from '../components/ticket-classification.js';
+import { renderCoverageBadge } from '../components/coverage-badge.js';
+
+let assetData = null;
+let loadError = null;
+
+window.addEventListener('DOMContentLoaded', async () => {
+  if (!isAuthenticated()) {
+    window.location.href = '/';
+    return;
+  }
+
+  const user = getUser();
+  const equipmentId = new URLSearchParams(window.location.search).get('id');
+
+  const backLink = document.getElementById('asset-back-link');
+  if (backLink && user) {
+    backLink.href = user.role === 'client'
+      ? '/src/pages/client-dashboard.html'
+      : '/src/pages/support-dashboard.html';
+  }
+
+  const switcherContainer = document.getElementById('language-switcher-container');
+  if (switcherContainer) {
+    createLanguageSwitcher(switcherContainer, () => {
+      window.dispatchEvent(new CustomEvent('languagechange'));
+    });
+  }
+  window.addEventListener('languagechange', render);
+
+  if (!equipmentId) {
+    loadError = t('equipment.notFound');
+    render();
+    return;
+  }
+
+  try {
+    assetData = await get(`/equipment/${encodeURIComponent(equipmentId)}`);
+  } catch (error) {
+    console.error('Error loading asset:', error);
+    loadError = error.status === 404 ? t('equipment.notFound') : t('equipment.loadError');
+  }
+  render();
+});
+
+/**
+ * Format a Unix timestamp as a date
+ * @param {number|null} timestamp - Unix timestamp in seconds
+ * @param {boolean} withTime - Include hours and minutes
+ * @returns {string} Formatted date or "Not set"
+ */
+function formatDate(timestamp, withTime = false) {
+  if (!timestamp) return t('equipment.notSet');
+  const locale = getCurrentLanguage() === 'ru' ? 'ru-RU' : 'en-US';
+  const options = { year: 'numeric', month: 'short', day: 'numeric' };
+  if (withTime) {
+    options.hour = '2-digit';
+    options.minute = '2-digit';
+  }
+  return new Date(timestamp * 1000).toLocaleString(locale, options);
+}
+
+/**
+ * Render the warranty state of an asset
+ * @param {object} equipment - Equipment object
+ * @returns {string} HTML string
+ */
+function renderWarranty(equipment) {
+  if (!equipment.warranty_end) {
+    return t('equipment.notSet');
+  }
+  const expired = equipment.warranty_end < Math.floor(Date.now() / 1000);
+  return `${formatDate(equipment.warranty_end)}
+    <span class="badge ${expired ? 'badge-closed' : 'badge-in_progress'}">${expired ? t('equipment.warrantyExpired') : t('equipment.warrantyActive')}</span>`;
+}
+
+/**
+ * Render the coverage state and covering service contract of an asset
+ * @param {object} coverage - Coverage ({status, contract})
+ * @returns {string} HTML string
+ */
+function renderCoverage(coverage) {
+  const badge = renderCoverageBadge(coverage?.status) || t('coverage.unknown');
+  const contract = coverage?.contract;
+  if (!contract) {
+    return renderDetail(t('coverage.label'), badge);
+  }
+
+  const commitments = [
+    contract.response_minutes ? `${t('contracts.responseMinutes')}: ${contract.response_minutes}` : '',
+    contract.resolution_minutes ? `${t('contracts.resolutionMinutes')}: ${contract.resolution_minutes}` : '',
+  ].filter(Boolean).join(', ');
+
+  return `
+    ${renderDetail(t('coverage.label'), badge)}
+    ${renderDetail(t('contracts.contractNumber'), escapeHtml(contract.contract_number))}
+    ${renderDetail(t('contracts.coverageLevel'), t(`contracts.level_${contract.coverage_level}`))}
+    ${renderDetail(t('contracts.endDate'), formatDate(contract.end_date))}
+    ${commitments ? renderDetail(t('contracts.commitments'), escapeHtml(commitments)) : ''}
+  `;
+}
+
+/**
+ * Render asset details and its ticket history
+ */
+function render() {
+  document.documentElement.lang = getCurrentLanguage();
+  document.getElementById('asset-back-text').textContent = t('equipment.backToDashboard');
+  document.getElementById('asset-tickets-title').textContent = t('equipment.ticketHistory');
+
+  const titleEl = document.getElementById('asset-title');
+  const detailsContainer = document.getElementById('asset-details-container');
+  const ticketsContainer = document.getElementById('asset-tickets-container');
+
+  if (loadError || !assetData) {
+    titleEl.textContent = t('equipment.assetTitle');
+    detailsContainer.innerHTML = `<div class="error-message">${escapeHtml(loadError || t('equipment.loading'))}</div>`;
+    ticketsContainer.innerHTML = '';
+    return;
+  }
+
+  const { equipment, tickets, coverage } = assetData;
+  titleEl.textContent = `${t('equipment.assetTitle')} ${equipment.serial_number}`;
+  document.title = `${equipment.serial_number} - Server Support CRM`;
+
+  detailsContainer.innerHTML = `
+    <div class="card">
+      <div class="ticket-meta">
+        ${renderDetail(t('equipment.serialNumber'), escapeHtml(equipment.serial_number))}
+        ${renderDetail(t('equipment.company'), escapeHtml(equipment.company_name || ''))}
+        ${renderDetail(t('equipment.vendor'), escapeHtml(equipment.vendor || t('equipment.notSet')))}
+        ${renderDetail(t('equipment.model'), escapeHtml(equipment.model || t('equipment.notSet')))}
+        ${renderDetail(t('equipment.location'), escapeHtml(equipment.location || t('equipment.notSet')))}
+        ${renderDetail(t('equipment.purchaseDate'), formatDate(equipment.purchase_date))}
+        ${renderDetail(t('equipment.warrantyEnd'), renderWarranty(equipment))}
+        ${renderCoverage(coverage)}
+      </div>
+    </div>
+  `;
+
+  if (tickets.length === 0) {
+    ticketsContainer.innerHTML = `<p class="empty-state">${t('equipment.noTickets')}</p>`;
+    return;
+  }
+
+  ticketsContainer.innerHTML = tickets.map(ticket => `
+    <div class="card ticket-item" style="margin-bottom: var(--spacing-md);">
+      <div class="ticket-header">
+        <div class="ticket-id">
+          <strong>${t('ticketList.ticketNumber')}${escapeHtml(ticket.id)}</strong>
+        </div>
+        <div class="ticket-badges">
+          ${renderPriorityBadge(ticket)}
+          ${renderCategoryBadge(ticket)}
+          <span class="badge badge-${ticket.status}">${t(`status.${ticket.status}`) || ticket.status.replace(/_/g, ' ')}</span>
+        </div>
+      </div>
+      <div class="ticket-body">
+        <div class="ticket-field">
+          <p>${escapeHtml(ticket.problem_description)}</p>
+        </div>
+        <div class="ticket-meta">
+          ${renderDetail(t('ticketList.submitted'), formatDate(ticket.submitted_at, true))}
+          ${renderDetail(t('equipment.lastUpdated'), formatDate(ticket.updated_at, true))}
+          ${renderDetail(t('equipment.reportedBy'), escapeHtml(ticket.client_full_name || ''))}
+        </div>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Render a label/value pair
+ * @param {string} label - Translated label
+ * @param {string} valueHtml - Already escaped value HTML
+ * @returns {string} HTML string
+ */
+function renderDetail(label, valueHtml) {
+  return `
+    <div class="ticket-meta-item">
+      <label>${label}</label>
+      <span>${valueHtml}</span>
+    </div>
+  `;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -1,6 +1,8 @@
 /**
  * Authentication script for landing page
  * Handles login form submission, authentication, and routing
+ * Administrators with two-factor authentication get a second step (code entry, or
+ * enrollment when it is required for their account) before the session is saved.
  */
 
 import { post, get } from '../services/api.js';
@@ -8,6 +10,9 @@ import { saveSession, isAuthenticated, getUser } from '../services/storage.js';
 import { t } from '../services/i18n.js';
 import { showRecoveryModal } from '../components/recovery-modal.js';
 
+// Pending two-factor challenge from the login response ({ two_factor, challenge_token })
+let twoFactorChallenge = null;
+
 // Check if user is already authenticated and redirect
 window.addEventListener('DOMContentLoaded', async () => {
   if (isAuthenticated()) {
@@ -20,6 +25,9 @@ window.addEventListener('DOMContentLoaded', async () => {
 
   // Setup login form handler
   setupLoginForm();
+
+  // Setup two-factor step handlers
+  setupTwoFactorForm();
   
   // Setup password visibility toggle
   setupPasswordVisibilityToggle();
@@ -102,11 +110,13 @@ function setupLoginForm() {
       // Attempt login
       const response = await post('/auth/login', { login: username, password });
 
-      // Save session
-      saveSession(response.token, response.user);
+      if (response.two_factor) {
+        setLoading(false);
+        await showTwoFactorStep(response);
+        return;
+      }
 
-      // Redirect based on user role
-      redirectToDashboard(response.user.role);
+      completeLogin(response);
     } catch (error) {
       setLoading(false);
       handleLoginError(error);
@@ -114,6 +124,126 @@ function setupLoginForm() {
   });
 }
 
+/**
+ * Save the session from a login response and open the dashboard
+ * @param {object} response - Login response ({ token, refresh_token, expires_in, user })
+ */
+function completeLogin(response) {
+  saveSession(response.token, response.user, response.refresh_token, response.expires_in);
+  redirectToDashboard(response.user.role);
+}
+
+/**
+ * Setup two-factor step event handlers
+ */
+function setupTwoFactorForm() {
+  const form = document.getElementById('two-factor-form');
+  if (!form) return;
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideError('two-factor-error');
+
+    const code = document.getElementById('two-factor-code').value.trim();
+    if (!code) {
+      showError(t('login.twoFactorCodeRequired'), 'two-factor-error');
+      return;
+    }
+
+    const submitButton = document.getElementById('two-factor-submit');
+    const btnText = document.getElementById('two-factor-btn-text');
+    submitButton.disabled = true;
+    btnText.textContent = t('login.twoFactorVerifying');
+
+    try {
+      const endpoint = twoFactorChallenge.two_factor === 'setup' ? '/auth/login/2fa/confirm' : '/auth/login/2fa';
+      const response = await post(endpoint, {
+        challenge_token: twoFactorChallenge.challenge_token,
+        code,
+      });
+
+      if (response.backup_codes) {
+        showBackupCodes(response);
+      } else {
+        completeLogin(response);
+      }
+    } catch (error) {
+      if (error.data?.error === 'invalid_challenge') {
+        showLoginStep();
+        showError(t('login.twoFactorExpired'));
+      } else if (error.data?.error === 'invalid_code') {
+        showError(t('login.twoFactorInvalidCode'), 'two-factor-error');
+      } else if (error.status === 429) {
+        showError(getTooManyAttemptsMessage(error), 'two-factor-error');
+      } else {
+        showError(error.message === 'Failed to fetch' ? t('login.connectionError') : t('login.serverError'), 'two-factor-error');
+      }
+    } finally {
+      submitButton.disabled = false;
+      btnText.textContent = t('login.twoFactorVerify');
+    }
+  });
+
+  document.getElementById('two-factor-back')?.addEventListener('click', showLoginStep);
+}
+
+/**
+ * Switch from the password form to the two-factor step
+ * @param {object} challenge - Login response with two_factor ('verify' or 'setup') and challenge_token
+ */
+async function showTwoFactorStep(challenge) {
+  twoFactorChallenge = challenge;
+
+  document.getElementById('login-form').style.display = 'none';
+  document.getElementById('two-factor-form').style.display = 'block';
+  document.getElementById('two-factor-prompt').style.display = challenge.two_factor === 'verify' ? 'block' : 'none';
+  document.getElementById('two-factor-setup').style.display = 'none';
+  document.getElementById('two-factor-code').value = '';
+  hideError('two-factor-error');
+
+  if (challenge.two_factor === 'setup') {
+    // Enrollment is required before this account can sign in
+    try {
+      const setup = await post('/auth/login/2fa/setup', { challenge_token: challenge.challenge_token });
+      document.getElementById('two-factor-secret').textContent = setup.secret.match(/.{1,4}/g).join(' ');
+      document.getElementById('two-factor-uri').href = setup.otpauth_uri;
+      document.getElementById('two-factor-setup').style.display = 'block';
+    } catch (error) {
+      showLoginStep();
+      showError(error.data?.error === 'invalid_challenge' ? t('login.twoFactorExpired') : t('login.serverError'));
+      return;
+    }
+  }
+
+  document.getElementById('two-factor-code').focus();
+}
+
+/**
+ * Return from the two-factor step to the password form
+ */
+function showLoginStep() {
+  twoFactorChallenge = null;
+  document.getElementById('two-factor-form').style.display = 'none';
+  document.getElementById('backup-codes-step').style.display = 'none';
+  document.getElementById('login-form').style.display = 'block';
+  document.getElementById('password').value = '';
+  document.getElementById('password').focus();
+}
+
+/**
+ * Show the backup codes issued at enrollment, then continue to the dashboard
+ * @param {object} response - Login response with backup_codes
+ */
+function showBackupCodes(response) {
+  document.getElementById('two-factor-form').style.display = 'none';
+  document.getElementById('backup-codes-list').textContent = response.backup_codes.join('\n');
+  document.getElementById('backup-codes-step').style.display = 'block';
+
+  document.getElementById('backup-codes-continue').addEventListener('click', () => {
+    completeLogin(response);
+  }, { once: true });
+}
+
 /**
  * Redirect user to appropriate dashboard based on role
  * @param {string} role - User role ('client' or 'admin')
@@ -129,6 +259,19 @@ function redirectToDashboard(role) {
   }
 }
 
+/**
+ * Build the message for a throttled sign-in attempt
+ * @param {Error} error - API error with status 429 ({ locked, retry_after })
+ * @returns {string} Message
+ */
+function getTooManyAttemptsMessage(error) {
+  const retryAfter = error.data?.retry_after || 1;
+  if (error.data?.locked) {
+    return t('login.accountLocked').replace('{minutes}', Math.ceil(retryAfter / 60));
+  }
+  return t('login.tooManyAttempts').replace('{seconds}', retryAfter);
+}
+
 /**
  * Handle login errors
  * @param {Error} error - Error object
@@ -136,6 +279,8 @@ function redirectToDashboard(role) {
 function handleLoginError(error) {
   if (error.status === 400 || error.status === 401) {
     showError(t('login.invalidCredentials'));
+  } else if (error.status === 429) {
+    showError(getTooManyAttemptsMessage(error));
   } else if (error.status === 500) {
     showError(t('login.serverError'));
   } else if (error.message === 'Failed to fetch') {
@@ -148,9 +293,10 @@ function handleLoginError(error) {
 /**
  * Show error message
  * @param {string} message - Error message
+ * @param {string} elementId - Error element (default: password form error)
  */
-function showError(message) {
-  const errorElement = document.getElementById('login-error');
+function showError(message, elementId = 'login-error') {
+  const errorElement = document.getElementById(elementId);
   if (errorElement) {
     errorElement.textContent = message;
     errorElement.style.display = 'block';
@@ -160,9 +306,10 @@ function showError(message) {
 
 /**
  * Hide error message
+ * @param {string} elementId - Error element (default: password form error)
  */
-function hideError() {
-  const errorElement = document.getElementById('login-error');
+function hideError(elementId = 'login-error') {
+  const errorElement = document.getElementById(elementId);
   if (errorElement) {
     errorElement.style.display = 'none';
     errorElement.textContent = '';
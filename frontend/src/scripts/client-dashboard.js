@@ -3,12 +3,15 @@
  * Initializes client dashboard and handles authentication
  */
 
-import { isAuthenticated, getUser, clearSession } from '../services/storage.js';
+import { isAuthenticated, getUser } from '../services/storage.js';
+import { logout } from '../services/api.js';
 import { createTicketForm } from '../components/ticket-form.js';
 import { createTicketList } from '../components/ticket-list.js';
+import { createAccountSettings } from '../components/account-settings.js';
 import { createChatWidget } from '../components/chat-widget.js';
 import { createNotificationSoundManager, registerOpenChat, unregisterOpenChat } from '../components/notification-sound.js';
 import { createNotificationDropdown } from '../components/notification-dropdown.js';
+import { createGlobalSearch } from '../components/global-search.js';
 import { t } from '../services/i18n.js';
 
 // Store notification manager instance
@@ -110,11 +113,11 @@ function initializeDashboard(user) {
   // Make openChatModal globally accessible
   window.openChatModal = openChatModal;
   
-  // Display company name prominently
+  // Display company name prominently (with the person's name for company users)
   const companyNameElement = document.getElementById('company-name-display');
   if (companyNameElement && user) {
     const companyName = user.company_name || 'N/A';
-    companyNameElement.textContent = companyName;
+    companyNameElement.textContent = user.full_name ? `${companyName} · ${user.full_name}` : companyName;
   }
 
   // Hide user info element (company name with label)
@@ -127,7 +130,7 @@ function initializeDashboard(user) {
   window.addEventListener('languagechange', () => {
     if (companyNameElement && user) {
       const companyName = user.company_name || 'N/A';
-      companyNameElement.textContent = companyName;
+      companyNameElement.textContent = user.full_name ? `${companyName} · ${user.full_name}` : companyName;
     }
   });
 
@@ -179,6 +182,16 @@ function initializeDashboard(user) {
     }
   }
 
+  // Initialize account settings component
+  try {
+    const accountSettingsContainer = document.getElementById('account-settings-container');
+    if (accountSettingsContainer) {
+      createAccountSettings(accountSettingsContainer);
+    }
+  } catch (error) {
+    console.error('Error initializing account settings:', error);
+  }
+
   // Initialize notification system
   try {
     // Add notification dropdown first
@@ -217,6 +230,20 @@ function initializeDashboard(user) {
   } catch (error) {
     console.error('Error initializing notification system:', error);
   }
+
+  // Initialize global search in the header (before the notification bell)
+  try {
+    const headerActions = document.querySelector('.header-actions');
+    if (headerActions) {
+      const searchContainer = document.createElement('div');
+      headerActions.insertBefore(searchContainer, headerActions.firstChild);
+      createGlobalSearch(searchContainer, {
+        onResultClick: (ticketId) => openChatModal(ticketId),
+      });
+    }
+  } catch (error) {
+    console.error('Error initializing global search:', error);
+  }
 }
 
 /**
@@ -235,14 +262,14 @@ function onTicketSubmitted(ticket) {
 /**
  * Handle logout
  */
-function handleLogout() {
+async function handleLogout() {
   // Cleanup notification manager
   if (notificationManager) {
     notificationManager.destroy();
     notificationManager = null;
   }
   
-  clearSession();
+  await logout();
   window.location.href = '/';
 }
 
@@ -3,17 +3,26 @@
  * Initializes support dashboard and handles authentication
  */
 
-import { isAuthenticated, getUser, clearSession } from '../services/storage.js';
+import { isAuthenticated, getUser } from '../services/storage.js';
 import { createClientGenerator } from '../components/client-generator.js';
 import { createFilters } from '../components/filters.js';
 import { createTicketManagement } from '../components/ticket-management.js';
 import { createAdminManagement } from '../components/admin-management.js';
 import { createCompanyManagement } from '../components/company-management.js';
+import { createSlaPolicyManagement } from '../components/sla-policy-management.js';
+import { createEquipmentManagement } from '../components/equipment-management.js';
+import { createContractManagement } from '../components/contract-management.js';
+import { createAuditLog } from '../components/audit-log.js';
+import { createAnalyticsDashboard } from '../components/analytics-dashboard.js';
+import { createRolesManagement } from '../components/roles-management.js';
 import { createChatWidget } from '../components/chat-widget.js';
-import { get, getUnreadCounts } from '../services/api.js';
+import { get, getUnreadCounts, logout } from '../services/api.js';
 import { createNotificationSoundManager, registerOpenChat, unregisterOpenChat } from '../components/notification-sound.js';
 import { createNotificationDropdown } from '../components/notification-dropdown.js';
+import { createGlobalSearch } from '../components/global-search.js';
+import { showTwoFactorModal } from '../components/two-factor-modal.js';
 import { t } from '../services/i18n.js';
+import { hasPermission, isMasterUser } from '../services/permissions.js';
 
 // Store notification manager instance
 let notificationManager = null;
@@ -21,6 +30,12 @@ let notificationManager = null;
 // Store admin management refresh function for polling control (Feature 9: Archive Account Management)
 let adminManagementRefreshFn = null;
 
+// Store audit log refresh function (entries are reloaded when the Audit tab is opened)
+let auditLogRefreshFn = null;
+
+// Store statistics refresh function (statistics are recomputed when the Statistics tab is opened)
+let analyticsRefreshFn = null;
+
 // Check authentication on page load
 window.addEventListener('DOMContentLoaded', async () => {
   // Redirect to login if not authenticated
@@ -41,14 +56,31 @@ window.addEventListener('DOMContentLoaded', async () => {
   initializeDashboard(user);
 });
 
+/**
+ * Permissions that give access to the Accounts tab
+ */
+const ACCOUNTS_TAB_PERMISSIONS = ['admins.create', 'admins.manage', 'admins.delete', 'admins.unlock', 'skills.manage'];
+
+/**
+ * Check whether the current user sees the Accounts tab
+ * @param {object} currentUser - Current user object with is_master and permissions
+ * @returns {boolean} True if any account permission is held
+ */
+function canSeeAccountsTab(currentUser) {
+  return ACCOUNTS_TAB_PERMISSIONS.some(permission => hasPermission(currentUser, permission));
+}
+
 /**
  * Initialize tab navigation (Feature 9: Archive Account Management)
- * @param {object} currentUser - Current user object with master status
+ * @param {object} currentUser - Current user object with master status and permissions
  */
 function initializeTabNavigation(currentUser) {
-  const isMaster = currentUser && (currentUser.is_master === true || currentUser.is_master === 1);
+  const canSeeAccounts = canSeeAccountsTab(currentUser);
+  const canSeeCompanies = hasPermission(currentUser, 'companies.view');
+  const canSeeAudit = hasPermission(currentUser, 'audit.view');
+  const canSeeStatistics = hasPermission(currentUser, 'analytics.view');
   
-  console.log('initializeTabNavigation called, isMaster:', isMaster, 'currentUser:', currentUser);
+  console.log('initializeTabNavigation called, currentUser:', currentUser);
   
   // Get tab elements
   const ticketsTabBtn = document.getElementById('tickets-tab-btn');
@@ -57,6 +89,10 @@ function initializeTabNavigation(currentUser) {
   const ticketsPanel = document.querySelector('[data-panel="tickets"]');
   const accountsPanel = document.querySelector('[data-panel="accounts"]');
   const companiesPanel = document.querySelector('[data-panel="companies"]');
+  const auditTabBtn = document.getElementById('audit-tab-btn');
+  const auditPanel = document.querySelector('[data-panel="audit"]');
+  const statisticsTabBtn = document.getElementById('statistics-tab-btn');
+  const statisticsPanel = document.querySelector('[data-panel="statistics"]');
   
   console.log('Tab elements found:', {
     ticketsTabBtn: !!ticketsTabBtn,
@@ -73,17 +109,27 @@ function initializeTabNavigation(currentUser) {
     return;
   }
   
-  // Show/hide Accounts tab based on master status
-  if (isMaster && accountsTabBtn) {
+  // Show/hide Accounts tab based on permissions
+  if (canSeeAccounts && accountsTabBtn) {
     accountsTabBtn.style.display = '';
   } else if (accountsTabBtn) {
     accountsTabBtn.style.display = 'none';
   }
+
+  // Audit tab needs audit.view
+  if (auditTabBtn) {
+    auditTabBtn.style.display = canSeeAudit ? '' : 'none';
+  }
+
+  // Statistics tab needs analytics.view
+  if (statisticsTabBtn) {
+    statisticsTabBtn.style.display = canSeeStatistics ? '' : 'none';
+  }
   
-  // Add Companies tab button if master account
+  // Add Companies tab button if the role can view companies
   let companiesTabBtn = null;
-  if (isMaster) {
-    console.log('Master account detected - creating Companies tab button');
+  if (canSeeCompanies) {
+    console.log('companies.view granted - creating Companies tab button');
     if (companiesTabBtnContainer) {
       try {
         companiesTabBtnContainer.innerHTML = `
@@ -101,8 +147,8 @@ function initializeTabNavigation(currentUser) {
       console.warn('Companies tab button container not found');
     }
   } else {
-    console.log('Not a master account - skipping Companies tab');
-    // Hide Companies panel if not master
+    console.log('No companies.view permission - skipping Companies tab');
+    // Hide Companies panel without companies.view
     if (companiesPanel) {
       companiesPanel.style.display = 'none';
     }
@@ -112,7 +158,7 @@ function initializeTabNavigation(currentUser) {
   }
   
   // Re-fetch companiesTabBtn if it wasn't set above (for safety)
-  if (!companiesTabBtn && isMaster) {
+  if (!companiesTabBtn && canSeeCompanies) {
     companiesTabBtn = document.getElementById('companies-tab-btn');
   }
   
@@ -129,6 +175,14 @@ function initializeTabNavigation(currentUser) {
     companiesPanel.classList.remove('tab-panel-active');
     companiesPanel.style.display = 'none';
   }
+  if (auditPanel) {
+    auditPanel.classList.remove('tab-panel-active');
+    auditPanel.style.display = 'none';
+  }
+  if (statisticsPanel) {
+    statisticsPanel.classList.remove('tab-panel-active');
+    statisticsPanel.style.display = 'none';
+  }
   
   // Set up tab switching with polling control (Feature 9: Archive Account Management)
   function switchToTab(tabName) {
@@ -142,6 +196,12 @@ function initializeTabNavigation(currentUser) {
     if (companiesTabBtn) {
       companiesTabBtn.classList.toggle('tab-nav-active', tabName === 'companies');
     }
+    if (auditTabBtn) {
+      auditTabBtn.classList.toggle('tab-nav-active', tabName === 'audit');
+    }
+    if (statisticsTabBtn) {
+      statisticsTabBtn.classList.toggle('tab-nav-active', tabName === 'statistics');
+    }
     
     // Update tab panels (handle null cases)
     if (ticketsPanel) {
@@ -159,6 +219,22 @@ function initializeTabNavigation(currentUser) {
       companiesPanel.classList.toggle('tab-panel-active', isActive);
       companiesPanel.style.display = isActive ? '' : 'none';
     }
+    if (auditPanel) {
+      const isActive = tabName === 'audit';
+      auditPanel.classList.toggle('tab-panel-active', isActive);
+      auditPanel.style.display = isActive ? '' : 'none';
+    }
+    if (statisticsPanel) {
+      const isActive = tabName === 'statistics';
+      statisticsPanel.classList.toggle('tab-panel-active', isActive);
+      statisticsPanel.style.display = isActive ? '' : 'none';
+    }
+    if (tabName === 'audit' && auditLogRefreshFn) {
+      auditLogRefreshFn();
+    }
+    if (tabName === 'statistics' && analyticsRefreshFn) {
+      analyticsRefreshFn();
+    }
     
     // Control account polling based on active tab (Feature 9: Archive Account Management)
     if (adminManagementRefreshFn) {
@@ -186,6 +262,12 @@ function initializeTabNavigation(currentUser) {
   if (companiesTabBtn) {
     companiesTabBtn.addEventListener('click', () => switchToTab('companies'));
   }
+  if (auditTabBtn && canSeeAudit) {
+    auditTabBtn.addEventListener('click', () => switchToTab('audit'));
+  }
+  if (statisticsTabBtn && canSeeStatistics) {
+    statisticsTabBtn.addEventListener('click', () => switchToTab('statistics'));
+  }
 }
 
 /**
@@ -295,6 +377,19 @@ async function initializeDashboard(user) {
     }
   }
   
+  // Load the role and permissions; they may have changed since sign-in
+  try {
+    const meResponse = await get('/auth/me');
+    const me = meResponse.user || {};
+    currentUserWithMaster.is_master = me.is_master === true || me.is_master === 1;
+    currentUserWithMaster.role_id = me.role_id;
+    currentUserWithMaster.role_name = me.role_name;
+    currentUserWithMaster.permissions = me.permissions || [];
+  } catch (error) {
+    console.error('Could not load permissions:', error);
+    currentUserWithMaster.permissions = currentUserWithMaster.permissions || [];
+  }
+  
   console.log('Final user with master status:', currentUserWithMaster);
   
   // Display user info with display name
@@ -318,10 +413,20 @@ async function initializeDashboard(user) {
     logoutBtn.addEventListener('click', handleLogout);
   }
 
-  // Initialize client generator component
+  // Setup two-factor authentication button
+  const twoFactorBtn = document.getElementById('two-factor-btn');
+  if (twoFactorBtn) {
+    twoFactorBtn.addEventListener('click', showTwoFactorModal);
+  }
+
+  // Initialize client generator component (companies.create)
   const clientGeneratorContainer = document.getElementById('client-generator-container');
   if (clientGeneratorContainer) {
-    createClientGenerator(clientGeneratorContainer);
+    if (hasPermission(currentUserWithMaster, 'companies.create')) {
+      createClientGenerator(clientGeneratorContainer);
+    } else {
+      clientGeneratorContainer.closest('.dashboard-section').style.display = 'none';
+    }
   }
 
   // Initialize tab navigation first
@@ -338,7 +443,7 @@ async function initializeDashboard(user) {
   }
   
   const adminManagementContainer = document.getElementById('admin-management-container');
-  if (adminManagementContainer && (currentUserWithMaster.is_master === true || currentUserWithMaster.is_master === 1)) {
+  if (adminManagementContainer && canSeeAccountsTab(currentUserWithMaster)) {
     try {
       // Initialize admin management in the Accounts tab (Feature 9: Archive Account Management)
       adminManagementRefreshFn = createAdminManagement(adminManagementContainer, {
@@ -355,9 +460,23 @@ async function initializeDashboard(user) {
     }
   }
   
-  // Initialize company management component (Companies tab - master only)
+  // Initialize role editor (Accounts tab - master only)
+  const rolesManagementContainer = document.getElementById('roles-management-container');
+  if (rolesManagementContainer) {
+    if (isMasterUser(currentUserWithMaster)) {
+      try {
+        createRolesManagement(rolesManagementContainer);
+      } catch (error) {
+        console.error('Error initializing role management:', error);
+      }
+    } else {
+      rolesManagementContainer.closest('.dashboard-section').style.display = 'none';
+    }
+  }
+  
+  // Initialize company management component (Companies tab - companies.view)
   const companyManagementContainer = document.getElementById('company-management-container');
-  if (companyManagementContainer && (currentUserWithMaster.is_master === true || currentUserWithMaster.is_master === 1)) {
+  if (companyManagementContainer && hasPermission(currentUserWithMaster, 'companies.view')) {
     try {
       createCompanyManagement(companyManagementContainer, {
         currentUser: currentUserWithMaster,
@@ -373,6 +492,58 @@ async function initializeDashboard(user) {
     }
   }
 
+  // Initialize equipment registry (Companies tab - companies.view)
+  const equipmentContainer = document.getElementById('equipment-management-container');
+  if (equipmentContainer && hasPermission(currentUserWithMaster, 'companies.view')) {
+    try {
+      createEquipmentManagement(equipmentContainer, {
+        canDelete: hasPermission(currentUserWithMaster, 'equipment.delete'),
+      });
+    } catch (error) {
+      console.error('Error initializing equipment management:', error);
+    }
+  }
+
+  // Initialize service contract management (Companies tab - contracts.manage)
+  const contractContainer = document.getElementById('contract-management-container');
+  if (contractContainer && hasPermission(currentUserWithMaster, 'contracts.manage')) {
+    try {
+      createContractManagement(contractContainer);
+    } catch (error) {
+      console.error('Error initializing contract management:', error);
+    }
+  }
+
+  // Initialize SLA policy management (Companies tab - sla.manage)
+  const slaPolicyContainer = document.getElementById('sla-policy-management-container');
+  if (slaPolicyContainer && hasPermission(currentUserWithMaster, 'sla.manage')) {
+    try {
+      createSlaPolicyManagement(slaPolicyContainer);
+    } catch (error) {
+      console.error('Error initializing SLA policy management:', error);
+    }
+  }
+
+  // Initialize audit log (Audit tab - audit.view)
+  const auditLogContainer = document.getElementById('audit-log-container');
+  if (auditLogContainer && hasPermission(currentUserWithMaster, 'audit.view')) {
+    try {
+      auditLogRefreshFn = createAuditLog(auditLogContainer);
+    } catch (error) {
+      console.error('Error initializing audit log:', error);
+    }
+  }
+
+  // Initialize support statistics (Statistics tab - analytics.view)
+  const analyticsContainer = document.getElementById('analytics-dashboard-container');
+  if (analyticsContainer && hasPermission(currentUserWithMaster, 'analytics.view')) {
+    try {
+      analyticsRefreshFn = createAnalyticsDashboard(analyticsContainer);
+    } catch (error) {
+      console.error('Error initializing support statistics:', error);
+    }
+  }
+
   // Load administrators list for filters and assignment
   // Wrap in try-catch to prevent errors from breaking dashboard
   try {
@@ -433,6 +604,20 @@ async function initializeDashboard(user) {
   } catch (error) {
     console.error('Error initializing notification system:', error);
   }
+
+  // Initialize global search in the header (before the notification bell)
+  try {
+    const headerActions = document.querySelector('.header-actions');
+    if (headerActions) {
+      const searchContainer = document.createElement('div');
+      headerActions.insertBefore(searchContainer, headerActions.firstChild);
+      createGlobalSearch(searchContainer, {
+        onResultClick: (ticketId) => openChatModal(ticketId),
+      });
+    }
+  } catch (error) {
+    console.error('Error initializing global search:', error);
+  }
 }
 
 // Store references for administrator updates
@@ -478,12 +663,10 @@ async function loadAdministratorsAndInitializeTicketManagement(user) {
 
     // Load companies list
     let companies = [];
-    const isMaster = user.is_master === true || user.is_master === 1;
-    
     try {
-      if (isMaster) {
-        // For master accounts, load all registered companies from /clients/companies endpoint
-        console.log('Loading all registered companies for master account...');
+      if (hasPermission(user, 'companies.view')) {
+        // With companies.view, load all registered companies from /clients/companies endpoint
+        console.log('Loading all registered companies...');
         const companiesResponse = await get('/clients/companies');
         companies = companiesResponse.companies || [];
         // Sort companies alphabetically by company_name
@@ -494,7 +677,7 @@ async function loadAdministratorsAndInitializeTicketManagement(user) {
         });
         console.log('Loaded all registered companies:', companies.length);
       } else {
-        // For non-master accounts, load only companies that have tickets
+        // Otherwise, load only companies that have tickets
         console.log('Loading companies from tickets...');
         const companiesResponse = await get('/tickets/companies');
         companies = companiesResponse.companies || [];
@@ -512,12 +695,11 @@ async function loadAdministratorsAndInitializeTicketManagement(user) {
     ticketManagementContainer.parentNode.insertBefore(filterContainer, ticketManagementContainer);
     
     try {
-      // Create filters component (hide engineer filter for non-master accounts)
-      const isMaster = user.is_master === true || user.is_master === 1;
+      // Create filters component (hide engineer filter without tickets.view_all)
       filterGetValuesFn = createFilters(filterContainer, {
         administrators,
         companies,
-        isMasterAccount: isMaster,
+        isMasterAccount: hasPermission(user, 'tickets.view_all'),
         onFilterChange: () => {
           // Reload tickets when filters change
           if (refreshTicketManagementFn) {
@@ -537,7 +719,9 @@ async function loadAdministratorsAndInitializeTicketManagement(user) {
         getFilters: filterGetValuesFn || (() => ({})),
         administrators,
         currentUserId: user.id,
-        currentUserIsMaster: user.is_master === true || user.is_master === 1,
+        canAssign: hasPermission(user, 'tickets.assign'),
+        canRestore: hasPermission(user, 'tickets.restore'),
+        canViewAll: hasPermission(user, 'tickets.view_all'),
       });
       console.log('Ticket management component created successfully');
 
@@ -642,7 +826,7 @@ async function updateUnreadCounts() {
 /**
  * Handle logout
  */
-function handleLogout() {
+async function handleLogout() {
   // Cleanup notification manager
   if (notificationManager) {
     notificationManager.destroy();
@@ -655,7 +839,7 @@ function handleLogout() {
     unreadCountPollingInterval = null;
   }
   
-  clearSession();
+  await logout();
   window.location.href = '/';
 }
 
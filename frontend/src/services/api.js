@@ -3,37 +3,105 @@
  * Provides methods for making HTTP requests to the backend API
  */
 
-import { getAuthToken, clearAuthToken as clearToken, isSessionExpired, refreshSessionTimestamp, clearSession } from './storage.js';
+import { getAuthToken, getRefreshToken, isAuthTokenExpiring, saveTokens, clearSession } from './storage.js';
 
 const API_BASE_URL = '/api';
 
+/**
+ * Refresh request in progress, shared by all callers
+ * @type {Promise<boolean>|null}
+ */
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token
+ * @returns {Promise<boolean>} False if the server ended the session
+ */
+async function requestTokenRefresh() {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return false;
+  }
+
+  const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refresh_token: refreshToken }),
+  });
+
+  if (response.status === 401) {
+    return false;
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const data = await response.json();
+  saveTokens(data.token, data.refresh_token, data.expires_in);
+  return true;
+}
+
+/**
+ * Refresh the access token
+ * Concurrent callers share one request: refresh tokens are single-use, so two
+ * parallel refreshes with the same token would end the session.
+ * @returns {Promise<boolean>} False if the server ended the session
+ */
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    refreshPromise = requestTokenRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+/**
+ * Clear the session and send the user to the login page
+ */
+function expireSession() {
+  clearSession();
+  if (window.location.pathname !== '/') {
+    window.location.href = '/?session=expired';
+  }
+}
+
+/**
+ * Get a usable access token, refreshing it first if it is about to expire
+ * @returns {Promise<string|null>} Access token, or null when not logged in
+ */
+export async function ensureAccessToken() {
+  if (!getAuthToken()) {
+    return null;
+  }
+
+  if (isAuthTokenExpiring() && !(await refreshAccessToken())) {
+    expireSession();
+    throw new Error('Session expired');
+  }
+
+  return getAuthToken();
+}
+
 /**
  * Make an API request
+ * An expired access token is refreshed and the request retried once.
  * @param {string} endpoint - API endpoint (e.g., '/auth/login')
- * @param {object} options - Fetch options
+ * @param {object} options - Fetch options (raw: return the Response of a successful request as is)
+ * @param {boolean} isRetry - True when repeating the request after a token refresh
  * @returns {Promise<Response>} Fetch response
  */
-async function request(endpoint, options = {}) {
+async function request(endpoint, options = {}, isRetry = false) {
   const url = `${API_BASE_URL}${endpoint}`;
-  const token = getAuthToken();
-
-  // Check session timeout before making request
-  if (token && isSessionExpired()) {
-    clearSession();
-    if (window.location.pathname !== '/') {
-      window.location.href = '/?session=expired';
-    }
-    throw new Error('Session expired');
-  }
+  const token = await ensureAccessToken();
 
-  const defaultHeaders = {
+  // Multipart bodies must let the browser set the Content-Type (with boundary)
+  const defaultHeaders = options.body instanceof FormData ? {} : {
     'Content-Type': 'application/json',
   };
 
   if (token) {
     defaultHeaders.Authorization = `Bearer ${token}`;
-    // Refresh session timestamp on each request
-    refreshSessionTimestamp();
   }
 
   const config = {
@@ -47,8 +115,19 @@ async function request(endpoint, options = {}) {
   try {
     const response = await fetch(url, config);
 
-    // Handle non-JSON responses
+    // The access token was rejected before its expiry (e.g. clock skew): refresh once
+    if (response.status === 401 && token && !isRetry) {
+      if (await refreshAccessToken()) {
+        return request(endpoint, options, true);
+      }
+      throw new Error('Session expired');
+    }
+
+    // Handle non-JSON responses (and raw downloads, which may themselves be JSON files)
     const contentType = response.headers.get('content-type');
+    if (options.raw && response.ok) {
+      return response;
+    }
     if (!contentType || !contentType.includes('application/json')) {
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -67,12 +146,14 @@ async function request(endpoint, options = {}) {
 
     return data;
   } catch (error) {
-    if (error.status === 401 || error.message === 'Session expired') {
-      // Unauthorized or session expired - clear token and redirect to login
+    if (error.message === 'Session expired') {
+      // The server ended the session (revoked, expired or signed out elsewhere)
+      expireSession();
+    } else if (error.status === 401) {
+      // Unauthorized - clear token and redirect to login
       clearSession();
       if (window.location.pathname !== '/') {
-        const redirectUrl = error.message === 'Session expired' ? '/?session=expired' : '/';
-        window.location.href = redirectUrl;
+        window.location.href = '/';
       }
     }
     throw error;
@@ -97,6 +178,29 @@ export function post(endpoint, data, options = {}) {
   });
 }
 
+/**
+ * POST multipart/form-data request (file uploads)
+ * @param {string} endpoint - API endpoint
+ * @param {FormData} formData - Form fields and files
+ */
+export function postForm(endpoint, formData, options = {}) {
+  return request(endpoint, {
+    ...options,
+    method: 'POST',
+    body: formData,
+  });
+}
+
+/**
+ * GET request for binary content (e.g. attachment downloads)
+ * @param {string} endpoint - API endpoint
+ * @returns {Promise<Blob>} Response body
+ */
+export async function getBlob(endpoint, options = {}) {
+  const response = await request(endpoint, { ...options, method: 'GET', raw: true });
+  return response.blob();
+}
+
 /**
  * PUT request
  */
@@ -126,6 +230,23 @@ export function del(endpoint, options = {}) {
   return request(endpoint, { ...options, method: 'DELETE' });
 }
 
+/**
+ * End the current session on the server and locally
+ * @returns {Promise<void>}
+ */
+export async function logout() {
+  try {
+    if (getAuthToken()) {
+      await post('/auth/logout', {});
+    }
+  } catch (error) {
+    // The local session is cleared regardless
+    console.error('Error ending session:', error);
+  } finally {
+    clearSession();
+  }
+}
+
 /**
  * Submit contact form
  * @param {object} formData - Contact form data
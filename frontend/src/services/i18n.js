@@ -145,7 +145,22 @@ const translations = {
       loginError: 'An error occurred during login. Please try again.',
       usernamePasswordRequired: 'Please enter both username and password',
       invalidRole: 'Invalid user role',
-      forgotPassword: 'Forgot Password?'
+      forgotPassword: 'Forgot Password?',
+      twoFactorPrompt: 'Enter the 6-digit code from your authenticator app or one of your backup codes.',
+      twoFactorSetupPrompt: 'Two-factor authentication is required for your account. Add this key to an authenticator app, then enter the code it shows.',
+      twoFactorSecretLabel: 'Setup key:',
+      twoFactorOpenApp: 'Open in authenticator app',
+      twoFactorCodeLabel: 'Verification code',
+      twoFactorVerify: 'Verify',
+      twoFactorVerifying: 'Verifying...',
+      twoFactorCodeRequired: 'Please enter the verification code',
+      twoFactorInvalidCode: 'Invalid or already used code. Please try again.',
+      twoFactorExpired: 'The sign-in attempt has expired. Please sign in again.',
+      twoFactorBack: 'Back to sign in',
+      backupCodesText: 'Save these backup codes in a safe place. Each code can be used once to sign in without your authenticator app. They will not be shown again.',
+      continue: 'Continue',
+      tooManyAttempts: 'Too many failed attempts. Please wait {seconds} s and try again.',
+      accountLocked: 'Too many failed attempts. Sign-in is locked for {minutes} min.'
     },
     // Dashboard Common
     dashboard: {
@@ -157,7 +172,10 @@ const translations = {
       enterpriseBrand: 'Siberian Electronics Technology Center',
       ticketsTab: 'Tickets',
       accountsTab: 'Accounts',
-      companiesTab: 'Companies'
+      companiesTab: 'Companies',
+      twoFactor: 'Two-factor',
+      auditTab: 'Audit',
+      statisticsTab: 'Statistics'
     },
     // Ticket Form
     ticketForm: {
@@ -181,7 +199,15 @@ const translations = {
       noPermission: 'You do not have permission to submit tickets',
       submitError: 'An error occurred while submitting the ticket. Please try again.',
       checkInput: 'Please check your input and try again',
-      required: 'required'
+      required: 'required',
+      priority: 'Priority',
+      category: 'Category',
+      registeredEquipment: 'Registered Server',
+      registeredEquipmentHint: 'Pick one of your registered servers or choose "Other" and type the serial number.',
+      otherEquipment: 'Other (enter serial number)',
+      attachments: 'Attachments',
+      attachmentsHint: 'Photos, logs or archives (e.g. BMC logs, sosreport). Up to 5 files.',
+      attachmentsFailed: 'The ticket was created, but the attached files could not be saved. Please send them in the ticket chat.'
     },
     // Ticket List
     ticketList: {
@@ -206,7 +232,9 @@ const translations = {
       errorLoadingArchive: 'Error loading archive',
       retry: 'Retry',
       statusLabel: 'Status:',
-      generateReport: 'Generate Report'
+      generateReport: 'Generate Report',
+      shownOf: 'Showing {shown} of {total}',
+      loadMore: 'Load more'
     },
     // Ticket Management
     ticketManagement: {
@@ -242,7 +270,8 @@ const translations = {
       errorLoading: 'Error loading tickets:',
       updateSuccess: 'Ticket updated successfully',
       updateError: 'Error updating ticket. Please try again.',
-      masterOnlyManualAssignment: 'Only master accounts can manually assign tickets',
+      masterOnlyManualAssignment: 'Only dispatchers and master accounts can manually assign tickets',
+      assignPermissionHint: 'Dispatchers and master accounts',
       activeTickets: 'Active Tickets',
       archive: 'Archive',
       restore: 'Restore',
@@ -251,7 +280,20 @@ const translations = {
       restoreError: 'Error restoring ticket',
       noArchivedTickets: 'No Archived Tickets',
       noArchivedTicketsText: 'Closed tickets will appear here',
-      errorLoadingArchive: 'Error loading archive'
+      errorLoadingArchive: 'Error loading archive',
+      category: 'Category:',
+      requiredSkill: 'Required skill:',
+      sortBy: 'Sort by',
+      sort_submitted: 'Submitted',
+      sort_updated: 'Last update',
+      sort_eta: 'Estimated completion',
+      sort_company: 'Company',
+      sort_assignee: 'Assignee',
+      order_asc: 'Ascending',
+      order_desc: 'Descending',
+      shownOf: 'Showing {shown} of {total}',
+      loadMore: 'Load more',
+      generateReport: 'Generate Report'
     },
     // Client Generator
     clientGenerator: {
@@ -269,7 +311,10 @@ const translations = {
       close: 'Close',
       copied: 'Copied!',
       saveCredentials: 'Please save these credentials. The password cannot be retrieved later.',
-      errorGenerating: 'Error generating client account. Please try again.'
+      errorGenerating: 'Error generating client account. Please try again.',
+      email: 'Contact Email',
+      emailPlaceholder: 'it@company.com (optional)',
+      emailHint: 'Emails sent to support from this address become tickets of this client.'
     },
     // Admin Management
     adminManagement: {
@@ -306,7 +351,7 @@ const translations = {
       deleteTitle: 'Delete administrator',
       loginImmutable: 'Login cannot be changed',
       loginHelp: 'Login cannot be changed after creation',
-      masterOnly: 'Only master accounts can create and delete administrators.',
+      masterOnly: 'Your role does not allow creating or deleting administrators.',
       editDisplayName: 'Edit display name',
       saveTitle: 'Save',
       cancelTitle: 'Cancel',
@@ -328,7 +373,45 @@ const translations = {
       enterNewPassword: 'Enter new password for',
       passwordChanged: 'Password changed successfully',
       errorChangingPassword: 'Error changing password',
-      adminNotFound: 'Administrator not found'
+      adminNotFound: 'Administrator not found',
+      skills: 'Skills',
+      noSkills: 'No skills',
+      saveSkills: 'Save skills',
+      skillsSaved: 'Skills saved',
+      skillCatalog: 'Skills',
+      skillCatalogHelp: 'New tickets require the skill whose serial number prefix matches the equipment serial number, otherwise the skill mapped to the ticket category. Administrators with that skill are preferred for automatic assignment.',
+      skillName: 'Skill',
+      skillCategory: 'Ticket category',
+      skillSerialPrefixes: 'Serial number prefixes (comma-separated)',
+      skillNoCategory: 'None',
+      addSkill: 'Add skill',
+      skillSaved: 'Skill saved',
+      skillDeleted: 'Skill deleted',
+      confirmDeleteSkill: 'Delete this skill? Administrators lose it and tickets requiring it no longer require a skill.',
+      errorSavingSkills: 'Failed to save skills',
+      twoFactorEnabled: 'Two-factor authentication is on',
+      resetTwoFactor: 'Reset 2FA',
+      resetTwoFactorTitle: 'Turn off two-factor authentication (lost authenticator app)',
+      confirmResetTwoFactor: 'Turn off two-factor authentication for',
+      twoFactorReset: 'Two-factor authentication turned off',
+      lockouts: 'Locked sign-ins',
+      lockoutsHelp: 'Logins and addresses are locked temporarily after repeated failed sign-in or codephrase attempts.',
+      noLockouts: 'No locked sign-ins.',
+      lockoutTarget: 'Locked',
+      lockoutFailures: 'Failed attempts',
+      lockoutLastAddress: 'Last address',
+      lockoutUntil: 'Locked until',
+      lockoutScopeLogin: 'Login',
+      lockoutScopeIp: 'IP address (sign-in)',
+      lockoutScopeRecovery: 'IP address (recovery)',
+      unlock: 'Unlock',
+      confirmUnlock: 'Unlock sign-in for',
+      unlocked: 'Sign-in unlocked',
+      role: 'Role',
+      roleHelp: 'What the administrator may do; master accounts have every permission',
+      roleChanged: 'Role changed',
+      allPermissions: 'Master account (all permissions)',
+      masterHasAllPermissions: 'Master account: has every permission regardless of role'
     },
     // Report Modal
     reportModal: {
@@ -355,7 +438,11 @@ const translations = {
       invalidDateRange: 'From date must be before or equal to To date',
       validationError: 'Invalid filter values',
       permissionDenied: 'Permission denied',
-      generationError: 'Error generating report'
+      generationError: 'Error generating report',
+      company: 'Company',
+      allCompanies: 'All companies',
+      allEngineers: 'All engineers',
+      format: 'Format'
     },
     // Filters
     filters: {
@@ -372,7 +459,11 @@ const translations = {
       startDate: 'Start Date',
       endDate: 'End Date',
       showMyTicketsOnly: 'Show only my tickets',
-      clear: 'Clear'
+      clear: 'Clear',
+      breachingSoon: 'SLA breaching soon',
+      category: 'Category',
+      allPriorities: 'All Priorities',
+      allCategories: 'All Categories'
     },
     // Chat
     chat: {
@@ -399,7 +490,371 @@ const translations = {
       low: 'Low',
       medium: 'Medium',
       high: 'High',
-      urgent: 'Urgent'
+      critical: 'Critical',
+      label: 'Priority'
+    },
+    category: {
+      hardware: 'Hardware',
+      software: 'Software',
+      network: 'Network',
+      warranty: 'Warranty',
+      other: 'Other',
+      label: 'Category'
+    },
+    ticketHistory: {
+      show: 'History',
+      hide: 'Hide history',
+      empty: 'No changes recorded yet',
+      loadError: 'Failed to load ticket history',
+      created: 'Ticket created',
+      system: 'System',
+      notSet: 'Not set',
+      unassigned: 'Unassigned',
+      fieldStatus: 'Status',
+      fieldEngineer: 'Engineer',
+      fieldEstimatedCompletion: 'Estimated completion',
+      fieldPriority: 'Priority',
+      fieldCategory: 'Category'
+    },
+    sla: {
+      response: 'Response',
+      resolution: 'Resolution',
+      dueIn: 'due in',
+      overdueBy: 'overdue by',
+      daysShort: 'd',
+      hoursShort: 'h',
+      minutesShort: 'm',
+      tooltip: 'SLA deadline'
+    },
+    slaPolicies: {
+      title: 'SLA Policies',
+      description: 'First-response and resolution targets in minutes. The most specific policy (company and priority, company, priority) applies; the default policy covers everything else. Changes apply to tickets created afterwards.',
+      name: 'Name',
+      company: 'Company',
+      anyCompany: 'Any company',
+      responseMinutes: 'First response, min',
+      resolutionMinutes: 'Resolution, min',
+      add: 'Add policy',
+      saved: 'Policy saved',
+      created: 'Policy created',
+      deleted: 'Policy deleted',
+      confirmDelete: 'Delete this SLA policy? Existing tickets keep their deadlines.',
+      errorGeneric: 'Failed to update SLA policies',
+      priority: 'Priority',
+      anyPriority: 'Any priority'
+    },
+    equipment: {
+      title: 'Equipment Registry',
+      description: 'Servers owned by client companies. Serial numbers from new tickets are registered automatically.',
+      search: 'Search',
+      searchPlaceholder: 'Serial number, vendor, model or location',
+      serialNumber: 'Serial Number',
+      company: 'Company',
+      selectCompany: 'Select company',
+      vendor: 'Vendor',
+      model: 'Model',
+      purchaseDate: 'Purchase Date',
+      warrantyEnd: 'Warranty End',
+      location: 'Location',
+      add: 'Register Server',
+      empty: 'No equipment registered',
+      created: 'Equipment registered',
+      saved: 'Equipment saved',
+      deleted: 'Equipment removed',
+      confirmDelete: 'Remove this server from the registry? Its tickets are kept.',
+      errorGeneric: 'Equipment operation failed',
+      viewAsset: 'View asset',
+      assetTitle: 'Server',
+      backToDashboard: 'Back to dashboard',
+      ticketHistory: 'Ticket History',
+      noTickets: 'No tickets have been raised against this server',
+      notSet: 'Not set',
+      notFound: 'Equipment not found',
+      loadError: 'Failed to load equipment',
+      loading: 'Loading...',
+      warrantyActive: 'Under warranty',
+      warrantyExpired: 'Warranty expired',
+      lastUpdated: 'Last Updated',
+      reportedBy: 'Reported By'
+    },
+    coverage: {
+      label: 'Coverage',
+      contract: 'Under contract',
+      warranty: 'Under warranty',
+      out_of_coverage: 'Out of warranty/contract',
+      unknown: 'Unknown'
+    },
+    contracts: {
+      title: 'Service Contracts',
+      description: 'Contracts cover the selected equipment, or all of the company\'s equipment when none is selected. Response-time commitments replace the SLA policy targets for covered tickets. Master accounts are notified {days} days before a contract expires.',
+      contractNumber: 'Contract No.',
+      company: 'Company',
+      selectCompany: 'Select company',
+      coverageLevel: 'Coverage Level',
+      level_basic: 'Basic',
+      level_standard: 'Standard',
+      level_premium: 'Premium',
+      period: 'Period',
+      startDate: 'Start Date',
+      endDate: 'End Date',
+      responseMinutes: 'Response (min)',
+      resolutionMinutes: 'Resolution (min)',
+      responseShort: 'Resp.',
+      resolutionShort: 'Resol.',
+      commitments: 'Commitments',
+      slaPolicy: 'SLA policy',
+      equipment: 'Equipment',
+      equipmentHint: 'Hold Ctrl (Cmd on Mac) to select several servers. Leave empty to cover all of the company\'s equipment.',
+      allEquipment: 'All equipment',
+      notes: 'Notes',
+      state: 'State',
+      stateActive: 'Active',
+      stateUpcoming: 'Not started',
+      stateExpiring: 'Expires in {days} d',
+      stateExpired: 'Expired',
+      add: 'Add Contract',
+      empty: 'No service contracts',
+      created: 'Contract created',
+      saved: 'Contract saved',
+      deleted: 'Contract deleted',
+      confirmDelete: 'Delete this contract? Tickets created under it keep their coverage flag.',
+      errorGeneric: 'Contract operation failed'
+    },
+    twoFactor: {
+      title: 'Two-factor authentication',
+      loading: 'Loading...',
+      statusEnabled: 'Two-factor authentication is on. Signing in requires a code from your authenticator app.',
+      statusDisabled: 'Two-factor authentication is off. Turn it on to require a code from an authenticator app when signing in.',
+      requiredNote: 'Two-factor authentication is required for master accounts.',
+      enable: 'Turn on',
+      disable: 'Turn off',
+      regenerateCodes: 'New backup codes',
+      backupCodesRemaining: 'Unused backup codes:',
+      confirmWithCode: 'Enter a current code or a backup code to change these settings.',
+      setupInstructions: 'Add this key to an authenticator app (for example Google Authenticator or Aegis), then enter the code it shows.',
+      secretLabel: 'Setup key:',
+      openInApp: 'Open in authenticator app',
+      codeLabel: 'Verification code',
+      codeRequired: 'Please enter the verification code',
+      confirm: 'Confirm',
+      backupCodesText: 'Save these backup codes in a safe place. Each code can be used once to sign in without your authenticator app. They will not be shown again.',
+      done: 'Done',
+      invalidCode: 'Invalid or already used code. Please try again.',
+      errorOccurred: 'An error occurred. Please try again.'
+    },
+    audit: {
+      title: 'Security audit log',
+      description: 'Privileged and security-relevant actions: who did what, to which account, from which address. Entries cannot be changed or deleted.',
+      action: 'Action',
+      actor: 'Who',
+      target: 'Target',
+      time: 'Time',
+      ipAddress: 'IP address',
+      details: 'Details',
+      allActions: 'All actions',
+      actionGroups: 'Groups',
+      actions: 'Actions',
+      actorPlaceholder: 'Login or ID',
+      targetPlaceholder: 'Login, company or ID',
+      dateFrom: 'From',
+      dateTo: 'To',
+      apply: 'Apply',
+      exportCsv: 'Export CSV',
+      empty: 'No entries match the filters.',
+      previous: 'Previous',
+      next: 'Next',
+      range: '{from}–{to} of {total}',
+      actorSystem: 'System',
+      actorCli: 'Command line',
+      roleClient: 'client',
+      roleAdministrator: 'administrator',
+      errorGeneric: 'Could not load the audit log',
+      group_admin: 'Administrators',
+      group_company: 'Companies',
+      group_contact: 'Company users',
+      group_ticket: 'Tickets',
+      group_recovery: 'Password recovery',
+      group_role: 'Roles',
+      group_two_factor: 'Two-factor authentication',
+      group_auth: 'Sign-in lockouts',
+      action_admin_created: 'Administrator created',
+      action_admin_deleted: 'Administrator deleted',
+      action_admin_promoted: 'Master rights granted',
+      action_admin_demoted: 'Master rights revoked',
+      action_admin_password_changed: 'Administrator password changed',
+      action_admin_two_factor_reset: 'Administrator 2FA reset',
+      action_admin_role_changed: 'Administrator role changed',
+      action_company_created: 'Company account created',
+      action_company_password_changed: 'Company password changed',
+      action_company_password_generated: 'Company password generated',
+      action_company_codephrase_regenerated: 'Company codephrase replaced',
+      action_company_deleted: 'Company account deleted',
+      action_company_restored: 'Company account restored',
+      action_company_purged: 'Company account purged',
+      action_contact_created: 'Company user created',
+      action_contact_updated: 'Company user updated',
+      action_contact_password_generated: 'Company user password generated',
+      action_contact_password_changed: 'Company user password changed',
+      action_contact_deleted: 'Company user deleted',
+      action_role_created: 'Role created',
+      action_role_updated: 'Role updated',
+      action_role_deleted: 'Role deleted',
+      action_ticket_restored: 'Ticket restored from archive',
+      action_recovery_initiated: 'Password recovery started',
+      action_recovery_approved: 'Password recovery approved',
+      action_recovery_denied: 'Password recovery denied',
+      action_recovery_password_reset: 'Password reset by recovery',
+      action_two_factor_enabled: '2FA enabled',
+      action_two_factor_disabled: '2FA disabled',
+      action_auth_locked: 'Sign-in locked',
+      action_auth_unlocked: 'Sign-in unlocked'
+    },
+    companyUsers: {
+      title: 'Company users',
+      description: 'Each user signs in with their own login and sees all tickets and reports of the company. Their notifications are their own, and the tickets they submit are marked with their name.',
+      addUser: 'Add user',
+      fullName: 'Full name',
+      jobTitle: 'Job title',
+      email: 'Email',
+      phone: 'Phone',
+      create: 'Create user',
+      created: 'User created',
+      passwordGenerated: 'New password generated',
+      login: 'Login',
+      delete: 'Delete',
+      empty: 'No users yet. The company signs in with its main login.',
+      confirmGenerate: 'Generate a new password for {name}? The old password stops working and their sessions end.',
+      confirmDelete: 'Delete the user {name}? Their tickets stay with the company.',
+      errorGeneric: 'Error managing company users'
+    },
+    accountSettings: {
+      title: 'Account security',
+      passwordTitle: 'Password',
+      login: 'Login',
+      lastChanged: 'Last changed: {date}',
+      neverChanged: 'Not changed since the account was created ({date})',
+      currentPassword: 'Current password',
+      newPassword: 'New password',
+      confirmPassword: 'Repeat new password',
+      passwordHint: 'At least 8 characters. Your other sessions will be signed out.',
+      changePassword: 'Change password',
+      passwordChanged: 'Password changed. Other sessions have been signed out.',
+      passwordMismatch: 'The new passwords do not match',
+      wrongCurrentPassword: 'The current password is incorrect',
+      tooManyAttempts: 'Too many attempts. Try again in {seconds} s.',
+      codephraseTitle: 'Recovery codephrase',
+      codephraseDescription: 'The codephrase lets you reset the password if it is lost. Replace it if someone else may know it: the old codephrase stops working immediately.',
+      regenerateCodephrase: 'Generate new codephrase',
+      confirmRegenerate: 'Generate a new codephrase? The old one stops working immediately.',
+      newCodephrase: 'Your new codephrase:',
+      saveCodephrase: 'Save it in a safe place. It will not be shown again.',
+      codephraseRegenerated: 'New codephrase generated',
+      codephraseCompanyOnly: 'The recovery codephrase is managed by the main company login.',
+      errorGeneric: 'Error updating account settings'
+    },
+    roles: {
+      title: 'Roles and permissions',
+      description: 'Each administrator has a role that decides what they can do. Changes apply immediately, without signing in again. Master accounts have every permission.',
+      permission: 'Permission',
+      adminCount: 'administrators: {count}',
+      rename: 'Rename',
+      enterNewName: 'New role name:',
+      name: 'Role name',
+      roleDescription: 'Description',
+      add: 'Add role',
+      created: 'Role created. Tick its permissions and save.',
+      saved: 'Role saved',
+      deleted: 'Role deleted',
+      confirmDelete: 'Delete the role "{name}"? Its administrators get the Engineer role.',
+      errorGeneric: 'Error managing roles',
+      name_engineer: 'Engineer',
+      name_dispatcher: 'Dispatcher',
+      name_account_manager: 'Account manager',
+      name_auditor: 'Auditor',
+      description_engineer: 'Works on the tickets assigned to them',
+      description_dispatcher: 'Sees all tickets, assigns and restores them',
+      description_account_manager: 'Manages companies, their users, passwords and contracts',
+      description_auditor: 'Read-only access to tickets, companies and the audit log',
+      group_tickets: 'Tickets',
+      group_companies: 'Companies',
+      group_catalog: 'Equipment, contracts, SLA and skills',
+      group_admins: 'Administrators',
+      group_audit: 'Audit',
+      permission_tickets_view_all: 'See all tickets, not only assigned ones',
+      permission_tickets_assign: 'Assign and reassign engineers',
+      permission_tickets_restore: 'Restore tickets from the archive',
+      permission_companies_view: 'View companies, their users and deleted companies',
+      permission_companies_create: 'Create company accounts',
+      permission_companies_credentials: 'Change and generate company passwords',
+      permission_companies_users: 'Add, edit and delete company users',
+      permission_companies_recovery: 'Approve or deny password recovery',
+      permission_companies_delete: 'Delete and restore companies',
+      permission_companies_purge: 'Purge deleted companies permanently',
+      permission_equipment_delete: 'Delete equipment',
+      permission_contracts_manage: 'Manage service contracts',
+      permission_sla_manage: 'Manage SLA policies',
+      permission_skills_manage: 'Manage the skill catalog',
+      permission_admins_create: 'Create administrators',
+      permission_admins_manage: 'Change passwords, 2FA, names and skills of administrators',
+      permission_admins_delete: 'Delete administrators',
+      permission_admins_unlock: 'Lift sign-in lockouts',
+      permission_audit_view: 'View and export the audit log',
+      group_analytics: 'Statistics',
+      permission_analytics_view: 'View and export support statistics'
+    },
+    search: {
+      placeholder: 'Search tickets and messages…',
+      searching: 'Searching…',
+      noResults: 'Nothing found',
+      error: 'Search failed. Please try again.',
+      tickets: 'Tickets',
+      messages: 'Messages',
+      serial: 'S/N',
+      internalNote: 'Internal note'
+    },
+    analytics: {
+      title: 'Support statistics',
+      description: 'Ticket volume, response and resolution times, engineer workload and the open backlog. Periods are in UTC; the backlog shows open tickets right now.',
+      dateFrom: 'From',
+      dateTo: 'To',
+      company: 'Company',
+      allCompanies: 'All companies',
+      interval: 'Group by',
+      interval_auto: 'Automatic',
+      interval_day: 'Day',
+      interval_week: 'Week',
+      interval_month: 'Month',
+      apply: 'Apply',
+      exportCsv: 'Export CSV',
+      loading: 'Loading statistics...',
+      noData: 'No data for this period.',
+      errorGeneric: 'Could not load statistics',
+      submitted: 'Tickets submitted',
+      resolved: 'Resolved',
+      created: 'Submitted',
+      meanFirstResponse: 'Mean time to first response',
+      respondedOf: '{count} of {total} answered',
+      meanResolution: 'Mean time to resolution',
+      openNow: 'Open now',
+      unassigned: '{count} unassigned',
+      volumeTitle: 'Ticket volume',
+      engineersTitle: 'Engineer throughput',
+      engineer: 'Engineer',
+      assigned: 'Assigned',
+      deletedEngineer: 'Deleted administrator',
+      backlogTitle: 'Open backlog age',
+      backlogSummary: 'Mean age {mean}, oldest {oldest}',
+      byStatus: 'By status',
+      age_under_1d: 'Under 1 day',
+      age_1_3d: '1–3 days',
+      age_3_7d: '3–7 days',
+      age_7_30d: '7–30 days',
+      age_over_30d: 'Over 30 days',
+      topCompaniesTitle: 'Top companies by tickets',
+      topSerialsTitle: 'Top serial numbers by tickets',
+      durationDays: '{count} d',
+      durationHours: '{count} h',
+      durationMinutes: '{count} min'
     },
     // Common UI
     common: {
@@ -482,8 +937,42 @@ const translations = {
       deleteWarningTickets: 'All associated tickets',
       deleteWarningMessages: 'All chat messages',
       deleteConfirm: 'Delete Company',
-      companyDeletedSuccessfully: 'Company account deleted successfully',
-      errorDeleting: 'Error deleting company account'
+      companyDeletedSuccessfully: 'Company account moved to Deleted companies',
+      errorDeleting: 'Error deleting company account',
+      activeCompanies: 'Companies',
+      deletedCompanies: 'Deleted companies',
+      noDeletedCompanies: 'No deleted companies',
+      softDeleteTitle: 'The company will be moved to Deleted companies',
+      softDeleteSignOut: 'Its users are signed out and can no longer sign in',
+      softDeleteHistory: 'Tickets and chat messages are kept',
+      softDeleteRestore: 'A master account can restore it from Deleted companies',
+      deletedAt: 'Deleted:',
+      ticketsKept: 'Tickets kept: {count}',
+      purgeAvailable: 'Can be purged permanently',
+      purgeAvailableFrom: 'Can be purged from {date}',
+      restore: 'Restore',
+      confirmRestore: 'Restore {company}? Its users will be able to sign in again.',
+      companyRestoredSuccessfully: 'Company account restored',
+      errorRestoring: 'Error restoring company account',
+      purge: 'Purge',
+      purgeCompany: 'Purge Company Account',
+      purgeTypeLogin: 'Type the login {login} to confirm',
+      purgeConfirm: 'Purge permanently',
+      companyPurgedSuccessfully: 'Company account purged',
+      errorPurging: 'Error purging company account',
+      users: 'Users',
+      usersOf: 'Users of',
+      recoveryRequest: 'Recovery request',
+      recoveryRequested: 'Password recovery requested {date}, expires {expires}',
+      approveRecovery: 'Approve',
+      denyRecovery: 'Deny',
+      confirmApproveRecovery: 'Approve password recovery for {company}? Whoever entered its codephrase will be able to set a new password.',
+      confirmDenyRecovery: 'Deny password recovery for {company}?',
+      recoveryApproved: 'Recovery approved',
+      recoveryDenied: 'Recovery denied',
+      recoveryApprovedBy: 'Recovery approved by {admin} on {date}',
+      recoveryDeniedBy: 'Recovery denied by {admin} on {date}',
+      errorRecoveryDecision: 'Error updating recovery request'
     },
     // Password Recovery
     recovery: {
@@ -517,7 +1006,13 @@ const translations = {
       supportInstructions: 'Important: Please have your equipment ID ready when you call.',
       back: 'Back',
       tokenExpired: 'Recovery token expired. Please start over.',
-      errorOccurred: 'An error occurred. Please try again later.'
+      errorOccurred: 'An error occurred. Please try again later.',
+      tooManyAttempts: 'Too many failed attempts. Please try again in {minutes} min.',
+      pendingTitle: 'Waiting for approval',
+      pendingDescription: 'Your request has been sent to the support team. You can set a new password as soon as an administrator approves it. Keep this window open.',
+      pendingWaiting: 'Waiting for a decision… The status is checked automatically.',
+      requestDenied: 'Your recovery request was denied. Please contact support.',
+      requestExpired: 'Your recovery request has expired or was replaced by a newer one. Please start again.'
     }
   },
   ru: {
@@ -656,7 +1151,22 @@ const translations = {
       loginError: 'Произошла ошибка при входе. Попробуйте еще раз.',
       usernamePasswordRequired: 'Пожалуйста, введите имя пользователя и пароль',
       invalidRole: 'Неверная роль пользователя',
-      forgotPassword: 'Забыли пароль?'
+      forgotPassword: 'Забыли пароль?',
+      twoFactorPrompt: 'Введите 6-значный код из приложения-аутентификатора или один из резервных кодов.',
+      twoFactorSetupPrompt: 'Для вашей учётной записи обязательна двухфакторная аутентификация. Добавьте этот ключ в приложение-аутентификатор и введите показанный код.',
+      twoFactorSecretLabel: 'Ключ настройки:',
+      twoFactorOpenApp: 'Открыть в приложении-аутентификаторе',
+      twoFactorCodeLabel: 'Код подтверждения',
+      twoFactorVerify: 'Подтвердить',
+      twoFactorVerifying: 'Проверка...',
+      twoFactorCodeRequired: 'Введите код подтверждения',
+      twoFactorInvalidCode: 'Неверный или уже использованный код. Попробуйте ещё раз.',
+      twoFactorExpired: 'Время на вход истекло. Войдите снова.',
+      twoFactorBack: 'Вернуться ко входу',
+      backupCodesText: 'Сохраните резервные коды в надёжном месте. Каждый код можно использовать один раз для входа без приложения-аутентификатора. Повторно они показаны не будут.',
+      continue: 'Продолжить',
+      tooManyAttempts: 'Слишком много неудачных попыток. Подождите {seconds} с и попробуйте снова.',
+      accountLocked: 'Слишком много неудачных попыток. Вход заблокирован на {minutes} мин.'
     },
     // Dashboard Common
     dashboard: {
@@ -668,7 +1178,10 @@ const translations = {
       enterpriseBrand: 'НТЦ Сибирская электроника',
       ticketsTab: 'Заявки',
       accountsTab: 'Аккаунты',
-      companiesTab: 'Компании'
+      companiesTab: 'Компании',
+      twoFactor: 'Двухфакторная защита',
+      auditTab: 'Аудит',
+      statisticsTab: 'Статистика'
     },
     // Ticket Form
     ticketForm: {
@@ -692,7 +1205,15 @@ const translations = {
       noPermission: 'У вас нет разрешения на создание заявок',
       submitError: 'Произошла ошибка при отправке заявки. Попробуйте еще раз.',
       checkInput: 'Пожалуйста, проверьте введенные данные и попробуйте еще раз',
-      required: 'обязательно'
+      required: 'обязательно',
+      priority: 'Приоритет',
+      category: 'Категория',
+      registeredEquipment: 'Зарегистрированный сервер',
+      registeredEquipmentHint: 'Выберите один из ваших зарегистрированных серверов или выберите «Другой» и введите серийный номер.',
+      otherEquipment: 'Другой (ввести серийный номер)',
+      attachments: 'Вложения',
+      attachmentsHint: 'Фотографии, логи или архивы (например, логи BMC, sosreport). До 5 файлов.',
+      attachmentsFailed: 'Заявка создана, но прикреплённые файлы не удалось сохранить. Пожалуйста, отправьте их в чат заявки.'
     },
     // Ticket List
     ticketList: {
@@ -717,7 +1238,9 @@ const translations = {
       errorLoadingArchive: 'Ошибка загрузки архива',
       retry: 'Повторить',
       statusLabel: 'Статус:',
-      generateReport: 'Сформировать отчёт'
+      generateReport: 'Сформировать отчёт',
+      shownOf: 'Показано {shown} из {total}',
+      loadMore: 'Показать ещё'
     },
     // Ticket Management
     ticketManagement: {
@@ -753,7 +1276,8 @@ const translations = {
       errorLoading: 'Ошибка загрузки заявок:',
       updateSuccess: 'Заявка успешно обновлена',
       updateError: 'Ошибка обновления заявки. Попробуйте еще раз.',
-      masterOnlyManualAssignment: 'Только мастер-аккаунты могут вручную назначать заявки',
+      masterOnlyManualAssignment: 'Только диспетчеры и мастер-аккаунты могут вручную назначать заявки',
+      assignPermissionHint: 'Диспетчеры и мастер-аккаунты',
       activeTickets: 'Активные заявки',
       archive: 'Архив',
       restore: 'Восстановить',
@@ -762,7 +1286,20 @@ const translations = {
       restoreError: 'Ошибка восстановления заявки',
       noArchivedTickets: 'Нет архивных заявок',
       noArchivedTicketsText: 'Закрытые заявки будут отображаться здесь',
-      errorLoadingArchive: 'Ошибка загрузки архива'
+      errorLoadingArchive: 'Ошибка загрузки архива',
+      category: 'Категория:',
+      requiredSkill: 'Требуемый навык:',
+      sortBy: 'Сортировка',
+      sort_submitted: 'Дата создания',
+      sort_updated: 'Последнее изменение',
+      sort_eta: 'Плановое завершение',
+      sort_company: 'Компания',
+      sort_assignee: 'Исполнитель',
+      order_asc: 'По возрастанию',
+      order_desc: 'По убыванию',
+      shownOf: 'Показано {shown} из {total}',
+      loadMore: 'Показать ещё',
+      generateReport: 'Сформировать отчёт'
     },
     // Client Generator
     clientGenerator: {
@@ -780,7 +1317,10 @@ const translations = {
       close: 'Закрыть',
       copied: 'Скопировано!',
       saveCredentials: 'Пожалуйста, сохраните эти учетные данные. Пароль нельзя будет получить позже.',
-      errorGenerating: 'Ошибка создания аккаунта клиента. Попробуйте еще раз.'
+      errorGenerating: 'Ошибка создания аккаунта клиента. Попробуйте еще раз.',
+      email: 'Контактный email',
+      emailPlaceholder: 'it@company.com (необязательно)',
+      emailHint: 'Письма в поддержку с этого адреса становятся заявками этого клиента.'
     },
     // Admin Management
     adminManagement: {
@@ -817,7 +1357,7 @@ const translations = {
       deleteTitle: 'Удалить администратора',
       loginImmutable: 'Логин нельзя изменить',
       loginHelp: 'Логин нельзя изменить после создания',
-      masterOnly: 'Только мастер-аккаунты могут создавать и удалять администраторов.',
+      masterOnly: 'Ваша роль не позволяет создавать и удалять администраторов.',
       editDisplayName: 'Изменить отображаемое имя',
       saveTitle: 'Сохранить',
       cancelTitle: 'Отмена',
@@ -839,7 +1379,45 @@ const translations = {
       enterNewPassword: 'Введите новый пароль для',
       passwordChanged: 'Пароль успешно изменен',
       errorChangingPassword: 'Ошибка изменения пароля',
-      adminNotFound: 'Администратор не найден'
+      adminNotFound: 'Администратор не найден',
+      skills: 'Навыки',
+      noSkills: 'Нет навыков',
+      saveSkills: 'Сохранить навыки',
+      skillsSaved: 'Навыки сохранены',
+      skillCatalog: 'Навыки',
+      skillCatalogHelp: 'Новой заявке требуется навык, префикс серийного номера которого совпадает с серийным номером оборудования, иначе навык, привязанный к категории заявки. При автоматическом назначении предпочтение отдается администраторам с этим навыком.',
+      skillName: 'Навык',
+      skillCategory: 'Категория заявки',
+      skillSerialPrefixes: 'Префиксы серийных номеров (через запятую)',
+      skillNoCategory: 'Нет',
+      addSkill: 'Добавить навык',
+      skillSaved: 'Навык сохранен',
+      skillDeleted: 'Навык удален',
+      confirmDeleteSkill: 'Удалить этот навык? Администраторы его потеряют, а заявки, которым он требовался, больше не будут требовать навык.',
+      errorSavingSkills: 'Не удалось сохранить навыки',
+      twoFactorEnabled: 'Двухфакторная аутентификация включена',
+      resetTwoFactor: 'Сбросить 2FA',
+      resetTwoFactorTitle: 'Отключить двухфакторную аутентификацию (потерян аутентификатор)',
+      confirmResetTwoFactor: 'Отключить двухфакторную аутентификацию для',
+      twoFactorReset: 'Двухфакторная аутентификация отключена',
+      lockouts: 'Заблокированные входы',
+      lockoutsHelp: 'Логины и адреса временно блокируются после повторных неудачных попыток входа или ввода кодового слова.',
+      noLockouts: 'Заблокированных входов нет.',
+      lockoutTarget: 'Заблокировано',
+      lockoutFailures: 'Неудачных попыток',
+      lockoutLastAddress: 'Последний адрес',
+      lockoutUntil: 'Заблокировано до',
+      lockoutScopeLogin: 'Логин',
+      lockoutScopeIp: 'IP-адрес (вход)',
+      lockoutScopeRecovery: 'IP-адрес (восстановление)',
+      unlock: 'Разблокировать',
+      confirmUnlock: 'Разблокировать вход для',
+      unlocked: 'Вход разблокирован',
+      role: 'Роль',
+      roleHelp: 'Что разрешено администратору; у мастер-аккаунтов есть все права',
+      roleChanged: 'Роль изменена',
+      allPermissions: 'Мастер-аккаунт (все права)',
+      masterHasAllPermissions: 'Мастер-аккаунт: все права независимо от роли'
     },
     // Report Modal
     reportModal: {
@@ -866,7 +1444,11 @@ const translations = {
       invalidDateRange: 'Дата "с" должна быть раньше или равна дате "по"',
       validationError: 'Неверные значения фильтров',
       permissionDenied: 'Доступ запрещён',
-      generationError: 'Ошибка при формировании отчёта'
+      generationError: 'Ошибка при формировании отчёта',
+      company: 'Компания',
+      allCompanies: 'Все компании',
+      allEngineers: 'Все инженеры',
+      format: 'Формат'
     },
     // Filters
     filters: {
@@ -883,7 +1465,11 @@ const translations = {
       startDate: 'Дата начала',
       endDate: 'Дата окончания',
       showMyTicketsOnly: 'Показать только мои заявки',
-      clear: 'Очистить'
+      clear: 'Очистить',
+      breachingSoon: 'SLA скоро нарушится',
+      category: 'Категория',
+      allPriorities: 'Все приоритеты',
+      allCategories: 'Все категории'
     },
     // Chat
     chat: {
@@ -910,7 +1496,371 @@ const translations = {
       low: 'Низкий',
       medium: 'Средний',
       high: 'Высокий',
-      urgent: 'Срочный'
+      critical: 'Критический',
+      label: 'Приоритет'
+    },
+    category: {
+      hardware: 'Оборудование',
+      software: 'Программное обеспечение',
+      network: 'Сеть',
+      warranty: 'Гарантия',
+      other: 'Другое',
+      label: 'Категория'
+    },
+    ticketHistory: {
+      show: 'История',
+      hide: 'Скрыть историю',
+      empty: 'Изменений пока нет',
+      loadError: 'Не удалось загрузить историю заявки',
+      created: 'Заявка создана',
+      system: 'Система',
+      notSet: 'Не указано',
+      unassigned: 'Не назначен',
+      fieldStatus: 'Статус',
+      fieldEngineer: 'Инженер',
+      fieldEstimatedCompletion: 'Плановое завершение',
+      fieldPriority: 'Приоритет',
+      fieldCategory: 'Категория'
+    },
+    sla: {
+      response: 'Реакция',
+      resolution: 'Решение',
+      dueIn: 'через',
+      overdueBy: 'просрочено на',
+      daysShort: 'д',
+      hoursShort: 'ч',
+      minutesShort: 'м',
+      tooltip: 'Срок по SLA'
+    },
+    slaPolicies: {
+      title: 'SLA-политики',
+      description: 'Сроки первой реакции и решения в минутах. Применяется наиболее точная политика (компания и приоритет, компания, приоритет); политика по умолчанию действует для остальных заявок. Изменения применяются к заявкам, созданным после сохранения.',
+      name: 'Название',
+      company: 'Компания',
+      anyCompany: 'Любая компания',
+      responseMinutes: 'Первая реакция, мин',
+      resolutionMinutes: 'Решение, мин',
+      add: 'Добавить политику',
+      saved: 'Политика сохранена',
+      created: 'Политика создана',
+      deleted: 'Политика удалена',
+      confirmDelete: 'Удалить эту SLA-политику? Существующие заявки сохранят свои сроки.',
+      errorGeneric: 'Не удалось обновить SLA-политики',
+      priority: 'Приоритет',
+      anyPriority: 'Любой приоритет'
+    },
+    equipment: {
+      title: 'Реестр оборудования',
+      description: 'Серверы компаний-клиентов. Серийные номера из новых заявок регистрируются автоматически.',
+      search: 'Поиск',
+      searchPlaceholder: 'Серийный номер, производитель, модель или расположение',
+      serialNumber: 'Серийный номер',
+      company: 'Компания',
+      selectCompany: 'Выберите компанию',
+      vendor: 'Производитель',
+      model: 'Модель',
+      purchaseDate: 'Дата покупки',
+      warrantyEnd: 'Окончание гарантии',
+      location: 'Расположение',
+      add: 'Зарегистрировать сервер',
+      empty: 'Оборудование не зарегистрировано',
+      created: 'Оборудование зарегистрировано',
+      saved: 'Оборудование сохранено',
+      deleted: 'Оборудование удалено',
+      confirmDelete: 'Удалить сервер из реестра? Его заявки сохранятся.',
+      errorGeneric: 'Не удалось выполнить операцию с оборудованием',
+      viewAsset: 'Открыть карточку',
+      assetTitle: 'Сервер',
+      backToDashboard: 'Назад к панели',
+      ticketHistory: 'История заявок',
+      noTickets: 'По этому серверу заявок не было',
+      notSet: 'Не указано',
+      notFound: 'Оборудование не найдено',
+      loadError: 'Не удалось загрузить оборудование',
+      loading: 'Загрузка...',
+      warrantyActive: 'На гарантии',
+      warrantyExpired: 'Гарантия истекла',
+      lastUpdated: 'Обновлено',
+      reportedBy: 'Автор заявки'
+    },
+    coverage: {
+      label: 'Покрытие',
+      contract: 'По контракту',
+      warranty: 'На гарантии',
+      out_of_coverage: 'Вне гарантии/контракта',
+      unknown: 'Неизвестно'
+    },
+    contracts: {
+      title: 'Сервисные контракты',
+      description: 'Контракт покрывает выбранное оборудование или всё оборудование компании, если ничего не выбрано. Обязательства по времени реакции заменяют цели SLA-политики для покрытых заявок. Мастер-аккаунты получают уведомление за {days} дн. до окончания контракта.',
+      contractNumber: '№ контракта',
+      company: 'Компания',
+      selectCompany: 'Выберите компанию',
+      coverageLevel: 'Уровень покрытия',
+      level_basic: 'Базовый',
+      level_standard: 'Стандартный',
+      level_premium: 'Премиум',
+      period: 'Период',
+      startDate: 'Дата начала',
+      endDate: 'Дата окончания',
+      responseMinutes: 'Реакция (мин)',
+      resolutionMinutes: 'Решение (мин)',
+      responseShort: 'Реакц.',
+      resolutionShort: 'Реш.',
+      commitments: 'Обязательства',
+      slaPolicy: 'SLA-политика',
+      equipment: 'Оборудование',
+      equipmentHint: 'Удерживайте Ctrl (Cmd на Mac), чтобы выбрать несколько серверов. Оставьте пустым, чтобы покрыть всё оборудование компании.',
+      allEquipment: 'Всё оборудование',
+      notes: 'Примечания',
+      state: 'Состояние',
+      stateActive: 'Действует',
+      stateUpcoming: 'Не начался',
+      stateExpiring: 'Истекает через {days} дн.',
+      stateExpired: 'Истёк',
+      add: 'Добавить контракт',
+      empty: 'Сервисных контрактов нет',
+      created: 'Контракт создан',
+      saved: 'Контракт сохранён',
+      deleted: 'Контракт удалён',
+      confirmDelete: 'Удалить контракт? Заявки, созданные по нему, сохранят отметку о покрытии.',
+      errorGeneric: 'Не удалось выполнить операцию с контрактом'
+    },
+    twoFactor: {
+      title: 'Двухфакторная аутентификация',
+      loading: 'Загрузка...',
+      statusEnabled: 'Двухфакторная аутентификация включена. Для входа нужен код из приложения-аутентификатора.',
+      statusDisabled: 'Двухфакторная аутентификация выключена. Включите её, чтобы при входе запрашивался код из приложения-аутентификатора.',
+      requiredNote: 'Для мастер-аккаунтов двухфакторная аутентификация обязательна.',
+      enable: 'Включить',
+      disable: 'Выключить',
+      regenerateCodes: 'Новые резервные коды',
+      backupCodesRemaining: 'Неиспользованных резервных кодов:',
+      confirmWithCode: 'Чтобы изменить настройки, введите текущий код или резервный код.',
+      setupInstructions: 'Добавьте этот ключ в приложение-аутентификатор (например, Google Authenticator или Aegis) и введите показанный код.',
+      secretLabel: 'Ключ настройки:',
+      openInApp: 'Открыть в приложении-аутентификаторе',
+      codeLabel: 'Код подтверждения',
+      codeRequired: 'Введите код подтверждения',
+      confirm: 'Подтвердить',
+      backupCodesText: 'Сохраните резервные коды в надёжном месте. Каждый код можно использовать один раз для входа без приложения-аутентификатора. Повторно они показаны не будут.',
+      done: 'Готово',
+      invalidCode: 'Неверный или уже использованный код. Попробуйте ещё раз.',
+      errorOccurred: 'Произошла ошибка. Попробуйте ещё раз.'
+    },
+    audit: {
+      title: 'Журнал аудита безопасности',
+      description: 'Привилегированные действия и события безопасности: кто, что и с каким аккаунтом сделал, с какого адреса. Записи нельзя изменить или удалить.',
+      action: 'Действие',
+      actor: 'Кто',
+      target: 'Объект',
+      time: 'Время',
+      ipAddress: 'IP-адрес',
+      details: 'Подробности',
+      allActions: 'Все действия',
+      actionGroups: 'Группы',
+      actions: 'Действия',
+      actorPlaceholder: 'Логин или ID',
+      targetPlaceholder: 'Логин, компания или ID',
+      dateFrom: 'С',
+      dateTo: 'По',
+      apply: 'Применить',
+      exportCsv: 'Экспорт CSV',
+      empty: 'Нет записей, подходящих под фильтры.',
+      previous: 'Назад',
+      next: 'Вперёд',
+      range: '{from}–{to} из {total}',
+      actorSystem: 'Система',
+      actorCli: 'Командная строка',
+      roleClient: 'клиент',
+      roleAdministrator: 'администратор',
+      errorGeneric: 'Не удалось загрузить журнал аудита',
+      group_admin: 'Администраторы',
+      group_company: 'Компании',
+      group_contact: 'Пользователи компаний',
+      group_ticket: 'Заявки',
+      group_recovery: 'Восстановление пароля',
+      group_role: 'Роли',
+      group_two_factor: 'Двухфакторная аутентификация',
+      group_auth: 'Блокировки входа',
+      action_admin_created: 'Создан администратор',
+      action_admin_deleted: 'Удалён администратор',
+      action_admin_promoted: 'Выданы права мастер-аккаунта',
+      action_admin_demoted: 'Сняты права мастер-аккаунта',
+      action_admin_password_changed: 'Изменён пароль администратора',
+      action_admin_two_factor_reset: 'Сброшена 2FA администратора',
+      action_admin_role_changed: 'Изменена роль администратора',
+      action_company_created: 'Создан аккаунт компании',
+      action_company_password_changed: 'Изменён пароль компании',
+      action_company_password_generated: 'Сгенерирован пароль компании',
+      action_company_codephrase_regenerated: 'Заменено кодовое слово компании',
+      action_company_deleted: 'Удалён аккаунт компании',
+      action_company_restored: 'Восстановлен аккаунт компании',
+      action_company_purged: 'Аккаунт компании удалён окончательно',
+      action_contact_created: 'Создан пользователь компании',
+      action_contact_updated: 'Изменён пользователь компании',
+      action_contact_password_generated: 'Сгенерирован пароль пользователя компании',
+      action_contact_password_changed: 'Изменён пароль пользователя компании',
+      action_contact_deleted: 'Удалён пользователь компании',
+      action_role_created: 'Создана роль',
+      action_role_updated: 'Изменена роль',
+      action_role_deleted: 'Удалена роль',
+      action_ticket_restored: 'Заявка восстановлена из архива',
+      action_recovery_initiated: 'Начато восстановление пароля',
+      action_recovery_approved: 'Восстановление пароля подтверждено',
+      action_recovery_denied: 'Восстановление пароля отклонено',
+      action_recovery_password_reset: 'Пароль сброшен через восстановление',
+      action_two_factor_enabled: '2FA включена',
+      action_two_factor_disabled: '2FA отключена',
+      action_auth_locked: 'Вход заблокирован',
+      action_auth_unlocked: 'Вход разблокирован'
+    },
+    companyUsers: {
+      title: 'Пользователи компании',
+      description: 'Каждый пользователь входит под своим логином и видит все заявки и отчёты компании. Уведомления у каждого свои, а заявки отмечаются именем отправителя.',
+      addUser: 'Добавить пользователя',
+      fullName: 'ФИО',
+      jobTitle: 'Должность',
+      email: 'Email',
+      phone: 'Телефон',
+      create: 'Создать пользователя',
+      created: 'Пользователь создан',
+      passwordGenerated: 'Сгенерирован новый пароль',
+      login: 'Логин',
+      delete: 'Удалить',
+      empty: 'Пользователей пока нет. Компания входит под основным логином.',
+      confirmGenerate: 'Сгенерировать новый пароль для {name}? Старый пароль перестанет работать, а сеансы будут завершены.',
+      confirmDelete: 'Удалить пользователя {name}? Его заявки останутся у компании.',
+      errorGeneric: 'Ошибка при работе с пользователями компании'
+    },
+    accountSettings: {
+      title: 'Безопасность аккаунта',
+      passwordTitle: 'Пароль',
+      login: 'Логин',
+      lastChanged: 'Последнее изменение: {date}',
+      neverChanged: 'Не менялся с момента создания аккаунта ({date})',
+      currentPassword: 'Текущий пароль',
+      newPassword: 'Новый пароль',
+      confirmPassword: 'Повторите новый пароль',
+      passwordHint: 'Не менее 8 символов. Остальные сеансы будут завершены.',
+      changePassword: 'Сменить пароль',
+      passwordChanged: 'Пароль изменён. Остальные сеансы завершены.',
+      passwordMismatch: 'Новые пароли не совпадают',
+      wrongCurrentPassword: 'Текущий пароль указан неверно',
+      tooManyAttempts: 'Слишком много попыток. Повторите через {seconds} с.',
+      codephraseTitle: 'Кодовое слово для восстановления',
+      codephraseDescription: 'Кодовое слово позволяет сбросить забытый пароль. Замените его, если оно могло стать известно посторонним: старое кодовое слово сразу перестанет действовать.',
+      regenerateCodephrase: 'Сгенерировать новое кодовое слово',
+      confirmRegenerate: 'Сгенерировать новое кодовое слово? Старое сразу перестанет действовать.',
+      newCodephrase: 'Ваше новое кодовое слово:',
+      saveCodephrase: 'Сохраните его в надёжном месте. Повторно оно показано не будет.',
+      codephraseRegenerated: 'Новое кодовое слово сгенерировано',
+      codephraseCompanyOnly: 'Кодовым словом для восстановления управляет основной логин компании.',
+      errorGeneric: 'Ошибка при изменении настроек аккаунта'
+    },
+    roles: {
+      title: 'Роли и права',
+      description: 'У каждого администратора есть роль, которая определяет, что ему разрешено. Изменения действуют сразу, без повторного входа. У мастер-аккаунтов есть все права.',
+      permission: 'Право',
+      adminCount: 'администраторов: {count}',
+      rename: 'Переименовать',
+      enterNewName: 'Новое название роли:',
+      name: 'Название роли',
+      roleDescription: 'Описание',
+      add: 'Добавить роль',
+      created: 'Роль создана. Отметьте её права и сохраните.',
+      saved: 'Роль сохранена',
+      deleted: 'Роль удалена',
+      confirmDelete: 'Удалить роль «{name}»? Её администраторы получат роль «Инженер».',
+      errorGeneric: 'Ошибка при работе с ролями',
+      name_engineer: 'Инженер',
+      name_dispatcher: 'Диспетчер',
+      name_account_manager: 'Менеджер по работе с клиентами',
+      name_auditor: 'Аудитор',
+      description_engineer: 'Работает с назначенными ему заявками',
+      description_dispatcher: 'Видит все заявки, назначает и восстанавливает их',
+      description_account_manager: 'Управляет компаниями, их пользователями, паролями и договорами',
+      description_auditor: 'Просмотр заявок, компаний и журнала аудита',
+      group_tickets: 'Заявки',
+      group_companies: 'Компании',
+      group_catalog: 'Оборудование, договоры, SLA и навыки',
+      group_admins: 'Администраторы',
+      group_audit: 'Аудит',
+      permission_tickets_view_all: 'Видеть все заявки, а не только назначенные',
+      permission_tickets_assign: 'Назначать и переназначать исполнителей',
+      permission_tickets_restore: 'Восстанавливать заявки из архива',
+      permission_companies_view: 'Просматривать компании, их пользователей и удалённые компании',
+      permission_companies_create: 'Создавать учётные записи компаний',
+      permission_companies_credentials: 'Менять и генерировать пароли компаний',
+      permission_companies_users: 'Добавлять, изменять и удалять пользователей компаний',
+      permission_companies_recovery: 'Подтверждать и отклонять восстановление пароля',
+      permission_companies_delete: 'Удалять и восстанавливать компании',
+      permission_companies_purge: 'Окончательно удалять компании',
+      permission_equipment_delete: 'Удалять оборудование',
+      permission_contracts_manage: 'Управлять договорами обслуживания',
+      permission_sla_manage: 'Управлять политиками SLA',
+      permission_skills_manage: 'Управлять каталогом навыков',
+      permission_admins_create: 'Создавать администраторов',
+      permission_admins_manage: 'Менять пароли, 2FA, имена и навыки администраторов',
+      permission_admins_delete: 'Удалять администраторов',
+      permission_admins_unlock: 'Снимать блокировки входа',
+      permission_audit_view: 'Просматривать и выгружать журнал аудита',
+      group_analytics: 'Статистика',
+      permission_analytics_view: 'Просматривать и выгружать статистику поддержки'
+    },
+    search: {
+      placeholder: 'Поиск по заявкам и сообщениям…',
+      searching: 'Поиск…',
+      noResults: 'Ничего не найдено',
+      error: 'Не удалось выполнить поиск. Попробуйте ещё раз.',
+      tickets: 'Заявки',
+      messages: 'Сообщения',
+      serial: 'S/N',
+      internalNote: 'Внутренняя заметка'
+    },
+    analytics: {
+      title: 'Статистика поддержки',
+      description: 'Поток заявок, время первого ответа и решения, нагрузка инженеров и открытые заявки. Периоды считаются по UTC; очередь показывает открытые заявки на текущий момент.',
+      dateFrom: 'С',
+      dateTo: 'По',
+      company: 'Компания',
+      allCompanies: 'Все компании',
+      interval: 'Группировать по',
+      interval_auto: 'Автоматически',
+      interval_day: 'Дням',
+      interval_week: 'Неделям',
+      interval_month: 'Месяцам',
+      apply: 'Применить',
+      exportCsv: 'Выгрузить CSV',
+      loading: 'Загрузка статистики...',
+      noData: 'Нет данных за этот период.',
+      errorGeneric: 'Не удалось загрузить статистику',
+      submitted: 'Подано заявок',
+      resolved: 'Решено',
+      created: 'Подано',
+      meanFirstResponse: 'Среднее время первого ответа',
+      respondedOf: 'Ответ получили {count} из {total}',
+      meanResolution: 'Среднее время решения',
+      openNow: 'Открыто сейчас',
+      unassigned: 'Не назначено: {count}',
+      volumeTitle: 'Поток заявок',
+      engineersTitle: 'Производительность инженеров',
+      engineer: 'Инженер',
+      assigned: 'Назначено',
+      deletedEngineer: 'Удалённый администратор',
+      backlogTitle: 'Возраст открытых заявок',
+      backlogSummary: 'Средний возраст {mean}, самая старая {oldest}',
+      byStatus: 'По статусам',
+      age_under_1d: 'Меньше суток',
+      age_1_3d: '1–3 дня',
+      age_3_7d: '3–7 дней',
+      age_7_30d: '7–30 дней',
+      age_over_30d: 'Больше 30 дней',
+      topCompaniesTitle: 'Компании с наибольшим числом заявок',
+      topSerialsTitle: 'Серийные номера с наибольшим числом заявок',
+      durationDays: '{count} д',
+      durationHours: '{count} ч',
+      durationMinutes: '{count} мин'
     },
     // Common UI
     common: {
@@ -993,8 +1943,42 @@ const translations = {
       deleteWarningTickets: 'Все связанные заявки',
       deleteWarningMessages: 'Все сообщения в чате',
       deleteConfirm: 'Удалить компанию',
-      companyDeletedSuccessfully: 'Аккаунт компании успешно удален',
-      errorDeleting: 'Ошибка удаления аккаунта компании'
+      companyDeletedSuccessfully: 'Аккаунт компании перемещён в удалённые',
+      errorDeleting: 'Ошибка удаления аккаунта компании',
+      activeCompanies: 'Компании',
+      deletedCompanies: 'Удалённые компании',
+      noDeletedCompanies: 'Удалённых компаний нет',
+      softDeleteTitle: 'Компания будет перемещена в удалённые',
+      softDeleteSignOut: 'Её пользователи выйдут из системы и не смогут войти',
+      softDeleteHistory: 'Заявки и сообщения в чате сохранятся',
+      softDeleteRestore: 'Мастер-аккаунт сможет восстановить её в разделе «Удалённые компании»',
+      deletedAt: 'Удалена:',
+      ticketsKept: 'Сохранено заявок: {count}',
+      purgeAvailable: 'Можно удалить окончательно',
+      purgeAvailableFrom: 'Окончательное удаление доступно с {date}',
+      restore: 'Восстановить',
+      confirmRestore: 'Восстановить {company}? Её пользователи снова смогут войти.',
+      companyRestoredSuccessfully: 'Аккаунт компании восстановлен',
+      errorRestoring: 'Ошибка восстановления аккаунта компании',
+      purge: 'Удалить навсегда',
+      purgeCompany: 'Окончательное удаление компании',
+      purgeTypeLogin: 'Введите логин {login} для подтверждения',
+      purgeConfirm: 'Удалить навсегда',
+      companyPurgedSuccessfully: 'Аккаунт компании удалён окончательно',
+      errorPurging: 'Ошибка окончательного удаления аккаунта компании',
+      users: 'Пользователи',
+      usersOf: 'Пользователи компании',
+      recoveryRequest: 'Запрос на восстановление',
+      recoveryRequested: 'Запрошено восстановление пароля {date}, действует до {expires}',
+      approveRecovery: 'Подтвердить',
+      denyRecovery: 'Отклонить',
+      confirmApproveRecovery: 'Подтвердить восстановление пароля для {company}? Тот, кто ввёл кодовое слово, сможет задать новый пароль.',
+      confirmDenyRecovery: 'Отклонить восстановление пароля для {company}?',
+      recoveryApproved: 'Восстановление подтверждено',
+      recoveryDenied: 'Восстановление отклонено',
+      recoveryApprovedBy: 'Восстановление подтвердил {admin} {date}',
+      recoveryDeniedBy: 'Восстановление отклонил {admin} {date}',
+      errorRecoveryDecision: 'Ошибка при обработке запроса на восстановление'
     },
     // Password Recovery
     recovery: {
@@ -1028,7 +2012,13 @@ const translations = {
       supportInstructions: 'Важно: Пожалуйста, подготовьте ID вашего оборудования перед звонком.',
       back: 'Назад',
       tokenExpired: 'Срок действия токена восстановления истек. Пожалуйста, начните заново.',
-      errorOccurred: 'Произошла ошибка. Пожалуйста, попробуйте позже.'
+      errorOccurred: 'Произошла ошибка. Пожалуйста, попробуйте позже.',
+      tooManyAttempts: 'Слишком много неудачных попыток. Попробуйте снова через {minutes} мин.',
+      pendingTitle: 'Ожидание подтверждения',
+      pendingDescription: 'Запрос отправлен в службу поддержки. Задать новый пароль можно будет сразу после того, как администратор его подтвердит. Не закрывайте это окно.',
+      pendingWaiting: 'Ожидаем решения… Статус проверяется автоматически.',
+      requestDenied: 'Запрос на восстановление отклонён. Обратитесь в службу поддержки.',
+      requestExpired: 'Срок запроса на восстановление истёк или он заменён более новым. Начните заново.'
     }
   }
 };
@@ -1,9 +1,11 @@
 /**
  * Notification Polling Service
- * Polls for new notifications and triggers callbacks
+ * Receives new notifications from the server event stream and triggers callbacks.
+ * Falls back to polling while the event stream is disconnected.
  */
 
 import { get, post, patch } from './api.js';
+import { subscribeToEvent, onEventStreamStatusChange, isEventStreamConnected } from './realtime.js';
 
 const DEFAULT_POLLING_INTERVAL = 7000; // 7 seconds default
 const MIN_POLLING_INTERVAL = 5000; // Minimum 5 seconds
@@ -11,7 +13,7 @@ const MAX_POLLING_INTERVAL = 10000; // Maximum 10 seconds
 
 /**
  * Notification Poller Class
- * Manages polling for notifications with configurable intervals
+ * Manages push subscription and fallback polling for notifications with configurable intervals
  */
 export class NotificationPoller {
   constructor(options = {}) {
@@ -23,12 +25,15 @@ export class NotificationPoller {
     this.preferences = null;
     this.pollingBackoff = 1;
     this.maxBackoff = 3;
+    this.unsubscribeEvents = null;
 
     // Bind methods
     this.start = this.start.bind(this);
     this.stop = this.stop.bind(this);
     this.poll = this.poll.bind(this);
     this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handlePushedNotification = this.handlePushedNotification.bind(this);
+    this.handleStreamStatusChange = this.handleStreamStatusChange.bind(this);
 
     // Handle page visibility to pause/resume polling
     document.addEventListener('visibilitychange', this.handleVisibilityChange);
@@ -48,6 +53,31 @@ export class NotificationPoller {
     }
   }
 
+  /**
+   * Handle a notification pushed through the event stream
+   * @param {object} notification - Notification event
+   */
+  handlePushedNotification(notification) {
+    if (!this.isPolling || !notification) return;
+    this.onNewNotifications([notification], this.preferences);
+  }
+
+  /**
+   * Stop polling when the event stream connects, resume polling when it drops
+   * @param {boolean} connected - Whether the event stream is open
+   */
+  handleStreamStatusChange(connected) {
+    if (!this.isPolling) return;
+
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    // Poll once either way: catch up on missed events, or restart fallback polling
+    this.poll();
+  }
+
   /**
    * Load notification preferences from backend
    */
@@ -125,8 +155,8 @@ export class NotificationPoller {
         this.pollingBackoff = Math.min(this.pollingBackoff + 0.1, this.maxBackoff);
       }
 
-      // Schedule next poll
-      if (this.isPolling) {
+      // Schedule next poll (only while the event stream is down)
+      if (this.isPolling && !isEventStreamConnected()) {
         const nextInterval = Math.min(
           MAX_POLLING_INTERVAL,
           Math.max(MIN_POLLING_INTERVAL, this.pollingInterval * this.pollingBackoff)
@@ -143,7 +173,7 @@ export class NotificationPoller {
         this.pollingInterval * this.pollingBackoff
       );
       
-      if (this.isPolling) {
+      if (this.isPolling && !isEventStreamConnected()) {
         this.pollTimer = setTimeout(this.poll, retryInterval);
       }
     }
@@ -166,8 +196,18 @@ export class NotificationPoller {
     }
 
     this.isPolling = true;
+
+    // Subscribe to pushed notifications once
+    if (!this.unsubscribeEvents) {
+      const unsubscribeNotifications = subscribeToEvent('notification', this.handlePushedNotification);
+      const unsubscribeStatus = onEventStreamStatusChange(this.handleStreamStatusChange);
+      this.unsubscribeEvents = () => {
+        unsubscribeNotifications();
+        unsubscribeStatus();
+      };
+    }
     
-    // Start immediately, then poll at intervals
+    // Poll immediately to catch up; further polls only run while the event stream is down
     this.poll();
   }
 
@@ -183,10 +223,14 @@ export class NotificationPoller {
   }
 
   /**
-   * Cleanup - stop polling and remove event listeners
+   * Cleanup - stop polling, unsubscribe from the event stream and remove event listeners
    */
   destroy() {
     this.stop();
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
+    }
     document.removeEventListener('visibilitychange', this.handleVisibilityChange);
   }
 
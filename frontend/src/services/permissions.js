@@ -0,0 +1,64 @@
+/**
+ * Administrator permission helpers
+ * The server checks every request; these only decide which controls to show.
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Check whether the current user is a master account
+ * @param {object|null} user - Current user (from /auth/me or the login response)
+ * @returns {boolean} True for master accounts
+ */
+export function isMasterUser(user) {
+  return Boolean(user && (user.is_master === true || user.is_master === 1));
+}
+
+/**
+ * Check whether the current user holds a permission
+ * @param {object|null} user - Current user with is_master and permissions
+ * @param {string} permission - Permission key (e.g. 'tickets.assign')
+ * @returns {boolean} True for master accounts and administrators whose role grants it
+ */
+export function hasPermission(user, permission) {
+  if (!user || user.role !== 'admin') {
+    return false;
+  }
+  if (isMasterUser(user)) {
+    return true;
+  }
+  return Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+/**
+ * Display name of a role; built-in roles are translated, custom roles use their own name
+ * @param {object} role - Role from GET /roles (id, name, is_system)
+ * @returns {string} Role name
+ */
+export function getRoleName(role) {
+  if (!role) {
+    return '';
+  }
+  return role.is_system ? t(`roles.name_${role.id}`) : role.name;
+}
+
+/**
+ * Description of a role; built-in roles are translated
+ * @param {object} role - Role from GET /roles
+ * @returns {string} Description or empty string
+ */
+export function getRoleDescription(role) {
+  if (!role) {
+    return '';
+  }
+  return role.is_system ? t(`roles.description_${role.id}`) : (role.description || '');
+}
+
+/**
+ * Label of a permission key ('tickets.assign' -> roles.permission_tickets_assign)
+ * @param {string} permission - Permission key
+ * @returns {string} Translated label
+ */
+export function getPermissionLabel(permission) {
+  return t(`roles.permission_${permission.replace('.', '_')}`);
+}
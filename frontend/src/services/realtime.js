@@ -1,18 +1,28 @@
 /**
  * Real-Time Update Service
  * 
- * Provides shared polling utilities with exponential backoff, connection status tracking,
+ * Provides a server push channel with a polling fallback, connection status tracking,
  * and page visibility handling for real-time updates across the application.
  * 
- * Polling Strategy:
+ * Push Channel:
+ * - A single server-sent event stream (GET /api/events) is shared by all components
+ *   on the page. It is opened lazily on the first subscription and authenticated with
+ *   the same JWT as the REST API (refreshed first if it is about to expire).
+ * - Events: 'notification', 'ticket_updated', 'chat_message'
+ * - If the stream drops, it is reopened with exponential backoff (3s → 60s max).
+ * 
+ * Polling Fallback:
+ * - Components use createRealtimeChannel(), which only polls while the stream is down.
  * - Default Interval: 3 seconds for chat messages, 8 seconds for ticket lists
  *   (configurable per polling manager instance)
  * - Exponential Backoff: On polling failure, the interval doubles up to 8x the base interval
  *   (e.g., 3s → 6s → 12s → 24s max for chat). This reduces server load during outages while
  *   maintaining responsiveness.
+ * - When the stream comes back, polling stops and a single catch-up poll fetches anything
+ *   that changed in between.
  * 
  * Connection Status Tracking:
- * - CONNECTED: Polling is working normally (green indicator)
+ * - CONNECTED: Stream is open, or polling is working normally (green indicator)
  * - RECONNECTING: First polling failure detected (yellow indicator, backoff begins)
  * - DISCONNECTED: Three or more consecutive failures (red indicator, maximum backoff)
  * 
@@ -29,6 +39,8 @@
  * - Graceful degradation: Existing data remains visible even during connection failures
  */
 
+import { ensureAccessToken } from './api.js';
+
 /**
  * Connection status constants
  */
@@ -207,6 +219,320 @@ export function createPollingManager(options = {}) {
   };
 }
 
+const EVENT_STREAM_URL = '/api/events';
+const STREAM_RECONNECT_BASE_DELAY = 3000; // 3 seconds
+const STREAM_RECONNECT_MAX_DELAY = 60000; // 60 seconds
+
+let eventSource = null;
+let streamConnected = false;
+let streamReconnectTimer = null;
+let streamReconnectAttempts = 0;
+let streamOpening = false; // Waiting for a fresh access token
+const eventHandlers = new Map(); // event name -> Set of handlers
+const streamStatusHandlers = new Set();
+
+/**
+ * Update stream connection state and notify listeners
+ * @param {boolean} connected - Whether the stream is open
+ */
+function setStreamConnected(connected) {
+  if (connected === streamConnected) {
+    return;
+  }
+  streamConnected = connected;
+  streamStatusHandlers.forEach(handler => handler(connected));
+}
+
+/**
+ * Attach a dispatcher for an event name to the current EventSource
+ * @param {string} eventName - Event name
+ */
+function attachStreamListener(eventName) {
+  if (!eventSource) {
+    return;
+  }
+  eventSource.addEventListener(eventName, (event) => {
+    let data = null;
+    try {
+      data = JSON.parse(event.data);
+    } catch (error) {
+      console.warn(`Invalid payload for event "${eventName}":`, error.message);
+      return;
+    }
+    const handlers = eventHandlers.get(eventName);
+    if (handlers) {
+      handlers.forEach(handler => handler(data));
+    }
+  });
+}
+
+/**
+ * Schedule a reconnect attempt with exponential backoff
+ */
+function scheduleStreamReconnect() {
+  if (streamReconnectTimer || eventHandlers.size === 0) {
+    return;
+  }
+  const delay = Math.min(
+    STREAM_RECONNECT_BASE_DELAY * Math.pow(2, streamReconnectAttempts),
+    STREAM_RECONNECT_MAX_DELAY
+  );
+  streamReconnectAttempts++;
+  streamReconnectTimer = setTimeout(() => {
+    streamReconnectTimer = null;
+    openEventStream();
+  }, delay);
+}
+
+/**
+ * Open the shared event stream (no-op if already open or not authenticated)
+ */
+function openEventStream() {
+  if (eventSource || streamOpening || typeof EventSource === 'undefined') {
+    return;
+  }
+
+  streamOpening = true;
+  ensureAccessToken()
+    .then((token) => {
+      streamOpening = false;
+      // Unsubscribed or opened elsewhere while the token was being refreshed
+      if (token && !eventSource && eventHandlers.size > 0) {
+        connectEventStream(token);
+      }
+    })
+    .catch(() => {
+      streamOpening = false;
+      scheduleStreamReconnect();
+    });
+}
+
+/**
+ * Connect the shared event stream with an access token
+ * @param {string} token - JWT access token
+ */
+function connectEventStream(token) {
+  eventSource = new EventSource(`${EVENT_STREAM_URL}?token=${encodeURIComponent(token)}`);
+
+  eventSource.addEventListener('ready', () => {
+    streamReconnectAttempts = 0;
+    setStreamConnected(true);
+  });
+
+  eventSource.onerror = () => {
+    // Close and reconnect ourselves - the browser gives up on HTTP errors (e.g. 401)
+    eventSource.close();
+    eventSource = null;
+    setStreamConnected(false);
+    scheduleStreamReconnect();
+  };
+
+  eventHandlers.forEach((handlers, eventName) => attachStreamListener(eventName));
+}
+
+/**
+ * Close the shared event stream
+ */
+function closeEventStream() {
+  if (streamReconnectTimer) {
+    clearTimeout(streamReconnectTimer);
+    streamReconnectTimer = null;
+  }
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  streamReconnectAttempts = 0;
+  setStreamConnected(false);
+}
+
+/**
+ * Subscribe to a server push event
+ * Opens the shared event stream on first subscription and closes it after the last one.
+ * @param {string} eventName - Event name ('notification', 'ticket_updated', 'chat_message')
+ * @param {Function} handler - Callback (data) => void
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToEvent(eventName, handler) {
+  const isNewEvent = !eventHandlers.has(eventName);
+  if (isNewEvent) {
+    eventHandlers.set(eventName, new Set());
+  }
+  eventHandlers.get(eventName).add(handler);
+
+  if (!eventSource) {
+    openEventStream();
+  } else if (isNewEvent) {
+    attachStreamListener(eventName);
+  }
+
+  return () => {
+    const handlers = eventHandlers.get(eventName);
+    if (!handlers) {
+      return;
+    }
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      eventHandlers.delete(eventName);
+    }
+    if (eventHandlers.size === 0) {
+      closeEventStream();
+    }
+  };
+}
+
+/**
+ * Listen for event stream connection changes
+ * @param {Function} handler - Callback (connected: boolean) => void
+ * @returns {Function} Cleanup function
+ */
+export function onEventStreamStatusChange(handler) {
+  streamStatusHandlers.add(handler);
+  return () => {
+    streamStatusHandlers.delete(handler);
+  };
+}
+
+/**
+ * Check whether the shared event stream is currently open
+ * @returns {boolean} True if connected
+ */
+export function isEventStreamConnected() {
+  return streamConnected;
+}
+
+/**
+ * Create a real-time channel: server push with polling fallback
+ * Has the same interface as createPollingManager, so it can be used with
+ * setupPageVisibilityHandling and paused/resumed on tab switches.
+ * @param {object} options - Channel options
+ * @param {object} options.events - Map of event name to handler (data) => void
+ * @param {Function} options.pollFn - Function to call for polling and catch-up (should return Promise)
+ * @param {number} options.interval - Fallback polling interval in milliseconds (default: 3000)
+ * @param {Function} options.onStatusChange - Optional callback for connection status changes (status) => void
+ * @param {Function} options.onError - Optional callback for polling errors (error) => void
+ * @returns {object} Channel with start(), stop(), pause(), resume() and getStatus() methods
+ */
+export function createRealtimeChannel(options = {}) {
+  const {
+    events = {},
+    pollFn,
+    interval = 3000,
+    onStatusChange = null,
+    onError = null,
+  } = options;
+
+  const fallbackPolling = createPollingManager({ pollFn, interval, onStatusChange, onError });
+  let unsubscribers = [];
+  let isStarted = false;
+  let isPaused = false;
+
+  /**
+   * Run a single poll to fetch changes missed while not receiving events
+   */
+  function catchUp() {
+    Promise.resolve(pollFn()).catch(error => {
+      console.warn('Catch-up poll failed:', error.message);
+    });
+  }
+
+  /**
+   * Switch between push and polling when the stream connects or drops
+   */
+  function handleStreamStatus(connected) {
+    if (!isStarted || isPaused) {
+      return;
+    }
+    if (connected) {
+      fallbackPolling.stop();
+      if (onStatusChange) {
+        onStatusChange(CONNECTION_STATUS.CONNECTED);
+      }
+      catchUp();
+    } else {
+      fallbackPolling.start();
+    }
+  }
+
+  /**
+   * Start receiving updates
+   */
+  function start() {
+    isPaused = false;
+
+    if (!isStarted) {
+      isStarted = true;
+      unsubscribers = Object.entries(events).map(([eventName, handler]) =>
+        subscribeToEvent(eventName, (data) => {
+          if (!isPaused) {
+            handler(data);
+          }
+        })
+      );
+      unsubscribers.push(onEventStreamStatusChange(handleStreamStatus));
+    }
+
+    if (isEventStreamConnected()) {
+      catchUp();
+    } else {
+      fallbackPolling.start();
+    }
+  }
+
+  /**
+   * Stop receiving updates and release the stream subscription
+   */
+  function stop() {
+    isStarted = false;
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    unsubscribers = [];
+    fallbackPolling.stop();
+  }
+
+  /**
+   * Pause updates (e.g., when page is hidden or tab is inactive)
+   */
+  function pause() {
+    isPaused = true;
+    fallbackPolling.pause();
+  }
+
+  /**
+   * Resume updates (e.g., when page becomes visible)
+   */
+  function resume() {
+    if (!isStarted) {
+      start();
+      return;
+    }
+    if (!isPaused) {
+      return; // Already running
+    }
+
+    isPaused = false;
+    if (isEventStreamConnected()) {
+      catchUp();
+    } else {
+      fallbackPolling.resume();
+    }
+  }
+
+  /**
+   * Get current connection status
+   */
+  function getStatus() {
+    return isEventStreamConnected() ? CONNECTION_STATUS.CONNECTED : fallbackPolling.getStatus();
+  }
+
+  return {
+    start,
+    stop,
+    pause,
+    resume,
+    getStatus,
+  };
+}
+
 /**
  * Set up page visibility handling for polling
  * Automatically pauses polling when page is hidden and resumes when visible
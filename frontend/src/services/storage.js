@@ -5,6 +5,8 @@
 
 const TOKEN_KEY = 'auth_token';
 const USER_KEY = 'user';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+const TOKEN_EXPIRES_AT_KEY = 'auth_token_expires_at';
 
 /**
  * Save authentication token
@@ -69,49 +71,58 @@ export function isAuthenticated() {
 }
 
 /**
- * Save complete authentication session
- * @param {string} token - JWT token
- * @param {object} user - User object
+ * Save the access token and refresh token returned by login or refresh
+ * @param {string} token - JWT access token
+ * @param {string} refreshToken - Refresh token
+ * @param {number} expiresIn - Access token lifetime in seconds
  */
-export function saveSession(token, user) {
+export function saveTokens(token, refreshToken, expiresIn) {
   saveAuthToken(token);
-  saveUser(user);
-  
-  // Store session timestamp for timeout detection
-  sessionStorage.setItem('session_timestamp', Date.now().toString());
+  sessionStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  sessionStorage.setItem(TOKEN_EXPIRES_AT_KEY, (Date.now() + expiresIn * 1000).toString());
 }
 
 /**
- * Check if session has timed out
- * @param {number} timeoutMinutes - Session timeout in minutes (default: 420 minutes = 7 hours)
- * @returns {boolean} True if session has timed out
+ * Get refresh token
+ * @returns {string|null} Refresh token or null
  */
-export function isSessionExpired(timeoutMinutes = 420) {
-  const timestamp = sessionStorage.getItem('session_timestamp');
-  if (!timestamp) {
+export function getRefreshToken() {
+  return sessionStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+/**
+ * Check if the access token has expired or is about to
+ * @param {number} marginSeconds - Treat the token as expired this many seconds early
+ * @returns {boolean} True if the access token should be refreshed before use
+ */
+export function isAuthTokenExpiring(marginSeconds = 30) {
+  const expiresAt = parseInt(sessionStorage.getItem(TOKEN_EXPIRES_AT_KEY), 10);
+  if (!expiresAt) {
     return true;
   }
-  
-  const sessionTime = parseInt(timestamp, 10);
-  const now = Date.now();
-  const timeoutMs = timeoutMinutes * 60 * 1000;
-  
-  return (now - sessionTime) > timeoutMs;
+  return Date.now() > expiresAt - marginSeconds * 1000;
 }
 
 /**
- * Refresh session timestamp
+ * Save complete authentication session
+ * The session itself (idle and absolute timeout) is tracked by the server.
+ * @param {string} token - JWT access token
+ * @param {object} user - User object
+ * @param {string} refreshToken - Refresh token
+ * @param {number} expiresIn - Access token lifetime in seconds
  */
-export function refreshSessionTimestamp() {
-  sessionStorage.setItem('session_timestamp', Date.now().toString());
+export function saveSession(token, user, refreshToken, expiresIn) {
+  saveTokens(token, refreshToken, expiresIn);
+  saveUser(user);
 }
 
 /**
- * Clear all session data including timestamp
+ * Clear all session data including the refresh token
  */
 export function clearSession() {
   clearAuthToken();
   clearUser();
-  sessionStorage.removeItem('session_timestamp');
+  sessionStorage.removeItem(REFRESH_TOKEN_KEY);
+  sessionStorage.removeItem(TOKEN_EXPIRES_AT_KEY);
 }
 
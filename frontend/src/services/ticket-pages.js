@@ -0,0 +1,205 @@
+/**
+ * Ticket Page Service
+ *
+ * Keeps a paged ticket list (GET /api/tickets or /api/tickets/archive) in sync with the server.
+ *
+ * - The list holds a prefix of the server's sorted list: the first page, plus any pages added
+ *   with loadMore(). `total` is the size of the whole list on the server.
+ * - sync() asks for the changes since the sync_cursor of the last reload or sync (?since=)
+ *   and applies them: deleted, archived/restored and no longer matching tickets are dropped,
+ *   changed tickets are replaced by ID (the same change may come twice), new ones are inserted
+ *   in sort order. Tickets that sort after the last loaded one are left for loadMore() so the
+ *   loaded part stays a prefix.
+ * - If the server answers { reset: true } (too many changes), the first page is loaded again.
+ */
+
+import { get } from './api.js';
+
+/**
+ * Sort fields accepted by the API (?sort=)
+ * @type {Array<string>}
+ */
+export const TICKET_SORT_FIELDS = ['submitted', 'updated', 'eta', 'company', 'assignee'];
+
+/**
+ * Default page size
+ */
+const PAGE_SIZE = 50;
+
+/**
+ * Value of a ticket for a sort field
+ * @param {object} ticket - Ticket
+ * @param {string} sort - Sort field
+ * @returns {number|string|null} Sort value (null sorts last)
+ */
+function getSortValue(ticket, sort) {
+  switch (sort) {
+    case 'updated':
+      return ticket.updated_at;
+    case 'eta':
+      return ticket.estimated_completion_at || null;
+    case 'company':
+      return (ticket.company_name || '').toLowerCase();
+    case 'assignee':
+      return ticket.assigned_engineer_name ? ticket.assigned_engineer_name.toLowerCase() : null;
+    default:
+      return ticket.submitted_at;
+  }
+}
+
+/**
+ * Compare two tickets the way the server orders them
+ * @param {object} a - Ticket
+ * @param {object} b - Ticket
+ * @param {string} sort - Sort field
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {number} Negative if a comes first
+ */
+function compareTickets(a, b, sort, order) {
+  const valueA = getSortValue(a, sort);
+  const valueB = getSortValue(b, sort);
+  const direction = order === 'asc' ? 1 : -1;
+
+  // Missing ETA or assignee last in both directions
+  if (valueA === null || valueB === null) {
+    if (valueA !== valueB) {
+      return valueA === null ? 1 : -1;
+    }
+  } else if (valueA !== valueB) {
+    return valueA < valueB ? -direction : direction;
+  }
+  return a.id < b.id ? -direction : a.id > b.id ? direction : 0;
+}
+
+/**
+ * Create a synced ticket list
+ * @param {object} options - Options
+ * @param {string} options.endpoint - '/tickets' or '/tickets/archive'
+ * @param {Function} [options.getParams] - Returns extra query parameters (filters) as an object
+ * @param {string} [options.sort] - Initial sort field (server default if omitted)
+ * @param {string} [options.order] - Initial order ('desc' if omitted)
+ * @param {number} [options.pageSize] - Page size (default 50)
+ * @returns {object} List with tickets, total, hasMore, sort, order, reload(), loadMore(), sync(), setSort()
+ */
+export function createTicketPages(options = {}) {
+  const { endpoint, getParams = () => ({}), pageSize = PAGE_SIZE } = options;
+  let sort = options.sort || null;
+  let order = options.order || 'desc';
+  let tickets = [];
+  let total = 0;
+  let syncCursor = null; // sync_cursor of the last reload or sync; the ?since= of the next sync
+
+  /**
+   * Build the request URL
+   * @param {object} extra - Parameters of this request (offset, since)
+   * @returns {string} Endpoint with query string
+   */
+  function buildUrl(extra) {
+    const params = new URLSearchParams();
+    Object.entries(getParams()).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '' && value !== false) {
+        params.append(key, value === true ? 'true' : value);
+      }
+    });
+    if (sort) params.append('sort', sort);
+    params.append('order', order);
+    params.append('limit', pageSize);
+    Object.entries(extra).forEach(([key, value]) => params.append(key, value));
+    return `${endpoint}?${params.toString()}`;
+  }
+
+  /**
+   * Load the first page, replacing the list
+   * @returns {Promise<void>}
+   */
+  async function reload() {
+    const response = await get(buildUrl({ offset: 0 }));
+    tickets = response.tickets || [];
+    total = response.total ?? tickets.length;
+    sort = response.sort || sort;
+    order = response.order || order;
+    syncCursor = response.sync_cursor ?? null;
+  }
+
+  /**
+   * Append the next page
+   * @returns {Promise<void>}
+   */
+  async function loadMore() {
+    const response = await get(buildUrl({ offset: tickets.length }));
+    const known = new Set(tickets.map(ticket => ticket.id));
+    tickets = tickets.concat((response.tickets || []).filter(ticket => !known.has(ticket.id)));
+    total = response.total ?? total;
+  }
+
+  /**
+   * Apply the changes since the last load or sync
+   * @returns {Promise<boolean>} True if the list changed
+   */
+  async function sync() {
+    if (syncCursor === null) {
+      await reload();
+      return true;
+    }
+
+    const response = await get(buildUrl({ since: syncCursor }));
+    if (response.reset) {
+      await reload();
+      return true;
+    }
+
+    const gone = new Set([
+      ...(response.deleted_ids || []),
+      ...(response.archived_ids || []),
+      ...(response.restored_ids || []),
+      ...(response.removed_ids || []),
+    ]);
+    const changed = response.tickets || [];
+    const changedIds = new Set(changed.map(ticket => ticket.id));
+    const hadMore = tickets.length < total;
+    const last = tickets[tickets.length - 1];
+
+    const before = tickets.length;
+    tickets = tickets.filter(ticket => !gone.has(ticket.id) && !changedIds.has(ticket.id));
+    let modified = tickets.length !== before;
+
+    changed.forEach(ticket => {
+      // Not loaded yet and beyond the loaded part: loadMore() will bring it
+      if (hadMore && last && compareTickets(ticket, last, sort, order) > 0) {
+        return;
+      }
+      tickets.push(ticket);
+      modified = true;
+    });
+    tickets.sort((a, b) => compareTickets(a, b, sort, order));
+
+    if (response.total !== undefined && response.total !== total) {
+      total = response.total;
+      modified = true;
+    }
+    syncCursor = response.sync_cursor ?? syncCursor;
+    return modified;
+  }
+
+  /**
+   * Change the sort field or order (call reload() afterwards)
+   * @param {string} newSort - Sort field
+   * @param {string} newOrder - 'asc' or 'desc'
+   */
+  function setSort(newSort, newOrder) {
+    sort = newSort;
+    order = newOrder;
+  }
+
+  return {
+    get tickets() { return tickets; },
+    get total() { return total; },
+    get hasMore() { return tickets.length < total; },
+    get sort() { return sort; },
+    get order() { return order; },
+    reload,
+    loadMore,
+    sync,
+    setSort,
+  };
+}
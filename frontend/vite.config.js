@@ -24,6 +24,7 @@ export default defineConfig({
         landing: resolve(__dirname, 'src/pages/landing.html'),
         clientDashboard: resolve(__dirname, 'src/pages/client-dashboard.html'),
         supportDashboard: resolve(__dirname, 'src/pages/support-dashboard.html'),
+        asset: resolve(__dirname, 'src/pages/asset.html'),
       },
       output: {
         manualChunks: (id) => {
@@ -39,16 +40,6 @@ export default defineConfig({
             return 'vendor-gsap';
           }
           
-          // jsPDF and related PDF libraries
-          if (id.includes('node_modules/jspdf') || id.includes('node_modules/jspdf-autotable')) {
-            return 'vendor-pdf';
-          }
-          
-          // html2canvas (used with PDF generation)
-          if (id.includes('node_modules/html2canvas')) {
-            return 'vendor-pdf';
-          }
-          
           // Lenis (smooth scroll library)
           if (id.includes('node_modules/lenis')) {
             return 'vendor-lenis';